@@ -20,7 +20,8 @@ import {
   Package,
   Fingerprint,
   AlertTriangle,
-  Loader2
+  Loader2,
+  HardDrive
 } from 'lucide-react'
 
 export default function AdminDashboard() {
@@ -208,6 +209,14 @@ export default function AdminDashboard() {
       icon: FolderOpen,
       color: 'bg-gray-500',
       implemented: true
+    },
+    {
+      title: 'Storage Migration',
+      description: 'Move stored media to the configured storage provider',
+      href: '/admin/storage',
+      icon: HardDrive,
+      color: 'bg-slate-500',
+      implemented: true
     }
   ]
 
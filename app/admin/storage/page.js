@@ -0,0 +1,220 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import Link from 'next/link'
+import { useAuth } from '@/lib/auth-context'
+import { getAccessToken } from '@/lib/supabase'
+import ProtectedRoute from '@/components/ProtectedRoute'
+import { getStorageMigrationOptions, migrateStorageBatchAction } from '@/lib/actions/storage-migration'
+import { ArrowLeft, HardDrive, Loader2, AlertTriangle, Check } from 'lucide-react'
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`
+  return `${Math.round(bytes / 1024)} KB`
+}
+
+const EMPTY_TOTALS = { scanned: 0, moved: 0, bytes: 0, failed: [], byTable: {} }
+
+export default function StorageMigrationPage() {
+  const { user } = useAuth()
+  const [options, setOptions] = useState(null)
+  const [sourceIndex, setSourceIndex] = useState(0)
+  const [dryRun, setDryRun] = useState(true)
+  const [running, setRunning] = useState(false)
+  const [totals, setTotals] = useState(EMPTY_TOTALS)
+  const [currentTable, setCurrentTable] = useState(null)
+  const [finished, setFinished] = useState(false)
+  const [error, setError] = useState(null)
+  const stopRef = useRef(false)
+
+  useEffect(() => {
+    if (!user) return
+    getAccessToken().then(accessToken => getStorageMigrationOptions({ accessToken })).then(result => {
+      if (result.success) {
+        setOptions(result)
+      } else {
+        setError(result.error)
+      }
+    })
+  }, [user])
+
+  const runMigration = async () => {
+    const source = options.sources[sourceIndex]
+    if (!dryRun && !confirm(`Copy all media from ${source.label} to ${options.current} and update the saved URLs?`)) {
+      return
+    }
+
+    stopRef.current = false
+    setRunning(true)
+    setFinished(false)
+    setError(null)
+    setTotals(EMPTY_TOTALS)
+
+    let cursor = null
+    try {
+      // One batch per request keeps each server action well inside its time limit
+      do {
+        const result = await migrateStorageBatchAction({
+          accessToken: await getAccessToken(),
+          source: { type: source.type, bucketName: source.bucketName },
+          cursor,
+          dryRun
+        })
+        if (!result.success) throw new Error(result.error)
+
+        const batch = result.data
+        cursor = batch.cursor
+        setCurrentTable(cursor?.table || null)
+        setTotals(prev => {
+          const byTable = { ...prev.byTable }
+          batch.moved.forEach(item => {
+            byTable[item.table] = (byTable[item.table] || 0) + 1
+          })
+          return {
+            scanned: prev.scanned + batch.scanned,
+            moved: prev.moved + batch.moved.length,
+            bytes: prev.bytes + batch.bytes,
+            failed: [...prev.failed, ...batch.failed],
+            byTable
+          }
+        })
+      } while (cursor && !stopRef.current)
+
+      setFinished(!cursor)
+    } catch (err) {
+      console.error('Error running storage migration:', err)
+      setError(err.message)
+    } finally {
+      setRunning(false)
+      setCurrentTable(null)
+    }
+  }
+
+  return (
+    <ProtectedRoute allowedRoles={['super_admin']}>
+      <div className="max-w-4xl mx-auto p-6">
+        <Link href="/admin" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to Admin
+        </Link>
+
+        <div className="flex items-center gap-3 mb-2">
+          <HardDrive className="w-7 h-7 text-gray-700" />
+          <h1 className="text-2xl font-bold">Storage Migration</h1>
+        </div>
+        <p className="text-gray-600 mb-6">
+          Copies videos, observation images, map backgrounds, logos and documents from another storage
+          provider to the one this deployment is configured to use (STORAGE_PROVIDER), then updates the
+          saved links, including those kept in report snapshots. Transcoded videos stay with the transcoder
+          output. Source files are not deleted.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {!options ? (
+          !error && (
+            <div className="flex items-center text-gray-500">
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              Loading storage configuration...
+            </div>
+          )
+        ) : (
+          <div className="bg-white p-6 rounded-lg shadow space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Copy from</label>
+                <select
+                  value={sourceIndex}
+                  onChange={(e) => setSourceIndex(Number(e.target.value))}
+                  disabled={running}
+                  className="w-full border border-gray-300 rounded px-3 py-2"
+                >
+                  {options.sources.map((source, index) => (
+                    <option key={source.label} value={index}>{source.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Copy to (configured)</label>
+                <div className="w-full border border-gray-200 bg-gray-50 rounded px-3 py-2">{options.current}</div>
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={dryRun}
+                onChange={(e) => setDryRun(e.target.checked)}
+                disabled={running}
+              />
+              Dry run - count what would be copied without changing anything
+            </label>
+
+            <div className="flex gap-3">
+              <button
+                onClick={runMigration}
+                disabled={running}
+                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 flex items-center"
+              >
+                {running && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                {dryRun ? 'Run dry run' : 'Start migration'}
+              </button>
+              {running && (
+                <button
+                  onClick={() => { stopRef.current = true }}
+                  className="px-4 py-2 border border-gray-300 rounded hover:bg-gray-50"
+                >
+                  Stop after this batch
+                </button>
+              )}
+            </div>
+
+            {(running || totals.scanned > 0) && (
+              <div className="border-t pt-4 space-y-2 text-sm">
+                {running && currentTable && (
+                  <p className="text-gray-600">Working through {currentTable}...</p>
+                )}
+                {finished && (
+                  <p className="text-green-700 flex items-center gap-1">
+                    <Check className="w-4 h-4" />
+                    {dryRun ? 'Dry run complete' : 'Migration complete'}
+                  </p>
+                )}
+                <p>Rows checked: {totals.scanned}</p>
+                <p>
+                  Files {dryRun ? 'to copy' : 'moved'}: {totals.moved}
+                  {!dryRun && totals.bytes > 0 && ` (${formatBytes(totals.bytes)} copied)`}
+                </p>
+                {Object.keys(totals.byTable).length > 0 && (
+                  <ul className="list-disc list-inside text-gray-600">
+                    {Object.entries(totals.byTable).map(([table, count]) => (
+                      <li key={table}>{table}: {count}</li>
+                    ))}
+                  </ul>
+                )}
+                {totals.failed.length > 0 && (
+                  <details className="text-red-700">
+                    <summary className="cursor-pointer">{totals.failed.length} failed - run again to retry</summary>
+                    <ul className="mt-2 space-y-1 text-xs">
+                      {totals.failed.map(item => (
+                        <li key={`${item.table}-${item.id}-${item.column}`}>
+                          {item.table} {item.id} ({item.column}): {item.error}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </ProtectedRoute>
+  )
+}
@@ -0,0 +1,24 @@
+// /app/api/llm-jobs/process/route.js
+// API route to run queued AI summary / recommendation jobs.
+// Status polls from the report editor also run jobs; schedule this (e.g. every minute)
+// so jobs finish and retries go out when nobody has the report open.
+
+import { processLlmJobs } from '@/lib/services/llm-job-worker'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+export const maxDuration = 300
+
+// Only runs what is already queued, within the provider rate limits, so it is safe to call without authentication
+export async function POST() {
+  try {
+    const summary = await processLlmJobs()
+    return Response.json(summary)
+  } catch (error) {
+    console.error('Error processing LLM jobs:', error)
+    return Response.json({ error: 'Failed to process LLM jobs' }, { status: 500 })
+  }
+}
+
+// Schedulers typically issue GET requests
+export const GET = POST
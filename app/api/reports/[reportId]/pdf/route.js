@@ -0,0 +1,136 @@
+// /app/api/reports/[reportId]/pdf/route.js
+// API route to render (and for finalized reports, store) the PDF version of a report
+
+import { createClient } from '@supabase/supabase-js'
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { renderReportPdf, getReportPdfPath } from '@/lib/pdf/report-pdf'
+
+export const runtime = 'nodejs'
+export const maxDuration = 60
+
+const PDF_BUCKET = 'report-pdfs'
+
+const REPORT_SELECT = `
+  *,
+  branding_profile:report_branding_profiles(*),
+  recommendations:report_recommendations(*)
+`
+
+// Load the report as the signed-in user so RLS decides access
+async function loadReportForUser(reportId, accessToken) {
+  const supabase = createClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+    { global: { headers: { Authorization: `Bearer ${accessToken}` } } }
+  )
+
+  const { data, error } = await supabase
+    .from('reports')
+    .select(REPORT_SELECT)
+    .eq('id', reportId)
+    .single()
+
+  if (error) return { report: null }
+  return { report: data }
+}
+
+// Load the report through a share link, honouring the share's download settings
+async function loadReportForShare(reportId, shareToken) {
+  const { data: share, error: shareError } = await supabaseAdmin
+    .from('report_shares')
+    .select('*')
+    .eq('share_token', shareToken)
+    .eq('report_id', reportId)
+    .eq('is_active', true)
+    .single()
+
+  if (shareError || !share) return { report: null }
+  if (share.expires_at && new Date(share.expires_at) < new Date()) return { report: null }
+  if (!share.allow_download) return { report: null, forbidden: true }
+
+  const { data, error } = await supabaseAdmin
+    .from('reports')
+    .select(REPORT_SELECT)
+    .eq('id', reportId)
+    .single()
+
+  if (error) return { report: null }
+  return { report: data, share }
+}
+
+export async function GET(request, { params }) {
+  const { reportId } = params
+  const { searchParams } = new URL(request.url)
+  const shareToken = searchParams.get('share')
+  const authHeader = request.headers.get('authorization') || ''
+  const accessToken = authHeader.replace(/^Bearer\s+/i, '')
+
+  try {
+    let result
+    if (shareToken) {
+      result = await loadReportForShare(reportId, shareToken)
+    } else if (accessToken) {
+      result = await loadReportForUser(reportId, accessToken)
+    } else {
+      return Response.json({ error: 'Not authenticated' }, { status: 401 })
+    }
+
+    if (result.forbidden) {
+      return Response.json({ error: 'Downloading is not allowed for this report' }, { status: 403 })
+    }
+    if (!result.report) {
+      return Response.json({ error: 'Report not found' }, { status: 404 })
+    }
+
+    const report = result.report
+    if (report.recommendations) {
+      report.recommendations.sort((a, b) => a.position - b.position)
+    }
+
+    const watermarkText = result.share?.watermark_enabled ? (result.share.watermark_text || 'CONFIDENTIAL') : null
+    // Finalized reports are immutable, so the stored copy is always current
+    const canStore = report.status === 'final' && !watermarkText
+
+    let pdfBytes = null
+
+    if (canStore && report.pdf_path) {
+      const { data, error } = await supabaseAdmin.storage.from(PDF_BUCKET).download(report.pdf_path)
+      if (!error && data) {
+        pdfBytes = new Uint8Array(await data.arrayBuffer())
+      }
+    }
+
+    if (!pdfBytes) {
+      pdfBytes = await renderReportPdf(report, { watermarkText })
+
+      if (canStore) {
+        const pdfPath = getReportPdfPath(report)
+        const { error: uploadError } = await supabaseAdmin.storage
+          .from(PDF_BUCKET)
+          .upload(pdfPath, pdfBytes, { contentType: 'application/pdf', upsert: true })
+
+        if (uploadError) {
+          console.error('Error storing report PDF:', uploadError)
+        } else {
+          await supabaseAdmin
+            .from('reports')
+            .update({ pdf_path: pdfPath, pdf_generated_at: new Date().toISOString() })
+            .eq('id', report.id)
+        }
+      }
+    }
+
+    const filename = `${(report.report_number || report.title || 'report').replace(/[^a-zA-Z0-9-_]+/g, '-')}.pdf`
+
+    return new Response(pdfBytes, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'private, no-store'
+      }
+    })
+  } catch (error) {
+    console.error('Error generating report PDF:', error)
+    return Response.json({ error: 'Failed to generate PDF' }, { status: 500 })
+  }
+}
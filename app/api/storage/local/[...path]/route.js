@@ -0,0 +1,119 @@
+// /app/api/storage/local/[...path]/route.js
+// Serves and accepts files for the local filesystem storage provider (STORAGE_PROVIDER=local)
+
+import { Readable, Transform } from 'stream'
+import { getStorage } from '@/lib/video/storage/storage-factory'
+import { StorageProviders } from '@/lib/video/storage/storage-interface'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+const getPath = (params) => params.path.join('/')
+
+// Stops a request body once it passes the size the upload URL was signed for
+function limitSize(maxSize) {
+  let received = 0
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length
+      if (maxSize && received > maxSize) {
+        callback(new Error('File is larger than allowed'))
+        return
+      }
+      callback(null, chunk)
+    }
+  })
+}
+
+// Byte range from a Range header, or null to send the whole file
+function parseRange(header, size) {
+  const match = header?.match(/^bytes=(\d*)-(\d*)$/)
+  if (!match || (!match[1] && !match[2])) return null
+
+  let start
+  let end
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]))
+    end = size - 1
+  } else {
+    start = Number(match[1])
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1
+  }
+  return start <= end && start < size ? { start, end } : { invalid: true }
+}
+
+export async function GET(request, { params }) {
+  const storage = getStorage(StorageProviders.LOCAL)
+  const path = getPath(params)
+
+  try {
+    if (!(await storage.exists(path))) {
+      return Response.json({ error: 'File not found' }, { status: 404 })
+    }
+
+    const { size, contentType } = await storage.getMetadata(path)
+    // Ranges let the video player seek without downloading the whole file
+    const range = parseRange(request.headers.get('range'), size)
+
+    if (range?.invalid) {
+      return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } })
+    }
+
+    const { body } = await storage.download(path, range || {})
+    const headers = {
+      'Content-Type': contentType,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    }
+
+    if (range) {
+      return new Response(Readable.toWeb(body), {
+        status: 206,
+        headers: {
+          ...headers,
+          'Content-Length': String(range.end - range.start + 1),
+          'Content-Range': `bytes ${range.start}-${range.end}/${size}`
+        }
+      })
+    }
+
+    return new Response(Readable.toWeb(body), {
+      headers: { ...headers, 'Content-Length': String(size) }
+    })
+  } catch (error) {
+    console.error('Error serving local file:', error)
+    return Response.json({ error: 'Failed to read file' }, { status: 500 })
+  }
+}
+
+export async function PUT(request, { params }) {
+  const storage = getStorage(StorageProviders.LOCAL)
+  const path = getPath(params)
+  const { searchParams } = new URL(request.url)
+
+  const upload = storage.verifyUploadToken(path, searchParams)
+  if (!upload) {
+    return Response.json({ error: 'Upload URL is invalid or has expired' }, { status: 403 })
+  }
+
+  const contentLength = Number(request.headers.get('content-length'))
+  if (upload.maxSize && contentLength > upload.maxSize) {
+    return Response.json({ error: 'File is larger than allowed' }, { status: 413 })
+  }
+  if (!request.body) {
+    return Response.json({ error: 'No file received' }, { status: 400 })
+  }
+
+  try {
+    const source = Readable.fromWeb(request.body)
+    const body = limitSize(upload.maxSize)
+    // A dropped connection has to fail the write rather than leave it waiting
+    source.on('error', (error) => body.destroy(error))
+    await storage.upload(source.pipe(body), path, { contentType: request.headers.get('content-type') })
+    return Response.json({ success: true, url: storage.getPublicUrl(path) })
+  } catch (error) {
+    console.error('Error storing local file:', error)
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,31 @@
+// /app/api/v1/projects/[projectId]/reports/route.js
+// Public API: list a project's reports (metadata only; snapshots are downloaded separately)
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { withApiKey, getCompanyProject, apiError, REPORT_SUMMARY_FIELDS } from '@/lib/api/api-auth'
+
+export const dynamic = 'force-dynamic'
+
+export const GET = withApiKey('project', async (request, { params, apiKey }) => {
+  const project = await getCompanyProject(apiKey.company_id, params.projectId)
+  if (!project) return apiError(404, 'Project not found')
+
+  const { searchParams } = new URL(request.url)
+
+  let query = supabaseAdmin
+    .from('reports')
+    .select(REPORT_SUMMARY_FIELDS)
+    .eq('project_id', project.id)
+    .order('created_at', { ascending: false })
+
+  // e.g. ?status=final to only pull finished inspections
+  const status = searchParams.get('status')
+  if (status) {
+    query = query.eq('status', status)
+  }
+
+  const { data, error } = await query
+  if (error) throw error
+
+  return Response.json({ data })
+}, { resourceIdParam: 'projectId' })
@@ -0,0 +1,13 @@
+// /app/api/v1/projects/[projectId]/route.js
+// Public API: fetch a single project
+
+import { withApiKey, getCompanyProject, apiError } from '@/lib/api/api-auth'
+
+export const dynamic = 'force-dynamic'
+
+export const GET = withApiKey('project', async (request, { params, apiKey }) => {
+  const project = await getCompanyProject(apiKey.company_id, params.projectId)
+  if (!project) return apiError(404, 'Project not found')
+
+  return Response.json({ data: project })
+}, { resourceIdParam: 'projectId' })
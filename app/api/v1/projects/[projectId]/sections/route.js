@@ -0,0 +1,22 @@
+// /app/api/v1/projects/[projectId]/sections/route.js
+// Public API: list a project's sections
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { withApiKey, getCompanyProject, apiError } from '@/lib/api/api-auth'
+
+export const dynamic = 'force-dynamic'
+
+export const GET = withApiKey('project', async (request, { params, apiKey }) => {
+  const project = await getCompanyProject(apiKey.company_id, params.projectId)
+  if (!project) return apiError(404, 'Project not found')
+
+  const { data, error } = await supabaseAdmin
+    .from('sections')
+    .select('*')
+    .eq('project_id', project.id)
+    .order('section_number', { ascending: true })
+
+  if (error) throw error
+
+  return Response.json({ data })
+}, { resourceIdParam: 'projectId' })
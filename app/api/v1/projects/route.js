@@ -0,0 +1,41 @@
+// /app/api/v1/projects/route.js
+// Public API: list the API key company's projects
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { withApiKey, getCompanyUserIds, getPagination, apiError } from '@/lib/api/api-auth'
+
+export const dynamic = 'force-dynamic'
+
+export const GET = withApiKey('project', async (request, { apiKey }) => {
+  const { searchParams } = new URL(request.url)
+  const { limit, offset, from, to } = getPagination(searchParams)
+
+  // Optional filter for incremental syncs
+  const updatedSinceParam = searchParams.get('updated_since')
+  const updatedSince = updatedSinceParam ? new Date(updatedSinceParam) : null
+  if (updatedSince && isNaN(updatedSince.getTime())) {
+    return apiError(400, 'updated_since must be an ISO 8601 date or timestamp')
+  }
+
+  // A company without users has no projects (and .in() needs at least one value)
+  const userIds = await getCompanyUserIds(apiKey.company_id)
+  if (userIds.length === 0) {
+    return Response.json({ data: [], meta: { total: 0, limit, offset } })
+  }
+
+  let query = supabaseAdmin
+    .from('projects')
+    .select('*', { count: 'exact' })
+    .in('user_id', userIds)
+    .order('created_at', { ascending: false })
+    .range(from, to)
+
+  if (updatedSince) {
+    query = query.gte('updated_at', updatedSince.toISOString())
+  }
+
+  const { data, count, error } = await query
+  if (error) throw error
+
+  return Response.json({ data, meta: { total: count, limit, offset } })
+})
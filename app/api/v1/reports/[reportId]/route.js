@@ -0,0 +1,13 @@
+// /app/api/v1/reports/[reportId]/route.js
+// Public API: fetch report metadata and statistics
+
+import { withApiKey, getCompanyReport, apiError } from '@/lib/api/api-auth'
+
+export const dynamic = 'force-dynamic'
+
+export const GET = withApiKey('report', async (request, { params, apiKey }) => {
+  const report = await getCompanyReport(apiKey.company_id, params.reportId)
+  if (!report) return apiError(404, 'Report not found')
+
+  return Response.json({ data: report })
+}, { resourceIdParam: 'reportId' })
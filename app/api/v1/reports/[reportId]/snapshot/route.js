@@ -0,0 +1,57 @@
+// /app/api/v1/reports/[reportId]/snapshot/route.js
+// Public API: download the full report snapshot (project, sections, observations, map and recommendations) as JSON
+
+import { withApiKey, getCompanyReport, apiError } from '@/lib/api/api-auth'
+
+export const dynamic = 'force-dynamic'
+
+const SNAPSHOT_FIELDS = `
+  *,
+  recommendations:report_recommendations(*)
+`
+
+export const GET = withApiKey('report', async (request, { params, apiKey }) => {
+  const report = await getCompanyReport(apiKey.company_id, params.reportId, SNAPSHOT_FIELDS)
+  if (!report) return apiError(404, 'Report not found')
+
+  if (report.recommendations) {
+    report.recommendations.sort((a, b) => a.position - b.position)
+  }
+
+  const snapshot = {
+    snapshot_version: '1.0',
+    exported_at: new Date().toISOString(),
+    report: {
+      id: report.id,
+      report_number: report.report_number,
+      title: report.title,
+      status: report.status,
+      is_final: report.is_final,
+      created_at: report.created_at,
+      finalized_at: report.finalized_at,
+      weather_conditions: report.weather_conditions,
+      executive_summary: report.executive_summary,
+      stats: report.stats
+    },
+    project: report.project_snapshot,
+    sections: report.sections_snapshot || [],
+    observations: report.observations_snapshot || [],
+    map: {
+      maps: report.maps_snapshot || [],
+      nodes: report.nodes_snapshot || [],
+      lines: report.lines_snapshot || [],
+      drawings: report.drawings_snapshot || []
+    },
+    recommendations: report.recommendations || []
+  }
+
+  const filename = `${(report.report_number || report.id).replace(/[^a-zA-Z0-9-_]+/g, '-')}.json`
+
+  return new Response(JSON.stringify(snapshot, null, 2), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'private, no-store'
+    }
+  })
+}, { resourceIdParam: 'reportId' })
@@ -0,0 +1,30 @@
+// /app/api/v1/sections/[sectionId]/observations/route.js
+// Public API: list a section's observations in distance order
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { withApiKey, getCompanyProject, apiError } from '@/lib/api/api-auth'
+
+export const dynamic = 'force-dynamic'
+
+export const GET = withApiKey('section', async (request, { params, apiKey }) => {
+  const { data: section, error: sectionError } = await supabaseAdmin
+    .from('sections')
+    .select('id, project_id')
+    .eq('id', params.sectionId)
+    .maybeSingle()
+
+  if (sectionError) throw sectionError
+
+  const project = section && await getCompanyProject(apiKey.company_id, section.project_id)
+  if (!project) return apiError(404, 'Section not found')
+
+  const { data, error } = await supabaseAdmin
+    .from('observations')
+    .select('*')
+    .eq('section_id', section.id)
+    .order('distance', { ascending: true })
+
+  if (error) throw error
+
+  return Response.json({ data })
+}, { resourceIdParam: 'sectionId' })
@@ -0,0 +1,23 @@
+// /app/api/webhooks/dispatch/route.js
+// API route to send queued webhook deliveries and due retries.
+// Called after actions that raise events, and should also be scheduled (e.g. every minute) so retries go out.
+
+import { deliverPendingWebhooks } from '@/lib/webhooks/webhook-service'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+export const maxDuration = 60
+
+// Only sends what is already queued, so it is safe to call without authentication
+export async function POST() {
+  try {
+    const summary = await deliverPendingWebhooks()
+    return Response.json(summary)
+  } catch (error) {
+    console.error('Error dispatching webhooks:', error)
+    return Response.json({ error: 'Failed to dispatch webhooks' }, { status: 500 })
+  }
+}
+
+// Schedulers typically issue GET requests
+export const GET = POST
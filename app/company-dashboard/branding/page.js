@@ -28,7 +28,7 @@ import {
   updateBrandingProfile,
   deleteBrandingProfile
 } from '@/lib/reports'
-import { supabase } from '@/lib/supabase'
+import { uploadMedia } from '@/lib/video/storage/browser-upload'
 
 export default function BrandingProfilesPage() {
   const router = useRouter()
@@ -93,20 +93,8 @@ export default function BrandingProfilesPage() {
         return null
       }
       
-      // Upload to Supabase Storage
-      const fileExt = file.name.split('.').pop()
-      const fileName = `${user.id}/branding-logos/${Date.now()}.${fileExt}`
-      
-      const { error: uploadError, data } = await supabase.storage
-        .from('images')
-        .upload(fileName, file)
-      
-      if (uploadError) throw uploadError
-      
-      // Get public URL
-      const { data: { publicUrl } } = supabase.storage
-        .from('images')
-        .getPublicUrl(fileName)
+      // Upload to the configured storage provider
+      const publicUrl = await uploadMedia(file, { kind: 'branding-logo', ownerId: user.id })
       
       // Return the new logo URL instead of updating state directly
       return publicUrl
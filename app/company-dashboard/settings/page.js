@@ -4,7 +4,11 @@ import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
 import Link from 'next/link'
 import { supabase } from '@/lib/supabase'
+import { uploadMedia, deleteMedia } from '@/lib/video/storage/browser-upload'
 import { useAuth } from '@/lib/auth-context'
+import CompanyApiKeys from '@/components/CompanyApiKeys'
+import CompanyWebhooks from '@/components/CompanyWebhooks'
+import CompanyLlmSettings from '@/components/CompanyLlmSettings'
 import { 
   ArrowLeft, 
   Building2, 
@@ -26,7 +30,7 @@ import {
 
 export default function CompanySettingsPage() {
   const router = useRouter()
-  const { user, company, loading: authLoading } = useAuth()
+  const { user, profile, company, loading: authLoading } = useAuth()
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
   const [companyData, setCompanyData] = useState(null)
@@ -177,30 +181,15 @@ export default function CompanySettingsPage() {
       // Delete old file if exists
       const oldUrl = type === 'logo' ? companyData.logo_url : companyData.document_url
       if (oldUrl) {
-        const urlParts = oldUrl.split('/storage/v1/object/public/images/')
-        if (urlParts.length > 1) {
-          const oldPath = urlParts[1]
-          await supabase.storage.from('images').remove([oldPath])
+        try {
+          await deleteMedia(oldUrl)
+        } catch (deleteError) {
+          console.error(`Error deleting old ${type}:`, deleteError)
         }
       }
       
-      // Upload new file
-      const fileExt = file.name.split('.').pop()
-      const fileName = `${company.id}_${type}_${Date.now()}.${fileExt}`
-      const filePath = `${user.id}/company-${type}s/${fileName}`
-      
-      const { error: uploadError } = await supabase.storage
-        .from('images')
-        .upload(filePath, file)
-      
-      if (uploadError) throw uploadError
-      
-      // Get public URL
-      const { data } = supabase.storage
-        .from('images')
-        .getPublicUrl(filePath)
-      
-      return data.publicUrl
+      // Upload new file to the configured storage provider
+      return await uploadMedia(file, { kind: `company-${type}`, ownerId: company.id })
       
     } catch (err) {
       console.error(`Error uploading ${type}:`, err)
@@ -788,6 +777,19 @@ export default function CompanySettingsPage() {
         </div>
       </div>
 
+      {/* AI, API Keys and Webhooks (company admins only) */}
+      {['company_admin', 'super_admin'].includes(profile?.role) && (
+        <>
+          <CompanyLlmSettings userId={user.id} companyId={company.id} />
+          <CompanyApiKeys userId={user.id} companyId={company.id} />
+          <CompanyWebhooks
+            userId={user.id}
+            companyId={company.id}
+            lowCreditsThreshold={companyData.low_credits_threshold}
+          />
+        </>
+      )}
+
       {/* Subscription Info (Read-only) */}
       <div className="bg-white shadow rounded-lg">
         <div className="px-6 py-4 border-b border-gray-200">
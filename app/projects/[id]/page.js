@@ -1,10 +1,10 @@
 'use client'
 import { useState, useEffect, forwardRef } from 'react'
-import { useParams, useRouter } from 'next/navigation'
+import { useParams, useRouter, useSearchParams } from 'next/navigation'
 import Link from 'next/link'
 import dynamic from 'next/dynamic'
 import { supabase, deleteVideo, formatDuration, formatFileSize } from '@/lib/supabase'
-import { FileText, Upload, X, Archive, RotateCcw, AlertTriangle, Plus, Info } from 'lucide-react'
+import { FileText, Upload, X, Archive, RotateCcw, AlertTriangle, Plus, Info, FileUp } from 'lucide-react'
 import { archiveProject, restoreProject } from '@/lib/actions/project-archive'
 import ArchiveProjectModal from '@/components/ArchiveProjectModal'
 import { useAuth } from '@/lib/auth-context'
@@ -21,10 +21,16 @@ import SectionsGrid from '@/components/SectionsGrid'
 import LayoutControls from '@/components/LayoutControls'
 import VideoUpload from '@/components/VideoUpload'
 import VideoPlayer from '@/components/VideoPlayer'
+import DistanceCurvePanel from '@/components/DistanceCurvePanel'
+import DefectDetectionPanel from '@/components/DefectDetectionPanel'
+import { reviewObservationDraftsAction } from '@/lib/actions/observation-drafts'
+import { isCurveCurrent } from '@/lib/video/distance-curve'
 import ObservationForm from '@/components/ObservationForm'
 import ObservationsList from '@/components/ObservationsList'
 import SectionDetailsForm from '@/components/SectionDetailsForm'
 import BulkVideoUpload from '@/components/BulkVideoUpload'
+import ExchangeExportButton from '@/components/ExchangeExportButton'
+import SurveyImportModal from '@/components/SurveyImportModal'
 import VideoSourceModal from '@/components/VideoSourceModal'
 
 // Dynamic imports
@@ -46,14 +52,30 @@ const ProjectMap = dynamic(
   }
 )
 
+// A curve read from a video the section no longer has would give wrong distances
+const getCurrentDistanceCurve = (section) => (
+  section && isCurveCurrent(section.distance_curve, section.video_url) ? section.distance_curve : null
+)
+
+// Adaptive stream and seek previews, only while they belong to the section's current video
+const getStreamingSources = (section) => {
+  const metadata = section?.video_metadata
+  if (!metadata?.transcoded_url || metadata.transcoded_url !== section.video_url) return {}
+  return { hlsSrc: metadata.hls_url || null, seekThumbnails: metadata.seek_thumbnails_url || null }
+}
+
 export default function ProjectDetailPage() {
   const params = useParams()
   const router = useRouter()
+  const searchParams = useSearchParams()
   const { user, profile, loading: authLoading } = useAuth()
   
   // Add state for bulk upload modal
   const [showBulkUpload, setShowBulkUpload] = useState(false)
   
+  // Survey file import modal
+  const [showSurveyImport, setShowSurveyImport] = useState(false)
+  
   // Archive-related state
   const [showArchiveModal, setShowArchiveModal] = useState(false)
   const [isArchiving, setIsArchiving] = useState(false)
@@ -74,7 +96,7 @@ export default function ProjectDetailPage() {
     deletingSectionId, getSeverityDistribution, refreshSectionObservations,
     addSection, updateSection, removeSection, updateSectionVideo, removeSectionVideo,
     setActiveSection, setUploadingSectionId, setDeletingVideoId, setDeletingSectionId,
-    sectionObservationCount, videoObservations, totalObservations, totalVideos, highSeverityCount
+    sectionObservationCount, totalObservations, totalVideos, highSeverityCount
   } = projectData
 
   const {
@@ -86,8 +108,8 @@ export default function ProjectDetailPage() {
 
   const {
     showObservationForm, editingObservation, currentSectionId, videoTimestamp,
-    shouldAutoCapture, refreshObservations, showSectionDetailsForm, editingSectionData,
-    videoRefs, handleFrameExtract, handleAddObservation, handleEditObservation,
+    shouldAutoCapture, captureCrop, reviewingDraft, refreshObservations, showSectionDetailsForm, editingSectionData,
+    videoRefs, handleFrameExtract, handleAddObservation, handleEditObservation, handleEditDraft,
     handleSaveObservation, handleCloseObservationForm, handleJumpToTimestamp,
     handleJumpToVideoFromMap, handleEditSection, closeEditSection, setShowSectionDetailsForm, lastSavedObservationId
   } = observationManagement
@@ -101,6 +123,16 @@ export default function ProjectDetailPage() {
     }
   }, [authLoading, user, router])
 
+  // Open the section/observation linked from elsewhere (e.g. the report QA checklist)
+  const linkedSectionId = searchParams.get('section')
+  const linkedObservationId = searchParams.get('observation')
+
+  useEffect(() => {
+    if (linkedSectionId && sections.some(s => s.id === linkedSectionId)) {
+      setActiveSection(linkedSectionId)
+    }
+  }, [linkedSectionId, sections.length])
+
   // Handle retry logic
   const handleRetry = () => {
     setIsRetrying(true)
@@ -328,8 +360,29 @@ export default function ProjectDetailPage() {
     }
   }
 
+  // Add sections created by a survey file import and load their observations
+  const handleSurveyImported = (createdSections) => {
+    createdSections.forEach(section => {
+      addSection(section)
+      refreshSectionObservations(section.id)
+    })
+  }
+
   // Wrapper handlers for observation management
-  const handleSaveObservationWrapper = (observation) => {
+  const handleSaveObservationWrapper = async (observation) => {
+    // Saving an edited detection draft accepts it
+    if (reviewingDraft && observation?.id && user) {
+      const result = await reviewObservationDraftsAction({
+        userId: user.id,
+        sectionId: reviewingDraft.section_id,
+        draftIds: [reviewingDraft.id],
+        status: 'accepted',
+        observationId: observation.id
+      })
+      if (!result.success) {
+        console.error('Error accepting draft:', result.error)
+      }
+    }
     handleSaveObservation(observation, refreshSectionObservations)
   }
 
@@ -530,6 +583,52 @@ export default function ProjectDetailPage() {
               />
             </div>
             
+            {/* Survey Import Button with Help */}
+            <div className="flex items-center gap-2">
+              <button 
+                onClick={() => setShowSurveyImport(true)}
+                className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 flex items-center"
+                title="Import sections and observations from a survey file"
+              >
+                <FileUp className="h-4 w-4 mr-2" />
+                Import Survey
+              </button>
+              <HelpIcon
+                title="Import Survey"
+                content="Load a survey done in another CCTV package."
+                bullets={[
+                  "Accepts MSCC5 XML and PACP-style CSV files",
+                  "Shows new sections and conflicts before importing",
+                  "Codes are checked against your observation codes",
+                  "Invalid or unknown observations are skipped",
+                  "Videos and images are not imported"
+                ]}
+                size="sm"
+              />
+            </div>
+            
+            {/* MSCC5 Export Button with Help */}
+            <div className="flex items-center gap-2">
+              <ExchangeExportButton
+                project={project}
+                sections={sections}
+                observations={allObservations}
+                className="bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 flex items-center disabled:opacity-50"
+              />
+              <HelpIcon
+                title="MSCC5 Export"
+                content="Download the survey in the WRc MSCC5 exchange layout."
+                bullets={[
+                  "XML for asset management systems",
+                  "CSV with one row per observation",
+                  "Includes all sections and observations",
+                  "Continuous defects exported as S01/F01 pairs",
+                  "Images and videos are not included"
+                ]}
+                size="sm"
+              />
+            </div>
+            
             {/* View Reports Button with Help */}
             <div className="flex items-center gap-2">
               <Link 
@@ -672,6 +771,7 @@ export default function ProjectDetailPage() {
         <div className="h-[calc(100vh-16rem)]">
           <ProjectMap 
             projectId={project.id} 
+            projectName={project.name}
             sections={sections}
             observations={allObservations}
             onJumpToVideo={handleJumpToVideoFromMapWrapper}
@@ -708,9 +808,17 @@ export default function ProjectDetailPage() {
                     content="Review inspection videos frame by frame."
                     bullets={[
                       "Space bar: Play/Pause",
-                      "Arrow keys: Frame navigation",
+                      "Arrow keys: Skip 10 seconds; , and . step one frame",
+                      "< and >: Playback speed (0.25× to 4×)",
+                      "A / B: Loop between two points; Esc clears the loop",
+                      "Z: Zoom and pan the paused frame - captures use the zoomed view",
                       "Capture frames for observations",
-                      "Mouse wheel: Scrub through video"
+                      "Timeline under the scrub bar: observations coloured by severity, continuous defects shaded",
+                      "Hover the scrub bar to preview frames (transcoded videos)",
+                      "Transcoded videos stream at a quality suited to the connection; paused frames load at full quality",
+                      "N / P: Next / previous observation",
+                      "Distance Counter: read the on-screen distance across the video to pre-fill observation distances",
+                      "Defect Detection: propose draft observations from the whole video for review"
                     ]}
                     size="sm"
                   />
@@ -726,13 +834,29 @@ export default function ProjectDetailPage() {
                         videoRefs.current[activeSection] = ref
                       }}
                       src={activeSectionData.video_url}
-                      onCaptureFrame={(videoElement, timestamp) => {
-                        handleFrameExtract(activeSection, videoElement, timestamp)
+                      {...getStreamingSources(activeSectionData)}
+                      onCaptureFrame={(videoElement, timestamp, crop) => {
+                        handleFrameExtract(activeSection, videoElement, timestamp, crop)
                       }}
-                      observations={videoObservations}
+                      observations={sectionObservations[activeSection] || []}
+                      frameRate={activeSectionData.video_metadata?.frameRate}
                       className="w-full"
                     />
 
+                    <DistanceCurvePanel
+                      section={activeSectionData}
+                      getVideoElement={() => videoRefs.current?.[activeSection]?.current}
+                      onSectionUpdated={updateSection}
+                    />
+
+                    <DefectDetectionPanel
+                      section={activeSectionData}
+                      getVideoElement={() => videoRefs.current?.[activeSection]?.current}
+                      refreshKey={refreshObservations}
+                      onEditDraft={handleEditDraft}
+                      onObservationCreated={() => refreshSectionObservations(activeSection)}
+                    />
+
                     {/* Video Info and Actions */}
                     <div className="grid grid-cols-2 gap-4 text-sm">
                       <div className="flex items-center text-gray-600">
@@ -844,7 +968,7 @@ export default function ProjectDetailPage() {
                       onJumpToTimestamp={handleJumpToTimestampWrapper}
                       refreshTrigger={refreshObservations}
                       hideAddButton={true}
-                      lastSavedObservationId={lastSavedObservationId}
+                      lastSavedObservationId={lastSavedObservationId || linkedObservationId}
                     />
                   </div>
                 ) : (
@@ -942,6 +1066,8 @@ export default function ProjectDetailPage() {
           videoRef={videoRefs.current[currentSectionId]}
           videoTimestamp={videoTimestamp}
           shouldAutoCapture={shouldAutoCapture}
+          captureCrop={captureCrop}
+          distanceCurve={getCurrentDistanceCurve(sections.find(section => section.id === currentSectionId))}
           initialData={editingObservation}
           isOpen={showObservationForm}
           onClose={handleCloseObservationForm}
@@ -949,6 +1075,15 @@ export default function ProjectDetailPage() {
         />
       )}
 
+      {/* Survey Import Modal */}
+      <SurveyImportModal
+        isOpen={showSurveyImport}
+        onClose={() => setShowSurveyImport(false)}
+        projectId={params.id}
+        existingSections={sections}
+        onImported={handleSurveyImported}
+      />
+
       {/* Archive Modal */}
       <ArchiveProjectModal
         isOpen={showArchiveModal}
@@ -22,7 +22,8 @@ import {
   Share2,
   Map,
   Image,
-  Info
+  Info,
+  ListChecks
 } from 'lucide-react'
 import { getReport, updateReport, finalizeReport } from '../../../../../lib/reports'
 import ExecutiveSummaryTab from '../../../../../components/reports/ExecutiveSummaryTab'
@@ -30,7 +31,9 @@ import FindingsTab from '../../../../../components/reports/FindingsTab'
 import MapSnapshotsTab from '../../../../../components/reports/MapSnapshotsTab'
 import RecommendationsTab from '../../../../../components/reports/RecommendationsTab'
 import SettingsTab from '../../../../../components/reports/SettingsTab'
+import QAChecklistTab from '../../../../../components/reports/QAChecklistTab'
 import HelpIcon from '@/components/help/HelpIcon'
+import ExchangeExportButton from '@/components/ExchangeExportButton'
 
 export default function ReportEditorPage() {
   const params = useParams()
@@ -113,6 +116,17 @@ export default function ReportEditorPage() {
       }
     }
 
+  // Ask the user to acknowledge failing QA checks, then finalize anyway
+  const confirmQaIssues = (qa) => {
+    const list = qa.checks
+      .filter(check => !check.passed)
+      .map(check => `- ${check.label}: ${check.issues.length} issue${check.issues.length !== 1 ? 's' : ''}`)
+      .join('\n')
+    return window.confirm(
+      `This report has not passed QA:\n\n${list}\n\nFinalize anyway and record that you have acknowledged these issues?`
+    )
+  }
+
   const handleFinalize = async () => {
     if (unsavedChanges) {
       await handleSave()
@@ -123,7 +137,12 @@ export default function ReportEditorPage() {
     }
     
     try {
-      await finalizeReport(reportId)
+      try {
+        await finalizeReport(reportId)
+      } catch (err) {
+        if (err.code !== 'QA_FAILED' || !confirmQaIssues(err.qa)) throw err
+        await finalizeReport(reportId, { acknowledgeQaIssues: true })
+      }
       router.push(`/projects/${projectId}/reports`)
     } catch (err) {
       console.error('Error finalizing report:', err)
@@ -201,6 +220,22 @@ export default function ReportEditorPage() {
         ]
       }
     },
+    { 
+      id: 'qa', 
+      label: 'QA Checklist', 
+      icon: ListChecks,
+      help: {
+        title: 'QA Checklist',
+        content: 'Survey quality checks that run before the report can be finalized.',
+        bullets: [
+          'START and FINISH present in every section',
+          'Distances, required code fields and SA reasons',
+          'Images on every severity 4+ observation',
+          'Continuous defects correctly paired',
+          'Links open the offending observation in the project'
+        ]
+      }
+    },
     { 
       id: 'settings', 
       label: 'Report Settings', 
@@ -362,6 +397,23 @@ export default function ReportEditorPage() {
                   </div>
                 </>
               )}
+              <div className="flex items-center gap-2">
+                <ExchangeExportButton
+                  project={report.project_snapshot}
+                  sections={report.sections_snapshot || []}
+                  observations={report.observations_snapshot || []}
+                />
+                <HelpIcon
+                  title="MSCC5 Export"
+                  content="Download this report's survey data in the MSCC5 exchange layout."
+                  bullets={[
+                    'Uses the data captured in the report snapshot',
+                    'XML or CSV for client asset systems',
+                    'Images and videos are not included'
+                  ]}
+                  size="sm"
+                />
+              </div>
               <div className="flex items-center gap-2">
                 <Link
                   href={`/projects/${projectId}/reports/${reportId}/share`}
@@ -590,6 +642,28 @@ export default function ReportEditorPage() {
             </div>
           )}
           
+          {activeTab === 'qa' && (
+            <div className="p-6">
+              <div className="flex items-center gap-2 mb-4">
+                <h2 className="text-lg font-medium text-gray-900">QA Checklist</h2>
+                <HelpIcon
+                  title="Survey QA"
+                  content="Checks the survey data captured in this report."
+                  bullets={[
+                    'Runs automatically when you finalize',
+                    'Failing checks must be fixed or acknowledged',
+                    'Acknowledged issues are recorded with the report',
+                    'Fixes made in the project need a new report'
+                  ]}
+                />
+              </div>
+              <QAChecklistTab
+                report={report}
+                projectId={projectId}
+              />
+            </div>
+          )}
+          
           {activeTab === 'settings' && (
             <div className="p-6">
               <div className="flex items-center gap-2 mb-4">
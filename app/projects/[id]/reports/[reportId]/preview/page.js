@@ -6,8 +6,8 @@
 import { useState, useEffect } from 'react'
 import { useParams, useRouter } from 'next/navigation'
 import Link from 'next/link'
-import { ArrowLeft, Edit, Share2, Download } from 'lucide-react'
-import { getReport } from '@/lib/reports'
+import { ArrowLeft, Edit, Share2, Download, Loader } from 'lucide-react'
+import { getReport, downloadReportPdf } from '@/lib/reports'
 
 // Import all the same components used in the shared report viewer
 import ProjectOverview from '@/components/reports/ProjectOverview'
@@ -36,6 +36,7 @@ export default function ReportPreviewPage() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [report, setReport] = useState(null)
+  const [downloading, setDownloading] = useState(false)
   const [expandedSections, setExpandedSections] = useState({
     methodology: false,
     limitations: false
@@ -78,6 +79,18 @@ export default function ReportPreviewPage() {
     }, 100)
   }
 
+  const handleDownloadPdf = async () => {
+    try {
+      setDownloading(true)
+      await downloadReportPdf(reportId)
+    } catch (error) {
+      console.error('Error downloading PDF:', error)
+      alert(error.message || 'Failed to download PDF')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
   if (loading) {
     return <LoadingState message="Loading report preview..." />
   }
@@ -148,11 +161,16 @@ export default function ReportPreviewPage() {
             
             <div className="flex items-center space-x-3">
               <button
-                onClick={handlePrint}
-                className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                onClick={handleDownloadPdf}
+                disabled={downloading}
+                className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
               >
-                <Download className="h-4 w-4 mr-1.5" />
-                Print Preview
+                {downloading ? (
+                  <Loader className="h-4 w-4 mr-1.5 animate-spin" />
+                ) : (
+                  <Download className="h-4 w-4 mr-1.5" />
+                )}
+                {downloading ? 'Generating PDF...' : 'Download PDF'}
               </button>
               
               {report.share_token && (
@@ -194,6 +212,7 @@ export default function ReportPreviewPage() {
           branding={branding}
           shareSettings={mockShareSettings}
           onPrint={handlePrint}
+          onDownload={() => downloadReportPdf(reportId)}
         />
       </div>
 
@@ -79,6 +79,17 @@ export default function ProjectReportsPage() {
     }
   }
 
+  // Ask the user to acknowledge failing QA checks, then finalize anyway
+  const confirmQaIssues = (qa) => {
+    const list = qa.checks
+      .filter(check => !check.passed)
+      .map(check => `- ${check.label}: ${check.issues.length} issue${check.issues.length !== 1 ? 's' : ''}`)
+      .join('\n')
+    return window.confirm(
+      `This report has not passed QA:\n\n${list}\n\nFinalize anyway and record that you have acknowledged these issues?`
+    )
+  }
+
   const handleFinalize = async (reportId) => {
     if (!window.confirm('Are you sure you want to finalize this report? Once finalized, it cannot be edited.')) {
       return
@@ -86,7 +97,12 @@ export default function ProjectReportsPage() {
     
     try {
       setFinalizingId(reportId)
-      await finalizeReport(reportId)
+      try {
+        await finalizeReport(reportId)
+      } catch (err) {
+        if (err.code !== 'QA_FAILED' || !confirmQaIssues(err.qa)) throw err
+        await finalizeReport(reportId, { acknowledgeQaIssues: true })
+      }
       await loadProjectAndReports() // Reload list
     } catch (err) {
       console.error('Error finalizing report:', err)
@@ -1,6 +1,7 @@
 'use client'
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
+import { uploadMedia } from '@/lib/video/storage/browser-upload'
 import { useRouter } from 'next/navigation'
 import Link from 'next/link'
 import { Upload, X, Building2, User, FileImage, Copy } from 'lucide-react'
@@ -139,22 +140,11 @@ export default function EnhancedNewProjectPage() {
       const { data: { user } } = await supabase.auth.getUser()
       if (!user) throw new Error('User not authenticated')
 
-      const fileExt = file.name.split('.').pop()
-      const fileName = `${user.id}_${type}_${Date.now()}.${fileExt}`
-      const filePath = `project-images/${fileName}`
-
-      const { error: uploadError } = await supabase.storage
-        .from('images')
-        .upload(filePath, file)
-
-      if (uploadError) throw uploadError
-
-      const { data } = supabase.storage
-        .from('images')
-        .getPublicUrl(filePath)
+      // The project does not exist yet, so its images are filed under the user
+      const publicUrl = await uploadMedia(file, { kind: 'project-image', ownerId: user.id })
 
       const field = type === 'site' ? 'site_image_url' : 'client_image_url'
-      handleInputChange(field, data.publicUrl)
+      handleInputChange(field, publicUrl)
 
     } catch (error) {
       console.error('Error uploading image:', error)
@@ -3,7 +3,7 @@
 
 import { useState, useEffect } from 'react'
 import { useParams } from 'next/navigation'
-import { getReportByShareToken } from '@/lib/reports'
+import { getReportByShareToken, downloadReportPdf } from '@/lib/reports'
 import ProjectOverview from '@/components/reports/ProjectOverview'
 import ReportHeader from '@/components/reports/ReportHeader'
 import ReportFooter from '@/components/reports/ReportFooter'
@@ -110,6 +110,7 @@ export default function PublicReportViewer() {
           branding={branding}
           shareSettings={shareSettings}
           onPrint={handlePrint}
+          onDownload={() => downloadReportPdf(report.id, { shareToken })}
         />
       </div>
 
@@ -2,10 +2,14 @@
 'use client'
 
 import { useState, useRef, useEffect } from 'react'
-import { Upload, Film, AlertCircle, CheckCircle, X, Trash2, Play, Clock, Coins } from 'lucide-react'
+import { Upload, Film, AlertCircle, CheckCircle, X, Trash2, Play, Clock, Coins, RefreshCw, Wand2 } from 'lucide-react'
 import { useAuth } from '@/lib/auth-context'
 import { supabase } from '@/lib/supabase'
+import { getBrowserConversionSupport } from '@/lib/video/browser-transcoder'
+import { useBrowserTranscode } from '@/hooks/useBrowserTranscode'
 import VideoPreviewModal from './VideoPreviewModal'
+import PoolAutoAssign from './PoolAutoAssign'
+import { shouldUploadMultipart, uploadFileMultipart, findResumableUpload } from '@/lib/video/multipart-uploader'
 
 // Conditionally import PoolTranscodeManager if it exists
 let PoolTranscodeManager = null
@@ -46,6 +50,7 @@ import('@/lib/credits').then(module => {
 // Import video processing functions
 let detectVideoFormat = null
 let generateVideoThumbnail = null
+let detectFrameRate = null
 
 // Try to load video processing functions
 import('@/lib/video/format-detector').then(module => {
@@ -56,6 +61,7 @@ import('@/lib/video/format-detector').then(module => {
 
 import('@/lib/video/video-metadata').then(module => {
   generateVideoThumbnail = module.generateVideoThumbnail
+  detectFrameRate = module.detectFrameRate
 }).catch(err => {
   console.log('Video metadata not loaded, using fallback:', err)
 })
@@ -152,6 +158,13 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
   const [previewVideo, setPreviewVideo] = useState(null)
   const [showPreview, setShowPreview] = useState(false)
   
+  // Proposes sections for pool videos from filenames / on-screen text
+  const [showAutoAssign, setShowAutoAssign] = useState(false)
+  
+  // In-browser conversion of formats browsers cannot play
+  const { convertingKey, converting, progress: conversionProgress, convert, cancel: cancelConversion } = useBrowserTranscode()
+  const [conversionErrors, setConversionErrors] = useState({})
+  
   const fileInputRef = useRef(null)
 
   // Constants
@@ -288,6 +301,11 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
         metadata = await fallbackExtractMetadata(file)
       }
 
+      // Frame rate for frame stepping in the player; needs a format the browser can play
+      if (detectFrameRate && formatInfo?.compatibility?.canPlayInBrowser) {
+        metadata.frameRate = await detectFrameRate(file)
+      }
+
       // Calculate credits based on file size (if dynamic pricing is available)
       const credits = await calculateCreditsRequired('video_upload', { 
         fileSize: file.size,
@@ -358,7 +376,9 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
         metadata,
         creditsNeeded: credits,
         size: file.size,
-        name: file.name
+        name: file.name,
+        conversion: getBrowserConversionSupport(file, formatInfo),
+        convertedFrom: null
       }
       
       newFiles.push(fileData)
@@ -403,71 +423,146 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
     }
   }
 
-  // Upload single file to pool
-  const uploadFileToPool = async (fileData) => {
-    const { file, id, formatInfo, metadata } = fileData
-
+  // Convert one selected file to MP4 locally and swap it in; only the converted file is uploaded and charged
+  const convertFileInBrowser = async (fileData) => {
+    setConversionErrors(prev => ({ ...prev, [fileData.id]: null }))
+    
     try {
-      setUploadStatus(prev => ({
+      const converted = await convert(fileData.id, fileData.file)
+      if (!converted) return false // Cancelled - keep the original
+      
+      const { formatInfo, metadata, credits } = await processVideoFile(converted)
+      
+      setSelectedFiles(prev => prev.map(f => f.id === fileData.id ? {
+        ...f,
+        file: converted,
+        formatInfo,
+        metadata,
+        creditsNeeded: credits,
+        size: converted.size,
+        name: converted.name,
+        conversion: getBrowserConversionSupport(converted, formatInfo),
+        convertedFrom: { name: f.name, size: f.size, credits: f.creditsNeeded }
+      } : f))
+      setTotalCreditsNeeded(prev => prev - fileData.creditsNeeded + credits)
+      return true
+    } catch (error) {
+      setConversionErrors(prev => ({
         ...prev,
-        [file.name]: { status: 'uploading', message: 'Getting upload URL...' }
+        [fileData.id]: `Browser conversion failed: ${error.message}. The original will be converted on the server instead.`
       }))
+      return true
+    }
+  }
 
-      // Get upload URL for pool
-      const { success, uploadData, error } = await getUploadUrl({
-        fileName: file.name,
-        contentType: file.type || 'video/mp4',
-        contentLength: file.size,
-        projectId: projectId,
-        userId: user.id
-      })
+  // Convert every file that can be converted, one at a time; cancelling stops the rest
+  const convertAllInBrowser = async () => {
+    const pending = selectedFiles.filter(f => f.conversion?.supported && !f.convertedFrom)
+    for (const fileData of pending) {
+      const carryOn = await convertFileInBrowser(fileData)
+      if (!carryOn) break
+    }
+  }
 
-      if (!success) {
-        throw new Error(error || 'Failed to get upload URL')
-      }
+  // Upload single file to pool
+  const uploadFileToPool = async (fileData) => {
+    const { file, id, formatInfo, metadata } = fileData
 
-      setUploadStatus(prev => ({
-        ...prev,
-        [file.name]: { status: 'uploading', message: 'Uploading to storage...' }
-      }))
+    try {
+      let uploadData
+      let uploadChecksum = null
 
-      // Upload file using XMLHttpRequest for progress tracking
-      await new Promise((resolve, reject) => {
-        const xhr = new XMLHttpRequest()
+      if (await shouldUploadMultipart(file)) {
+        // Large files go up in checksummed parts and pick up where they stopped if the page is reloaded
+        const target = { type: 'pool', projectId }
+        const resumable = await findResumableUpload(file, target)
 
-        xhr.upload.addEventListener('progress', (event) => {
-          if (event.lengthComputable) {
-            const percentComplete = Math.round((event.loaded / event.total) * 100)
+        setUploadStatus(prev => ({
+          ...prev,
+          [file.name]: {
+            status: 'uploading',
+            message: resumable
+              ? `Resuming upload (${Math.round((resumable.uploadedBytes / file.size) * 100)}% already stored)...`
+              : 'Uploading to storage...'
+          }
+        }))
+
+        const result = await uploadFileMultipart(file, {
+          target,
+          contentType: file.type || 'video/mp4',
+          onProgress: (progress) => {
             setUploadProgress(prev => ({
               ...prev,
-              [file.name]: percentComplete
+              [file.name]: Math.round(progress)
             }))
           }
         })
 
-        xhr.addEventListener('load', () => {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            resolve()
-          } else {
-            reject(new Error(`Upload failed with status ${xhr.status}`))
-          }
-        })
+        uploadData = { key: result.key, publicUrl: result.publicUrl }
+        uploadChecksum = result.checksum
+      } else {
+        setUploadStatus(prev => ({
+          ...prev,
+          [file.name]: { status: 'uploading', message: 'Getting upload URL...' }
+        }))
 
-        xhr.addEventListener('error', () => {
-          reject(new Error('Upload failed'))
+        // Get upload URL for pool
+        const { success, uploadData: singleUpload, error } = await getUploadUrl({
+          fileName: file.name,
+          contentType: file.type || 'video/mp4',
+          contentLength: file.size,
+          projectId: projectId,
+          userId: user.id
         })
 
-        xhr.open(uploadData.method, uploadData.url)
+        if (!success) {
+          throw new Error(error || 'Failed to get upload URL')
+        }
+        uploadData = singleUpload
+
+        setUploadStatus(prev => ({
+          ...prev,
+          [file.name]: { status: 'uploading', message: 'Uploading to storage...' }
+        }))
+
+        // Upload file using XMLHttpRequest for progress tracking
+        await new Promise((resolve, reject) => {
+          const xhr = new XMLHttpRequest()
+
+          xhr.upload.addEventListener('progress', (event) => {
+            if (event.lengthComputable) {
+              const percentComplete = Math.round((event.loaded / event.total) * 100)
+              setUploadProgress(prev => ({
+                ...prev,
+                [file.name]: percentComplete
+              }))
+            }
+          })
+
+          xhr.addEventListener('load', () => {
+            if (xhr.status >= 200 && xhr.status < 300) {
+              resolve()
+            } else {
+              reject(new Error(`Upload failed with status ${xhr.status}`))
+            }
+          })
+
+          xhr.addEventListener('error', () => {
+            reject(new Error('Upload failed'))
+          })
+
+          xhr.open(uploadData.method, uploadData.url)
         
-        // Set headers
-        Object.entries(uploadData.headers).forEach(([key, value]) => {
-          if (key !== 'Content-Length') { // Browser sets this automatically
-            xhr.setRequestHeader(key, value)
-          }
-        })
+          // Set headers
+          Object.entries(uploadData.headers).forEach(([key, value]) => {
+            if (key !== 'Content-Length') { // Browser sets this automatically
+              xhr.setRequestHeader(key, value)
+            }
+          })
 
-        xhr.send(file)
-      })
+          xhr.send(file)
+        })
+      }
 
       setUploadStatus(prev => ({
         ...prev,
@@ -498,6 +593,11 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
             ...metadata,
             formatAnalysis: formatInfo,
             needsTranscoding,
+            uploadChecksum,
+            convertedInBrowser: fileData.convertedFrom ? {
+              originalFilename: fileData.convertedFrom.name,
+              originalSize: fileData.convertedFrom.size
+            } : null,
             uploadedAt: new Date().toISOString()
           }
         })
@@ -671,21 +771,12 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
         throw dbError
       }
 
-      // Try to delete from S3 (optional - may fail if permissions not set)
+      // Remove the stored file too (optional - the database row is what matters)
       if (videoUrl) {
-        try {
-          // Parse S3 URL to get bucket and key
-          const url = new URL(videoUrl)
-          const pathParts = url.pathname.split('/')
-          const bucket = url.hostname.split('.')[0]
-          const key = pathParts.slice(1).join('/')
-          
-          // Call a server action to delete from S3 if available
-          // This would need to be implemented server-side
-          console.log('Video deleted from database. S3 deletion would require server-side implementation.')
-        } catch (s3Error) {
-          console.error('Could not delete from S3:', s3Error)
-          // Continue anyway - database deletion is what matters
+        const { deletePoolVideo: deletePoolVideoFile } = await import('@/lib/actions/video-pool-upload')
+        const result = await deletePoolVideoFile(videoUrl)
+        if (!result.success) {
+          console.error('Could not delete video file from storage:', result.error)
         }
       }
 
@@ -783,7 +874,7 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
           </div>
           <button
             onClick={onClose}
-            disabled={isUploading}
+            disabled={isUploading || converting}
             className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
           >
             <X className="w-6 h-6" />
@@ -851,11 +942,20 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
                   <h3 className="text-lg font-medium">
                     Selected Files ({selectedFiles.length}/{MAX_FILES_PER_BATCH})
                   </h3>
+                  {!isUploading && !converting && selectedFiles.filter(f => f.conversion?.supported && !f.convertedFrom).length > 1 && (
+                    <button
+                      onClick={convertAllInBrowser}
+                      className="text-blue-600 hover:text-blue-700 text-sm"
+                      disabled={processingFiles}
+                    >
+                      Convert all to MP4 in browser
+                    </button>
+                  )}
                   {!isUploading && selectedFiles.length < MAX_FILES_PER_BATCH && (
                     <button
                       onClick={() => fileInputRef.current?.click()}
                       className="text-blue-600 hover:text-blue-700 text-sm"
-                      disabled={processingFiles}
+                      disabled={processingFiles || converting}
                     >
                       + Add more files ({MAX_FILES_PER_BATCH - selectedFiles.length} remaining)
                     </button>
@@ -930,6 +1030,47 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
                                 </p>
                               )}
                               
+                              {/* In-browser conversion */}
+                              {convertingKey === fileData.id ? (
+                                <div className="mt-2">
+                                  <div className="flex items-center justify-between">
+                                    <p className="text-sm text-blue-600 flex items-center gap-1">
+                                      <RefreshCw className="w-3 h-3 animate-spin" />
+                                      Converting to MP4 in your browser... {conversionProgress}%
+                                    </p>
+                                    <button
+                                      onClick={cancelConversion}
+                                      className="text-xs text-blue-700 hover:text-blue-900"
+                                    >
+                                      Cancel
+                                    </button>
+                                  </div>
+                                  <div className="w-full bg-gray-200 rounded-full h-2 mt-1">
+                                    <div
+                                      className="bg-blue-500 h-2 rounded-full transition-all"
+                                      style={{ width: `${conversionProgress}%` }}
+                                    />
+                                  </div>
+                                </div>
+                              ) : fileData.convertedFrom ? (
+                                <p className="text-xs text-green-700 mt-1">
+                                  Converted in browser from {fileData.convertedFrom.name} ({formatFileSize(fileData.convertedFrom.size)}) - the original will not be uploaded or charged
+                                </p>
+                              ) : !status && fileData.conversion?.supported ? (
+                                <button
+                                  onClick={() => convertFileInBrowser(fileData)}
+                                  disabled={isUploading || converting}
+                                  className="mt-1 text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                                >
+                                  Convert to MP4 in browser before upload (only the converted file is charged)
+                                </button>
+                              ) : fileData.conversion?.reason && (
+                                <p className="text-xs text-gray-500 mt-1">{fileData.conversion.reason}</p>
+                              )}
+                              {conversionErrors[fileData.id] && (
+                                <p className="text-xs text-red-600 mt-1">{conversionErrors[fileData.id]}</p>
+                              )}
+                              
                               {/* Status */}
                               {status && (
                                 <div className="mt-2">
@@ -964,7 +1105,7 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
                             </div>
                           </div>
                           
-                          {!isUploading && !status && (
+                          {!isUploading && !status && convertingKey !== fileData.id && (
                             <button
                               onClick={() => removeFile(fileData.id)}
                               className="text-gray-400 hover:text-red-600"
@@ -1017,9 +1158,21 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
             <div>
               <div className="flex justify-between items-center mb-4">
                 <h3 className="text-lg font-medium">Videos in Pool ({poolVideos.length}/{MAX_POOL_CAPACITY})</h3>
-                {poolVideos.length >= MAX_POOL_CAPACITY && (
-                  <span className="text-sm text-orange-600">Pool limit reached</span>
-                )}
+                <div className="flex items-center gap-3">
+                  {poolVideos.length >= MAX_POOL_CAPACITY && (
+                    <span className="text-sm text-orange-600">Pool limit reached</span>
+                  )}
+                  {poolVideos.some(v => v.status === 'ready') && (
+                    <button
+                      onClick={() => setShowAutoAssign(true)}
+                      className="flex items-center px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                      title="Propose sections from filenames or on-screen node references"
+                    >
+                      <Wand2 className="w-4 h-4 mr-1" />
+                      Auto-assign to Sections
+                    </button>
+                  )}
+                </div>
               </div>
               {poolVideos.length === 0 ? (
                 <p className="text-gray-500 text-center py-8">
@@ -1117,14 +1270,14 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
             <div className="flex gap-3">
               <button
                 onClick={onClose}
-                disabled={isUploading || processingFiles}
+                disabled={isUploading || processingFiles || converting}
                 className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
               >
                 Cancel
               </button>
               <button
                 onClick={startBulkUpload}
-                disabled={selectedFiles.length === 0 || isUploading || processingFiles}
+                disabled={selectedFiles.length === 0 || isUploading || processingFiles || converting}
                 className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
               >
                 {isUploading ? 'Uploading...' : `Upload Batch (${selectedFiles.length})`}
@@ -1144,6 +1297,15 @@ const BulkVideoUpload = ({ projectId, onClose }) => {
         }}
       />
 
+      {showAutoAssign && (
+        <PoolAutoAssign
+          projectId={projectId}
+          poolVideos={poolVideos}
+          onClose={() => setShowAutoAssign(false)}
+          onAssigned={() => loadPoolVideos()}
+        />
+      )}
+
       <input
         ref={fileInputRef}
         type="file"
@@ -0,0 +1,269 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import {
+  listApiKeysAction,
+  createApiKeyAction,
+  revokeApiKeyAction
+} from '@/lib/actions/api-keys'
+import { getAccessToken } from '@/lib/supabase'
+import {
+  Key,
+  Plus,
+  Copy,
+  Check,
+  Trash2,
+  Loader2,
+  AlertCircle
+} from 'lucide-react'
+import HelpIcon from '@/components/help/HelpIcon'
+
+const API_ENDPOINTS = [
+  { path: '/api/v1/projects', description: 'List projects (limit, offset, updated_since)' },
+  { path: '/api/v1/projects/{id}', description: 'Project details' },
+  { path: '/api/v1/projects/{id}/sections', description: 'Sections in a project' },
+  { path: '/api/v1/sections/{id}/observations', description: 'Observations in a section' },
+  { path: '/api/v1/projects/{id}/reports', description: 'Reports for a project (status=final)' },
+  { path: '/api/v1/reports/{id}', description: 'Report details and statistics' },
+  { path: '/api/v1/reports/{id}/snapshot', description: 'Download the full report snapshot (JSON)' }
+]
+
+export default function CompanyApiKeys({ userId, companyId }) {
+  const [apiKeys, setApiKeys] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [newKeyName, setNewKeyName] = useState('')
+  const [creating, setCreating] = useState(false)
+  const [revokingId, setRevokingId] = useState(null)
+  const [createdKey, setCreatedKey] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    if (userId && companyId) {
+      loadApiKeys()
+    }
+  }, [userId, companyId])
+
+  async function loadApiKeys() {
+    setLoading(true)
+    const result = await listApiKeysAction({ accessToken: await getAccessToken(), companyId })
+    if (result.success) {
+      setApiKeys(result.data)
+      setError(null)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault()
+    if (!newKeyName.trim()) return
+
+    setCreating(true)
+    setError(null)
+    const result = await createApiKeyAction({ accessToken: await getAccessToken(), companyId, name: newKeyName })
+    if (result.success) {
+      setCreatedKey(result.data)
+      setCopied(false)
+      setNewKeyName('')
+      await loadApiKeys()
+    } else {
+      setError(result.error)
+    }
+    setCreating(false)
+  }
+
+  async function handleRevoke(apiKey) {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Any system using this key will immediately lose access.`)) {
+      return
+    }
+
+    setRevokingId(apiKey.id)
+    setError(null)
+    const result = await revokeApiKeyAction({ accessToken: await getAccessToken(), companyId, keyId: apiKey.id })
+    if (result.success) {
+      if (createdKey?.id === apiKey.id) setCreatedKey(null)
+      await loadApiKeys()
+    } else {
+      setError(result.error)
+    }
+    setRevokingId(null)
+  }
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(createdKey.api_key)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (err) {
+      console.error('Error copying API key:', err)
+    }
+  }
+
+  const formatDate = (date) => date ? new Date(date).toLocaleString() : 'Never'
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-6">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <Key className="w-5 h-5 text-gray-600" />
+          <h2 className="text-lg font-medium text-gray-900">API Keys</h2>
+          <HelpIcon
+            title="API Keys"
+            content="API keys let other systems read your inspection data through the REST API."
+            bullets={[
+              'Each key gives read-only access to all of your company\'s projects',
+              'Send the key as "Authorization: Bearer <key>" or an X-API-Key header',
+              'The full key is only shown once, when it is created',
+              'Each key is limited to a number of requests per minute',
+              'Revoke a key straight away if it may have been exposed'
+            ]}
+            size="sm"
+          />
+        </div>
+      </div>
+
+      <div className="px-6 py-6 space-y-6">
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-start">
+            <AlertCircle className="w-5 h-5 text-red-600 mr-2 flex-shrink-0" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        {/* Newly created key - shown once */}
+        {createdKey && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+            <p className="text-sm font-medium text-green-800">
+              API key &quot;{createdKey.name}&quot; created
+            </p>
+            <p className="text-sm text-green-700 mt-1">
+              Copy it now - for security it will not be shown again.
+            </p>
+            <div className="mt-3 flex items-center gap-2">
+              <code className="flex-1 px-3 py-2 bg-white border border-green-200 rounded text-sm font-mono break-all">
+                {createdKey.api_key}
+              </code>
+              <button
+                onClick={handleCopy}
+                className="flex items-center px-3 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 text-sm"
+              >
+                {copied ? <Check className="w-4 h-4 mr-1" /> : <Copy className="w-4 h-4 mr-1" />}
+                {copied ? 'Copied' : 'Copy'}
+              </button>
+            </div>
+            <button
+              onClick={() => setCreatedKey(null)}
+              className="mt-3 text-sm text-green-700 hover:text-green-900"
+            >
+              I have saved this key
+            </button>
+          </div>
+        )}
+
+        {/* Create key */}
+        <form onSubmit={handleCreate} className="flex items-end gap-3">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700">New key name</label>
+            <input
+              type="text"
+              value={newKeyName}
+              onChange={(e) => setNewKeyName(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              placeholder="e.g. Asset management system"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={creating || !newKeyName.trim()}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {creating ? (
+              <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+            ) : (
+              <Plus className="w-4 h-4 mr-1" />
+            )}
+            Create Key
+          </button>
+        </form>
+
+        {/* Existing keys */}
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+          </div>
+        ) : apiKeys.length === 0 ? (
+          <p className="text-sm text-gray-500">No API keys have been created yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Key</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Created</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last Used</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Requests (30d)</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {apiKeys.map(apiKey => (
+                  <tr key={apiKey.id} className={apiKey.revoked_at ? 'opacity-50' : ''}>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {apiKey.name}
+                      {apiKey.created_by_profile && (
+                        <div className="text-xs text-gray-500">
+                          by {apiKey.created_by_profile.full_name || apiKey.created_by_profile.email}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-sm font-mono text-gray-600">{apiKey.key_prefix}…</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">{formatDate(apiKey.created_at)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">{formatDate(apiKey.last_used_at)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">
+                      {apiKey.requests_30d}
+                      <span className="text-xs text-gray-400"> ({apiKey.rate_limit_per_minute}/min limit)</span>
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {apiKey.revoked_at ? (
+                        <span className="text-xs text-red-600">Revoked {new Date(apiKey.revoked_at).toLocaleDateString()}</span>
+                      ) : (
+                        <button
+                          onClick={() => handleRevoke(apiKey)}
+                          disabled={revokingId === apiKey.id}
+                          className="flex items-center ml-auto text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          {revokingId === apiKey.id ? (
+                            <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                          ) : (
+                            <Trash2 className="w-4 h-4 mr-1" />
+                          )}
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Endpoint reference */}
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Available endpoints (GET)</h3>
+          <ul className="space-y-1">
+            {API_ENDPOINTS.map(endpoint => (
+              <li key={endpoint.path} className="text-sm">
+                <code className="font-mono text-gray-900">{endpoint.path}</code>
+                <span className="text-gray-500"> - {endpoint.description}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,327 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import {
+  getLlmSettingsAction,
+  updateLlmSettingsAction,
+  testLlmSettingsAction
+} from '@/lib/actions/llm-settings'
+import { LLM_PROVIDERS } from '@/lib/constants/llmProviders'
+import {
+  Bot,
+  Save,
+  Zap,
+  Loader2,
+  AlertCircle,
+  CheckCircle
+} from 'lucide-react'
+import HelpIcon from '@/components/help/HelpIcon'
+import { getAccessToken } from '@/lib/supabase'
+
+export default function CompanyLlmSettings({ userId, companyId }) {
+  const [settings, setSettings] = useState(null)
+  const [apiKey, setApiKey] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [testing, setTesting] = useState(false)
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    if (userId && companyId) {
+      loadSettings()
+    }
+  }, [userId, companyId])
+
+  async function loadSettings() {
+    setLoading(true)
+    const result = await getLlmSettingsAction({ accessToken: await getAccessToken(), companyId })
+    if (result.success) {
+      setSettings(result.data)
+      setError(null)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }
+
+  function updateField(field, value) {
+    setSettings(prev => ({ ...prev, [field]: value }))
+    setMessage(null)
+  }
+
+  async function handleSave(e) {
+    e.preventDefault()
+    setSaving(true)
+    setError(null)
+    setMessage(null)
+
+    const result = await updateLlmSettingsAction({ accessToken: await getAccessToken(), companyId, settings, apiKey })
+    if (result.success) {
+      setSettings(result.data)
+      setApiKey('')
+      setMessage('AI settings saved')
+    } else {
+      setError(result.error)
+    }
+    setSaving(false)
+  }
+
+  async function handleClearApiKey() {
+    if (!window.confirm('Remove the stored API key? The server default key (if any) will be used instead.')) {
+      return
+    }
+
+    setSaving(true)
+    setError(null)
+    const result = await updateLlmSettingsAction({ accessToken: await getAccessToken(), companyId, settings, clearApiKey: true })
+    if (result.success) {
+      setSettings(result.data)
+      setMessage('API key removed')
+    } else {
+      setError(result.error)
+    }
+    setSaving(false)
+  }
+
+  async function handleTest() {
+    setTesting(true)
+    setError(null)
+    setMessage(null)
+
+    const result = await testLlmSettingsAction({ accessToken: await getAccessToken(), companyId })
+    if (result.success) {
+      setMessage(`Connected to ${result.data.model} in ${result.data.latencyMs} ms (reply: "${result.data.reply}")`)
+    } else {
+      setError(`Connection test failed: ${result.error}`)
+    }
+    setTesting(false)
+  }
+
+  const provider = settings ? LLM_PROVIDERS[settings.provider] : null
+  const isTemplate = settings?.provider === 'template'
+  const isCustom = settings?.provider === 'custom'
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-6">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <Bot className="w-5 h-5 text-gray-600" />
+          <h2 className="text-lg font-medium text-gray-900">AI Report Writing</h2>
+          <HelpIcon
+            title="AI Report Writing"
+            content="Choose which model writes AI executive summaries and repair recommendations."
+            bullets={[
+              'Hosted providers receive the inspection findings of the report being summarised',
+              'Self-hosted keeps data on your infrastructure - any OpenAI-compatible server (vLLM, Ollama, LM Studio) works',
+              'Template only writes a standard summary from the inspection statistics without any model',
+              'With the template fallback on, a template result is used if the model is unavailable or keeps failing',
+              'Lower temperature gives more consistent wording; max tokens limits the length of each result'
+            ]}
+            size="sm"
+          />
+        </div>
+      </div>
+
+      <div className="px-6 py-6">
+        {loading || !settings ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+          </div>
+        ) : (
+          <form onSubmit={handleSave} className="space-y-6">
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-start">
+                <AlertCircle className="w-5 h-5 text-red-600 mr-2 flex-shrink-0" />
+                <p className="text-sm text-red-700">{error}</p>
+              </div>
+            )}
+
+            {message && (
+              <div className="bg-green-50 border border-green-200 rounded-lg p-3 flex items-start">
+                <CheckCircle className="w-5 h-5 text-green-600 mr-2 flex-shrink-0" />
+                <p className="text-sm text-green-700">{message}</p>
+              </div>
+            )}
+
+            {!isTemplate && !settings.available && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-start">
+                <AlertCircle className="w-5 h-5 text-yellow-600 mr-2 flex-shrink-0" />
+                <p className="text-sm text-yellow-700">
+                  The saved provider cannot be used: {settings.unavailable_reason}.
+                  {settings.fallback_to_template ? ' Template results will be used until this is fixed.' : ' AI generation will fail until this is fixed.'}
+                </p>
+              </div>
+            )}
+
+            {/* Provider */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Provider</label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {Object.entries(LLM_PROVIDERS).map(([key, option]) => (
+                  <label
+                    key={key}
+                    className={`flex items-start p-3 border rounded-lg cursor-pointer ${
+                      settings.provider === key ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="llm-provider"
+                      value={key}
+                      checked={settings.provider === key}
+                      onChange={() => updateField('provider', key)}
+                      className="mt-1 mr-3"
+                    />
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{option.label}</div>
+                      <div className="text-xs text-gray-500">{option.description}</div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {isCustom && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="md:col-span-3">
+                  <label className="block text-sm font-medium text-gray-700">Endpoint URL</label>
+                  <input
+                    type="url"
+                    value={settings.base_url || ''}
+                    onChange={(e) => updateField('base_url', e.target.value)}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    placeholder="https://llm.example.com/v1"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    Public https base URL of the OpenAI-compatible API; /chat/completions is added automatically
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Requests per minute</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={settings.requests_per_minute || ''}
+                    onChange={(e) => updateField('requests_per_minute', e.target.value)}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    placeholder={String(LLM_PROVIDERS.custom.requestsPerMinute)}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Tokens per minute</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={settings.tokens_per_minute || ''}
+                    onChange={(e) => updateField('tokens_per_minute', e.target.value)}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    placeholder={String(LLM_PROVIDERS.custom.tokensPerMinute)}
+                  />
+                </div>
+              </div>
+            )}
+
+            {!isTemplate && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Model</label>
+                  <input
+                    type="text"
+                    value={settings.model || ''}
+                    onChange={(e) => updateField('model', e.target.value)}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    placeholder={provider?.defaultModel || 'e.g. llama3.1:8b'}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Temperature</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="2"
+                    step="0.05"
+                    value={settings.temperature}
+                    onChange={(e) => updateField('temperature', e.target.value)}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Max tokens</label>
+                  <input
+                    type="number"
+                    min="100"
+                    max="8000"
+                    step="100"
+                    value={settings.max_tokens}
+                    onChange={(e) => updateField('max_tokens', e.target.value)}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  />
+                </div>
+
+                <div className="md:col-span-3">
+                  <label className="block text-sm font-medium text-gray-700">API key</label>
+                  <div className="mt-1 flex items-center gap-2">
+                    <input
+                      type="password"
+                      value={apiKey}
+                      onChange={(e) => setApiKey(e.target.value)}
+                      autoComplete="off"
+                      className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      placeholder={settings.has_api_key ? 'Stored - leave blank to keep' : (isCustom ? 'Optional' : 'Leave blank to use the server default key')}
+                    />
+                    {settings.has_api_key && (
+                      <button
+                        type="button"
+                        onClick={handleClearApiKey}
+                        disabled={saving}
+                        className="px-3 py-2 text-sm text-red-600 hover:text-red-800 whitespace-nowrap disabled:opacity-50"
+                      >
+                        Remove key
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <label className="flex items-start">
+              <input
+                type="checkbox"
+                checked={!!settings.fallback_to_template}
+                onChange={(e) => updateField('fallback_to_template', e.target.checked)}
+                className="mt-1 mr-2"
+              />
+              <span className="text-sm text-gray-700">
+                Use a template-based result when the model is unavailable or fails
+              </span>
+            </label>
+
+            <div className="flex items-center gap-3">
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+                Save AI Settings
+              </button>
+              {!isTemplate && (
+                <button
+                  type="button"
+                  onClick={handleTest}
+                  disabled={testing || saving}
+                  className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                  title="Sends a one-word test prompt using the saved settings"
+                >
+                  {testing ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Zap className="w-4 h-4 mr-1" />}
+                  Test Saved Settings
+                </button>
+              )}
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
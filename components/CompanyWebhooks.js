@@ -0,0 +1,551 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase, getAccessToken } from '@/lib/supabase'
+import {
+  listWebhookEndpointsAction,
+  createWebhookEndpointAction,
+  updateWebhookEndpointAction,
+  deleteWebhookEndpointAction,
+  listWebhookDeliveriesAction,
+  sendTestWebhookAction,
+  redeliverWebhookAction
+} from '@/lib/actions/webhooks'
+import { WEBHOOK_EVENTS } from '@/lib/constants/webhookEvents'
+import {
+  Webhook,
+  Plus,
+  Trash2,
+  Send,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  XCircle,
+  Clock,
+  Eye,
+  EyeOff,
+  RefreshCw,
+  ChevronDown,
+  ChevronRight,
+  Save
+} from 'lucide-react'
+import HelpIcon from '@/components/help/HelpIcon'
+
+const DELIVERY_STATUS_STYLES = {
+  delivered: { icon: CheckCircle, className: 'text-green-600' },
+  failed: { icon: XCircle, className: 'text-red-600' },
+  pending: { icon: Clock, className: 'text-yellow-600' },
+  sending: { icon: Loader2, className: 'text-blue-600' }
+}
+
+const getEventLabel = (type) => WEBHOOK_EVENTS.find(event => event.type === type)?.label || type
+
+export default function CompanyWebhooks({ userId, companyId, lowCreditsThreshold }) {
+  const [endpoints, setEndpoints] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  // New endpoint form
+  const [showAddForm, setShowAddForm] = useState(false)
+  const [newEndpoint, setNewEndpoint] = useState({ url: '', description: '', events: [] })
+  const [saving, setSaving] = useState(false)
+
+  // Per-endpoint UI state
+  const [busyEndpointId, setBusyEndpointId] = useState(null)
+  const [visibleSecrets, setVisibleSecrets] = useState(new Set())
+  const [expandedEndpointId, setExpandedEndpointId] = useState(null)
+  const [deliveries, setDeliveries] = useState([])
+  const [loadingDeliveries, setLoadingDeliveries] = useState(false)
+
+  // Low credit threshold (companies.low_credits_threshold)
+  const [threshold, setThreshold] = useState(lowCreditsThreshold ?? 50)
+  const [savingThreshold, setSavingThreshold] = useState(false)
+
+  useEffect(() => {
+    if (userId && companyId) {
+      loadEndpoints()
+    }
+  }, [userId, companyId])
+
+  async function loadEndpoints() {
+    setLoading(true)
+    const result = await listWebhookEndpointsAction({ accessToken: await getAccessToken(), companyId })
+    if (result.success) {
+      setEndpoints(result.data)
+      setError(null)
+    } else {
+      setError(result.error)
+    }
+    setLoading(false)
+  }
+
+  async function loadDeliveries(endpointId) {
+    setLoadingDeliveries(true)
+    const result = await listWebhookDeliveriesAction({ accessToken: await getAccessToken(), companyId, endpointId })
+    if (result.success) {
+      setDeliveries(result.data)
+    } else {
+      setError(result.error)
+    }
+    setLoadingDeliveries(false)
+  }
+
+  function showMessage(text) {
+    setMessage(text)
+    setTimeout(() => setMessage(null), 4000)
+  }
+
+  function toggleNewEvent(type) {
+    const events = newEndpoint.events.includes(type)
+      ? newEndpoint.events.filter(event => event !== type)
+      : [...newEndpoint.events, type]
+    setNewEndpoint({ ...newEndpoint, events })
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault()
+    setSaving(true)
+    setError(null)
+    const result = await createWebhookEndpointAction({ accessToken: await getAccessToken(), companyId, ...newEndpoint })
+    if (result.success) {
+      setNewEndpoint({ url: '', description: '', events: [] })
+      setShowAddForm(false)
+      setVisibleSecrets(new Set([result.data.id]))
+      await loadEndpoints()
+      showMessage('Webhook endpoint added - copy its signing secret to your receiver')
+    } else {
+      setError(result.error)
+    }
+    setSaving(false)
+  }
+
+  async function handleUpdate(endpoint, updates) {
+    setBusyEndpointId(endpoint.id)
+    setError(null)
+    const result = await updateWebhookEndpointAction({ accessToken: await getAccessToken(), companyId, endpointId: endpoint.id, updates })
+    if (result.success) {
+      setEndpoints(endpoints.map(item => item.id === endpoint.id ? result.data : item))
+    } else {
+      setError(result.error)
+    }
+    setBusyEndpointId(null)
+  }
+
+  function handleToggleEvent(endpoint, type) {
+    const events = endpoint.events.includes(type)
+      ? endpoint.events.filter(event => event !== type)
+      : [...endpoint.events, type]
+    handleUpdate(endpoint, { events })
+  }
+
+  function handleRotateSecret(endpoint) {
+    if (!window.confirm('Generate a new signing secret? Your receiver must be updated before it will accept new events.')) {
+      return
+    }
+    setVisibleSecrets(new Set([...visibleSecrets, endpoint.id]))
+    handleUpdate(endpoint, { rotateSecret: true })
+  }
+
+  async function handleDelete(endpoint) {
+    if (!window.confirm(`Delete the webhook for ${endpoint.url}? Its delivery log will also be removed.`)) {
+      return
+    }
+
+    setBusyEndpointId(endpoint.id)
+    const result = await deleteWebhookEndpointAction({ accessToken: await getAccessToken(), companyId, endpointId: endpoint.id })
+    if (result.success) {
+      if (expandedEndpointId === endpoint.id) setExpandedEndpointId(null)
+      await loadEndpoints()
+    } else {
+      setError(result.error)
+    }
+    setBusyEndpointId(null)
+  }
+
+  async function handleSendTest(endpoint) {
+    setBusyEndpointId(endpoint.id)
+    setError(null)
+    const result = await sendTestWebhookAction({ accessToken: await getAccessToken(), companyId, endpointId: endpoint.id })
+    if (result.success) {
+      const delivery = result.data
+      if (delivery.status === 'delivered') {
+        showMessage(`Test event delivered (HTTP ${delivery.response_status})`)
+      } else {
+        setError(`Test event failed: ${delivery.error}`)
+      }
+      if (expandedEndpointId === endpoint.id) await loadDeliveries(endpoint.id)
+    } else {
+      setError(result.error)
+    }
+    setBusyEndpointId(null)
+  }
+
+  async function handleRedeliver(delivery) {
+    setError(null)
+    const result = await redeliverWebhookAction({ accessToken: await getAccessToken(), companyId, deliveryId: delivery.id })
+    if (!result.success) {
+      setError(result.error)
+    }
+    await loadDeliveries(expandedEndpointId)
+  }
+
+  function toggleDeliveries(endpointId) {
+    if (expandedEndpointId === endpointId) {
+      setExpandedEndpointId(null)
+    } else {
+      setExpandedEndpointId(endpointId)
+      setDeliveries([])
+      loadDeliveries(endpointId)
+    }
+  }
+
+  function toggleSecret(endpointId) {
+    const newVisible = new Set(visibleSecrets)
+    if (newVisible.has(endpointId)) {
+      newVisible.delete(endpointId)
+    } else {
+      newVisible.add(endpointId)
+    }
+    setVisibleSecrets(newVisible)
+  }
+
+  async function handleSaveThreshold() {
+    try {
+      setSavingThreshold(true)
+      setError(null)
+      const { error } = await supabase
+        .from('companies')
+        .update({ low_credits_threshold: parseFloat(threshold) || 0 })
+        .eq('id', companyId)
+
+      if (error) throw error
+      showMessage('Low credit threshold saved')
+    } catch (err) {
+      console.error('Error saving low credit threshold:', err)
+      setError(err.message)
+    } finally {
+      setSavingThreshold(false)
+    }
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg mb-6">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex justify-between items-center">
+          <div className="flex items-center gap-2">
+            <Webhook className="w-5 h-5 text-gray-600" />
+            <h2 className="text-lg font-medium text-gray-900">Webhooks</h2>
+            <HelpIcon
+              title="Webhooks"
+              content="Webhooks notify your other systems as soon as something happens, instead of them polling the API."
+              bullets={[
+                'Each event is sent as a JSON POST to your URL',
+                'Verify the X-Webhook-Signature header: HMAC-SHA256 of "<timestamp>.<body>" using the signing secret',
+                'Failed deliveries are retried after 1 min, 5 min, 30 min, 2 h and 12 h',
+                'Use "Send test event" to check your receiver is working'
+              ]}
+              size="sm"
+            />
+          </div>
+          {!showAddForm && (
+            <button
+              onClick={() => setShowAddForm(true)}
+              className="text-blue-600 hover:text-blue-800 flex items-center"
+            >
+              <Plus className="w-5 h-5 mr-1" />
+              Add Endpoint
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="px-6 py-6 space-y-6">
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-start">
+            <AlertCircle className="w-5 h-5 text-red-600 mr-2 flex-shrink-0" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-3 flex items-start">
+            <CheckCircle className="w-5 h-5 text-green-600 mr-2 flex-shrink-0" />
+            <p className="text-sm text-green-700">{message}</p>
+          </div>
+        )}
+
+        {/* Add endpoint */}
+        {showAddForm && (
+          <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Endpoint URL</label>
+              <input
+                type="url"
+                value={newEndpoint.url}
+                onChange={(e) => setNewEndpoint({ ...newEndpoint, url: e.target.value })}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                placeholder="https://example.com/webhooks/inspections"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Description</label>
+              <input
+                type="text"
+                value={newEndpoint.description}
+                onChange={(e) => setNewEndpoint({ ...newEndpoint, description: e.target.value })}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                placeholder="Optional"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Events</label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {WEBHOOK_EVENTS.map(event => (
+                  <label key={event.type} className="flex items-start text-sm">
+                    <input
+                      type="checkbox"
+                      checked={newEndpoint.events.includes(event.type)}
+                      onChange={() => toggleNewEvent(event.type)}
+                      className="mt-0.5 mr-2 rounded border-gray-300"
+                    />
+                    <span>
+                      <span className="font-medium text-gray-900">{event.label}</span>
+                      <span className="block text-xs text-gray-500">{event.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={saving || !newEndpoint.url || newEndpoint.events.length === 0}
+                className="flex items-center px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+                Add Endpoint
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowAddForm(false)}
+                className="px-3 py-1 text-gray-600 hover:text-gray-800"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Endpoints */}
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+          </div>
+        ) : endpoints.length === 0 ? (
+          <p className="text-sm text-gray-500">No webhook endpoints have been added yet</p>
+        ) : (
+          <div className="space-y-4">
+            {endpoints.map(endpoint => {
+              const isBusy = busyEndpointId === endpoint.id
+              const isExpanded = expandedEndpointId === endpoint.id
+
+              return (
+                <div key={endpoint.id} className={`border rounded-lg ${endpoint.is_active ? 'border-gray-200' : 'border-gray-200 bg-gray-50'}`}>
+                  <div className="p-4 space-y-3">
+                    <div className="flex justify-between items-start">
+                      <div className="min-w-0">
+                        <p className="text-sm font-mono text-gray-900 break-all">{endpoint.url}</p>
+                        {endpoint.description && (
+                          <p className="text-xs text-gray-500 mt-1">{endpoint.description}</p>
+                        )}
+                      </div>
+                      <label className="flex items-center text-sm text-gray-700 ml-4 flex-shrink-0">
+                        <input
+                          type="checkbox"
+                          checked={endpoint.is_active}
+                          disabled={isBusy}
+                          onChange={() => handleUpdate(endpoint, { is_active: !endpoint.is_active })}
+                          className="mr-2 rounded border-gray-300"
+                        />
+                        Active
+                      </label>
+                    </div>
+
+                    {/* Subscribed events */}
+                    <div className="flex flex-wrap gap-2">
+                      {WEBHOOK_EVENTS.map(event => {
+                        const subscribed = endpoint.events.includes(event.type)
+                        return (
+                          <button
+                            key={event.type}
+                            onClick={() => handleToggleEvent(endpoint, event.type)}
+                            disabled={isBusy || (subscribed && endpoint.events.length === 1)}
+                            title={event.description}
+                            className={`px-2 py-1 text-xs rounded-full border ${
+                              subscribed
+                                ? 'bg-blue-50 border-blue-200 text-blue-700'
+                                : 'bg-white border-gray-200 text-gray-400'
+                            }`}
+                          >
+                            {event.label}
+                          </button>
+                        )
+                      })}
+                    </div>
+
+                    {/* Signing secret */}
+                    <div className="flex items-center gap-2 text-sm">
+                      <span className="text-gray-700">Signing secret:</span>
+                      <code className="font-mono text-gray-900 break-all">
+                        {visibleSecrets.has(endpoint.id) ? endpoint.secret : '••••••••••••••••'}
+                      </code>
+                      <button
+                        onClick={() => toggleSecret(endpoint.id)}
+                        className="text-gray-500 hover:text-gray-700"
+                        title={visibleSecrets.has(endpoint.id) ? 'Hide secret' : 'Show secret'}
+                      >
+                        {visibleSecrets.has(endpoint.id) ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                      </button>
+                      <button
+                        onClick={() => handleRotateSecret(endpoint)}
+                        disabled={isBusy}
+                        className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        Rotate
+                      </button>
+                    </div>
+
+                    {/* Actions */}
+                    <div className="flex items-center gap-4">
+                      <button
+                        onClick={() => handleSendTest(endpoint)}
+                        disabled={isBusy || !endpoint.is_active}
+                        className="flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        {isBusy ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Send className="w-4 h-4 mr-1" />}
+                        Send test event
+                      </button>
+                      <button
+                        onClick={() => toggleDeliveries(endpoint.id)}
+                        className="flex items-center text-sm text-gray-600 hover:text-gray-800"
+                      >
+                        {isExpanded ? <ChevronDown className="w-4 h-4 mr-1" /> : <ChevronRight className="w-4 h-4 mr-1" />}
+                        Delivery log
+                      </button>
+                      <button
+                        onClick={() => handleDelete(endpoint)}
+                        disabled={isBusy}
+                        className="flex items-center text-sm text-red-600 hover:text-red-800 disabled:opacity-50 ml-auto"
+                      >
+                        <Trash2 className="w-4 h-4 mr-1" />
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Delivery log */}
+                  {isExpanded && (
+                    <div className="border-t border-gray-200 px-4 py-3">
+                      <div className="flex justify-between items-center mb-2">
+                        <h3 className="text-sm font-medium text-gray-700">Recent deliveries</h3>
+                        <button
+                          onClick={() => loadDeliveries(endpoint.id)}
+                          className="text-gray-500 hover:text-gray-700"
+                          title="Refresh"
+                        >
+                          <RefreshCw className={`w-4 h-4 ${loadingDeliveries ? 'animate-spin' : ''}`} />
+                        </button>
+                      </div>
+                      {deliveries.length === 0 ? (
+                        <p className="text-sm text-gray-500">
+                          {loadingDeliveries ? 'Loading...' : 'No deliveries yet'}
+                        </p>
+                      ) : (
+                        <table className="min-w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-xs text-gray-500 uppercase">
+                              <th className="py-1 pr-4">Event</th>
+                              <th className="py-1 pr-4">Status</th>
+                              <th className="py-1 pr-4">Attempts</th>
+                              <th className="py-1 pr-4">Response</th>
+                              <th className="py-1 pr-4">Created</th>
+                              <th className="py-1"></th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-100">
+                            {deliveries.map(delivery => {
+                              const statusStyle = DELIVERY_STATUS_STYLES[delivery.status] || DELIVERY_STATUS_STYLES.pending
+                              const StatusIcon = statusStyle.icon
+                              return (
+                                <tr key={delivery.id}>
+                                  <td className="py-1 pr-4 text-gray-900">{getEventLabel(delivery.event_type)}</td>
+                                  <td className={`py-1 pr-4 ${statusStyle.className}`}>
+                                    <span className="flex items-center">
+                                      <StatusIcon className="w-4 h-4 mr-1" />
+                                      {delivery.status}
+                                    </span>
+                                    {delivery.status === 'pending' && delivery.attempt_count > 0 && (
+                                      <span className="block text-xs text-gray-500">
+                                        retry {new Date(delivery.next_attempt_at).toLocaleTimeString()}
+                                      </span>
+                                    )}
+                                  </td>
+                                  <td className="py-1 pr-4 text-gray-600">{delivery.attempt_count}</td>
+                                  <td className="py-1 pr-4 text-gray-600">
+                                    {delivery.response_status ? `HTTP ${delivery.response_status}` : (delivery.error || '-')}
+                                  </td>
+                                  <td className="py-1 pr-4 text-gray-600">{new Date(delivery.created_at).toLocaleString()}</td>
+                                  <td className="py-1 text-right">
+                                    {['failed', 'delivered'].includes(delivery.status) && (
+                                      <button
+                                        onClick={() => handleRedeliver(delivery)}
+                                        className="text-xs text-blue-600 hover:text-blue-800"
+                                      >
+                                        Redeliver
+                                      </button>
+                                    )}
+                                  </td>
+                                </tr>
+                              )
+                            })}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {/* Low credit threshold for credits.low */}
+        <div className="border-t border-gray-200 pt-4">
+          <label className="block text-sm font-medium text-gray-700">Low credit threshold</label>
+          <div className="mt-1 flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              className="block w-32 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+            <button
+              onClick={handleSaveThreshold}
+              disabled={savingThreshold}
+              className="flex items-center px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {savingThreshold ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+              Save
+            </button>
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            A &quot;Credits low&quot; event is sent when your balance drops below this number of credits
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,435 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { ScanLine, X, Check, Pencil, Trash2 } from 'lucide-react'
+import { useAuth } from '@/lib/auth-context'
+import { getAIService, getUserAISettings } from '@/lib/ai-service'
+import { checkCredits, consumeCredits, calculateCreditsRequired } from '@/lib/credits'
+import { createObservation, getCodeDetails, uploadObservationImage, validateObservation } from '@/lib/observations'
+import {
+  getObservationDraftsAction,
+  saveObservationDraftsAction,
+  reviewObservationDraftsAction
+} from '@/lib/actions/observation-drafts'
+import {
+  detectDefectsInVideo,
+  DETECTION_INTERVALS,
+  DEFAULT_DETECTION_INTERVAL,
+  DEFAULT_MIN_CONFIDENCE
+} from '@/lib/video/defect-detection'
+import { isCurveCurrent } from '@/lib/video/distance-curve'
+import HelpIcon from '@/components/help/HelpIcon'
+
+const CONFIDENCE_OPTIONS = [0.4, 0.5, 0.6, 0.7, 0.8]
+
+// Observations need a distance, so drafts without one go through the form instead of Accept
+const hasDistance = (draft) => draft.distance !== null && draft.distance !== undefined
+
+const formatTime = (timeInSeconds) => {
+  const minutes = Math.floor(timeInSeconds / 60)
+  const seconds = Math.floor(timeInSeconds % 60)
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+/**
+ * Runs object detection across the whole section video and lists the
+ * resulting draft observations for review. Accepting a draft creates the
+ * observation straight away; editing opens it in the ObservationForm.
+ */
+export default function DefectDetectionPanel({ section, getVideoElement, refreshKey, onEditDraft, onObservationCreated }) {
+  const { user, company, refreshProfile } = useAuth()
+  const [aiSettings, setAISettings] = useState(null)
+  const [drafts, setDrafts] = useState([])
+  const [interval, setSampleInterval] = useState(DEFAULT_DETECTION_INTERVAL)
+  const [minConfidence, setMinConfidence] = useState(DEFAULT_MIN_CONFIDENCE)
+  const [estimate, setEstimate] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const [busyDraftId, setBusyDraftId] = useState(null)
+  const [error, setError] = useState(null)
+  const abortRef = useRef(null)
+
+  const duration = section?.video_duration || 0
+
+  useEffect(() => {
+    getUserAISettings().then(setAISettings)
+  }, [])
+
+  useEffect(() => {
+    if (!duration) return
+    calculateCreditsRequired('defect_detection', { duration })
+      .then(pricing => setEstimate(pricing?.credits ?? null))
+  }, [duration])
+
+  useEffect(() => {
+    loadDrafts()
+  }, [section?.id, user?.id, refreshKey])
+
+  // Stop a running pass when switching sections
+  useEffect(() => () => abortRef.current?.abort(), [section?.id])
+
+  const loadDrafts = async () => {
+    if (!section?.id || !user?.id) return
+
+    const result = await getObservationDraftsAction({ userId: user.id, sectionId: section.id })
+    if (result.success) {
+      setDrafts(result.data)
+    } else {
+      console.error('Error loading drafts:', result.error)
+    }
+  }
+
+  const seekTo = (time) => {
+    const video = getVideoElement?.()
+    if (video) video.currentTime = time
+  }
+
+  const handleRun = async () => {
+    if (!section?.video_url || !aiSettings?.ai_enabled || !user?.id) return
+
+    if (!duration) {
+      setError('The video length is unknown, so frames cannot be sampled')
+      return
+    }
+
+    if (drafts.length > 0 && !window.confirm(`Run detection again? The ${drafts.length} unreviewed draft${drafts.length === 1 ? '' : 's'} will be replaced.`)) {
+      return
+    }
+
+    if (company?.id && estimate) {
+      const hasCredits = await checkCredits(company.id, estimate)
+      if (!hasCredits) {
+        setError(`Insufficient credits. Defect detection needs ${estimate} credits.`)
+        return
+      }
+    }
+
+    setError(null)
+    const controller = new AbortController()
+    abortRef.current = controller
+
+    const aiService = getAIService(aiSettings.runpod_api_key)
+    aiService.setEnabled(true)
+
+    let framesDone = 0
+    let totalFrames = 0
+    try {
+      setProgress({ stage: 'detecting', done: 0, total: 0 })
+      const { drafts: detected } = await detectDefectsInVideo(section.video_url, {
+        aiService,
+        duration,
+        interval,
+        minConfidence,
+        distanceCurve: isCurveCurrent(section.distance_curve, section.video_url) ? section.distance_curve : null,
+        signal: controller.signal,
+        onProgress: (update) => {
+          framesDone = update.done
+          totalFrames = update.total
+          setProgress({ stage: 'detecting', ...update })
+        }
+      })
+
+      setProgress({ stage: 'saving', done: 0, total: detected.length })
+      const rows = []
+      for (const [index, draft] of detected.entries()) {
+        const { thumbnail, ...row } = draft
+        if (thumbnail) {
+          try {
+            const file = new File([thumbnail], `detection-${Math.round(draft.video_timestamp * 1000)}.jpg`, { type: 'image/jpeg' })
+            row.image_url = await uploadObservationImage(file, `drafts/${section.id}`)
+          } catch (uploadError) {
+            console.error('Failed to upload draft thumbnail:', uploadError)
+          }
+        }
+        rows.push(row)
+        setProgress({ stage: 'saving', done: index + 1, total: detected.length })
+      }
+
+      const result = await saveObservationDraftsAction({ userId: user.id, sectionId: section.id, drafts: rows })
+      if (!result.success) throw new Error(result.error)
+      setDrafts(result.data)
+
+      if (rows.length === 0) {
+        setError('No defects were detected at this confidence')
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Error running defect detection:', err)
+        setError(err.message || 'Defect detection failed')
+      }
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+
+      // Charge for the frames actually sent, including a cancelled pass
+      if (company?.id && estimate && framesDone > 0) {
+        const credits = Math.ceil(estimate * (totalFrames ? framesDone / totalFrames : 1))
+        try {
+          await consumeCredits(
+            company.id,
+            user.id,
+            credits,
+            'defect_detection',
+            `Defect detection for section ${section.section_number} (${framesDone} frames)`,
+            { referenceId: section.id }
+          )
+          await refreshProfile()
+        } catch (creditError) {
+          console.error('Failed to consume credits:', creditError)
+        }
+      }
+    }
+  }
+
+  const handleCancel = () => abortRef.current?.abort()
+
+  const handleAccept = async (draft) => {
+    if (!draft.suggested_code || !hasDistance(draft)) return
+
+    setBusyDraftId(draft.id)
+    setError(null)
+    try {
+      let details = null
+      try {
+        details = await getCodeDetails(draft.suggested_code)
+      } catch (detailsError) {
+        console.warn('No details for suggested code:', draft.suggested_code)
+      }
+
+      const distance = Number(draft.distance)
+      const observationData = {
+        name: `${draft.suggested_code} at ${distance}m`,
+        code: draft.suggested_code,
+        description: details?.description || null,
+        severity: details?.default_severity ? parseInt(details.default_severity) : null,
+        distance,
+        video_timestamp: Number(draft.video_timestamp),
+        image_url: draft.image_url || null,
+        remarks: `Detected automatically: ${draft.object_class} (${Math.round((draft.confidence || 0) * 100)}%)`
+      }
+
+      const validationErrors = validateObservation(observationData, details)
+      if (validationErrors.length > 0) {
+        throw new Error(`${validationErrors.join(', ')} - edit the draft instead`)
+      }
+
+      const observation = await createObservation(section.id, observationData)
+
+      const result = await reviewObservationDraftsAction({
+        userId: user.id,
+        sectionId: section.id,
+        draftIds: [draft.id],
+        status: 'accepted',
+        observationId: observation.id
+      })
+      if (!result.success) throw new Error(result.error)
+
+      setDrafts(prev => prev.filter(item => item.id !== draft.id))
+      onObservationCreated?.(observation)
+    } catch (err) {
+      console.error('Error accepting draft:', err)
+      setError(err.message || 'Failed to accept the draft')
+    } finally {
+      setBusyDraftId(null)
+    }
+  }
+
+  const handleReject = async (draftIds) => {
+    if (draftIds.length === 0) return
+    if (draftIds.length > 1 && !window.confirm(`Reject all ${draftIds.length} drafts?`)) return
+
+    setBusyDraftId(draftIds.length === 1 ? draftIds[0] : 'all')
+    setError(null)
+    const result = await reviewObservationDraftsAction({
+      userId: user.id,
+      sectionId: section.id,
+      draftIds,
+      status: 'rejected'
+    })
+    setBusyDraftId(null)
+
+    if (result.success) {
+      setDrafts(prev => prev.filter(item => !draftIds.includes(item.id)))
+    } else {
+      setError(result.error || 'Failed to reject drafts')
+    }
+  }
+
+  if (!section?.video_url) return null
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <ScanLine className="w-4 h-4 text-gray-500" />
+          <span className="font-medium text-gray-900">Defect Detection</span>
+          {drafts.length > 0 && (
+            <span className="px-1.5 py-0.5 text-xs font-medium text-purple-700 bg-purple-100 rounded-full">
+              {drafts.length} to review
+            </span>
+          )}
+          <HelpIcon
+            title="Defect Detection"
+            content="Runs the detection model across the whole video and proposes draft observations for you to review."
+            bullets={[
+              "Choose how often a frame is checked - shorter intervals catch more but take longer",
+              "Consecutive detections of the same object become one draft",
+              "Codes come from the AI object mappings; drafts without a mapping must be edited",
+              "Distances come from the distance counter curve when it has been read; drafts without one must be edited",
+              "Accept creates the observation, Edit opens it in the form first, Reject discards it",
+              "Running again replaces drafts that have not been reviewed"
+            ]}
+            size="sm"
+          />
+        </div>
+
+        {progress ? (
+          <button
+            onClick={handleCancel}
+            disabled={progress.stage !== 'detecting'}
+            className="inline-flex items-center px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-full hover:bg-gray-200 disabled:opacity-50"
+          >
+            <X className="w-3 h-3 mr-1" />
+            Cancel
+          </button>
+        ) : aiSettings?.ai_enabled ? (
+          <div className="flex items-center space-x-2">
+            <select
+              value={interval}
+              onChange={(e) => setSampleInterval(parseFloat(e.target.value))}
+              className="text-xs border border-gray-300 rounded px-1 py-0.5"
+              title="Time between checked frames"
+            >
+              {DETECTION_INTERVALS.map(value => (
+                <option key={value} value={value}>Every {value}s</option>
+              ))}
+            </select>
+            <select
+              value={minConfidence}
+              onChange={(e) => setMinConfidence(parseFloat(e.target.value))}
+              className="text-xs border border-gray-300 rounded px-1 py-0.5"
+              title="Minimum detection confidence"
+            >
+              {CONFIDENCE_OPTIONS.map(value => (
+                <option key={value} value={value}>≥ {Math.round(value * 100)}%</option>
+              ))}
+            </select>
+            <button
+              onClick={handleRun}
+              className="inline-flex items-center px-3 py-1 text-xs font-medium text-purple-600 bg-purple-50 rounded-full hover:bg-purple-100"
+            >
+              <ScanLine className="w-3 h-3 mr-1" />
+              Detect Defects
+              {estimate ? ` (${estimate} credits)` : ''}
+            </button>
+          </div>
+        ) : null}
+      </div>
+
+      {progress && (
+        <div className="mb-2">
+          <div className="w-full bg-gray-200 rounded-full h-1.5">
+            <div
+              className="bg-purple-600 h-1.5 rounded-full transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {progress.stage === 'detecting'
+              ? `Checking frame ${progress.done} of ${progress.total || '…'}`
+              : `Saving draft ${progress.done} of ${progress.total}`}
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-xs text-red-600 mb-2">{error}</p>
+      )}
+
+      {!progress && drafts.length === 0 && !error && (
+        <p className="text-xs text-gray-500">
+          {aiSettings?.ai_enabled ? 'No drafts waiting for review.' : 'AI analysis is not enabled, so defects cannot be detected.'}
+        </p>
+      )}
+
+      {drafts.length > 0 && (
+        <>
+          <div className="max-h-72 overflow-y-auto divide-y divide-gray-100">
+            {drafts.map(draft => (
+              <div key={draft.id} className="flex items-center py-2 gap-3">
+                <button
+                  onClick={() => seekTo(Number(draft.video_timestamp))}
+                  className="flex-shrink-0 w-20 h-12 bg-gray-100 rounded overflow-hidden"
+                  title="Show in video"
+                >
+                  {draft.image_url && <img src={draft.image_url} alt="" className="w-full h-full object-cover" />}
+                </button>
+
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className={`font-semibold ${draft.suggested_code ? 'text-gray-900' : 'text-gray-400'}`}>
+                      {draft.suggested_code || 'No code'}
+                    </span>
+                    <button
+                      onClick={() => seekTo(Number(draft.video_timestamp))}
+                      className="text-xs text-blue-600 hover:underline"
+                    >
+                      {formatTime(Number(draft.video_timestamp))}
+                    </button>
+                    {hasDistance(draft) && (
+                      <span className="text-xs text-gray-600">{Number(draft.distance).toFixed(2)}m</span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 truncate">
+                    {draft.object_class} • {Math.round((draft.confidence || 0) * 100)}%
+                    {draft.detection_count > 1 ? ` • seen on ${draft.detection_count} frames` : ''}
+                  </p>
+                </div>
+
+                <div className="flex items-center space-x-1 flex-shrink-0">
+                  <button
+                    onClick={() => handleAccept(draft)}
+                    disabled={!draft.suggested_code || !hasDistance(draft) || busyDraftId !== null}
+                    className="p-1 text-green-600 hover:bg-green-50 rounded disabled:opacity-40"
+                    title={
+                      !draft.suggested_code ? 'No mapped code - edit instead'
+                        : !hasDistance(draft) ? 'No distance - edit instead'
+                          : 'Accept'
+                    }
+                  >
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onEditDraft?.({ ...draft, section_id: section.id })}
+                    disabled={busyDraftId !== null}
+                    className="p-1 text-blue-600 hover:bg-blue-50 rounded disabled:opacity-40"
+                    title="Edit"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleReject([draft.id])}
+                    disabled={busyDraftId !== null}
+                    className="p-1 text-red-600 hover:bg-red-50 rounded disabled:opacity-40"
+                    title="Reject"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end mt-2">
+            <button
+              onClick={() => handleReject(drafts.map(draft => draft.id))}
+              disabled={busyDraftId !== null}
+              className="text-xs text-red-600 hover:underline disabled:opacity-50"
+            >
+              Reject all
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,333 @@
+'use client'
+
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { Ruler, X, RotateCcw, AlertTriangle } from 'lucide-react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/lib/auth-context'
+import { getAIService, getUserAISettings } from '@/lib/ai-service'
+import { checkCredits, consumeCredits, calculateCreditsRequired } from '@/lib/credits'
+import { readDistanceCurve, isCurveCurrent, getDistanceAt, DEFAULT_SAMPLE_INTERVAL } from '@/lib/video/distance-curve'
+import HelpIcon from '@/components/help/HelpIcon'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 120
+
+const formatTime = (timeInSeconds) => {
+  const minutes = Math.floor(timeInSeconds / 60)
+  const seconds = Math.floor(timeInSeconds % 60)
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+/**
+ * Reads the crawler's distance counter across the whole section video and
+ * shows the resulting distance-time curve, with reversals highlighted.
+ * The curve is saved to sections.distance_curve and used to pre-fill
+ * observation distances.
+ */
+export default function DistanceCurvePanel({ section, getVideoElement, onSectionUpdated }) {
+  const { user, company, refreshProfile } = useAuth()
+  const [aiSettings, setAISettings] = useState(null)
+  const [estimate, setEstimate] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+  const [currentTime, setCurrentTime] = useState(0)
+  const abortRef = useRef(null)
+
+  const curve = section?.distance_curve
+  const hasCurrentCurve = isCurveCurrent(curve, section?.video_url)
+  const duration = section?.video_duration || curve?.duration || 0
+
+  useEffect(() => {
+    getUserAISettings().then(setAISettings)
+  }, [])
+
+  useEffect(() => {
+    if (!duration) return
+    calculateCreditsRequired('distance_ocr', { duration })
+      .then(pricing => setEstimate(pricing?.credits ?? null))
+  }, [duration])
+
+  // Follow the player so the chart can show where the playhead is
+  useEffect(() => {
+    const video = getVideoElement?.()
+    if (!video) return
+
+    const handleTimeUpdate = () => setCurrentTime(video.currentTime)
+    video.addEventListener('timeupdate', handleTimeUpdate)
+    return () => video.removeEventListener('timeupdate', handleTimeUpdate)
+  }, [getVideoElement, section?.video_url])
+
+  // Stop a running pass when switching sections
+  useEffect(() => () => abortRef.current?.abort(), [section?.id])
+
+  const seekTo = (time) => {
+    const video = getVideoElement?.()
+    if (video) video.currentTime = time
+  }
+
+  const handleRun = async () => {
+    if (!section?.video_url || !aiSettings?.ai_enabled) return
+
+    if (!duration) {
+      setError('The video length is unknown, so frames cannot be sampled')
+      return
+    }
+
+    if (hasCurrentCurve && !window.confirm('Replace the existing distance curve? The video will be read again and charged again.')) {
+      return
+    }
+
+    if (company?.id && estimate) {
+      const hasCredits = await checkCredits(company.id, estimate)
+      if (!hasCredits) {
+        setError(`Insufficient credits. Reading the distance counter needs ${estimate} credits.`)
+        return
+      }
+    }
+
+    setError(null)
+    const controller = new AbortController()
+    abortRef.current = controller
+
+    const aiService = getAIService(aiSettings.runpod_api_key)
+    aiService.setEnabled(true)
+
+    let framesDone = 0
+    let totalFrames = 0
+    try {
+      setProgress({ done: 0, total: 0, readings: 0 })
+      const result = await readDistanceCurve(section.video_url, {
+        aiService,
+        duration,
+        interval: DEFAULT_SAMPLE_INTERVAL,
+        signal: controller.signal,
+        onProgress: (update) => {
+          framesDone = update.done
+          totalFrames = update.total
+          setProgress(update)
+        }
+      })
+
+      if (result.points.length === 0) {
+        throw new Error('The distance counter could not be read on any frame')
+      }
+
+      const { data, error: saveError } = await supabase
+        .from('sections')
+        .update({ distance_curve: result })
+        .eq('id', section.id)
+        .select()
+        .single()
+
+      if (saveError) throw saveError
+      onSectionUpdated?.(data)
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Error reading distance curve:', err)
+        setError(err.message || 'Failed to read the distance counter')
+      }
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+
+      // Charge for the frames actually sent, including a cancelled pass
+      if (company?.id && user?.id && estimate && framesDone > 0) {
+        const credits = Math.ceil(estimate * (totalFrames ? framesDone / totalFrames : 1))
+        try {
+          await consumeCredits(
+            company.id,
+            user.id,
+            credits,
+            'distance_ocr',
+            `Distance counter OCR for section ${section.section_number} (${framesDone} frames)`,
+            { referenceId: section.id }
+          )
+          await refreshProfile()
+        } catch (creditError) {
+          console.error('Failed to consume credits:', creditError)
+        }
+      }
+    }
+  }
+
+  const handleCancel = () => abortRef.current?.abort()
+
+  const chart = useMemo(() => {
+    if (!hasCurrentCurve || !curve.points.length || !duration) return null
+
+    const maxDistance = Math.max(...curve.points.map(([, distance]) => distance), 1)
+    const x = (time) => (time / duration) * CHART_WIDTH
+    const y = (distance) => CHART_HEIGHT - (distance / maxDistance) * (CHART_HEIGHT - 8) - 4
+
+    // Break the line across unread gaps rather than drawing through them
+    const gapStarts = new Set((curve.gaps || []).map(gap => gap.start))
+    const segments = [[]]
+    curve.points.forEach(([time, distance]) => {
+      segments[segments.length - 1].push(`${x(time).toFixed(1)},${y(distance).toFixed(1)}`)
+      if (gapStarts.has(time)) segments.push([])
+    })
+
+    return { maxDistance, x, segments: segments.filter(segment => segment.length > 0) }
+  }, [hasCurrentCurve, curve, duration])
+
+  if (!section?.video_url) return null
+
+  const distanceNow = hasCurrentCurve ? getDistanceAt(curve, currentTime) : null
+
+  const handleChartClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    seekTo(((e.clientX - rect.left) / rect.width) * duration)
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Ruler className="w-4 h-4 text-gray-500" />
+          <span className="font-medium text-gray-900">Distance Counter</span>
+          <HelpIcon
+            title="Distance Counter"
+            content="Reads the crawler's on-screen distance across the whole video so observations can be given a distance without capturing and analysing each frame."
+            bullets={[
+              `Samples a frame every ${DEFAULT_SAMPLE_INTERVAL} seconds and reads the counter`,
+              "Misread values are dropped when they disagree with neighbouring frames",
+              "Red bands show where the counter runs backwards - the camera was reversed",
+              "Grey bands show stretches where the counter could not be read",
+              "New observations take their distance from the curve at the playhead",
+              "Click the chart to jump the video to that point"
+            ]}
+            size="sm"
+          />
+        </div>
+
+        {progress ? (
+          <button
+            onClick={handleCancel}
+            className="inline-flex items-center px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-full hover:bg-gray-200"
+          >
+            <X className="w-3 h-3 mr-1" />
+            Cancel
+          </button>
+        ) : aiSettings?.ai_enabled ? (
+          <button
+            onClick={handleRun}
+            className="inline-flex items-center px-3 py-1 text-xs font-medium text-blue-600 bg-blue-50 rounded-full hover:bg-blue-100"
+            title={estimate ? `Uses about ${estimate} credits` : undefined}
+          >
+            {hasCurrentCurve ? <RotateCcw className="w-3 h-3 mr-1" /> : <Ruler className="w-3 h-3 mr-1" />}
+            {hasCurrentCurve ? 'Read Again' : 'Read Distances'}
+            {estimate ? ` (${estimate} credits)` : ''}
+          </button>
+        ) : null}
+      </div>
+
+      {progress && (
+        <div className="mb-2">
+          <div className="w-full bg-gray-200 rounded-full h-1.5">
+            <div
+              className="bg-blue-600 h-1.5 rounded-full transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Reading frame {progress.done} of {progress.total || '…'} - counter read on {progress.readings}
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-xs text-red-600 mb-2">{error}</p>
+      )}
+
+      {!progress && !hasCurrentCurve && (
+        <p className="text-xs text-gray-500">
+          {curve
+            ? 'The video has changed since the distance counter was last read.'
+            : aiSettings?.ai_enabled
+              ? 'Not read yet.'
+              : 'AI analysis is not enabled, so the distance counter cannot be read.'}
+        </p>
+      )}
+
+      {chart && (
+        <>
+          <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+            className="w-full h-28 bg-gray-50 rounded cursor-pointer"
+            onClick={handleChartClick}
+          >
+            {(curve.gaps || []).map(gap => (
+              <rect
+                key={`gap-${gap.start}`}
+                x={chart.x(gap.start)}
+                width={Math.max(1, chart.x(gap.end) - chart.x(gap.start))}
+                y={0}
+                height={CHART_HEIGHT}
+                fill="#9ca3af"
+                fillOpacity={0.25}
+              />
+            ))}
+            {curve.reversals.map(reversal => (
+              <rect
+                key={`reversal-${reversal.start}`}
+                x={chart.x(reversal.start)}
+                width={Math.max(1, chart.x(reversal.end) - chart.x(reversal.start))}
+                y={0}
+                height={CHART_HEIGHT}
+                fill="#ef4444"
+                fillOpacity={0.2}
+              />
+            ))}
+            {chart.segments.map((segment, index) => (
+              <polyline
+                key={index}
+                points={segment.join(' ')}
+                fill="none"
+                stroke="#2563eb"
+                strokeWidth={1.5}
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            <line
+              x1={chart.x(currentTime)}
+              x2={chart.x(currentTime)}
+              y1={0}
+              y2={CHART_HEIGHT}
+              stroke="#111827"
+              strokeWidth={1}
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+
+          <div className="flex items-center justify-between text-xs text-gray-500 mt-1">
+            <span>0 - {chart.maxDistance.toFixed(2)}m</span>
+            <span>
+              {distanceNow !== null ? `${distanceNow.toFixed(2)}m at ${formatTime(currentTime)}` : `No reading at ${formatTime(currentTime)}`}
+            </span>
+            <span>
+              Read on {curve.readFrames} of {curve.sampledFrames} frames
+              {curve.rejectedFrames ? `, ${curve.rejectedFrames} misreads dropped` : ''}
+            </span>
+          </div>
+
+          {curve.reversals.length > 0 && (
+            <div className="mt-2 space-y-1">
+              {curve.reversals.map(reversal => (
+                <button
+                  key={reversal.start}
+                  onClick={() => seekTo(reversal.start)}
+                  className="flex items-center w-full text-left text-xs text-red-700 bg-red-50 rounded px-2 py-1 hover:bg-red-100"
+                >
+                  <AlertTriangle className="w-3 h-3 mr-1.5 flex-shrink-0" />
+                  Camera reversed {formatTime(reversal.start)} - {formatTime(reversal.end)}:
+                  {' '}{reversal.fromDistance.toFixed(2)}m back to {reversal.toDistance.toFixed(2)}m
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+// components/ExchangeExportButton.js
+// Download sections and observations as MSCC5 XML or CSV interchange files
+
+'use client'
+
+import { useState } from 'react'
+import { Download, ChevronDown } from 'lucide-react'
+import { buildExchangeFile, EXCHANGE_FORMATS } from '@/lib/exchange/mscc5'
+
+export default function ExchangeExportButton({ project, sections = [], observations = [], className = '' }) {
+  const [showMenu, setShowMenu] = useState(false)
+
+  const handleExport = (format) => {
+    setShowMenu(false)
+
+    try {
+      const { filename, content, mimeType } = buildExchangeFile(format, { project, sections, observations })
+
+      const blob = new Blob([content], { type: mimeType })
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Exchange export failed:', error)
+      alert('Failed to export survey data: ' + error.message)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowMenu(!showMenu)}
+        disabled={sections.length === 0}
+        className={className || 'inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed'}
+        title="Export sections and observations in MSCC5 exchange format"
+      >
+        <Download className="h-4 w-4 mr-1" />
+        Export MSCC5
+        <ChevronDown className="h-4 w-4 ml-1" />
+      </button>
+
+      {showMenu && (
+        <div className="absolute right-0 mt-1 w-48 bg-white border border-gray-200 rounded-md shadow-lg z-20">
+          <button
+            onClick={() => handleExport(EXCHANGE_FORMATS.XML)}
+            className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+          >
+            MSCC5 XML (.xml)
+          </button>
+          <button
+            onClick={() => handleExport(EXCHANGE_FORMATS.CSV)}
+            className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+          >
+            SRM CSV (.csv)
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
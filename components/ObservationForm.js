@@ -1,20 +1,20 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { X, Upload, Camera, Save, AlertCircle, Bot, Zap, Clock, CheckCircle, Coins } from 'lucide-react'
+import { X, Upload, Camera, Save, AlertCircle, AlertTriangle, Bot, Zap, Clock, CheckCircle, Coins, Ruler } from 'lucide-react'
 import { 
   getObservationCodes, 
   getCodeDetails, 
   createObservation, 
   updateObservation,
-  validateObservation 
+  validateObservation,
+  uploadObservationImage
 } from '../lib/observations.js'
 import { supabase } from '../lib/supabase.js'
 import { getAIService, getUserAISettings } from '../lib/ai-service.js'
 import { checkCredits, consumeCredits, calculateCreditsRequired } from '../lib/credits.js'
 import { useAuth } from '../lib/auth-context.js'
-// Import the B2 upload server action
-import { getB2ImageUploadUrl } from '../lib/actions/observation-image-upload.js'
+import { getDistanceAt, getReversalAt } from '../lib/video/distance-curve.js'
 
 // Import HelpIcon component
 import HelpIcon from '@/components/help/HelpIcon'
@@ -24,16 +24,22 @@ export default function ObservationForm({
   videoRef, 
   videoTimestamp = 0,
   shouldAutoCapture = false,
+  captureCrop = null,
+  distanceCurve = null,
   initialData = null, 
   isOpen, 
   onClose, 
   onSave 
 }) {
   const { user, company, refreshProfile } = useAuth()
+
+  // New observations take their distance from the section's counter curve, no AI call needed
+  const curveDistance = initialData ? null : getDistanceAt(distanceCurve, videoTimestamp)
+  const curveReversal = getReversalAt(distanceCurve, initialData?.video_timestamp ?? videoTimestamp)
   
   const [formData, setFormData] = useState({
     name: '',
-    distance: '',
+    distance: curveDistance !== null ? curveDistance.toFixed(2) : '',
     code: '',
     description: '',
     band: '',
@@ -88,6 +94,7 @@ export default function ObservationForm({
   const [aiProcessing, setAIProcessing] = useState(false)
   const [aiResults, setAIResults] = useState(null)
   const [aiPopulatedFields, setAIPopulatedFields] = useState({})
+  const [distanceFromCurve, setDistanceFromCurve] = useState(curveDistance !== null)
   const [showAIResults, setShowAIResults] = useState(false)
 
   // Load pricing rules when modal opens
@@ -355,6 +362,10 @@ export default function ObservationForm({
       return updated
     })
     
+    if (field === 'distance') {
+      setDistanceFromCurve(false)
+    }
+
     // Clear field from AI populated tracking if user manually changes it
     if (aiPopulatedFields[field]) {
       setAIPopulatedFields(prev => {
@@ -370,47 +381,6 @@ export default function ObservationForm({
     }
   }
 
-  /**
-   * Upload image to Backblaze B2
-   */
-  const uploadToB2 = async (file, observationId) => {
-    try {
-      const userId = (await supabase.auth.getUser()).data.user?.id
-      if (!userId) throw new Error('User not authenticated')
-
-      // Get upload URL and auth token from server action
-      const { uploadUrl, authToken, key, publicUrl } = await getB2ImageUploadUrl(
-        userId,
-        observationId,
-        file.name
-      )
-
-      // Upload directly to B2 using native B2 API
-      const response = await fetch(uploadUrl, {
-        method: 'POST',
-        body: file,
-        headers: {
-          'Authorization': authToken,
-          'X-Bz-File-Name': encodeURIComponent(key),
-          'Content-Type': file.type || 'image/jpeg',
-          'X-Bz-Content-Sha1': 'do_not_verify' // Skip SHA1 verification for simplicity
-        }
-      })
-
-      if (!response.ok) {
-        const errorText = await response.text()
-        console.error('B2 upload error:', errorText)
-        throw new Error(`Upload failed: ${response.statusText}`)
-      }
-
-      console.log('✅ Image uploaded to B2:', publicUrl)
-      return publicUrl
-    } catch (error) {
-      console.error('Failed to upload image to B2:', error)
-      throw error
-    }
-  }
-
   const handleImageUpload = async (event) => {
     const file = event.target.files[0]
     if (file) {
@@ -509,10 +479,20 @@ export default function ObservationForm({
       const canvas = document.createElement('canvas')
       const ctx = canvas.getContext('2d')
       
-      canvas.width = video.videoWidth
-      canvas.height = video.videoHeight
-      
-      ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+      if (captureCrop) {
+        // Only the region the surveyor had zoomed into in the player
+        canvas.width = captureCrop.width
+        canvas.height = captureCrop.height
+        ctx.drawImage(
+          video,
+          captureCrop.x, captureCrop.y, captureCrop.width, captureCrop.height,
+          0, 0, captureCrop.width, captureCrop.height
+        )
+      } else {
+        canvas.width = video.videoWidth
+        canvas.height = video.videoHeight
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+      }
       
       try {
         canvas.toBlob(async (blob) => {
@@ -613,7 +593,7 @@ export default function ObservationForm({
     }
   }
 
-  // AI Analysis Function - works with B2 URLs
+  // AI Analysis Function - works with stored image URLs
   const performAIAnalysis = async (imageFile, customAISettings = null) => {
     const settings = customAISettings || aiSettings
     
@@ -706,8 +686,8 @@ export default function ObservationForm({
     const fieldsToPopulate = {}
     let fieldsPopulated = false
 
-    // Populate distance from OCR if found
-    if (suggestions.distance && settings.distance_ocr_enabled) {
+    // Populate distance from OCR if found - the section's curve is read over many frames, so it wins
+    if (suggestions.distance && settings.distance_ocr_enabled && curveDistance === null) {
       setFormData(prev => ({ ...prev, distance: suggestions.distance.toString() }))
       fieldsToPopulate.distance = suggestions.distance
       fieldsPopulated = true
@@ -755,15 +735,16 @@ export default function ObservationForm({
 
       let imageUrl = formData.image_url
 
-      // Upload image to B2 if we have a new file
+      // Upload image to storage if we have a new file
       if (imageFile) {
         try {
           setImageUploading(true)
-          const tempId = initialData?.id || `temp_${Date.now()}`
-          imageUrl = await uploadToB2(imageFile, tempId)
+          // New observations have no ID yet, so their images are filed under the section
+          const ownerId = initialData?.id || `sections/${sectionId}`
+          imageUrl = await uploadObservationImage(imageFile, ownerId)
           setImageUploading(false)
         } catch (error) {
-          console.error('Failed to upload image to B2:', error)
+          console.error('Failed to upload observation image:', error)
           setImageUploading(false)
           alert('Failed to upload image, but observation will be saved without it')
         }
@@ -870,7 +851,7 @@ export default function ObservationForm({
         <div className="flex items-center justify-between p-3 border-b bg-gray-50">
           <div className="flex items-center gap-2">
             <h2 className="text-lg font-semibold">
-              {initialData ? 'Edit' : shouldAutoCapture ? 'New from Frame' : 'New'} Observation
+              {initialData?.id ? 'Edit' : shouldAutoCapture ? 'New from Frame' : 'New'} Observation
             </h2>
             <HelpIcon
               title="Recording Observations"
@@ -891,7 +872,7 @@ export default function ObservationForm({
             />
             {aiSettings?.ai_enabled && <Bot className="w-4 h-4 text-blue-600" />}
             {aiProcessing && <div className="w-4 h-4 animate-spin border-2 border-blue-600 border-t-transparent rounded-full" />}
-            {imageUploading && <span className="text-sm text-gray-600">Uploading to B2...</span>}
+            {imageUploading && <span className="text-sm text-gray-600">Uploading image...</span>}
           </div>
           <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
             <X className="w-5 h-5" />
@@ -1118,7 +1099,6 @@ export default function ObservationForm({
                   )}
                   <div className="text-xs text-gray-500 p-1 text-center">
                     {shouldAutoCapture ? 'Frame captured' : 'Image uploaded'}
-                    {formData.image_url && formData.image_url.includes('backblazeb2.com') && ' (B2)'}
                     {aiAnalysisEnabled && canEnableAI && (
                       <span className="text-blue-600"> • AI enabled</span>
                     )}
@@ -1153,6 +1133,7 @@ export default function ObservationForm({
                   <div className="flex items-center gap-1">
                     Distance (m) *
                     {aiPopulatedFields.distance && <Zap className="w-3 h-3 inline text-blue-600" title="AI populated" />}
+                    {distanceFromCurve && <Ruler className="w-3 h-3 inline text-blue-600" title="From the section's distance counter curve" />}
                     <HelpIcon
                       title="Distance Measurement"
                       content="Distance from the start point of this section (usually a manhole)."
@@ -1160,6 +1141,7 @@ export default function ObservationForm({
                         "Measured in meters from section start",
                         "Can be read from video overlay",
                         "AI can auto-detect from distance markers",
+                        "Pre-filled from the playhead once the section's distance counter has been read",
                         "Contrasting text backgrounds work best",
                         "Recognises text formats such as 00.00M quickly",
                         "Used for accurate defect positioning",
@@ -1176,10 +1158,16 @@ export default function ObservationForm({
                   value={formData.distance}
                   onChange={(e) => handleInputChange('distance', e.target.value)}
                   className={`w-full px-2 py-1.5 text-sm border rounded focus:outline-none focus:ring-1 focus:ring-blue-500 ${
-                    aiPopulatedFields.distance ? 'border-blue-300 bg-blue-50' : 'border-gray-300'
+                    aiPopulatedFields.distance || distanceFromCurve ? 'border-blue-300 bg-blue-50' : 'border-gray-300'
                   }`}
                   placeholder="0.00"
                 />
+                {curveReversal && (
+                  <p className="flex items-start gap-1 mt-1 text-xs text-amber-700">
+                    <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                    Camera was reversing here ({curveReversal.fromDistance.toFixed(2)}m back to {curveReversal.toDistance.toFixed(2)}m) - check this is not a repeat of an earlier observation
+                  </p>
+                )}
               </div>
 
               <div>
@@ -0,0 +1,140 @@
+'use client'
+
+import { useState, useMemo } from 'react'
+import { getSeverityColor, getSeverityLabel } from '@/lib/utils/severityUtils'
+import { pairContinuousDefects } from '@/lib/utils/continuous-defects'
+
+const hasTimestamp = (obs) => obs.video_timestamp !== null && obs.video_timestamp !== undefined
+
+/**
+ * Observations that can be placed on the video, in playback order
+ * @param {Array} observations - Observations for the section
+ * @returns {Array} Observations with a video_timestamp, earliest first
+ */
+export function getTimedObservations(observations = []) {
+  return observations
+    .filter(hasTimestamp)
+    .sort((a, b) => a.video_timestamp - b.video_timestamp)
+}
+
+const formatTime = (timeInSeconds) => {
+  const minutes = Math.floor(timeInSeconds / 60)
+  const seconds = Math.floor(timeInSeconds % 60)
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+const formatDistance = (distance) => (
+  distance === null || distance === undefined || distance === '' ? null : `${Number(distance).toFixed(2)}m`
+)
+
+/**
+ * Timeline lane shown under the VideoPlayer scrub bar: one marker per observation,
+ * coloured by severity, with continuous defects shaded between their start and finish
+ */
+export default function ObservationTimeline({ observations = [], duration, currentTime, onSeek }) {
+  const [hovered, setHovered] = useState(null)
+
+  const timedObservations = useMemo(() => getTimedObservations(observations), [observations])
+
+  // Spans are paired by distance; the shading needs the start to have been timestamped.
+  // A finish without a timestamp (or no finish yet) shades to the end of the video.
+  const spans = useMemo(() => pairContinuousDefects(observations).spans
+    .filter(span => hasTimestamp(span.startObs))
+    .map(span => {
+      const endKnown = !!span.finishObs && hasTimestamp(span.finishObs)
+      return {
+        ...span,
+        from: span.startObs.video_timestamp,
+        to: endKnown ? span.finishObs.video_timestamp : duration,
+        endKnown
+      }
+    })
+    .filter(span => span.to > span.from), [observations, duration])
+
+  if (!duration || (timedObservations.length === 0 && spans.length === 0)) {
+    return null
+  }
+
+  const toPercent = (seconds) => `${Math.max(0, Math.min(100, (seconds / duration) * 100))}%`
+
+  // Keep the preview inside the player near either end
+  const previewPosition = (seconds) => {
+    const ratio = seconds / duration
+    if (ratio < 0.15) return { left: toPercent(seconds), transform: 'translateX(0)' }
+    if (ratio > 0.85) return { left: toPercent(seconds), transform: 'translateX(-100%)' }
+    return { left: toPercent(seconds), transform: 'translateX(-50%)' }
+  }
+
+  return (
+    <div className="relative w-full h-4 mb-3 bg-gray-800/70 rounded" onMouseLeave={() => setHovered(null)}>
+      {/* Continuous defects */}
+      {spans.map(span => (
+        <div
+          key={span.startObs.id}
+          className={`absolute top-1 bottom-1 rounded-sm ${span.endKnown ? 'opacity-60' : 'opacity-30'}`}
+          style={{
+            left: toPercent(span.from),
+            width: `calc(${toPercent(span.to)} - ${toPercent(span.from)})`,
+            backgroundColor: getSeverityColor(span.startObs.severity)
+          }}
+          title={`${span.code} continuous ${span.start.toFixed(2)}m - ${span.finish.toFixed(2)}m${span.endKnown ? '' : ' (finish not on video)'}`}
+        />
+      ))}
+
+      {/* Playhead */}
+      <div
+        className="absolute top-0 bottom-0 w-px bg-white/80 pointer-events-none"
+        style={{ left: toPercent(currentTime) }}
+      />
+
+      {/* Observation markers */}
+      {timedObservations.map(obs => (
+        <button
+          key={obs.id}
+          className="absolute top-0 bottom-0 w-1.5 rounded-sm border border-black/30 hover:scale-x-150 transition-transform"
+          style={{
+            left: toPercent(obs.video_timestamp),
+            transform: 'translateX(-50%)',
+            backgroundColor: getSeverityColor(obs.severity)
+          }}
+          onClick={(e) => {
+            e.stopPropagation()
+            onSeek(obs.video_timestamp)
+          }}
+          onMouseEnter={() => setHovered(obs)}
+          onFocus={() => setHovered(obs)}
+          onBlur={() => setHovered(null)}
+          aria-label={`${obs.code} at ${formatTime(obs.video_timestamp)}`}
+        />
+      ))}
+
+      {/* Hover preview */}
+      {hovered && (
+        <div
+          className="absolute bottom-6 z-10 w-56 bg-gray-900/95 text-white rounded-md shadow-lg p-2 pointer-events-none"
+          style={previewPosition(hovered.video_timestamp)}
+        >
+          {hovered.image_url && (
+            <img src={hovered.image_url} alt="" className="w-full h-28 object-cover rounded mb-2" />
+          )}
+          <div className="flex items-center gap-2">
+            <span
+              className="w-2.5 h-2.5 rounded-full flex-shrink-0"
+              style={{ backgroundColor: getSeverityColor(hovered.severity) }}
+            />
+            <span className="font-semibold text-sm">{hovered.code}</span>
+            <span className="text-xs text-gray-300 ml-auto">{formatTime(hovered.video_timestamp)}</span>
+          </div>
+          {(hovered.description || hovered.name) && (
+            <p className="text-xs text-gray-200 mt-1 line-clamp-2">{hovered.description || hovered.name}</p>
+          )}
+          <p className="text-xs text-gray-400 mt-1">
+            {[formatDistance(hovered.distance), hovered.severity ? getSeverityLabel(hovered.severity) : null]
+              .filter(Boolean)
+              .join(' • ')}
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -12,7 +12,8 @@ import {
   X,
   CheckCircle,
   Play,
-  Clock
+  Clock,
+  AlertCircle
 } from 'lucide-react'
 import { 
   getObservations, 
@@ -20,6 +21,8 @@ import {
   updateObservation,
   formatObservationDisplay 
 } from '../lib/observations.js'
+import { validateContinuousDefects } from '../lib/utils/continuous-defects.js'
+import { getSeverityColor } from '../lib/utils/severityUtils.js'
 
 export default function ObservationsList({ 
   sectionId, 
@@ -339,6 +342,14 @@ export default function ObservationsList({
 
   const severityStats = getSeverityStats()
 
+  // Continuous defect spans and any orphaned/overlapping start-finish records
+  const continuousCheck = validateContinuousDefects(observations)
+
+  const getSpansCovering = (observation) => {
+    const distance = Number(observation.distance) || 0
+    return continuousCheck.spans.filter(span => distance >= span.start && distance <= span.finish)
+  }
+
   if (loading) {
     return (
       <div className="flex justify-center items-center py-8">
@@ -418,6 +429,8 @@ export default function ObservationsList({
                   {observations.map((observation) => {
                     const details = buildObservationDetails(observation)
                     const isHighlighted = highlightedObservationId === observation.id
+                    const coveringSpans = getSpansCovering(observation)
+                    const startedSpan = continuousCheck.spans.find(span => span.startObs.id === observation.id)
                     
                     return (
                       <tr 
@@ -431,8 +444,19 @@ export default function ObservationsList({
                           animation: isHighlighted ? 'highlight-fade 3s ease-out' : 'none'
                         }}
                       >
-                        {/* Distance Column */}
-                        <td className="px-6 py-4 whitespace-nowrap">
+                        {/* Distance Column - shaded bar while inside a continuous defect */}
+                        <td className="px-6 py-4 whitespace-nowrap relative">
+                          {coveringSpans.map((span, index) => (
+                            <div
+                              key={span.startObs.id}
+                              className={`absolute top-0 bottom-0 w-1.5 ${span.open ? 'opacity-40' : 'opacity-70'}`}
+                              style={{
+                                left: `${index * 8}px`,
+                                backgroundColor: getSeverityColor(span.startObs.severity)
+                              }}
+                              title={`${span.code} continuous ${span.start.toFixed(1)}m - ${span.finish.toFixed(1)}m`}
+                            />
+                          ))}
                           <div className="text-lg font-medium text-gray-900">
                             {formatDistance(observation.distance)}
                           </div>
@@ -445,6 +469,17 @@ export default function ObservationsList({
                               {observation.code} - {observation.description}
                             </div>
                             
+                            {startedSpan && (
+                              <div className={`inline-flex items-center px-2 py-1 rounded-md text-xs font-medium border ${
+                                startedSpan.open 
+                                  ? 'bg-orange-50 text-orange-700 border-orange-200' 
+                                  : 'bg-gray-100 text-gray-700 border-gray-300'
+                              }`}>
+                                Continuous {formatDistance(startedSpan.start)}m → {formatDistance(startedSpan.finish)}m ({startedSpan.length.toFixed(2)}m)
+                                {startedSpan.open && ' - no finish recorded'}
+                              </div>
+                            )}
+                            
                             {details.length > 0 && (
                               <div className="flex flex-wrap gap-1">
                                 {details.map((detail, index) => (
@@ -557,6 +592,27 @@ export default function ObservationsList({
             
             {/* START/FINISH Reminder - below the severity boxes */}
             <StartFinishReminder observations={observations} />
+            
+            {/* Continuous defect pairing problems */}
+            {continuousCheck.issues.length > 0 && (
+              <div className="bg-orange-50 p-3 rounded border border-orange-200 mt-2">
+                <div className="flex items-center gap-2 mb-1">
+                  <AlertCircle className="w-4 h-4 text-orange-600 flex-shrink-0" />
+                  <div className="text-orange-800 font-medium text-sm">Continuous defects need attention</div>
+                </div>
+                <ul className="text-xs text-orange-700 space-y-0.5 ml-6 list-disc">
+                  {continuousCheck.issues.map((issue, index) => (
+                    <li key={index}>{issue.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            
+            {continuousCheck.affectedLength > 0 && (
+              <div className="text-xs text-gray-600 mt-2">
+                Continuous defects affect {continuousCheck.affectedLength.toFixed(2)}m of this section
+              </div>
+            )}
           </div>
               
         </>
@@ -0,0 +1,562 @@
+// components/PoolAutoAssign.js
+'use client'
+
+import { useState, useEffect, useMemo } from 'react'
+import { X, Wand2, ScanLine, Loader2, AlertCircle, CheckCircle, Plus, Trash2, Save, RotateCcw } from 'lucide-react'
+import { useAuth } from '@/lib/auth-context'
+import { supabase, getAccessToken } from '@/lib/supabase'
+import { assignPoolVideoToSection } from '@/lib/actions/video-pool-upload'
+import { getFilenamePatternsAction, updateFilenamePatternsAction } from '@/lib/actions/video-filename-patterns'
+import {
+  DEFAULT_FILENAME_PATTERNS,
+  AUTO_APPROVE_CONFIDENCE,
+  matchSectionsFromFilename,
+  matchSectionsFromText,
+  mergeCandidates,
+  resolveProposals
+} from '@/lib/video/pool-matcher'
+import { captureVideoFrames } from '@/lib/video/video-metadata'
+import { getAIService, getUserAISettings } from '@/lib/ai-service'
+import { checkCredits, consumeCredits, calculateCreditsRequired } from '@/lib/credits'
+import HelpIcon from '@/components/help/HelpIcon'
+
+// Survey overlays show the node references at the start of the run
+const OCR_FRAME_TIMES = [1, 4]
+
+const getConfidenceBadge = (confidence) => {
+  if (confidence >= AUTO_APPROVE_CONFIDENCE) return 'bg-green-100 text-green-700'
+  if (confidence >= 0.5) return 'bg-yellow-100 text-yellow-700'
+  if (confidence > 0) return 'bg-orange-100 text-orange-700'
+  return 'bg-gray-100 text-gray-500'
+}
+
+export default function PoolAutoAssign({ projectId, poolVideos, onClose, onAssigned }) {
+  const { user, company, profile, refreshProfile } = useAuth()
+  const [sections, setSections] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Filename patterns
+  const [patterns, setPatterns] = useState(DEFAULT_FILENAME_PATTERNS)
+  const [patternsAreDefault, setPatternsAreDefault] = useState(true)
+  const [editingPatterns, setEditingPatterns] = useState(false)
+  const [patternDraft, setPatternDraft] = useState([])
+  const [savingPatterns, setSavingPatterns] = useState(false)
+  const [patternError, setPatternError] = useState(null)
+
+  // On-screen text fallback
+  const [aiSettings, setAISettings] = useState(null)
+  const [creditsPerFrame, setCreditsPerFrame] = useState(5)
+  const [ocrCandidates, setOcrCandidates] = useState({})
+  const [ocrErrors, setOcrErrors] = useState({})
+  const [ocrProgress, setOcrProgress] = useState(null)
+
+  // Reviewer decisions, keyed by pool video ID
+  const [overrides, setOverrides] = useState({})
+  const [approvals, setApprovals] = useState({})
+  const [assigning, setAssigning] = useState(false)
+  const [results, setResults] = useState({})
+
+  const canEditPatterns = profile?.role === 'super_admin' || profile?.role === 'company_admin'
+  const readyVideos = useMemo(() => poolVideos.filter(video => video.status === 'ready'), [poolVideos])
+  const openSections = useMemo(() => sections.filter(section => !section.video_url), [sections])
+
+  useEffect(() => {
+    loadData()
+  }, [projectId, user?.id, company?.id])
+
+  const loadData = async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const { data, error: sectionsError } = await supabase
+        .from('sections')
+        .select('id, section_number, start_ref, finish_ref, video_url')
+        .eq('project_id', projectId)
+        .order('section_number', { ascending: true })
+
+      if (sectionsError) throw sectionsError
+      setSections(data || [])
+
+      if (user?.id && company?.id) {
+        const patternResult = await getFilenamePatternsAction({ accessToken: await getAccessToken(), companyId: company.id })
+        if (patternResult.success) {
+          setPatterns(patternResult.data.patterns)
+          setPatternsAreDefault(patternResult.data.isDefault)
+        }
+      }
+
+      setAISettings(await getUserAISettings())
+      const pricing = await calculateCreditsRequired('ai_inference', { count: 1 })
+      if (pricing?.credits) setCreditsPerFrame(pricing.credits)
+    } catch (err) {
+      console.error('Error loading auto-assign data:', err)
+      setError('Failed to load sections for this project')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const proposals = useMemo(() => {
+    const entries = readyVideos.map(video => {
+      const { parsed, candidates } = matchSectionsFromFilename(video, openSections, patterns)
+      return {
+        video,
+        parsed,
+        candidates: mergeCandidates(candidates, ocrCandidates[video.id] || [])
+      }
+    })
+    return resolveProposals(entries)
+  }, [readyVideos, openSections, patterns, ocrCandidates])
+
+  // Filenames that gave nothing better than a guess
+  const videosNeedingOcr = useMemo(() => readyVideos.filter(video => {
+    const proposal = proposals.find(item => item.videoId === video.id)
+    return proposal && proposal.confidence < AUTO_APPROVE_CONFIDENCE && !ocrCandidates[video.id]
+  }), [readyVideos, proposals, ocrCandidates])
+
+  const rows = proposals.map(proposal => {
+    const overridden = Object.prototype.hasOwnProperty.call(overrides, proposal.videoId)
+    const sectionId = overridden ? overrides[proposal.videoId] : proposal.sectionId
+    const approved = approvals[proposal.videoId] ?? (!!sectionId && proposal.confidence >= AUTO_APPROVE_CONFIDENCE)
+    return { ...proposal, sectionId, overridden, approved: approved && !!sectionId && !results[proposal.videoId]?.success }
+  })
+
+  const approvedRows = rows.filter(row => row.approved)
+  const duplicateSections = new Set(
+    approvedRows
+      .map(row => row.sectionId)
+      .filter((sectionId, index, list) => list.indexOf(sectionId) !== index)
+  )
+
+  const sectionLabel = (section) => `#${section.section_number} ${section.start_ref || '?'} → ${section.finish_ref || '?'}`
+
+  const handleSectionChange = (videoId, sectionId) => {
+    setOverrides(prev => ({ ...prev, [videoId]: sectionId || null }))
+    setApprovals(prev => ({ ...prev, [videoId]: !!sectionId }))
+  }
+
+  const handleToggleAll = (approved) => {
+    setApprovals(Object.fromEntries(rows.filter(row => row.sectionId).map(row => [row.videoId, approved])))
+  }
+
+  const handleReadOnScreenText = async () => {
+    if (!aiSettings?.ai_enabled || videosNeedingOcr.length === 0) return
+
+    const maxCredits = videosNeedingOcr.length * OCR_FRAME_TIMES.length * creditsPerFrame
+    if (company?.id) {
+      const hasCredits = await checkCredits(company.id, maxCredits)
+      if (!hasCredits) {
+        setError(`Insufficient credits. Reading on-screen text needs up to ${maxCredits} credits.`)
+        return
+      }
+    }
+
+    setError(null)
+    const aiService = getAIService(aiSettings.runpod_api_key)
+    aiService.setEnabled(true)
+
+    for (const [index, video] of videosNeedingOcr.entries()) {
+      setOcrProgress({ current: index + 1, total: videosNeedingOcr.length, filename: video.original_filename })
+
+      try {
+        const frames = await captureVideoFrames(video.video_url, OCR_FRAME_TIMES)
+        if (frames.length === 0) {
+          throw new Error('Frames could not be read from the video')
+        }
+
+        const textResults = []
+        for (const frame of frames) {
+          const predictions = await aiService.callRunPodAPI(await aiService.imageToBase64(frame))
+          textResults.push(...predictions.text)
+        }
+
+        setOcrCandidates(prev => ({ ...prev, [video.id]: matchSectionsFromText(textResults, openSections) }))
+
+        if (company?.id && user?.id) {
+          try {
+            await consumeCredits(
+              company.id,
+              user.id,
+              frames.length * creditsPerFrame,
+              'ai_inference',
+              `Node reference OCR for ${video.original_filename}`
+            )
+          } catch (creditError) {
+            console.error('Failed to consume credits:', creditError)
+          }
+        }
+      } catch (err) {
+        console.error(`Error reading on-screen text for ${video.original_filename}:`, err)
+        setOcrErrors(prev => ({ ...prev, [video.id]: err.message }))
+        // Don't offer the same video again in this session
+        setOcrCandidates(prev => ({ ...prev, [video.id]: [] }))
+      }
+    }
+
+    setOcrProgress(null)
+    await refreshProfile()
+  }
+
+  const handleApprove = async () => {
+    if (approvedRows.length === 0 || duplicateSections.size > 0) return
+
+    setAssigning(true)
+    setError(null)
+
+    let assignedCount = 0
+    const accessToken = await getAccessToken()
+    for (const row of approvedRows) {
+      const result = await assignPoolVideoToSection(row.videoId, row.sectionId, accessToken)
+      setResults(prev => ({ ...prev, [row.videoId]: result }))
+      if (result.success) assignedCount++
+    }
+
+    setAssigning(false)
+
+    if (assignedCount > 0) {
+      // Assigned sections are no longer open
+      const { data } = await supabase
+        .from('sections')
+        .select('id, section_number, start_ref, finish_ref, video_url')
+        .eq('project_id', projectId)
+        .order('section_number', { ascending: true })
+      if (data) setSections(data)
+      onAssigned?.(assignedCount)
+    }
+  }
+
+  const startEditingPatterns = () => {
+    setPatternDraft(patterns.map(item => ({ ...item })))
+    setPatternError(null)
+    setEditingPatterns(true)
+  }
+
+  const handleSavePatterns = async (restoreDefaults = false) => {
+    setSavingPatterns(true)
+    setPatternError(null)
+
+    const result = await updateFilenamePatternsAction({
+      accessToken: await getAccessToken(),
+      companyId: company.id,
+      patterns: restoreDefaults ? [] : patternDraft
+    })
+
+    if (result.success) {
+      setPatterns(result.data.patterns)
+      setPatternsAreDefault(result.data.isDefault)
+      setEditingPatterns(false)
+    } else {
+      setPatternError(result.error)
+    }
+    setSavingPatterns(false)
+  }
+
+  const updateDraft = (index, field, value) => {
+    setPatternDraft(prev => prev.map((item, i) => i === index ? { ...item, [field]: value } : item))
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200 flex justify-between items-start">
+          <div>
+            <div className="flex items-center gap-2">
+              <Wand2 className="w-5 h-5 text-blue-600" />
+              <h2 className="text-xl font-bold text-gray-900">Auto-assign Pool Videos</h2>
+              <HelpIcon
+                title="Auto-assign"
+                content="Proposes a section for each pool video. Nothing is assigned until you approve it."
+                bullets={[
+                  'Filenames are read with the patterns below, e.g. MH01-MH02_2024-03-01.mp4',
+                  'Start and finish references, in either order, or the section number are matched against sections without a video',
+                  `Matches of ${Math.round(AUTO_APPROVE_CONFIDENCE * 100)}% or more are ticked for approval`,
+                  'When a filename gives no clear match, the node references can be read from the video\'s opening frames (uses AI credits)',
+                  'Each section receives at most one video'
+                ]}
+                size="sm"
+              />
+            </div>
+            <p className="text-sm text-gray-600 mt-1">
+              {readyVideos.length} ready video{readyVideos.length !== 1 ? 's' : ''} • {openSections.length} section{openSections.length !== 1 ? 's' : ''} without a video
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={assigning || !!ocrProgress}
+            className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-start">
+              <AlertCircle className="w-5 h-5 text-red-600 mr-2 flex-shrink-0" />
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+            </div>
+          ) : (
+            <>
+              {/* Filename patterns */}
+              <div className="border rounded-lg p-4">
+                <div className="flex justify-between items-center">
+                  <h3 className="text-sm font-medium text-gray-900">
+                    Filename patterns {patternsAreDefault && <span className="text-gray-500 font-normal">(defaults)</span>}
+                  </h3>
+                  {canEditPatterns && !editingPatterns && (
+                    <button onClick={startEditingPatterns} className="text-sm text-blue-600 hover:text-blue-800">
+                      Edit
+                    </button>
+                  )}
+                </div>
+
+                {!editingPatterns ? (
+                  <ul className="mt-2 space-y-1">
+                    {patterns.map((item, index) => (
+                      <li key={index} className="text-xs text-gray-600">
+                        <span className="font-medium">{item.name}:</span> <code className="bg-gray-100 px-1 rounded">{item.pattern}</code>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <div className="mt-3 space-y-3">
+                    <p className="text-xs text-gray-500">
+                      Regular expressions (case-insensitive) matched against the filename without its extension.
+                      Use the named groups <code>(?&lt;start&gt;…)</code>, <code>(?&lt;finish&gt;…)</code>, <code>(?&lt;section&gt;…)</code> and
+                      optionally <code>(?&lt;date&gt;…)</code>. The first pattern that matches is used.
+                    </p>
+                    {patternDraft.map((item, index) => (
+                      <div key={index} className="flex gap-2 items-center">
+                        <input
+                          type="text"
+                          value={item.name}
+                          onChange={(e) => updateDraft(index, 'name', e.target.value)}
+                          className="w-48 rounded-md border-gray-300 text-sm"
+                          placeholder="Name"
+                        />
+                        <input
+                          type="text"
+                          value={item.pattern}
+                          onChange={(e) => updateDraft(index, 'pattern', e.target.value)}
+                          className="flex-1 rounded-md border-gray-300 text-sm font-mono"
+                          placeholder="^(?<start>\w+)-(?<finish>\w+)"
+                        />
+                        <button
+                          onClick={() => setPatternDraft(prev => prev.filter((_, i) => i !== index))}
+                          className="text-red-600 hover:text-red-700"
+                          title="Remove pattern"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    {patternError && <p className="text-sm text-red-600">{patternError}</p>}
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => setPatternDraft(prev => [...prev, { name: '', pattern: '' }])}
+                        className="flex items-center px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+                      >
+                        <Plus className="w-4 h-4 mr-1" /> Add pattern
+                      </button>
+                      <button
+                        onClick={() => handleSavePatterns(false)}
+                        disabled={savingPatterns || patternDraft.length === 0}
+                        className="flex items-center px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        <Save className="w-4 h-4 mr-1" /> Save patterns
+                      </button>
+                      {!patternsAreDefault && (
+                        <button
+                          onClick={() => handleSavePatterns(true)}
+                          disabled={savingPatterns}
+                          className="flex items-center px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          <RotateCcw className="w-4 h-4 mr-1" /> Restore defaults
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setEditingPatterns(false)}
+                        disabled={savingPatterns}
+                        className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* On-screen text fallback */}
+              {videosNeedingOcr.length > 0 && (
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-start justify-between gap-4">
+                  <div className="text-sm text-blue-800">
+                    {ocrProgress ? (
+                      <p className="flex items-center">
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                        Reading video {ocrProgress.current} of {ocrProgress.total}: {ocrProgress.filename}
+                      </p>
+                    ) : aiSettings?.ai_enabled ? (
+                      <p>
+                        {videosNeedingOcr.length} filename{videosNeedingOcr.length !== 1 ? 's' : ''} gave no clear match.
+                        Read the node references from the opening frames instead (up to {videosNeedingOcr.length * OCR_FRAME_TIMES.length * creditsPerFrame} credits).
+                      </p>
+                    ) : (
+                      <p>
+                        {videosNeedingOcr.length} filename{videosNeedingOcr.length !== 1 ? 's' : ''} gave no clear match.
+                        Enable AI analysis to read node references from the video instead.
+                      </p>
+                    )}
+                  </div>
+                  {aiSettings?.ai_enabled && (
+                    <button
+                      onClick={handleReadOnScreenText}
+                      disabled={!!ocrProgress || assigning}
+                      className="flex items-center px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 whitespace-nowrap"
+                    >
+                      <ScanLine className="w-4 h-4 mr-1" /> Read on-screen text
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {/* Proposals */}
+              {rows.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No ready videos in the pool.</p>
+              ) : (
+                <div className="border rounded-lg overflow-hidden">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left">
+                          <input
+                            type="checkbox"
+                            checked={approvedRows.length > 0 && approvedRows.length === rows.filter(row => row.sectionId && !results[row.videoId]?.success).length}
+                            onChange={(e) => handleToggleAll(e.target.checked)}
+                            title="Select all proposals"
+                          />
+                        </th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">Video</th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">Section</th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">Confidence</th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">Why</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {rows.map(row => {
+                        const result = results[row.videoId]
+                        const candidateIds = [row.sectionId, ...row.alternatives.map(candidate => candidate.sectionId)]
+                        const orderedSections = [
+                          ...candidateIds.map(id => openSections.find(section => section.id === id)).filter(Boolean),
+                          ...openSections.filter(section => !candidateIds.includes(section.id))
+                        ]
+
+                        return (
+                          <tr key={row.videoId} className={result?.success ? 'bg-green-50' : ''}>
+                            <td className="px-3 py-2 align-top">
+                              <input
+                                type="checkbox"
+                                checked={row.approved}
+                                disabled={!row.sectionId || result?.success}
+                                onChange={(e) => setApprovals(prev => ({ ...prev, [row.videoId]: e.target.checked }))}
+                              />
+                            </td>
+                            <td className="px-3 py-2 align-top">
+                              <p className="font-medium text-gray-900 break-all">{row.filename}</p>
+                              {row.parsed && (
+                                <p className="text-xs text-gray-500">
+                                  {row.parsed.patternName}
+                                  {row.parsed.date && ` • ${row.parsed.date}`}
+                                </p>
+                              )}
+                              {ocrErrors[row.videoId] && (
+                                <p className="text-xs text-red-600">On-screen text: {ocrErrors[row.videoId]}</p>
+                              )}
+                            </td>
+                            <td className="px-3 py-2 align-top">
+                              {result?.success ? (
+                                <span className="flex items-center text-green-700">
+                                  <CheckCircle className="w-4 h-4 mr-1" /> Assigned
+                                </span>
+                              ) : (
+                                <>
+                                  <select
+                                    value={row.sectionId || ''}
+                                    onChange={(e) => handleSectionChange(row.videoId, e.target.value)}
+                                    disabled={assigning}
+                                    className={`rounded-md text-sm ${duplicateSections.has(row.sectionId) && row.approved ? 'border-red-400' : 'border-gray-300'}`}
+                                  >
+                                    <option value="">No section</option>
+                                    {orderedSections.map(section => (
+                                      <option key={section.id} value={section.id}>{sectionLabel(section)}</option>
+                                    ))}
+                                  </select>
+                                  {result?.error && <p className="text-xs text-red-600 mt-1">{result.error}</p>}
+                                </>
+                              )}
+                            </td>
+                            <td className="px-3 py-2 align-top">
+                              {row.overridden ? (
+                                <span className="inline-block px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-700">Manual</span>
+                              ) : (
+                                <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${getConfidenceBadge(row.confidence)}`}>
+                                  {row.sectionId ? `${Math.round(row.confidence * 100)}%` : 'No match'}
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-3 py-2 align-top text-xs text-gray-600">
+                              {!row.overridden && row.reason && (
+                                <>
+                                  {row.reason}
+                                  <span className="text-gray-400"> ({row.source === 'ocr' ? 'on-screen text' : 'filename'})</span>
+                                </>
+                              )}
+                            </td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 bg-gray-50 flex justify-between items-center">
+          <p className="text-sm text-gray-600">
+            {duplicateSections.size > 0
+              ? <span className="text-red-600">A section is selected for more than one video</span>
+              : `${approvedRows.length} assignment${approvedRows.length !== 1 ? 's' : ''} selected`}
+          </p>
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              disabled={assigning || !!ocrProgress}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Close
+            </button>
+            <button
+              onClick={handleApprove}
+              disabled={approvedRows.length === 0 || duplicateSections.size > 0 || assigning || !!ocrProgress}
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {assigning && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+              Approve Selected ({approvedRows.length})
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
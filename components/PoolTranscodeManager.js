@@ -9,10 +9,12 @@ import {
   getPoolTranscodingStatus,
   processPoolVideosForTranscoding,
   checkProcessingVideos
-} from '@/lib/actions/video-pool-transcode-enhanced'
+} from '@/lib/actions/video-pool-transcode'
+import { TranscoderLabels, TRANSCODE_MAX_HEIGHT } from '@/lib/video/transcoding/transcoder-interface'
 
 export default function PoolTranscodeManager({ projectId, onTranscodeComplete }) {
   const [status, setStatus] = useState(null)
+  const [transcoder, setTranscoder] = useState(null)
   const [processing, setProcessing] = useState(false)
   const [checkingStatus, setCheckingStatus] = useState(false)
   const [results, setResults] = useState(null)
@@ -131,6 +133,7 @@ export default function PoolTranscodeManager({ projectId, onTranscodeComplete })
       if (result.success) {
         console.log('✅ Setting status with stats:', result.stats)
         setStatus(result.stats)
+        setTranscoder(result.transcoder)
         setLastUpdateTime(new Date())
         
         // Start auto-polling if videos are processing
@@ -281,6 +284,8 @@ export default function PoolTranscodeManager({ projectId, onTranscodeComplete })
     }).format(date) : ''
   }
 
+  const transcoderLabel = TranscoderLabels[transcoder] || 'the transcoder'
+
   return (
     <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-3">
       {/* Status Header */}
@@ -436,13 +441,13 @@ export default function PoolTranscodeManager({ projectId, onTranscodeComplete })
         <div className="text-xs text-amber-600">
           {status.processing > 0 ? (
             <div className="flex items-center space-x-2">
-              <span>Videos converting in AWS MediaConvert</span>
+              <span>Videos converting in {transcoderLabel}</span>
               {autoPolling && (
                 <span className="text-green-600">• Auto-updating every 30s</span>
               )}
             </div>
           ) : (
-            'Videos will be converted to 480p MP4 format (~20s to start)'
+            `Videos will be converted to ${TRANSCODE_MAX_HEIGHT}p MP4 format (~20s to start)`
           )}
         </div>
         
@@ -510,7 +515,7 @@ export default function PoolTranscodeManager({ projectId, onTranscodeComplete })
             <Film className="w-4 h-4 text-blue-600 mt-0.5" />
             <div className="text-sm text-blue-800">
               <p className="font-medium">
-                {processing ? 'Starting video conversion...' : 'Videos processing in AWS MediaConvert'}
+                {processing ? 'Starting video conversion...' : `Videos processing in ${transcoderLabel}`}
               </p>
               <p className="mt-1">
                 {processing ? (
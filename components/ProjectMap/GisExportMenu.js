@@ -0,0 +1,91 @@
+// components/ProjectMap/GisExportMenu.js
+// Map header dropdown for downloading the network as GeoJSON, KML or a zipped Shapefile
+
+'use client'
+
+import { useState, useRef, useEffect } from 'react'
+import { Download, ChevronDown } from 'lucide-react'
+import { GIS_FORMATS, GIS_CRS } from '@/lib/exchange/gis-export'
+
+const CRS_OPTIONS = [
+  { value: GIS_CRS.WGS84, label: 'WGS84 (lat/long)' },
+  { value: GIS_CRS.BNG, label: 'British National Grid' }
+]
+
+export default function GisExportMenu({ onExport, disabled = false }) {
+  const [showMenu, setShowMenu] = useState(false)
+  const [crs, setCrs] = useState(GIS_CRS.WGS84)
+  const menuRef = useRef(null)
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setShowMenu(false)
+      }
+    }
+
+    if (showMenu) {
+      document.addEventListener('mousedown', handleClickOutside)
+      return () => document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [showMenu])
+
+  const handleExport = (format) => {
+    setShowMenu(false)
+    onExport(format, crs)
+  }
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setShowMenu(!showMenu)}
+        disabled={disabled}
+        className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+        title={disabled ? 'Place nodes on the map to export the network' : 'Export manholes, pipes and observations for GIS'}
+      >
+        <Download className="w-4 h-4" />
+        <span>Export GIS</span>
+        <ChevronDown className="w-3 h-3" />
+      </button>
+
+      {showMenu && (
+        <div className="absolute right-0 mt-1 w-60 bg-white border border-gray-200 rounded-md shadow-lg z-[1000]">
+          <div className="px-4 py-2 border-b border-gray-100">
+            <p className="text-xs font-medium text-gray-500 mb-1">Coordinate system</p>
+            {CRS_OPTIONS.map(option => (
+              <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700 py-0.5">
+                <input
+                  type="radio"
+                  name="gis-export-crs"
+                  value={option.value}
+                  checked={crs === option.value}
+                  onChange={() => setCrs(option.value)}
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+          <button
+            onClick={() => handleExport(GIS_FORMATS.GEOJSON)}
+            className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+          >
+            GeoJSON (.geojson)
+          </button>
+          <button
+            onClick={() => handleExport(GIS_FORMATS.SHAPEFILE)}
+            className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+          >
+            Shapefile (.zip)
+          </button>
+          <button
+            onClick={() => handleExport(GIS_FORMATS.KML)}
+            className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+          >
+            Google Earth KML (.kml)
+            <span className="block text-xs text-gray-400">Always WGS84</span>
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,415 @@
+'use client'
+
+import { useState, useMemo } from 'react'
+import { FileUp, AlertTriangle, CheckCircle, X, Loader } from 'lucide-react'
+import { GIS_CRS } from '@/lib/exchange/gis-export'
+import {
+  parseGisFile,
+  suggestLayerRole,
+  suggestFieldMapping,
+  suggestNodeTypeMapping,
+  buildGisImportPlan,
+  commitGisImportPlan,
+  LAYER_ROLES,
+  NODE_IMPORT_FIELDS,
+  LINE_IMPORT_FIELDS
+} from '@/lib/exchange/gis-import'
+
+const CRS_OPTIONS = [
+  { value: GIS_CRS.WGS84, label: 'WGS84 (lat/long)' },
+  { value: GIS_CRS.BNG, label: 'British National Grid (OSGB36)' }
+]
+
+const selectClass = 'w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm'
+
+export default function GisImportModal({
+  isOpen,
+  onClose,
+  projectId,
+  nodeTypes = [],
+  existingNodes = [],
+  existingLines = [],
+  sections = [],
+  onImported
+}) {
+  const [fileName, setFileName] = useState('')
+  const [layers, setLayers] = useState([])
+  const [nodeLayerIndex, setNodeLayerIndex] = useState('')
+  const [lineLayerIndex, setLineLayerIndex] = useState('')
+  const [layerCrs, setLayerCrs] = useState({})
+  const [nodeMapping, setNodeMapping] = useState({})
+  const [lineMapping, setLineMapping] = useState({})
+  const [nodeTypeMapping, setNodeTypeMapping] = useState({})
+  const [defaultNodeTypeId, setDefaultNodeTypeId] = useState('')
+  const [updateExisting, setUpdateExisting] = useState(true)
+  const [parsing, setParsing] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [error, setError] = useState(null)
+  const [result, setResult] = useState(null)
+
+  const nodeLayer = nodeLayerIndex !== '' ? layers[nodeLayerIndex] : null
+  const lineLayer = lineLayerIndex !== '' ? layers[lineLayerIndex] : null
+  // Node types load with the map, possibly after this modal mounts
+  const defaultTypeId = defaultNodeTypeId || nodeTypes[0]?.id || ''
+
+  const reset = () => {
+    setFileName('')
+    setLayers([])
+    setNodeLayerIndex('')
+    setLineLayerIndex('')
+    setLayerCrs({})
+    setNodeMapping({})
+    setLineMapping({})
+    setNodeTypeMapping({})
+    setError(null)
+    setResult(null)
+  }
+
+  const handleClose = () => {
+    reset()
+    onClose()
+  }
+
+  const selectNodeLayer = (index, availableLayers = layers) => {
+    setNodeLayerIndex(index)
+    const layer = index !== '' ? availableLayers[index] : null
+    const mapping = layer ? suggestFieldMapping(layer.columns, NODE_IMPORT_FIELDS) : {}
+    setNodeMapping(mapping)
+    setNodeTypeMapping(layer ? suggestNodeTypeMapping(layer, mapping.node_type, nodeTypes) : {})
+  }
+
+  const selectLineLayer = (index, availableLayers = layers) => {
+    setLineLayerIndex(index)
+    const layer = index !== '' ? availableLayers[index] : null
+    setLineMapping(layer ? suggestFieldMapping(layer.columns, LINE_IMPORT_FIELDS) : {})
+  }
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    reset()
+    setFileName(file.name)
+    setParsing(true)
+
+    try {
+      const parsed = await parseGisFile(file)
+      if (parsed.length === 0 || parsed.every(layer => layer.features.length === 0)) {
+        throw new Error('No features found in this file')
+      }
+
+      setLayers(parsed)
+      setLayerCrs(Object.fromEntries(parsed.map((layer, index) => [index, layer.crs || GIS_CRS.WGS84])))
+
+      const firstNodes = parsed.findIndex(layer => suggestLayerRole(layer) === LAYER_ROLES.NODES)
+      const firstLines = parsed.findIndex(layer => suggestLayerRole(layer) === LAYER_ROLES.LINES)
+      selectNodeLayer(firstNodes >= 0 ? firstNodes : '', parsed)
+      selectLineLayer(firstLines >= 0 ? firstLines : '', parsed)
+    } catch (err) {
+      console.error('Error reading GIS file:', err)
+      setError(err.message)
+    } finally {
+      setParsing(false)
+    }
+  }
+
+  const handleNodeMappingChange = (column, source) => {
+    const mapping = { ...nodeMapping, [column]: source }
+    setNodeMapping(mapping)
+    if (column === 'node_type') {
+      setNodeTypeMapping(suggestNodeTypeMapping(nodeLayer, source, nodeTypes))
+    }
+  }
+
+  const plan = useMemo(() => {
+    if (!nodeLayer && !lineLayer) return null
+    if (nodeLayer && !nodeMapping.node_ref) return null
+
+    return buildGisImportPlan({
+      nodeLayer: nodeLayer && { ...nodeLayer, crs: layerCrs[nodeLayerIndex] },
+      nodeMapping,
+      nodeTypeMapping,
+      defaultNodeTypeId: defaultTypeId || null,
+      lineLayer: lineLayer && { ...lineLayer, crs: layerCrs[lineLayerIndex] },
+      lineMapping,
+      existingNodes,
+      existingLines,
+      sections
+    })
+  }, [nodeLayer, lineLayer, nodeLayerIndex, lineLayerIndex, layerCrs, nodeMapping, nodeTypeMapping, defaultTypeId, lineMapping, existingNodes, existingLines, sections])
+
+  const issues = plan ? [
+    ...plan.nodes.filter(n => n.status === 'invalid').map(n => `Manhole ${n.data.node_ref}: ${n.errors.join('; ')}`),
+    ...plan.lines.filter(l => l.status === 'invalid').map(l => `Pipe ${l.startRef || '?'} → ${l.finishRef || '?'}: ${l.errors.join('; ')}`)
+  ] : []
+
+  const failures = result ? [...result.failedNodes, ...result.failedLines] : []
+
+  const handleImport = async () => {
+    if (!plan) return
+
+    setImporting(true)
+    setError(null)
+
+    try {
+      const importResult = await commitGisImportPlan(projectId, plan, { updateExisting, existingNodes })
+      setResult(importResult)
+      onImported?.(importResult)
+    } catch (err) {
+      console.error('Error importing GIS data:', err)
+      setError(err.message || 'Failed to import GIS data')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  const nodeTypeValues = Object.keys(nodeTypeMapping)
+  const pointLayers = layers.map((layer, index) => ({ layer, index })).filter(({ layer }) => layer.geometryType === 'point')
+  const lineLayers = layers.map((layer, index) => ({ layer, index })).filter(({ layer }) => layer.geometryType !== 'point')
+
+  const renderLayerSelect = (label, options, value, onChange) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <select value={value} onChange={(e) => onChange(e.target.value === '' ? '' : Number(e.target.value))} className={selectClass}>
+        <option value="">Don&apos;t import</option>
+        {options.map(({ layer, index }) => (
+          <option key={index} value={index}>{layer.name} ({layer.features.length})</option>
+        ))}
+      </select>
+      {value !== '' && layers[value]?.crs && (
+        <select
+          value={layerCrs[value]}
+          onChange={(e) => setLayerCrs({ ...layerCrs, [value]: e.target.value })}
+          className={`${selectClass} mt-2`}
+        >
+          {CRS_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  )
+
+  const renderFieldMapping = (fields, layer, mapping, onChange) => (
+    <div className="grid grid-cols-2 gap-2">
+      {fields.map(field => (
+        <div key={field.column}>
+          <label className="block text-xs text-gray-600 mb-0.5">
+            {field.label}{field.required && ' *'}
+          </label>
+          <select value={mapping[field.column] || ''} onChange={(e) => onChange(field.column, e.target.value)} className={selectClass}>
+            <option value="">—</option>
+            {layer.columns.map(column => (
+              <option key={column} value={column}>{column}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4" style={{ zIndex: 9999 }}>
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center">
+            <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center mr-3">
+              <FileUp className="w-5 h-5 text-blue-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Import Network from GIS</h3>
+          </div>
+          <button onClick={handleClose} className="text-gray-500 hover:text-gray-700">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto flex-1 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              GeoJSON, zipped Shapefile or CSV of manholes and pipes
+            </label>
+            <input
+              type="file"
+              accept=".geojson,.json,.zip,.csv,application/geo+json,application/json,application/zip,text/csv"
+              onChange={handleFileSelect}
+              disabled={parsing || importing}
+              className="block w-full text-sm text-gray-600 file:mr-3 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+            {parsing && (
+              <p className="mt-2 text-sm text-gray-500 flex items-center">
+                <Loader className="w-4 h-4 mr-2 animate-spin" />
+                Reading {fileName}...
+              </p>
+            )}
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {result && (
+            <div className={`${failures.length > 0 ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-green-50 border-green-200 text-green-800'} border rounded-md p-3 text-sm flex items-start`}>
+              {failures.length > 0
+                ? <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                : <CheckCircle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />}
+              <div>
+                <p>
+                  Added {result.createdNodes} manhole{result.createdNodes !== 1 ? 's' : ''} and {result.createdLines} pipe{result.createdLines !== 1 ? 's' : ''}.
+                  {result.updatedNodes > 0 && ` Updated ${result.updatedNodes} existing manhole${result.updatedNodes !== 1 ? 's' : ''}.`}
+                  {result.linkedSections > 0 && ` Linked ${result.linkedSections} pipe${result.linkedSections !== 1 ? 's' : ''} to surveyed sections.`}
+                </p>
+                {failures.length > 0 && (
+                  <>
+                    <p className="mt-2">Not imported:</p>
+                    <ul className="mt-1 space-y-1 text-xs">
+                      {failures.map(failed => (
+                        <li key={failed.key}>{failed.label}: {failed.error}</li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {layers.length > 0 && !result && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {renderLayerSelect('Manholes layer', pointLayers, nodeLayerIndex, (index) => selectNodeLayer(index))}
+                {renderLayerSelect('Pipes layer', lineLayers, lineLayerIndex, (index) => selectLineLayer(index))}
+              </div>
+
+              {nodeLayer && (
+                <div className="border rounded-md p-3 space-y-3">
+                  <p className="text-sm font-medium text-gray-900">Manhole attributes</p>
+                  {renderFieldMapping(NODE_IMPORT_FIELDS, nodeLayer, nodeMapping, handleNodeMappingChange)}
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-0.5">Default node type</label>
+                      <select value={defaultTypeId} onChange={(e) => setDefaultNodeTypeId(e.target.value)} className={selectClass}>
+                        {nodeTypes.map(type => (
+                          <option key={type.id} value={type.id}>{type.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  {nodeTypeValues.length > 0 && (
+                    <div>
+                      <p className="text-xs text-gray-600 mb-1">Node types in the file</p>
+                      <div className="grid grid-cols-2 gap-2">
+                        {nodeTypeValues.map(value => (
+                          <div key={value} className="flex items-center space-x-2">
+                            <span className="text-sm text-gray-700 w-1/2 truncate" title={value}>{value}</span>
+                            <select
+                              value={nodeTypeMapping[value]}
+                              onChange={(e) => setNodeTypeMapping({ ...nodeTypeMapping, [value]: e.target.value })}
+                              className={selectClass}
+                            >
+                              <option value="">Default type</option>
+                              {nodeTypes.map(type => (
+                                <option key={type.id} value={type.id}>{type.name}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {lineLayer && (
+                <div className="border rounded-md p-3 space-y-3">
+                  <p className="text-sm font-medium text-gray-900">Pipe attributes</p>
+                  {renderFieldMapping(LINE_IMPORT_FIELDS, lineLayer, lineMapping, (column, source) => setLineMapping({ ...lineMapping, [column]: source }))}
+                  <p className="text-xs text-gray-500">
+                    Pipes are linked to sections with the same start and finish references. Pipe ends without a
+                    reference join the manhole they touch.
+                  </p>
+                </div>
+              )}
+
+              {nodeLayer && !nodeMapping.node_ref && (
+                <p className="text-sm text-yellow-700">Choose the column holding the manhole reference.</p>
+              )}
+
+              {plan && (
+                <>
+                  {/* Dry-run summary */}
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <div className="bg-green-50 rounded-md p-3">
+                      <p className="text-xs text-green-700">New manholes</p>
+                      <p className="text-lg font-semibold text-green-800">{plan.totals.newNodes}</p>
+                    </div>
+                    <div className="bg-yellow-50 rounded-md p-3">
+                      <p className="text-xs text-yellow-700">Already on map</p>
+                      <p className="text-lg font-semibold text-yellow-800">{plan.totals.updatedNodes}</p>
+                    </div>
+                    <div className="bg-green-50 rounded-md p-3">
+                      <p className="text-xs text-green-700">New pipes</p>
+                      <p className="text-lg font-semibold text-green-800">{plan.totals.newLines}</p>
+                    </div>
+                    <div className="bg-blue-50 rounded-md p-3">
+                      <p className="text-xs text-blue-700">Linked to sections</p>
+                      <p className="text-lg font-semibold text-blue-800">{plan.totals.linkedSections}</p>
+                    </div>
+                  </div>
+
+                  {plan.totals.updatedNodes > 0 && (
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input type="checkbox" checked={updateExisting} onChange={(e) => setUpdateExisting(e.target.checked)} />
+                      <span>Move manholes already on the map to the imported position and levels</span>
+                    </label>
+                  )}
+
+                  {plan.totals.existingLines > 0 && (
+                    <p className="text-sm text-gray-600">
+                      {plan.totals.existingLines} pipe{plan.totals.existingLines !== 1 ? 's are' : ' is'} already on the map and will be skipped.
+                    </p>
+                  )}
+
+                  {issues.length > 0 && (
+                    <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">
+                      <p className="flex items-center font-medium mb-1">
+                        <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+                        {issues.length} feature{issues.length !== 1 ? 's' : ''} will be skipped
+                      </p>
+                      <ul className="space-y-0.5 text-xs max-h-32 overflow-y-auto">
+                        {issues.map((issue, index) => <li key={index}>{issue}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex gap-3 p-4 border-t">
+          {!result && (
+            <button
+              onClick={handleImport}
+              disabled={!plan || importing || parsing || (plan.totals.newNodes + plan.totals.updatedNodes + plan.totals.newLines === 0)}
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {importing ? 'Importing...' : 'Import Network'}
+            </button>
+          )}
+          <button
+            onClick={handleClose}
+            disabled={importing}
+            className="flex-1 bg-gray-200 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 transition-colors"
+          >
+            {result ? 'Close' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,264 @@
+// components/ProjectMap/LongitudinalProfileModal.js
+// Long section of a pipe run: ground, manholes and pipe inverts with observations at their distances
+
+'use client'
+
+import { X, AlertTriangle } from 'lucide-react'
+import { buildLongitudinalProfile, formatGradient } from '@/lib/utils/pipe-flow'
+import { getSeverityColor } from './utils/mapHelpers'
+
+const CHART = { width: 860, height: 340, left: 60, right: 20, top: 20, bottom: 50 }
+const MANHOLE_WIDTH = 10
+const GROUND_COLOR = '#92400E'
+const PIPE_COLOR = '#2563EB'
+const UPHILL_COLOR = '#DC2626'
+
+// Round numbers for the level axis
+const levelTicks = (min, max) => {
+  const span = max - min
+  const step = [0.1, 0.2, 0.5, 1, 2, 5, 10].find(candidate => span / candidate <= 8) || 20
+  const ticks = []
+  for (let value = Math.ceil(min / step) * step; value <= max + 1e-9; value += step) {
+    ticks.push(Math.round(value * 1000) / 1000)
+  }
+  return ticks
+}
+
+export default function LongitudinalProfileModal({
+  isOpen,
+  onClose,
+  run = [],
+  nodes = [],
+  sections = [],
+  observations = [],
+  onJumpToVideo
+}) {
+  if (!isOpen || run.length === 0) return null
+
+  const profile = buildLongitudinalProfile(run, { nodes, sections, observations })
+  const { manholes, pipes, totalLength, hasLevels } = profile
+
+  const soffit = (pipe, invert) => invert + (pipe.diameter ? pipe.diameter / 1000 : 0)
+  const levels = [
+    ...manholes.map(manhole => manhole.cover),
+    ...pipes.flatMap(pipe => [pipe.flow.upstreamInvert, pipe.flow.downstreamInvert]),
+    ...pipes.flatMap(pipe => [pipe.flow.upstreamInvert, pipe.flow.downstreamInvert]
+      .filter(level => level !== null)
+      .map(level => soffit(pipe, level)))
+  ].filter(level => level !== null)
+
+  const minLevel = levels.length > 0 ? Math.min(...levels) - 0.5 : 0
+  const maxLevel = levels.length > 0 ? Math.max(...levels) + 0.5 : 1
+  const plotWidth = CHART.width - CHART.left - CHART.right
+  const plotHeight = CHART.height - CHART.top - CHART.bottom
+
+  const x = (chainage) => CHART.left + (totalLength > 0 ? chainage / totalLength : 0) * plotWidth
+  const y = (level) => CHART.top + (1 - (level - minLevel) / (maxLevel - minLevel)) * plotHeight
+  // Pipes without levels are drawn flat near the bottom of the chart
+  const baseY = CHART.top + plotHeight * 0.8
+  const pipeY = (level) => level === null ? baseY : y(level)
+
+  const groundPoints = manholes
+    .filter(manhole => manhole.cover !== null)
+    .sort((a, b) => a.chainage - b.chainage)
+    .map(manhole => `${x(manhole.chainage)},${y(manhole.cover)}`)
+    .join(' ')
+
+  const allObservations = pipes.flatMap(pipe => pipe.observations.map(entry => ({ ...entry, pipe })))
+  const first = manholes[0]?.node
+  const last = manholes[manholes.length - 1]?.node
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4" style={{ zIndex: 9999 }}>
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-medium">
+              Longitudinal Profile: {first?.node_ref} → {last?.node_ref}
+            </h3>
+            <p className="text-sm text-gray-500">
+              {pipes.length} pipe{pipes.length !== 1 ? 's' : ''} • {totalLength.toFixed(2)}m
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto">
+          {!hasLevels && (
+            <p className="mb-2 text-sm text-amber-700 bg-amber-50 rounded px-3 py-2">
+              No cover or invert levels recorded - pipes are drawn level. Add cover levels to the manholes and depths to the sections to see gradients.
+            </p>
+          )}
+
+          <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full border border-gray-200 rounded bg-gray-50">
+            {/* Level axis */}
+            {hasLevels && levelTicks(minLevel, maxLevel).map(tick => (
+              <g key={`tick-${tick}`}>
+                <line x1={CHART.left} x2={CHART.width - CHART.right} y1={y(tick)} y2={y(tick)} stroke="#E5E7EB" />
+                <text x={CHART.left - 6} y={y(tick) + 3} textAnchor="end" fontSize="10" fill="#6B7280">{tick.toFixed(2)}</text>
+              </g>
+            ))}
+            {hasLevels && (
+              <text x={12} y={CHART.top + plotHeight / 2} fontSize="10" fill="#6B7280" transform={`rotate(-90 12 ${CHART.top + plotHeight / 2})`} textAnchor="middle">
+                Level (m)
+              </text>
+            )}
+
+            {/* Ground */}
+            {groundPoints && (
+              <polyline points={groundPoints} fill="none" stroke={GROUND_COLOR} strokeWidth="2" strokeDasharray="6 3" />
+            )}
+
+            {/* Pipes */}
+            {pipes.map(pipe => {
+              const { upstreamInvert, downstreamInvert, isUphill } = pipe.flow
+              const x1 = x(pipe.startChainage)
+              const x2 = x(pipe.endChainage)
+              const y1 = pipeY(upstreamInvert)
+              const y2 = pipeY(downstreamInvert)
+              const color = isUphill ? UPHILL_COLOR : PIPE_COLOR
+              const hasBore = pipe.diameter && upstreamInvert !== null && downstreamInvert !== null
+
+              return (
+                <g key={`pipe-${pipe.line.id}`}>
+                  {hasBore && (
+                    <polygon
+                      points={`${x1},${y1} ${x2},${y2} ${x2},${y(soffit(pipe, downstreamInvert))} ${x1},${y(soffit(pipe, upstreamInvert))}`}
+                      fill={color}
+                      fillOpacity="0.15"
+                    />
+                  )}
+                  <line x1={x1} y1={y1} x2={x2} y2={y2} stroke={color} strokeWidth="3" strokeDasharray={pipe.lengthKnown ? null : '4 4'} />
+                  <text x={(x1 + x2) / 2} y={Math.max(y1, y2) + 14} textAnchor="middle" fontSize="10" fill={color}>
+                    {formatGradient(pipe.flow.gradient)}
+                  </text>
+                </g>
+              )
+            })}
+
+            {/* Manholes */}
+            {manholes.map(manhole => {
+              const inverts = manhole.inverts.filter(level => level !== null)
+              const bottom = inverts.length > 0 ? Math.min(...inverts) : null
+              const mx = x(manhole.chainage)
+              const topY = manhole.cover !== null ? y(manhole.cover) : (bottom !== null ? y(bottom) - 30 : baseY - 30)
+              const bottomY = bottom !== null ? y(bottom) : baseY
+
+              return (
+                <g key={`manhole-${manhole.node.id}-${manhole.chainage}`}>
+                  <rect
+                    x={mx - MANHOLE_WIDTH / 2}
+                    y={topY}
+                    width={MANHOLE_WIDTH}
+                    height={Math.max(bottomY - topY, 2)}
+                    fill="#F3F4F6"
+                    stroke="#374151"
+                  />
+                  <text x={mx} y={CHART.height - CHART.bottom + 16} textAnchor="middle" fontSize="11" fontWeight="bold" fill="#111827">
+                    {manhole.node.node_ref}
+                  </text>
+                  <text x={mx} y={CHART.height - CHART.bottom + 30} textAnchor="middle" fontSize="9" fill="#6B7280">
+                    {manhole.chainage.toFixed(1)}m
+                  </text>
+                </g>
+              )
+            })}
+
+            {/* Observations */}
+            {allObservations.map(({ observation, chainage, invert, pipe }) => {
+              const cy = invert !== null ? y(invert + (pipe.diameter ? pipe.diameter / 2000 : 0)) : baseY
+              return (
+                <circle
+                  key={`obs-${observation.id}`}
+                  cx={x(chainage)}
+                  cy={cy}
+                  r="5"
+                  fill={getSeverityColor(observation.severity)}
+                  stroke="white"
+                  strokeWidth="1.5"
+                  className={onJumpToVideo && observation.video_timestamp != null ? 'cursor-pointer' : ''}
+                  onClick={() => {
+                    if (onJumpToVideo && observation.video_timestamp != null) {
+                      onJumpToVideo(observation.section_id, observation.video_timestamp)
+                    }
+                  }}
+                >
+                  <title>{`${observation.code} at ${Number(observation.distance).toFixed(2)}m${observation.description ? ` - ${observation.description}` : ''}`}</title>
+                </circle>
+              )
+            })}
+          </svg>
+
+          <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-600">
+            <span className="flex items-center gap-1"><span className="inline-block w-5 border-t-2 border-dashed" style={{ borderColor: GROUND_COLOR }} /> Ground (cover levels)</span>
+            <span className="flex items-center gap-1"><span className="inline-block w-5 border-t-2" style={{ borderColor: PIPE_COLOR }} /> Pipe invert</span>
+            <span className="flex items-center gap-1"><span className="inline-block w-5 border-t-2" style={{ borderColor: UPHILL_COLOR }} /> Rises against the flow</span>
+            <span className="flex items-center gap-1"><span className="inline-block w-5 border-t-2 border-dashed border-gray-500" /> Length unknown</span>
+          </div>
+
+          {/* Pipe table */}
+          <table className="mt-4 w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th className="py-1 pr-2">Pipe</th>
+                <th className="py-1 pr-2">Section</th>
+                <th className="py-1 pr-2">Length</th>
+                <th className="py-1 pr-2">US Invert</th>
+                <th className="py-1 pr-2">DS Invert</th>
+                <th className="py-1 pr-2">Gradient</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pipes.map(pipe => (
+                <tr key={`row-${pipe.line.id}`} className="border-b border-gray-100">
+                  <td className="py-1 pr-2">{pipe.flow.upstreamNode.node_ref} → {pipe.flow.downstreamNode.node_ref}</td>
+                  <td className="py-1 pr-2">{pipe.section ? (pipe.section.name || `Section ${pipe.section.section_number}`) : '-'}</td>
+                  <td className="py-1 pr-2">{pipe.lengthKnown ? `${pipe.flow.length.toFixed(2)}m` : 'Unknown'}</td>
+                  <td className="py-1 pr-2">{pipe.flow.upstreamInvert !== null ? pipe.flow.upstreamInvert.toFixed(3) : '-'}</td>
+                  <td className="py-1 pr-2">{pipe.flow.downstreamInvert !== null ? pipe.flow.downstreamInvert.toFixed(3) : '-'}</td>
+                  <td className={`py-1 pr-2 ${pipe.flow.isUphill ? 'text-red-600 font-medium' : ''}`}>
+                    {pipe.flow.isUphill && <AlertTriangle className="w-3 h-3 inline mr-1" />}
+                    {formatGradient(pipe.flow.gradient)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Observations along the run */}
+          {allObservations.length > 0 && (
+            <table className="mt-4 w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="py-1 pr-2">Chainage</th>
+                  <th className="py-1 pr-2">Distance</th>
+                  <th className="py-1 pr-2">Code</th>
+                  <th className="py-1 pr-2">Description</th>
+                  <th className="py-1 pr-2">Severity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {allObservations.map(({ observation, chainage }) => (
+                  <tr key={`obs-row-${observation.id}`} className="border-b border-gray-100">
+                    <td className="py-1 pr-2">{chainage.toFixed(2)}m</td>
+                    <td className="py-1 pr-2">{Number(observation.distance).toFixed(2)}m</td>
+                    <td className="py-1 pr-2 font-mono">{observation.code}</td>
+                    <td className="py-1 pr-2">{observation.description || '-'}</td>
+                    <td className="py-1 pr-2">
+                      {observation.severity ? (
+                        <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: getSeverityColor(observation.severity) }} />
+                      ) : null}
+                      {observation.severity || '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
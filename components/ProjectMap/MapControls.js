@@ -3,9 +3,10 @@ import { useRef, useState, useEffect } from 'react'
 import { 
   Map, MapPin, Upload, Plus, Navigation, MousePointer, 
   Eye, EyeOff, X, Settings, 
-  Pencil, Palette, Layers, Image as ImageIcon, Trash2, Maximize2
+  Pencil, Palette, Layers, Image as ImageIcon, Trash2, Maximize2, GitBranch
 } from 'lucide-react'
 import PostcodeSearch from './PostcodeSearch'
+import GisExportMenu from './GisExportMenu'
 import HelpIcon from '@/components/help/HelpIcon'
 
 export default function MapControls({
@@ -45,7 +46,11 @@ export default function MapControls({
   onReferenceImageOpacityChange,
   mapOpacity = 1.0,           // New prop for map opacity
   onMapOpacityChange,         // New prop for map opacity change handler
-  onFitToContent              // New prop for fit to content
+  onFitToContent,             // New prop for fit to content
+  onExportGis,                // Download the network for GIS (map background only)
+  canExportGis = false,
+  onImportGis,                // Seed nodes and lines from client GIS data
+  onCheckNetwork              // Topology check of nodes and lines
 }) {
   const fileInputRef = useRef(null)
   const [showOpacitySlider, setShowOpacitySlider] = useState(false)
@@ -393,6 +398,61 @@ export default function MapControls({
             </div>
           )}
           
+          {/* Network Check */}
+          {onCheckNetwork && (
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={onCheckNetwork}
+                className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 flex items-center space-x-1"
+                title="Find problems that break upstream/downstream tracing"
+              >
+                <GitBranch className="w-4 h-4" />
+                <span>Check Network</span>
+              </button>
+              <HelpIcon 
+                title="Network Check and Tracing"
+                content="Trace what is upstream or downstream of any manhole or pipe from its popup. Check Network finds problems that stop tracing working."
+                bullets={[
+                  "Manholes with no pipes connected",
+                  "Nodes sharing the same reference",
+                  "Pipe ends that miss a manhole",
+                  "Pipes whose flow goes round in a loop"
+                ]}
+                size="sm"
+                position="top"
+              />
+            </div>
+          )}
+          
+          {/* GIS Import / Export */}
+          {(onImportGis || onExportGis) && backgroundType !== 'blank' && (
+            <div className="flex items-center space-x-1">
+              {onImportGis && (
+                <button
+                  onClick={onImportGis}
+                  className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 flex items-center space-x-1"
+                  title="Add manholes and pipes from client GIS records"
+                >
+                  <Upload className="w-4 h-4" />
+                  <span>Import GIS</span>
+                </button>
+              )}
+              {onExportGis && <GisExportMenu onExport={onExportGis} disabled={!canExportGis} />}
+              <HelpIcon 
+                title="GIS Import and Export"
+                content="Bring in client asset records, or download the surveyed network to open in QGIS, ArcGIS or Google Earth."
+                bullets={[
+                  "Import manholes and pipes from GeoJSON, zipped Shapefile or CSV",
+                  "Imported pipes link to sections by start and finish reference",
+                  "Export manholes, pipes with grades, and observations",
+                  "WGS84 or British National Grid coordinates"
+                ]}
+                size="sm"
+                position="top"
+              />
+            </div>
+          )}
+          
           {/* Toggle Layers */}
           <div className="flex items-center space-x-1 border-l pl-2">
             <HelpIcon 
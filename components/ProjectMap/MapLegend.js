@@ -234,6 +234,18 @@ const MapLegend = ({
                 </svg>
                 <span className="text-xs text-gray-700">Drain/Pipe</span>
               </div>
+              <div className="flex items-center gap-2 mt-1">
+                <svg width="20" height="10" className="flex-shrink-0">
+                  <line x1="0" y1="5" x2="20" y2="5" stroke="#DC2626" strokeWidth="2" />
+                </svg>
+                <span className="text-xs text-gray-700">Rises against flow</span>
+              </div>
+              <div className="flex items-center gap-2 mt-1">
+                <svg width="20" height="10" className="flex-shrink-0">
+                  <polygon points="6,1 15,5 6,9" fill="#1F2937" />
+                </svg>
+                <span className="text-xs text-gray-700">Flow direction</span>
+              </div>
             </div>
           )}
 
@@ -0,0 +1,77 @@
+// components/ProjectMap/NetworkCheckModal.js
+// Topology problems in the drawn network - disconnected nodes, duplicate refs, unsnapped ends and loops
+
+'use client'
+
+import { X, AlertTriangle, CheckCircle } from 'lucide-react'
+import { TOPOLOGY_ISSUES } from '@/lib/utils/network-graph'
+
+const ISSUE_GROUPS = [
+  { type: TOPOLOGY_ISSUES.DISCONNECTED_NODE, label: 'Disconnected nodes' },
+  { type: TOPOLOGY_ISSUES.DUPLICATE_REF, label: 'Duplicate references' },
+  { type: TOPOLOGY_ISSUES.UNSNAPPED_END, label: 'Unsnapped pipe ends' },
+  { type: TOPOLOGY_ISSUES.LOOP, label: 'Loops' }
+]
+
+export default function NetworkCheckModal({ isOpen, onClose, issues = [], onShowIssue }) {
+  if (!isOpen) return null
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4" style={{ zIndex: 9999 }}>
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium">Network Check</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto">
+          {issues.length === 0 ? (
+            <div className="flex items-center space-x-2 text-green-700">
+              <CheckCircle className="w-5 h-5" />
+              <span className="text-sm">No problems found - every pipe joins up and flows one way.</span>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {ISSUE_GROUPS.map(group => {
+                const groupIssues = issues.filter(issue => issue.type === group.type)
+                if (groupIssues.length === 0) return null
+
+                return (
+                  <div key={group.type}>
+                    <h4 className="text-sm font-medium text-gray-700 mb-1 flex items-center">
+                      <AlertTriangle className="w-4 h-4 text-amber-500 mr-1" />
+                      {group.label} ({groupIssues.length})
+                    </h4>
+                    <ul className="space-y-1">
+                      {groupIssues.map((issue, index) => (
+                        <li key={`${group.type}-${index}`} className="flex items-center justify-between text-sm">
+                          <span className="text-gray-700">{issue.message}</span>
+                          {(issue.nodeIds.length > 0 || issue.lineIds.length > 0) && (
+                            <button
+                              onClick={() => onShowIssue(issue)}
+                              className="ml-2 px-2 py-0.5 text-xs text-blue-600 hover:text-blue-800 flex-shrink-0"
+                            >
+                              Show
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,129 @@
+// components/ProjectMap/NetworkTracePanel.js
+// Map overlay listing the sections and worst defects along an upstream/downstream trace
+
+'use client'
+
+import { X } from 'lucide-react'
+import { summariseTrace, TRACE_DIRECTIONS } from '@/lib/utils/network-graph'
+import { getConditionGradeColor } from '@/lib/utils/condition-grading'
+import { getSeverityColor } from './utils/mapHelpers'
+
+const GradeBadge = ({ label, grade }) => (
+  <span
+    className="inline-block px-1.5 rounded text-xs font-medium text-white"
+    style={{ backgroundColor: getConditionGradeColor(grade) }}
+    title={`${label} grade ${grade}`}
+  >
+    {label[0]}{grade}
+  </span>
+)
+
+export default function NetworkTracePanel({
+  graph,
+  trace,
+  observations = [],
+  onShowProfile,
+  onJumpToVideo,
+  onClose
+}) {
+  if (!graph || !trace) return null
+
+  const { sections, worstDefects } = summariseTrace(trace, observations)
+  const originLabel = trace.origin.lineId
+    ? (() => {
+        const edge = graph.edgesByLineId.get(trace.origin.lineId)
+        return `${edge?.flow.upstreamNode.node_ref} → ${edge?.flow.downstreamNode.node_ref}`
+      })()
+    : graph.nodesById.get(trace.origin.nodeId)?.node_ref
+  const sectionLabel = (section) => section.name || `Section ${section.section_number}`
+
+  return (
+    <div className="absolute top-4 right-4 z-[1000] bg-white rounded-lg shadow-lg w-80 max-h-[calc(100%-2rem)] flex flex-col">
+      <div className="flex items-start justify-between p-3 border-b border-gray-200">
+        <div>
+          <h3 className="font-medium text-sm">
+            {trace.direction === TRACE_DIRECTIONS.UPSTREAM ? 'Upstream' : 'Downstream'} of {originLabel}
+          </h3>
+          <p className="text-xs text-gray-500">
+            {trace.edges.length} pipe{trace.edges.length !== 1 ? 's' : ''} • {trace.nodeIds.size} node{trace.nodeIds.size !== 1 ? 's' : ''} • {trace.length.toFixed(1)}m
+          </p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Clear trace">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-3 overflow-y-auto text-sm space-y-3">
+        <div>
+          <h4 className="text-xs font-medium text-gray-600 mb-1">Sections ({sections.length})</h4>
+          {sections.length === 0 ? (
+            <p className="text-xs text-gray-400">No surveyed sections along this run</p>
+          ) : (
+            <ul className="space-y-1">
+              {sections.map(({ section, edge, scores, observationCount }) => (
+                <li key={section.id} className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="truncate">{sectionLabel(section)}</p>
+                    <p className="text-xs text-gray-500">
+                      {edge.flow.upstreamNode.node_ref} → {edge.flow.downstreamNode.node_ref} • {observationCount} obs
+                    </p>
+                  </div>
+                  {scores && (
+                    <div className="flex space-x-1 flex-shrink-0">
+                      <GradeBadge label="Structural" grade={scores.structural.grade} />
+                      <GradeBadge label="Service" grade={scores.service.grade} />
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {worstDefects.length > 0 && (
+          <div>
+            <h4 className="text-xs font-medium text-gray-600 mb-1">Worst defects</h4>
+            <ul className="space-y-1">
+              {worstDefects.map(({ observation, section }) => {
+                const canJump = onJumpToVideo && observation.video_timestamp != null
+                return (
+                  <li
+                    key={observation.id}
+                    onClick={() => canJump && onJumpToVideo(observation.section_id, observation.video_timestamp)}
+                    className={`flex items-start space-x-2 ${canJump ? 'cursor-pointer hover:bg-gray-50 rounded' : ''}`}
+                  >
+                    <span
+                      className="mt-1 inline-block w-2.5 h-2.5 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: getSeverityColor(observation.severity) }}
+                    />
+                    <div className="min-w-0">
+                      <p>
+                        <span className="font-mono font-medium">{observation.code}</span>
+                        {observation.description && <span className="text-gray-600"> - {observation.description}</span>}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {sectionLabel(section)} at {Number(observation.distance || 0).toFixed(2)}m
+                        {observation.severity ? ` • Severity ${observation.severity}` : ''}
+                      </p>
+                    </div>
+                  </li>
+                )
+              })}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {trace.edges.length > 0 && onShowProfile && (
+        <div className="p-3 border-t border-gray-200">
+          <button
+            onClick={onShowProfile}
+            className="w-full px-3 py-1.5 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Longitudinal profile
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,13 +1,38 @@
 'use client'
 
+import { useState } from 'react'
+import {
+  wgs84ToBng,
+  parseCoordinates,
+  formatLatLng,
+  formatEastingNorthing,
+  toGridReference
+} from '@/lib/utils/coordinates'
+
 export default function NodeEditModal({ 
   node, 
   onUpdate, 
   onDelete, 
   onClose 
 }) {
+  const [positionInput, setPositionInput] = useState('')
+
   if (!node) return null
 
+  // Canvas nodes sit on a plain background, so only map nodes have a real-world position
+  const isGeographic = (node.context || 'map') === 'map' && node.lat != null && node.lng != null
+  const { easting, northing } = isGeographic ? wgs84ToBng(node.lat, node.lng) : {}
+  const gridReference = isGeographic ? toGridReference(easting, northing) : ''
+  const parsedPosition = parseCoordinates(positionInput)
+
+  const handlePositionChange = (value) => {
+    setPositionInput(value)
+    const position = parseCoordinates(value)
+    if (position && !position.error) {
+      onUpdate({...node, lat: position.lat, lng: position.lng}, false)
+    }
+  }
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4" style={{ zIndex: 9999 }}>
       <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
@@ -66,6 +91,41 @@ export default function NodeEditModal({
                 />
               </div>
             </div>
+
+            {isGeographic && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Position
+                </label>
+                <div className="grid grid-cols-2 gap-4 text-sm bg-gray-50 rounded-md px-3 py-2 mb-2">
+                  <div>
+                    <p className="text-xs text-gray-500">WGS84 (lat, lng)</p>
+                    <p className="font-mono text-gray-800">{formatLatLng(node.lat, node.lng)}</p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500">British National Grid</p>
+                    {gridReference ? (
+                      <>
+                        <p className="font-mono text-gray-800">{formatEastingNorthing(easting, northing)}</p>
+                        <p className="font-mono text-xs text-gray-500">{gridReference}</p>
+                      </>
+                    ) : (
+                      <p className="text-gray-400">Outside the grid</p>
+                    )}
+                  </div>
+                </div>
+                <input
+                  type="text"
+                  value={positionInput}
+                  onChange={(e) => handlePositionChange(e.target.value)}
+                  className={`w-full px-3 py-2 border rounded-md ${parsedPosition?.error ? 'border-red-400' : 'border-gray-300'}`}
+                  placeholder="Move to: lat, lng or easting, northing"
+                />
+                {parsedPosition?.error && (
+                  <p className="mt-1 text-xs text-red-600">{parsedPosition.error}</p>
+                )}
+              </div>
+            )}
           </div>
           
           <div className="mt-6 flex justify-between">
@@ -1,6 +1,32 @@
 'use client'
-import { Polyline, Marker, Popup } from 'react-leaflet'
+import { Polyline, Marker, Popup, useMap } from 'react-leaflet'
 import L from 'leaflet'
+import { AlertTriangle } from 'lucide-react'
+import { getLineFlow, formatGradient, FLOW_SOURCES } from '@/lib/utils/pipe-flow'
+import { TRACE_DIRECTIONS } from '@/lib/utils/network-graph'
+
+const UPHILL_COLOR = '#DC2626'
+const HIGHLIGHT_COLOR = '#F59E0B'
+
+const formatLevel = (level) => level === null ? 'N/A' : `${level.toFixed(3)}m`
+
+// Arrow at the middle of each segment, pointing downstream in screen space
+const getFlowArrows = (map, positions, flowsWithLine) => {
+  const path = flowsWithLine ? positions : [...positions].reverse()
+  const arrows = []
+
+  for (let i = 1; i < path.length; i++) {
+    const from = map.latLngToLayerPoint(path[i - 1])
+    const to = map.latLngToLayerPoint(path[i])
+    if (from.distanceTo(to) < 1) continue
+
+    arrows.push({
+      position: [(path[i - 1][0] + path[i][0]) / 2, (path[i - 1][1] + path[i][1]) / 2],
+      angle: Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI
+    })
+  }
+  return arrows
+}
 
 /**
  * LinesLayer - Renders all lines, waypoints, and line labels on the map
@@ -22,12 +48,25 @@ export default function LinesLayer({
   // Event handlers
   onLineClick,
   onWaypointDelete,
+  onShowProfile,
+  onTrace,
+  
+  // Traced or flagged lines - everything else is dimmed while set
+  highlightedLineIds = null,
   
   // Visibility
   visible = true
 }) {
+  const map = useMap()
+
   if (!visible || !showLines) return null
 
+  // Prefer the live section so depth and direction edits show straight away
+  const getFlow = (line, startNode, endNode) => {
+    const section = sections.find(s => s.id === line.section_id) || line.section
+    return getLineFlow({ ...line, section }, startNode, endNode, observations)
+  }
+
   // Handle waypoint drag end
   const handleWaypointDragEnd = (e, lineId, waypointIndex) => {
     e.target.setOpacity(1)
@@ -52,29 +91,35 @@ export default function LinesLayer({
     <>
       {/* Lines */}
       {lines.map(line => {
-        const lineColor = line.section ? '#10B981' : (line.line_color || '#3B82F6')
-        const lineWeight = line.section ? 4 : (line.line_width || 3)
-        
         const startNode = nodes.find(n => n.id === line.start_node_id) || line.start_node
         const endNode = nodes.find(n => n.id === line.end_node_id) || line.end_node
         
         if (!startNode || !endNode) return null
         
+        const flow = getFlow(line, startNode, endNode)
+        
+        const isHighlighted = highlightedLineIds?.has(line.id)
+        const baseColor = flow.isUphill ? UPHILL_COLOR : (line.section ? '#10B981' : (line.line_color || '#3B82F6'))
+        const lineColor = isHighlighted ? HIGHLIGHT_COLOR : baseColor
+        const lineWeight = (line.section ? 4 : (line.line_width || 3)) + (isHighlighted ? 3 : 0)
+        const lineOpacity = highlightedLineIds && !isHighlighted ? 0.3 : 0.8
+        
         const waypoints = editingWaypoints?.lineId === line.id 
           ? editingWaypoints.waypoints 
           : (line.waypoints || [])
+        const positions = [
+          [startNode.lat, startNode.lng],
+          ...waypoints,
+          [endNode.lat, endNode.lng]
+        ]
         
         return (
           <Polyline
             key={line.id}
-            positions={[
-              [startNode.lat, startNode.lng],
-              ...waypoints,
-              [endNode.lat, endNode.lng]
-            ]}
+            positions={positions}
             color={lineColor}
             weight={lineWeight}
-            opacity={0.8}
+            opacity={lineOpacity}
             dashArray={line.section ? null : '5, 10'}
             eventHandlers={{
               click: (e) => onLineClick(line, e)
@@ -102,6 +147,47 @@ export default function LinesLayer({
                     <p className="text-xs text-gray-500 mt-1">Map nodes: {startNode.node_ref} → {endNode.node_ref}</p>
                   </div>
                 )}
+                <div className="mt-2 pt-2 border-t border-gray-200 text-sm">
+                  <p>
+                    Flow: {flow.upstreamNode.node_ref} → {flow.downstreamNode.node_ref}
+                    {flow.flowSource === FLOW_SOURCES.LEVELS && <span className="text-xs text-gray-500"> (from levels)</span>}
+                    {flow.flowSource === FLOW_SOURCES.ASSUMED && <span className="text-xs text-gray-500"> (assumed)</span>}
+                  </p>
+                  <p>Invert: {formatLevel(flow.upstreamInvert)} → {formatLevel(flow.downstreamInvert)}</p>
+                  <p>Gradient: {formatGradient(flow.gradient)}</p>
+                  {flow.isUphill && (
+                    <p className="text-red-600 font-medium mt-1 flex items-center">
+                      <AlertTriangle className="w-3 h-3 mr-1" />
+                      Pipe rises against the flow
+                    </p>
+                  )}
+                  <div className="mt-2 flex flex-wrap gap-1">
+                    {onShowProfile && (
+                      <button
+                        onClick={() => onShowProfile(line)}
+                        className="px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700"
+                      >
+                        Longitudinal profile
+                      </button>
+                    )}
+                    {onTrace && (
+                      <>
+                        <button
+                          onClick={() => onTrace({ lineId: line.id }, TRACE_DIRECTIONS.UPSTREAM)}
+                          className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                        >
+                          Trace upstream
+                        </button>
+                        <button
+                          onClick={() => onTrace({ lineId: line.id }, TRACE_DIRECTIONS.DOWNSTREAM)}
+                          className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                        >
+                          Trace downstream
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
                 {!line.section && (
                   <p className="text-sm text-gray-500 mt-1">Visual reference only</p>
                 )}
@@ -114,6 +200,44 @@ export default function LinesLayer({
         )
       })}
       
+      {/* Flow Arrows - only where the direction is known */}
+      {typeof window !== 'undefined' && L && lines.map(line => {
+        const startNode = nodes.find(n => n.id === line.start_node_id) || line.start_node
+        const endNode = nodes.find(n => n.id === line.end_node_id) || line.end_node
+        
+        if (!startNode || !endNode || editingWaypoints?.lineId === line.id) return null
+        
+        const flow = getFlow(line, startNode, endNode)
+        if (flow.flowSource === FLOW_SOURCES.ASSUMED) return null
+        
+        const positions = [[startNode.lat, startNode.lng], ...(line.waypoints || []), [endNode.lat, endNode.lng]]
+        const color = flow.isUphill ? UPHILL_COLOR : '#1F2937'
+        
+        return getFlowArrows(map, positions, flow.flowsWithLine).map((arrow, index) => (
+          <Marker
+            key={`flow-${line.id}-${index}`}
+            position={arrow.position}
+            interactive={false}
+            icon={L.divIcon({
+              html: `
+                <div style="
+                  position: absolute;
+                  transform: translate(-50%, -50%) rotate(${arrow.angle}deg);
+                  width: 0;
+                  height: 0;
+                  border-top: 5px solid transparent;
+                  border-bottom: 5px solid transparent;
+                  border-left: 9px solid ${color};
+                "></div>
+              `,
+              className: 'flow-arrow',
+              iconSize: null,
+              iconAnchor: [0, 0]
+            })}
+          />
+        ))
+      })}
+      
       {/* Waypoint Markers (when editing) */}
       {editingWaypoints && editingWaypoints.waypoints.map((waypoint, index) => (
         <Marker
@@ -1,6 +1,7 @@
 'use client'
 import { Marker, Popup } from 'react-leaflet'
 import L from 'leaflet'
+import { TRACE_DIRECTIONS } from '@/lib/utils/network-graph'
 
 /**
  * NodesLayer - Renders all node markers on the map
@@ -20,6 +21,10 @@ export default function NodesLayer({
   // Event handlers
   onNodeClick,
   onNodeDragEnd,
+  onTrace,
+  
+  // Traced or flagged nodes - everything else is dimmed while set
+  highlightedNodeIds = null,
   
   // Helper functions
   getNodeType,
@@ -63,10 +68,13 @@ export default function NodesLayer({
     if (!nodeType) return null
 
     const cursorStyle = mode === 'view' && !editingWaypoints ? 'move' : 'pointer'
+    const highlight = highlightedNodeIds?.has(node.id)
+      ? 'border-radius: 50%; box-shadow: 0 0 0 4px rgba(245, 158, 11, 0.8);'
+      : ''
     
     return L.divIcon({
       html: `
-        <div style="position: absolute; transform: translate(-50%, -50%); width: ${nodeType.icon_size}px; height: ${nodeType.icon_size}px; cursor: ${cursorStyle};">
+        <div style="position: absolute; transform: translate(-50%, -50%); width: ${nodeType.icon_size}px; height: ${nodeType.icon_size}px; cursor: ${cursorStyle}; ${highlight}">
           <svg width="${nodeType.icon_size}" height="${nodeType.icon_size}" viewBox="0 0 ${nodeType.icon_size} ${nodeType.icon_size}">
             ${nodeType.icon_shape === 'circle' ? 
               `<circle cx="${nodeType.icon_size/2}" cy="${nodeType.icon_size/2}" r="${nodeType.icon_size/2 - 2}" fill="${nodeType.icon_color}" stroke="black" stroke-width="2"/>` : 
@@ -111,6 +119,7 @@ export default function NodesLayer({
           <Marker
             key={node.id}
             position={[node.lat, node.lng]}
+            opacity={highlightedNodeIds && !highlightedNodeIds.has(node.id) ? 0.4 : 1}
             draggable={mode === 'view' && !editingWaypoints}
             autoPan={true}
             eventHandlers={{
@@ -133,6 +142,22 @@ export default function NodesLayer({
                 {node.invert_level && (
                   <p className="text-xs text-gray-500">Invert: {node.invert_level}m</p>
                 )}
+                {onTrace && (
+                  <div className="mt-2 flex gap-1">
+                    <button
+                      onClick={() => onTrace({ nodeId: node.id }, TRACE_DIRECTIONS.UPSTREAM)}
+                      className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                    >
+                      Trace upstream
+                    </button>
+                    <button
+                      onClick={() => onTrace({ nodeId: node.id }, TRACE_DIRECTIONS.DOWNSTREAM)}
+                      className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                    >
+                      Trace downstream
+                    </button>
+                  </div>
+                )}
               </div>
             </Popup>
           </Marker>
@@ -19,6 +19,10 @@ import { useMapEvents } from './hooks/useMapEvents'
 import NodeEditModal from './NodeEditModal'
 import MapControls from './MapControls'
 import NodeTypesModal from './NodeTypesModal'
+import GisImportModal from './GisImportModal'
+import LongitudinalProfileModal from './LongitudinalProfileModal'
+import NetworkTracePanel from './NetworkTracePanel'
+import NetworkCheckModal from './NetworkCheckModal'
 import DrawingTools from './DrawingTools'
 import TransformHandles from './TransformHandles'
 import { createNodeHandlers } from './handlers/nodeHandlers'
@@ -41,8 +45,13 @@ import {
   getMapNodes
 } from '@/lib/maps'
 
-// Import Supabase for reference image upload
-import { supabase } from '@/lib/supabase'
+// Reference image upload
+import { uploadMedia, deleteMedia } from '@/lib/video/storage/browser-upload'
+
+// GIS export
+import { buildGisExportFile } from '@/lib/exchange/gis-export'
+import { calculateObservationPosition } from './utils/mapHelpers'
+import { buildNetworkGraph, traceNetwork, getTraceRun, findTopologyIssues } from '@/lib/utils/network-graph'
 
 // Fix Leaflet default icon issue with Next.js
 delete L.Icon.Default.prototype._getIconUrl
@@ -180,6 +189,7 @@ const DrawingBackgroundManager = dynamic(
 
 const ProjectMap = forwardRef(function ProjectMap({ 
   projectId, 
+  projectName,
   sections = [], 
   observations = [],
   onJumpToVideo,
@@ -222,6 +232,13 @@ const ProjectMap = forwardRef(function ProjectMap({
   // Map opacity state
   const [mapOpacity, setMapOpacity] = useState(1.0)
 
+  // GIS import state
+  const [showGisImportModal, setShowGisImportModal] = useState(false)
+  const [profileRun, setProfileRun] = useState(null) // Lines shown in the longitudinal profile, upstream first
+  const [activeTrace, setActiveTrace] = useState(null) // { origin: { nodeId } | { lineId }, direction }
+  const [showNetworkCheck, setShowNetworkCheck] = useState(false)
+  const [issueHighlight, setIssueHighlight] = useState(null) // { nodeIds, lineIds } of a network check issue
+
   // Transform handles state
   const [selectedDrawing, setSelectedDrawing] = useState(null)
   const [multiSelectMode, setMultiSelectMode] = useState(false)
@@ -558,28 +575,8 @@ const ProjectMap = forwardRef(function ProjectMap({
     setUploadingReferenceImage(true)
     
     try {
-      // Get current user
-      const { data: { user } } = await supabase.auth.getUser()
-      if (!user) throw new Error('User not authenticated')
-      
-      // Upload to Supabase storage
-      const fileExt = file.name.split('.').pop()
-      const fileName = `${projectId}_ref_${Date.now()}.${fileExt}`
-      const filePath = `${user.id}/map-references/${fileName}`
-      
-      // Upload the file
-      const { error: uploadError } = await supabase.storage
-        .from('images')
-        .upload(filePath, file)
-      
-      if (uploadError) throw uploadError
-      
-      // Get the public URL
-      const { data } = supabase.storage
-        .from('images')
-        .getPublicUrl(filePath)
-      
-      const publicUrl = data.publicUrl
+      // Upload to the configured storage provider
+      const publicUrl = await uploadMedia(file, { kind: 'map-reference', ownerId: projectId })
       
       // Update database with reference image URL
       if (mapState.mapData?.id) {
@@ -612,18 +609,7 @@ const ProjectMap = forwardRef(function ProjectMap({
       // Delete from storage if we have the URL
       if (referenceImageUrl) {
         try {
-          // Extract the file path from the URL
-          const urlParts = referenceImageUrl.split('/storage/v1/object/public/images/')
-          if (urlParts.length > 1) {
-            const filePath = urlParts[1]
-            const { error } = await supabase.storage
-              .from('images')
-              .remove([filePath])
-            
-            if (error) {
-              console.error('Error deleting file from storage:', error)
-            }
-          }
+          await deleteMedia(referenceImageUrl)
         } catch (error) {
           console.error('Error deleting file from storage:', error)
           // Continue even if deletion fails
@@ -669,6 +655,83 @@ const ProjectMap = forwardRef(function ProjectMap({
     }
   }
 
+  // GIS export - only the geographic (map) network, never the drawing canvas
+  const mapContextNodes = mapState.nodes.filter(node => (node.context || 'map') === 'map')
+
+  const handleExportGis = (format, crs) => {
+    try {
+      const mapLines = mapState.lines
+        .filter(line => (line.context || 'map') === 'map')
+        .map(line => ({
+          ...line,
+          start_node: mapContextNodes.find(n => n.id === line.start_node_id) || line.start_node,
+          end_node: mapContextNodes.find(n => n.id === line.end_node_id) || line.end_node,
+          section: line.section || sections.find(s => s.id === line.section_id) || null
+        }))
+
+      // Place observations exactly where the map draws them
+      const positionedObservations = []
+      mapLines.forEach(line => {
+        if (!line.section_id || !line.start_node || !line.end_node) return
+        observations
+          .filter(obs => obs.section_id === line.section_id)
+          .forEach(obs => {
+            const position = calculateObservationPosition(line, obs, observations, 'map')
+            if (position) {
+              positionedObservations.push({ ...obs, lat: position.lat, lng: position.lng })
+            }
+          })
+      })
+
+      const { filename, content, mimeType } = buildGisExportFile(format, {
+        project: { name: projectName },
+        nodes: mapContextNodes,
+        lines: mapLines,
+        observations: positionedObservations
+      }, { crs })
+
+      const blob = new Blob([content], { type: mimeType })
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('GIS export failed:', error)
+      alert('Failed to export GIS data: ' + error.message)
+    }
+  }
+
+  // Network graph for tracing and the topology check - only built while one of them is in use
+  const networkGraph = (activeTrace || showNetworkCheck)
+    ? buildNetworkGraph({ nodes: contextNodes, lines: contextLines, sections, observations })
+    : null
+  const tracedNetwork = activeTrace ? traceNetwork(networkGraph, activeTrace.origin, activeTrace.direction) : null
+  const networkHighlight = tracedNetwork || issueHighlight
+
+  const handleTrace = (origin, direction) => {
+    mapInstanceRef.current?.closePopup()
+    setIssueHighlight(null)
+    setActiveTrace({ origin, direction })
+  }
+
+  const handleShowNetworkIssue = (issue) => {
+    setShowNetworkCheck(false)
+    setActiveTrace(null)
+    setIssueHighlight({ nodeIds: new Set(issue.nodeIds), lineIds: new Set(issue.lineIds) })
+
+    // Zoom to the nodes involved, including the ends of any lines
+    const issueLines = contextLines.filter(line => issue.lineIds.includes(line.id))
+    const nodeIds = new Set([...issue.nodeIds, ...issueLines.flatMap(line => [line.start_node_id, line.end_node_id])])
+    const points = contextNodes.filter(node => nodeIds.has(node.id)).map(node => [node.lat, node.lng])
+    if (points.length > 0 && mapInstanceRef.current) {
+      mapInstanceRef.current.fitBounds(L.latLngBounds(points), { padding: [80, 80], maxZoom: 19 })
+    }
+  }
+
   // Transform handles operations
   const handleTransformStart = useCallback((drawing, transformType, position) => {
     if (isReadOnly) return
@@ -1277,6 +1340,11 @@ useEffect(() => {
           onMapOpacityChange={handleMapOpacityChange}
           // Fit to content method
           onFitToContent={fitMapToElements}
+          // GIS export
+          onExportGis={handleExportGis}
+          canExportGis={mapContextNodes.length > 0}
+          onImportGis={() => setShowGisImportModal(true)}
+          onCheckNetwork={() => setShowNetworkCheck(true)}
         />
       )}
       
@@ -1484,6 +1552,9 @@ useEffect(() => {
             setEditingWaypoints={waypoints.setEditingWaypoints}
             onLineClick={isReadOnly ? null : waypoints.lineHandlers.handleLineClick}
             onWaypointDelete={isReadOnly ? null : waypoints.lineHandlers.handleWaypointDelete}
+            onShowProfile={isReadOnly ? null : (line) => setProfileRun([line])}
+            onTrace={isReadOnly ? null : handleTrace}
+            highlightedLineIds={networkHighlight?.lineIds || null}
             visible={true}
           />
           
@@ -1497,6 +1568,8 @@ useEffect(() => {
             editingWaypoints={waypoints.editingWaypoints}
             onNodeClick={isReadOnly ? null : handleNodeClickWrapper}
             onNodeDragEnd={isReadOnly ? null : nodeHandlers.handleNodeDragEnd} 
+            onTrace={isReadOnly ? null : handleTrace}
+            highlightedNodeIds={networkHighlight?.nodeIds || null}
             getNodeType={mapState.getNodeType}
             visible={true}
           />
@@ -1514,6 +1587,31 @@ useEffect(() => {
           />
         </MapContainer>
         
+        {/* Network Trace */}
+        {!isReadOnly && tracedNetwork && (
+          <NetworkTracePanel
+            graph={networkGraph}
+            trace={tracedNetwork}
+            observations={observations}
+            onShowProfile={() => setProfileRun(getTraceRun(networkGraph, tracedNetwork))}
+            onJumpToVideo={onJumpToVideo}
+            onClose={() => setActiveTrace(null)}
+          />
+        )}
+        
+        {/* Network Check Highlight */}
+        {!isReadOnly && issueHighlight && (
+          <div className="absolute top-4 right-4 z-[1000] bg-white rounded-lg shadow-lg px-3 py-2 flex items-center space-x-3 text-sm">
+            <span>Showing network problem</span>
+            <button onClick={() => setShowNetworkCheck(true)} className="text-blue-600 hover:text-blue-800">
+              Back to list
+            </button>
+            <button onClick={() => setIssueHighlight(null)} className="text-gray-400 hover:text-gray-600" title="Clear">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+        
         {/* Capture Mode UI */}
         {isCaptureMode && (
           <div 
@@ -1599,6 +1697,7 @@ useEffect(() => {
       {!isReadOnly && (
         <>
           <NodeEditModal
+            key={mapState.editingNode?.id}
             node={mapState.editingNode}
             onUpdate={nodeHandlers.handleNodeModalUpdate}
             onDelete={nodeHandlers.handleNodeDelete}
@@ -1614,6 +1713,35 @@ useEffect(() => {
             onClose={() => mapState.setShowNodeTypesModal(false)}
             onNodeTypesUpdate={mapState.handleNodeTypesUpdate}
           />
+
+          {/* GIS Import Modal */}
+          <GisImportModal
+            isOpen={showGisImportModal}
+            onClose={() => setShowGisImportModal(false)}
+            projectId={projectId}
+            nodeTypes={mapState.nodeTypes}
+            existingNodes={mapState.nodes}
+            existingLines={mapState.lines}
+            sections={sections}
+            onImported={() => mapState.loadMapData()}
+          />
+
+          <NetworkCheckModal
+            isOpen={showNetworkCheck}
+            onClose={() => setShowNetworkCheck(false)}
+            issues={showNetworkCheck ? findTopologyIssues(networkGraph) : []}
+            onShowIssue={handleShowNetworkIssue}
+          />
+
+          <LongitudinalProfileModal
+            isOpen={!!profileRun}
+            onClose={() => setProfileRun(null)}
+            run={profileRun || []}
+            nodes={contextNodes}
+            sections={sections}
+            observations={observations}
+            onJumpToVideo={onJumpToVideo}
+          />
         </>
       )}
     </div>
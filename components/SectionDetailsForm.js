@@ -3,6 +3,8 @@
 import { useState, useEffect } from 'react'
 import { X, Save, Calendar, Copy, Film, Upload, Database } from 'lucide-react'
 import { supabase } from '@/lib/supabase'
+import { placeSectionNodes } from '@/lib/maps'
+import { parseCoordinates, formatLatLng, formatEastingNorthing, COORDINATE_SYSTEMS } from '@/lib/utils/coordinates'
 import VideoUpload from './VideoUpload'
 import VideoPoolSelector from './VideoPoolSelector'
 
@@ -93,6 +95,41 @@ const CompactInput = ({ label, field, value, onChange, type = "text", required =
   )
 }
 
+// Free-text coordinates in either system, with the conversion shown underneath
+const CoordinateInput = ({ label, field, value, onChange, halfWidth = false }) => {
+  const inputId = `input-${field}`
+  const parsed = parseCoordinates(value)
+
+  return (
+    <div className={halfWidth ? "col-span-1" : ""}>
+      <label htmlFor={inputId} className="block text-xs font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <input
+        id={inputId}
+        type="text"
+        value={value || ''}
+        onChange={(e) => onChange(field, e.target.value)}
+        className={`w-full px-2 py-1.5 text-sm border rounded focus:outline-none focus:ring-1 ${
+          parsed?.error ? 'border-red-400 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'
+        }`}
+        placeholder="Lat, Lng or Easting, Northing"
+        title="Decimal lat, lng (WGS84), easting, northing or an OS grid reference such as TQ 30269 79640"
+      />
+      {parsed?.error && (
+        <p className="mt-0.5 text-xs text-red-600">{parsed.error}</p>
+      )}
+      {parsed && !parsed.error && (
+        <p className="mt-0.5 text-xs text-gray-500">
+          {parsed.system === COORDINATE_SYSTEMS.BNG
+            ? formatLatLng(parsed.lat, parsed.lng)
+            : formatEastingNorthing(parsed.easting, parsed.northing) || 'Outside the British National Grid'}
+        </p>
+      )}
+    </div>
+  )
+}
+
 export default function SectionDetailsForm({ 
   isOpen, 
   onClose, 
@@ -229,17 +266,15 @@ export default function SectionDetailsForm({
       const previousSection = previousSections[0]
       console.log('Found previous section to copy from:', previousSection.name)
 
-      // Copy all fields EXCEPT start_ref, finish_ref, and video data
+      // Copy all fields EXCEPT start_ref, finish_ref, coordinates and video data
       const copiedData = {
         // Don't copy: name, section_number, start_ref, finish_ref, video data
         
-        // Copy technical details
+        // Copy technical details (not coordinates - they belong to the manholes)
         start_type: previousSection.start_type,
         start_depth: previousSection.start_depth,
-        start_coordinates: previousSection.start_coordinates,
         finish_type: previousSection.finish_type,
         finish_depth: previousSection.finish_depth,
-        finish_coordinates: previousSection.finish_coordinates,
         
         // Copy pipe details
         direction: previousSection.direction,
@@ -475,6 +510,15 @@ export default function SectionDetailsForm({
       return
     }
 
+    const invalidCoordinates = [
+      ['Start', formData.start_coordinates],
+      ['Finish', formData.finish_coordinates]
+    ].find(([, value]) => parseCoordinates(value)?.error)
+    if (invalidCoordinates) {
+      alert(`${invalidCoordinates[0]} Coordinates: ${parseCoordinates(invalidCoordinates[1]).error}`)
+      return
+    }
+
     setLoading(true)
     
     try {
@@ -539,6 +583,20 @@ export default function SectionDetailsForm({
         ? { ...sectionData, ...cleanedData }
         : { id: savedSectionId, ...cleanedData }
       
+      // Put the manholes on the map when their coordinates are known
+      if (finalData.start_coordinates || finalData.finish_coordinates) {
+        try {
+          await placeSectionNodes(projectId, finalData, {
+            confirmMove: (ref, metres) => window.confirm(
+              `Manhole ${ref} is ${metres.toFixed(1)}m from these coordinates on the map. Move it to match?`
+            )
+          })
+        } catch (placeError) {
+          console.error('Error placing section nodes on map:', placeError)
+          // Don't throw - the section was saved successfully
+        }
+      }
+      
       onSectionSaved(finalData)
       onClose()
     } catch (error) {
@@ -809,12 +867,11 @@ export default function SectionDetailsForm({
                     placeholder="0.00"
                     halfWidth
                   />
-                  <CompactInput 
+                  <CoordinateInput 
                     label="Coordinates" 
                     field="start_coordinates"
                     value={formData.start_coordinates}
                     onChange={handleInputChange}
-                    placeholder="Lat, Lng"
                     halfWidth
                   />
                 </div>
@@ -932,12 +989,11 @@ export default function SectionDetailsForm({
                     placeholder="0.00"
                     halfWidth
                   />
-                  <CompactInput 
+                  <CoordinateInput 
                     label="Coordinates" 
                     field="finish_coordinates"
                     value={formData.finish_coordinates}
                     onChange={handleInputChange}
-                    placeholder="Lat, Lng"
                     halfWidth
                   />
                 </div>
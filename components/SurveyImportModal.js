@@ -0,0 +1,278 @@
+'use client'
+
+import { useState } from 'react'
+import { FileUp, AlertTriangle, CheckCircle, X, Loader } from 'lucide-react'
+import { getObservationCodes } from '@/lib/observations'
+import {
+  parseExchangeFile,
+  buildImportPlan,
+  commitImportPlan,
+  CONFLICT_MODES
+} from '@/lib/exchange/mscc5-import'
+
+export default function SurveyImportModal({
+  isOpen,
+  onClose,
+  projectId,
+  existingSections = [],
+  onImported
+}) {
+  const [fileName, setFileName] = useState('')
+  const [plan, setPlan] = useState(null)
+  const [conflictMode, setConflictMode] = useState(CONFLICT_MODES.SKIP)
+  const [parsing, setParsing] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [error, setError] = useState(null)
+  const [result, setResult] = useState(null)
+
+  const reset = () => {
+    setFileName('')
+    setPlan(null)
+    setConflictMode(CONFLICT_MODES.SKIP)
+    setError(null)
+    setResult(null)
+  }
+
+  const handleClose = () => {
+    reset()
+    onClose()
+  }
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    reset()
+    setFileName(file.name)
+    setParsing(true)
+
+    try {
+      const text = await file.text()
+      const surveys = parseExchangeFile(text, file.name)
+
+      if (surveys.length === 0) {
+        throw new Error('No surveys found in this file')
+      }
+
+      const observationCodes = await getObservationCodes()
+      setPlan(buildImportPlan({ surveys, existingSections, observationCodes }))
+    } catch (err) {
+      console.error('Error reading survey file:', err)
+      setError(err.message)
+    } finally {
+      setParsing(false)
+    }
+  }
+
+  const handleImport = async () => {
+    if (!plan) return
+
+    setImporting(true)
+    setError(null)
+
+    try {
+      const importResult = await commitImportPlan(projectId, plan, { conflictMode })
+      setResult(importResult)
+      onImported?.(importResult.createdSections)
+    } catch (err) {
+      console.error('Error importing survey:', err)
+      setError(err.message || 'Failed to import survey')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center">
+            <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center mr-3">
+              <FileUp className="w-5 h-5 text-blue-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900">Import Survey File</h3>
+          </div>
+          <button onClick={handleClose} className="text-gray-500 hover:text-gray-700">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto flex-1 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              MSCC5 XML or PACP-style CSV file
+            </label>
+            <input
+              type="file"
+              accept=".xml,.csv,text/xml,application/xml,text/csv"
+              onChange={handleFileSelect}
+              disabled={parsing || importing}
+              className="block w-full text-sm text-gray-600 file:mr-3 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+            {parsing && (
+              <p className="mt-2 text-sm text-gray-500 flex items-center">
+                <Loader className="w-4 h-4 mr-2 animate-spin" />
+                Reading {fileName}...
+              </p>
+            )}
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {result && (
+            <div className={`${result.failedSections.length > 0 || result.failedObservations > 0 ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-green-50 border-green-200 text-green-800'} border rounded-md p-3 text-sm flex items-start`}>
+              {result.failedSections.length > 0 || result.failedObservations > 0
+                ? <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                : <CheckCircle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />}
+              <div>
+                <p>
+                  Imported {result.createdSections.length} section{result.createdSections.length !== 1 ? 's' : ''} with {result.createdObservations} observation{result.createdObservations !== 1 ? 's' : ''}.
+                  {result.skippedSections > 0 && ` Skipped ${result.skippedSections} conflicting section${result.skippedSections !== 1 ? 's' : ''}.`}
+                  {result.duplicateSections > 0 && ` Skipped ${result.duplicateSections} section${result.duplicateSections !== 1 ? 's' : ''} repeating a number in the file.`}
+                  {result.skippedObservations > 0 && ` Skipped ${result.skippedObservations} observation${result.skippedObservations !== 1 ? 's' : ''}.`}
+                  {result.failedObservations > 0 && ` ${result.failedObservations} observation${result.failedObservations !== 1 ? 's' : ''} could not be saved.`}
+                </p>
+                {result.failedSections.length > 0 && (
+                  <>
+                    <p className="mt-2">These sections could not be saved. Importing the file again retries them; the sections already imported show as conflicts and can be skipped.</p>
+                    <ul className="mt-1 space-y-1 text-xs">
+                      {result.failedSections.map(failed => (
+                        <li key={failed.key}>{failed.label}: {failed.error}</li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {plan && !result && (
+            <>
+              {/* Dry-run summary */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <div className="bg-gray-50 rounded-md p-3">
+                  <p className="text-xs text-gray-500">Sections in file</p>
+                  <p className="text-lg font-semibold text-gray-900">{plan.totals.sections}</p>
+                </div>
+                <div className="bg-green-50 rounded-md p-3">
+                  <p className="text-xs text-green-700">New sections</p>
+                  <p className="text-lg font-semibold text-green-800">{plan.totals.newSections}</p>
+                </div>
+                <div className="bg-yellow-50 rounded-md p-3">
+                  <p className="text-xs text-yellow-700">Conflicts</p>
+                  <p className="text-lg font-semibold text-yellow-800">{plan.totals.conflicts}</p>
+                </div>
+                <div className="bg-red-50 rounded-md p-3">
+                  <p className="text-xs text-red-700">Invalid observations</p>
+                  <p className="text-lg font-semibold text-red-800">
+                    {plan.totals.invalidObservations} / {plan.totals.observations}
+                  </p>
+                </div>
+              </div>
+
+              {plan.unknownCodes.length > 0 && (
+                <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700 flex items-start">
+                  <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                  <span>
+                    Unknown codes (observations will be skipped): <strong>{plan.unknownCodes.join(', ')}</strong>
+                  </span>
+                </div>
+              )}
+
+              {plan.totals.duplicates > 0 && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 text-sm text-yellow-800 flex items-start">
+                  <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                  <span>
+                    {plan.totals.duplicates} section{plan.totals.duplicates !== 1 ? 's' : ''} repeat{plan.totals.duplicates === 1 ? 's' : ''} a section number used earlier in the file and will be skipped.
+                  </span>
+                </div>
+              )}
+
+              {plan.totals.conflicts > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sections whose number already exists in this project
+                  </label>
+                  <select
+                    value={conflictMode}
+                    onChange={(e) => setConflictMode(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                  >
+                    <option value={CONFLICT_MODES.SKIP}>Skip them</option>
+                    <option value={CONFLICT_MODES.APPEND}>Import as new sections with the next free numbers</option>
+                  </select>
+                </div>
+              )}
+
+              {/* Per-section diff */}
+              <div className="border rounded-md divide-y">
+                {plan.sections.map(planned => {
+                  const invalid = planned.observations.filter(o => o.errors.length > 0)
+                  return (
+                    <div key={planned.key} className="p-3 text-sm">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <span className="font-medium text-gray-900">
+                            #{planned.header.section_number} {planned.header.start_ref || '?'} → {planned.header.finish_ref || '?'}
+                          </span>
+                          <span className="ml-2 text-gray-500">
+                            {planned.observations.length} observation{planned.observations.length !== 1 ? 's' : ''}
+                          </span>
+                        </div>
+                        {planned.status === 'duplicate' ? (
+                          <span className="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800">
+                            Repeats #{planned.header.section_number} in this file
+                          </span>
+                        ) : planned.status === 'conflict' ? (
+                          <span className="px-2 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800">
+                            Conflicts with {planned.conflictWith.name || `Section ${planned.conflictWith.section_number}`}
+                          </span>
+                        ) : (
+                          <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">New</span>
+                        )}
+                      </div>
+                      {invalid.length > 0 && (
+                        <ul className="mt-2 space-y-1 text-xs text-red-600">
+                          {invalid.map((obs, index) => (
+                            <li key={index}>
+                              {obs.data.code} at {obs.data.distance ?? '?'}m: {obs.errors.join('; ')}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="flex gap-3 p-4 border-t">
+          {!result && (
+            <button
+              onClick={handleImport}
+              disabled={!plan || importing || parsing}
+              className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {importing ? 'Importing...' : 'Import Survey'}
+            </button>
+          )}
+          <button
+            onClick={handleClose}
+            disabled={importing}
+            className="flex-1 bg-gray-200 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 transition-colors"
+          >
+            {result ? 'Close' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -10,13 +10,34 @@ import {
   SkipBack, 
   SkipForward,
   Camera,
-  Clock
+  Clock,
+  ChevronLeft,
+  ChevronRight,
+  StepBack,
+  StepForward,
+  Repeat,
+  X,
+  ZoomIn,
+  ZoomOut
 } from 'lucide-react'
+import ObservationTimeline, { getTimedObservations } from './ObservationTimeline'
+import { DEFAULT_FRAME_RATE, measureFrameRate } from '../lib/video/video-metadata'
+import { loadThumbnailCues, findThumbnailCue } from '../lib/video/seek-thumbnails'
 
+const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4]
+const MAX_ZOOM = 4
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+// hlsSrc: adaptive stream of the same video, used where the browser can play it (src otherwise)
+// seekThumbnails: WebVTT track of scrub bar previews
 const VideoPlayer = forwardRef(({ 
   src, 
+  hlsSrc = null,
+  seekThumbnails = null,
   onCaptureFrame,
   observations = [],
+  frameRate = null,
   className = '' 
 }, ref) => {
   const [isPlaying, setIsPlaying] = useState(false)
@@ -26,10 +47,33 @@ const VideoPlayer = forwardRef(({
   const [isMuted, setIsMuted] = useState(false)
   const [showControls, setShowControls] = useState(true)
   const [isFullscreen, setIsFullscreen] = useState(false)
+  const [playbackRate, setPlaybackRate] = useState(1)
+  const [detectedFrameRate, setDetectedFrameRate] = useState(null)
+  const [loopStart, setLoopStart] = useState(null)
+  const [loopEnd, setLoopEnd] = useState(null)
+  const [zoomMode, setZoomMode] = useState(false)
+  const [zoom, setZoom] = useState(1)
+  const [pan, setPan] = useState({ x: 0.5, y: 0.5 })
+  const [streamMode, setStreamMode] = useState(null)
+  const [qualityLevels, setQualityLevels] = useState([])
+  const [qualityLevel, setQualityLevel] = useState(-1)
+  const [playingHeight, setPlayingHeight] = useState(null)
+  const [thumbnailCues, setThumbnailCues] = useState([])
+  const [hoverPreview, setHoverPreview] = useState(null)
   
+  const timedObservations = getTimedObservations(observations)
+
+  // Stored rate from upload, else measured while playing, else PAL
+  const fps = frameRate || detectedFrameRate || DEFAULT_FRAME_RATE
+  const currentFrame = Math.floor(currentTime * fps + 0.001)
+  const isLooping = loopStart !== null && loopEnd !== null
+
   const videoRef = useRef(null)
   const containerRef = useRef(null)
   const controlsTimeoutRef = useRef(null)
+  const loopRef = useRef({ start: null, end: null })
+  const dragRef = useRef(null)
+  const hlsRef = useRef(null)
 
   // Expose video ref to parent component
   useEffect(() => {
@@ -48,6 +92,8 @@ const VideoPlayer = forwardRef(({
     if (isPlaying) {
       videoRef.current.pause()
     } else {
+      // Zoom works on the paused frame only
+      if (zoomMode) exitZoomMode()
       videoRef.current.play()
     }
     setIsPlaying(!isPlaying)
@@ -64,6 +110,21 @@ const VideoPlayer = forwardRef(({
     setCurrentTime(newTime)
   }
 
+  const handleSeekHover = (e) => {
+    if (!duration) return
+    const rect = e.currentTarget.getBoundingClientRect()
+    const fraction = clamp((e.clientX - rect.left) / rect.width, 0, 1)
+    setHoverPreview({ fraction, time: fraction * duration })
+  }
+
+  const changeQualityLevel = (level) => {
+    setQualityLevel(level)
+    if (hlsRef.current) {
+      // -1 hands the choice back to the bandwidth estimate
+      hlsRef.current.currentLevel = level
+    }
+  }
+
   const handleVolumeChange = (e) => {
     const newVolume = parseFloat(e.target.value)
     setVolume(newVolume)
@@ -107,11 +168,149 @@ const VideoPlayer = forwardRef(({
     setCurrentTime(newTime)
   }
 
+  // Seeks to the middle of the target frame so the decoder can't round to a neighbour
+  const stepFrame = (frames) => {
+    const video = videoRef.current
+    if (!video || !duration) return
+
+    video.pause()
+    setIsPlaying(false)
+
+    const lastFrame = Math.max(0, Math.floor(duration * fps) - 1)
+    const frame = clamp(Math.floor(video.currentTime * fps + 0.001) + frames, 0, lastFrame)
+    const newTime = (frame + 0.5) / fps
+
+    video.currentTime = newTime
+    setCurrentTime(newTime)
+  }
+
+  const changePlaybackRate = (rate) => {
+    setPlaybackRate(rate)
+    if (videoRef.current) {
+      videoRef.current.playbackRate = rate
+    }
+  }
+
+  const stepPlaybackRate = (direction) => {
+    const index = PLAYBACK_RATES.indexOf(playbackRate)
+    changePlaybackRate(PLAYBACK_RATES[clamp(index + direction, 0, PLAYBACK_RATES.length - 1)])
+  }
+
+  const setLoopPoint = (point) => {
+    const time = videoRef.current?.currentTime ?? currentTime
+
+    if (point === 'start') {
+      setLoopStart(time)
+      if (loopEnd !== null && loopEnd <= time) setLoopEnd(null)
+    } else {
+      // B before A (or without A) loops from the start of the video
+      if (loopStart === null || loopStart >= time) setLoopStart(0)
+      setLoopEnd(time)
+    }
+  }
+
+  const clearLoop = () => {
+    setLoopStart(null)
+    setLoopEnd(null)
+  }
+
+  // Size of the video frame as drawn (object-contain) inside the player
+  const getFrameBox = () => {
+    const container = containerRef.current
+    const video = videoRef.current
+    if (!container || !video?.videoWidth) return null
+
+    const width = container.clientWidth
+    const height = container.clientHeight
+    const scale = Math.min(width / video.videoWidth, height / video.videoHeight)
+    return { width, height, frameWidth: video.videoWidth * scale, frameHeight: video.videoHeight * scale }
+  }
+
+  // Fraction of the frame that is visible at a zoom level
+  const getVisibleFraction = (box, zoomLevel) => ({
+    x: Math.min(1, box.width / (box.frameWidth * zoomLevel)),
+    y: Math.min(1, box.height / (box.frameHeight * zoomLevel))
+  })
+
+  // Keep the view inside the frame; pan is the frame point (0-1) at the centre of the view
+  const clampPan = (point, zoomLevel) => {
+    const box = getFrameBox()
+    if (!box) return { x: 0.5, y: 0.5 }
+    const visible = getVisibleFraction(box, zoomLevel)
+    return {
+      x: visible.x >= 1 ? 0.5 : clamp(point.x, visible.x / 2, 1 - visible.x / 2),
+      y: visible.y >= 1 ? 0.5 : clamp(point.y, visible.y / 2, 1 - visible.y / 2)
+    }
+  }
+
+  const changeZoom = (zoomLevel) => {
+    const newZoom = clamp(zoomLevel, 1, MAX_ZOOM)
+    setZoom(newZoom)
+    setPan(current => clampPan(current, newZoom))
+  }
+
+  const enterZoomMode = () => {
+    if (videoRef.current && !videoRef.current.paused) {
+      videoRef.current.pause()
+      setIsPlaying(false)
+    }
+    setZoomMode(true)
+    changeZoom(2)
+  }
+
+  const exitZoomMode = () => {
+    setZoomMode(false)
+    setZoom(1)
+    setPan({ x: 0.5, y: 0.5 })
+  }
+
+  // Region of the video frame (in video pixels) currently on screen, or null when not zoomed
+  const getCaptureCrop = () => {
+    const video = videoRef.current
+    const box = getFrameBox()
+    if (!zoomMode || zoom <= 1 || !box) return null
+
+    const visible = getVisibleFraction(box, zoom)
+    return {
+      x: Math.round((pan.x - visible.x / 2) * video.videoWidth),
+      y: Math.round((pan.y - visible.y / 2) * video.videoHeight),
+      width: Math.round(visible.x * video.videoWidth),
+      height: Math.round(visible.y * video.videoHeight)
+    }
+  }
+
+  const getZoomTransform = () => {
+    const box = getFrameBox()
+    if (zoom <= 1 || !box) return undefined
+    // Scale about the player centre, then shift the pan point to the centre
+    return `scale(${zoom}) translate(${(0.5 - pan.x) * box.frameWidth}px, ${(0.5 - pan.y) * box.frameHeight}px)`
+  }
+
+  const handlePanStart = (e) => {
+    if (!zoomMode || zoom <= 1 || e.target.closest('button, input, select, [data-player-controls]')) return
+    const box = getFrameBox()
+    if (!box) return
+    dragRef.current = { x: e.clientX, y: e.clientY, pan, box }
+  }
+
+  const handlePanMove = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+    setPan(clampPan({
+      x: drag.pan.x - (e.clientX - drag.x) / (drag.box.frameWidth * zoom),
+      y: drag.pan.y - (e.clientY - drag.y) / (drag.box.frameHeight * zoom)
+    }, zoom))
+  }
+
+  const handlePanEnd = () => {
+    dragRef.current = null
+  }
+
   const handleCaptureClick = () => {
     console.log('VideoPlayer capture button clicked', { onCaptureFrame, videoRef: videoRef.current, currentTime })
     if (onCaptureFrame && videoRef.current) {
-      // Pass the video element and current timestamp
-      onCaptureFrame(videoRef.current, currentTime)
+      // Pass the video element, the exact timestamp and the zoomed region (if any)
+      onCaptureFrame(videoRef.current, videoRef.current.currentTime, getCaptureCrop())
     } else {
       console.warn('Cannot capture frame:', { 
         hasCallback: !!onCaptureFrame, 
@@ -128,6 +327,19 @@ const VideoPlayer = forwardRef(({
     setCurrentTime(timestamp)
   }
 
+  // Step through observations in playback order. A small margin means the
+  // observation just jumped to isn't picked again.
+  const jumpToAdjacentObservation = (direction) => {
+    const margin = 0.25
+    const target = direction > 0
+      ? timedObservations.find(obs => obs.video_timestamp > currentTime + margin)
+      : [...timedObservations].reverse().find(obs => obs.video_timestamp < currentTime - margin)
+
+    if (target) {
+      jumpToObservation(target.video_timestamp)
+    }
+  }
+
   const formatTime = (timeInSeconds) => {
     const minutes = Math.floor(timeInSeconds / 60)
     const seconds = Math.floor(timeInSeconds % 60)
@@ -148,11 +360,13 @@ const VideoPlayer = forwardRef(({
     }, 3000)
   }
 
-  const handleMouseMove = () => {
+  const handleMouseMove = (e) => {
     showControlsTemporarily()
+    handlePanMove(e)
   }
 
   const handleMouseLeave = () => {
+    handlePanEnd()
     if (isPlaying) {
       setShowControls(false)
     }
@@ -163,7 +377,13 @@ const VideoPlayer = forwardRef(({
     const video = videoRef.current
     if (!video) return
 
-    const handleTimeUpdate = () => setCurrentTime(video.currentTime)
+    const handleTimeUpdate = () => {
+      const { start, end } = loopRef.current
+      if (start !== null && end !== null && video.currentTime >= end) {
+        video.currentTime = start
+      }
+      setCurrentTime(video.currentTime)
+    }
     const handleDurationChange = () => setDuration(video.duration)
     const handleEnded = () => setIsPlaying(false)
 
@@ -178,6 +398,172 @@ const VideoPlayer = forwardRef(({
     }
   }, [])
 
+  useEffect(() => {
+    loopRef.current = { start: loopStart, end: loopEnd }
+  }, [loopStart, loopEnd])
+
+  // Attach the adaptive stream where supported: hls.js over Media Source
+  // Extensions, else native HLS (Safari), else the MP4
+  useEffect(() => {
+    const video = videoRef.current
+    if (!video || !src) return
+
+    let cancelled = false
+    let hls = null
+    setQualityLevels([])
+    setQualityLevel(-1)
+    setPlayingHeight(null)
+
+    const playMp4 = (resumeAt = 0) => {
+      setStreamMode('mp4')
+      video.src = src
+      if (resumeAt > 0) {
+        video.addEventListener('loadedmetadata', () => { video.currentTime = resumeAt }, { once: true })
+      }
+    }
+
+    if (!hlsSrc) {
+      playMp4()
+      return
+    }
+
+    import('hls.js')
+      .then(({ default: Hls }) => {
+        if (cancelled) return
+
+        if (!Hls.isSupported()) {
+          if (video.canPlayType('application/vnd.apple.mpegurl')) {
+            setStreamMode('native-hls')
+            video.src = hlsSrc
+          } else {
+            playMp4()
+          }
+          return
+        }
+
+        hls = new Hls()
+        hlsRef.current = hls
+
+        hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+          setQualityLevels(data.levels.map((level, index) => ({ index, height: level.height })))
+        })
+        hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+          setPlayingHeight(hls.levels[data.level]?.height || null)
+        })
+        hls.on(Hls.Events.ERROR, (event, data) => {
+          if (!data.fatal) return
+          console.error('HLS playback failed, falling back to MP4:', data.details)
+          const resumeAt = video.currentTime
+          hls.destroy()
+          hlsRef.current = null
+          setQualityLevels([])
+          setPlayingHeight(null)
+          playMp4(resumeAt)
+        })
+
+        setStreamMode('hls')
+        hls.loadSource(hlsSrc)
+        hls.attachMedia(video)
+      })
+      .catch(error => {
+        console.error('Error loading HLS player:', error)
+        if (!cancelled) playMp4()
+      })
+
+    return () => {
+      cancelled = true
+      hls?.destroy()
+      hlsRef.current = null
+    }
+  }, [src, hlsSrc])
+
+  // Safari's own HLS player fails without hls.js's error events
+  const handleVideoError = () => {
+    const video = videoRef.current
+    if (streamMode !== 'native-hls' || !video) return
+    console.error('Native HLS playback failed, falling back to MP4')
+    const resumeAt = video.currentTime
+    setStreamMode('mp4')
+    video.src = src
+    video.addEventListener('loadedmetadata', () => { video.currentTime = resumeAt }, { once: true })
+  }
+
+  // Paused frames are inspected, stepped and captured, so show them at the top
+  // rendition; playback goes back to adaptive quality
+  useEffect(() => {
+    const video = videoRef.current
+    if (!video || streamMode !== 'hls' || qualityLevel !== -1 || qualityLevels.length < 2) return
+
+    const topLevel = qualityLevels.length - 1
+    const handlePause = () => {
+      if (hlsRef.current && hlsRef.current.currentLevel !== topLevel) {
+        hlsRef.current.currentLevel = topLevel
+      }
+    }
+    const handlePlay = () => {
+      if (hlsRef.current) hlsRef.current.currentLevel = -1
+    }
+
+    video.addEventListener('pause', handlePause)
+    video.addEventListener('play', handlePlay)
+    return () => {
+      video.removeEventListener('pause', handlePause)
+      video.removeEventListener('play', handlePlay)
+    }
+  }, [streamMode, qualityLevel, qualityLevels])
+
+  useEffect(() => {
+    setThumbnailCues([])
+    setHoverPreview(null)
+    if (!seekThumbnails) return
+
+    let cancelled = false
+    loadThumbnailCues(seekThumbnails).then(cues => {
+      if (!cancelled) setThumbnailCues(cues)
+    })
+    return () => { cancelled = true }
+  }, [seekThumbnails])
+
+  // A new video starts unzoomed, without a loop, at the chosen speed
+  useEffect(() => {
+    clearLoop()
+    exitZoomMode()
+    setDetectedFrameRate(null)
+    if (videoRef.current) {
+      videoRef.current.defaultPlaybackRate = playbackRate
+      videoRef.current.playbackRate = playbackRate
+    }
+  }, [src])
+
+  // Measure the frame rate on first playback when it wasn't stored at upload
+  useEffect(() => {
+    const video = videoRef.current
+    if (!video || frameRate || detectedFrameRate) return
+
+    const handlePlaying = () => {
+      measureFrameRate(video).then(measured => {
+        if (measured) setDetectedFrameRate(measured)
+      })
+    }
+
+    video.addEventListener('playing', handlePlaying, { once: true })
+    return () => video.removeEventListener('playing', handlePlaying)
+  }, [src, frameRate, detectedFrameRate])
+
+  // Wheel zooms in zoom mode; registered natively so the page doesn't scroll
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container || !zoomMode) return
+
+    const handleWheel = (e) => {
+      e.preventDefault()
+      changeZoom(zoom * (e.deltaY < 0 ? 1.25 : 0.8))
+    }
+
+    container.addEventListener('wheel', handleWheel, { passive: false })
+    return () => container.removeEventListener('wheel', handleWheel)
+  }, [zoomMode, zoom])
+
   // Fullscreen change handler
   useEffect(() => {
     const handleFullscreenChange = () => {
@@ -218,12 +604,52 @@ const VideoPlayer = forwardRef(({
           e.preventDefault()
           handleCaptureClick()
           break
+        case 'n':
+          e.preventDefault()
+          jumpToAdjacentObservation(1)
+          break
+        case 'p':
+          e.preventDefault()
+          jumpToAdjacentObservation(-1)
+          break
+        case ',':
+          e.preventDefault()
+          stepFrame(-1)
+          break
+        case '.':
+          e.preventDefault()
+          stepFrame(1)
+          break
+        case '<':
+          e.preventDefault()
+          stepPlaybackRate(-1)
+          break
+        case '>':
+          e.preventDefault()
+          stepPlaybackRate(1)
+          break
+        case 'a':
+          e.preventDefault()
+          setLoopPoint('start')
+          break
+        case 'b':
+          e.preventDefault()
+          setLoopPoint('end')
+          break
+        case 'z':
+          e.preventDefault()
+          zoomMode ? exitZoomMode() : enterZoomMode()
+          break
+        case 'Escape':
+          if (zoomMode) exitZoomMode()
+          else if (loopStart !== null) clearLoop()
+          break
       }
     }
 
     document.addEventListener('keydown', handleKeyDown)
     return () => document.removeEventListener('keydown', handleKeyDown)
-  }, [isPlaying, currentTime, duration])
+  }, [isPlaying, currentTime, duration, observations, fps, playbackRate, loopStart, loopEnd, zoomMode, zoom, pan])
 
   if (!src) {
     return (
@@ -238,39 +664,24 @@ const VideoPlayer = forwardRef(({
       {/* Main Video Player */}
       <div
         ref={containerRef}
-        className="relative w-full aspect-video bg-black rounded-lg overflow-hidden group"
+        className={`relative w-full aspect-video bg-black rounded-lg overflow-hidden group ${
+          zoomMode && zoom > 1 ? 'cursor-grab' : ''
+        }`}
         onMouseMove={handleMouseMove}
         onMouseLeave={handleMouseLeave}
+        onMouseDown={handlePanStart}
+        onMouseUp={handlePanEnd}
         tabIndex={0}
       >
         <video
           ref={videoRef}
-          src={src}
           crossOrigin="anonymous"
           className="w-full h-full object-contain"
-          onClick={handlePlayPause}
+          style={{ transform: getZoomTransform() }}
+          onClick={zoomMode ? undefined : handlePlayPause}
+          onError={handleVideoError}
         />
 
-        {/* Observation Markers on Timeline */}
-        {observations.length > 0 && duration > 0 && (
-          <div className="absolute bottom-16 left-4 right-4">
-            <div className="relative h-2 bg-gray-600 rounded">
-              {observations.map((obs) => (
-                <button
-                  key={obs.id}
-                  className="absolute w-3 h-3 bg-yellow-400 border-2 border-white rounded-full transform -translate-y-0.5 hover:bg-yellow-300 cursor-pointer"
-                  style={{
-                    left: `${(obs.video_timestamp / duration) * 100}%`,
-                    transform: 'translateX(-50%) translateY(-25%)'
-                  }}
-                  onClick={() => jumpToObservation(obs.video_timestamp)}
-                  title={`Observation: ${obs.name || obs.code} at ${formatTime(obs.video_timestamp)}`}
-                />
-              ))}
-            </div>
-          </div>
-        )}
-
         {/* Controls Overlay */}
         <div 
           className={`absolute inset-0 bg-gradient-to-t from-black/50 to-transparent transition-opacity duration-300 ${
@@ -283,27 +694,76 @@ const VideoPlayer = forwardRef(({
               <button
                 onClick={handleCaptureClick}
                 className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-                title="Capture frame for observation (C)"
+                title={zoomMode && zoom > 1 ? 'Capture the zoomed view for observation (C)' : 'Capture frame for observation (C)'}
               >
                 <Camera className="w-4 h-4" />
-                Capture Frame
+                {zoomMode && zoom > 1 ? 'Capture View' : 'Capture Frame'}
               </button>
             )}
           </div>
 
           {/* Bottom Controls */}
-          <div className="absolute bottom-0 left-0 right-0 p-4">
+          <div className="absolute bottom-0 left-0 right-0 p-4" data-player-controls>
             {/* Progress Bar */}
             <div 
-              className="w-full h-2 bg-gray-600 rounded cursor-pointer mb-4 hover:h-3 transition-all"
+              className={`relative w-full h-2 bg-gray-600 rounded cursor-pointer hover:h-3 transition-all ${timedObservations.length > 0 ? 'mb-2' : 'mb-4'}`}
               onClick={handleSeek}
+              onMouseMove={handleSeekHover}
+              onMouseLeave={() => setHoverPreview(null)}
             >
-              <div 
-                className="h-full bg-blue-500 rounded"
-                style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }}
-              />
+              {/* Seek preview */}
+              {hoverPreview && (() => {
+                const cue = findThumbnailCue(thumbnailCues, hoverPreview.time)
+                return (
+                  <div
+                    className="absolute bottom-full mb-2 -translate-x-1/2 pointer-events-none flex flex-col items-center"
+                    style={{ left: `${clamp(hoverPreview.fraction * 100, 8, 92)}%` }}
+                  >
+                    {cue && (cue.width ? (
+                      <div
+                        className="rounded border border-white/60 bg-black"
+                        style={{
+                          width: cue.width,
+                          height: cue.height,
+                          backgroundImage: `url(${cue.url})`,
+                          backgroundPosition: `-${cue.x}px -${cue.y}px`
+                        }}
+                      />
+                    ) : (
+                      <img src={cue.url} alt="" className="h-[90px] rounded border border-white/60 bg-black" />
+                    ))}
+                    <span className="mt-1 px-1 rounded bg-black/70 text-white text-xs">
+                      {formatTime(hoverPreview.time)}
+                    </span>
+                  </div>
+                )
+              })()}
+              <div className="relative h-full">
+                <div 
+                  className="h-full bg-blue-500 rounded"
+                  style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }}
+                />
+                {/* A/B loop region */}
+                {duration > 0 && loopStart !== null && (
+                  <div
+                    className={`absolute top-0 bottom-0 bg-green-400/50 border-x-2 border-green-400 pointer-events-none ${isLooping ? '' : 'border-r-0'}`}
+                    style={{
+                      left: `${(loopStart / duration) * 100}%`,
+                      width: `${(((isLooping ? loopEnd : currentTime) - loopStart) / duration) * 100}%`
+                    }}
+                  />
+                )}
+              </div>
             </div>
 
+            {/* Observation Timeline */}
+            <ObservationTimeline
+              observations={observations}
+              duration={duration}
+              currentTime={currentTime}
+              onSeek={jumpToObservation}
+            />
+
             {/* Control Buttons */}
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-3">
@@ -316,6 +776,15 @@ const VideoPlayer = forwardRef(({
                   <SkipBack className="w-5 h-5" />
                 </button>
 
+                {/* Frame Back */}
+                <button
+                  onClick={() => stepFrame(-1)}
+                  className="text-white hover:text-blue-300 transition-colors"
+                  title="Previous frame (,)"
+                >
+                  <StepBack className="w-5 h-5" />
+                </button>
+
                 {/* Play/Pause */}
                 <button
                   onClick={handlePlayPause}
@@ -325,6 +794,15 @@ const VideoPlayer = forwardRef(({
                   {isPlaying ? <Pause className="w-6 h-6" /> : <Play className="w-6 h-6" />}
                 </button>
 
+                {/* Frame Forward */}
+                <button
+                  onClick={() => stepFrame(1)}
+                  className="text-white hover:text-blue-300 transition-colors"
+                  title="Next frame (.)"
+                >
+                  <StepForward className="w-5 h-5" />
+                </button>
+
                 {/* Skip Forward */}
                 <button
                   onClick={() => skipTime(10)}
@@ -357,15 +835,128 @@ const VideoPlayer = forwardRef(({
                 {/* Time Display */}
                 <span className="text-white text-sm">
                   {formatTime(currentTime)} / {formatTime(duration)}
+                  <span
+                    className="ml-2 text-xs text-gray-300"
+                    title={`${fps} fps${frameRate ? '' : detectedFrameRate ? ' (measured)' : ' (assumed)'}`}
+                  >
+                    frame {currentFrame}
+                  </span>
                 </span>
               </div>
 
               <div className="flex items-center gap-3">
-                {/* Observation Count */}
-                {observations.length > 0 && (
+                {/* Stream Quality */}
+                {qualityLevels.length > 1 && (
+                  <select
+                    value={qualityLevel}
+                    onChange={(e) => changeQualityLevel(parseInt(e.target.value, 10))}
+                    className="bg-black/40 text-white text-sm border border-white/30 rounded px-1 py-0.5"
+                    title="Stream quality - Auto adapts to the connection and shows paused frames at full quality"
+                  >
+                    <option value={-1}>Auto{qualityLevel === -1 && playingHeight ? ` (${playingHeight}p)` : ''}</option>
+                    {qualityLevels.map(level => (
+                      <option key={level.index} value={level.index}>{level.height}p</option>
+                    ))}
+                  </select>
+                )}
+
+                {/* Playback Speed */}
+                <select
+                  value={playbackRate}
+                  onChange={(e) => changePlaybackRate(parseFloat(e.target.value))}
+                  className="bg-black/40 text-white text-sm border border-white/30 rounded px-1 py-0.5"
+                  title="Playback speed (< >)"
+                >
+                  {PLAYBACK_RATES.map(rate => (
+                    <option key={rate} value={rate}>{rate}×</option>
+                  ))}
+                </select>
+
+                {/* A/B Loop */}
+                <div className="flex items-center gap-1 text-white text-sm">
+                  <Repeat className={`w-4 h-4 ${isLooping ? 'text-green-400' : ''}`} />
+                  <button
+                    onClick={() => setLoopPoint('start')}
+                    className={`px-1 rounded hover:text-blue-300 ${loopStart !== null ? 'text-green-400' : ''}`}
+                    title={loopStart !== null ? `Loop start ${formatTime(loopStart)} - click to move (A)` : 'Set loop start (A)'}
+                  >
+                    A
+                  </button>
+                  <button
+                    onClick={() => setLoopPoint('end')}
+                    className={`px-1 rounded hover:text-blue-300 ${loopEnd !== null ? 'text-green-400' : ''}`}
+                    title={loopEnd !== null ? `Loop end ${formatTime(loopEnd)} - click to move (B)` : 'Set loop end (B)'}
+                  >
+                    B
+                  </button>
+                  {loopStart !== null && (
+                    <button
+                      onClick={clearLoop}
+                      className="hover:text-blue-300"
+                      title="Clear loop (Esc)"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+
+                {/* Zoom */}
+                {zoomMode ? (
+                  <div className="flex items-center gap-1 text-white text-sm">
+                    <button
+                      onClick={() => changeZoom(zoom / 1.25)}
+                      disabled={zoom <= 1}
+                      className="hover:text-blue-300 disabled:opacity-40"
+                      title="Zoom out (mouse wheel)"
+                    >
+                      <ZoomOut className="w-5 h-5" />
+                    </button>
+                    <span className="w-10 text-center">{zoom.toFixed(1)}×</span>
+                    <button
+                      onClick={() => changeZoom(zoom * 1.25)}
+                      disabled={zoom >= MAX_ZOOM}
+                      className="hover:text-blue-300 disabled:opacity-40"
+                      title="Zoom in (mouse wheel)"
+                    >
+                      <ZoomIn className="w-5 h-5" />
+                    </button>
+                    <button
+                      onClick={exitZoomMode}
+                      className="hover:text-blue-300"
+                      title="Leave zoom (Z)"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={enterZoomMode}
+                    className="text-white hover:text-blue-300 transition-colors"
+                    title="Zoom and pan the paused frame (Z)"
+                  >
+                    <ZoomIn className="w-5 h-5" />
+                  </button>
+                )}
+
+                {/* Observation Navigation */}
+                {timedObservations.length > 0 && (
                   <div className="flex items-center gap-1 text-white text-sm">
+                    <button
+                      onClick={() => jumpToAdjacentObservation(-1)}
+                      className="text-white hover:text-blue-300 transition-colors"
+                      title="Previous observation (P)"
+                    >
+                      <ChevronLeft className="w-5 h-5" />
+                    </button>
                     <Clock className="w-4 h-4" />
-                    <span>{observations.length} observations</span>
+                    <span>{timedObservations.length} observations</span>
+                    <button
+                      onClick={() => jumpToAdjacentObservation(1)}
+                      className="text-white hover:text-blue-300 transition-colors"
+                      title="Next observation (N)"
+                    >
+                      <ChevronRight className="w-5 h-5" />
+                    </button>
                   </div>
                 )}
 
@@ -385,7 +976,7 @@ const VideoPlayer = forwardRef(({
 
       {/* Keyboard Shortcuts Help */}
       <div className="text-xs text-gray-500 text-center">
-        Keyboard shortcuts: Space (play/pause), ← → (skip 10s), F (fullscreen), M (mute), C (capture)
+        Keyboard shortcuts: Space (play/pause), ← → (skip 10s), , . (step frame), &lt; &gt; (speed), A / B (loop), Z (zoom), P / N (previous / next observation), F (fullscreen), M (mute), C (capture)
       </div>
     </div>
   )
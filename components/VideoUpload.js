@@ -2,10 +2,12 @@
 'use client'
 
 import { useState, useRef } from 'react'
-import { Upload, Film, AlertCircle, CheckCircle, X, CreditCard, FileVideo, AlertTriangle, Cloud } from 'lucide-react'
+import { Upload, Film, AlertCircle, CheckCircle, X, CreditCard, FileVideo, AlertTriangle, Cloud, RefreshCw } from 'lucide-react'
 import { useAuth } from '../lib/auth-context'
 import { checkCredits, consumeCredits, calculateCreditsRequired } from '../lib/credits'
-import { detectVideoFormat, isWebCompatible } from '../lib/video/format-detector'
+import { detectVideoFormat, isWebCompatible, formatFileSize } from '../lib/video/format-detector'
+import { getBrowserConversionSupport } from '../lib/video/browser-transcoder'
+import { useBrowserTranscode } from '../hooks/useBrowserTranscode'
 import { validateVideoFile } from '../lib/video/video-validator'
 import { extractVideoMetadata } from '../lib/video/video-metadata'
 import { uploadManager } from '../lib/video/upload-manager'
@@ -27,6 +29,11 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
   const [calculatingCredits, setCalculatingCredits] = useState(false)
   const [showFormatWarning, setShowFormatWarning] = useState(false)
   
+  // In-browser conversion of formats browsers cannot play
+  const [conversionSupport, setConversionSupport] = useState(null)
+  const [convertedFrom, setConvertedFrom] = useState(null)
+  const { converting, progress: conversionProgress, convert, cancel: cancelConversion } = useBrowserTranscode()
+  
   const fileInputRef = useRef(null)
 
   // Handle file selection with enhanced validation and format detection
@@ -37,6 +44,8 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
     setShowFormatWarning(false)
     setFileAnalysis(null)
     setValidationResult(null)
+    setConversionSupport(null)
+    setConvertedFrom(null)
     
     // Step 1: Basic validation
     const validation = await validateVideoFile(file)
@@ -51,10 +60,11 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
     const formatInfo = await detectVideoFormat(file)
     setFileAnalysis(formatInfo)
     
-    // Step 3: Show warnings if needed
+    // Step 3: Show warnings and offer conversion if needed
     if (formatInfo.recommendations.requiresTranscoding || !formatInfo.compatibility.canPlayInBrowser) {
       setShowFormatWarning(true)
     }
+    setConversionSupport(getBrowserConversionSupport(file, formatInfo))
     
     // Step 4: Calculate credits
     setCalculatingCredits(true)
@@ -73,6 +83,30 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
     setSelectedFile(file)
   }
 
+  // Convert the selected file to MP4 locally; only the converted file is uploaded and charged
+  const handleConvertInBrowser = async () => {
+    const original = { name: selectedFile.name, size: selectedFile.size, credits: requiredCredits }
+    setError('')
+    
+    try {
+      const converted = await convert(original.name, selectedFile)
+      if (!converted) return // Cancelled - keep the original selected
+      
+      await handleFileSelection(converted)
+      setConvertedFrom(original)
+    } catch (err) {
+      setError(`Browser conversion failed: ${err.message}. You can still upload the original - it will be converted on the server.`)
+    }
+  }
+
+  const clearSelection = () => {
+    setSelectedFile(null)
+    setFileAnalysis(null)
+    setShowFormatWarning(false)
+    setConversionSupport(null)
+    setConvertedFrom(null)
+  }
+
   // Handle actual upload with new upload manager
   const handleFileUpload = async () => {
     if (!selectedFile || requiredCredits === 0) return
@@ -137,6 +171,10 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
           metadata: {
             ...metadata,
             formatAnalysis: fileAnalysis,
+            convertedInBrowser: convertedFrom ? {
+              originalFilename: convertedFrom.name,
+              originalSize: convertedFrom.size
+            } : null,
             b2Url: uploadResult.b2Url,
             streamData: uploadResult.streamData,
             storage: 'backblaze-b2',
@@ -200,7 +238,7 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
         <h3 className="text-lg font-semibold text-gray-900">Upload Video</h3>
         <button
           onClick={onCancel}
-          disabled={uploading}
+          disabled={uploading || converting}
           className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
         >
           <X className="w-5 h-5" />
@@ -254,12 +292,9 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
                 </div>
               </div>
               <button
-                onClick={() => {
-                  setSelectedFile(null)
-                  setFileAnalysis(null)
-                  setShowFormatWarning(false)
-                }}
-                className="text-gray-400 hover:text-gray-600"
+                onClick={clearSelection}
+                disabled={converting}
+                className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
               >
                 <X className="w-4 h-4" />
               </button>
@@ -301,6 +336,68 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
             </div>
           )}
 
+          {/* In-browser conversion */}
+          {converting ? (
+            <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center text-blue-800">
+                  <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                  <span className="text-sm font-medium">Converting to MP4 in your browser...</span>
+                </div>
+                <button
+                  onClick={cancelConversion}
+                  className="text-sm text-blue-700 hover:text-blue-900"
+                >
+                  Cancel
+                </button>
+              </div>
+              <div className="w-full bg-blue-100 rounded-full h-2">
+                <div
+                  className="bg-blue-500 h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${conversionProgress}%` }}
+                />
+              </div>
+              <p className="text-xs text-blue-700 mt-1">
+                {conversionProgress}% • Keep this window open until the conversion finishes
+              </p>
+            </div>
+          ) : convertedFrom ? (
+            <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+              <div className="flex items-start">
+                <CheckCircle className="w-4 h-4 text-green-600 mr-2 mt-0.5" />
+                <p className="text-sm text-green-800">
+                  Converted from {convertedFrom.name} ({formatFileSize(convertedFrom.size)}) in your browser.
+                  The original will not be uploaded or charged.
+                </p>
+              </div>
+            </div>
+          ) : conversionSupport?.supported ? (
+            <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <div className="flex items-start justify-between gap-3">
+                <div className="text-sm text-blue-800">
+                  <p className="font-medium">Convert to MP4 before uploading</p>
+                  <p className="mt-1 text-blue-700">
+                    Converts this file to H.264 MP4 on your computer so it plays straight away.
+                    Only the converted file is uploaded and charged.
+                  </p>
+                </div>
+                <button
+                  onClick={handleConvertInBrowser}
+                  className="flex-shrink-0 px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700"
+                >
+                  Convert in Browser
+                </button>
+              </div>
+            </div>
+          ) : conversionSupport?.reason && (
+            <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg">
+              <div className="flex items-start">
+                <Cloud className="w-4 h-4 text-gray-500 mr-2 mt-0.5" />
+                <p className="text-sm text-gray-600">{conversionSupport.reason}</p>
+              </div>
+            </div>
+          )}
+
           {/* Credit cost */}
           {!calculatingCredits && (
             <div className="p-3 bg-blue-50 border border-blue-200 rounded-md">
@@ -309,6 +406,11 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
                 <span className="text-blue-700 text-sm font-medium">
                   This upload will cost {requiredCredits} credits
                 </span>
+                {convertedFrom && convertedFrom.credits !== requiredCredits && (
+                  <span className="text-blue-500 text-xs ml-2">
+                    (original file: {convertedFrom.credits})
+                  </span>
+                )}
               </div>
             </div>
           )}
@@ -316,18 +418,15 @@ const VideoUpload = ({ sectionId, onUploadComplete, onCancel }) => {
           {/* Action buttons */}
           <div className="flex gap-3">
             <button
-              onClick={() => {
-                setSelectedFile(null)
-                setFileAnalysis(null)
-                setShowFormatWarning(false)
-              }}
-              className="flex-1 px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              onClick={clearSelection}
+              disabled={converting}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
             >
               Cancel
             </button>
             <button
               onClick={handleFileUpload}
-              disabled={calculatingCredits || requiredCredits === 0}
+              disabled={calculatingCredits || requiredCredits === 0 || converting}
               className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
             >
               Upload ({requiredCredits} credits)
@@ -22,9 +22,13 @@ import {
   getSeverityColor,
   getTrafficLightColor,
   getTrafficLightGroup,
-  getSectionGrade,
   getTrafficLightCounts
 } from '@/lib/utils/severityUtils'
+import {
+  calculateSectionScores,
+  getConditionGradeColor,
+  getConditionGradeLabel
+} from '@/lib/utils/condition-grading'
 
 export default function EnhancedDetailedFindings({ sections = [], observations = [] }) {
   const [expandedSections, setExpandedSections] = useState({})
@@ -180,7 +184,7 @@ export default function EnhancedDetailedFindings({ sections = [], observations =
         const sectionObservations = observationsBySection[section.id] || []
         const isExpanded = expandedSections[section.id]
         const trafficLightCounts = getTrafficLightCounts(sectionObservations)
-        const sectionGrade = getSectionGrade(sectionObservations)
+        const sectionScores = calculateSectionScores(sectionObservations)
         const showDetails = showAllDetails[section.id]
         
         // Determine if section has high severity for border color
@@ -202,15 +206,22 @@ export default function EnhancedDetailedFindings({ sections = [], observations =
                     <ChevronDown className="w-5 h-5 text-gray-600 flex-shrink-0" />
                   )}
                   
-                  {/* Section Grade */}
-                  {sectionGrade && (
-                    <div 
-                      className="w-8 h-8 rounded-full flex items-center justify-center text-white font-bold text-sm flex-shrink-0"
-                      style={{ 
-                        backgroundColor: sectionGrade === 'A' ? '#10b981' : sectionGrade === 'B' ? '#eab308' : '#ef4444'
-                      }}
-                    >
-                      {sectionGrade}
+                  {/* Structural / Service Condition Grades */}
+                  {sectionObservations.length > 0 && (
+                    <div className="flex items-center space-x-1 flex-shrink-0">
+                      {[
+                        { type: 'structural', prefix: 'S' },
+                        { type: 'service', prefix: 'O' }
+                      ].map(({ type, prefix }) => (
+                        <div
+                          key={type}
+                          className="h-8 px-2 rounded-full flex items-center justify-center text-white font-bold text-xs"
+                          style={{ backgroundColor: getConditionGradeColor(sectionScores[type].grade) }}
+                          title={`${type === 'structural' ? 'Structural' : 'Service'} grade ${sectionScores[type].grade}: ${getConditionGradeLabel(sectionScores[type].grade, type)}`}
+                        >
+                          {prefix}{sectionScores[type].grade}
+                        </div>
+                      ))}
                     </div>
                   )}
                   
@@ -283,15 +294,22 @@ export default function EnhancedDetailedFindings({ sections = [], observations =
               {/* Print version header */}
               <div className="hidden print:flex items-center justify-between">
                 <div className="flex items-center space-x-3 flex-1">
-                  {/* Section Grade */}
-                  {sectionGrade && (
-                    <div 
-                      className="w-8 h-8 rounded-full flex items-center justify-center text-white font-bold text-sm flex-shrink-0"
-                      style={{ 
-                        backgroundColor: sectionGrade === 'A' ? '#10b981' : sectionGrade === 'B' ? '#eab308' : '#ef4444'
-                      }}
-                    >
-                      {sectionGrade}
+                  {/* Structural / Service Condition Grades */}
+                  {sectionObservations.length > 0 && (
+                    <div className="flex items-center space-x-1 flex-shrink-0">
+                      {[
+                        { type: 'structural', prefix: 'S' },
+                        { type: 'service', prefix: 'O' }
+                      ].map(({ type, prefix }) => (
+                        <div
+                          key={type}
+                          className="h-8 px-2 rounded-full flex items-center justify-center text-white font-bold text-xs"
+                          style={{ backgroundColor: getConditionGradeColor(sectionScores[type].grade) }}
+                          title={`${type === 'structural' ? 'Structural' : 'Service'} grade ${sectionScores[type].grade}: ${getConditionGradeLabel(sectionScores[type].grade, type)}`}
+                        >
+                          {prefix}{sectionScores[type].grade}
+                        </div>
+                      ))}
                     </div>
                   )}
                   
@@ -399,6 +417,40 @@ export default function EnhancedDetailedFindings({ sections = [], observations =
                 </div>
               ) : (
                 <>
+                  {/* MSCC5 Condition Scores */}
+                  <div className="px-4 pt-4">
+                    <table className="w-full text-xs border border-gray-200 rounded">
+                      <thead className="bg-gray-50 text-gray-600">
+                        <tr>
+                          <th className="px-2 py-1 text-left font-medium">Condition</th>
+                          <th className="px-2 py-1 text-right font-medium">Peak Score</th>
+                          <th className="px-2 py-1 text-right font-medium">Mean Score (per m)</th>
+                          <th className="px-2 py-1 text-right font-medium">Total Score</th>
+                          <th className="px-2 py-1 text-left font-medium">Grade</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {['structural', 'service'].map(type => (
+                          <tr key={type} className="border-t border-gray-200">
+                            <td className="px-2 py-1 text-gray-800 capitalize">{type}</td>
+                            <td className="px-2 py-1 text-right text-gray-800">{sectionScores[type].peak}</td>
+                            <td className="px-2 py-1 text-right text-gray-800">{sectionScores[type].mean}</td>
+                            <td className="px-2 py-1 text-right text-gray-800">{sectionScores[type].total}</td>
+                            <td className="px-2 py-1">
+                              <span
+                                className="inline-block px-2 py-0.5 rounded text-white font-medium"
+                                style={{ backgroundColor: getConditionGradeColor(sectionScores[type].grade) }}
+                              >
+                                {sectionScores[type].grade}
+                              </span>
+                              <span className="ml-2 text-gray-600">{getConditionGradeLabel(sectionScores[type].grade, type)}</span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
                   {/* Pipe Graphic */}
                   <div className="px-4 pt-4">
                     <PipeGraphic 
@@ -1,10 +1,16 @@
 // components/reports/GenerateRecommendationsButton.js
 // AI-powered repair recommendations generation
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { Bot, AlertTriangle, Clock, CheckCircle, XCircle } from 'lucide-react'
-import { generateRepairRecommendations, checkGenerationStatus } from '@/lib/services/llm-report-service'
+import {
+  generateRepairRecommendations,
+  checkGenerationStatus,
+  getActiveGenerationJob,
+  claimGenerationResult
+} from '@/lib/services/llm-report-service'
 import { useAuth } from '@/lib/auth-context'
+import { getAccessToken } from '@/lib/supabase'
 
 export default function GenerateRecommendationsButton({ 
   report, 
@@ -26,6 +32,47 @@ export default function GenerateRecommendationsButton({
   // Check if we should show confirmation for existing content
   const hasExistingRecommendations = existingRecommendations.length > 0
 
+  // Apply a finished job once - RecommendationsTab can render this button more than once,
+  // and claiming the result stops each copy (or another tab) inserting it again
+  const applyResult = useCallback(async (queueId) => {
+    const claim = await claimGenerationResult(queueId, await getAccessToken())
+    if (claim.success && claim.result) {
+      const recommendations = parseAIRecommendations(claim.result)
+      if (recommendations.length > 0) {
+        onRecommendationsGenerated(recommendations)
+      }
+    }
+    setGenerationState(prev => ({ ...prev, status: 'completed' }))
+  }, [onRecommendationsGenerated])
+
+  // Resume a job started before the page was reloaded
+  useEffect(() => {
+    if (!report?.id) return
+
+    let cancelled = false
+    getAccessToken()
+      .then(accessToken => getActiveGenerationJob(report.id, 'repair_recommendations', accessToken))
+      .then(active => {
+        if (cancelled || !active.success || !active.job) return
+
+        const { job } = active
+        setGenerationState(prev => prev.status !== 'idle' ? prev : {
+          status: job.status === 'completed' ? 'processing' : job.status,
+          queueId: job.queueId,
+          position: job.position,
+          estimatedWait: job.estimatedWait,
+          usedFallback: job.usedFallback,
+          error: null,
+          result: null
+        })
+        if (job.status === 'completed') {
+          applyResult(job.queueId)
+        }
+      })
+
+    return () => { cancelled = true }
+  }, [report?.id, applyResult])
+
   // Poll for status updates when in queue or processing
   useEffect(() => {
     if (generationState.queueId && 
@@ -33,25 +80,23 @@ export default function GenerateRecommendationsButton({
       
       const pollStatus = async () => {
         try {
-          const status = await checkGenerationStatus(generationState.queueId)
+          const status = await checkGenerationStatus(generationState.queueId, await getAccessToken())
           
           if (status.success) {
+            // Hold 'processing' until the result has been applied
             setGenerationState(prev => ({
               ...prev,
-              status: status.status,
+              status: status.status === 'completed' ? 'processing' : status.status,
               position: status.position || 0,
               estimatedWait: status.estimatedWait || '',
-              result: status.result,
+              usedFallback: status.usedFallback,
               error: status.error
             }))
             
             // If completed, parse and apply recommendations
-            if (status.status === 'completed' && status.result) {
-              const recommendations = parseAIRecommendations(status.result)
-              if (recommendations.length > 0) {
-                onRecommendationsGenerated(recommendations)
-                setGenerationState(prev => ({ ...prev, status: 'completed' }))
-              }
+            if (status.status === 'completed') {
+              clearInterval(interval)
+              applyResult(status.queueId)
             }
           }
         } catch (error) {
@@ -70,7 +115,7 @@ export default function GenerateRecommendationsButton({
       // Cleanup
       return () => clearInterval(interval)
     }
-  }, [generationState.queueId, generationState.status, onRecommendationsGenerated])
+  }, [generationState.queueId, generationState.status, applyResult])
 
   const handleGenerate = async (force = false) => {
     // Show confirmation if there are existing recommendations
@@ -91,14 +136,13 @@ export default function GenerateRecommendationsButton({
     })
 
     try {
-      // Use user ID from auth context
-      const userId = user?.id
+      const accessToken = await getAccessToken()
       
-      if (!userId) {
+      if (!accessToken) {
         throw new Error('User not authenticated')
       }
       
-      const result = await generateRepairRecommendations(report, userId)
+      const result = await generateRepairRecommendations(report, accessToken)
       
       if (result.success) {
         setGenerationState({
@@ -339,7 +383,7 @@ export default function GenerateRecommendationsButton({
         return (
           <div className="inline-flex items-center px-4 py-2 bg-green-50 text-green-700 rounded-md">
             <CheckCircle className="h-4 w-4 mr-2" />
-            ✅ Repair Recommendations Generated!
+            ✅ {generationState.usedFallback ? 'Template Recommendations Added (AI model unavailable)' : 'Repair Recommendations Generated!'}
           </div>
         )
 
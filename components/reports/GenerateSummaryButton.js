@@ -3,7 +3,7 @@
 
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { 
   Sparkles, 
   Clock, 
@@ -14,7 +14,15 @@ import {
   Users,
   RefreshCw
 } from 'lucide-react'
-import { generateExecutiveSummary, checkGenerationStatus } from '@/lib/services/llm-report-service'
+import {
+  generateExecutiveSummary,
+  checkGenerationStatus,
+  getActiveGenerationJob,
+  claimGenerationResult,
+  cancelGenerationJob
+} from '@/lib/services/llm-report-service'
+import { useAuth } from '@/lib/auth-context'
+import { getAccessToken } from '@/lib/supabase'
 
 export default function GenerateSummaryButton({ 
   report, 
@@ -22,6 +30,8 @@ export default function GenerateSummaryButton({
   disabled = false,
   currentSummary = ''
 }) {
+  const { user } = useAuth()
+
   const [generationState, setGenerationState] = useState({
     status: 'idle', // 'idle', 'generating', 'queued', 'processing', 'completed', 'error'
     queueId: null,
@@ -33,6 +43,43 @@ export default function GenerateSummaryButton({
 
   const [showConfirmation, setShowConfirmation] = useState(false)
 
+  // Apply a finished job once - claiming the result stops another tab applying it too
+  const applyResult = useCallback(async (queueId) => {
+    const claim = await claimGenerationResult(queueId, await getAccessToken())
+    if (claim.success && claim.result) {
+      onSummaryGenerated(claim.result)
+    }
+    setGenerationState(prev => ({ ...prev, status: 'completed' }))
+  }, [onSummaryGenerated])
+
+  // Resume a job started before the page was reloaded
+  useEffect(() => {
+    if (!report?.id) return
+
+    let cancelled = false
+    getAccessToken()
+      .then(accessToken => getActiveGenerationJob(report.id, 'executive_summary', accessToken))
+      .then(active => {
+        if (cancelled || !active.success || !active.job) return
+
+        const { job } = active
+        setGenerationState(prev => prev.status !== 'idle' ? prev : {
+          status: job.status === 'completed' ? 'processing' : job.status,
+          queueId: job.queueId,
+          position: job.position,
+          estimatedWait: job.estimatedWait,
+          usedFallback: job.usedFallback,
+          error: null,
+          result: null
+        })
+        if (job.status === 'completed') {
+          applyResult(job.queueId)
+        }
+      })
+
+    return () => { cancelled = true }
+  }, [report?.id, applyResult])
+
   // Poll for status updates when in queue or processing
   useEffect(() => {
     if (!generationState.queueId || 
@@ -44,22 +91,23 @@ export default function GenerateSummaryButton({
 
     const interval = setInterval(async () => {
       try {
-        const statusResult = await checkGenerationStatus(generationState.queueId)
+        const statusResult = await checkGenerationStatus(generationState.queueId, await getAccessToken())
         
         if (statusResult.success) {
+          // Hold 'processing' until the result has been applied
           setGenerationState(prev => ({
             ...prev,
-            status: statusResult.status,
+            status: statusResult.status === 'completed' ? 'processing' : statusResult.status,
             position: statusResult.position,
             estimatedWait: statusResult.estimatedWait,
-            result: statusResult.result,
+            usedFallback: statusResult.usedFallback,
             error: statusResult.error
           }))
 
           // If completed, apply the result
-          if (statusResult.status === 'completed' && statusResult.result) {
-            onSummaryGenerated(statusResult.result)
-            setGenerationState(prev => ({ ...prev, status: 'completed' }))
+          if (statusResult.status === 'completed') {
+            clearInterval(interval)
+            applyResult(statusResult.queueId)
           }
         }
       } catch (error) {
@@ -68,16 +116,18 @@ export default function GenerateSummaryButton({
     }, 2000) // Check every 2 seconds
 
     return () => clearInterval(interval)
-  }, [generationState.queueId, generationState.status, onSummaryGenerated])
+  }, [generationState.queueId, generationState.status, applyResult])
 
   const handleGenerate = async () => {
     try {
       setGenerationState({ status: 'generating', queueId: null, position: 0, estimatedWait: '', error: null, result: null })
       
-      // Get user from auth context (you might need to pass this as prop)
-      const user = { id: 'current-user-id' } // TODO: Get from auth context
+      const accessToken = await getAccessToken()
+      if (!accessToken) {
+        throw new Error('User not authenticated')
+      }
       
-      const result = await generateExecutiveSummary(report, user.id)
+      const result = await generateExecutiveSummary(report, accessToken)
       
       if (result.success) {
         setGenerationState({
@@ -125,6 +175,10 @@ export default function GenerateSummaryButton({
   }
 
   const cancelGeneration = () => {
+    if (generationState.queueId) {
+      const { queueId } = generationState
+      getAccessToken().then(accessToken => cancelGenerationJob(queueId, accessToken))
+    }
     setGenerationState({ status: 'idle', queueId: null, position: 0, estimatedWait: '', error: null, result: null })
   }
 
@@ -216,7 +270,9 @@ export default function GenerateSummaryButton({
                 {generationState.status === 'queued' && generationState.position <= 1 && 
                   'Next in line for processing...'}
                 {generationState.status === 'processing' && 'AI is analyzing your findings and writing the summary...'}
-                {generationState.status === 'completed' && 'Professional summary has been generated and applied to your report.'}
+                {generationState.status === 'completed' && (generationState.usedFallback
+                  ? 'The AI model was unavailable, so a template-based summary has been applied to your report.'
+                  : 'Professional summary has been generated and applied to your report.')}
                 {generationState.status === 'error' && (generationState.error || 'An unexpected error occurred.')}
               </p>
             </div>
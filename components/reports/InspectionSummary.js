@@ -2,6 +2,11 @@
 'use client'
 
 import { getTrafficLightColor, getTrafficLightGroup } from '@/lib/utils/severityUtils'
+import {
+  calculateGradeDistribution,
+  getConditionGradeColor,
+  getConditionGradeLabel
+} from '@/lib/utils/condition-grading'
 
 export default function InspectionSummary({ stats = {}, sections = [], observations = [] }) {
   // Calculate total length as sum of highest distances per section
@@ -79,6 +84,11 @@ export default function InspectionSummary({ stats = {}, sections = [], observati
     }
   }
 
+  // Use the grades stored with the report; older reports are graded from their snapshots
+  const gradeDistribution = stats.structural_grade_distribution
+    ? { structural: stats.structural_grade_distribution, service: stats.service_grade_distribution }
+    : calculateGradeDistribution(sections, observations)
+
   const totalLength = calculateTotalLength()
   const distribution = calculateTrafficLightDistribution()
 
@@ -161,6 +171,40 @@ export default function InspectionSummary({ stats = {}, sections = [], observati
           </div>
         </div>
       )}
+
+      {/* MSCC5 Internal Condition Grades */}
+      {sections.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Internal Condition Grades (sections per grade)</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[
+              { type: 'structural', label: 'Structural' },
+              { type: 'service', label: 'Service' }
+            ].map(({ type, label }) => (
+              <div key={type} className="border border-gray-200 rounded-lg p-3">
+                <div className="text-sm font-medium text-gray-900 mb-2">{label}</div>
+                <div className="space-y-1">
+                  {[5, 4, 3, 2, 1].map(grade => {
+                    const count = gradeDistribution[type][grade] || 0
+                    return (
+                      <div key={grade} className="flex items-center text-xs">
+                        <div
+                          className="w-6 h-6 rounded-full flex items-center justify-center text-white font-bold flex-shrink-0"
+                          style={{ backgroundColor: getConditionGradeColor(grade) }}
+                        >
+                          {grade}
+                        </div>
+                        <div className="flex-1 ml-2 text-gray-600">{getConditionGradeLabel(grade, type)}</div>
+                        <div className="w-8 text-right font-medium text-gray-800">{count}</div>
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </section>
   )
 }
\ No newline at end of file
@@ -3,6 +3,7 @@
 
 import { useState } from 'react'
 import { getSeverityColor, getTrafficLightGroup } from '@/lib/utils/severityUtils'
+import { validateContinuousDefects } from '@/lib/utils/continuous-defects'
 
 export default function PipeGraphic({ observations, onObservationClick }) {
   const [hoveredObs, setHoveredObs] = useState(null)
@@ -14,9 +15,19 @@ export default function PipeGraphic({ observations, onObservationClick }) {
   const maxDistance = distances.length > 0 ? Math.max(...distances) : 100
   const totalLength = Math.max(maxDistance - minDistance, 1) // Prevent division by zero
   
+  const getPosition = (distance) => {
+    const relativePosition = totalLength > 0 ? (distance - minDistance) / totalLength : 0
+    return Math.min(95, Math.max(5, relativePosition * 100))
+  }
+  
+  // Continuous defects are drawn as a shaded span; a paired finish has no marker of its own
+  const { spans: continuousSpans } = validateContinuousDefects(observations)
+  const pairedFinishIds = new Set(continuousSpans.filter(span => span.finishObs).map(span => span.finishObs.id))
+  
   // Group observations by distance to handle stacking
   const observationsByDistance = {}
   observations.forEach(obs => {
+    if (pairedFinishIds.has(obs.id)) return
     const distance = obs.distance
     if (distance !== null && distance !== undefined) {
       if (!observationsByDistance[distance]) {
@@ -66,6 +77,31 @@ export default function PipeGraphic({ observations, onObservationClick }) {
         </div>
       </div>
       
+      {/* Continuous defect spans */}
+      {continuousSpans.map(span => {
+        const left = getPosition(span.start)
+        const width = Math.max(getPosition(span.finish) - left, 0.5)
+        const isHovered = hoveredObs === `span-${span.startObs.id}`
+        
+        return (
+          <div
+            key={`span-${span.startObs.id}`}
+            className={`absolute top-9 bottom-9 rounded cursor-pointer transition-opacity ${span.open ? 'border-2 border-dashed' : ''}`}
+            style={{
+              left: `${left}%`,
+              width: `${width}%`,
+              backgroundColor: getSeverityColor(span.startObs.severity),
+              borderColor: span.open ? getSeverityColor(span.startObs.severity) : undefined,
+              opacity: isHovered ? 0.7 : 0.45,
+              zIndex: 5
+            }}
+            onMouseEnter={() => setHoveredObs(`span-${span.startObs.id}`)}
+            onMouseLeave={() => setHoveredObs(null)}
+            onClick={() => onObservationClick && onObservationClick(span.startObs)}
+          />
+        )
+      })}
+      
       {/* Observation markers */}
       {Object.entries(observationsByDistance).map(([distance, obsAtDistance]) => {
         const numericDistance = parseFloat(distance)
@@ -127,8 +163,36 @@ export default function PipeGraphic({ observations, onObservationClick }) {
         })
       })}
       
+      {/* Continuous defect tooltip */}
+      {hoveredObs?.startsWith('span-') && (
+        (() => {
+          const span = continuousSpans.find(s => `span-${s.startObs.id}` === hoveredObs)
+          if (!span) return null
+          
+          return (
+            <div 
+              className="absolute z-20 bg-gray-900 text-white text-xs rounded-lg px-3 py-2 pointer-events-none shadow-lg max-w-xs"
+              style={{
+                left: `${(getPosition(span.start) + getPosition(span.finish)) / 2}%`,
+                top: '-70px',
+                transform: 'translateX(-50%)'
+              }}
+            >
+              <div className="font-medium text-center mb-1">
+                {span.code} {span.start.toFixed(2)}m - {span.finish.toFixed(2)}m
+              </div>
+              <div className="text-gray-300 text-center">
+                Continuous over {span.length.toFixed(2)}m
+                {span.open && ' (no finish recorded)'}
+              </div>
+              <div className="absolute w-2 h-2 bg-gray-900 transform rotate-45 -bottom-1 left-1/2 -translate-x-1/2"></div>
+            </div>
+          )
+        })()
+      )}
+      
       {/* Enhanced Tooltip */}
-      {hoveredObs !== null && (
+      {hoveredObs !== null && !hoveredObs.startsWith('span-') && (
         (() => {
           const [distance, stackIndex] = hoveredObs.split('-')
           const obsAtDistance = observationsByDistance[distance]
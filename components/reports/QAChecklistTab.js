@@ -0,0 +1,159 @@
+// components/reports/QAChecklistTab.js
+// Survey QA checklist run against the report snapshot before finalizing
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import {
+  CheckCircle,
+  XCircle,
+  ChevronDown,
+  ChevronRight,
+  RefreshCw,
+  ExternalLink,
+  AlertTriangle
+} from 'lucide-react'
+import { runReportQA } from '@/lib/reports'
+
+export default function QAChecklistTab({ report, projectId }) {
+  const [qa, setQa] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [expandedChecks, setExpandedChecks] = useState(new Set())
+
+  useEffect(() => {
+    runChecks()
+  }, [report.id])
+
+  const runChecks = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const results = await runReportQA(report)
+      setQa(results)
+      // Open failing checks so the offending observations are visible straight away
+      setExpandedChecks(new Set(results.checks.filter(check => !check.passed).map(check => check.id)))
+    } catch (err) {
+      console.error('Error running QA checks:', err)
+      setError(err.message || 'Failed to run QA checks')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleCheck = (checkId) => {
+    const newExpanded = new Set(expandedChecks)
+    if (newExpanded.has(checkId)) {
+      newExpanded.delete(checkId)
+    } else {
+      newExpanded.add(checkId)
+    }
+    setExpandedChecks(newExpanded)
+  }
+
+  const getIssueLink = (issue) => {
+    const query = new URLSearchParams({ section: issue.sectionId })
+    if (issue.observationId) query.set('observation', issue.observationId)
+    return `/projects/${projectId}?${query.toString()}`
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4 text-sm text-red-700">
+        {error}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Summary */}
+      <div className={`flex items-center justify-between p-4 rounded-lg border ${
+        qa.passed ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'
+      }`}>
+        <div className="flex items-center">
+          {qa.passed ? (
+            <CheckCircle className="h-5 w-5 text-green-600 mr-2" />
+          ) : (
+            <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2" />
+          )}
+          <span className={`text-sm font-medium ${qa.passed ? 'text-green-800' : 'text-yellow-800'}`}>
+            {qa.passed
+              ? 'All QA checks passed - this report is ready to finalize'
+              : `${qa.issueCount} issue${qa.issueCount !== 1 ? 's' : ''} found - fix them in the project and generate a new report, or acknowledge them when finalizing`}
+          </span>
+        </div>
+        <button
+          onClick={runChecks}
+          className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <RefreshCw className="h-4 w-4 mr-1" />
+          Re-run
+        </button>
+      </div>
+
+      {/* Checklist */}
+      <div className="border rounded-lg divide-y">
+        {qa.checks.map(check => {
+          const isExpanded = expandedChecks.has(check.id)
+
+          return (
+            <div key={check.id}>
+              <button
+                onClick={() => !check.passed && toggleCheck(check.id)}
+                className={`w-full flex items-center justify-between px-4 py-3 text-left ${
+                  check.passed ? 'cursor-default' : 'hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex items-center">
+                  {check.passed ? (
+                    <CheckCircle className="h-5 w-5 text-green-500 mr-3" />
+                  ) : (
+                    <XCircle className="h-5 w-5 text-red-500 mr-3" />
+                  )}
+                  <span className="text-sm font-medium text-gray-900">{check.label}</span>
+                </div>
+                {!check.passed && (
+                  <div className="flex items-center text-sm text-red-600">
+                    {check.issues.length} issue{check.issues.length !== 1 ? 's' : ''}
+                    {isExpanded ? (
+                      <ChevronDown className="h-4 w-4 ml-2" />
+                    ) : (
+                      <ChevronRight className="h-4 w-4 ml-2" />
+                    )}
+                  </div>
+                )}
+              </button>
+
+              {isExpanded && !check.passed && (
+                <ul className="px-12 pb-3 space-y-1">
+                  {check.issues.map((issue, index) => (
+                    <li key={index} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-700">
+                        <span className="font-medium text-gray-900">{issue.sectionLabel}:</span> {issue.message}
+                      </span>
+                      <Link
+                        href={getIssueLink(issue)}
+                        className="inline-flex items-center text-xs text-blue-600 hover:text-blue-700 ml-4 flex-shrink-0"
+                      >
+                        {issue.observationId ? 'Open observation' : 'Open section'}
+                        <ExternalLink className="h-3 w-3 ml-1" />
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
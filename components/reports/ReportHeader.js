@@ -1,16 +1,28 @@
 // components/reports/ReportHeader.js
 'use client'
 
-import { Printer, Download, Share2, FileText, Mail, Phone } from 'lucide-react'
+import { useState } from 'react'
+import { Printer, Download, Share2, FileText, Mail, Phone, Loader } from 'lucide-react'
 
-export default function ReportHeader({ report = {}, branding = {}, shareSettings = {}, onPrint }) {
-  const handleDownload = () => {
+export default function ReportHeader({ report = {}, branding = {}, shareSettings = {}, onPrint, onDownload }) {
+  const [downloading, setDownloading] = useState(false)
+
+  const handleDownload = async () => {
     if (!shareSettings?.allow_download) {
       alert('Downloading is not allowed for this report')
       return
     }
-    // Future implementation for PDF download
-    alert('PDF download feature coming soon')
+    if (!onDownload) return
+
+    try {
+      setDownloading(true)
+      await onDownload()
+    } catch (error) {
+      console.error('Error downloading PDF:', error)
+      alert(error.message || 'Failed to download PDF')
+    } finally {
+      setDownloading(false)
+    }
   }
 
   const handleShare = () => {
@@ -92,11 +104,16 @@ export default function ReportHeader({ report = {}, branding = {}, shareSettings
             {shareSettings?.allow_download && (
               <button
                 onClick={handleDownload}
-                className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                disabled={downloading}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors disabled:opacity-50"
                 title="Download as PDF"
               >
-                <Download className="w-4 h-4 mr-1.5" />
-                Download
+                {downloading ? (
+                  <Loader className="w-4 h-4 mr-1.5 animate-spin" />
+                ) : (
+                  <Download className="w-4 h-4 mr-1.5" />
+                )}
+                {downloading ? 'Generating...' : 'Download PDF'}
               </button>
             )}
             
@@ -0,0 +1,54 @@
+'use client'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { transcodeInBrowser } from '@/lib/video/browser-transcoder'
+
+/**
+ * Runs one in-browser conversion at a time and tracks its progress
+ */
+export const useBrowserTranscode = () => {
+  // Key of the file being converted (null when idle)
+  const [convertingKey, setConvertingKey] = useState(null)
+  const [progress, setProgress] = useState(0)
+  const controllerRef = useRef(null)
+
+  // Stop a running conversion when the uploader closes
+  useEffect(() => {
+    return () => controllerRef.current?.abort()
+  }, [])
+
+  /**
+   * Convert a file to MP4
+   * @returns {Promise<File|null>} Converted file, or null if cancelled
+   */
+  const convert = useCallback(async (key, file) => {
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setConvertingKey(key)
+    setProgress(0)
+
+    try {
+      return await transcodeInBrowser(file, {
+        onProgress: setProgress,
+        signal: controller.signal
+      })
+    } catch (error) {
+      if (error.name === 'AbortError') return null
+      throw error
+    } finally {
+      controllerRef.current = null
+      setConvertingKey(null)
+    }
+  }, [])
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort()
+  }, [])
+
+  return {
+    convertingKey,
+    converting: convertingKey !== null,
+    progress,
+    convert,
+    cancel
+  }
+}
@@ -8,6 +8,8 @@ export const useObservationManagement = () => {
   const [currentSectionId, setCurrentSectionId] = useState(null)
   const [videoTimestamp, setVideoTimestamp] = useState(0)
   const [shouldAutoCapture, setShouldAutoCapture] = useState(false)
+  const [captureCrop, setCaptureCrop] = useState(null) // Zoomed region of the frame to capture
+  const [reviewingDraft, setReviewingDraft] = useState(null) // Detection draft being edited into an observation
   const [refreshObservations, setRefreshObservations] = useState(0)
   const [showObservationsFor, setShowObservationsFor] = useState(null)
   const [lastSavedObservationId, setLastSavedObservationId] = useState(null) // NEW: Track last saved observation
@@ -21,12 +23,13 @@ export const useObservationManagement = () => {
   const videoRefs = useRef({})
 
   // Observation handlers
-  const handleFrameExtract = async (sectionId, videoElement, timestamp) => {
+  const handleFrameExtract = async (sectionId, videoElement, timestamp, crop = null) => {
     console.log('=== FRAME EXTRACT CALLED ===')
-    console.log('Frame extract called:', { sectionId, videoElement, timestamp })
+    console.log('Frame extract called:', { sectionId, videoElement, timestamp, crop })
     
     setCurrentSectionId(sectionId)
     setVideoTimestamp(timestamp || 0)
+    setCaptureCrop(crop)
     setShouldAutoCapture(true)
     setEditingObservation(null)
     
@@ -38,6 +41,7 @@ export const useObservationManagement = () => {
     const videoRef = videoRefs.current[sectionId]
     setCurrentSectionId(sectionId)
     setVideoTimestamp(videoRef?.current?.currentTime || 0)
+    setCaptureCrop(null)
     setShouldAutoCapture(false)
     setEditingObservation(null)
     setShowObservationForm(true)
@@ -46,6 +50,25 @@ export const useObservationManagement = () => {
   const handleEditObservation = (observation) => {
     setCurrentSectionId(observation.section_id)
     setEditingObservation(observation)
+    setCaptureCrop(null)
+    setShouldAutoCapture(false)
+    setShowObservationForm(true)
+  }
+
+  // Open a detection draft in the form; saving it creates a new observation
+  const handleEditDraft = (draft) => {
+    setCurrentSectionId(draft.section_id)
+    setVideoTimestamp(draft.video_timestamp || 0)
+    setEditingObservation({
+      section_id: draft.section_id,
+      code: draft.suggested_code || '',
+      distance: draft.distance ?? '',
+      video_timestamp: draft.video_timestamp,
+      image_url: draft.image_url || '',
+      remarks: `Detected automatically: ${draft.object_class} (${Math.round((draft.confidence || 0) * 100)}%)`
+    })
+    setReviewingDraft(draft)
+    setCaptureCrop(null)
     setShouldAutoCapture(false)
     setShowObservationForm(true)
   }
@@ -73,12 +96,14 @@ export const useObservationManagement = () => {
     setShowObservationForm(false)
     setEditingObservation(null)
     setCurrentSectionId(null)
+    setReviewingDraft(null)
   }
 
   const handleCloseObservationForm = () => {
     setShowObservationForm(false)
     setEditingObservation(null)
     setCurrentSectionId(null)
+    setReviewingDraft(null)
     setVideoTimestamp(0)
     setShouldAutoCapture(false)
   }
@@ -217,6 +242,8 @@ export const useObservationManagement = () => {
     currentSectionId,
     videoTimestamp,
     shouldAutoCapture,
+    captureCrop,
+    reviewingDraft,
     refreshObservations,
     showObservationsFor,
     lastSavedObservationId,  // NEW: Export this state
@@ -233,6 +260,7 @@ export const useObservationManagement = () => {
     handleFrameExtract,
     handleAddObservation,
     handleEditObservation,
+    handleEditDraft,
     handleSaveObservation,
     handleCloseObservationForm,
     handleJumpToTimestamp,
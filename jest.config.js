@@ -0,0 +1,14 @@
+const nextJest = require('next/jest')
+
+// Compile tests with the app's Next.js settings
+const createJestConfig = nextJest({ dir: './' })
+
+/** @type {import('jest').Config} */
+const customJestConfig = {
+  testEnvironment: 'node',
+  moduleNameMapper: {
+    '^@/(.*)$': '<rootDir>/$1'
+  }
+}
+
+module.exports = createJestConfig(customJestConfig)
@@ -0,0 +1,149 @@
+'use server'
+
+import { supabaseAdmin, getSessionProfile } from '@/lib/supabase-server'
+import { generateApiKey } from '@/lib/api/api-auth'
+
+// Only company admins (or super admins) may manage a company's API keys.
+// Returns the caller's profile when they may.
+async function verifyCompanyAdmin(accessToken, companyId) {
+  const profile = await getSessionProfile(accessToken)
+  if (!profile) return null
+  if (profile.role === 'super_admin') return profile
+  return profile.role === 'company_admin' && profile.company_id === companyId ? profile : null
+}
+
+export async function listApiKeysAction({ accessToken, companyId }) {
+  try {
+    if (!accessToken || !companyId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('company_api_keys')
+      .select(`
+        id,
+        name,
+        key_prefix,
+        rate_limit_per_minute,
+        created_at,
+        last_used_at,
+        revoked_at,
+        created_by_profile:profiles!company_api_keys_created_by_fkey(full_name, email)
+      `)
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+
+    // Requests per key over the last 30 days, from audit_log
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString()
+    const { data: usage, error: usageError } = await supabaseAdmin
+      .from('audit_log')
+      .select('changes')
+      .eq('company_id', companyId)
+      .eq('action', 'api_request')
+      .gte('created_at', since)
+
+    if (usageError) {
+      console.error('Error loading API usage:', usageError)
+    }
+
+    const requestCounts = {}
+    ;(usage || []).forEach(entry => {
+      const keyId = entry.changes?.api_key_id
+      if (keyId) requestCounts[keyId] = (requestCounts[keyId] || 0) + 1
+    })
+
+    return {
+      success: true,
+      data: data.map(key => ({ ...key, requests_30d: requestCounts[key.id] || 0 }))
+    }
+  } catch (error) {
+    console.error('Error listing API keys:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function createApiKeyAction({ accessToken, companyId, name }) {
+  try {
+    if (!accessToken || !companyId || !name?.trim()) {
+      return { success: false, error: 'A name is required for the API key' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { apiKey, keyPrefix, keyHash } = generateApiKey()
+
+    const { data, error } = await supabaseAdmin
+      .from('company_api_keys')
+      .insert({
+        company_id: companyId,
+        name: name.trim(),
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        created_by: profile.id
+      })
+      .select('id, name, key_prefix, rate_limit_per_minute, created_at')
+      .single()
+
+    if (error) throw error
+
+    await supabaseAdmin.from('audit_log').insert({
+      user_id: profile.id,
+      company_id: companyId,
+      action: 'api_key_created',
+      resource_type: 'api_key',
+      resource_id: data.id,
+      changes: { name: data.name, key_prefix: keyPrefix }
+    })
+
+    // The full key is only ever returned here; it cannot be recovered later
+    return { success: true, data: { ...data, api_key: apiKey } }
+  } catch (error) {
+    console.error('Error creating API key:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function revokeApiKeyAction({ accessToken, companyId, keyId }) {
+  try {
+    if (!accessToken || !companyId || !keyId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('company_api_keys')
+      .update({ revoked_at: new Date().toISOString(), revoked_by: profile.id })
+      .eq('id', keyId)
+      .eq('company_id', companyId)
+      .is('revoked_at', null)
+      .select('id, name, key_prefix')
+      .single()
+
+    if (error) throw error
+
+    await supabaseAdmin.from('audit_log').insert({
+      user_id: profile.id,
+      company_id: companyId,
+      action: 'api_key_revoked',
+      resource_type: 'api_key',
+      resource_id: data.id,
+      changes: { name: data.name, key_prefix: data.key_prefix }
+    })
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error revoking API key:', error)
+    return { success: false, error: error.message }
+  }
+}
@@ -0,0 +1,176 @@
+'use server'
+
+import { supabaseAdmin, getSessionProfile } from '@/lib/supabase-server'
+import { LLM_PROVIDERS, DEFAULT_LLM_SETTINGS } from '@/lib/constants/llmProviders'
+import { resolveLlmConfig, getCompanyLlmConfig, createChatCompletion } from '@/lib/services/llm-providers'
+import { checkPublicHttpsUrl } from '@/lib/utils/public-url'
+
+// Only company admins (or super admins) may change where report data is sent.
+// Returns the caller's profile when they may.
+async function verifyCompanyAdmin(accessToken, companyId) {
+  const profile = await getSessionProfile(accessToken)
+  if (!profile) return null
+  if (profile.role === 'super_admin') return profile
+  return profile.role === 'company_admin' && profile.company_id === companyId ? profile : null
+}
+
+async function validateSettings(settings) {
+  if (!LLM_PROVIDERS[settings.provider]) {
+    return 'Unknown provider'
+  }
+
+  if (settings.provider === 'custom') {
+    const urlError = await checkPublicHttpsUrl(settings.base_url?.trim(), 'Endpoint URL')
+    if (urlError) return urlError
+    if (!settings.model) {
+      return 'Enter the model name served by your endpoint'
+    }
+  }
+
+  const temperature = Number(settings.temperature)
+  if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+    return 'Temperature must be between 0 and 2'
+  }
+
+  const maxTokens = Number(settings.max_tokens)
+  if (!Number.isInteger(maxTokens) || maxTokens < 100 || maxTokens > 8000) {
+    return 'Max tokens must be a whole number between 100 and 8000'
+  }
+
+  for (const field of ['requests_per_minute', 'tokens_per_minute']) {
+    const value = settings[field]
+    if (value !== null && value !== undefined && value !== '' && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+      return 'Rate limits must be positive whole numbers'
+    }
+  }
+
+  return null
+}
+
+// Settings as shown on the settings page - the API key itself never leaves the server
+function toClientSettings(row, companyId) {
+  const config = resolveLlmConfig(row, companyId)
+  const { api_key, ...settings } = { ...DEFAULT_LLM_SETTINGS, ...(row || {}) }
+
+  return {
+    ...settings,
+    has_api_key: !!api_key,
+    available: config.available,
+    unavailable_reason: config.unavailableReason,
+    effective_model: config.model
+  }
+}
+
+export async function getLlmSettingsAction({ accessToken, companyId }) {
+  try {
+    if (!accessToken || !companyId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('company_llm_settings')
+      .select('*')
+      .eq('company_id', companyId)
+      .maybeSingle()
+
+    if (error) throw error
+
+    return { success: true, data: toClientSettings(data, companyId) }
+  } catch (error) {
+    console.error('Error loading LLM settings:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function updateLlmSettingsAction({ accessToken, companyId, settings, apiKey, clearApiKey = false }) {
+  try {
+    if (!accessToken || !companyId || !settings) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const validationError = await validateSettings(settings)
+    if (validationError) {
+      return { success: false, error: validationError }
+    }
+
+    const isCustom = settings.provider === 'custom'
+    const row = {
+      company_id: companyId,
+      provider: settings.provider,
+      base_url: isCustom ? settings.base_url.trim() : null,
+      model: settings.model?.trim() || null,
+      temperature: Number(settings.temperature),
+      max_tokens: Number(settings.max_tokens),
+      requests_per_minute: isCustom && settings.requests_per_minute ? Number(settings.requests_per_minute) : null,
+      tokens_per_minute: isCustom && settings.tokens_per_minute ? Number(settings.tokens_per_minute) : null,
+      fallback_to_template: !!settings.fallback_to_template,
+      updated_by: profile.id
+    }
+    if (apiKey?.trim()) row.api_key = apiKey.trim()
+    if (clearApiKey) row.api_key = null
+
+    const { data, error } = await supabaseAdmin
+      .from('company_llm_settings')
+      .upsert(row, { onConflict: 'company_id' })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const { api_key, ...changes } = row
+    await supabaseAdmin.from('audit_log').insert({
+      user_id: profile.id,
+      company_id: companyId,
+      action: 'llm_settings_updated',
+      resource_type: 'company_llm_settings',
+      resource_id: companyId,
+      changes: { ...changes, api_key: api_key === undefined ? undefined : (api_key ? 'updated' : 'cleared') }
+    })
+
+    return { success: true, data: toClientSettings(data, companyId) }
+  } catch (error) {
+    console.error('Error updating LLM settings:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function testLlmSettingsAction({ accessToken, companyId }) {
+  try {
+    if (!accessToken || !companyId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const config = await getCompanyLlmConfig(companyId)
+    if (!config.available) {
+      return { success: false, error: config.unavailableReason }
+    }
+
+    const startedAt = Date.now()
+    const reply = await createChatCompletion(config, 'Reply with the single word OK.', { maxTokens: 5 })
+
+    return {
+      success: true,
+      data: {
+        provider: config.provider,
+        model: config.model,
+        reply,
+        latencyMs: Date.now() - startedAt
+      }
+    }
+  } catch (error) {
+    console.error('Error testing LLM settings:', error)
+    return { success: false, error: error.message }
+  }
+}
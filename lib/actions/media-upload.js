@@ -0,0 +1,209 @@
+// lib/actions/media-upload.js
+'use server'
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { getStorage, getStorageForUrl } from '@/lib/video/storage/storage-factory'
+
+const MB = 1024 * 1024
+
+const isImage = (contentType) => /^image\//.test(contentType || '')
+const isImageOrPdf = (contentType) => isImage(contentType) || contentType === 'application/pdf'
+
+/**
+ * What may be uploaded through getMediaUploadUrl, and where it is stored.
+ * `owners` lists the records an owner ID may name; the caller must have access to that record.
+ * Videos have their own actions (video-upload.js, video-pool-upload.js).
+ */
+const MEDIA_KINDS = {
+  'observation-image': { folder: 'images/observations', maxSize: 20 * MB, accepts: isImage, owners: ['observation', 'section'] },
+  'map-background': { folder: 'images/map-backgrounds', maxSize: 10 * MB, accepts: isImage, owners: ['project'] },
+  'map-reference': { folder: 'images/map-references', maxSize: 10 * MB, accepts: isImage, owners: ['project'] },
+  'branding-logo': { folder: 'images/branding-logos', maxSize: 5 * MB, accepts: isImage, owners: ['user'] },
+  'company-logo': { folder: 'images/company-logos', maxSize: 5 * MB, accepts: isImage, owners: ['company'] },
+  'company-document': { folder: 'documents/company-documents', maxSize: 5 * MB, accepts: isImageOrPdf, owners: ['company'] },
+  'project-image': { folder: 'images/projects', maxSize: 10 * MB, accepts: isImage, owners: ['project', 'user'] }
+}
+
+// Supabase "images" bucket folders written before uploads went through a storage provider
+const LEGACY_FOLDERS = ['project-images/']
+
+const sanitize = (value) => String(value).replace(/[^a-zA-Z0-9.-]/g, '_')
+
+// Profile of the signed-in user, from the session access token sent by the browser
+async function getSessionProfile(accessToken) {
+  if (!accessToken) return null
+
+  const { data: { user }, error: authError } = await supabaseAdmin.auth.getUser(accessToken)
+  if (authError || !user) return null
+
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, company_id, role')
+    .eq('id', user.id)
+    .single()
+
+  return error ? null : profile
+}
+
+// Project that a section or observation belongs to
+async function getOwnerProjectId(type, id) {
+  if (type === 'project') return id
+
+  if (type === 'section') {
+    const { data } = await supabaseAdmin.from('sections').select('project_id').eq('id', id).maybeSingle()
+    return data?.project_id || null
+  }
+
+  const { data } = await supabaseAdmin
+    .from('observations')
+    .select('section:sections(project_id)')
+    .eq('id', id)
+    .maybeSingle()
+  return data?.section?.project_id || null
+}
+
+// Projects belong to users; the user's company colleagues share them
+async function canAccessProject(profile, projectId) {
+  const { data: project } = await supabaseAdmin.from('projects').select('user_id').eq('id', projectId).maybeSingle()
+  if (!project) return false
+  if (project.user_id === profile.id) return true
+  if (!profile.company_id) return false
+
+  const { data: companyId } = await supabaseAdmin.rpc('get_project_company_id', { p_project_id: projectId })
+  return companyId === profile.company_id
+}
+
+/**
+ * Whether the user may store or delete files for an owner ID of a media kind.
+ * Nested owner IDs (e.g. "drafts/{sectionId}") are authorised by their last segment.
+ */
+async function canUseOwner(profile, kind, ownerId) {
+  if (profile.role === 'super_admin') return true
+
+  const id = String(ownerId).split('/').pop()
+  for (const type of kind.owners) {
+    if (type === 'user') {
+      if (id === profile.id) return true
+    } else if (type === 'company') {
+      if (profile.company_id && id === profile.company_id) return true
+    } else {
+      const projectId = await getOwnerProjectId(type, id)
+      if (projectId && await canAccessProject(profile, projectId)) return true
+    }
+  }
+  return false
+}
+
+/**
+ * Upload URL for a media file, from the configured storage provider
+ * @param {Object} params
+ * @param {string} params.accessToken - Session access token of the signed-in user
+ * @param {string} params.kind - One of MEDIA_KINDS
+ * @param {string} params.ownerId - What the file belongs to (observation, project, company...);
+ *   may contain "/" to nest folders, e.g. "drafts/{sectionId}"
+ * @returns {Promise<Object>} { success, uploadData: { url, method, headers, publicUrl, key } }
+ */
+export async function getMediaUploadUrl({ accessToken, kind, ownerId, fileName, contentType, contentLength }) {
+  try {
+    const profile = await getSessionProfile(accessToken)
+    if (!profile) {
+      throw new Error('User not found or unauthorized')
+    }
+
+    const mediaKind = MEDIA_KINDS[kind]
+    if (!mediaKind || !ownerId || !fileName) {
+      throw new Error('Invalid request parameters')
+    }
+    if (!(await canUseOwner(profile, mediaKind, ownerId))) {
+      throw new Error('Unauthorized access')
+    }
+    if (!mediaKind.accepts(contentType)) {
+      throw new Error('This file type is not allowed here')
+    }
+    if (contentLength > mediaKind.maxSize) {
+      throw new Error(`File must be less than ${mediaKind.maxSize / MB}MB`)
+    }
+
+    const owner = String(ownerId).split('/').map(sanitize).join('/')
+    const key = `${mediaKind.folder}/${owner}/${Date.now()}-${sanitize(fileName)}`
+
+    const storage = getStorage()
+    const config = await storage.getUploadConfig({
+      path: key,
+      contentType,
+      contentLength,
+      maxSize: mediaKind.maxSize
+    })
+
+    return {
+      success: true,
+      uploadData: {
+        url: config.url,
+        method: config.method,
+        headers: config.headers,
+        publicUrl: config.publicUrl,
+        key
+      }
+    }
+  } catch (error) {
+    console.error('Error generating media upload URL:', error)
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Delete a media file by its public URL, wherever it is stored.
+ * Only paths written by the media upload flows may be deleted, and only by users
+ * with access to the record named in the path.
+ * @param {Object} params
+ * @param {string} params.accessToken - Session access token of the signed-in user
+ * @param {string} params.url - Public URL as saved in the database
+ * @returns {Promise<Object>} { success, deleted }
+ */
+export async function deleteMediaAction({ accessToken, url }) {
+  try {
+    const profile = await getSessionProfile(accessToken)
+    if (!profile) {
+      throw new Error('User not found or unauthorized')
+    }
+
+    const located = getStorageForUrl(url)
+    if (!located) {
+      // Not one of our files (e.g. an external link) - nothing to delete
+      return { success: true, deleted: false }
+    }
+
+    const { storage, path } = located
+    if (path.includes('..')) {
+      throw new Error('This file cannot be deleted')
+    }
+
+    // "{folder}/{ownerId}/{file}", where ownerId may itself contain "/"
+    const mediaKind = Object.values(MEDIA_KINDS).find(kind => path.startsWith(`${kind.folder}/`))
+    const ownerId = mediaKind ? path.slice(mediaKind.folder.length + 1, path.lastIndexOf('/')) : ''
+
+    // Older uploads were keyed by the uploading user: "{userId}/..." or "project-images/{userId}_..."
+    const fileName = path.slice(path.lastIndexOf('/') + 1)
+    const isOwnLegacyFile = path.startsWith(`${profile.id}/`) ||
+      (LEGACY_FOLDERS.some(folder => path.startsWith(folder)) && fileName.startsWith(`${profile.id}_`))
+
+    const allowed = isOwnLegacyFile || profile.role === 'super_admin' ||
+      (ownerId && await canUseOwner(profile, mediaKind, ownerId))
+
+    if (!allowed) {
+      throw new Error('This file cannot be deleted')
+    }
+
+    await storage.delete(path)
+    return { success: true, deleted: true }
+  } catch (error) {
+    console.error('Error deleting media:', error)
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
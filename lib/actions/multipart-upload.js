@@ -0,0 +1,268 @@
+// lib/actions/multipart-upload.js
+'use server'
+
+import { supabaseAdmin, getSessionProfile, canAccessProject } from '@/lib/supabase-server'
+import { getStorage } from '@/lib/video/storage/storage-factory'
+
+// S3 limits: parts of 5MB-5GB (except the last), at most 10,000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024
+const MAX_PARTS = 10000
+
+// Part URLs are requested just before each part is sent, so they can be short-lived
+const PART_URL_EXPIRY = 900
+
+// Project a section belongs to
+async function getSectionProjectId(sectionId) {
+  const { data: section } = await supabaseAdmin
+    .from('sections')
+    .select('project_id')
+    .eq('id', sectionId)
+    .maybeSingle()
+  return section?.project_id || null
+}
+
+/**
+ * Object key for an upload target, matching the single-PUT upload actions.
+ * The caller must have access to the target's project.
+ */
+async function getTargetKey(profile, target, fileName) {
+  const timestamp = Date.now()
+  const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_')
+
+  if (target?.type === 'section') {
+    const projectId = target.sectionId && await getSectionProjectId(target.sectionId)
+    if (!projectId) throw new Error('Section not found')
+    if (!(await canAccessProject(profile, projectId))) throw new Error('Unauthorized access')
+    return { key: `videos/${target.sectionId}/${timestamp}-${sanitizedFileName}`, acl: 'public-read' }
+  }
+
+  if (target?.type === 'pool') {
+    if (!target.projectId || !(await canAccessProject(profile, target.projectId))) {
+      throw new Error('Unauthorized access')
+    }
+    // Pool videos rely on the bucket policy rather than ACLs
+    return { key: `videos/pool/${target.projectId}/${timestamp}-${sanitizedFileName}`, acl: null }
+  }
+
+  throw new Error('Unknown upload target')
+}
+
+/**
+ * Check that a key is a video upload key the caller may write to.
+ * Keys name their owner: videos/{sectionId}/... or videos/pool/{projectId}/...
+ */
+async function assertVideoKeyAccess(profile, key) {
+  if (typeof key !== 'string' || !key.startsWith('videos/') || key.includes('..')) {
+    throw new Error('Invalid upload key')
+  }
+
+  const [, first, second] = key.split('/')
+  const projectId = first === 'pool' ? second : await getSectionProjectId(first)
+  if (!projectId || !(await canAccessProject(profile, projectId))) {
+    throw new Error('Unauthorized access')
+  }
+}
+
+// Signed-in caller, from the session access token sent by the browser
+async function requireProfile(accessToken) {
+  const profile = await getSessionProfile(accessToken)
+  if (!profile) {
+    throw new Error('User not authenticated')
+  }
+  return profile
+}
+
+// The configured provider, when it can take multipart uploads
+function getMultipartStorage() {
+  const storage = getStorage()
+  if (!storage.supportsMultipart) {
+    throw new Error('The configured storage provider does not support multipart uploads')
+  }
+  return storage
+}
+
+/**
+ * Whether large videos can be uploaded in resumable parts; when not, they are sent in a single PUT
+ * @returns {Promise<boolean>}
+ */
+export async function isMultipartUploadAvailable() {
+  return getStorage().supportsMultipart
+}
+
+/**
+ * Start a multipart upload
+ * @param {Object} params
+ * @param {Object} params.target - { type: 'section', sectionId } or { type: 'pool', projectId }
+ * @param {number} params.partSize - Requested part size in bytes; raised if the file would need too many parts
+ * @returns {Promise<Object>} { success, upload: { uploadId, key, publicUrl, partSize, checksumAlgorithm } }
+ */
+export async function startMultipartUpload({ accessToken, fileName, contentType, fileSize, partSize, target }) {
+  try {
+    const profile = await requireProfile(accessToken)
+    if (!fileName || !fileSize) {
+      throw new Error('Invalid request parameters')
+    }
+
+    const { key, acl } = await getTargetKey(profile, target, fileName)
+    const size = Math.max(MIN_PART_SIZE, partSize || 0, Math.ceil(fileSize / MAX_PARTS))
+
+    const storage = getMultipartStorage()
+    const uploadId = await storage.createMultipartUpload(key, {
+      contentType: contentType || 'video/mp4',
+      acl
+    })
+
+    return {
+      success: true,
+      upload: {
+        uploadId,
+        key,
+        publicUrl: storage.getPublicUrl(key),
+        partSize: size,
+        checksumAlgorithm: storage.partChecksumAlgorithm
+      }
+    }
+  } catch (error) {
+    console.error('Error starting multipart upload:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Presigned URL for one part. The part's digest is signed into the URL, so
+ * storage rejects the part if the bytes that arrive do not match it.
+ * @param {string} params.checksum - Base64 digest of the part, in the upload's checksumAlgorithm
+ * @returns {Promise<Object>} { success, url, headers }
+ */
+export async function getMultipartPartUrl({ accessToken, key, uploadId, partNumber, checksum, contentLength }) {
+  try {
+    const profile = await requireProfile(accessToken)
+    await assertVideoKeyAccess(profile, key)
+    if (!uploadId || !Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PARTS || !checksum) {
+      throw new Error('Invalid request parameters')
+    }
+
+    const { url, headers } = await getMultipartStorage().getPartUploadUrl(key, uploadId, {
+      partNumber,
+      checksum,
+      contentLength,
+      expiresIn: PART_URL_EXPIRY
+    })
+
+    return { success: true, url, headers }
+  } catch (error) {
+    console.error('Error signing upload part:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Parts S3 already holds for an upload - the source of truth when resuming
+ * @returns {Promise<Object>} { success, parts: [{ partNumber, etag, size, checksum }] }
+ */
+export async function listMultipartParts({ accessToken, key, uploadId }) {
+  try {
+    const profile = await requireProfile(accessToken)
+    await assertVideoKeyAccess(profile, key)
+
+    const parts = await getMultipartStorage().listParts(key, uploadId)
+    return { success: true, parts }
+  } catch (error) {
+    // The upload was completed or aborted elsewhere, or expired under a lifecycle rule
+    if (error.name === 'NoSuchUpload') {
+      return { success: false, error: 'Upload no longer exists', expired: true }
+    }
+    console.error('Error listing upload parts:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Verify every part against what the browser sent, then assemble the object.
+ * The file's composite checksum (SHA-256 of the part digests) must match the
+ * one S3 reports, where the provider reports one, and the stored size must match the file.
+ * @param {Array} params.parts - [{ partNumber, etag, checksum, size }] as uploaded by the browser
+ * @param {string} params.checksum - Composite checksum computed by the browser ("<base64>-<parts>")
+ * @returns {Promise<Object>} { success, publicUrl, key, checksum }
+ */
+export async function completeMultipartUpload({ accessToken, key, uploadId, parts, fileSize, checksum }) {
+  try {
+    const profile = await requireProfile(accessToken)
+    await assertVideoKeyAccess(profile, key)
+    if (!Array.isArray(parts) || parts.length === 0) {
+      throw new Error('No parts to complete')
+    }
+
+    const listed = await listMultipartParts({ accessToken, key, uploadId })
+    if (!listed.success) {
+      throw new Error(listed.error)
+    }
+
+    const stored = new Map(listed.parts.map(part => [part.partNumber, part]))
+    const sorted = [...parts].sort((a, b) => a.partNumber - b.partNumber)
+
+    sorted.forEach((part, index) => {
+      if (part.partNumber !== index + 1) {
+        throw new Error(`Part ${index + 1} is missing`)
+      }
+      const remote = stored.get(part.partNumber)
+      if (!remote) {
+        throw new Error(`Part ${part.partNumber} was not received`)
+      }
+      if (remote.checksum !== part.checksum || remote.size !== part.size) {
+        throw new Error(`Part ${part.partNumber} does not match the file - upload it again`)
+      }
+    })
+
+    const totalSize = sorted.reduce((sum, part) => sum + part.size, 0)
+    if (totalSize !== fileSize) {
+      throw new Error(`Uploaded ${totalSize} bytes but the file has ${fileSize}`)
+    }
+
+    const storage = getMultipartStorage()
+    const response = await storage.completeMultipartUpload(key, uploadId, sorted.map(part => ({
+      partNumber: part.partNumber,
+      etag: stored.get(part.partNumber).etag,
+      checksum: part.checksum
+    })))
+
+    if (checksum && response.checksum && response.checksum !== checksum) {
+      throw new Error('The uploaded video does not match the file checksum')
+    }
+
+    const head = await storage.getMetadata(key)
+    if (head.size !== fileSize) {
+      throw new Error('The uploaded video is not the same size as the file')
+    }
+
+    return {
+      success: true,
+      key,
+      publicUrl: storage.getPublicUrl(key),
+      checksum: response.checksum || checksum || null
+    }
+  } catch (error) {
+    console.error('Error completing multipart upload:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Abandon an upload and free the parts already stored
+ */
+export async function abortMultipartUpload({ accessToken, key, uploadId }) {
+  try {
+    const profile = await requireProfile(accessToken)
+    await assertVideoKeyAccess(profile, key)
+
+    await getMultipartStorage().abortMultipartUpload(key, uploadId)
+
+    return { success: true }
+  } catch (error) {
+    if (error.name === 'NoSuchUpload') {
+      return { success: true }
+    }
+    console.error('Error aborting multipart upload:', error)
+    return { success: false, error: error.message }
+  }
+}
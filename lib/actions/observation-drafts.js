@@ -0,0 +1,181 @@
+'use server'
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+
+const DRAFT_FIELDS = [
+  'video_timestamp',
+  'start_timestamp',
+  'end_timestamp',
+  'object_class',
+  'confidence',
+  'detection_count',
+  'suggested_code',
+  'distance',
+  'image_url'
+]
+
+/**
+ * The user's profile and the section's company, when the user may work on the section
+ */
+async function verifySectionAccess(userId, sectionId) {
+  const { data: profile, error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .select('id, company_id, role')
+    .eq('id', userId)
+    .single()
+
+  if (profileError || !profile) return null
+
+  const { data: section, error: sectionError } = await supabaseAdmin
+    .from('sections')
+    .select('id, project_id')
+    .eq('id', sectionId)
+    .single()
+
+  if (sectionError || !section) return null
+
+  const { data: companyId, error: companyError } = await supabaseAdmin
+    .rpc('get_project_company_id', { p_project_id: section.project_id })
+
+  if (companyError) throw companyError
+
+  if (profile.role !== 'super_admin' && profile.company_id !== companyId) return null
+
+  return { profile, companyId }
+}
+
+/**
+ * Pending drafts for a section, in video order
+ * @returns {Promise<Object>} { success, data: drafts }
+ */
+export async function getObservationDraftsAction({ userId, sectionId }) {
+  try {
+    if (!userId || !sectionId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+
+    const access = await verifySectionAccess(userId, sectionId)
+    if (!access) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('observation_drafts')
+      .select('*')
+      .eq('section_id', sectionId)
+      .eq('status', 'pending')
+      .order('video_timestamp', { ascending: true })
+
+    if (error) throw error
+
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error loading observation drafts:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Store the drafts from a detection pass. Drafts still pending from an earlier
+ * pass over the same section are replaced; reviewed ones are kept.
+ * @returns {Promise<Object>} { success, data: saved drafts }
+ */
+export async function saveObservationDraftsAction({ userId, sectionId, drafts }) {
+  try {
+    if (!userId || !sectionId || !Array.isArray(drafts)) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+
+    const access = await verifySectionAccess(userId, sectionId)
+    if (!access) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('observation_drafts')
+      .delete()
+      .eq('section_id', sectionId)
+      .eq('status', 'pending')
+
+    if (deleteError) throw deleteError
+
+    if (drafts.length === 0) {
+      return { success: true, data: [] }
+    }
+
+    const rows = drafts.map(draft => ({
+      ...Object.fromEntries(DRAFT_FIELDS.map(field => [field, draft[field] ?? null])),
+      section_id: sectionId,
+      detection_count: draft.detection_count || 1,
+      created_by: userId
+    }))
+
+    const { data, error } = await supabaseAdmin
+      .from('observation_drafts')
+      .insert(rows)
+      .select()
+
+    if (error) throw error
+
+    await supabaseAdmin.from('audit_log').insert({
+      user_id: userId,
+      company_id: access.companyId,
+      action: 'observation_drafts_created',
+      resource_type: 'section',
+      resource_id: sectionId,
+      changes: { count: rows.length }
+    })
+
+    return {
+      success: true,
+      data: (data || []).sort((a, b) => a.video_timestamp - b.video_timestamp)
+    }
+  } catch (error) {
+    console.error('Error saving observation drafts:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Record a surveyor's decision on drafts
+ * @param {Object} params
+ * @param {Array<string>} params.draftIds - Drafts from one section
+ * @param {string} params.status - 'accepted' or 'rejected'
+ * @param {string} params.observationId - Observation created from the draft, when accepting one
+ */
+export async function reviewObservationDraftsAction({ userId, sectionId, draftIds, status, observationId = null }) {
+  try {
+    if (!userId || !sectionId || !Array.isArray(draftIds) || draftIds.length === 0 || !['accepted', 'rejected'].includes(status)) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+
+    if (status === 'accepted' && (!observationId || draftIds.length !== 1)) {
+      return { success: false, error: 'An accepted draft needs the observation created from it' }
+    }
+
+    const access = await verifySectionAccess(userId, sectionId)
+    if (!access) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('observation_drafts')
+      .update({
+        status,
+        observation_id: observationId,
+        reviewed_by: userId,
+        reviewed_at: new Date().toISOString()
+      })
+      .in('id', draftIds)
+      .eq('section_id', sectionId)
+      .eq('status', 'pending')
+      .select('id')
+
+    if (error) throw error
+
+    return { success: true, data: { updated: data?.length || 0 } }
+  } catch (error) {
+    console.error('Error reviewing observation drafts:', error)
+    return { success: false, error: error.message }
+  }
+}
@@ -0,0 +1,99 @@
+// lib/actions/storage-migration.js
+'use server'
+
+import { supabaseAdmin, getSessionProfile } from '@/lib/supabase-server'
+import { getStorage, getDefaultStorageType } from '@/lib/video/storage/storage-factory'
+import { StorageProviders } from '@/lib/video/storage/storage-interface'
+import { LEGACY_SUPABASE_BUCKETS } from '@/lib/video/storage/supabase-storage'
+import { migrateStorageBatch, DEFAULT_MIGRATION_BATCH_SIZE } from '@/lib/video/storage/storage-migration'
+
+const MAX_BATCH_SIZE = 200
+
+// Moving every company's media is a platform operation
+async function getSuperAdmin(accessToken) {
+  const profile = await getSessionProfile(accessToken)
+  return profile?.role === 'super_admin' ? profile : null
+}
+
+/**
+ * Where media is stored now, and the sources it can be migrated from
+ * @returns {Promise<Object>} { success, current, sources: [{ type, bucketName, label }] }
+ */
+export async function getStorageMigrationOptions({ accessToken }) {
+  try {
+    if (!(await getSuperAdmin(accessToken))) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const current = getDefaultStorageType()
+    const sources = Object.values(StorageProviders)
+      .filter(type => type !== current)
+      .map(type => ({ type, bucketName: null, label: type }))
+
+    // Uploads written straight to Supabase before the storage providers existed
+    LEGACY_SUPABASE_BUCKETS.forEach(bucketName => {
+      sources.push({ type: StorageProviders.SUPABASE, bucketName, label: `supabase (legacy "${bucketName}" bucket)` })
+    })
+
+    return { success: true, current, sources }
+  } catch (error) {
+    console.error('Error loading storage migration options:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Move the next batch of media to the configured storage provider
+ * @param {Object} params
+ * @param {Object} params.source - { type, bucketName } to migrate from
+ * @param {Object} params.cursor - Returned by the previous batch; omit to start
+ * @param {boolean} params.dryRun - Only report what would move
+ * @returns {Promise<Object>} { success, data: { done, cursor, scanned, bytes, moved, failed } }
+ */
+export async function migrateStorageBatchAction({ accessToken, source, cursor, limit, dryRun = false }) {
+  try {
+    const profile = await getSuperAdmin(accessToken)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const sourceStorage = getStorage(source?.type, source?.bucketName ? { bucketName: source.bucketName } : {})
+    const targetStorage = getStorage()
+
+    if (sourceStorage.provider === targetStorage.provider && sourceStorage.bucketName === targetStorage.bucketName) {
+      return { success: false, error: 'Source and target storage are the same' }
+    }
+
+    await targetStorage.initialize()
+
+    const data = await migrateStorageBatch({
+      source: sourceStorage,
+      target: targetStorage,
+      cursor,
+      limit: Math.min(MAX_BATCH_SIZE, Math.max(1, Number(limit) || DEFAULT_MIGRATION_BATCH_SIZE)),
+      dryRun
+    })
+
+    if (!dryRun && (data.moved.length > 0 || data.failed.length > 0)) {
+      await supabaseAdmin.from('audit_log').insert({
+        user_id: profile.id,
+        company_id: profile.company_id,
+        action: 'storage_migrated',
+        resource_type: 'storage',
+        resource_id: null,
+        changes: {
+          source: { type: sourceStorage.provider, bucket: sourceStorage.bucketName || null },
+          target: { type: targetStorage.provider, bucket: targetStorage.bucketName || null },
+          moved: data.moved.length,
+          failed: data.failed.length,
+          bytes: data.bytes
+        }
+      })
+    }
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error migrating storage:', error)
+    return { success: false, error: error.message }
+  }
+}
@@ -0,0 +1,101 @@
+'use server'
+
+import { supabaseAdmin, getSessionProfile } from '@/lib/supabase-server'
+import { DEFAULT_FILENAME_PATTERNS, validateFilenamePatterns } from '@/lib/video/pool-matcher'
+
+/**
+ * Filename patterns used to auto-assign a company's pool videos
+ * @returns {Promise<Object>} { success, data: { patterns, isDefault } }
+ */
+export async function getFilenamePatternsAction({ accessToken, companyId }) {
+  try {
+    if (!accessToken || !companyId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+
+    const profile = await getSessionProfile(accessToken)
+    if (!profile || (profile.role !== 'super_admin' && profile.company_id !== companyId)) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('companies')
+      .select('video_filename_patterns')
+      .eq('id', companyId)
+      .single()
+
+    if (error) throw error
+
+    const saved = data?.video_filename_patterns
+    const isDefault = !Array.isArray(saved) || saved.length === 0
+
+    return {
+      success: true,
+      data: {
+        patterns: isDefault ? DEFAULT_FILENAME_PATTERNS : saved,
+        isDefault
+      }
+    }
+  } catch (error) {
+    console.error('Error loading filename patterns:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Save the company's filename patterns; an empty list restores the defaults
+ */
+export async function updateFilenamePatternsAction({ accessToken, companyId, patterns }) {
+  try {
+    if (!accessToken || !companyId || !Array.isArray(patterns)) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+
+    // Patterns apply to every project in the company
+    const profile = await getSessionProfile(accessToken)
+    const isAdmin = profile && (
+      profile.role === 'super_admin' ||
+      (profile.role === 'company_admin' && profile.company_id === companyId)
+    )
+    if (!isAdmin) {
+      return { success: false, error: 'Only company admins can change filename patterns' }
+    }
+
+    const cleaned = patterns.map((item, index) => ({
+      name: item.name?.trim() || `Pattern ${index + 1}`,
+      pattern: item.pattern?.trim() || ''
+    }))
+
+    const validationError = validateFilenamePatterns(cleaned)
+    if (validationError) {
+      return { success: false, error: validationError }
+    }
+
+    const { error } = await supabaseAdmin
+      .from('companies')
+      .update({ video_filename_patterns: cleaned.length > 0 ? cleaned : null })
+      .eq('id', companyId)
+
+    if (error) throw error
+
+    await supabaseAdmin.from('audit_log').insert({
+      user_id: profile.id,
+      company_id: companyId,
+      action: 'video_filename_patterns_updated',
+      resource_type: 'company',
+      resource_id: companyId,
+      changes: { patterns: cleaned }
+    })
+
+    return {
+      success: true,
+      data: {
+        patterns: cleaned.length > 0 ? cleaned : DEFAULT_FILENAME_PATTERNS,
+        isDefault: cleaned.length === 0
+      }
+    }
+  } catch (error) {
+    console.error('Error saving filename patterns:', error)
+    return { success: false, error: error.message }
+  }
+}
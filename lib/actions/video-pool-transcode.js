@@ -2,19 +2,23 @@
 'use server'
 
 import { supabaseAdmin } from '@/lib/supabase-server'
+import { deliverPendingWebhooks } from '@/lib/webhooks/webhook-service'
+import { getTranscoder, getDefaultTranscoderType } from '@/lib/video/transcoding/transcoder-factory'
+import { TranscoderTypes, getTargetHeight } from '@/lib/video/transcoding/transcoder-interface'
 
 // Configuration
-const MAX_CONCURRENT_JOBS = 5 // Reduced from 10 to avoid rate limits
+const MAX_CONCURRENT_JOBS = 3
 const BATCH_SIZE = 20
-const CHECK_INTERVAL = 15000 // Increased from 10 seconds to 15
-const MAX_CHECK_ATTEMPTS = 60
-const API_CALL_DELAY = 500 // 500ms delay between API calls to respect rate limits
+const API_CALL_DELAY = 500           // Delay between transcoder API calls
+const BATCH_DELAY = 5000             // Delay between batches of job starts
+const STUCK_JOB_TIMEOUT = 900000     // 15 minutes - consider job stuck after this
 
 /**
- * Add delay to respect AWS rate limits
+ * Delay with jitter to avoid thundering herd
  */
-async function rateLimitDelay() {
-  await new Promise(resolve => setTimeout(resolve, API_CALL_DELAY))
+async function rateLimitDelay(baseDelay = API_CALL_DELAY) {
+  const jitter = Math.random() * 500 // Add 0-500ms random jitter
+  await new Promise(resolve => setTimeout(resolve, baseDelay + jitter))
 }
 
 /**
@@ -26,7 +30,7 @@ export async function processPoolVideosForTranscoding(projectId = null) {
   try {
     console.log('🎬 Starting batch transcoding process...')
     
-    // Step 1: Find videos that need transcoding
+    // Find videos that need transcoding
     let query = supabaseAdmin
       .from('video_pool')
       .select('*')
@@ -53,45 +57,62 @@ export async function processPoolVideosForTranscoding(projectId = null) {
     
     console.log(`📊 Found ${videosToProcess.length} videos to transcode`)
     
-    // Step 2: Process videos in smaller batches to avoid rate limits
+    const transcoder = getTranscoder()
     const results = {
-      successful: [],
+      started: [],
       failed: [],
       total: videosToProcess.length
     }
     
-    // Process in smaller chunks
+    // Start jobs in small batches to stay within transcoder API rate limits
     for (let i = 0; i < videosToProcess.length; i += MAX_CONCURRENT_JOBS) {
       const batch = videosToProcess.slice(i, i + MAX_CONCURRENT_JOBS)
-      console.log(`\n🔄 Processing batch ${Math.floor(i / MAX_CONCURRENT_JOBS) + 1} (${batch.length} videos)...`)
+      const batchNumber = Math.floor(i / MAX_CONCURRENT_JOBS) + 1
+      const totalBatches = Math.ceil(videosToProcess.length / MAX_CONCURRENT_JOBS)
       
-      // Start jobs with delay between each to avoid rate limits
-      const batchJobs = []
-      for (const video of batch) {
-        const job = await startTranscodeJob(video)
-        batchJobs.push(job)
-        await rateLimitDelay() // Add delay between job creations
-      }
-      
-      // Monitor all jobs in this batch
-      const batchResults = await monitorBatchJobs(batchJobs)
+      console.log(`\n🔄 Processing batch ${batchNumber}/${totalBatches} (${batch.length} videos)...`)
       
-      // Collect results
-      batchResults.forEach(result => {
-        if (result.success) {
-          results.successful.push(result)
+      for (const [index, video] of batch.entries()) {
+        console.log(`  Starting job ${index + 1}/${batch.length} for: ${video.original_filename}`)
+        
+        const job = await startTranscodeJob(video, transcoder)
+        
+        if (job.success && job.jobId) {
+          results.started.push(job)
         } else {
-          results.failed.push(result)
+          results.failed.push({
+            poolVideoId: video.id,
+            originalFilename: video.original_filename,
+            success: false,
+            error: job.error || 'Failed to start transcode job'
+          })
         }
-      })
+        
+        if (index < batch.length - 1) {
+          await rateLimitDelay()
+        }
+      }
+      
+      if (i + MAX_CONCURRENT_JOBS < videosToProcess.length) {
+        console.log(`⏳ Waiting ${BATCH_DELAY/1000} seconds before next batch...`)
+        await new Promise(resolve => setTimeout(resolve, BATCH_DELAY))
+      }
     }
     
-    console.log(`\n🎉 Transcoding complete. Success: ${results.successful.length}, Failed: ${results.failed.length}`)
+    console.log(`\n🎉 Transcoding batch initiated:`)
+    console.log(`  Started: ${results.started.length}`)
+    console.log(`  Failed to start: ${results.failed.length}`)
+    console.log(`  Total: ${results.total}`)
     
+    // Note: We don't wait for completion here - jobs are monitored by checkProcessingVideos
     return {
       success: true,
-      results,
-      message: `Processed ${results.total} videos: ${results.successful.length} successful, ${results.failed.length} failed`
+      results: {
+        successful: results.started, // Jobs that started successfully
+        failed: results.failed,      // Jobs that failed to start
+        total: results.total
+      },
+      message: `Started transcoding ${results.started.length} of ${results.total} videos. Jobs will process in the background.`
     }
     
   } catch (error) {
@@ -104,8 +125,9 @@ export async function processPoolVideosForTranscoding(projectId = null) {
 }
 
 /**
- * Check status of videos currently processing
- * Can be called separately to update stuck videos
+ * Check the jobs of videos in processing state, with stuck job detection
+ * @param {string} projectId - Optional: Check only videos for a specific project
+ * @returns {Promise<Object>} Check results
  */
 export async function checkProcessingVideos(projectId = null) {
   try {
@@ -130,73 +152,115 @@ export async function checkProcessingVideos(projectId = null) {
     
     console.log(`Found ${processingVideos.length} videos in processing state`)
     
-    // Import AWS SDK
-    const { MediaConvertClient, GetJobCommand, DescribeEndpointsCommand } = await import('@aws-sdk/client-mediaconvert')
-    
-    // Get MediaConvert client
-    const client = new MediaConvertClient({
-      region: process.env.AWS_REGION || 'eu-west-2',
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    let updatedCount = 0
+    let stuckJobsCount = 0
+    const now = new Date()
+    
+    for (const [index, video] of processingVideos.entries()) {
+      if (!video.metadata?.jobId) {
+        // Video doesn't have a job ID - this shouldn't happen
+        console.log(`⚠️ Video ${video.id} has no job ID, marking as error`)
+        await supabaseAdmin
+          .from('video_pool')
+          .update({ 
+            status: 'error',
+            metadata: {
+              ...video.metadata,
+              transcodeError: 'No job ID found',
+              transcodeFailedAt: new Date().toISOString()
+            }
+          })
+          .eq('id', video.id)
+        continue
       }
-    })
-    
-    const endpointCommand = new DescribeEndpointsCommand({})
-    const endpointResponse = await client.send(endpointCommand)
-    const endpoint = endpointResponse.Endpoints[0].Url
-    
-    const mediaConvertClient = new MediaConvertClient({
-      endpoint,
-      region: process.env.AWS_REGION || 'eu-west-2',
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      
+      if (index > 0) {
+        await rateLimitDelay()
       }
-    })
-    
-    // Check each video's job status with rate limiting
-    for (const video of processingVideos) {
-      if (video.metadata?.jobId) {
-        try {
-          await rateLimitDelay() // Rate limit before each API call
-          
-          const command = new GetJobCommand({ Id: video.metadata.jobId })
-          const response = await mediaConvertClient.send(command)
-          
-          console.log(`Job ${video.metadata.jobId}: ${response.Job.Status}`)
-          
-          if (response.Job.Status === 'COMPLETE') {
-            // Update video as complete
-            await updatePoolVideoAfterTranscode({
-              poolVideoId: video.id,
-              transcodedUrl: video.metadata.outputUrl || constructOutputUrl(video),
-              originalUrl: video.video_url
-            })
-            console.log(`✅ Updated video ${video.id} as complete`)
-          } else if (response.Job.Status === 'ERROR' || response.Job.Status === 'CANCELED') {
-            // Mark as error
-            await supabaseAdmin
-              .from('video_pool')
-              .update({ 
-                status: 'error',
-                metadata: {
-                  ...video.metadata,
-                  transcodeError: response.Job.ErrorMessage || 'Job failed',
-                  transcodeFailedAt: new Date().toISOString()
-                }
-              })
-              .eq('id', video.id)
-            console.log(`❌ Marked video ${video.id} as error`)
-          }
-          // If PROGRESSING or SUBMITTED, leave as is
-        } catch (error) {
-          console.error(`Error checking job ${video.metadata.jobId}:`, error.message)
+      
+      // Jobs started before transcoders were pluggable were all MediaConvert jobs
+      const transcoderType = video.metadata.transcoder || TranscoderTypes.MEDIACONVERT
+      const jobStatus = await getTranscoder(transcoderType).getJobStatus(video.metadata.jobId)
+      
+      if (!jobStatus.success) {
+        if (jobStatus.throttled) {
+          console.log('⚠️ Rate limit hit during status check, waiting longer...')
+          await new Promise(resolve => setTimeout(resolve, 10000))
+        } else {
+          console.error(`Failed to check job ${video.metadata.jobId}:`, jobStatus.error)
         }
+        continue
+      }
+      
+      console.log(`Job ${video.metadata.jobId} (${video.original_filename}): ${jobStatus.status} (${jobStatus.progress}%)`)
+      
+      // Check if job might be stuck (processing for more than 15 minutes)
+      const startTime = new Date(video.metadata.transcodeStartedAt || video.updated_at || video.created_at)
+      const processingTime = now - startTime
+      const isStuck = processingTime > STUCK_JOB_TIMEOUT
+      
+      if (jobStatus.ready) {
+        const transcodedUrl = jobStatus.outputUrl || video.metadata.expectedOutputUrl
+        await updatePoolVideoAfterTranscode({
+          video,
+          transcodedUrl,
+          thumbnailUrl: jobStatus.thumbnailUrl,
+          hlsUrl: jobStatus.hlsUrl,
+          seekThumbnailsUrl: jobStatus.seekThumbnailsUrl,
+          transcoderType
+        })
+        console.log(`✅ Updated video ${video.id} with URL: ${transcodedUrl}`)
+        updatedCount++
+        
+      } else if (jobStatus.failed) {
+        const errorMessage = jobStatus.errorMessage || 'Job failed'
+        await supabaseAdmin
+          .from('video_pool')
+          .update({ 
+            status: 'error',
+            metadata: {
+              ...video.metadata,
+              transcodeError: errorMessage,
+              transcodeFailedAt: new Date().toISOString(),
+              finalJobStatus: jobStatus.status
+            }
+          })
+          .eq('id', video.id)
+        console.log(`❌ Marked video ${video.id} as error: ${errorMessage}`)
+        
+      } else if (isStuck) {
+        // Be conservative: flag it for the UI but don't mark as error
+        console.log(`🐌 Job ${video.metadata.jobId} has been ${jobStatus.status} for ${Math.round(processingTime/60000)} minutes`)
+        stuckJobsCount++
+        
+        await supabaseAdmin
+          .from('video_pool')
+          .update({
+            metadata: {
+              ...video.metadata,
+              possiblyStuck: true,
+              stuckDetectedAt: new Date().toISOString(),
+              processingTimeMinutes: Math.round(processingTime/60000)
+            }
+          })
+          .eq('id', video.id)
       }
     }
     
-    return { success: true, message: `Checked ${processingVideos.length} videos` }
+    let message = `Checked ${processingVideos.length} videos, updated ${updatedCount}`
+    if (stuckJobsCount > 0) {
+      message += `, detected ${stuckJobsCount} potentially stuck jobs`
+    }
+    
+    return { 
+      success: true, 
+      message,
+      details: {
+        checked: processingVideos.length,
+        updated: updatedCount,
+        possiblyStuck: stuckJobsCount
+      }
+    }
     
   } catch (error) {
     console.error('Error checking processing videos:', error)
@@ -205,89 +269,154 @@ export async function checkProcessingVideos(projectId = null) {
 }
 
 /**
- * Construct output URL for transcoded video
+ * Get pool transcoding status for a project
+ * @param {string} projectId
+ * @returns {Promise<Object>} { success, stats, transcoder } - transcoder is the configured TranscoderTypes value
  */
-function constructOutputUrl(video) {
-  const outputBucket = process.env.AWS_S3_OUTPUT_BUCKET || 'video-analysis-transcoded'
-  const s3Region = process.env.AWS_S3_REGION || process.env.AWS_REGION || 'eu-west-2'
-  
-  // Extract filename from original URL
-  const urlParts = video.video_url.split('/')
-  const filename = urlParts[urlParts.length - 1].replace(/\.[^/.]+$/, '')
-  
-  return `https://${outputBucket}.s3.${s3Region}.amazonaws.com/transcoded/pool/${video.project_id}/pool/${video.project_id}/${filename}-720p.mp4`
+export async function getPoolTranscodingStatus(projectId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('video_pool')
+      .select('status, metadata, created_at')
+      .eq('project_id', projectId)
+    
+    if (error) throw error
+    
+    const stats = {
+      total: data.length,
+      ready: 0,
+      processing: 0,
+      error: 0,
+      needsTranscoding: 0,
+      possiblyStuck: 0,
+      recentlyCompleted: 0
+    }
+    
+    const now = new Date()
+    const recentThreshold = 5 * 60 * 1000 // 5 minutes
+    
+    data.forEach(video => {
+      if (stats[video.status] !== undefined) {
+        stats[video.status]++
+      } else {
+        console.warn('Unknown video status:', video.status)
+      }
+      
+      if (video.metadata?.needsTranscoding && video.status === 'ready') {
+        stats.needsTranscoding++
+      }
+      
+      if (video.metadata?.possiblyStuck && video.status === 'processing') {
+        stats.possiblyStuck++
+      }
+      
+      // Check for recently completed transcoding
+      if (video.metadata?.transcodedAt) {
+        const completedAt = new Date(video.metadata.transcodedAt)
+        if (now - completedAt < recentThreshold) {
+          stats.recentlyCompleted++
+        }
+      }
+    })
+    
+    return {
+      success: true,
+      stats,
+      transcoder: getDefaultTranscoderType()
+    }
+    
+  } catch (error) {
+    console.error('Error getting pool transcoding status:', error)
+    return {
+      success: false,
+      error: error?.message || 'Unknown error occurred'
+    }
+  }
 }
 
 /**
- * Start a single transcode job for a pool video
+ * Start a single transcode job and record it on the pool video
  */
-async function startTranscodeJob(poolVideo) {
+async function startTranscodeJob(poolVideo, transcoder) {
   try {
-    console.log(`🎬 Starting transcode for: ${poolVideo.original_filename}`)
+    const targetHeight = getTargetHeight(poolVideo.height)
+    
+    console.log(`🎬 Starting ${transcoder.type} transcode for: ${poolVideo.original_filename} to ${targetHeight}p`)
+    
+    const jobMetadata = {
+      ...poolVideo.metadata,
+      transcoder: transcoder.type,
+      transcodeStartedAt: new Date().toISOString(),
+      targetResolution: targetHeight,
+      transcodeAttempt: (poolVideo.metadata?.transcodeAttempt || 0) + 1
+    }
     
-    // Update status to processing
     const { error: updateError } = await supabaseAdmin
       .from('video_pool')
       .update({ 
         status: 'processing',
-        metadata: {
-          ...poolVideo.metadata,
-          transcodeStartedAt: new Date().toISOString()
-        }
+        metadata: jobMetadata
       })
       .eq('id', poolVideo.id)
     
     if (updateError) {
       console.error(`Failed to update status for ${poolVideo.id}:`, updateError)
+      return { success: false, error: updateError.message }
     }
     
-    // Extract filename from the video URL
-    const urlParts = poolVideo.video_url.split('/')
-    const s3Filename = urlParts[urlParts.length - 1]
-    const fileNameWithoutExt = s3Filename.replace(/\.[^/.]+$/, '')
+    // Name outputs after the stored file, which is unique within the project
+    const storedFilename = decodeURIComponent(poolVideo.video_url.split('?')[0].split('/').pop())
+    const outputKey = storedFilename.replace(/\.[^/.]+$/, '').replace(/[^a-zA-Z0-9._-]/g, '_')
     
-    // Create output key for transcoded video
-    const outputKey = `pool/${poolVideo.project_id}/${fileNameWithoutExt}`
-    
-    // Determine target height
-    const sourceHeight = poolVideo.height || poolVideo.metadata?.height || 720
-    const targetHeight = sourceHeight > 720 ? 720 : sourceHeight
-    
-    // Create the MediaConvert job
-    const transcodeResult = await createPoolTranscodeJob({
+    const transcodeResult = await transcoder.createJob({
       inputUrl: poolVideo.video_url,
+      outputPrefix: `transcoded/pool/${poolVideo.project_id}/`,
       outputKey,
-      poolVideoId: poolVideo.id,
-      projectId: poolVideo.project_id,
-      userId: poolVideo.user_id,
+      targetHeight,
       metadata: {
+        poolVideoId: poolVideo.id,
+        projectId: poolVideo.project_id,
+        userId: poolVideo.user_id,
+        originalFilename: poolVideo.original_filename,
         originalFormat: poolVideo.format,
         originalSize: poolVideo.file_size,
-        sourceHeight: sourceHeight,
-        targetHeight: targetHeight,
-        isPoolVideo: true
+        sourceHeight: poolVideo.height
       }
     })
     
     if (!transcodeResult.success) {
-      throw new Error(transcodeResult.error || 'Failed to create transcode job')
+      await supabaseAdmin
+        .from('video_pool')
+        .update({ 
+          status: 'error',
+          metadata: {
+            ...jobMetadata,
+            transcodeError: transcodeResult.error,
+            transcodeFailedAt: new Date().toISOString()
+          }
+        })
+        .eq('id', poolVideo.id)
+      
+      return { success: false, error: transcodeResult.error }
     }
     
-    // Save job ID to metadata for later status checking
+    // Save job ID and, where the transcoder knows it up front, the output URL
     await supabaseAdmin
       .from('video_pool')
       .update({ 
         metadata: {
-          ...poolVideo.metadata,
+          ...jobMetadata,
           jobId: transcodeResult.jobId,
-          outputUrl: transcodeResult.outputUrl
+          expectedOutputUrl: transcodeResult.outputUrl,
+          transcodeJobCreatedAt: new Date().toISOString()
         }
       })
       .eq('id', poolVideo.id)
     
-    console.log(`✅ MediaConvert job created: ${transcodeResult.jobId}`)
+    console.log(`✅ Transcode job created: ${transcodeResult.jobId}`)
     
     return {
+      success: true,
       poolVideoId: poolVideo.id,
       jobId: transcodeResult.jobId,
       outputUrl: transcodeResult.outputUrl,
@@ -299,7 +428,6 @@ async function startTranscodeJob(poolVideo) {
   } catch (error) {
     console.error(`❌ Error starting transcode for video ${poolVideo.id}:`, error)
     
-    // Mark as error in database
     await supabaseAdmin
       .from('video_pool')
       .update({ 
@@ -313,431 +441,68 @@ async function startTranscodeJob(poolVideo) {
       .eq('id', poolVideo.id)
     
     return {
+      success: false,
       poolVideoId: poolVideo.id,
       originalFilename: poolVideo.original_filename,
-      success: false,
       error: error.message
     }
   }
 }
 
 /**
- * Create a MediaConvert job specifically for pool videos
+ * Update pool video record after successful transcoding
  */
-async function createPoolTranscodeJob(params) {
+async function updatePoolVideoAfterTranscode({ video, transcodedUrl, thumbnailUrl, hlsUrl, seekThumbnailsUrl, transcoderType }) {
   try {
-    const { 
-      inputUrl,
-      outputKey,
-      poolVideoId,
-      projectId,
-      userId,
-      metadata = {}
-    } = params
-    
-    // Import AWS SDK
-    const { 
-      MediaConvertClient, 
-      CreateJobCommand, 
-      DescribeEndpointsCommand 
-    } = await import('@aws-sdk/client-mediaconvert')
-    
-    // Get MediaConvert endpoint
-    const client = new MediaConvertClient({
-      region: process.env.AWS_REGION || 'eu-west-2',
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      }
-    })
-    
-    const endpointCommand = new DescribeEndpointsCommand({})
-    const endpointResponse = await client.send(endpointCommand)
-    const endpoint = endpointResponse.Endpoints[0].Url
-    
-    // Create client with endpoint
-    const mediaConvertClient = new MediaConvertClient({
-      endpoint,
-      region: process.env.AWS_REGION || 'eu-west-2',
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      }
-    })
-    
-    // Generate S3 output path
-    const outputBucket = process.env.AWS_S3_OUTPUT_BUCKET || 'video-analysis-transcoded'
-    const outputPrefix = `transcoded/pool/${projectId}/`
-    
-    // Determine target height
-    const targetHeight = metadata.targetHeight || 720
-    
-    // MediaConvert job settings (simplified for clarity)
-    const jobSettings = {
-      Role: process.env.AWS_MEDIACONVERT_ROLE,
-      Settings: {
-        OutputGroups: [
-          {
-            Name: `${targetHeight}p MP4 Output`,
-            OutputGroupSettings: {
-              Type: 'FILE_GROUP_SETTINGS',
-              FileGroupSettings: {
-                Destination: `s3://${outputBucket}/${outputPrefix}`,
-                DestinationSettings: {
-                  S3Settings: {
-                    AccessControl: {
-                      CannedAcl: 'PUBLIC_READ'
-                    }
-                  }
-                }
-              }
-            },
-            Outputs: [
-              {
-                NameModifier: `-${targetHeight}p`,
-                ContainerSettings: {
-                  Container: 'MP4',
-                  Mp4Settings: {
-                    CslgAtom: 'INCLUDE',
-                    FreeSpaceBox: 'EXCLUDE',
-                    MoovPlacement: 'PROGRESSIVE_DOWNLOAD'
-                  }
-                },
-                VideoDescription: {
-                  Height: targetHeight,
-                  ScalingBehavior: 'DEFAULT',
-                  TimecodeInsertion: 'DISABLED',
-                  AntiAlias: 'ENABLED',
-                  Sharpness: 50,
-                  CodecSettings: {
-                    Codec: 'H_264',
-                    H264Settings: {
-                      InterlaceMode: 'PROGRESSIVE',
-                      NumberReferenceFrames: 3,
-                      Syntax: 'DEFAULT',
-                      GopClosedCadence: 1,
-                      GopSize: 60,
-                      Slices: 1,
-                      GopBReference: 'DISABLED',
-                      RateControlMode: 'QVBR',
-                      QualityTuneLevel: 'SINGLE_PASS_HQ',
-                      MaxBitrate: targetHeight >= 720 ? 3000000 : 2000000,
-                      QvbrSettings: {
-                        QvbrQualityLevel: 5
-                      },
-                      CodecProfile: 'MAIN',
-                      CodecLevel: 'AUTO',
-                      SceneChangeDetect: 'ENABLED',
-                      FramerateControl: 'INITIALIZE_FROM_SOURCE',
-                      FramerateConversionAlgorithm: 'DUPLICATE_DROP',
-                      ParControl: 'INITIALIZE_FROM_SOURCE',
-                      NumberBFramesBetweenReferenceFrames: 2,
-                      DynamicSubGop: 'STATIC'
-                    }
-                  }
-                },
-                AudioDescriptions: [
-                  {
-                    AudioTypeControl: 'FOLLOW_INPUT',
-                    CodecSettings: {
-                      Codec: 'AAC',
-                      AacSettings: {
-                        AudioDescriptionBroadcasterMix: 'NORMAL',
-                        Bitrate: 128000,
-                        RateControlMode: 'CBR',
-                        CodecProfile: 'LC',
-                        CodingMode: 'CODING_MODE_2_0',
-                        RawFormat: 'NONE',
-                        SampleRate: 48000,
-                        Specification: 'MPEG4'
-                      }
-                    },
-                    AudioSourceName: 'Audio Selector 1'
-                  }
-                ]
-              }
-            ]
-          }
-        ],
-        Inputs: [
-          {
-            AudioSelectors: {
-              'Audio Selector 1': {
-                DefaultSelection: 'DEFAULT',
-                ProgramSelection: 1
-              }
-            },
-            VideoSelector: {
-              ColorSpace: 'FOLLOW',
-              Rotate: 'AUTO'
-            },
-            TimecodeSource: 'ZEROBASED',
-            FileInput: inputUrl
-          }
-        ],
-        AccelerationSettings: {
-          Mode: 'PREFERRED'
-        }
-      },
-      UserMetadata: {
-        poolVideoId,
-        projectId,
-        userId,
-        targetHeight: targetHeight.toString(),
-        ...metadata
-      },
-      Queue: 'Default',
-      StatusUpdateInterval: 'SECONDS_10',
-      Priority: 0
-    }
+    const height = video.metadata?.targetResolution || getTargetHeight(video.height)
+    // Keep the source aspect ratio; assume 16:9 when the source size is unknown
+    const aspectRatio = video.width > 0 && video.height > 0 ? video.width / video.height : 16 / 9
+    const width = Math.round(height * aspectRatio / 2) * 2
     
-    // Create the job
-    const command = new CreateJobCommand(jobSettings)
-    const response = await mediaConvertClient.send(command)
+    // Update the filename to .mp4
+    const newFilename = video.original_filename.replace(/\.[^/.]+$/, '.mp4')
     
-    // Get the S3 bucket region
-    const s3Region = process.env.AWS_S3_REGION || process.env.AWS_REGION || 'eu-west-2'
-    
-    // MediaConvert appends the NameModifier and extension
-    const outputFilename = `${outputKey}-${targetHeight}p.mp4`
-    const fullOutputUrl = `https://${outputBucket}.s3.${s3Region}.amazonaws.com/${outputPrefix}${outputFilename}`
-    
-    return {
-      success: true,
-      jobId: response.Job.Id,
-      status: response.Job.Status,
-      outputUrl: fullOutputUrl
-    }
-    
-  } catch (error) {
-    console.error('❌ Error creating pool transcode job:', error)
-    return {
-      success: false,
-      error: error.message
-    }
-  }
-}
-
-/**
- * Monitor a batch of transcode jobs until completion
- * With proper rate limiting to avoid AWS throttling
- */
-async function monitorBatchJobs(jobs) {
-  const results = []
-  const activeJobs = new Map()
-  
-  // Filter out failed jobs and add successful ones to monitoring
-  jobs.forEach(job => {
-    if (job.jobId) {
-      activeJobs.set(job.jobId, job)
-    } else {
-      // Job creation failed
-      results.push({
-        poolVideoId: job.poolVideoId,
-        success: false,
-        error: job.error || 'Failed to create job'
-      })
-    }
-  })
-  
-  if (activeJobs.size === 0) {
-    return results
-  }
-  
-  console.log(`\n📊 Monitoring ${activeJobs.size} transcode jobs...`)
-  console.log('⏱️ This may take several minutes. Jobs are processing in the background.')
-  
-  // Import AWS SDK for status checking
-  const { MediaConvertClient, GetJobCommand, DescribeEndpointsCommand } = await import('@aws-sdk/client-mediaconvert')
-  
-  // Get MediaConvert endpoint for status checks
-  const client = new MediaConvertClient({
-    region: process.env.AWS_REGION || 'eu-west-2',
-    credentials: {
-      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    }
-  })
-  
-  const endpointCommand = new DescribeEndpointsCommand({})
-  const endpointResponse = await client.send(endpointCommand)
-  const endpoint = endpointResponse.Endpoints[0].Url
-  
-  const mediaConvertClient = new MediaConvertClient({
-    endpoint,
-    region: process.env.AWS_REGION || 'eu-west-2',
-    credentials: {
-      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    }
-  })
-  
-  let attempts = 0
-  
-  while (activeJobs.size > 0 && attempts < MAX_CHECK_ATTEMPTS) {
-    // Wait before checking
-    await new Promise(resolve => setTimeout(resolve, CHECK_INTERVAL))
-    attempts++
-    
-    console.log(`\n🔄 Status check ${attempts}/${MAX_CHECK_ATTEMPTS} - ${activeJobs.size} jobs remaining`)
-    
-    // Check jobs one by one with rate limiting
-    for (const job of activeJobs.values()) {
-      try {
-        await rateLimitDelay() // Rate limit before each API call
-        
-        const command = new GetJobCommand({ Id: job.jobId })
-        const response = await mediaConvertClient.send(command)
-        
-        const jobStatus = response.Job.Status
-        const progress = response.Job.JobPercentComplete || 0
-        
-        console.log(`  Job ${job.jobId}: ${jobStatus} (${progress}%)`)
-        
-        if (jobStatus === 'COMPLETE') {
-          // Job completed successfully
-          console.log(`✅ Job ${job.jobId} completed for ${job.originalFilename}`)
-          
-          await updatePoolVideoAfterTranscode({
-            poolVideoId: job.poolVideoId,
-            transcodedUrl: job.outputUrl,
-            originalUrl: job.originalUrl
-          })
-          
-          results.push({
-            poolVideoId: job.poolVideoId,
-            success: true,
-            transcodedUrl: job.outputUrl
-          })
-          
-          activeJobs.delete(job.jobId)
-          
-        } else if (jobStatus === 'ERROR' || jobStatus === 'CANCELED') {
-          // Job failed
-          console.error(`❌ Job ${job.jobId} failed: ${response.Job.ErrorMessage}`)
-          
-          await supabaseAdmin
-            .from('video_pool')
-            .update({ 
-              status: 'error',
-              metadata: {
-                transcodeError: response.Job.ErrorMessage || 'Job failed',
-                transcodeFailedAt: new Date().toISOString()
-              }
-            })
-            .eq('id', job.poolVideoId)
-          
-          results.push({
-            poolVideoId: job.poolVideoId,
-            success: false,
-            error: response.Job.ErrorMessage
-          })
-          
-          activeJobs.delete(job.jobId)
-        }
-        // Jobs still processing will remain in activeJobs
-        
-      } catch (error) {
-        if (error.name === 'TooManyRequestsException') {
-          console.log('⚠️ Rate limit hit, waiting longer before next check...')
-          await new Promise(resolve => setTimeout(resolve, 5000)) // Extra delay on rate limit
-        } else {
-          console.error(`Failed to check job ${job.jobId}:`, error.message)
-        }
-      }
-    }
-  }
-  
-  // Handle any jobs that timed out
-  for (const job of activeJobs.values()) {
-    console.log(`⏱️ Job ${job.jobId} still processing after ${MAX_CHECK_ATTEMPTS} checks`)
-    console.log(`   Video will continue processing in background. Use 'Check Status' to update later.`)
-    
-    // Don't mark as error - job is likely still running
-    results.push({
-      poolVideoId: job.poolVideoId,
-      success: false,
-      error: 'Job still processing - check status later'
-    })
-  }
-  
-  return results
-}
-
-/**
- * Update pool video record after successful transcoding
- */
-async function updatePoolVideoAfterTranscode(params) {
-  try {
-    const { poolVideoId, transcodedUrl, originalUrl } = params
+    console.log(`📝 Updating pool video ${video.id}`)
+    console.log(`   New URL: ${transcodedUrl}`)
+    console.log(`   New filename: ${newFilename}`)
     
-    // Update the pool video record
     const { error: updateError } = await supabaseAdmin
       .from('video_pool')
       .update({
-        video_url: transcodedUrl, // Use transcoded as primary
-        status: 'ready', // Back to ready status
+        video_url: transcodedUrl,
+        original_filename: newFilename,
+        status: 'ready',
+        format: 'mp4',
+        codec: 'h264',
+        width,
+        height,
         metadata: {
-          original_url: originalUrl,
+          original_url: video.video_url,
+          original_filename: video.original_filename,
           transcoded_url: transcodedUrl,
+          thumbnail_url: thumbnailUrl || null,
+          hls_url: hlsUrl || null,
+          seek_thumbnails_url: seekThumbnailsUrl || null,
           transcodedAt: new Date().toISOString(),
           transcoded: true,
-          needsTranscoding: false, // No longer needs transcoding
-          format: 'mp4', // Now it's a standard MP4
-          codec: 'h264' // Standard codec after transcoding
+          needsTranscoding: false,
+          resolution: `${height}p`,
+          transcoder: transcoderType
         }
       })
-      .eq('id', poolVideoId)
+      .eq('id', video.id)
     
     if (updateError) {
       throw updateError
     }
     
-    console.log(`✅ Pool video ${poolVideoId} updated successfully`)
+    console.log(`✅ Pool video ${video.id} updated successfully`)
+    
+    // The video.transcoded event is queued by a database trigger; send it without holding up the batch
+    deliverPendingWebhooks().catch(error => console.error('Error delivering webhooks:', error))
     
   } catch (error) {
     console.error('❌ Error updating pool video after transcode:', error)
     throw error
   }
 }
-
-/**
- * Check the status of pool transcoding for a project
- */
-export async function getPoolTranscodingStatus(projectId) {
-  try {
-    const { data, error } = await supabaseAdmin
-      .from('video_pool')
-      .select('status, metadata')
-      .eq('project_id', projectId)
-    
-    if (error) throw error
-    
-    const stats = {
-      total: data.length,
-      ready: 0,
-      processing: 0,
-      error: 0,
-      needsTranscoding: 0
-    }
-    
-    data.forEach(video => {
-      stats[video.status]++
-      if (video.metadata?.needsTranscoding && video.status === 'ready') {
-        stats.needsTranscoding++
-      }
-    })
-    
-    return {
-      success: true,
-      stats
-    }
-    
-  } catch (error) {
-    console.error('Error getting transcoding status:', error)
-    return {
-      success: false,
-      error: error.message
-    }
-  }
-}
\ No newline at end of file
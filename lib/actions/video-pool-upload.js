@@ -1,18 +1,11 @@
 // lib/actions/video-pool-upload.js
 'use server'
 
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3'
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
-import { supabaseAdmin } from '@/lib/supabase-server'
-
-// Initialize AWS S3 client
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION || 'eu-west-2',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-})
+import { supabaseAdmin, getSessionProfile, canAccessProject } from '@/lib/supabase-server'
+import { getStorage, getStorageForUrl } from '@/lib/video/storage/storage-factory'
+
+// Largest video accepted in a single upload
+const MAX_VIDEO_SIZE = 5 * 1024 * 1024 * 1024 // 5GB
 
 /**
  * Generate presigned PUT URL for direct upload to pool (no section required)
@@ -49,30 +42,21 @@ export async function getPoolUploadUrl(params) {
     const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_')
     const key = `videos/pool/${projectId}/${timestamp}-${sanitizedFileName}`
     
-    // Create presigned PUT URL
-    const command = new PutObjectCommand({
-      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
-      Key: key,
-      ContentType: contentType,
-      // ACL: 'public-read', // Commented out - rely on bucket policy instead
+    // Pool videos rely on the bucket policy rather than ACLs
+    const config = await getStorage().getUploadConfig({
+      path: key,
+      contentType,
+      contentLength,
+      maxSize: MAX_VIDEO_SIZE
     })
     
-    // Generate presigned URL (expires in 1 hour)
-    const presignedUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 })
-    
-    // Construct public URL (using the correct S3 URL format)
-    const publicUrl = `https://${process.env.AWS_S3_OUTPUT_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`
-    
     return {
       success: true,
       uploadData: {
-        url: presignedUrl,
-        method: 'PUT',
-        headers: {
-          'Content-Type': contentType,
-          // 'x-amz-acl': 'public-read', // Commented out if not using ACLs
-        },
-        publicUrl,
+        url: config.url,
+        method: config.method,
+        headers: config.headers,
+        publicUrl: config.publicUrl,
         key,
       }
     }
@@ -86,18 +70,22 @@ export async function getPoolUploadUrl(params) {
 }
 
 /**
- * Delete a video from S3 storage
- * @param {string} key - The S3 object key to delete
+ * Delete a pool video from storage
+ * @param {string} keyOrUrl - Storage path of the video, or its public URL (found on whichever provider holds it)
  * @returns {Promise<Object>} Result of deletion
  */
-export async function deletePoolVideo(key) {
+export async function deletePoolVideo(keyOrUrl) {
   try {
-    const command = new DeleteObjectCommand({
-      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
-      Key: key,
-    })
-    
-    await s3Client.send(command)
+    const located = /^(https?:)?\//.test(keyOrUrl || '')
+      ? getStorageForUrl(keyOrUrl)
+      : { storage: getStorage(), path: keyOrUrl }
+    const key = located?.path
+
+    if (typeof key !== 'string' || !key.startsWith('videos/pool/') || key.includes('..')) {
+      throw new Error('Invalid video key')
+    }
+
+    await located.storage.delete(key)
     
     return {
       success: true,
@@ -202,13 +190,67 @@ export async function getUnassignedPoolVideos(projectId) {
 }
 
 /**
- * Assign a pool video to a section
+ * Assign a pool video to a section: the section takes over the video and the
+ * pool entry is marked as assigned
  * @param {string} videoId - Pool video ID
  * @param {string} sectionId - Section ID to assign to
+ * @param {string} accessToken - Session access token of the signed-in user
  * @returns {Promise<Object>} Updated pool record
  */
-export async function assignPoolVideoToSection(videoId, sectionId) {
+export async function assignPoolVideoToSection(videoId, sectionId, accessToken) {
   try {
+    const profile = await getSessionProfile(accessToken)
+    if (!profile) {
+      throw new Error('User not authenticated')
+    }
+
+    const { data: video, error: videoError } = await supabaseAdmin
+      .from('video_pool')
+      .select('id, project_id, video_url, original_filename, duration, metadata, assigned_to_section_id')
+      .eq('id', videoId)
+      .single()
+
+    if (videoError || !video) {
+      throw new Error('Pool video not found')
+    }
+    if (!(await canAccessProject(profile, video.project_id))) {
+      throw new Error('Unauthorized access')
+    }
+    if (video.assigned_to_section_id) {
+      throw new Error('Video is already assigned to a section')
+    }
+
+    const { data: section, error: sectionError } = await supabaseAdmin
+      .from('sections')
+      .select('id, project_id, video_url, video_filename, video_duration, video_metadata')
+      .eq('id', sectionId)
+      .single()
+
+    if (sectionError || !section) {
+      throw new Error('Section not found')
+    }
+    if (section.project_id !== video.project_id) {
+      throw new Error('Video and section belong to different projects')
+    }
+    if (section.video_url) {
+      throw new Error('Section already has a video')
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from('sections')
+      .update({
+        video_url: video.video_url,
+        video_filename: video.original_filename,
+        video_duration: video.duration,
+        video_metadata: video.metadata
+      })
+      .eq('id', sectionId)
+
+    if (updateError) {
+      throw updateError
+    }
+
+    // Only claim the pool entry if nobody assigned it in the meantime
     const { data, error } = await supabaseAdmin
       .from('video_pool')
       .update({
@@ -216,13 +258,28 @@ export async function assignPoolVideoToSection(videoId, sectionId) {
         assigned_at: new Date().toISOString()
       })
       .eq('id', videoId)
+      .is('assigned_to_section_id', null)
       .select()
-      .single()
-    
-    if (error) {
-      throw error
+      .maybeSingle()
+
+    if (error || !data) {
+      // Give the section back its previous video fields so the video is not in two places
+      const { error: revertError } = await supabaseAdmin
+        .from('sections')
+        .update({
+          video_url: section.video_url,
+          video_filename: section.video_filename,
+          video_duration: section.video_duration,
+          video_metadata: section.video_metadata
+        })
+        .eq('id', sectionId)
+
+      if (revertError) {
+        console.error('Error reverting section after failed pool assignment:', revertError)
+      }
+      throw error || new Error('Video is already assigned to a section')
     }
-    
+
     return {
       success: true,
       data
@@ -234,4 +291,4 @@ export async function assignPoolVideoToSection(videoId, sectionId) {
       error: error.message
     }
   }
-}
\ No newline at end of file
+}
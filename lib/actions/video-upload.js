@@ -1,25 +1,18 @@
 // lib/actions/video-upload.js
 'use server'
 
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3'
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
 import { supabaseAdmin } from '@/lib/supabase-server'
+import { getStorage, getDefaultStorageType } from '@/lib/video/storage/storage-factory'
 
-// Initialize S3 client for AWS S3
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION || 'eu-west-2',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-})
+// Largest video accepted in a single upload
+const MAX_VIDEO_SIZE = 5 * 1024 * 1024 * 1024 // 5GB
 
 /**
- * Generate presigned PUT URL for direct upload to AWS S3
+ * Generate an upload URL for sending a section video straight to the configured storage provider
  * @param {Object} params - Upload parameters
  * @returns {Promise<Object>} Presigned upload data
  */
-export async function getS3UploadUrl(params) {
+export async function getVideoUploadUrl(params) {
   try {
     const { fileName, contentType, contentLength, sectionId, userId } = params
     
@@ -44,35 +37,27 @@ export async function getS3UploadUrl(params) {
     const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_')
     const key = `videos/${sectionId}/${timestamp}-${sanitizedFileName}`
     
-    // Create presigned PUT URL with public-read ACL
-    const command = new PutObjectCommand({
-      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
-      Key: key,
-      ContentType: contentType,
-      ACL: 'public-read', // Make the object publicly readable
+    // Section videos are made publicly readable where the provider uses ACLs
+    const config = await getStorage().getUploadConfig({
+      path: key,
+      contentType,
+      contentLength,
+      maxSize: MAX_VIDEO_SIZE,
+      acl: 'public-read'
     })
     
-    // Generate presigned URL (expires in 1 hour)
-    const presignedUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 })
-    
-    // Construct public URL
-    const publicUrl = `https://${process.env.AWS_S3_OUTPUT_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`
-    
     return {
       success: true,
       uploadData: {
-        url: presignedUrl,
-        method: 'PUT',
-        headers: {
-          'Content-Type': contentType,
-          // Don't include Content-Length in headers - browser will set it
-        },
-        publicUrl,
+        url: config.url,
+        method: config.method,
+        headers: config.headers,
+        publicUrl: config.publicUrl,
         key,
       }
     }
   } catch (error) {
-    console.error('Error generating S3 upload URL:', error)
+    console.error('Error generating video upload URL:', error)
     return {
       success: false,
       error: error.message
@@ -81,22 +66,21 @@ export async function getS3UploadUrl(params) {
 }
 
 /**
- * Delete video from S3
- * @param {string} key - S3 object key
+ * Delete a video from the configured storage provider
+ * @param {string} key - Storage path of the video
  * @returns {Promise<Object>} Delete result
  */
-export async function deleteS3Video(key) {
+export async function deleteVideoObject(key) {
   try {
-    const command = new DeleteObjectCommand({
-      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
-      Key: key,
-    })
-    
-    await s3Client.send(command)
+    if (typeof key !== 'string' || !key.startsWith('videos/') || key.includes('..')) {
+      throw new Error('Invalid video key')
+    }
+
+    await getStorage().delete(key)
     
     return { success: true }
   } catch (error) {
-    console.error('Error deleting S3 video:', error)
+    console.error('Error deleting video:', error)
     return {
       success: false,
       error: error.message
@@ -133,7 +117,7 @@ export async function updateSectionWithVideo(params) {
         video_duration: duration,
         video_metadata: {
           ...metadata,
-          storage_provider: 'aws-s3',
+          storage_provider: getDefaultStorageType(),
           uploaded_at: new Date().toISOString()
         }
       })
@@ -153,5 +137,9 @@ export async function updateSectionWithVideo(params) {
   }
 }
 
-// Keep the old B2 function name for backward compatibility if needed
-export { getS3UploadUrl as getB2UploadUrl }
\ No newline at end of file
+// Keep the old provider-specific names for backward compatibility if needed
+export {
+  getVideoUploadUrl as getS3UploadUrl,
+  getVideoUploadUrl as getB2UploadUrl,
+  deleteVideoObject as deleteS3Video
+}
\ No newline at end of file
@@ -0,0 +1,296 @@
+'use server'
+
+import { randomUUID } from 'crypto'
+import { supabaseAdmin, getSessionProfile } from '@/lib/supabase-server'
+import { generateWebhookSecret, deliverNow, checkWebhookUrl } from '@/lib/webhooks/webhook-service'
+import { WEBHOOK_EVENTS, WEBHOOK_TEST_EVENT } from '@/lib/constants/webhookEvents'
+
+const VALID_EVENT_TYPES = WEBHOOK_EVENTS.map(event => event.type)
+
+// Only company admins (or super admins) may manage a company's webhooks.
+// Returns the caller's profile when they may.
+async function verifyCompanyAdmin(accessToken, companyId) {
+  const profile = await getSessionProfile(accessToken)
+  if (!profile) return null
+  if (profile.role === 'super_admin') return profile
+  return profile.role === 'company_admin' && profile.company_id === companyId ? profile : null
+}
+
+async function validateEndpoint({ url, events }) {
+  const urlError = await checkWebhookUrl(url)
+  if (urlError) return urlError
+
+  if (!events || events.length === 0) {
+    return 'Select at least one event'
+  }
+  if (events.some(event => !VALID_EVENT_TYPES.includes(event))) {
+    return 'Unknown event type'
+  }
+  return null
+}
+
+export async function listWebhookEndpointsAction({ accessToken, companyId }) {
+  try {
+    if (!accessToken || !companyId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error listing webhook endpoints:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function createWebhookEndpointAction({ accessToken, companyId, url, description, events }) {
+  try {
+    if (!accessToken || !companyId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const validationError = await validateEndpoint({ url, events })
+    if (validationError) {
+      return { success: false, error: validationError }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('webhook_endpoints')
+      .insert({
+        company_id: companyId,
+        url: url.trim(),
+        description: description?.trim() || null,
+        events,
+        secret: generateWebhookSecret(),
+        created_by: profile.id
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await supabaseAdmin.from('audit_log').insert({
+      user_id: profile.id,
+      company_id: companyId,
+      action: 'webhook_endpoint_created',
+      resource_type: 'webhook_endpoint',
+      resource_id: data.id,
+      changes: { url: data.url, events: data.events }
+    })
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function updateWebhookEndpointAction({ accessToken, companyId, endpointId, updates }) {
+  try {
+    if (!accessToken || !companyId || !endpointId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    // Only these fields can be changed from the settings page
+    const allowed = {}
+    if (updates.url !== undefined) allowed.url = updates.url.trim()
+    if (updates.description !== undefined) allowed.description = updates.description?.trim() || null
+    if (updates.events !== undefined) allowed.events = updates.events
+    if (updates.is_active !== undefined) allowed.is_active = !!updates.is_active
+    if (updates.rotateSecret) allowed.secret = generateWebhookSecret()
+
+    if (allowed.url !== undefined || allowed.events !== undefined) {
+      const { data: current } = await supabaseAdmin
+        .from('webhook_endpoints')
+        .select('url, events')
+        .eq('id', endpointId)
+        .single()
+
+      const validationError = await validateEndpoint({ ...current, ...allowed })
+      if (validationError) {
+        return { success: false, error: validationError }
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('webhook_endpoints')
+      .update(allowed)
+      .eq('id', endpointId)
+      .eq('company_id', companyId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await supabaseAdmin.from('audit_log').insert({
+      user_id: profile.id,
+      company_id: companyId,
+      action: 'webhook_endpoint_updated',
+      resource_type: 'webhook_endpoint',
+      resource_id: endpointId,
+      changes: { ...allowed, secret: allowed.secret ? 'rotated' : undefined }
+    })
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function deleteWebhookEndpointAction({ accessToken, companyId, endpointId }) {
+  try {
+    if (!accessToken || !companyId || !endpointId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { error } = await supabaseAdmin
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', endpointId)
+      .eq('company_id', companyId)
+
+    if (error) throw error
+
+    await supabaseAdmin.from('audit_log').insert({
+      user_id: profile.id,
+      company_id: companyId,
+      action: 'webhook_endpoint_deleted',
+      resource_type: 'webhook_endpoint',
+      resource_id: endpointId
+    })
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function listWebhookDeliveriesAction({ accessToken, companyId, endpointId, limit = 25 }) {
+  try {
+    if (!accessToken || !companyId || !endpointId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('id, event_id, event_type, status, attempt_count, next_attempt_at, last_attempt_at, delivered_at, response_status, error, created_at')
+      .eq('endpoint_id', endpointId)
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function sendTestWebhookAction({ accessToken, companyId, endpointId }) {
+  try {
+    if (!accessToken || !companyId || !endpointId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data: endpoint, error: endpointError } = await supabaseAdmin
+      .from('webhook_endpoints')
+      .select('id')
+      .eq('id', endpointId)
+      .eq('company_id', companyId)
+      .single()
+
+    if (endpointError) throw endpointError
+
+    const eventId = randomUUID()
+    const { data: delivery, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .insert({
+        endpoint_id: endpoint.id,
+        company_id: companyId,
+        event_id: eventId,
+        event_type: WEBHOOK_TEST_EVENT,
+        payload: {
+          id: eventId,
+          type: WEBHOOK_TEST_EVENT,
+          created_at: new Date().toISOString(),
+          company_id: companyId,
+          data: { message: 'This is a test event sent from company settings' }
+        },
+        // Kept out of the queue; sent once below and not retried
+        status: 'failed'
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const result = await deliverNow(delivery.id, { retry: false })
+    return { success: true, data: result }
+  } catch (error) {
+    console.error('Error sending test webhook:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function redeliverWebhookAction({ accessToken, companyId, deliveryId }) {
+  try {
+    if (!accessToken || !companyId || !deliveryId) {
+      return { success: false, error: 'Invalid request parameters' }
+    }
+    const profile = await verifyCompanyAdmin(accessToken, companyId)
+    if (!profile) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data: delivery, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('id')
+      .eq('id', deliveryId)
+      .eq('company_id', companyId)
+      .single()
+
+    if (error) throw error
+
+    // Start a fresh retry cycle for this delivery
+    const result = await deliverNow(delivery.id, { restart: true })
+    return { success: true, data: result }
+  } catch (error) {
+    console.error('Error redelivering webhook:', error)
+    return { success: false, error: error.message }
+  }
+}
@@ -513,6 +513,69 @@ export class AIService {
     }
   }
 
+  /**
+   * Pick the most trustworthy reading from the distances found in one frame
+   */
+  selectBestDistance(distances) {
+    if (!distances || distances.length === 0) return null
+
+    return distances.reduce((best, current) => {
+      // Prefer distances with:
+      // 1. Higher confidence
+      // 2. Decimal points (more precise)
+      // 3. Top or bottom position (if confidence is similar)
+      // 4. Format that includes 'M' suffix (if confidence is similar)
+      
+      const confidenceDiff = current.confidence - best.confidence
+      
+      // If confidence difference is significant (>0.1), use confidence
+      if (Math.abs(confidenceDiff) > 0.1) {
+        return current.confidence > best.confidence ? current : best
+      }
+      
+      // If confidence is similar, prefer distances with decimal points
+      if (current.details && best.details) {
+        const currentHasDecimal = current.details.hasDecimal || false
+        const bestHasDecimal = best.details.hasDecimal || false
+        
+        if (currentHasDecimal && !bestHasDecimal) {
+          console.log(`  Preferring ${current.value} (has decimal) over ${best.value}`)
+          return current
+        } else if (!currentHasDecimal && bestHasDecimal) {
+          return best
+        }
+        
+        // If both have or don't have decimals, prefer top/bottom position
+        const currentPosScore = current.details.positionScore || 0
+        const bestPosScore = best.details.positionScore || 0
+        if (currentPosScore > bestPosScore) {
+          return current
+        }
+      }
+      
+      return best
+    })
+  }
+
+  /**
+   * Read only the distance counter from a frame - used when sampling a whole
+   * video, where the observation code lookup is not needed
+   * @returns {Promise<Object|null>} Best distance ({ value, confidence, ... }) or null
+   */
+  async readDistance(imageFile) {
+    if (!this.isEnabled) {
+      throw new Error('AI analysis is disabled')
+    }
+
+    if (!this.apiKey) {
+      throw new Error('AI API key not configured')
+    }
+
+    const imageBase64 = await this.imageToBase64(imageFile)
+    const predictions = await this.callRunPodAPI(imageBase64)
+    return this.selectBestDistance(predictions.distances)
+  }
+
   /**
    * Main analysis function with enhanced distance selection
    */
@@ -534,44 +597,7 @@ export class AIService {
       const predictions = await this.callRunPodAPI(imageBase64)
       
       // Get the best distance with enhanced selection
-      const bestDistance = predictions.distances.length > 0 
-        ? predictions.distances.reduce((best, current) => {
-            // Prefer distances with:
-            // 1. Higher confidence
-            // 2. Decimal points (more precise)
-            // 3. Top or bottom position (if confidence is similar)
-            // 4. Format that includes 'M' suffix (if confidence is similar)
-            
-            const confidenceDiff = current.confidence - best.confidence
-            
-            // If confidence difference is significant (>0.1), use confidence
-            if (Math.abs(confidenceDiff) > 0.1) {
-              return current.confidence > best.confidence ? current : best
-            }
-            
-            // If confidence is similar, prefer distances with decimal points
-            if (current.details && best.details) {
-              const currentHasDecimal = current.details.hasDecimal || false
-              const bestHasDecimal = best.details.hasDecimal || false
-              
-              if (currentHasDecimal && !bestHasDecimal) {
-                console.log(`  Preferring ${current.value} (has decimal) over ${best.value}`)
-                return current
-              } else if (!currentHasDecimal && bestHasDecimal) {
-                return best
-              }
-              
-              // If both have or don't have decimals, prefer top/bottom position
-              const currentPosScore = current.details.positionScore || 0
-              const bestPosScore = best.details.positionScore || 0
-              if (currentPosScore > bestPosScore) {
-                return current
-              }
-            }
-            
-            return best
-          })
-        : null
+      const bestDistance = this.selectBestDistance(predictions.distances)
 
       // Log the selected distance
       if (bestDistance) {
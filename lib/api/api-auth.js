@@ -0,0 +1,259 @@
+// lib/api/api-auth.js
+// API key authentication, rate limiting and usage logging for the public REST API (app/api/v1)
+
+import crypto from 'crypto'
+import { supabaseAdmin } from '@/lib/supabase-server'
+
+export const API_KEY_PREFIX = 'vak_'
+
+const RATE_WINDOW_MS = 60 * 1000
+
+// Report columns returned by list/detail endpoints; the large snapshots come from /snapshot
+export const REPORT_SUMMARY_FIELDS = `
+  id,
+  project_id,
+  report_number,
+  title,
+  status,
+  is_final,
+  weather_conditions,
+  version,
+  stats,
+  created_at,
+  finalized_at
+`
+
+/**
+ * Hash an API key for storage and lookup. Keys are never stored in plain text.
+ * @param {string} apiKey - Full API key
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex')
+}
+
+/**
+ * Generate a new random API key
+ * @returns {Object} { apiKey, keyPrefix, keyHash }
+ */
+export function generateApiKey() {
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`
+  return {
+    apiKey,
+    keyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(apiKey)
+  }
+}
+
+// Accept either "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function getApiKeyFromRequest(request) {
+  const headerKey = request.headers.get('x-api-key')
+  if (headerKey) return headerKey.trim()
+
+  const authHeader = request.headers.get('authorization') || ''
+  const match = authHeader.match(/^Bearer\s+(.+)$/i)
+  return match ? match[1].trim() : null
+}
+
+// Same header precedence as /api/get-ip
+function getClientIp(request) {
+  const forwardedFor = request.headers.get('x-forwarded-for')
+  if (forwardedFor) return forwardedFor.split(',')[0].trim()
+  return request.headers.get('x-real-ip') || request.headers.get('cf-connecting-ip') || null
+}
+
+/**
+ * JSON error response in the API's error format
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra response headers
+ * @returns {Response}
+ */
+export function apiError(status, message, headers = {}) {
+  return Response.json({ error: message }, { status, headers })
+}
+
+/**
+ * Read limit/offset pagination from the query string (max 100 per page)
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} { limit, offset, from, to }
+ */
+export function getPagination(searchParams) {
+  const limit = Math.min(100, Math.max(1, parseInt(searchParams.get('limit'), 10) || 50))
+  const offset = Math.max(0, parseInt(searchParams.get('offset'), 10) || 0)
+  return { limit, offset, from: offset, to: offset + limit - 1 }
+}
+
+// Requests made with this key inside the current rate window.
+// Throws when the count cannot be read, so the rate limit never fails open.
+async function countRecentRequests(apiKeyId) {
+  const since = new Date(Date.now() - RATE_WINDOW_MS).toISOString()
+  const { count, error } = await supabaseAdmin
+    .from('audit_log')
+    .select('id', { count: 'exact', head: true })
+    .eq('action', 'api_request')
+    .eq('changes->>api_key_id', apiKeyId)
+    .gte('created_at', since)
+
+  if (error) throw error
+  return count || 0
+}
+
+async function recordApiUsage(request, apiKey, { resourceType, resourceId, status }) {
+  const url = new URL(request.url)
+  const { error } = await supabaseAdmin
+    .from('audit_log')
+    .insert({
+      company_id: apiKey.company_id,
+      action: 'api_request',
+      resource_type: resourceType,
+      resource_id: resourceId || null,
+      changes: {
+        api_key_id: apiKey.id,
+        api_key_prefix: apiKey.key_prefix,
+        method: request.method,
+        path: url.pathname,
+        query: url.search || null,
+        status
+      },
+      ip_address: getClientIp(request),
+      user_agent: request.headers.get('user-agent')
+    })
+
+  if (error) {
+    console.error('Error recording API usage:', error)
+  }
+
+  await supabaseAdmin
+    .from('company_api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', apiKey.id)
+}
+
+/**
+ * Wrap a route handler with API key authentication, rate limiting and usage logging.
+ * The handler receives (request, { params, apiKey }) and returns a Response; every
+ * authenticated request, including rejected ones, is recorded in audit_log.
+ * @param {string} resourceType - Resource name recorded in audit_log (e.g. 'project')
+ * @param {Function} handler - Route handler
+ * @param {Object} options - { resourceIdParam: route param holding the resource id }
+ * @returns {Function} Next.js route handler
+ */
+export function withApiKey(resourceType, handler, { resourceIdParam } = {}) {
+  return async function apiRoute(request, { params = {} } = {}) {
+    const rawKey = getApiKeyFromRequest(request)
+    if (!rawKey) {
+      return apiError(401, 'Missing API key')
+    }
+
+    const { data: apiKey, error: keyError } = await supabaseAdmin
+      .from('company_api_keys')
+      .select('id, company_id, key_prefix, rate_limit_per_minute, revoked_at')
+      .eq('key_hash', hashApiKey(rawKey))
+      .maybeSingle()
+
+    if (keyError) {
+      console.error('Error looking up API key:', keyError)
+      return apiError(500, 'Internal server error')
+    }
+    if (!apiKey || apiKey.revoked_at) {
+      return apiError(401, 'Invalid or revoked API key')
+    }
+
+    const resourceId = resourceIdParam ? params[resourceIdParam] : null
+    const limit = apiKey.rate_limit_per_minute
+
+    let used
+    try {
+      used = await countRecentRequests(apiKey.id)
+    } catch (error) {
+      console.error('Error counting API requests:', error)
+      return apiError(503, 'Rate limit check unavailable, try again shortly', {
+        'Retry-After': String(RATE_WINDOW_MS / 1000)
+      })
+    }
+
+    const rateHeaders = {
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit - used - 1))
+    }
+
+    if (used >= limit) {
+      await recordApiUsage(request, apiKey, { resourceType, resourceId, status: 429 })
+      return apiError(429, 'Rate limit exceeded', {
+        ...rateHeaders,
+        'X-RateLimit-Remaining': '0',
+        'Retry-After': String(RATE_WINDOW_MS / 1000)
+      })
+    }
+
+    let response
+    try {
+      response = await handler(request, { params, apiKey })
+    } catch (error) {
+      console.error(`Error handling API request for ${resourceType}:`, error)
+      response = apiError(500, 'Internal server error')
+    }
+
+    Object.entries(rateHeaders).forEach(([name, value]) => response.headers.set(name, value))
+    await recordApiUsage(request, apiKey, { resourceType, resourceId, status: response.status })
+
+    return response
+  }
+}
+
+/**
+ * IDs of every user in a company. Projects are owned by users, so this scopes API access.
+ * @param {string} companyId
+ * @returns {Promise<Array<string>>} Profile IDs
+ */
+export async function getCompanyUserIds(companyId) {
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .eq('company_id', companyId)
+
+  if (error) throw error
+  return (data || []).map(profile => profile.id)
+}
+
+/**
+ * Load a project if it belongs to the API key's company
+ * @param {string} companyId
+ * @param {string} projectId
+ * @returns {Promise<Object|null>} Project or null when missing / not the company's
+ */
+export async function getCompanyProject(companyId, projectId) {
+  const { data: project, error } = await supabaseAdmin
+    .from('projects')
+    .select('*')
+    .eq('id', projectId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!project) return null
+
+  const userIds = await getCompanyUserIds(companyId)
+  return userIds.includes(project.user_id) ? project : null
+}
+
+/**
+ * Load a report if its project belongs to the API key's company
+ * @param {string} companyId
+ * @param {string} reportId
+ * @param {string} fields - Columns to select
+ * @returns {Promise<Object|null>} Report or null when missing / not the company's
+ */
+export async function getCompanyReport(companyId, reportId, fields = REPORT_SUMMARY_FIELDS) {
+  const { data: report, error } = await supabaseAdmin
+    .from('reports')
+    .select(fields)
+    .eq('id', reportId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!report) return null
+
+  const project = await getCompanyProject(companyId, report.project_id)
+  return project ? report : null
+}
@@ -0,0 +1,52 @@
+// lib/constants/llmProviders.js
+
+// Providers that can write AI summaries and repair recommendations.
+// All model providers speak the OpenAI chat completions API.
+export const LLM_PROVIDERS = {
+  groq: {
+    label: 'Groq (hosted)',
+    description: 'Default hosted model. Inspection data is sent to Groq.',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKeyEnv: 'GROQ_API_KEY',
+    defaultModel: 'llama-3.1-8b-instant',
+    tokensPerMinute: 6000,
+    requestsPerMinute: 30,
+    external: true
+  },
+  openai: {
+    label: 'OpenAI (hosted)',
+    description: 'Inspection data is sent to OpenAI.',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    defaultModel: 'gpt-4o-mini',
+    tokensPerMinute: 200000,
+    requestsPerMinute: 500,
+    external: true
+  },
+  custom: {
+    label: 'Self-hosted / OpenAI-compatible',
+    description: 'Any OpenAI-compatible endpoint, e.g. vLLM, Ollama or LM Studio on your own infrastructure.',
+    baseUrl: null,
+    apiKeyEnv: null,
+    defaultModel: null,
+    tokensPerMinute: 100000,
+    requestsPerMinute: 60,
+    external: false
+  },
+  template: {
+    label: 'Template only (no model)',
+    description: 'Writes a standard summary from the inspection statistics. No data leaves the system.',
+    external: false
+  }
+}
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'groq',
+  base_url: '',
+  model: '',
+  temperature: 0.1,
+  max_tokens: 1000,
+  requests_per_minute: null,
+  tokens_per_minute: null,
+  fallback_to_template: true
+}
@@ -0,0 +1,28 @@
+// lib/constants/webhookEvents.js
+
+// Events that can be subscribed to by webhook endpoints
+export const WEBHOOK_EVENTS = [
+  {
+    type: 'report.finalized',
+    label: 'Report finalized',
+    description: 'A report is finalized and locked'
+  },
+  {
+    type: 'share.viewed',
+    label: 'Share link viewed',
+    description: 'Someone opens a shared report link'
+  },
+  {
+    type: 'video.transcoded',
+    label: 'Video transcoded',
+    description: 'A pool video has finished transcoding and is ready to play'
+  },
+  {
+    type: 'credits.low',
+    label: 'Credits low',
+    description: 'The credit balance drops below the low credit threshold'
+  }
+]
+
+// Sent by the "Send test event" button; not subscribable
+export const WEBHOOK_TEST_EVENT = 'webhook.test'
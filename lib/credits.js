@@ -1,4 +1,5 @@
 import { supabase } from './supabase'
+import { triggerWebhookDispatch } from './webhooks/trigger-dispatch'
 
 /**
  * Check if a company has sufficient credits for an operation
@@ -49,6 +50,9 @@ export async function consumeCredits(companyId, userId, amount, operationType, d
     
     if (error) throw error
     
+    // Dropping below the company's low credit threshold queues a credits.low event
+    triggerWebhookDispatch()
+    
     return { success: true, newBalance: data }
   } catch (error) {
     console.error('Error consuming credits:', error)
@@ -295,6 +299,8 @@ export function getOperationDisplayName(operationType) {
     'image_capture': 'Frame Capture',
     'frame_extraction': 'Frame Extraction',
     'ai_inference': 'AI Analysis',
+    'distance_ocr': 'Distance Counter OCR',
+    'defect_detection': 'Defect Detection',
     'report_generation': 'Report Generation',
     'manual_adjustment': 'Manual Adjustment',
     'purchase': 'Credit Purchase',
@@ -331,7 +337,9 @@ export async function calculateCreditsRequired(operationType, params = {}) {
         video_upload: 10,
         image_upload: 1,
         image_capture: 1,
-        ai_inference: 5
+        ai_inference: 5,
+        distance_ocr: 10,
+        defect_detection: 25
       }
       return { 
         credits: defaults[operationType] || 1, 
@@ -395,7 +403,9 @@ export async function calculateCreditsRequired(operationType, params = {}) {
       video_upload: 10,
       image_upload: 1,
       image_capture: 1,
-      ai_inference: 5
+      ai_inference: 5,
+      distance_ocr: 10,
+      defect_detection: 25
     }
     return { 
       credits: defaults[operationType] || 1, 
@@ -0,0 +1,110 @@
+import { supabase } from '../../supabase.js'
+import { createObservation } from '../../observations.js'
+import { buildImportPlan, commitImportPlan, CONFLICT_MODES } from '../mscc5-import'
+
+jest.mock('../../supabase.js', () => ({
+  supabase: { from: jest.fn() }
+}))
+
+jest.mock('../../observations.js', () => ({
+  createObservation: jest.fn(async () => ({})),
+  validateObservation: jest.fn(() => [])
+}))
+
+const survey = (header, codes = []) => ({
+  header,
+  observations: codes.map((code, index) => ({ code, distance: index }))
+})
+
+const observationCodes = [{ code: 'CC' }, { code: 'DEG' }]
+
+// Query builder: the highest existing section number, then one insert result per call
+const mockSections = (highestNumber, insertResults) => {
+  const inserted = []
+  supabase.from.mockImplementation(() => {
+    const query = {
+      select: () => query,
+      eq: () => query,
+      order: () => query,
+      limit: async () => ({ data: [{ section_number: highestNumber }], error: null }),
+      insert: ([row]) => {
+        inserted.push(row)
+        const { error } = insertResults.shift() || {}
+        return {
+          select: () => ({
+            single: async () => (error ? { data: null, error } : { data: { id: `section-${inserted.length}`, ...row }, error: null })
+          })
+        }
+      }
+    }
+    return query
+  })
+  return inserted
+}
+
+beforeEach(() => jest.clearAllMocks())
+
+describe('buildImportPlan', () => {
+  test('flags section numbers repeated within the file', () => {
+    const plan = buildImportPlan({
+      surveys: [survey({ section_number: 3 }), survey({ section_number: 3, name: 'Again' }), survey({})],
+      observationCodes
+    })
+
+    expect(plan.sections.map(s => s.status)).toEqual(['new', 'duplicate', 'new'])
+    expect(plan.sections[1].duplicateOf).toBe('0')
+    expect(plan.totals.duplicates).toBe(1)
+  })
+
+  test('numbers unnumbered surveys past the numbers the file uses', () => {
+    const plan = buildImportPlan({
+      surveys: [survey({}), survey({ section_number: 2 })],
+      existingSections: [{ section_number: 1 }],
+      observationCodes
+    })
+
+    expect(plan.sections.map(s => s.header.section_number)).toEqual([3, 2])
+    expect(plan.sections.map(s => s.status)).toEqual(['new', 'new'])
+  })
+})
+
+describe('commitImportPlan', () => {
+  test('keeps imported names when appending conflicting sections', async () => {
+    const inserted = mockSections(5, [])
+    const plan = buildImportPlan({
+      surveys: [survey({ section_number: 1, name: 'Manor Road' }), survey({ section_number: 2 })],
+      existingSections: [{ section_number: 1 }, { section_number: 2 }],
+      observationCodes
+    })
+
+    await commitImportPlan('project-1', plan, { conflictMode: CONFLICT_MODES.APPEND })
+
+    expect(inserted.map(row => [row.section_number, row.name])).toEqual([[6, 'Manor Road'], [7, 'Section 7']])
+  })
+
+  test('carries on past a failed insert and reports what was not imported', async () => {
+    mockSections(0, [{}, { error: { message: 'duplicate key value' } }, {}])
+    createObservation
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('network'))
+
+    const plan = buildImportPlan({
+      surveys: [
+        survey({ section_number: 1, start_ref: 'MH1', finish_ref: 'MH2' }, ['CC', 'DEG']),
+        survey({ section_number: 2, start_ref: 'MH2', finish_ref: 'MH3' }, ['CC']),
+        survey({ section_number: 3, start_ref: 'MH3', finish_ref: 'MH4' }, ['CC']),
+        survey({ section_number: 3 }, ['CC'])
+      ],
+      observationCodes
+    })
+
+    const result = await commitImportPlan('project-1', plan)
+
+    expect(result.createdSections.map(s => s.section_number)).toEqual([1, 3])
+    expect(result.failedSections).toEqual([{ key: '1', label: '#2 MH2 → MH3', error: 'duplicate key value' }])
+    expect(result.duplicateSections).toBe(1)
+    expect(result.createdObservations).toBe(2)
+    expect(result.failedObservations).toBe(2)
+    expect(result.skippedObservations).toBe(1)
+  })
+})
@@ -0,0 +1,56 @@
+import { SHAPE_TYPES, textField, numberField, buildShapefile, parseShapefile } from '../shapefile'
+
+const fields = [textField('REF', 10), numberField('DEPTH', 2, 8)]
+
+describe('buildShapefile / parseShapefile', () => {
+  test('round-trips a point layer with its attributes', () => {
+    const layer = buildShapefile({
+      shapeType: SHAPE_TYPES.POINT,
+      fields,
+      features: [
+        { geometry: [[530269.5, 179640.25]], properties: { REF: 'MH01', DEPTH: 1.5 } },
+        { geometry: [[530300, 179700]], properties: { REF: 'Café', DEPTH: null } }
+      ],
+      prj: 'PROJCS["British_National_Grid"]'
+    })
+
+    const parsed = parseShapefile({ shp: layer.shp, dbf: layer.dbf, cpg: layer.cpg })
+
+    expect(parsed.shapeType).toBe(SHAPE_TYPES.POINT)
+    expect(parsed.fields).toEqual(['REF', 'DEPTH'])
+    expect(parsed.features).toEqual([
+      { geometry: [[530269.5, 179640.25]], properties: { REF: 'MH01', DEPTH: 1.5 } },
+      { geometry: [[530300, 179700]], properties: { REF: 'Café', DEPTH: null } }
+    ])
+  })
+
+  test('round-trips multi-part polylines', () => {
+    const geometry = [
+      [[0, 0], [10, 0], [10, 5]],
+      [[20, 20], [25, 30]]
+    ]
+    const layer = buildShapefile({
+      shapeType: SHAPE_TYPES.POLYLINE,
+      fields: [textField('ID')],
+      features: [{ geometry, properties: { ID: 'l1' } }]
+    })
+
+    const parsed = parseShapefile({ shp: layer.shp, dbf: layer.dbf })
+
+    expect(parsed.shapeType).toBe(SHAPE_TYPES.POLYLINE)
+    expect(parsed.features[0].geometry).toEqual(geometry)
+  })
+
+  test('reads geometry without an attribute table', () => {
+    const { shp } = buildShapefile({
+      shapeType: SHAPE_TYPES.POINT,
+      fields: [],
+      features: [{ geometry: [[1, 2]], properties: {} }]
+    })
+    expect(parseShapefile({ shp }).features).toEqual([{ geometry: [[1, 2]], properties: {} }])
+  })
+
+  test('rejects files that are not Shapefiles', () => {
+    expect(() => parseShapefile({ shp: new Uint8Array(100) })).toThrow('File is not a valid Shapefile')
+  })
+})
@@ -0,0 +1,45 @@
+import { deflateRawSync } from 'zlib'
+import { crc32, createZip, readZip } from '../zip'
+
+const text = (bytes) => new TextDecoder().decode(bytes)
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+  })
+})
+
+describe('createZip / readZip', () => {
+  test('round-trips text and binary entries', async () => {
+    const zip = createZip([
+      { name: 'pipes.prj', data: 'PROJCS["British_National_Grid"]' },
+      { name: 'nodes/ünïcode.cpg', data: new Uint8Array([1, 2, 3]) }
+    ])
+
+    const files = await readZip(zip.buffer)
+
+    expect(files.map(file => file.name)).toEqual(['pipes.prj', 'nodes/ünïcode.cpg'])
+    expect(text(files[0].data)).toBe('PROJCS["British_National_Grid"]')
+    expect([...files[1].data]).toEqual([1, 2, 3])
+  })
+
+  test('inflates deflated entries', async () => {
+    const content = 'MH01,MH02\n'.repeat(50)
+    const deflated = deflateRawSync(Buffer.from(content))
+    const zip = createZip([{ name: 'sections.csv', data: new Uint8Array(deflated) }])
+    // Mark the entry as deflated in both headers, with its uncompressed size in the central directory
+    const view = new DataView(zip.buffer)
+    view.setUint16(8, 8, true)
+    const central = 30 + 'sections.csv'.length + deflated.length
+    view.setUint16(central + 10, 8, true)
+    view.setUint32(central + 24, content.length, true)
+
+    const [file] = await readZip(zip)
+
+    expect(text(file.data)).toBe(content)
+  })
+
+  test('rejects files that are not ZIP archives', async () => {
+    await expect(readZip(new TextEncoder().encode('not a zip file at all, just some text'))).rejects.toThrow('File is not a valid ZIP archive')
+  })
+})
@@ -0,0 +1,354 @@
+// lib/exchange/gis-export.js
+// GIS export of the project network - manholes, pipes and observations as GeoJSON, KML or zipped Shapefile
+
+import { calculateSectionScores } from '@/lib/utils/condition-grading'
+import { wgs84ToBng } from '@/lib/utils/coordinates'
+import { getLineFlow } from '@/lib/utils/pipe-flow'
+import { buildShapefile, SHAPE_TYPES, textField, numberField } from './shapefile'
+import { createZip } from './zip'
+
+export const GIS_FORMATS = {
+  GEOJSON: 'geojson',
+  KML: 'kml',
+  SHAPEFILE: 'shapefile'
+}
+
+export const GIS_CRS = {
+  WGS84: 'EPSG:4326',
+  BNG: 'EPSG:27700'
+}
+
+// Coordinate system definitions written alongside each Shapefile layer
+const PRJ_WKT = {
+  [GIS_CRS.WGS84]: 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
+  [GIS_CRS.BNG]: 'PROJCS["British_National_Grid",GEOGCS["GCS_OSGB_1936",DATUM["D_OSGB_1936",SPHEROID["Airy_1830",6377563.396,299.3249646]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",400000.0],PARAMETER["False_Northing",-100000.0],PARAMETER["Central_Meridian",-2.0],PARAMETER["Scale_Factor",0.9996012717],PARAMETER["Latitude_Of_Origin",49.0],UNIT["Meter",1.0]]'
+}
+
+// Attribute fields per layer. Names stay within the 10 characters a .dbf allows
+// so every format carries the same attribute names.
+export const GIS_LAYERS = {
+  nodes: {
+    name: 'manholes',
+    label: 'Manholes',
+    shapeType: SHAPE_TYPES.POINT,
+    fields: [
+      textField('ref', 30),
+      textField('name', 80),
+      textField('type', 50),
+      numberField('cover_lvl', 3),
+      numberField('invert_lvl', 3),
+      numberField('depth', 3)
+    ]
+  },
+  lines: {
+    name: 'pipes',
+    label: 'Pipes',
+    shapeType: SHAPE_TYPES.POLYLINE,
+    fields: [
+      textField('section', 20),
+      textField('name', 80),
+      textField('start_ref', 30),
+      textField('finish_ref', 30),
+      numberField('diameter', 0),
+      textField('material', 50),
+      textField('use', 30),
+      textField('direction', 20),
+      textField('shape', 30),
+      numberField('struct_gr', 0, 2),
+      numberField('serv_gr', 0, 2),
+      numberField('surveyed_m', 2),
+      textField('us_ref', 30),
+      textField('ds_ref', 30),
+      numberField('us_invert', 3),
+      numberField('ds_invert', 3),
+      numberField('gradient', 5)
+    ]
+  },
+  observations: {
+    name: 'observations',
+    label: 'Observations',
+    shapeType: SHAPE_TYPES.POINT,
+    fields: [
+      textField('section', 20),
+      numberField('distance', 2),
+      textField('code', 10),
+      textField('descr', 120),
+      numberField('severity', 0, 2),
+      textField('clock', 10),
+      textField('remarks', 200)
+    ]
+  }
+}
+
+const isMapFeature = (item) => (item.context || 'map') === 'map'
+
+const toNumber = (value) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : null
+}
+
+const nodeDepth = (node, lines) => {
+  const cover = toNumber(node.cover_level)
+  const invert = toNumber(node.invert_level)
+  if (cover !== null && invert !== null) return Math.round((cover - invert) * 1000) / 1000
+
+  // Fall back to the depth recorded on a section surveyed from or to this node
+  for (const line of lines) {
+    if (line.start_node_id === node.id && toNumber(line.section?.start_depth) !== null) {
+      return toNumber(line.section.start_depth)
+    }
+    if (line.end_node_id === node.id && toNumber(line.section?.finish_depth) !== null) {
+      return toNumber(line.section.finish_depth)
+    }
+  }
+  return null
+}
+
+/**
+ * Collect the network as WGS84 features, coordinates as [lng, lat]
+ * Observations must already carry the lat/lng they are drawn at on the map.
+ * @param {Object} data - { nodes, lines, observations }
+ * @returns {Object} { nodes, lines, observations } - each [{ geometry, properties }]
+ */
+export function buildGisLayers({ nodes = [], lines = [], observations = [] }) {
+  const mapNodes = nodes.filter(node => isMapFeature(node) && node.lat != null && node.lng != null)
+  const nodesById = new Map(mapNodes.map(node => [node.id, node]))
+  const mapLines = lines.filter(isMapFeature)
+
+  const nodeFeatures = mapNodes.map(node => ({
+    geometry: [[node.lng, node.lat]],
+    properties: {
+      ref: node.node_ref || '',
+      name: node.name || '',
+      type: node.node_type?.name || '',
+      cover_lvl: toNumber(node.cover_level),
+      invert_lvl: toNumber(node.invert_level),
+      depth: nodeDepth(node, mapLines)
+    }
+  }))
+
+  const sectionRefs = new Map()
+  const lineFeatures = mapLines.map(line => {
+    const startNode = nodesById.get(line.start_node_id) || line.start_node
+    const endNode = nodesById.get(line.end_node_id) || line.end_node
+    if (!startNode || !endNode) return null
+
+    const section = line.section || {}
+    const sectionObs = section.id ? observations.filter(obs => obs.section_id === section.id) : []
+    const scores = sectionObs.length > 0 ? calculateSectionScores(sectionObs) : null
+    if (section.id) sectionRefs.set(section.id, section.section_number || section.name || '')
+    const flow = getLineFlow({ ...line, section: section.id ? section : null }, startNode, endNode, observations)
+
+    return {
+      geometry: [[
+        [startNode.lng, startNode.lat],
+        ...(line.waypoints || []).map(([lat, lng]) => [lng, lat]),
+        [endNode.lng, endNode.lat]
+      ]],
+      properties: {
+        section: section.section_number != null ? String(section.section_number) : '',
+        name: section.name || '',
+        start_ref: startNode.node_ref || section.start_ref || '',
+        finish_ref: endNode.node_ref || section.finish_ref || '',
+        diameter: toNumber(section.diameter),
+        material: section.material || '',
+        use: section.use_type || '',
+        direction: section.direction || '',
+        shape: section.shape || '',
+        struct_gr: scores?.structural.grade ?? null,
+        serv_gr: scores?.service.grade ?? null,
+        surveyed_m: scores?.length ?? null,
+        us_ref: flow.upstreamNode.node_ref || '',
+        ds_ref: flow.downstreamNode.node_ref || '',
+        us_invert: flow.upstreamInvert,
+        ds_invert: flow.downstreamInvert,
+        gradient: flow.gradient
+      }
+    }
+  }).filter(Boolean)
+
+  const observationFeatures = observations
+    .filter(obs => obs.lat != null && obs.lng != null && sectionRefs.has(obs.section_id))
+    .map(obs => ({
+      geometry: [[obs.lng, obs.lat]],
+      properties: {
+        section: String(sectionRefs.get(obs.section_id)),
+        distance: toNumber(obs.distance),
+        code: obs.code || '',
+        descr: obs.description || obs.name || '',
+        severity: toNumber(obs.severity),
+        clock: [obs.clock_ref_1, obs.clock_ref_2].filter(Boolean).join('-'),
+        remarks: obs.remarks || ''
+      }
+    }))
+
+  return { nodes: nodeFeatures, lines: lineFeatures, observations: observationFeatures }
+}
+
+// Reproject a feature's coordinates, rounding to millimetres in BNG and ~1cm in WGS84
+const projectFeature = (feature, crs) => {
+  const project = crs === GIS_CRS.BNG
+    ? ([lng, lat]) => {
+        const { easting, northing } = wgs84ToBng(lat, lng)
+        return [Math.round(easting * 1000) / 1000, Math.round(northing * 1000) / 1000]
+      }
+    : ([lng, lat]) => [Math.round(lng * 1e7) / 1e7, Math.round(lat * 1e7) / 1e7]
+
+  const geometry = Array.isArray(feature.geometry[0][0])
+    ? feature.geometry.map(part => part.map(project))
+    : feature.geometry.map(project)
+  return { ...feature, geometry }
+}
+
+const projectLayers = (layers, crs) => Object.fromEntries(
+  Object.entries(layers).map(([key, features]) => [key, features.map(feature => projectFeature(feature, crs))])
+)
+
+/**
+ * Build a GeoJSON FeatureCollection holding all three layers.
+ * Each feature's `layer` property says which one it belongs to.
+ */
+export function buildGeoJson(data, { crs = GIS_CRS.WGS84 } = {}) {
+  const layers = projectLayers(buildGisLayers(data), crs)
+
+  const features = Object.entries(layers).flatMap(([key, layerFeatures]) => layerFeatures.map(feature => ({
+    type: 'Feature',
+    geometry: GIS_LAYERS[key].shapeType === SHAPE_TYPES.POINT
+      ? { type: 'Point', coordinates: feature.geometry[0] }
+      : { type: 'LineString', coordinates: feature.geometry[0] },
+    properties: { layer: GIS_LAYERS[key].name, ...feature.properties }
+  })))
+
+  const collection = { type: 'FeatureCollection', name: data.project?.name || 'network' }
+  // RFC 7946 GeoJSON is WGS84 only; QGIS and ArcGIS still honour the older crs member
+  if (crs !== GIS_CRS.WGS84) {
+    collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${crs.split(':')[1]}` } }
+  }
+  collection.features = features
+
+  return JSON.stringify(collection, null, 2)
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+// KML colours are aabbggrr
+const KML_STYLES = {
+  nodes: '<IconStyle><color>ff1e3a8a</color><scale>0.8</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle>',
+  lines: '<LineStyle><color>ffeb6325</color><width>3</width></LineStyle>',
+  observations: '<IconStyle><color>ff2626dc</color><scale>0.6</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/caution.png</href></Icon></IconStyle>'
+}
+
+/**
+ * Build a KML document for Google Earth. KML is always WGS84.
+ */
+export function buildKml(data) {
+  const layers = projectLayers(buildGisLayers(data), GIS_CRS.WGS84)
+  const lines = []
+  const coordinates = (points) => points.map(([lng, lat]) => `${lng},${lat},0`).join(' ')
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>')
+  lines.push('<kml xmlns="http://www.opengis.net/kml/2.2">')
+  lines.push('  <Document>')
+  lines.push(`    <name>${escapeXml(data.project?.name || 'Sewer network')}</name>`)
+  Object.keys(layers).forEach(key => {
+    lines.push(`    <Style id="${GIS_LAYERS[key].name}">${KML_STYLES[key]}</Style>`)
+  })
+
+  Object.entries(layers).forEach(([key, features]) => {
+    const layer = GIS_LAYERS[key]
+    lines.push('    <Folder>')
+    lines.push(`      <name>${layer.label}</name>`)
+    features.forEach(feature => {
+      const { properties } = feature
+      const title = key === 'observations'
+        ? `${properties.code} @ ${properties.distance ?? '-'}m`
+        : (key === 'nodes' ? properties.ref : properties.section) || properties.name
+
+      lines.push('      <Placemark>')
+      lines.push(`        <name>${escapeXml(title || '')}</name>`)
+      lines.push(`        <styleUrl>#${layer.name}</styleUrl>`)
+      lines.push('        <ExtendedData>')
+      layer.fields.forEach(field => {
+        const value = properties[field.name]
+        if (value === null || value === undefined || value === '') return
+        lines.push(`          <Data name="${field.name}"><value>${escapeXml(value)}</value></Data>`)
+      })
+      lines.push('        </ExtendedData>')
+      if (layer.shapeType === SHAPE_TYPES.POINT) {
+        lines.push(`        <Point><coordinates>${coordinates(feature.geometry)}</coordinates></Point>`)
+      } else {
+        lines.push(`        <LineString><tessellate>1</tessellate><coordinates>${coordinates(feature.geometry[0])}</coordinates></LineString>`)
+      }
+      lines.push('      </Placemark>')
+    })
+    lines.push('    </Folder>')
+  })
+
+  lines.push('  </Document>')
+  lines.push('</kml>')
+  return lines.join('\n')
+}
+
+/**
+ * Build a ZIP holding one Shapefile per layer (manholes, pipes, observations)
+ * @returns {Uint8Array} ZIP file bytes
+ */
+export function buildShapefileZip(data, { crs = GIS_CRS.WGS84 } = {}) {
+  const layers = projectLayers(buildGisLayers(data), crs)
+  const files = []
+
+  Object.entries(layers).forEach(([key, features]) => {
+    const layer = GIS_LAYERS[key]
+    const shapefile = buildShapefile({
+      shapeType: layer.shapeType,
+      fields: layer.fields,
+      features,
+      prj: PRJ_WKT[crs]
+    })
+    Object.entries(shapefile).forEach(([extension, content]) => {
+      files.push({ name: `${layer.name}.${extension}`, data: content })
+    })
+  })
+
+  return createZip(files)
+}
+
+/**
+ * Build a GIS export file in the requested format
+ * @param {string} format - GIS_FORMATS value
+ * @param {Object} data - { project, nodes, lines, observations } with observations positioned (lat/lng)
+ * @param {Object} options - { crs: GIS_CRS value } (ignored for KML)
+ * @returns {Object} { filename, content, mimeType }
+ */
+export function buildGisExportFile(format, data, { crs = GIS_CRS.WGS84 } = {}) {
+  const baseName = (data.project?.name || 'survey').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  const date = new Date().toISOString().split('T')[0]
+  const crsSuffix = crs === GIS_CRS.BNG ? 'bng' : 'wgs84'
+
+  if (format === GIS_FORMATS.KML) {
+    return {
+      filename: `${baseName}-network-${date}.kml`,
+      content: buildKml(data),
+      mimeType: 'application/vnd.google-earth.kml+xml'
+    }
+  }
+
+  if (format === GIS_FORMATS.SHAPEFILE) {
+    return {
+      filename: `${baseName}-network-${date}-${crsSuffix}-shp.zip`,
+      content: buildShapefileZip(data, { crs }),
+      mimeType: 'application/zip'
+    }
+  }
+
+  return {
+    filename: `${baseName}-network-${date}-${crsSuffix}.geojson`,
+    content: buildGeoJson(data, { crs }),
+    mimeType: 'application/geo+json'
+  }
+}
@@ -0,0 +1,532 @@
+// lib/exchange/gis-import.js
+// Import of client asset records (GeoJSON, zipped Shapefile, CSV) as map nodes and lines
+
+import { createMapNode, updateMapNode, createMapLine, calculateDistance } from '@/lib/maps'
+import { bngToWgs84 } from '@/lib/utils/coordinates'
+import { GIS_CRS } from './gis-export'
+import { parseCsv } from './mscc5-import'
+import { parseShapefile, SHAPE_TYPES } from './shapefile'
+import { readZip } from './zip'
+
+export const LAYER_ROLES = {
+  NODES: 'nodes',
+  LINES: 'lines',
+  IGNORE: 'ignore'
+}
+
+// Pipe ends further than this from every node get a node of their own
+export const DEFAULT_SNAP_TOLERANCE = 1 // metres
+
+// Attributes we can fill on map_nodes, with the column names clients commonly use
+export const NODE_IMPORT_FIELDS = [
+  {
+    column: 'node_ref',
+    label: 'Manhole reference',
+    required: true,
+    aliases: ['noderef', 'ref', 'mhref', 'manholeref', 'manholeid', 'mhid', 'nodeid', 'manhole', 'assetid', 'unitid', 'reference', 'id']
+  },
+  { column: 'name', label: 'Name', aliases: ['name', 'label', 'title'] },
+  { column: 'node_type', label: 'Node type', aliases: ['nodetype', 'type', 'manholetype', 'assettype', 'featuretype', 'category'] },
+  { column: 'cover_level', label: 'Cover level', aliases: ['coverlevel', 'coverlvl', 'cover', 'cl', 'groundlevel'] },
+  { column: 'invert_level', label: 'Invert level', aliases: ['invertlevel', 'invertlvl', 'invert', 'il'] },
+  { column: 'depth', label: 'Depth (cover to invert)', aliases: ['depth', 'mhdepth', 'chamberdepth'] },
+  { column: 'description', label: 'Description', aliases: ['description', 'desc', 'remarks', 'notes', 'comment'] }
+]
+
+// Attributes used to connect pipes to manholes and surveyed sections
+export const LINE_IMPORT_FIELDS = [
+  {
+    column: 'start_ref',
+    label: 'Start (upstream) manhole',
+    aliases: ['startref', 'start', 'startnode', 'startmh', 'usref', 'usnode', 'usmh', 'upstreammh', 'upstreamnode', 'upstream', 'fromnode', 'from']
+  },
+  {
+    column: 'finish_ref',
+    label: 'Finish (downstream) manhole',
+    aliases: ['finishref', 'finish', 'finishmh', 'endref', 'endnode', 'end', 'dsref', 'dsnode', 'dsmh', 'downstreammh', 'downstreamnode', 'downstream', 'tonode', 'to']
+  }
+]
+
+// CSV columns holding coordinates
+const X_COLUMNS = ['easting', 'east', 'x', 'xcoord', 'lng', 'lon', 'long', 'longitude']
+const Y_COLUMNS = ['northing', 'north', 'y', 'ycoord', 'lat', 'latitude']
+
+// Lower-case and strip punctuation so "Cover_Level" and "CoverLevel" match
+const normaliseKey = (key) => String(key || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+const findColumn = (columns, aliases) => {
+  for (const alias of aliases) {
+    const column = columns.find(c => normaliseKey(c) === alias)
+    if (column) return column
+  }
+  return null
+}
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : null
+}
+
+const cleanRef = (value) => value === null || value === undefined ? '' : String(value).trim()
+
+const isGridCoordinate = ([x, y]) => Math.abs(x) > 180 || Math.abs(y) > 90
+
+/**
+ * Guess the coordinate system of a layer from its coordinates:
+ * anything outside the range of latitude/longitude must be grid metres
+ */
+const detectCrs = (features) => {
+  const point = features.map(f => f.geometry?.flat(2)).find(coords => coords?.length >= 2)
+  return point && isGridCoordinate(point) ? GIS_CRS.BNG : GIS_CRS.WGS84
+}
+
+const crsFromText = (text) => /27700|british_national_grid|osgb/i.test(text || '') ? GIS_CRS.BNG : null
+
+const layerColumns = (features) => {
+  const columns = new Set()
+  features.forEach(feature => Object.keys(feature.properties || {}).forEach(key => columns.add(key)))
+  return Array.from(columns)
+}
+
+// Point geometry is [[x, y]]; line geometry is a list of parts [[[x, y], ...], ...]
+const geoJsonGeometry = (geometry) => {
+  switch (geometry?.type) {
+    case 'Point': return { kind: 'point', geometry: [geometry.coordinates] }
+    case 'MultiPoint': return { kind: 'point', geometry: [geometry.coordinates[0]] }
+    case 'LineString': return { kind: 'line', geometry: [geometry.coordinates] }
+    case 'MultiLineString': return { kind: 'line', geometry: geometry.coordinates }
+    default: return null
+  }
+}
+
+function parseGeoJsonLayers(text, baseName) {
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch {
+    throw new Error('File is not valid GeoJSON')
+  }
+
+  const features = json.type === 'FeatureCollection' ? json.features || [] : [json]
+  const declaredCrs = crsFromText(json.crs?.properties?.name)
+  const groups = new Map()
+
+  features.forEach(feature => {
+    const parsed = geoJsonGeometry(feature.geometry)
+    if (!parsed) return
+    // Our own exports say which layer each feature came from
+    const key = feature.properties?.layer || parsed.kind
+    if (!groups.has(key)) groups.set(key, { kind: parsed.kind, features: [] })
+    groups.get(key).features.push({ geometry: parsed.geometry, properties: feature.properties || {} })
+  })
+
+  return Array.from(groups.entries()).map(([key, group]) => ({
+    name: groups.size > 1 ? `${baseName} (${key})` : baseName,
+    geometryType: group.kind,
+    columns: layerColumns(group.features),
+    features: group.features,
+    crs: declaredCrs || detectCrs(group.features)
+  }))
+}
+
+async function parseShapefileLayers(buffer) {
+  const files = await readZip(buffer)
+  const byName = new Map(files.map(file => [file.name.toLowerCase(), file.data]))
+  const shpFiles = files.filter(file => /\.shp$/i.test(file.name) && !file.name.startsWith('__MACOSX'))
+
+  if (shpFiles.length === 0) {
+    throw new Error('No Shapefile (.shp) found in the ZIP')
+  }
+
+  return shpFiles.map(file => {
+    const base = file.name.replace(/\.shp$/i, '')
+    const sibling = (extension) => byName.get(`${base}.${extension}`.toLowerCase())
+    const decode = (bytes) => bytes ? new TextDecoder().decode(bytes) : null
+
+    const { shapeType, fields, features } = parseShapefile({
+      shp: file.data,
+      dbf: sibling('dbf'),
+      cpg: decode(sibling('cpg'))
+    })
+
+    const withGeometry = features.filter(feature => feature.geometry)
+    return {
+      name: base.split('/').pop(),
+      geometryType: shapeType === SHAPE_TYPES.POINT ? 'point' : 'line',
+      columns: fields,
+      features: withGeometry,
+      crs: crsFromText(decode(sibling('prj'))) || detectCrs(withGeometry)
+    }
+  })
+}
+
+function parseCsvLayer(text, baseName) {
+  const [headerRow, ...dataRows] = parseCsv(text.replace(/^\uFEFF/, ''))
+  if (!headerRow) return []
+
+  const columns = headerRow.map(name => name.trim())
+  const xColumn = findColumn(columns, X_COLUMNS)
+  const yColumn = findColumn(columns, Y_COLUMNS)
+
+  const features = dataRows.map(cells => {
+    const properties = {}
+    columns.forEach((name, index) => { properties[name] = (cells[index] ?? '').trim() })
+
+    const x = xColumn ? toNumber(properties[xColumn]) : null
+    const y = yColumn ? toNumber(properties[yColumn]) : null
+    return { geometry: x !== null && y !== null ? [[x, y]] : null, properties }
+  })
+
+  // A table without coordinates can still describe pipes by their start and finish manholes
+  const hasCoordinates = features.some(feature => feature.geometry)
+
+  return [{
+    name: baseName,
+    geometryType: hasCoordinates ? 'point' : 'table',
+    columns,
+    features,
+    crs: hasCoordinates ? detectCrs(features.filter(feature => feature.geometry)) : null
+  }]
+}
+
+/**
+ * Read a GIS file into layers
+ * @param {File} file - .geojson/.json, .zip (Shapefile) or .csv
+ * @returns {Promise<Array>} [{ name, geometryType: 'point'|'line'|'table', columns, features, crs }]
+ */
+export async function parseGisFile(file) {
+  const baseName = file.name.replace(/\.[^.]+$/, '')
+
+  if (/\.zip$/i.test(file.name)) {
+    return parseShapefileLayers(await file.arrayBuffer())
+  }
+  if (/\.csv$/i.test(file.name)) {
+    return parseCsvLayer(await file.text(), baseName)
+  }
+  if (/\.(geo)?json$/i.test(file.name)) {
+    return parseGeoJsonLayers(await file.text(), baseName)
+  }
+
+  throw new Error('Choose a GeoJSON, zipped Shapefile or CSV file')
+}
+
+/**
+ * What a layer most likely holds: points are manholes, lines and plain tables are pipes
+ */
+export const suggestLayerRole = (layer) => layer.geometryType === 'point' ? LAYER_ROLES.NODES : LAYER_ROLES.LINES
+
+/**
+ * Match source columns to our fields by their usual names
+ * @returns {Object} { [field.column]: sourceColumn or '' }
+ */
+export function suggestFieldMapping(columns, fields) {
+  const mapping = {}
+  const used = new Set()
+  fields.forEach(field => {
+    const column = findColumn(columns.filter(c => !used.has(c)), field.aliases)
+    mapping[field.column] = column || ''
+    if (column) used.add(column)
+  })
+  return mapping
+}
+
+/**
+ * Distinct node type values in a layer, each matched to one of our node types where the names agree
+ * @returns {Object} { [value]: nodeTypeId or '' }
+ */
+export function suggestNodeTypeMapping(layer, typeColumn, nodeTypes = []) {
+  const mapping = {}
+  if (!typeColumn) return mapping
+
+  layer.features.forEach(feature => {
+    const value = cleanRef(feature.properties?.[typeColumn])
+    if (!value || mapping[value] !== undefined) return
+    const key = normaliseKey(value)
+    const match = nodeTypes.find(type => normaliseKey(type.code) === key || normaliseKey(type.name) === key) ||
+      nodeTypes.find(type => key.length >= 2 && normaliseKey(type.name).startsWith(key))
+    mapping[value] = match?.id || ''
+  })
+  return mapping
+}
+
+const toLatLng = ([x, y], crs) => {
+  if (crs === GIS_CRS.BNG) {
+    const { lat, lng } = bngToWgs84(x, y)
+    return [lat, lng]
+  }
+  return [y, x]
+}
+
+const round = (value) => value === null ? null : Math.round(value * 1000) / 1000
+
+/**
+ * Build a dry-run plan of the nodes and lines an import would create or update
+ * @param {Object} params
+ * @param {Object} params.nodeLayer - Layer of manholes (optional)
+ * @param {Object} params.nodeMapping - From suggestFieldMapping with NODE_IMPORT_FIELDS
+ * @param {Object} params.nodeTypeMapping - From suggestNodeTypeMapping
+ * @param {string} params.defaultNodeTypeId - Used for unmapped types and nodes created at pipe ends
+ * @param {Object} params.lineLayer - Layer of pipes (optional)
+ * @param {Object} params.lineMapping - From suggestFieldMapping with LINE_IMPORT_FIELDS
+ * @param {Array} params.existingNodes - The project's map nodes
+ * @param {Array} params.existingLines - The project's map lines
+ * @param {Array} params.sections - The project's sections, linked by start/finish reference
+ * @returns {Object} { nodes, lines, totals }
+ */
+export function buildGisImportPlan({
+  nodeLayer,
+  nodeMapping = {},
+  nodeTypeMapping = {},
+  defaultNodeTypeId = null,
+  lineLayer,
+  lineMapping = {},
+  existingNodes = [],
+  existingLines = [],
+  sections = [],
+  snapTolerance = DEFAULT_SNAP_TOLERANCE
+}) {
+  const mapNodes = existingNodes.filter(node => (node.context || 'map') === 'map')
+  const existingByRef = new Map(mapNodes.filter(n => n.node_ref).map(node => [node.node_ref, node]))
+  const plannedByRef = new Map()
+  const nodes = []
+
+  const addNode = (data, source) => {
+    const existing = existingByRef.get(data.node_ref) || null
+    const planned = { key: `node-${nodes.length}`, data, source, existing, status: existing ? 'update' : 'new', errors: [] }
+    nodes.push(planned)
+    plannedByRef.set(data.node_ref, planned)
+    return planned
+  }
+
+  const field = (properties, mapping, column) => mapping[column] ? properties?.[mapping[column]] : null
+
+  nodeLayer?.features.forEach((feature, index) => {
+    const properties = feature.properties || {}
+    const ref = cleanRef(field(properties, nodeMapping, 'node_ref'))
+    const errors = []
+
+    if (!ref) errors.push('No manhole reference')
+    else if (plannedByRef.has(ref)) errors.push(`Reference ${ref} appears more than once`)
+    if (!feature.geometry) errors.push('No position')
+
+    if (errors.length > 0) {
+      nodes.push({ key: `node-${nodes.length}`, data: { node_ref: ref || `row ${index + 1}` }, source: 'layer', status: 'invalid', errors })
+      return
+    }
+
+    const [lat, lng] = toLatLng(feature.geometry[0], nodeLayer.crs)
+    const cover = toNumber(field(properties, nodeMapping, 'cover_level'))
+    let invert = toNumber(field(properties, nodeMapping, 'invert_level'))
+    const depth = toNumber(field(properties, nodeMapping, 'depth'))
+    if (invert === null && cover !== null && depth !== null) {
+      invert = cover - depth
+    }
+
+    const typeValue = cleanRef(field(properties, nodeMapping, 'node_type'))
+    const data = {
+      node_ref: ref,
+      name: cleanRef(field(properties, nodeMapping, 'name')) || ref,
+      description: cleanRef(field(properties, nodeMapping, 'description')) || null,
+      lat,
+      lng,
+      cover_level: round(cover),
+      invert_level: round(invert)
+    }
+    // Nodes already on the map keep their type unless the file gives one we recognise
+    const nodeTypeId = nodeTypeMapping[typeValue] || (existingByRef.has(ref) ? null : defaultNodeTypeId)
+    if (nodeTypeId) data.node_type_id = nodeTypeId
+    addNode(data, 'layer')
+  })
+
+  // Nearest node (planned or already on the map) to a pipe end
+  const nearestNode = ([lat, lng]) => {
+    let best = null
+    const candidates = [
+      ...nodes.filter(n => n.status !== 'invalid').map(n => ({ ref: n.data.node_ref, lat: n.data.lat, lng: n.data.lng })),
+      ...mapNodes.filter(n => n.node_ref && !plannedByRef.has(n.node_ref)).map(n => ({ ref: n.node_ref, lat: n.lat, lng: n.lng }))
+    ]
+    candidates.forEach(candidate => {
+      const distance = calculateDistance(lat, lng, candidate.lat, candidate.lng)
+      if (distance <= snapTolerance && (!best || distance < best.distance)) {
+        best = { ref: candidate.ref, distance }
+      }
+    })
+    return best?.ref || null
+  }
+
+  const nodeExists = (ref) => plannedByRef.has(ref) || existingByRef.has(ref)
+  const existingPairs = new Set(existingLines
+    .filter(line => (line.context || 'map') === 'map')
+    .map(line => {
+      const start = mapNodes.find(n => n.id === line.start_node_id)?.node_ref
+      const end = mapNodes.find(n => n.id === line.end_node_id)?.node_ref
+      return [start, end].sort().join('|')
+    }))
+  const linkedSectionIds = new Set(existingLines.map(line => line.section_id).filter(Boolean))
+  const plannedPairs = new Set()
+  let generatedRefs = 0
+
+  const lines = (lineLayer?.features || []).map((feature, index) => {
+    const properties = feature.properties || {}
+    const errors = []
+    const notes = []
+    const path = feature.geometry ? feature.geometry.flat().map(point => toLatLng(point, lineLayer.crs)) : []
+
+    let startRef = cleanRef(field(properties, lineMapping, 'start_ref'))
+    let finishRef = cleanRef(field(properties, lineMapping, 'finish_ref'))
+
+    if (path.length >= 2) {
+      // Unlabelled pipe ends join the node they touch, or get a new node of their own
+      const resolveEnd = (ref, point) => {
+        if (ref) {
+          if (!nodeExists(ref)) {
+            addNode({ node_ref: ref, name: ref, lat: point[0], lng: point[1], node_type_id: defaultNodeTypeId }, 'pipe end')
+            notes.push(`Adds manhole ${ref} at the pipe end`)
+          }
+          return ref
+        }
+        const snapped = nearestNode(point)
+        if (snapped) return snapped
+
+        let generated
+        do {
+          generated = `IMP${String(++generatedRefs).padStart(3, '0')}`
+        } while (nodeExists(generated))
+        addNode({ node_ref: generated, name: generated, lat: point[0], lng: point[1], node_type_id: defaultNodeTypeId }, 'pipe end')
+        notes.push(`Adds unnamed manhole ${generated} at the pipe end`)
+        return generated
+      }
+      startRef = resolveEnd(startRef, path[0])
+      finishRef = resolveEnd(finishRef, path[path.length - 1])
+    } else {
+      if (!startRef || !finishRef) errors.push('Needs both a start and finish manhole')
+      else {
+        if (!nodeExists(startRef)) errors.push(`Manhole ${startRef} is not in the import or on the map`)
+        if (!nodeExists(finishRef)) errors.push(`Manhole ${finishRef} is not in the import or on the map`)
+      }
+    }
+
+    if (startRef && startRef === finishRef) errors.push('Starts and finishes at the same manhole')
+
+    let waypoints = path.slice(1, -1)
+
+    // Link to the surveyed section; a section surveyed against the drawn direction flips the line
+    // so observations are placed from the section's start
+    let section = sections.find(s => s.start_ref === startRef && s.finish_ref === finishRef) || null
+    if (!section) {
+      section = sections.find(s => s.start_ref === finishRef && s.finish_ref === startRef) || null
+      if (section) {
+        const sectionStart = finishRef
+        finishRef = startRef
+        startRef = sectionStart
+        waypoints = waypoints.reverse()
+        notes.push('Drawn from the section start')
+      }
+    }
+    if (section && linkedSectionIds.has(section.id)) {
+      notes.push(`${section.name || `Section ${section.section_number}`} is already on the map`)
+      section = null
+    }
+
+    const pairKey = [startRef, finishRef].sort().join('|')
+    let status = errors.length > 0 ? 'invalid' : 'new'
+    if (status === 'new' && (existingPairs.has(pairKey) || plannedPairs.has(pairKey))) {
+      status = 'exists'
+    }
+    if (status === 'new') {
+      plannedPairs.add(pairKey)
+      if (section) linkedSectionIds.add(section.id)
+    }
+
+    return {
+      key: `line-${index}`,
+      startRef,
+      finishRef,
+      waypoints,
+      section: status === 'new' ? section : null,
+      status,
+      errors,
+      notes
+    }
+  })
+
+  return {
+    nodes,
+    lines,
+    totals: {
+      newNodes: nodes.filter(n => n.status === 'new').length,
+      updatedNodes: nodes.filter(n => n.status === 'update').length,
+      invalidNodes: nodes.filter(n => n.status === 'invalid').length,
+      newLines: lines.filter(l => l.status === 'new').length,
+      existingLines: lines.filter(l => l.status === 'exists').length,
+      invalidLines: lines.filter(l => l.status === 'invalid').length,
+      linkedSections: lines.filter(l => l.section).length
+    }
+  }
+}
+
+/**
+ * Commit an import plan to the project's map. Each insert stands on its own: a failure is
+ * recorded and the import carries on, and pipes whose manholes could not be saved are
+ * reported rather than dropped.
+ * @param {string} projectId - Target project
+ * @param {Object} plan - Result of buildGisImportPlan
+ * @param {Object} options - { updateExisting: overwrite position and levels of nodes already on the map }
+ * @returns {Object} { createdNodes, updatedNodes, createdLines, linkedSections,
+ *   failedNodes: [{ key, label, error }], failedLines: [{ key, label, error }] }
+ */
+export async function commitGisImportPlan(projectId, plan, { updateExisting = true, existingNodes = [] } = {}) {
+  const result = { createdNodes: 0, updatedNodes: 0, createdLines: 0, linkedSections: 0, failedNodes: [], failedLines: [] }
+  const nodeIdsByRef = new Map(existingNodes
+    .filter(node => (node.context || 'map') === 'map' && node.node_ref)
+    .map(node => [node.node_ref, node.id]))
+
+  for (const planned of plan.nodes) {
+    try {
+      if (planned.status === 'new') {
+        const node = await createMapNode({ project_id: projectId, ...planned.data, context: 'map' })
+        nodeIdsByRef.set(node.node_ref, node.id)
+        result.createdNodes++
+      } else if (planned.status === 'update' && updateExisting) {
+        // Blank attributes in the file leave what is already recorded alone
+        const updates = Object.fromEntries(Object.entries(planned.data).filter(([, value]) => value !== null && value !== ''))
+        await updateMapNode(planned.existing.id, updates)
+        result.updatedNodes++
+      }
+    } catch (error) {
+      result.failedNodes.push({ key: planned.key, label: `Manhole ${planned.data.node_ref}`, error: error.message })
+    }
+  }
+
+  for (const planned of plan.lines) {
+    if (planned.status !== 'new') continue
+
+    const label = `Pipe ${planned.startRef} → ${planned.finishRef}`
+    const startNodeId = nodeIdsByRef.get(planned.startRef)
+    const endNodeId = nodeIdsByRef.get(planned.finishRef)
+    if (!startNodeId || !endNodeId) {
+      const missing = [!startNodeId && planned.startRef, !endNodeId && planned.finishRef].filter(Boolean)
+      result.failedLines.push({ key: planned.key, label, error: `Manhole ${missing.join(' and ')} could not be saved` })
+      continue
+    }
+
+    try {
+      await createMapLine({
+        project_id: projectId,
+        start_node_id: startNodeId,
+        end_node_id: endNodeId,
+        waypoints: planned.waypoints,
+        line_type: 'drain',
+        section_id: planned.section?.id || null,
+        context: 'map'
+      })
+      result.createdLines++
+      if (planned.section) result.linkedSections++
+    } catch (error) {
+      result.failedLines.push({ key: planned.key, label, error: error.message })
+    }
+  }
+
+  return result
+}
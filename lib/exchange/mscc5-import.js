@@ -0,0 +1,393 @@
+// lib/exchange/mscc5-import.js
+// Import of third-party CCTV survey files (MSCC5 XML / PACP-style CSV) into a project
+
+import { supabase } from '../supabase.js'
+import { createObservation, validateObservation } from '../observations.js'
+import { HEADER_FIELDS, DETAIL_FIELDS } from './mscc5.js'
+
+// Column names used by PACP-style CSV exports, mapped onto our columns
+const PACP_HEADER_ALIASES = {
+  pipesegmentreference: 'name',
+  upstreammh: 'start_ref',
+  upstreammanhole: 'start_ref',
+  downstreammh: 'finish_ref',
+  downstreammanhole: 'finish_ref',
+  upstreamdepth: 'start_depth',
+  downstreamdepth: 'finish_depth',
+  height: 'diameter',
+  diameter: 'diameter',
+  material: 'material',
+  shape: 'shape',
+  liningmethod: 'lining_type',
+  inspectiondate: 'inspection_date',
+  purpose: 'inspection_purpose',
+  precleaning: 'precleaned',
+  flowcontrol: 'flow_control',
+  weather: 'weather',
+  direction: 'direction',
+  additionalinfo: 'general_remarks'
+}
+
+const PACP_DETAIL_ALIASES = {
+  distance: 'distance',
+  pacpcode: 'code',
+  code: 'code',
+  continuous: 'continuous',
+  value1stdimension: 'dimension_1',
+  value2nddimension: 'dimension_2',
+  valuepercent: 'loss_percentage',
+  joint: 'is_at_joint',
+  clockatfrom: 'clock_ref_1',
+  clockto: 'clock_ref_2',
+  remarks: 'remarks',
+  vcrtime: 'video_ref',
+  imagereference: 'photo_ref'
+}
+
+const NUMERIC_COLUMNS = ['distance', 'dimension_1', 'dimension_2', 'loss_percentage', 'severity', 'start_depth', 'finish_depth']
+
+export const CONFLICT_MODES = {
+  SKIP: 'skip',
+  APPEND: 'append'
+}
+
+// Lower-case and strip punctuation so "Upstream_MH" and "UpstreamMH" match
+const normaliseKey = (key) => String(key || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+const buildLookup = (fields, aliases) => {
+  const lookup = { ...aliases }
+  fields.forEach(field => {
+    lookup[normaliseKey(field.tag)] = field.column || 'continuous'
+  })
+  return lookup
+}
+
+const HEADER_LOOKUP = buildLookup(HEADER_FIELDS, PACP_HEADER_ALIASES)
+const DETAIL_LOOKUP = buildLookup(DETAIL_FIELDS, PACP_DETAIL_ALIASES)
+
+// Convert raw exchange values into the shape stored on sections/observations
+const coerceValue = (column, raw) => {
+  const value = typeof raw === 'string' ? raw.trim() : raw
+  if (value === '' || value === null || value === undefined) return null
+
+  if (NUMERIC_COLUMNS.includes(column)) {
+    const number = parseFloat(value)
+    return isNaN(number) ? value : number
+  }
+  if (column === 'section_number') return parseInt(value, 10) || null
+  if (column === 'is_at_joint') return /^(j|y|yes|true|1)$/i.test(value)
+  if (column === 'direction') {
+    if (/^d$/i.test(value)) return 'Downstream'
+    if (/^u$/i.test(value)) return 'Upstream'
+  }
+  if (column === 'inspection_date') {
+    const date = new Date(value)
+    return isNaN(date.getTime()) ? value : date.toISOString().split('T')[0]
+  }
+  return value
+}
+
+const mapRecord = (record, lookup) => {
+  const mapped = {}
+  Object.entries(record).forEach(([key, raw]) => {
+    const column = lookup[normaliseKey(key)]
+    if (!column) return
+    const value = coerceValue(column, raw)
+    if (value !== null && mapped[column] === undefined) {
+      mapped[column] = value
+    }
+  })
+  return mapped
+}
+
+// Turn an S01/F01 style continuous defect reference into our boolean flags
+const applyContinuous = (observation) => {
+  const { continuous, ...rest } = observation
+  if (continuous) {
+    const ref = String(continuous).toUpperCase()
+    rest.continuous_defect_starts = ref.startsWith('S')
+    rest.continuous_defect_ends = ref.startsWith('F')
+  }
+  return rest
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''))
+}
+
+const parseCsvSurveys = (text) => {
+  const [headerRow, ...dataRows] = parseCsv(text.replace(/^\uFEFF/, ''))
+  if (!headerRow) return []
+
+  const surveys = new Map()
+
+  dataRows.forEach(cells => {
+    const record = {}
+    headerRow.forEach((name, index) => { record[name] = cells[index] ?? '' })
+
+    const header = mapRecord(record, HEADER_LOOKUP)
+    const detail = applyContinuous(mapRecord(record, DETAIL_LOOKUP))
+
+    const key = header.section_number != null
+      ? `#${header.section_number}`
+      : `${header.start_ref || ''}>${header.finish_ref || ''}`
+
+    if (!surveys.has(key)) {
+      surveys.set(key, { header, observations: [] })
+    }
+    if (detail.code) {
+      surveys.get(key).observations.push(detail)
+    }
+  })
+
+  return Array.from(surveys.values())
+}
+
+const parseXmlSurveys = (text) => {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('XML import is only available in the browser')
+  }
+
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML')
+  }
+
+  const childValues = (element) => {
+    const record = {}
+    if (!element) return record
+    Array.from(element.children).forEach(child => {
+      record[child.tagName] = child.textContent
+    })
+    return record
+  }
+
+  return Array.from(doc.getElementsByTagName('Survey')).map(survey => {
+    const headerElement = survey.getElementsByTagName('Header')[0]
+    const observationElements = Array.from(survey.getElementsByTagName('Observation'))
+
+    return {
+      header: mapRecord(childValues(headerElement), HEADER_LOOKUP),
+      observations: observationElements
+        .map(element => applyContinuous(mapRecord(childValues(element), DETAIL_LOOKUP)))
+        .filter(obs => obs.code)
+    }
+  })
+}
+
+/**
+ * Parse an exchange file into surveys of { header, observations }
+ * @param {string} text - File contents
+ * @param {string} filename - Original filename, used to detect the format
+ * @returns {Array} Parsed surveys
+ */
+export function parseExchangeFile(text, filename = '') {
+  const isXml = /\.xml$/i.test(filename) || text.trimStart().startsWith('<')
+  return isXml ? parseXmlSurveys(text) : parseCsvSurveys(text)
+}
+
+/**
+ * Build a dry-run plan comparing parsed surveys with the project's existing sections
+ * @param {Object} params - { surveys, existingSections, observationCodes }
+ * @returns {Object} Plan with per-section status ('new', 'conflict' or 'duplicate'), observation errors and unknown codes
+ */
+export function buildImportPlan({ surveys, existingSections = [], observationCodes = [] }) {
+  const codesByValue = {}
+  observationCodes.forEach(code => { codesByValue[code.code?.toUpperCase()] = code })
+
+  const unknownCodes = new Set()
+  // Numbers generated for unnumbered surveys skip those the file uses itself
+  const fileNumbers = new Set(surveys.map(survey => survey.header.section_number).filter(number => number != null))
+  let nextNumber = existingSections.reduce((max, s) => Math.max(max, s.section_number || 0), 0) + 1
+  const takeNextNumber = () => {
+    while (fileNumbers.has(nextNumber)) nextNumber++
+    return nextNumber++
+  }
+  const firstWithNumber = new Map()
+
+  const sections = surveys.map((survey, index) => {
+    const header = { ...survey.header }
+    if (header.section_number == null) {
+      header.section_number = takeNextNumber()
+    }
+    const nameGenerated = !header.name
+    if (nameGenerated) {
+      header.name = `Section ${header.section_number}`
+    }
+
+    const conflictWith = existingSections.find(s => s.section_number === header.section_number) || null
+    const duplicateOf = firstWithNumber.get(header.section_number) || null
+    if (!duplicateOf) firstWithNumber.set(header.section_number, `${index}`)
+
+    const observations = survey.observations.map(obs => {
+      const code = obs.code.toUpperCase()
+      const codeDetails = codesByValue[code] || null
+      const errors = validateObservation({ ...obs, code }, codeDetails)
+
+      if (!codeDetails) {
+        unknownCodes.add(code)
+        errors.push(`Unknown observation code "${code}"`)
+      }
+
+      return { data: { ...obs, code }, errors }
+    })
+
+    return {
+      key: `${index}`,
+      header,
+      nameGenerated,
+      observations,
+      // A number repeated within the file is never imported twice
+      status: duplicateOf ? 'duplicate' : conflictWith ? 'conflict' : 'new',
+      conflictWith,
+      duplicateOf
+    }
+  })
+
+  return {
+    sections,
+    unknownCodes: Array.from(unknownCodes).sort(),
+    totals: {
+      sections: sections.length,
+      newSections: sections.filter(s => s.status === 'new').length,
+      conflicts: sections.filter(s => s.status === 'conflict').length,
+      duplicates: sections.filter(s => s.status === 'duplicate').length,
+      observations: sections.reduce((sum, s) => sum + s.observations.length, 0),
+      invalidObservations: sections.reduce((sum, s) => sum + s.observations.filter(o => o.errors.length > 0).length, 0)
+    }
+  }
+}
+
+/**
+ * Commit an import plan. Observations with validation errors are skipped, as are sections
+ * repeating a number earlier in the file. Each insert stands on its own: a failure is recorded
+ * and the import carries on, so the result says exactly what was and was not imported.
+ * @param {string} projectId - Target project
+ * @param {Object} plan - Result of buildImportPlan
+ * @param {Object} options - { conflictMode }
+ * @returns {Object} { createdSections, skippedSections, duplicateSections, failedSections: [{ key, label, error }],
+ *   createdObservations, skippedObservations, failedObservations }
+ */
+export async function commitImportPlan(projectId, plan, { conflictMode = CONFLICT_MODES.SKIP } = {}) {
+  const result = {
+    createdSections: [],
+    skippedSections: 0,
+    duplicateSections: 0,
+    failedSections: [],
+    createdObservations: 0,
+    skippedObservations: 0,
+    failedObservations: 0
+  }
+
+  const { data: existing, error: numberError } = await supabase
+    .from('sections')
+    .select('section_number')
+    .eq('project_id', projectId)
+    .order('section_number', { ascending: false })
+    .limit(1)
+
+  if (numberError) throw numberError
+
+  let nextNumber = (existing?.[0]?.section_number || 0) + 1
+
+  for (const planned of plan.sections) {
+    if (planned.status === 'duplicate') {
+      result.duplicateSections++
+      result.skippedObservations += planned.observations.length
+      continue
+    }
+    if (planned.status === 'conflict' && conflictMode !== CONFLICT_MODES.APPEND) {
+      result.skippedSections++
+      result.skippedObservations += planned.observations.length
+      continue
+    }
+
+    const header = { ...planned.header }
+    if (planned.status === 'conflict') {
+      header.section_number = nextNumber
+      // Names from the file are kept; only generated ones follow the new number
+      if (planned.nameGenerated) header.name = `Section ${nextNumber}`
+    }
+    nextNumber = Math.max(nextNumber, header.section_number) + 1
+
+    const label = `#${header.section_number} ${header.start_ref || '?'} → ${header.finish_ref || '?'}`
+    const { data: section, error } = await supabase
+      .from('sections')
+      .insert([{ project_id: projectId, ...header }])
+      .select()
+      .single()
+
+    if (error) {
+      console.error('Error importing section:', error)
+      result.failedSections.push({ key: planned.key, label, error: error.message })
+      result.failedObservations += planned.observations.filter(o => o.errors.length === 0).length
+      result.skippedObservations += planned.observations.filter(o => o.errors.length > 0).length
+      continue
+    }
+
+    result.createdSections.push(section)
+
+    for (const { data: obs, errors } of planned.observations) {
+      if (errors.length > 0) {
+        result.skippedObservations++
+        continue
+      }
+
+      try {
+        await createObservation(section.id, {
+          ...obs,
+          name: obs.distance != null ? `${obs.code} at ${obs.distance}m` : obs.code
+        })
+        result.createdObservations++
+      } catch (observationError) {
+        console.error('Error importing observation:', observationError)
+        result.failedObservations++
+      }
+    }
+  }
+
+  return result
+}
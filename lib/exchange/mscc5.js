@@ -0,0 +1,239 @@
+// lib/exchange/mscc5.js
+// WRc MSCC5 / SRM survey interchange - XML and CSV export of sections and observations
+
+// Header record fields (one per surveyed section), in MSCC5 header order
+export const HEADER_FIELDS = [
+  { tag: 'SectionNumber', column: 'section_number' },
+  { tag: 'SectionName', column: 'name' },
+  { tag: 'StartNodeRef', column: 'start_ref' },
+  { tag: 'StartNodeType', column: 'start_type' },
+  { tag: 'StartNodeDepth', column: 'start_depth' },
+  { tag: 'StartNodeCoordinates', column: 'start_coordinates' },
+  { tag: 'FinishNodeRef', column: 'finish_ref' },
+  { tag: 'FinishNodeType', column: 'finish_type' },
+  { tag: 'FinishNodeDepth', column: 'finish_depth' },
+  { tag: 'FinishNodeCoordinates', column: 'finish_coordinates' },
+  { tag: 'Direction', column: 'direction' },
+  { tag: 'HeightDiameter', column: 'diameter' },
+  { tag: 'UseOfDrainSewer', column: 'use_type' },
+  { tag: 'Material', column: 'material' },
+  { tag: 'Shape', column: 'shape' },
+  { tag: 'SectionType', column: 'section_type' },
+  { tag: 'LiningType', column: 'lining_type' },
+  { tag: 'LiningMaterial', column: 'lining_material' },
+  { tag: 'PurposeOfInspection', column: 'inspection_purpose' },
+  { tag: 'FlowControlMeasures', column: 'flow_control' },
+  { tag: 'PreCleaned', column: 'precleaned' },
+  { tag: 'MethodOfInspection', column: 'survey_method' },
+  { tag: 'LocationTypeCode', column: 'location_type' },
+  { tag: 'Date', column: 'inspection_date' },
+  { tag: 'Weather', column: 'weather' },
+  { tag: 'LocationDetails', column: 'location_if_different' },
+  { tag: 'GeneralRemarks', column: 'general_remarks' }
+]
+
+// Detail record fields (one per observation), in MSCC5 detail order
+export const DETAIL_FIELDS = [
+  { tag: 'Distance', column: 'distance' },
+  { tag: 'ContinuousDefect', column: null }, // Derived S01/F01 reference
+  { tag: 'Code', column: 'code' },
+  { tag: 'Band', column: 'band' },
+  { tag: 'DefectMaterial', column: 'material' },
+  { tag: 'Type', column: 'type' },
+  { tag: 'Dimension1', column: 'dimension_1' },
+  { tag: 'Dimension2', column: 'dimension_2' },
+  { tag: 'Percentage', column: 'loss_percentage' },
+  { tag: 'ClockAt', column: 'clock_ref_1' },
+  { tag: 'ClockTo', column: 'clock_ref_2' },
+  { tag: 'Joint', column: 'is_at_joint' },
+  { tag: 'Remarks', column: 'remarks' },
+  { tag: 'VideoRef', column: 'video_ref' },
+  { tag: 'PhotoRef', column: 'photo_ref' },
+  { tag: 'Severity', column: 'severity' }
+]
+
+export const EXCHANGE_FORMATS = {
+  XML: 'xml',
+  CSV: 'csv'
+}
+
+/**
+ * Assign MSCC5 continuous defect references (S01/F01, S02/F02...) to a section's observations.
+ * Starts are matched to the earliest open start of the same code.
+ * @param {Array} observations - Observations for a single section
+ * @returns {Map} Observation id -> continuous defect reference
+ */
+export function assignContinuousDefectRefs(observations) {
+  const refs = new Map()
+  const openByCode = {}
+  let counter = 0
+
+  const sorted = [...observations].sort((a, b) => (a.distance || 0) - (b.distance || 0))
+
+  sorted.forEach(obs => {
+    const code = obs.code?.toUpperCase() || ''
+    if (obs.continuous_defect_starts) {
+      counter++
+      const number = String(counter).padStart(2, '0')
+      refs.set(obs.id, `S${number}`)
+      if (!openByCode[code]) openByCode[code] = []
+      openByCode[code].push(number)
+    } else if (obs.continuous_defect_ends) {
+      const number = openByCode[code]?.shift()
+      // An unmatched finish still gets a reference so it is not lost on import
+      refs.set(obs.id, `F${number || String(++counter).padStart(2, '0')}`)
+    }
+  })
+
+  return refs
+}
+
+/**
+ * Normalise a section direction value to the MSCC5 D/U code
+ * @param {string} direction - Direction as stored on the section
+ * @returns {string} 'D', 'U' or the original value
+ */
+export function toDirectionCode(direction) {
+  if (!direction) return ''
+  const value = String(direction).trim().toUpperCase()
+  if (value.startsWith('D')) return 'D'
+  if (value.startsWith('U')) return 'U'
+  return direction
+}
+
+// Format a single field value for output
+const formatValue = (field, record, continuousRefs) => {
+  if (field.tag === 'ContinuousDefect') {
+    return continuousRefs.get(record.id) || ''
+  }
+
+  const value = record[field.column]
+  if (value === null || value === undefined) return ''
+
+  if (field.tag === 'Direction') return toDirectionCode(value)
+  if (field.tag === 'Joint') return value ? 'J' : ''
+  if (field.tag === 'Distance') return Number(value).toFixed(2)
+  if (field.tag === 'Date') return String(value).split('T')[0]
+
+  return String(value)
+}
+
+// Group observations under their sections, ordered by distance
+const groupSurveys = (sections, observations) => {
+  const sortedSections = [...sections].sort((a, b) => (a.section_number || 0) - (b.section_number || 0))
+
+  return sortedSections.map(section => {
+    const sectionObs = observations
+      .filter(obs => obs.section_id === section.id)
+      .sort((a, b) => (a.distance || 0) - (b.distance || 0))
+
+    return {
+      section,
+      observations: sectionObs,
+      continuousRefs: assignContinuousDefectRefs(sectionObs)
+    }
+  })
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const escapeCsv = (value) => {
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build an MSCC5 XML exchange document
+ * @param {Object} data - { project, sections, observations }
+ * @returns {string} XML document
+ */
+export function buildMSCC5Xml({ project, sections = [], observations = [] }) {
+  const lines = []
+  const element = (indent, tag, value) => {
+    lines.push(value === '' ? `${indent}<${tag}/>` : `${indent}<${tag}>${escapeXml(value)}</${tag}>`)
+  }
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>')
+  lines.push(`<SurveyExchange standard="MSCC5" version="1.0" generated="${new Date().toISOString()}">`)
+  lines.push('  <Project>')
+  element('    ', 'Name', project?.name || '')
+  element('    ', 'Client', project?.client_name || '')
+  element('    ', 'SiteTownCity', project?.site_town_city || '')
+  element('    ', 'SitePostcode', project?.site_postal_code || '')
+  lines.push('  </Project>')
+
+  groupSurveys(sections, observations).forEach(({ section, observations: sectionObs, continuousRefs }) => {
+    lines.push('  <Survey>')
+    lines.push('    <Header>')
+    HEADER_FIELDS.forEach(field => element('      ', field.tag, formatValue(field, section, continuousRefs)))
+    lines.push('    </Header>')
+    lines.push('    <Observations>')
+    sectionObs.forEach(obs => {
+      lines.push('      <Observation>')
+      DETAIL_FIELDS.forEach(field => element('        ', field.tag, formatValue(field, obs, continuousRefs)))
+      lines.push('      </Observation>')
+    })
+    lines.push('    </Observations>')
+    lines.push('  </Survey>')
+  })
+
+  lines.push('</SurveyExchange>')
+  return lines.join('\n')
+}
+
+/**
+ * Build a flat CSV export: one row per observation carrying its section header fields.
+ * Sections without observations still produce a single header-only row.
+ * @param {Object} data - { project, sections, observations }
+ * @returns {string} CSV text
+ */
+export function buildMSCC5Csv({ sections = [], observations = [] }) {
+  const columns = [...HEADER_FIELDS.map(f => f.tag), ...DETAIL_FIELDS.map(f => f.tag)]
+  const rows = [columns.join(',')]
+
+  groupSurveys(sections, observations).forEach(({ section, observations: sectionObs, continuousRefs }) => {
+    const header = HEADER_FIELDS.map(field => formatValue(field, section, continuousRefs))
+
+    if (sectionObs.length === 0) {
+      rows.push([...header, ...DETAIL_FIELDS.map(() => '')].map(escapeCsv).join(','))
+      return
+    }
+
+    sectionObs.forEach(obs => {
+      const detail = DETAIL_FIELDS.map(field => formatValue(field, obs, continuousRefs))
+      rows.push([...header, ...detail].map(escapeCsv).join(','))
+    })
+  })
+
+  return rows.join('\r\n')
+}
+
+/**
+ * Build an exchange file in the requested format
+ * @param {string} format - EXCHANGE_FORMATS value
+ * @param {Object} data - { project, sections, observations }
+ * @returns {Object} { filename, content, mimeType }
+ */
+export function buildExchangeFile(format, data) {
+  const baseName = (data.project?.name || 'survey').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  const date = new Date().toISOString().split('T')[0]
+
+  if (format === EXCHANGE_FORMATS.CSV) {
+    return {
+      filename: `${baseName}-mscc5-${date}.csv`,
+      content: buildMSCC5Csv(data),
+      mimeType: 'text/csv'
+    }
+  }
+
+  return {
+    filename: `${baseName}-mscc5-${date}.xml`,
+    content: buildMSCC5Xml(data),
+    mimeType: 'application/xml'
+  }
+}
@@ -0,0 +1,315 @@
+// lib/exchange/shapefile.js
+// ESRI Shapefile reader and writer (.shp/.shx/.dbf) for point and polyline layers
+
+export const SHAPE_TYPES = {
+  NULL: 0,
+  POINT: 1,
+  POLYLINE: 3
+}
+
+// Z and M variants share the X/Y layout of their plain type; extra values follow and are ignored
+const BASE_SHAPE_TYPES = {
+  1: SHAPE_TYPES.POINT,
+  11: SHAPE_TYPES.POINT,
+  21: SHAPE_TYPES.POINT,
+  3: SHAPE_TYPES.POLYLINE,
+  13: SHAPE_TYPES.POLYLINE,
+  23: SHAPE_TYPES.POLYLINE
+}
+
+const HEADER_LENGTH = 100
+
+/**
+ * Attribute field definition for the .dbf table
+ * name - Up to 10 characters
+ * type - 'C' (text) or 'N' (number)
+ * length - Field width in characters
+ * decimals - Decimal places for 'N' fields
+ */
+export const textField = (name, length = 50) => ({ name, type: 'C', length, decimals: 0 })
+export const numberField = (name, decimals = 0, length = 18) => ({ name, type: 'N', length, decimals })
+
+const getBounds = (features) => {
+  const points = features.flatMap(feature => {
+    if (!feature.geometry) return []
+    return Array.isArray(feature.geometry[0][0]) ? feature.geometry.flat() : feature.geometry
+  })
+  if (points.length === 0) return [0, 0, 0, 0]
+  const xs = points.map(point => point[0])
+  const ys = points.map(point => point[1])
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+}
+
+const recordContentLength = (shapeType, geometry) => {
+  if (!geometry) return 4
+  if (shapeType === SHAPE_TYPES.POINT) return 20
+  const pointCount = geometry.reduce((sum, part) => sum + part.length, 0)
+  return 44 + 4 * geometry.length + 16 * pointCount
+}
+
+function writeHeader(view, shapeType, fileLength, bounds) {
+  view.setInt32(0, 9994, false)
+  view.setInt32(24, fileLength / 2, false) // Length in 16-bit words
+  view.setInt32(28, 1000, true)
+  view.setInt32(32, shapeType, true)
+  bounds.forEach((value, index) => view.setFloat64(36 + index * 8, value, true))
+}
+
+/**
+ * Build the .shp and .shx files
+ * Point geometry is [[x, y]]; polyline geometry is an array of parts, each [[x, y], ...].
+ * A feature with no geometry is written as a null shape so records stay aligned with the .dbf.
+ */
+function buildGeometryFiles(shapeType, features) {
+  const bounds = getBounds(features)
+  const lengths = features.map(feature => recordContentLength(shapeType, feature.geometry))
+  const shpLength = HEADER_LENGTH + lengths.reduce((sum, length) => sum + 8 + length, 0)
+  const shxLength = HEADER_LENGTH + features.length * 8
+
+  const shp = new DataView(new ArrayBuffer(shpLength))
+  const shx = new DataView(new ArrayBuffer(shxLength))
+  writeHeader(shp, shapeType, shpLength, bounds)
+  writeHeader(shx, shapeType, shxLength, bounds)
+
+  let offset = HEADER_LENGTH
+  features.forEach((feature, index) => {
+    const length = lengths[index]
+    shx.setInt32(HEADER_LENGTH + index * 8, offset / 2, false)
+    shx.setInt32(HEADER_LENGTH + index * 8 + 4, length / 2, false)
+
+    shp.setInt32(offset, index + 1, false)
+    shp.setInt32(offset + 4, length / 2, false)
+    let position = offset + 8
+
+    if (!feature.geometry) {
+      shp.setInt32(position, SHAPE_TYPES.NULL, true)
+    } else if (shapeType === SHAPE_TYPES.POINT) {
+      const [[x, y]] = feature.geometry
+      shp.setInt32(position, shapeType, true)
+      shp.setFloat64(position + 4, x, true)
+      shp.setFloat64(position + 12, y, true)
+    } else {
+      const parts = feature.geometry
+      shp.setInt32(position, shapeType, true)
+      getBounds([feature]).forEach((value, i) => shp.setFloat64(position + 4 + i * 8, value, true))
+      shp.setInt32(position + 36, parts.length, true)
+      shp.setInt32(position + 40, parts.reduce((sum, part) => sum + part.length, 0), true)
+      position += 44
+
+      let pointIndex = 0
+      parts.forEach(part => {
+        shp.setInt32(position, pointIndex, true)
+        position += 4
+        pointIndex += part.length
+      })
+      parts.flat().forEach(([x, y]) => {
+        shp.setFloat64(position, x, true)
+        shp.setFloat64(position + 8, y, true)
+        position += 16
+      })
+    }
+
+    offset += 8 + length
+  })
+
+  return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) }
+}
+
+// Fit text into a fixed number of UTF-8 bytes without splitting a character
+function encodeFixed(encoder, text, length, alignRight = false) {
+  let value = text
+  let bytes = encoder.encode(value)
+  while (bytes.length > length) {
+    value = value.slice(0, -1)
+    bytes = encoder.encode(value)
+  }
+  const padded = new Uint8Array(length).fill(0x20)
+  padded.set(bytes, alignRight ? length - bytes.length : 0)
+  return padded
+}
+
+function formatDbfValue(field, value) {
+  if (value === null || value === undefined || value === '') return ''
+  if (field.type === 'N') {
+    const number = Number(value)
+    if (!Number.isFinite(number)) return ''
+    const text = number.toFixed(field.decimals)
+    return text.length <= field.length ? text : ''
+  }
+  return String(value).replace(/[\r\n]+/g, ' ')
+}
+
+/**
+ * Build the dBase III attribute table. Text is written as UTF-8 (declared in the .cpg).
+ */
+function buildDbf(fields, features) {
+  const encoder = new TextEncoder()
+  const headerLength = 32 + fields.length * 32 + 1
+  const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0)
+  const bytes = new Uint8Array(headerLength + features.length * recordLength + 1)
+  const view = new DataView(bytes.buffer)
+  const now = new Date()
+
+  bytes[0] = 0x03
+  bytes[1] = now.getFullYear() - 1900
+  bytes[2] = now.getMonth() + 1
+  bytes[3] = now.getDate()
+  view.setUint32(4, features.length, true)
+  view.setUint16(8, headerLength, true)
+  view.setUint16(10, recordLength, true)
+
+  fields.forEach((field, index) => {
+    const position = 32 + index * 32
+    bytes.set(encoder.encode(field.name.slice(0, 10)), position)
+    bytes[position + 11] = field.type.charCodeAt(0)
+    bytes[position + 16] = field.length
+    bytes[position + 17] = field.decimals
+  })
+  bytes[headerLength - 1] = 0x0d
+
+  features.forEach((feature, index) => {
+    let position = headerLength + index * recordLength
+    bytes[position++] = 0x20 // Not deleted
+    fields.forEach(field => {
+      const text = formatDbfValue(field, feature.properties?.[field.name])
+      bytes.set(encodeFixed(encoder, text, field.length, field.type === 'N'), position)
+      position += field.length
+    })
+  })
+  bytes[bytes.length - 1] = 0x1a
+
+  return bytes
+}
+
+/**
+ * Build the files making up one Shapefile layer
+ * @param {Object} layer
+ * @param {number} layer.shapeType - SHAPE_TYPES.POINT or SHAPE_TYPES.POLYLINE
+ * @param {Array} layer.fields - Attribute fields (textField / numberField)
+ * @param {Array} layer.features - [{ geometry, properties }] with properties keyed by field name
+ * @param {string} layer.prj - Coordinate system WKT
+ * @returns {Object} { shp, shx, dbf, prj, cpg }
+ */
+export function buildShapefile({ shapeType, fields, features, prj }) {
+  const { shp, shx } = buildGeometryFiles(shapeType, features)
+  return {
+    shp,
+    shx,
+    dbf: buildDbf(fields, features),
+    prj,
+    cpg: 'UTF-8'
+  }
+}
+
+function readGeometry(view, offset, length) {
+  const type = BASE_SHAPE_TYPES[view.getInt32(offset, true)]
+  if (!type || length < 20) return null
+
+  if (type === SHAPE_TYPES.POINT) {
+    return [[view.getFloat64(offset + 4, true), view.getFloat64(offset + 12, true)]]
+  }
+
+  const partCount = view.getInt32(offset + 36, true)
+  const pointCount = view.getInt32(offset + 40, true)
+  const partStarts = []
+  for (let i = 0; i < partCount; i++) {
+    partStarts.push(view.getInt32(offset + 44 + i * 4, true))
+  }
+
+  const pointsOffset = offset + 44 + partCount * 4
+  return partStarts.map((start, i) => {
+    const end = i + 1 < partCount ? partStarts[i + 1] : pointCount
+    const part = []
+    for (let p = start; p < end; p++) {
+      part.push([view.getFloat64(pointsOffset + p * 16, true), view.getFloat64(pointsOffset + p * 16 + 8, true)])
+    }
+    return part
+  })
+}
+
+function readDbf(bytes, encoding) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder(encoding)
+  const recordCount = view.getUint32(4, true)
+  const headerLength = view.getUint16(8, true)
+  const recordLength = view.getUint16(10, true)
+
+  const fields = []
+  for (let position = 32; position < headerLength - 1 && bytes[position] !== 0x0d; position += 32) {
+    const nameBytes = bytes.subarray(position, position + 11)
+    const nameEnd = nameBytes.indexOf(0)
+    fields.push({
+      name: decoder.decode(nameEnd >= 0 ? nameBytes.subarray(0, nameEnd) : nameBytes).trim(),
+      type: String.fromCharCode(bytes[position + 11]),
+      length: bytes[position + 16]
+    })
+  }
+
+  const records = []
+  for (let i = 0; i < recordCount; i++) {
+    let position = headerLength + i * recordLength
+    if (position + recordLength > bytes.length) break
+    const deleted = bytes[position] === 0x2a
+    position++
+
+    const record = {}
+    fields.forEach(field => {
+      const text = decoder.decode(bytes.subarray(position, position + field.length)).trim()
+      position += field.length
+      if (field.type === 'N' || field.type === 'F') {
+        record[field.name] = text === '' || /^\*+$/.test(text) ? null : Number(text)
+      } else if (field.type === 'L') {
+        record[field.name] = /^[YyTt]$/.test(text) ? true : (/^[NnFf]$/.test(text) ? false : null)
+      } else {
+        record[field.name] = text
+      }
+    })
+    records.push(deleted ? null : record)
+  }
+
+  return { fields: fields.map(field => field.name), records }
+}
+
+/**
+ * Read one Shapefile layer
+ * @param {Object} files
+ * @param {Uint8Array} files.shp - Geometry
+ * @param {Uint8Array} files.dbf - Attributes (optional)
+ * @param {string} files.cpg - Attribute text encoding (optional, defaults to UTF-8)
+ * @returns {Object} { shapeType, fields, features: [{ geometry, properties }] }
+ */
+export function parseShapefile({ shp, dbf, cpg }) {
+  const view = new DataView(shp.buffer, shp.byteOffset, shp.byteLength)
+  if (view.getInt32(0, false) !== 9994) {
+    throw new Error('File is not a valid Shapefile')
+  }
+
+  const shapeType = BASE_SHAPE_TYPES[view.getInt32(32, true)]
+  if (!shapeType) {
+    throw new Error('Only point and line Shapefiles can be imported')
+  }
+
+  const fileLength = Math.min(view.getInt32(24, false) * 2, shp.byteLength)
+  const geometries = []
+  let offset = HEADER_LENGTH
+  while (offset + 8 <= fileLength) {
+    const length = view.getInt32(offset + 4, false) * 2
+    geometries.push(readGeometry(view, offset + 8, length))
+    offset += 8 + length
+  }
+
+  let encoding = (cpg || 'utf-8').trim().toLowerCase()
+  if (/^(1252|ansi|windows-1252)$/.test(encoding)) encoding = 'windows-1252'
+  try {
+    new TextDecoder(encoding)
+  } catch {
+    encoding = 'utf-8'
+  }
+
+  const table = dbf ? readDbf(dbf, encoding) : { fields: [], records: [] }
+  const features = geometries
+    .map((geometry, index) => ({ geometry, properties: table.records[index] ?? {} }))
+    .filter(feature => feature.properties !== null)
+
+  return { shapeType, fields: table.fields, features }
+}
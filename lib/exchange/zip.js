@@ -0,0 +1,171 @@
+// lib/exchange/zip.js
+// Minimal ZIP archive reader and writer for multi-file GIS formats such as Shapefiles
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * CRC-32 checksum as used by ZIP
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const toBytes = (data) => typeof data === 'string' ? new TextEncoder().encode(data) : data
+
+// MS-DOS time and date fields used in ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Build a ZIP archive. Entries are stored without compression, which every
+ * unzip tool and GIS package reads.
+ * @param {Array} files - [{ name, data }] where data is a string or Uint8Array
+ * @returns {Uint8Array} ZIP file bytes
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder()
+  const { time, date } = dosDateTime(new Date())
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name)
+    const data = toBytes(file.data)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true) // Version needed to extract
+    local.setUint16(6, 0x0800, true) // UTF-8 file names
+    local.setUint16(8, 0, true) // Stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true) // Version made by
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+
+    localParts.push(new Uint8Array(local.buffer), name, data)
+    centralParts.push(new Uint8Array(central.buffer), name)
+    offset += 30 + name.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const zip = new Uint8Array(offset + centralSize + 22)
+  let position = 0
+  parts.forEach(part => {
+    zip.set(part, position)
+    position += part.length
+  })
+  return zip
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack compressed ZIP files')
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Read the files in a ZIP archive. Supports stored and deflated entries,
+ * which covers archives made by Windows, macOS and GIS packages.
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP file contents
+ * @returns {Promise<Array>} [{ name, data: Uint8Array }] for every file (folders are skipped)
+ */
+export async function readZip(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder()
+
+  // The end of central directory record sits at the end, before an optional comment
+  let endOffset = -1
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i
+      break
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('File is not a valid ZIP archive')
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true)
+  let offset = view.getUint32(endOffset + 16, true)
+  const files = []
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('ZIP archive is damaged')
+    }
+    const method = view.getUint16(offset + 10, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+
+    // Local headers can carry a different extra field length to the central directory
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize)
+
+    if (method === 0) {
+      files.push({ name, data: raw })
+    } else if (method === 8) {
+      files.push({ name, data: await inflateRaw(raw) })
+    } else {
+      throw new Error(`Unsupported compression in ZIP entry ${name}`)
+    }
+  }
+
+  return files
+}
@@ -1,4 +1,6 @@
 import { supabase } from './supabase'
+import { uploadMedia } from './video/storage/browser-upload'
+import { parseCoordinates } from './utils/coordinates'
 
 // =====================================================
 // PROJECT MAP MANAGEMENT
@@ -68,27 +70,9 @@ export const updateProjectMap = async (mapId, updates) => {
   }
 }
 
-// Upload map background image
-// Updated uploadMapBackground function for lib/maps.js
-// Replace the existing uploadMapBackground function with this one
-
+// Upload map background image to the configured storage provider
 export const uploadMapBackground = async (projectId, imageFile) => {
   try {
-    // Check authentication
-    const { data: { user }, error: userError } = await supabase.auth.getUser()
-    if (userError) {
-      console.error('Auth error:', userError)
-      throw new Error(`Authentication failed: ${userError.message}`)
-    }
-    if (!user) throw new Error('User not authenticated')
-    
-    console.log('Uploading background for project:', projectId)
-    console.log('File details:', {
-      name: imageFile.name,
-      size: imageFile.size,
-      type: imageFile.type
-    })
-    
     // Validate file
     if (!imageFile.type.startsWith('image/')) {
       throw new Error('File must be an image')
@@ -100,44 +84,7 @@ export const uploadMapBackground = async (projectId, imageFile) => {
       throw new Error('Image file too large. Maximum size is 10MB')
     }
     
-    const fileExt = imageFile.name.split('.').pop().toLowerCase()
-    const fileName = `${projectId}_${Date.now()}.${fileExt}`
-    const filePath = `${user.id}/map-backgrounds/${fileName}`
-    
-    console.log('Upload path:', filePath)
-    
-    // Try to upload to the images bucket
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('images')
-      .upload(filePath, imageFile, {
-        contentType: imageFile.type,
-        cacheControl: '3600',
-        upsert: true
-      })
-    
-    if (uploadError) {
-      console.error('Upload error details:', uploadError)
-      
-      // Check if it's a bucket/permission issue
-      if (uploadError.message?.includes('not found') || uploadError.statusCode === 404) {
-        throw new Error('Storage bucket "images" not found. Please check Supabase storage configuration.')
-      } else if (uploadError.message?.includes('policy') || uploadError.statusCode === 403) {
-        throw new Error('Permission denied. Please check storage bucket policies.')
-      } else {
-        throw new Error(`Upload failed: ${uploadError.message || 'Unknown error'}`)
-      }
-    }
-    
-    console.log('Upload successful:', uploadData)
-    
-    // Get public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('images')
-      .getPublicUrl(filePath)
-    
-    console.log('Public URL:', publicUrl)
-    
-    return publicUrl
+    return await uploadMedia(imageFile, { kind: 'map-background', ownerId: projectId })
   } catch (error) {
     console.error('Error in uploadMapBackground:', error)
     throw error
@@ -409,6 +356,100 @@ export const getNodesForSection = async (projectId, startRef, finishRef) => {
   }
 }
 
+// Typed coordinates further than this from an existing node count as a move
+const SECTION_NODE_MOVE_TOLERANCE = 0.5 // metres
+
+// Place the section's start and finish manholes on the map from its typed coordinates.
+// Missing nodes are created and the section's line is drawn once both ends are on the map.
+// Nodes already on the map only move when confirmMove(ref, metres) resolves true - they
+// may have been placed more accurately by hand.
+export const placeSectionNodes = async (projectId, section, { confirmMove } = {}) => {
+  try {
+    const ends = [
+      { ref: section.start_ref, type: section.start_type, position: parseCoordinates(section.start_coordinates) },
+      { ref: section.finish_ref, type: section.finish_type, position: parseCoordinates(section.finish_coordinates) }
+    ].filter(end => end.ref && end.position && !end.position.error)
+
+    if (ends.length === 0) return { created: 0, moved: 0, lineCreated: false }
+
+    const { data: existingNodes, error } = await supabase
+      .from('map_nodes')
+      .select('*')
+      .eq('project_id', projectId)
+      .in('node_ref', [section.start_ref, section.finish_ref].filter(Boolean))
+    if (error) throw error
+
+    const mapNodes = (existingNodes || []).filter(node => (node.context || 'map') === 'map')
+    const nodeTypes = await getNodeTypes()
+    let created = 0
+    let moved = 0
+
+    for (const end of ends) {
+      const { lat, lng } = end.position
+      const existing = mapNodes.find(node => node.node_ref === end.ref)
+
+      if (existing) {
+        const offset = calculateDistance(existing.lat, existing.lng, lat, lng)
+        if (offset > SECTION_NODE_MOVE_TOLERANCE && confirmMove && await confirmMove(end.ref, offset)) {
+          Object.assign(existing, await updateMapNode(existing.id, { lat, lng }))
+          moved++
+        }
+      } else if (nodeTypes.length > 0) {
+        const typeName = (end.type || '').toLowerCase()
+        const nodeType = nodeTypes.find(type =>
+          typeName && (type.name?.toLowerCase() === typeName || type.code?.toLowerCase() === typeName)
+        ) || nodeTypes[0]
+
+        mapNodes.push(await createMapNode({
+          project_id: projectId,
+          node_type_id: nodeType.id,
+          node_ref: end.ref,
+          name: end.ref,
+          lat,
+          lng,
+          context: 'map'
+        }))
+        created++
+      }
+    }
+
+    const startNode = mapNodes.find(node => node.node_ref === section.start_ref)
+    const endNode = mapNodes.find(node => node.node_ref === section.finish_ref)
+    let lineCreated = false
+
+    if (startNode && endNode && section.id) {
+      const { data: existingLines, error: linesError } = await supabase
+        .from('map_lines')
+        .select('id, section_id, start_node_id, end_node_id')
+        .eq('project_id', projectId)
+      if (linesError) throw linesError
+
+      const alreadyDrawn = (existingLines || []).some(line =>
+        line.section_id === section.id ||
+        (line.start_node_id === startNode.id && line.end_node_id === endNode.id) ||
+        (line.start_node_id === endNode.id && line.end_node_id === startNode.id)
+      )
+
+      if (!alreadyDrawn) {
+        await createMapLine({
+          project_id: projectId,
+          start_node_id: startNode.id,
+          end_node_id: endNode.id,
+          line_type: 'drain',
+          section_id: section.id,
+          context: 'map'
+        })
+        lineCreated = true
+      }
+    }
+
+    return { created, moved, lineCreated }
+  } catch (error) {
+    console.error('Error placing section nodes:', error)
+    throw error
+  }
+}
+
 // =====================================================
 // MAP LINE MANAGEMENT
 // =====================================================
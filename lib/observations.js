@@ -1,6 +1,7 @@
 // lib/observations.js - Enhanced version with new fields support and fixed validation
 
 import { supabase } from './supabase.js'
+import { uploadMedia, deleteMedia } from './video/storage/browser-upload.js'
 
 // Fetch all active observation codes
 export const getObservationCodes = async () => {
@@ -89,12 +90,13 @@ export const deleteObservation = async (observationId) => {
 
     if (fetchError) throw fetchError
 
-    // Delete image from storage if it exists
+    // Delete image from storage if it exists (the observation goes even if this fails)
     if (observation?.image_url) {
-      const imagePath = observation.image_url.split('/').pop()
-      await supabase.storage
-        .from('images')
-        .remove([imagePath])
+      try {
+        await deleteMedia(observation.image_url)
+      } catch (imageError) {
+        console.error('Error deleting observation image:', imageError)
+      }
     }
 
     // Delete observation record
@@ -128,24 +130,10 @@ export const getObservations = async (sectionId, sortBy = 'distance', sortOrder
   }
 }
 
-// Upload observation image
-export const uploadObservationImage = async (file, userId, observationId) => {
+// Upload an observation image (or draft thumbnail) to the configured storage provider
+export const uploadObservationImage = async (file, observationId) => {
   try {
-    const fileExt = file.name.split('.').pop()
-    const fileName = `${userId}/${observationId}_${Date.now()}.${fileExt}`
-
-    const { data, error } = await supabase.storage
-      .from('images')
-      .upload(fileName, file)
-
-    if (error) throw error
-
-    // Get public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('images')
-      .getPublicUrl(fileName)
-
-    return publicUrl
+    return await uploadMedia(file, { kind: 'observation-image', ownerId: observationId })
   } catch (error) {
     console.error('Error uploading observation image:', error)
     throw error
@@ -0,0 +1,609 @@
+// lib/pdf/report-pdf.js
+// Server-side PDF rendering of report snapshots (replaces browser window.print output)
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib'
+import { getSeverityLabel, getSeverityColor, getCategoryLabel } from '../utils/severityUtils.js'
+import { calculateSectionScores, calculateGradeDistribution, getConditionGradeLabel } from '../utils/condition-grading.js'
+import { defectExplanations } from '../constants/defectCodes.js'
+import { getKnownStorages } from '../video/storage/storage-factory.js'
+
+const PAGE_SIZE = [595.28, 841.89] // A4 in points
+const MARGIN = 48
+const HEADER_HEIGHT = 44
+const FOOTER_HEIGHT = 28
+const CONTENT_WIDTH = PAGE_SIZE[0] - MARGIN * 2
+const TOC_LINE_HEIGHT = 18
+const IMAGE_WIDTH = 170
+const IMAGE_HEIGHT = 128
+const IMAGE_FETCH_TIMEOUT_MS = 10000
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024
+
+const GREY = rgb(0.42, 0.45, 0.5)
+const DARK = rgb(0.07, 0.09, 0.15)
+const LIGHT_GREY = rgb(0.9, 0.91, 0.93)
+
+// Characters outside WinAnsi cannot be drawn with the standard fonts
+const TEXT_REPLACEMENTS = {
+  '→': '->',
+  '←': '<-',
+  '≤': '<=',
+  '≥': '>=',
+  '×': 'x',
+  '✓': 'Y',
+  '✗': 'N'
+}
+
+const toPdfText = (value) => {
+  if (value === null || value === undefined) return ''
+  return String(value)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[←→≤≥×✓✗]/g, char => TEXT_REPLACEMENTS[char])
+    .replace(/[^\n\x20-\x7E -ÿ–—‘’“”•…€]/g, '')
+}
+
+const hexToRgb = (hex, fallback) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '')
+  if (!match) return fallback
+  const value = parseInt(match[1], 16)
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255)
+}
+
+const formatGrade = (scores, type) => (
+  `${scores.grade} - ${getConditionGradeLabel(scores.grade, type)} (peak ${scores.peak}, mean ${scores.mean}, total ${scores.total})`
+)
+
+const formatDate = (value) => {
+  if (!value) return ''
+  return new Date(value).toLocaleDateString('en-GB', { year: 'numeric', month: 'long', day: 'numeric' })
+}
+
+// Images are fetched from the server, so only our own storage hosts are contacted
+let imageHosts = null
+const getImageHosts = () => {
+  if (!imageHosts) {
+    imageHosts = new Set()
+    for (const storage of getKnownStorages()) {
+      try {
+        imageHosts.add(new URL(storage.getPublicUrl('')).host)
+      } catch {
+        // Relative public URL (local disk storage) - nothing to fetch over the network
+      }
+    }
+  }
+  return imageHosts
+}
+
+async function fetchImageBytes(url) {
+  const { protocol, host } = new URL(url)
+  if (!['http:', 'https:'].includes(protocol) || !getImageHosts().has(host)) {
+    throw new Error('Image is not in project storage')
+  }
+
+  const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) })
+  if (!response.ok) throw new Error(`HTTP ${response.status}`)
+  if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+    throw new Error('Image is too large')
+  }
+
+  // Content-Length may be missing, so count while reading too
+  const chunks = []
+  let total = 0
+  for await (const chunk of response.body) {
+    total += chunk.length
+    if (total > MAX_IMAGE_BYTES) throw new Error('Image is too large')
+    chunks.push(chunk)
+  }
+  return new Uint8Array(Buffer.concat(chunks))
+}
+
+/**
+ * Load and embed an image from a URL or data URL. Returns null if it cannot be embedded.
+ */
+async function embedImage(doc, url, cache) {
+  if (!url) return null
+  if (cache.has(url)) return cache.get(url)
+
+  let image = null
+  try {
+    let bytes
+    if (url.startsWith('data:')) {
+      bytes = Buffer.from(url.split(',')[1] || '', 'base64')
+    } else {
+      bytes = await fetchImageBytes(url)
+    }
+
+    // Detect format from magic bytes rather than trusting the extension
+    if (bytes[0] === 0x89 && bytes[1] === 0x50) {
+      image = await doc.embedPng(bytes)
+    } else if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+      image = await doc.embedJpg(bytes)
+    }
+  } catch (error) {
+    console.error('Failed to embed image in PDF:', url, error.message)
+  }
+
+  cache.set(url, image)
+  return image
+}
+
+/**
+ * Flowing page layout with a cursor, automatic page breaks and TOC bookkeeping
+ */
+class ReportLayout {
+  constructor(doc, fonts, colors) {
+    this.doc = doc
+    this.fonts = fonts
+    this.colors = colors
+    this.page = null
+    this.y = 0
+    this.tocEntries = []
+  }
+
+  get top() {
+    return PAGE_SIZE[1] - MARGIN - HEADER_HEIGHT
+  }
+
+  get bottom() {
+    return MARGIN + FOOTER_HEIGHT
+  }
+
+  get pageIndex() {
+    return this.doc.getPageCount() - 1
+  }
+
+  addPage() {
+    this.page = this.doc.addPage(PAGE_SIZE)
+    this.y = this.top
+  }
+
+  ensureSpace(height) {
+    if (!this.page || this.y - height < this.bottom) {
+      this.addPage()
+    }
+  }
+
+  wrap(text, width, font = this.fonts.regular, size = 10) {
+    const lines = []
+    toPdfText(text).split('\n').forEach(paragraph => {
+      const words = paragraph.split(/\s+/).filter(Boolean)
+      if (words.length === 0) {
+        lines.push('')
+        return
+      }
+      let line = ''
+      words.forEach(word => {
+        const candidate = line ? `${line} ${word}` : word
+        if (font.widthOfTextAtSize(candidate, size) <= width) {
+          line = candidate
+        } else {
+          if (line) lines.push(line)
+          line = word
+        }
+      })
+      if (line) lines.push(line)
+    })
+    return lines
+  }
+
+  // Start a top-level report section on a fresh page
+  section(title) {
+    this.addPage()
+    this.tocEntries.push({ title, level: 0, pageIndex: this.pageIndex })
+    this.page.drawText(toPdfText(title), {
+      x: MARGIN, y: this.y - 18, size: 18, font: this.fonts.bold, color: this.colors.primary
+    })
+    this.page.drawLine({
+      start: { x: MARGIN, y: this.y - 26 },
+      end: { x: MARGIN + CONTENT_WIDTH, y: this.y - 26 },
+      thickness: 1.5,
+      color: this.colors.primary
+    })
+    this.y -= 40
+  }
+
+  subheading(title, { toc = false } = {}) {
+    this.ensureSpace(40)
+    if (toc) {
+      this.tocEntries.push({ title, level: 1, pageIndex: this.pageIndex })
+    }
+    this.page.drawText(toPdfText(title), { x: MARGIN, y: this.y - 13, size: 13, font: this.fonts.bold, color: DARK })
+    this.y -= 22
+  }
+
+  paragraph(text, { size = 10, font = this.fonts.regular, color = DARK, indent = 0, gap = 6 } = {}) {
+    const lineHeight = size * 1.4
+    this.wrap(text, CONTENT_WIDTH - indent, font, size).forEach(line => {
+      this.ensureSpace(lineHeight)
+      if (line) {
+        this.page.drawText(line, { x: MARGIN + indent, y: this.y - size, size, font, color })
+      }
+      this.y -= lineHeight
+    })
+    this.y -= gap
+  }
+
+  keyValues(rows, { labelWidth = 150 } = {}) {
+    rows.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+      const lines = this.wrap(value, CONTENT_WIDTH - labelWidth)
+      const height = lines.length * 14
+      this.ensureSpace(height)
+      this.page.drawText(toPdfText(label), { x: MARGIN, y: this.y - 10, size: 10, font: this.fonts.bold, color: GREY })
+      lines.forEach((line, index) => {
+        this.page.drawText(line, { x: MARGIN + labelWidth, y: this.y - 10 - index * 14, size: 10, font: this.fonts.regular, color: DARK })
+      })
+      this.y -= height
+    })
+    this.y -= 6
+  }
+
+  image(image, maxWidth = CONTENT_WIDTH, maxHeight = 320) {
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1)
+    const width = image.width * scale
+    const height = image.height * scale
+    this.ensureSpace(height + 8)
+    this.page.drawImage(image, { x: MARGIN, y: this.y - height, width, height })
+    this.y -= height + 8
+  }
+}
+
+/**
+ * Draw a single observation as an unbreakable block: details on the left, image on the right
+ */
+function drawFinding(layout, obs, image) {
+  const { fonts } = layout
+  const textWidth = image ? CONTENT_WIDTH - IMAGE_WIDTH - 16 : CONTENT_WIDTH - 12
+
+  const title = `${obs.code || 'Observation'} at ${obs.distance != null ? `${Number(obs.distance).toFixed(2)}m` : 'unknown distance'}`
+  const details = [
+    obs.description,
+    [
+      obs.band && `Band ${obs.band}`,
+      obs.loss_percentage != null && `${obs.loss_percentage}% loss`,
+      obs.clock_ref_1 && `Clock ${obs.clock_ref_1}${obs.clock_ref_2 ? ` to ${obs.clock_ref_2}` : ''}`,
+      obs.is_at_joint && 'At joint',
+      obs.continuous_defect_starts && 'Continuous defect starts',
+      obs.continuous_defect_ends && 'Continuous defect ends'
+    ].filter(Boolean).join(' | '),
+    obs.remarks && `Remarks: ${obs.remarks}`
+  ].filter(Boolean)
+
+  const detailLines = details.flatMap(text => layout.wrap(text, textWidth, fonts.regular, 9))
+  const imageSize = image ? {
+    width: Math.min(IMAGE_WIDTH, image.width * (IMAGE_HEIGHT / image.height)),
+    height: Math.min(IMAGE_HEIGHT, image.height * (IMAGE_WIDTH / image.width))
+  } : null
+
+  const textHeight = 18 + detailLines.length * 12
+  const blockHeight = Math.max(textHeight, imageSize?.height || 0) + 16
+
+  layout.ensureSpace(blockHeight)
+  const { page } = layout
+  const top = layout.y
+
+  page.drawRectangle({
+    x: MARGIN, y: top - blockHeight + 4, width: CONTENT_WIDTH, height: blockHeight - 4,
+    borderColor: LIGHT_GREY, borderWidth: 1
+  })
+  page.drawRectangle({
+    x: MARGIN, y: top - blockHeight + 4, width: 4, height: blockHeight - 4,
+    color: hexToRgb(getSeverityColor(obs.severity), GREY)
+  })
+
+  page.drawText(toPdfText(title), { x: MARGIN + 12, y: top - 18, size: 11, font: fonts.bold, color: DARK })
+  if (obs.severity) {
+    const label = `Severity ${obs.severity} - ${getSeverityLabel(obs.severity)}`
+    page.drawText(label, {
+      x: MARGIN + 12 + textWidth - fonts.regular.widthOfTextAtSize(label, 9),
+      y: top - 18, size: 9, font: fonts.regular, color: GREY
+    })
+  }
+
+  detailLines.forEach((line, index) => {
+    page.drawText(line, { x: MARGIN + 12, y: top - 32 - index * 12, size: 9, font: fonts.regular, color: DARK })
+  })
+
+  if (image) {
+    page.drawImage(image, {
+      x: MARGIN + CONTENT_WIDTH - imageSize.width - 8,
+      y: top - 8 - imageSize.height,
+      width: imageSize.width,
+      height: imageSize.height
+    })
+  }
+
+  layout.y -= blockHeight + 4
+}
+
+function drawCoverPage(doc, fonts, colors, report, branding, logo) {
+  const page = doc.insertPage(0, PAGE_SIZE)
+  const project = report.project_snapshot || {}
+  const companyName = branding.company_name_override || 'Inspection Company'
+
+  let y = PAGE_SIZE[1] - 160
+  if (logo) {
+    const scale = Math.min(220 / logo.width, 90 / logo.height, 1)
+    page.drawImage(logo, { x: MARGIN, y: y, width: logo.width * scale, height: logo.height * scale })
+  }
+
+  y -= 80
+  page.drawRectangle({ x: MARGIN, y: y - 6, width: CONTENT_WIDTH, height: 3, color: colors.primary })
+  y -= 50
+
+  const title = new ReportLayout(doc, fonts, colors).wrap(report.title || 'Inspection Report', CONTENT_WIDTH, fonts.bold, 24)
+  title.forEach(line => {
+    page.drawText(line, { x: MARGIN, y, size: 24, font: fonts.bold, color: DARK })
+    y -= 32
+  })
+
+  y -= 10
+  const details = [
+    ['Project', project.name],
+    ['Report number', report.report_number],
+    ['Client', project.client_name],
+    ['Site', [project.site_street_address, project.site_town_city, project.site_postal_code].filter(Boolean).join(', ')],
+    ['Report date', formatDate(report.finalized_at || report.created_at)],
+    ['Prepared by', companyName]
+  ]
+  details.filter(([, value]) => value).forEach(([label, value]) => {
+    page.drawText(toPdfText(label), { x: MARGIN, y, size: 11, font: fonts.bold, color: GREY })
+    page.drawText(toPdfText(value), { x: MARGIN + 120, y, size: 11, font: fonts.regular, color: DARK })
+    y -= 20
+  })
+
+  if (branding.show_confidentiality_notice !== false) {
+    page.drawText('This document contains confidential information and is intended solely for the addressee.', {
+      x: MARGIN, y: MARGIN + 20, size: 8, font: fonts.regular, color: GREY
+    })
+  }
+}
+
+function drawTableOfContents(doc, fonts, colors, entries, tocPageCount) {
+  const perPage = Math.floor((PAGE_SIZE[1] - MARGIN * 2 - HEADER_HEIGHT - FOOTER_HEIGHT - 50) / TOC_LINE_HEIGHT)
+
+  for (let pageNumber = 0; pageNumber < tocPageCount; pageNumber++) {
+    // Cover is page index 0, so TOC pages follow it
+    const page = doc.insertPage(1 + pageNumber, PAGE_SIZE)
+    let y = PAGE_SIZE[1] - MARGIN - HEADER_HEIGHT
+
+    if (pageNumber === 0) {
+      page.drawText('Table of Contents', { x: MARGIN, y: y - 18, size: 18, font: fonts.bold, color: colors.primary })
+    }
+    y -= 50
+
+    entries.slice(pageNumber * perPage, (pageNumber + 1) * perPage).forEach(entry => {
+      const indent = entry.level * 18
+      const font = entry.level === 0 ? fonts.bold : fonts.regular
+      const title = toPdfText(entry.title)
+      const pageLabel = String(entry.pageNumber)
+      const titleWidth = font.widthOfTextAtSize(title, 10)
+      const labelWidth = fonts.regular.widthOfTextAtSize(pageLabel, 10)
+      const dotsWidth = CONTENT_WIDTH - indent - titleWidth - labelWidth - 8
+      const dots = dotsWidth > 0 ? '.'.repeat(Math.floor(dotsWidth / fonts.regular.widthOfTextAtSize('.', 10))) : ''
+
+      page.drawText(title, { x: MARGIN + indent, y, size: 10, font, color: DARK })
+      page.drawText(dots, { x: MARGIN + indent + titleWidth + 4, y, size: 10, font: fonts.regular, color: GREY })
+      page.drawText(pageLabel, { x: MARGIN + CONTENT_WIDTH - labelWidth, y, size: 10, font: fonts.regular, color: DARK })
+      y -= TOC_LINE_HEIGHT
+    })
+  }
+}
+
+// Running header (from PrintHeader) and numbered footer on every page after the cover
+function drawPageChrome(doc, fonts, colors, report, branding, logo, watermarkText) {
+  const pages = doc.getPages()
+  const project = report.project_snapshot || {}
+  const companyName = toPdfText(branding.company_name_override || 'Inspection Company')
+  const rightText = toPdfText(`${project.name || 'Inspection Report'} | Report: ${report.report_number || 'Draft'}`)
+
+  pages.forEach((page, index) => {
+    if (watermarkText) {
+      page.drawText(toPdfText(watermarkText), {
+        x: 120, y: 300, size: 64, font: fonts.bold, color: rgb(0.85, 0.85, 0.85), opacity: 0.4,
+        rotate: { type: 'degrees', angle: 45 }
+      })
+    }
+
+    if (index === 0) return
+
+    const headerY = PAGE_SIZE[1] - MARGIN
+    let textX = MARGIN
+    if (logo) {
+      const scale = Math.min(80 / logo.width, 24 / logo.height, 1)
+      page.drawImage(logo, { x: MARGIN, y: headerY - 24, width: logo.width * scale, height: logo.height * scale })
+      textX += logo.width * scale + 8
+    }
+    page.drawText(companyName, { x: textX, y: headerY - 16, size: 10, font: fonts.bold, color: DARK })
+    page.drawText(rightText, {
+      x: MARGIN + CONTENT_WIDTH - fonts.regular.widthOfTextAtSize(rightText, 9),
+      y: headerY - 16, size: 9, font: fonts.regular, color: GREY
+    })
+    page.drawLine({
+      start: { x: MARGIN, y: headerY - HEADER_HEIGHT + 12 },
+      end: { x: MARGIN + CONTENT_WIDTH, y: headerY - HEADER_HEIGHT + 12 },
+      thickness: 1.5,
+      color: colors.primary
+    })
+
+    const footer = `Page ${index + 1} of ${pages.length}`
+    page.drawText(footer, {
+      x: (PAGE_SIZE[0] - fonts.regular.widthOfTextAtSize(footer, 8)) / 2,
+      y: MARGIN - 8, size: 8, font: fonts.regular, color: GREY
+    })
+  })
+}
+
+/**
+ * Render a report snapshot to PDF
+ * @param {Object} report - Report row with snapshots, branding_profile and recommendations
+ * @param {Object} options - { watermarkText }
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function renderReportPdf(report, options = {}) {
+  const doc = await PDFDocument.create()
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  }
+  const branding = report.branding_profile || {}
+  const colors = {
+    primary: hexToRgb(branding.primary_color, rgb(0.12, 0.25, 0.69))
+  }
+  const imageCache = new Map()
+  const logo = await embedImage(doc, branding.logo_url, imageCache)
+
+  const project = report.project_snapshot || {}
+  const stats = report.stats || {}
+  const sections = [...(report.sections_snapshot || [])].sort((a, b) => (a.section_number || 0) - (b.section_number || 0))
+  const observations = report.observations_snapshot || []
+
+  doc.setTitle(toPdfText(report.title || 'Inspection Report'))
+  doc.setSubject(toPdfText(project.name || ''))
+  doc.setProducer('PipeReport')
+
+  const layout = new ReportLayout(doc, fonts, colors)
+
+  // Project Overview
+  layout.section('Project Overview')
+  layout.keyValues([
+    ['Project', project.name],
+    ['Description', project.description],
+    ['Site address', [project.site_street_address, project.site_town_city, project.site_region_county, project.site_postal_code].filter(Boolean).join(', ')],
+    ['Site contact', [project.site_contact_name, project.site_contact_number, project.site_contact_email].filter(Boolean).join(', ')],
+    ['Client', project.client_name],
+    ['Client contact', [project.client_contact_name, project.client_contact_number, project.client_contact_email].filter(Boolean).join(', ')],
+    ['Weather conditions', report.weather_conditions],
+    ['Report created', formatDate(report.created_at)]
+  ])
+
+  // Executive Summary
+  if (report.executive_summary) {
+    layout.section('Executive Summary')
+    layout.paragraph(report.executive_summary)
+  }
+
+  // Inspection Summary
+  layout.section('Inspection Summary')
+  layout.keyValues([
+    ['Sections inspected', String(stats.total_sections ?? sections.length)],
+    ['Total observations', String(stats.total_observations ?? observations.length)],
+    ['Critical (severity 4-5)', String(stats.critical_observations || 0)],
+    ['High (severity 3)', String(stats.high_observations || 0)],
+    ['Medium (severity 2)', String(stats.medium_observations || 0)],
+    ['Low (severity 1)', String(stats.low_observations || 0)]
+  ], { labelWidth: 180 })
+
+  const gradeDistribution = stats.structural_grade_distribution
+    ? { structural: stats.structural_grade_distribution, service: stats.service_grade_distribution }
+    : calculateGradeDistribution(sections, observations)
+  layout.subheading('Internal Condition Grades (sections per grade)')
+  layout.keyValues([5, 4, 3, 2, 1].map(grade => [
+    `Grade ${grade}`,
+    `Structural: ${gradeDistribution.structural[grade] || 0}   Service: ${gradeDistribution.service[grade] || 0}`
+  ]), { labelWidth: 180 })
+
+  // Detailed Findings - one subsection per pipe section, findings never split across pages
+  layout.section('Detailed Findings')
+  for (const section of sections) {
+    const sectionObs = observations
+      .filter(obs => obs.section_id === section.id)
+      .sort((a, b) => (a.distance || 0) - (b.distance || 0))
+
+    const sectionScores = calculateSectionScores(sectionObs)
+
+    layout.ensureSpace(120)
+    layout.subheading(`Section ${section.section_number}: ${section.name || ''}`, { toc: true })
+    layout.keyValues([
+      ['From / To', `${section.start_ref || '?'} to ${section.finish_ref || '?'}`],
+      ['Direction', section.direction],
+      ['Diameter / Material', [section.diameter, section.material].filter(Boolean).join(' / ')],
+      ['Use', section.use_type],
+      ['Inspection date', formatDate(section.inspection_date)],
+      ['Structural grade', formatGrade(sectionScores.structural, 'structural')],
+      ['Service grade', formatGrade(sectionScores.service, 'service')],
+      ['Remarks', section.general_remarks]
+    ], { labelWidth: 130 })
+
+    if (sectionObs.length === 0) {
+      layout.paragraph('No observations recorded for this section.', { color: GREY })
+      continue
+    }
+
+    for (const obs of sectionObs) {
+      const image = await embedImage(doc, obs.image_url, imageCache)
+      drawFinding(layout, obs, image)
+    }
+    layout.y -= 8
+  }
+
+  // Map snapshots
+  const snapshots = (report.map_snapshots || []).filter(snapshot => snapshot.includeInReport)
+  if (snapshots.length > 0) {
+    layout.section('Maps & Site Diagrams')
+    for (const [index, snapshot] of snapshots.entries()) {
+      layout.subheading(snapshot.name || `Map View ${index + 1}`)
+      if (snapshot.description) layout.paragraph(snapshot.description, { color: GREY })
+      const image = await embedImage(doc, snapshot.imageUrl, imageCache)
+      if (image) layout.image(image)
+    }
+  }
+
+  // Recommendations
+  if (report.recommendations?.length > 0) {
+    layout.section('Recommendations')
+    report.recommendations.forEach((rec, index) => {
+      layout.ensureSpace(60)
+      layout.paragraph(`${index + 1}. ${rec.title || 'Recommendation'}`, { font: fonts.bold, size: 11, gap: 2 })
+      const meta = [
+        rec.priority && `Priority: ${rec.priority}`,
+        rec.category && getCategoryLabel(rec.category),
+        rec.timeline && `Timeline: ${rec.timeline}`,
+        rec.cost_range && `Cost: ${rec.cost_range}`
+      ].filter(Boolean).join(' | ')
+      if (meta) layout.paragraph(meta, { size: 9, color: GREY, gap: 2 })
+      if (rec.description) layout.paragraph(rec.description, { gap: 2 })
+      if (rec.detailed_action) layout.paragraph(rec.detailed_action, { size: 9 })
+      layout.y -= 6
+    })
+  }
+
+  // Guide to the defect codes used in this report
+  const usedCodes = [...new Set(observations.map(obs => obs.code?.toUpperCase()).filter(code => defectExplanations[code]))].sort()
+  if (usedCodes.length > 0) {
+    layout.section('Guide to Defect Codes')
+    usedCodes.forEach(code => {
+      layout.paragraph(`${code} - ${defectExplanations[code]}`, { size: 9, gap: 3 })
+    })
+  }
+
+  if (report.methodology) {
+    layout.section('Inspection Methodology')
+    layout.paragraph(report.methodology)
+  }
+
+  if (report.limitations) {
+    layout.section('Limitations & Disclaimers')
+    layout.paragraph(report.limitations)
+  }
+
+  // Cover and TOC are inserted in front once body page numbers are known
+  const tocPerPage = Math.floor((PAGE_SIZE[1] - MARGIN * 2 - HEADER_HEIGHT - FOOTER_HEIGHT - 50) / TOC_LINE_HEIGHT)
+  const tocPageCount = Math.max(1, Math.ceil(layout.tocEntries.length / tocPerPage))
+  const tocEntries = layout.tocEntries.map(entry => ({
+    ...entry,
+    // Body page index 0 becomes page 2 + TOC pages (1-based, after the cover)
+    pageNumber: entry.pageIndex + tocPageCount + 2
+  }))
+
+  drawCoverPage(doc, fonts, colors, report, branding, logo)
+  drawTableOfContents(doc, fonts, colors, tocEntries, tocPageCount)
+  drawPageChrome(doc, fonts, colors, report, branding, logo, options.watermarkText)
+
+  return doc.save()
+}
+
+/**
+ * Storage path for a report's stored PDF
+ */
+export function getReportPdfPath(report) {
+  return `${report.project_id}/${report.id}.pdf`
+}
@@ -2,6 +2,10 @@
 // API functions for the reporting system - SIMPLIFIED (No templates)
 
 import { supabase } from './supabase'
+import { calculateGradeDistribution } from './utils/condition-grading'
+import { runSurveyQA } from './utils/survey-qa'
+import { getObservationCodes } from './observations'
+import { triggerWebhookDispatch } from './webhooks/trigger-dispatch'
 
 // =====================================================
 // BRANDING PROFILES
@@ -281,6 +285,10 @@ const calculateReportStats = (projectData) => {
     return sum + Math.abs(finish - start)
   }, 0)
 
+  // MSCC5 internal condition grades per section
+  const grades = calculateGradeDistribution(sections, observations)
+  const sectionScores = Object.values(grades.bySection)
+
   return {
     total_observations: observations.length,
     critical_observations: criticalObservations,
@@ -294,7 +302,12 @@ const calculateReportStats = (projectData) => {
       high: highObservations,
       medium: mediumObservations,
       low: lowObservations
-    }
+    },
+    section_scores: grades.bySection,
+    structural_grade_distribution: grades.structural,
+    service_grade_distribution: grades.service,
+    worst_structural_grade: Math.max(0, ...sectionScores.map(score => score.structural.grade)),
+    worst_service_grade: Math.max(0, ...sectionScores.map(score => score.service.grade))
   }
 }
 
@@ -373,20 +386,68 @@ export const updateReport = async (reportId, updates) => {
 }
 
 /**
- * Finalize a report (make it immutable)
+ * Run the survey QA checklist against a report's snapshot
+ */
+export const runReportQA = async (report) => {
+  const observationCodes = await getObservationCodes()
+
+  return runSurveyQA({
+    sections: report.sections_snapshot || [],
+    observations: report.observations_snapshot || [],
+    observationCodes
+  })
+}
+
+/**
+ * Finalize a report (make it immutable).
+ * Failing QA checks (including unpaired continuous defects) block finalization unless
+ * acknowledged; the thrown error carries code 'QA_FAILED' and the QA results.
  */
-export const finalizeReport = async (reportId) => {
+export const finalizeReport = async (reportId, { acknowledgeQaIssues = false } = {}) => {
   const { data: { user } } = await supabase.auth.getUser()
   if (!user) throw new Error('Not authenticated')
 
+  const { data: snapshot, error: snapshotError } = await supabase
+    .from('reports')
+    .select('sections_snapshot, observations_snapshot')
+    .eq('id', reportId)
+    .single()
+
+  if (snapshotError) {
+    console.error('Error loading report for finalization:', snapshotError)
+    throw snapshotError
+  }
+
+  const qa = await runReportQA(snapshot)
+
+  if (!qa.passed && !acknowledgeQaIssues) {
+    const error = new Error(`${qa.issueCount} QA issue(s) must be resolved or acknowledged before finalizing`)
+    error.code = 'QA_FAILED'
+    error.qa = qa
+    throw error
+  }
+
+  const updates = {
+    status: 'final',
+    is_final: true,
+    finalized_at: new Date().toISOString(),
+    finalized_by: user.id,
+    qa_results: qa
+  }
+
+  if (!qa.passed) {
+    updates.qa_acknowledged_at = updates.finalized_at
+    updates.qa_acknowledged_by = user.id
+  }
+
+  if (qa.checks.some(check => check.id === 'continuous_defects' && !check.passed)) {
+    updates.continuous_defects_acknowledged_at = updates.finalized_at
+    updates.continuous_defects_acknowledged_by = user.id
+  }
+
   const { data, error } = await supabase
     .from('reports')
-    .update({
-      status: 'final',
-      is_final: true,
-      finalized_at: new Date().toISOString(),
-      finalized_by: user.id
-    })
+    .update(updates)
     .eq('id', reportId)
     .eq('status', 'draft')
     .select()
@@ -397,6 +458,9 @@ export const finalizeReport = async (reportId) => {
     throw error
   }
 
+  // The report.finalized event is queued by a database trigger
+  triggerWebhookDispatch()
+
   return data
 }
 
@@ -609,9 +673,53 @@ export const getReportByShareToken = async (shareToken) => {
     const report = typeof data.report === 'string' ? JSON.parse(data.report) : data.report
     const share = typeof data.share === 'string' ? JSON.parse(data.share) : data.share
 
+    // Counting the view queues a share.viewed event
+    triggerWebhookDispatch()
+
     return { report, share }
   } catch (error) {
     console.error('Error in getReportByShareToken:', error)
     throw error
   }
-}
\ No newline at end of file
+}
+
+// =====================================================
+// PDF EXPORT
+// =====================================================
+
+/**
+ * Download the server-rendered PDF of a report.
+ * Owners authenticate with their session; shared viewers pass the share token.
+ */
+export const downloadReportPdf = async (reportId, { shareToken } = {}) => {
+  const headers = {}
+  let url = `/api/reports/${reportId}/pdf`
+
+  if (shareToken) {
+    url += `?share=${encodeURIComponent(shareToken)}`
+  } else {
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) throw new Error('Not authenticated')
+    headers.Authorization = `Bearer ${session.access_token}`
+  }
+
+  const response = await fetch(url, { headers })
+
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}))
+    console.error('Error downloading report PDF:', error)
+    throw new Error(error || 'Failed to generate PDF')
+  }
+
+  const blob = await response.blob()
+  const disposition = response.headers.get('Content-Disposition') || ''
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || 'report.pdf'
+
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(link.href)
+}
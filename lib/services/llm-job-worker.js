@@ -0,0 +1,170 @@
+// lib/services/llm-job-worker.js
+// Runs queued AI summary / recommendation jobs (llm_jobs) against each company's provider.
+// Kept out of llm-report-service.js, whose exports are server actions callable from the browser;
+// only server code (status polls there, and /api/llm-jobs/process) runs the worker.
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { getCompanyLlmConfig, createChatCompletion } from '@/lib/services/llm-providers'
+import { LLM_PROVIDERS } from '@/lib/constants/llmProviders'
+
+// claim_llm_job hands out one job at a time within the provider's rate windows
+const WORKER_BATCH_SIZE = 4 // Jobs per worker run (cron); status polls run one
+const RETRY_DELAY_MS = 30 * 1000 // Multiplied by the attempt number
+const STALE_JOB_SECONDS = 300 // Processing jobs older than this are requeued
+
+/**
+ * Claim and run queued jobs while the providers' rate windows allow.
+ * Called by status polls and by /api/llm-jobs/process (schedule it so queued
+ * jobs finish even when nobody is polling).
+ * @param {Object} options - { limit: maximum jobs to run in this call }
+ * @returns {Promise<Object>} { processed, completed, retrying, failed }
+ */
+export async function processLlmJobs({ limit = WORKER_BATCH_SIZE } = {}) {
+  const summary = { processed: 0, completed: 0, retrying: 0, failed: 0 }
+
+  const configs = new Map()
+  const configFor = async (companyId) => {
+    if (!configs.has(companyId)) {
+      configs.set(companyId, await getCompanyLlmConfig(companyId))
+    }
+    return configs.get(companyId)
+  }
+
+  // Each hosted provider, and each company's self-hosted endpoint, has its own rate window
+  const { data: pending, error: pendingError } = await supabaseAdmin
+    .from('llm_jobs')
+    .select('provider, company_id')
+    .in('status', ['queued', 'processing'])
+    .order('created_at')
+    .limit(100)
+
+  if (pendingError) {
+    console.error('Error loading pending generation jobs:', pendingError)
+    throw pendingError
+  }
+
+  const windows = new Map()
+  pending.forEach(row => {
+    if (!windows.has(row.provider)) windows.set(row.provider, row.company_id)
+  })
+
+  for (const [windowKey, companyId] of windows) {
+    const limits = LLM_PROVIDERS[windowKey] || await configFor(companyId)
+
+    while (summary.processed < limit) {
+      const { data: claimed, error } = await supabaseAdmin.rpc('claim_llm_job', {
+        p_provider: windowKey,
+        p_tokens_per_minute: limits.tokensPerMinute,
+        p_requests_per_minute: limits.requestsPerMinute,
+        p_stale_after_seconds: STALE_JOB_SECONDS
+      })
+
+      if (error) {
+        console.error('Error claiming generation job:', error)
+        throw error
+      }
+
+      // Nothing due, or the rate window is full
+      const job = claimed?.[0]
+      if (!job) break
+
+      const updated = await runJob(job, await configFor(job.company_id))
+      summary.processed++
+      if (updated.status === 'completed') summary.completed++
+      else if (updated.status === 'queued') summary.retrying++
+      else summary.failed++
+    }
+
+    if (summary.processed >= limit) break
+  }
+
+  return summary
+}
+
+/**
+ * Final outcome for a job that cannot (or can no longer) be sent to a model:
+ * the template result when the company allows it, otherwise an error
+ */
+export function finishWithoutModel(job, config, reason, now) {
+  if (job.fallback_result && (config.fallbackToTemplate || config.provider === 'template')) {
+    return {
+      status: 'completed',
+      result: job.fallback_result,
+      used_fallback: true,
+      error: reason,
+      completed_at: now.toISOString()
+    }
+  }
+
+  return {
+    status: 'error',
+    error: reason,
+    completed_at: now.toISOString()
+  }
+}
+
+/**
+ * Send a claimed job to the company's provider and record the outcome, rescheduling on failure
+ */
+async function runJob(job, config) {
+  const now = new Date()
+  let updates
+
+  if (!config.available) {
+    // Settings changed after the job was queued
+    updates = finishWithoutModel(job, config, config.unavailableReason, now)
+  } else {
+    try {
+      console.log(`🔄 Processing ${job.job_type} (${job.id}) with ${config.provider}/${config.model}, attempt ${job.attempts}/${job.max_attempts}`)
+      const result = await createChatCompletion(config, job.prompt)
+
+      updates = {
+        status: 'completed',
+        result,
+        error: null,
+        completed_at: now.toISOString()
+      }
+      console.log(`✅ Completed ${job.job_type} (${job.id})`)
+    } catch (error) {
+      console.error(`❌ Error processing ${job.id}:`, error)
+
+      if (error.retryAfterMs) {
+        // Rate limited: pause the whole window and retry without using up an attempt
+        console.log(`⏰ Rate limited, pausing ${job.provider} for ${error.retryAfterMs / 1000} seconds`)
+        const blockedUntil = new Date(now.getTime() + error.retryAfterMs).toISOString()
+        await supabaseAdmin
+          .from('llm_rate_limits')
+          .upsert({ provider: job.provider, blocked_until: blockedUntil })
+
+        updates = {
+          status: 'queued',
+          attempts: job.attempts - 1,
+          next_attempt_at: blockedUntil,
+          error: error.message
+        }
+      } else if (job.attempts < job.max_attempts) {
+        updates = {
+          status: 'queued',
+          next_attempt_at: new Date(now.getTime() + RETRY_DELAY_MS * job.attempts).toISOString(),
+          error: error.message
+        }
+      } else {
+        updates = finishWithoutModel(job, config, error.message, now)
+      }
+    }
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('llm_jobs')
+    .update(updates)
+    .eq('id', job.id)
+    .select('id, status')
+    .single()
+
+  if (error) {
+    console.error('Error recording generation job result:', error)
+    throw error
+  }
+
+  return data
+}
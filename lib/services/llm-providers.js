@@ -0,0 +1,149 @@
+// lib/services/llm-providers.js
+// Provider layer for AI report generation: resolves a company's LLM settings and
+// calls any OpenAI-compatible chat completions endpoint (Groq, OpenAI or self-hosted).
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { LLM_PROVIDERS, DEFAULT_LLM_SETTINGS } from '@/lib/constants/llmProviders'
+import { checkPublicHttpsUrl } from '@/lib/utils/public-url'
+
+const REQUEST_TIMEOUT_MS = 60 * 1000
+
+/**
+ * Resolve stored settings into a provider config
+ * @param {Object|null} settings - company_llm_settings row (null for defaults)
+ * @param {string|null} companyId
+ * @returns {Object} Provider config; `available` is false when no model can be called
+ */
+export function resolveLlmConfig(settings, companyId) {
+  const merged = { ...DEFAULT_LLM_SETTINGS, ...(settings || {}) }
+  const provider = LLM_PROVIDERS[merged.provider] ? merged.provider : DEFAULT_LLM_SETTINGS.provider
+  const definition = LLM_PROVIDERS[provider]
+  const isCustom = provider === 'custom'
+
+  const config = {
+    provider,
+    // Rate windows are shared per hosted provider, and per company for custom endpoints
+    windowKey: isCustom ? `custom:${companyId}` : provider,
+    baseUrl: (isCustom ? merged.base_url : definition.baseUrl)?.replace(/\/+$/, '') || null,
+    apiKey: merged.api_key || (definition.apiKeyEnv ? process.env[definition.apiKeyEnv] : null) || null,
+    model: merged.model || definition.defaultModel || null,
+    temperature: Number(merged.temperature),
+    maxTokens: Number(merged.max_tokens),
+    tokensPerMinute: (isCustom && merged.tokens_per_minute) || definition.tokensPerMinute,
+    requestsPerMinute: (isCustom && merged.requests_per_minute) || definition.requestsPerMinute,
+    fallbackToTemplate: merged.fallback_to_template !== false,
+    available: true,
+    unavailableReason: null
+  }
+
+  if (provider === 'template') {
+    config.unavailableReason = 'Template-only generation is selected'
+  } else if (!config.baseUrl) {
+    config.unavailableReason = 'No endpoint URL is configured'
+  } else if (!config.model) {
+    config.unavailableReason = 'No model is configured'
+  } else if (definition.external && !config.apiKey) {
+    config.unavailableReason = `${definition.apiKeyEnv} is not set`
+  }
+  config.available = !config.unavailableReason
+
+  return config
+}
+
+/**
+ * Load and resolve a company's LLM settings
+ * @param {string|null} companyId - Users without a company get the defaults
+ * @returns {Promise<Object>} Provider config (see resolveLlmConfig)
+ */
+export async function getCompanyLlmConfig(companyId) {
+  if (!companyId) return resolveLlmConfig(null, null)
+
+  const { data, error } = await supabaseAdmin
+    .from('company_llm_settings')
+    .select('*')
+    .eq('company_id', companyId)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error loading LLM settings:', error)
+    throw error
+  }
+
+  return resolveLlmConfig(data, companyId)
+}
+
+/**
+ * Send one chat completion request. Retries are the caller's job; a 429 error
+ * carries retryAfterMs so the queue can pause until the window resets.
+ * @param {Object} config - Provider config from resolveLlmConfig
+ * @param {string} prompt
+ * @param {Object} options - { maxTokens: override config.maxTokens }
+ * @returns {Promise<string>} Completion text
+ */
+export async function createChatCompletion(config, prompt, { maxTokens } = {}) {
+  // Self-hosted endpoints come from company settings, so check where they point before every request
+  if (config.provider === 'custom') {
+    const urlError = await checkPublicHttpsUrl(config.baseUrl, 'Endpoint URL')
+    if (urlError) throw new Error(urlError)
+  }
+
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS)
+  const label = LLM_PROVIDERS[config.provider]?.label || config.provider
+
+  const headers = { 'Content-Type': 'application/json' }
+  // Self-hosted servers often run without authentication
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`
+  }
+
+  try {
+    const response = await fetch(`${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: config.model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        max_tokens: maxTokens || config.maxTokens,
+        temperature: config.temperature,
+        top_p: 0.9
+      }),
+      // A redirect could lead somewhere checkPublicHttpsUrl would refuse
+      redirect: 'error',
+      signal: controller.signal
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      const error = new Error(`${label} error ${response.status}: ${errorData.error?.message || 'Unknown error'}`)
+
+      if (response.status === 429) {
+        // retry-after is in seconds; fall back to a full rate window
+        const retryAfter = Number(response.headers.get('retry-after'))
+        error.retryAfterMs = (retryAfter > 0 ? retryAfter : 60) * 1000
+      }
+
+      throw error
+    }
+
+    const data = await response.json()
+
+    if (!data.choices?.[0]?.message?.content) {
+      throw new Error(`Invalid response format from ${label}`)
+    }
+
+    return data.choices[0].message.content.trim()
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`${label} timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)
+    }
+    throw error
+  } finally {
+    clearTimeout(timeout)
+  }
+}
@@ -11,6 +11,10 @@ import { createClient } from '@supabase/supabase-js'
 
 // CRITICAL: Import filtering function to ensure AI only sees actual issues
 import { filterReportForAIAnalysis } from '@/lib/utils/observation-filter'
+import { getSessionProfile, canAccessProject } from '@/lib/supabase-server'
+import { getCompanyLlmConfig } from '@/lib/services/llm-providers'
+import { processLlmJobs, finishWithoutModel } from '@/lib/services/llm-job-worker'
+import { LLM_PROVIDERS } from '@/lib/constants/llmProviders'
 
 // Initialize Supabase for server-side operations
 const supabase = createClient(
@@ -18,14 +22,14 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 )
 
-// Simple in-memory queue for demo (in production, use Redis or database)
-const requestQueue = []
-let isProcessing = false
-const MAX_CONCURRENT = 4 // Process 4 requests at a time (under 6000 token limit)
+// Generation requests are persisted in llm_jobs so they survive between serverless
+// invocations, and are run by llm-job-worker.js.
+// The provider, model, temperature and max_tokens come from the company's LLM settings
+// (see llm-providers.js); a template result is used when no model is available.
+// Every export here is a server action, so each one checks the caller's access to the report.
 
-// Groq API configuration
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions'
-const GROQ_MODEL = 'llama-3.1-8b-instant'
+// Columns returned to the browser (never the prompt)
+const JOB_STATUS_FIELDS = 'id, report_id, job_type, provider, status, attempts, max_attempts, result, error, used_fallback, window_tokens, created_at, completed_at, applied_at'
 
 // STRUCTURED REPAIR KNOWLEDGE BASE
 const REPAIR_KNOWLEDGE_BASE = {
@@ -345,13 +349,17 @@ const REPAIR_KNOWLEDGE_BASE = {
  * Generate executive summary from inspection data
  * CRITICAL: Only analyzes actual issues, not informational observations
  */
-export async function generateExecutiveSummary(reportData, userId) {
+export async function generateExecutiveSummary(reportData, accessToken) {
   try {
     console.log('🤖 Starting executive summary generation...')
     
     // Validate input
-    if (!reportData || !userId) {
-      throw new Error('Missing required data or user ID')
+    if (!reportData) {
+      throw new Error('Missing required data')
+    }
+    const profile = await verifyReportAccess(accessToken, reportData.id)
+    if (!profile) {
+      throw new Error('Unauthorized access')
     }
 
     // CRITICAL: Filter out informational observations before analysis
@@ -364,30 +372,21 @@ export async function generateExecutiveSummary(reportData, userId) {
     // Create prompt for LLM using filtered data
     const prompt = createExecutiveSummaryPrompt(analysis, filteredReportData)
     
-    // Add to queue
-    const queueItem = {
-      id: `summary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      type: 'executive_summary',
-      prompt,
-      userId,
+    // Add to queue (or reuse the job already running for this report)
+    const job = await enqueueGenerationJob({
       reportId: reportData.id,
-      status: 'queued',
-      createdAt: new Date(),
-      estimatedTokens: estimateTokens(prompt)
-    }
-    
-    requestQueue.push(queueItem)
-    
-    // Start processing if not already running
-    if (!isProcessing) {
-      processQueue()
-    }
+      jobType: 'executive_summary',
+      prompt,
+      fallbackResult: createExecutiveSummaryTemplate(analysis, filteredReportData),
+      userId: profile.id
+    })
+    const { position, estimatedWait } = await getQueuePosition(job)
     
     return {
       success: true,
-      queueId: queueItem.id,
-      position: requestQueue.length,
-      estimatedWait: calculateEstimatedWait()
+      queueId: job.id,
+      position,
+      estimatedWait
     }
     
   } catch (error) {
@@ -403,10 +402,18 @@ export async function generateExecutiveSummary(reportData, userId) {
  * Generate repair recommendations with integrated knowledge base
  * CRITICAL: Only analyzes actual issues, not informational observations
  */
-export async function generateRepairRecommendations(reportData, userId) {
+export async function generateRepairRecommendations(reportData, accessToken) {
   try {
     console.log('🔧 Starting repair recommendations generation with knowledge base...')
     
+    if (!reportData) {
+      throw new Error('Missing required data')
+    }
+    const profile = await verifyReportAccess(accessToken, reportData.id)
+    if (!profile) {
+      throw new Error('Unauthorized access')
+    }
+    
     // CRITICAL: Filter out informational observations before analysis
     const filteredReportData = filterReportForAIAnalysis(reportData)
     console.log(`🔍 Filtered observations: ${filteredReportData.observations_snapshot.length} issues (from ${reportData.observations_snapshot?.length || 0} total observations)`)
@@ -419,28 +426,20 @@ export async function generateRepairRecommendations(reportData, userId) {
     // Create enhanced prompt with knowledge base using filtered data
     const prompt = createEnhancedRepairRecommendationsPrompt(analysis, filteredReportData, relevantKnowledge)
     
-    const queueItem = {
-      id: `repair_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      type: 'repair_recommendations',
-      prompt,
-      userId,
+    const job = await enqueueGenerationJob({
       reportId: reportData.id,
-      status: 'queued',
-      createdAt: new Date(),
-      estimatedTokens: estimateTokens(prompt)
-    }
-    
-    requestQueue.push(queueItem)
-    
-    if (!isProcessing) {
-      processQueue()
-    }
+      jobType: 'repair_recommendations',
+      prompt,
+      fallbackResult: createRepairRecommendationsTemplate(analysis, filteredReportData),
+      userId: profile.id
+    })
+    const { position, estimatedWait } = await getQueuePosition(job)
     
     return {
       success: true,
-      queueId: queueItem.id,
-      position: requestQueue.length,
-      estimatedWait: calculateEstimatedWait()
+      queueId: job.id,
+      position,
+      estimatedWait
     }
     
   } catch (error) {
@@ -539,54 +538,18 @@ function createEnhancedRepairRecommendationsPrompt(analysis, reportData, knowled
     })
     
     // Build section details - ONLY include sections with SEVERITY-RATED defects
-    const sections = reportData.sections_snapshot || []
-    const observations = reportData.observations_snapshot || []
-    
-    // Group observations by section, but ONLY include observations with severity
-    const sectionObservations = {}
-    observations.forEach(obs => {
-      // FIXED: Only include observations that have a severity rating (not null/undefined/0)
-      if (obs.section_id && obs.severity && obs.severity > 0) {
-        if (!sectionObservations[obs.section_id]) {
-          sectionObservations[obs.section_id] = []
-        }
-        sectionObservations[obs.section_id].push(obs)
-      }
-    })
-    
-    // Build section details text - ONLY for sections with severity-rated defects
+    const sectionsWithDefects = getSectionsWithDefects(reportData)
     const sectionDetails = []
     
-    Object.keys(sectionObservations).forEach(sectionId => {
-      const sectionObs = sectionObservations[sectionId]
-      const section = sections.find(s => s.id === sectionId)
+    sectionsWithDefects.forEach(({ title, subtitle, defects }) => {
+      sectionDetails.push(title)
+      sectionDetails.push(subtitle)
+      sectionDetails.push('Defects found (by severity):')
       
-      // ONLY include sections that have observations with severity ratings
-      if (section && sectionObs.length > 0) {
-        // Sort by severity (highest first)
-        sectionObs.sort((a, b) => (b.severity || 0) - (a.severity || 0))
-        
-        // FIXED: Enhanced detection of start/finish reference fields
-        const sectionName = section.name || section.header || `Section ${sectionId.slice(-3)}`
-        const startRef = getStartReference(section)
-        const finishRef = getFinishReference(section)
-        
-        sectionDetails.push(`${sectionName}: ${startRef} to ${finishRef}`)
-        
-        // Add subtitle with technical details
-        const diameter = section.diameter || 'Unknown'
-        const material = section.material || 'Unknown'
-        const use = section.use || 'Unknown'
-        const direction = section.direction || 'Not specified'
-        
-        sectionDetails.push(`${diameter} | ${material} | ${use} | Direction: ${direction}`)
-        sectionDetails.push('Defects found (by severity):')
-        
-        sectionObs.forEach(obs => {
-          sectionDetails.push(`- ${obs.code || 'Unknown'}: ${obs.description || obs.code || 'Defect'} (Severity ${obs.severity || 0}) at ${obs.distance || 'Unknown'}m`)
-        })
-        sectionDetails.push('')
-      }
+      defects.forEach(obs => {
+        sectionDetails.push(`- ${obs.code || 'Unknown'}: ${obs.description || obs.code || 'Defect'} (Severity ${obs.severity || 0}) at ${obs.distance || 'Unknown'}m`)
+      })
+      sectionDetails.push('')
     })
 
     // If no sections have defects with severity ratings, return a simple response
@@ -613,7 +576,7 @@ ${sectionDetails.join('\n')}
 PROJECT SUMMARY:
 - Project: ${analysis.projectName}
 - Total Sections Inspected: ${analysis.totalSections}
-- Sections with Defects: ${Object.keys(sectionObservations).length}
+- Sections with Defects: ${sectionsWithDefects.length}
 - Critical Issues: ${analysis.severityCount.critical + analysis.severityCount.high}
 - Medium Issues: ${analysis.severityCount.medium}
 - Low Issues: ${analysis.severityCount.low}
@@ -657,6 +620,51 @@ Write professional repair recommendations in narrative style, organized by secti
   }
 }
 
+/**
+ * Sections that have severity-rated defects, with their defects sorted by severity (highest first)
+ * @returns {Array} [{ section, title, subtitle, defects }]
+ */
+function getSectionsWithDefects(reportData) {
+  const sections = reportData.sections_snapshot || []
+  const observations = reportData.observations_snapshot || []
+  
+  // Group observations by section, but ONLY include observations with severity
+  const sectionObservations = {}
+  observations.forEach(obs => {
+    // FIXED: Only include observations that have a severity rating (not null/undefined/0)
+    if (obs.section_id && obs.severity && obs.severity > 0) {
+      if (!sectionObservations[obs.section_id]) {
+        sectionObservations[obs.section_id] = []
+      }
+      sectionObservations[obs.section_id].push(obs)
+    }
+  })
+  
+  const result = []
+  Object.keys(sectionObservations).forEach(sectionId => {
+    const section = sections.find(s => s.id === sectionId)
+    if (!section) return
+    
+    const defects = sectionObservations[sectionId].sort((a, b) => (b.severity || 0) - (a.severity || 0))
+    
+    // FIXED: Enhanced detection of start/finish reference fields
+    const sectionName = section.name || section.header || `Section ${sectionId.slice(-3)}`
+    const diameter = section.diameter || 'Unknown'
+    const material = section.material || 'Unknown'
+    const use = section.use || 'Unknown'
+    const direction = section.direction || 'Not specified'
+    
+    result.push({
+      section,
+      title: `${sectionName}: ${getStartReference(section)} to ${getFinishReference(section)}`,
+      subtitle: `${diameter} | ${material} | ${use} | Direction: ${direction}`,
+      defects
+    })
+  })
+  
+  return result
+}
+
 /**
  * FIXED: Enhanced function to detect start reference from various possible field names
  */
@@ -714,173 +722,310 @@ function getFinishReference(section) {
   return 'Finish'
 }
 
-export async function checkGenerationStatus(queueId) {
-  const item = requestQueue.find(item => item.id === queueId)
-  
-  if (!item) {
+/**
+ * The signed-in user's profile, when they may work on the report's project
+ */
+async function verifyReportAccess(accessToken, reportId) {
+  const profile = await getSessionProfile(accessToken)
+  if (!profile || !reportId) return null
+
+  const { data: report } = await supabase
+    .from('reports')
+    .select('project_id')
+    .eq('id', reportId)
+    .maybeSingle()
+
+  if (!report) return null
+  return (await canAccessProject(profile, report.project_id)) ? profile : null
+}
+
+// A generation job, when the signed-in user may work on its report
+async function getJobForUser(jobId, accessToken) {
+  const job = await getJob(jobId)
+  if (!job) return null
+  return (await verifyReportAccess(accessToken, job.report_id)) ? job : null
+}
+
+/**
+ * Queue a generation job. An unfinished job for the same report and type is reused,
+ * so clicking generate again (or after a reload) does not send a second request.
+ */
+async function enqueueGenerationJob({ reportId, jobType, prompt, fallbackResult, userId }) {
+  const existing = await findUnfinishedJob(reportId, jobType)
+  if (existing) {
+    console.log(`♻️ Reusing ${jobType} job ${existing.id}`)
+    // A cancelled job still with the provider is wanted again
+    if (existing.applied_at) {
+      await supabase.from('llm_jobs').update({ applied_at: null }).eq('id', existing.id)
+      existing.applied_at = null
+    }
+    return existing
+  }
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('company_id')
+    .eq('id', userId)
+    .single()
+
+  const companyId = profile?.company_id || null
+  const config = await getCompanyLlmConfig(companyId)
+
+  const job = {
+    report_id: reportId,
+    job_type: jobType,
+    company_id: companyId,
+    provider: config.windowKey,
+    model: config.model,
+    prompt,
+    fallback_result: fallbackResult,
+    window_tokens: estimateTokens(prompt) + config.maxTokens,
+    created_by: userId
+  }
+
+  // No model to call: finish straight away from the template
+  if (!config.available) {
+    console.log(`📝 ${config.unavailableReason} - not queueing ${jobType}`)
+    Object.assign(job, finishWithoutModel(job, config, config.unavailableReason, new Date()))
+  }
+
+  const { data, error } = await supabase
+    .from('llm_jobs')
+    .insert(job)
+    .select(JOB_STATUS_FIELDS)
+    .single()
+
+  if (error) {
+    // Another request queued the same job first (idx_llm_jobs_one_active)
+    if (error.code === '23505') {
+      const raced = await findUnfinishedJob(reportId, jobType)
+      if (raced) return raced
+    }
+    console.error('Error queueing generation job:', error)
+    throw error
+  }
+
+  return data
+}
+
+async function findUnfinishedJob(reportId, jobType) {
+  const { data, error } = await supabase
+    .from('llm_jobs')
+    .select(JOB_STATUS_FIELDS)
+    .eq('report_id', reportId)
+    .eq('job_type', jobType)
+    .in('status', ['queued', 'processing'])
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error loading generation job:', error)
+    throw error
+  }
+
+  return data
+}
+
+async function getJob(jobId) {
+  const { data, error } = await supabase
+    .from('llm_jobs')
+    .select(JOB_STATUS_FIELDS)
+    .eq('id', jobId)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error loading generation job:', error)
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Position in the queue and estimated wait, from the jobs queued before this one
+ */
+async function getQueuePosition(job) {
+  if (job.status !== 'queued') {
+    return { position: 0, estimatedWait: '' }
+  }
+
+  const { data: ahead, error } = await supabase
+    .from('llm_jobs')
+    .select('window_tokens')
+    .eq('provider', job.provider)
+    .eq('status', 'queued')
+    .lt('created_at', job.created_at)
+
+  if (error) {
+    console.error('Error calculating queue position:', error)
+    throw error
+  }
+
+  const tokensAhead = ahead.reduce((sum, row) => sum + row.window_tokens, 0) + job.window_tokens
+  // custom:<company_id> windows are estimated with the default self-hosted limits
+  const { tokensPerMinute } = LLM_PROVIDERS[job.provider.split(':')[0]] || LLM_PROVIDERS.groq
+
+  return {
+    position: ahead.length + 1,
+    estimatedWait: calculateEstimatedWait(tokensAhead, tokensPerMinute)
+  }
+}
+
+function toJobStatus(job, { position, estimatedWait }) {
+  return {
+    queueId: job.id,
+    jobType: job.job_type,
+    status: job.status,
+    position,
+    estimatedWait,
+    attempts: job.attempts,
+    result: job.status === 'completed' ? job.result : null,
+    error: job.status === 'error' ? job.error : null,
+    // Result was written by the template because the model was unavailable or failed
+    usedFallback: !!job.used_fallback,
+    applied: !!job.applied_at
+  }
+}
+
+export async function checkGenerationStatus(queueId, accessToken) {
+  try {
+    let job = await getJobForUser(queueId, accessToken)
+
+    if (!job) {
+      return {
+        success: false,
+        error: 'Request not found'
+      }
+    }
+
+    // Status polls drive the worker - there is no long-running process on serverless deploys.
+    // The claim is atomic and rate limited, so concurrent polls cannot double-send.
+    if (job.status === 'queued' || job.status === 'processing') {
+      await processLlmJobs({ limit: 1 })
+      job = await getJob(queueId)
+    }
+
+    return { success: true, ...toJobStatus(job, await getQueuePosition(job)) }
+  } catch (error) {
+    console.error('❌ Generation status check failed:', error)
     return {
       success: false,
-      error: 'Request not found'
+      error: error.message
     }
   }
-  
-  // Calculate current position
-  const queuedItems = requestQueue.filter(item => item.status === 'queued')
-  const currentPosition = queuedItems.findIndex(item => item.id === queueId) + 1
-  
-  return {
-    success: true,
-    status: item.status,
-    position: currentPosition,
-    estimatedWait: calculateEstimatedWait(currentPosition),
-    result: item.result,
-    error: item.error
+}
+
+/**
+ * Latest generation job for a report that is still running or whose result has not
+ * been applied yet, so the generate buttons can resume after a page reload
+ * @param {string} reportId
+ * @param {string} jobType - 'executive_summary' | 'repair_recommendations'
+ * @param {string} accessToken - Session access token of the signed-in user
+ * @returns {Promise<Object>} { success, job } - job has the checkGenerationStatus fields, or is null
+ */
+export async function getActiveGenerationJob(reportId, jobType, accessToken) {
+  try {
+    if (!(await verifyReportAccess(accessToken, reportId))) {
+      return { success: false, error: 'Unauthorized access' }
+    }
+
+    const { data: job, error } = await supabase
+      .from('llm_jobs')
+      .select(JOB_STATUS_FIELDS)
+      .eq('report_id', reportId)
+      .eq('job_type', jobType)
+      .in('status', ['queued', 'processing', 'completed'])
+      .is('applied_at', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!job) return { success: true, job: null }
+
+    return { success: true, job: toJobStatus(job, await getQueuePosition(job)) }
+  } catch (error) {
+    console.error('❌ Failed to load active generation job:', error)
+    return {
+      success: false,
+      error: error.message
+    }
   }
 }
 
 /**
- * Process the queue with rate limiting
+ * Mark a completed job's result as applied to the report and return it.
+ * Only the first caller gets the result, so two open tabs (or two buttons)
+ * cannot insert the same recommendations twice.
+ * @param {string} queueId
+ * @param {string} accessToken - Session access token of the signed-in user
+ * @returns {Promise<Object>} { success, result } - result is null if already applied
  */
-async function processQueue() {
-  if (isProcessing) return
-  
-  isProcessing = true
-  console.log('🚀 Starting queue processing...')
-  
+export async function claimGenerationResult(queueId, accessToken) {
   try {
-    while (requestQueue.length > 0) {
-      // Get next batch (up to MAX_CONCURRENT)
-      const batch = requestQueue
-        .filter(item => item.status === 'queued')
-        .slice(0, MAX_CONCURRENT)
-      
-      if (batch.length === 0) {
-        console.log('✅ No more queued items')
-        break
-      }
-      
-      console.log(`📦 Processing batch of ${batch.length} items`)
-      
-      // Process batch in parallel
-      const batchPromises = batch.map(async (item, index) => {
-        try {
-          // Add delay between requests to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, index * 500))
-          
-          item.status = 'processing'
-          console.log(`🔄 Processing ${item.type} (${item.id})`)
-          
-          const result = await callGroqAPI(item.prompt)
-          
-          item.status = 'completed'
-          item.result = result
-          item.completedAt = new Date()
-          
-          console.log(`✅ Completed ${item.type} (${item.id})`)
-          
-        } catch (error) {
-          console.error(`❌ Error processing ${item.id}:`, error)
-          item.status = 'error'
-          item.error = error.message
-        }
-      })
-      
-      await Promise.all(batchPromises)
-      
-      // Wait 60 seconds before next batch to respect rate limits
-      if (requestQueue.some(item => item.status === 'queued')) {
-        console.log('⏱️ Waiting 60 seconds before next batch...')
-        await new Promise(resolve => setTimeout(resolve, 60000))
-      }
+    if (!(await getJobForUser(queueId, accessToken))) {
+      return { success: false, error: 'Request not found' }
+    }
+
+    const { data, error } = await supabase
+      .from('llm_jobs')
+      .update({ applied_at: new Date().toISOString() })
+      .eq('id', queueId)
+      .eq('status', 'completed')
+      .is('applied_at', null)
+      .select('result')
+      .maybeSingle()
+
+    if (error) throw error
+
+    return { success: true, result: data?.result ?? null }
+  } catch (error) {
+    console.error('❌ Failed to claim generation result:', error)
+    return {
+      success: false,
+      error: error.message
     }
-    
-  } finally {
-    isProcessing = false
-    console.log('🏁 Queue processing completed')
-    
-    // Clean up completed items after 10 minutes
-    setTimeout(() => {
-      const cutoff = new Date(Date.now() - 10 * 60 * 1000)
-      const initialLength = requestQueue.length
-      
-      for (let i = requestQueue.length - 1; i >= 0; i--) {
-        const item = requestQueue[i]
-        if ((item.status === 'completed' || item.status === 'error') && 
-            item.completedAt && item.completedAt < cutoff) {
-          requestQueue.splice(i, 1)
-        }
-      }
-      
-      if (requestQueue.length < initialLength) {
-        console.log(`🧹 Cleaned up ${initialLength - requestQueue.length} old queue items`)
-      }
-    }, 10 * 60 * 1000)
   }
 }
 
 /**
- * Call Groq API with retry logic
+ * Cancel a job from the generate buttons. A queued job is dropped; a job already
+ * with the provider finishes, but its result is discarded.
+ * @param {string} queueId
+ * @param {string} accessToken - Session access token of the signed-in user
+ * @returns {Promise<Object>} { success }
  */
-async function callGroqAPI(prompt) {
-  const maxRetries = 3
-  let lastError
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`🌐 Groq API attempt ${attempt}/${maxRetries}`)
-      
-      const response = await fetch(GROQ_API_URL, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: GROQ_MODEL,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: 1000,
-          temperature: 0.1, // Low temperature for consistent, professional output
-          top_p: 0.9
-        })
-      })
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}))
-        
-        if (response.status === 429) {
-          // Rate limit - wait longer and retry
-          console.log(`⏰ Rate limited, waiting ${60 * attempt} seconds...`)
-          await new Promise(resolve => setTimeout(resolve, 60 * attempt * 1000))
-          continue
-        }
-        
-        throw new Error(`Groq API error ${response.status}: ${errorData.error?.message || 'Unknown error'}`)
-      }
-      
-      const data = await response.json()
-      
-      if (!data.choices?.[0]?.message?.content) {
-        throw new Error('Invalid response format from Groq API')
-      }
-      
-      return data.choices[0].message.content.trim()
-      
-    } catch (error) {
-      console.error(`❌ Groq API attempt ${attempt} failed:`, error.message)
-      lastError = error
-      
-      if (attempt < maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, 2000 * attempt))
-      }
+export async function cancelGenerationJob(queueId, accessToken) {
+  try {
+    if (!(await getJobForUser(queueId, accessToken))) {
+      return { success: false, error: 'Request not found' }
+    }
+
+    const now = new Date().toISOString()
+
+    const { error: queuedError } = await supabase
+      .from('llm_jobs')
+      .update({ status: 'error', error: 'Cancelled', completed_at: now, applied_at: now })
+      .eq('id', queueId)
+      .eq('status', 'queued')
+
+    if (queuedError) throw queuedError
+
+    const { error } = await supabase
+      .from('llm_jobs')
+      .update({ applied_at: now })
+      .eq('id', queueId)
+      .is('applied_at', null)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('❌ Failed to cancel generation job:', error)
+    return {
+      success: false,
+      error: error.message
     }
   }
-  
-  throw lastError
 }
 
 /**
@@ -1037,6 +1182,118 @@ Focus on the system being in good operational condition and meeting performance
 Focus on actionable insights and business impact. Be concise but comprehensive.`
 }
 
+/**
+ * Template executive summary built from analyzeInspectionData output.
+ * Deterministic - used when no model is available or the model keeps failing.
+ */
+function createExecutiveSummaryTemplate(analysis, reportData) {
+  const stats = reportData.stats || {}
+  const { critical, high, medium, low } = analysis.severityCount
+  const urgent = critical + high
+  const paragraphs = []
+  
+  paragraphs.push(
+    `A CCTV drainage inspection was carried out for ${analysis.projectName}. ` +
+    `${stats.sections_with_any_observations || 0} of ${analysis.totalSections} sections were surveyed ` +
+    `(${stats.actual_completion_rate || 0}% completion), recording ${analysis.originalTotalObservations} observations in total.`
+  )
+  
+  if (analysis.totalObservations === 0) {
+    paragraphs.push(
+      'No structural or service defects requiring remedial works were identified. The observations recorded document ' +
+      'the layout of the system (junctions, connections and line deviations), confirming that the survey was completed ' +
+      'and that the drainage system is in good operational condition.'
+    )
+    paragraphs.push('No remedial works are required at this time. A routine re-inspection is recommended as part of normal maintenance planning.')
+    return paragraphs.join('\n\n')
+  }
+  
+  paragraphs.push(
+    `${analysis.totalObservations} defect${analysis.totalObservations !== 1 ? 's were' : ' was'} identified: ` +
+    `${urgent} of high or critical severity (grades 4-5), ${medium} of medium severity (grade 3) ` +
+    `and ${low} of low severity (grades 1-2).`
+  )
+  
+  if (analysis.criticalIssues.length > 0) {
+    const findings = [...analysis.criticalIssues]
+      .sort((a, b) => (b.severity || 0) - (a.severity || 0))
+      .slice(0, 5)
+      .map(obs => `${obs.description || obs.code} (severity ${obs.severity}${obs.distance != null ? ` at ${obs.distance}m` : ''})`)
+    paragraphs.push(`The most significant findings are ${joinList(findings)}.`)
+  }
+  
+  if (analysis.commonIssues.length > 0) {
+    const patterns = analysis.commonIssues
+      .slice(0, 3)
+      .map(item => `${item.issue} (${item.count} occurrence${item.count !== 1 ? 's' : ''})`)
+    paragraphs.push(`The most frequently recorded defects were ${joinList(patterns)}.`)
+  }
+  
+  if (urgent > 0) {
+    paragraphs.push(
+      'Remedial works are recommended as a priority for the high and critical severity defects, which may affect the ' +
+      'structural integrity or performance of the system. The remaining defects should be addressed through planned maintenance.'
+    )
+  } else if (medium > 0) {
+    paragraphs.push('No defects require immediate intervention. The medium severity defects should be addressed through planned maintenance to prevent further deterioration.')
+  } else {
+    paragraphs.push('The defects identified are minor. They should be monitored and addressed as part of routine maintenance.')
+  }
+  
+  return paragraphs.join('\n\n')
+}
+
+/**
+ * Template repair recommendations built from the repair knowledge base.
+ * Uses the same section format as the model output so parseAIRecommendations can split it.
+ */
+function createRepairRecommendationsTemplate(analysis, reportData) {
+  const sectionsWithDefects = getSectionsWithDefects(reportData)
+  
+  if (sectionsWithDefects.length === 0) {
+    return `No defects requiring remedial works were identified across the ${analysis.totalSections} sections inspected for ${analysis.projectName}. ` +
+      'The drainage system is in good condition and routine monitoring is recommended.'
+  }
+  
+  return sectionsWithDefects.map(({ title, subtitle, defects }) => {
+    const sentences = defects.map(obs => {
+      const finding = `${obs.description || obs.code || 'Defect'} at ${obs.distance ?? 'Unknown'}m (Code ${obs.code || 'Unknown'}, Severity ${obs.severity}).`
+      const knowledge = findRepairKnowledge(obs.code)
+      
+      if (knowledge) {
+        const method = knowledge.methods?.[0] || knowledge.primary_repair
+        return `${finding} Recommended action: ${method}${knowledge.timeframe ? ` (timeframe: ${knowledge.timeframe})` : ''}.`
+      }
+      return obs.severity >= 4
+        ? `${finding} Further engineering assessment is recommended to confirm the repair method.`
+        : `${finding} Monitor and review at the next inspection.`
+    })
+    
+    return `**${title}**\n*${subtitle}*\n\n${sentences.join(' ')}`
+  }).join('\n\n')
+}
+
+/**
+ * Repair knowledge for a defect code, from whichever defect category lists it
+ */
+function findRepairKnowledge(code) {
+  if (!code) return null
+  
+  const categories = ['high_severity', 'medium_severity', 'lower_severity', 'cleaning_required', 'special_materials']
+  for (const category of categories) {
+    if (REPAIR_KNOWLEDGE_BASE[category]?.[code]) {
+      return REPAIR_KNOWLEDGE_BASE[category][code]
+    }
+  }
+  return null
+}
+
+// "a, b and c"
+function joinList(items) {
+  if (items.length <= 1) return items.join('')
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+}
+
 /**
  * Estimate token count for a prompt
  */
@@ -1046,23 +1303,18 @@ function estimateTokens(text) {
 }
 
 /**
- * Calculate estimated wait time based on queue position
+ * Calculate estimated wait time from the token budget queued ahead of (and including) a job
  */
-function calculateEstimatedWait(position = null) {
-  const queueLength = position || requestQueue.filter(item => item.status === 'queued').length
+function calculateEstimatedWait(tokensAhead, tokensPerMinute) {
+  const minutes = Math.ceil(tokensAhead / tokensPerMinute)
   
-  if (queueLength <= MAX_CONCURRENT) {
+  if (minutes <= 1) {
     return '30-60 seconds'
+  } else if (minutes <= 2) {
+    return '1-2 minutes'
+  } else if (minutes <= 5) {
+    return '3-5 minutes'
   } else {
-    const batches = Math.ceil(queueLength / MAX_CONCURRENT)
-    const minutes = batches * 1 // 1 minute per batch (including processing time)
-    
-    if (minutes <= 2) {
-      return '1-2 minutes'
-    } else if (minutes <= 5) {
-      return '3-5 minutes'
-    } else {
-      return `${minutes} minutes`
-    }
+    return `${minutes} minutes`
   }
-}
\ No newline at end of file
+}
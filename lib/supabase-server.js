@@ -17,4 +17,50 @@ export const createServerClient = () => {
     process.env.NEXT_PUBLIC_SUPABASE_URL,
     process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
   )
-}
\ No newline at end of file
+}
+
+/**
+ * Profile of the signed-in user, from the session access token sent by the browser.
+ * Server actions authenticate with this rather than trusting a user ID from the client.
+ * @param {string} accessToken - Session access token (see getAccessToken in lib/supabase.js)
+ * @returns {Promise<Object|null>} { id, company_id, role }, or null when the token is not valid
+ */
+export async function getSessionProfile(accessToken) {
+  if (!accessToken) return null
+
+  const { data: { user }, error: authError } = await supabaseAdmin.auth.getUser(accessToken)
+  if (authError || !user) return null
+
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, company_id, role')
+    .eq('id', user.id)
+    .single()
+
+  return error ? null : profile
+}
+
+/**
+ * Whether a user may work on a project. Projects belong to users, and the owner's
+ * company colleagues share them; super admins may work on any project.
+ * @param {Object} profile - From getSessionProfile
+ * @param {string} projectId
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessProject(profile, projectId) {
+  if (!profile || !projectId) return false
+  if (profile.role === 'super_admin') return true
+
+  const { data: project } = await supabaseAdmin
+    .from('projects')
+    .select('user_id')
+    .eq('id', projectId)
+    .maybeSingle()
+
+  if (!project) return false
+  if (project.user_id === profile.id) return true
+  if (!profile.company_id) return false
+
+  const { data: companyId } = await supabaseAdmin.rpc('get_project_company_id', { p_project_id: projectId })
+  return companyId === profile.company_id
+}
@@ -5,6 +5,12 @@ const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey)
 
+// Access token of the current session, sent to server actions so they can check who is calling
+export const getAccessToken = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.access_token || null
+}
+
 // Upload video file to Supabase storage with progress tracking
 export const uploadVideo = async (videoBlob, filename, sectionId, onProgress = null) => {
   try {
@@ -0,0 +1,101 @@
+import { scoreToGrade, scoreObservation, calculateSectionScores, GRADE_THRESHOLDS } from '../condition-grading'
+
+// Each band starts at its threshold: [peak score, expected grade]
+const STRUCTURAL_BOUNDARIES = [
+  [0, 1], [9.9, 1],
+  [10, 2], [39.9, 2],
+  [40, 3], [79.9, 3],
+  [80, 4], [164.9, 4],
+  [165, 5], [300, 5]
+]
+
+const SERVICE_BOUNDARIES = [
+  [0, 1], [0.9, 1],
+  [1, 2], [1.9, 2],
+  [2, 3], [4.9, 3],
+  [5, 4], [9.9, 4],
+  [10, 5], [20, 5]
+]
+
+describe('scoreToGrade', () => {
+  test.each(STRUCTURAL_BOUNDARIES)('structural peak %p is grade %p', (peak, grade) => {
+    expect(scoreToGrade(peak, 'structural')).toBe(grade)
+  })
+
+  test.each(SERVICE_BOUNDARIES)('service peak %p is grade %p', (peak, grade) => {
+    expect(scoreToGrade(peak, 'service')).toBe(grade)
+  })
+
+  test('uses the SRM peak score thresholds', () => {
+    expect(GRADE_THRESHOLDS.structural.map(band => band.min)).toEqual([165, 80, 40, 10, 0])
+    expect(GRADE_THRESHOLDS.service.map(band => band.min)).toEqual([10, 5, 2, 1, 0])
+  })
+})
+
+describe('scoreObservation', () => {
+  test.each([
+    [{ code: 'FC' }, { structural: 40, service: 0 }],
+    [{ code: 'C', type: 'L' }, { structural: 10, service: 0 }],
+    [{ code: 'B', is_at_joint: true }, { structural: 60, service: 0 }],
+    [{ code: 'D', loss_percentage: '8' }, { structural: 80, service: 0 }],
+    [{ code: 'DEG', loss_percentage: 30 }, { structural: 0, service: 15 }],
+    [{ code: 'R', type: 'Fine' }, { structural: 0, service: 1 }],
+    [{ code: 'ZZZ' }, { structural: 0, service: 0 }]
+  ])('scores %p', (obs, expected) => {
+    expect(scoreObservation(obs)).toEqual(expected)
+  })
+})
+
+describe('calculateSectionScores', () => {
+  const finish = (distance) => ({ id: 'finish', code: 'FINISH', distance })
+
+  test('adds point defects in the same metre together', () => {
+    const scores = calculateSectionScores([
+      { id: 1, code: 'FC', distance: 2.3 },
+      { id: 2, code: 'CC', distance: 2.9 },
+      finish(10)
+    ])
+
+    expect(scores.length).toBe(10)
+    expect(scores.structural).toEqual({ peak: 50, total: 50, mean: 5, grade: 3 })
+    expect(scores.service.grade).toBe(1)
+  })
+
+  test('puts a defect on a metre boundary in the metre it starts', () => {
+    const scores = calculateSectionScores([
+      { id: 1, code: 'FC', distance: 3 },
+      { id: 2, code: 'CC', distance: 2.99 },
+      finish(10)
+    ])
+
+    expect(scores.structural.peak).toBe(40)
+    expect(scores.structural.total).toBe(50)
+  })
+
+  test('scores every metre a continuous defect spans, but not the metre after a boundary finish', () => {
+    const scores = calculateSectionScores([
+      { id: 1, code: 'DEG', loss_percentage: 30, distance: 2.5, continuous_defect_starts: true },
+      { id: 2, code: 'DEG', loss_percentage: 30, distance: 5, continuous_defect_ends: true },
+      finish(10)
+    ])
+
+    // Metres 2, 3 and 4 - the finish record adds nothing of its own
+    expect(scores.service).toEqual({ peak: 15, total: 45, mean: 4.5, grade: 5 })
+  })
+
+  test('runs an unfinished continuous defect to the end of the survey', () => {
+    const scores = calculateSectionScores([
+      { id: 1, code: 'RM', loss_percentage: 60, distance: 7.2, continuous_defect_starts: true },
+      finish(10)
+    ])
+
+    expect(scores.service.total).toBe(60)
+  })
+
+  test('grades an empty section as 1', () => {
+    const scores = calculateSectionScores([])
+
+    expect(scores.length).toBe(0)
+    expect(scores.structural).toEqual({ peak: 0, total: 0, mean: 0, grade: 1 })
+  })
+})
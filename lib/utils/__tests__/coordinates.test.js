@@ -0,0 +1,68 @@
+import { wgs84ToBng, bngToWgs84, parseCoordinates, toGridReference, COORDINATE_SYSTEMS } from '../coordinates'
+
+// Big Ben: OS grid TQ 30269 79640, WGS84 51.50072, -0.12462
+const BIG_BEN = { lat: 51.50072, lng: -0.12462, easting: 530269, northing: 179640 }
+
+// The Helmert transform is good to about 5m across Great Britain
+const HELMERT_TOLERANCE = 5 // metres
+
+describe('wgs84ToBng / bngToWgs84', () => {
+  test('converts a known point to within the transform accuracy', () => {
+    const { easting, northing } = wgs84ToBng(BIG_BEN.lat, BIG_BEN.lng)
+
+    expect(Math.abs(easting - BIG_BEN.easting)).toBeLessThan(HELMERT_TOLERANCE)
+    expect(Math.abs(northing - BIG_BEN.northing)).toBeLessThan(HELMERT_TOLERANCE)
+  })
+
+  test('round-trips a grid position to the centimetre', () => {
+    const { lat, lng } = bngToWgs84(BIG_BEN.easting, BIG_BEN.northing)
+    const { easting, northing } = wgs84ToBng(lat, lng)
+
+    expect(easting).toBeCloseTo(BIG_BEN.easting, 1)
+    expect(northing).toBeCloseTo(BIG_BEN.northing, 1)
+  })
+})
+
+describe('parseCoordinates', () => {
+  test.each([
+    ['TQ 30269 79640'],
+    ['530269, 179640'],
+    ['E 530269 N 179640'],
+    ['179640N 530269E']
+  ])('reads %p as British National Grid', (text) => {
+    expect(parseCoordinates(text)).toMatchObject({
+      system: COORDINATE_SYSTEMS.BNG,
+      easting: BIG_BEN.easting,
+      northing: BIG_BEN.northing
+    })
+  })
+
+  test('reads latitude, longitude as WGS84', () => {
+    expect(parseCoordinates('51.50072, -0.12462')).toMatchObject({
+      system: COORDINATE_SYSTEMS.WGS84,
+      lat: BIG_BEN.lat,
+      lng: BIG_BEN.lng
+    })
+  })
+
+  test('rejects positions outside Great Britain in either system', () => {
+    expect(parseCoordinates('40.7128, -74.006').error).toMatch(/outside Great Britain/)
+    expect(parseCoordinates('800000, 100000').error).toMatch(/outside the British National Grid/)
+  })
+
+  test('returns null for blank input and an error for text it cannot read', () => {
+    expect(parseCoordinates('  ')).toBeNull()
+    expect(parseCoordinates('somewhere').error).toBeTruthy()
+  })
+})
+
+describe('toGridReference', () => {
+  test('formats an easting/northing as an OS grid reference', () => {
+    expect(toGridReference(BIG_BEN.easting, BIG_BEN.northing)).toBe('TQ 30269 79640')
+    expect(toGridReference(BIG_BEN.easting, BIG_BEN.northing, 6)).toBe('TQ 302 796')
+  })
+
+  test('is blank off the National Grid', () => {
+    expect(toGridReference(-1, 0)).toBe('')
+  })
+})
@@ -0,0 +1,112 @@
+import {
+  TRACE_DIRECTIONS,
+  TOPOLOGY_ISSUES,
+  buildNetworkGraph,
+  traceNetwork,
+  getTraceRun,
+  summariseTrace,
+  findTopologyIssues
+} from '../network-graph'
+
+// Node positions in these tests are plain metres
+jest.mock('@/lib/maps', () => ({
+  calculateDistance: (lat1, lng1, lat2, lng2) => Math.hypot(lat2 - lat1, lng2 - lng1)
+}))
+
+const node = (id, lat, lng) => ({ id, node_ref: id, lat, lng })
+const line = (id, from, to, extra = {}) => ({ id, start_node_id: from, end_node_id: to, ...extra })
+
+// A → B → C, with a long branch D joining at B
+const nodes = [node('A', 0, 0), node('B', 0, 10), node('C', 0, 20), node('D', 50, 10)]
+const lines = [line('l1', 'A', 'B', { section_id: 's1' }), line('l2', 'B', 'C'), line('l3', 'D', 'B')]
+const sections = [{ id: 's1', start_ref: 'A', finish_ref: 'B' }]
+
+const ids = (set) => [...set].sort()
+
+describe('traceNetwork', () => {
+  const graph = buildNetworkGraph({ nodes, lines, sections })
+
+  test('follows the flow downstream from a node', () => {
+    const trace = traceNetwork(graph, { nodeId: 'A' }, TRACE_DIRECTIONS.DOWNSTREAM)
+    expect(ids(trace.lineIds)).toEqual(['l1', 'l2'])
+    expect(ids(trace.nodeIds)).toEqual(['A', 'B', 'C'])
+    expect(trace.length).toBe(20)
+  })
+
+  test('collects every branch upstream of a line', () => {
+    const trace = traceNetwork(graph, { lineId: 'l2' }, TRACE_DIRECTIONS.UPSTREAM)
+    expect(trace.startNodeId).toBe('B')
+    expect(ids(trace.lineIds)).toEqual(['l1', 'l2', 'l3'])
+  })
+
+  test('returns null for an unknown origin', () => {
+    expect(traceNetwork(graph, { nodeId: 'X' }, TRACE_DIRECTIONS.UPSTREAM)).toBeNull()
+    expect(traceNetwork(graph, { lineId: 'X' }, TRACE_DIRECTIONS.UPSTREAM)).toBeNull()
+  })
+
+  test('lays out the longest run upstream to downstream', () => {
+    const trace = traceNetwork(graph, { nodeId: 'C' }, TRACE_DIRECTIONS.UPSTREAM)
+    expect(getTraceRun(graph, trace).map(l => l.id)).toEqual(['l3', 'l2'])
+  })
+})
+
+describe('summariseTrace', () => {
+  test('lists the graded sections and worst defects along a trace', () => {
+    const graph = buildNetworkGraph({ nodes, lines, sections })
+    const observations = [
+      { id: 'o1', section_id: 's1', code: 'FC', distance: 3 },
+      { id: 'o2', section_id: 's1', code: 'WL', distance: 4 },
+      { id: 'o3', section_id: 's9', code: 'FC', distance: 1 }
+    ]
+    const trace = traceNetwork(graph, { nodeId: 'A' }, TRACE_DIRECTIONS.DOWNSTREAM)
+    const { sections: traced, worstDefects } = summariseTrace(trace, observations)
+
+    expect(traced).toHaveLength(1)
+    expect(traced[0]).toMatchObject({ section: sections[0], observationCount: 2 })
+    expect(worstDefects.map(entry => entry.observation.id)).toEqual(['o1'])
+  })
+})
+
+describe('findTopologyIssues', () => {
+  const issueTypes = (graph) => findTopologyIssues(graph).map(issue => issue.type)
+
+  test('finds nothing wrong with a clean network', () => {
+    expect(issueTypes(buildNetworkGraph({ nodes, lines }))).toEqual([])
+  })
+
+  test('reports disconnected nodes, shared references and loose pipe ends', () => {
+    const graph = buildNetworkGraph({
+      nodes: [...nodes, node('E', 100, 100), { ...node('F', 200, 200), node_ref: 'a' }],
+      lines: [...lines, line('l4', 'C', 'missing'), line('l5', 'F', 'F')]
+    })
+    const issues = findTopologyIssues(graph)
+
+    expect(issues).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: TOPOLOGY_ISSUES.DISCONNECTED_NODE, nodeIds: ['E'] }),
+      expect.objectContaining({ type: TOPOLOGY_ISSUES.DUPLICATE_REF, nodeIds: ['A', 'F'] }),
+      expect.objectContaining({ type: TOPOLOGY_ISSUES.UNSNAPPED_END, lineIds: ['l4'], message: "A pipe's end is not connected to a node" }),
+      expect.objectContaining({ type: TOPOLOGY_ISSUES.UNSNAPPED_END, lineIds: ['l5'] })
+    ]))
+    expect(issues).toHaveLength(4)
+  })
+
+  test('reports pipes ending at two nodes that are probably one manhole', () => {
+    const graph = buildNetworkGraph({
+      nodes: [node('A', 0, 0), node('B', 0, 10), node('B2', 0.3, 10), node('C', 0, 20)],
+      lines: [line('l1', 'A', 'B'), line('l2', 'B2', 'C')]
+    })
+    expect(findTopologyIssues(graph)).toEqual([
+      expect.objectContaining({ type: TOPOLOGY_ISSUES.UNSNAPPED_END, nodeIds: ['B', 'B2'], lineIds: ['l1', 'l2'] })
+    ])
+  })
+
+  test('reports flow going round in a loop', () => {
+    const graph = buildNetworkGraph({
+      nodes: [node('X', 0, 0), node('Y', 0, 10), node('Z', 10, 0)],
+      lines: [line('l1', 'X', 'Y'), line('l2', 'Y', 'Z'), line('l3', 'Z', 'X')]
+    })
+    expect(findTopologyIssues(graph)).toEqual([
+      expect.objectContaining({ type: TOPOLOGY_ISSUES.LOOP, message: 'Flow goes round in a loop: X → Y → Z → X' })
+    ])
+  })
+})
@@ -0,0 +1,132 @@
+import {
+  FLOW_SOURCES,
+  getPipeEndInvert,
+  getLineLength,
+  getLineFlow,
+  formatGradient,
+  buildLongitudinalProfile
+} from '../pipe-flow'
+
+// Node positions in these tests are plain metres
+jest.mock('@/lib/maps', () => ({
+  calculateDistance: (lat1, lng1, lat2, lng2) => Math.hypot(lat2 - lat1, lng2 - lng1)
+}))
+
+const node = (id, lat, lng, levels = {}) => ({ id, node_ref: id, lat, lng, ...levels })
+
+const A = node('A', 0, 0, { cover_level: 10 })
+const B = node('B', 0, 20, { cover_level: 9.8 })
+const C = node('C', 0, 30, { cover_level: 9.5 })
+
+const surveyed = {
+  id: 's1',
+  start_ref: 'A',
+  finish_ref: 'B',
+  direction: 'Downstream',
+  start_depth: 1,
+  finish_depth: 1.2
+}
+const surveyObs = [{ section_id: 's1', code: 'FINISH', distance: 20 }]
+
+describe('getPipeEndInvert', () => {
+  test('takes the depth from the cover level, otherwise the recorded invert', () => {
+    expect(getPipeEndInvert({ cover_level: '10.5', invert_level: 7 }, 1.5)).toBe(9)
+    expect(getPipeEndInvert({ cover_level: 10.5, invert_level: 8 }, '')).toBe(8)
+    expect(getPipeEndInvert(null, 1)).toBeNull()
+  })
+})
+
+describe('getLineLength', () => {
+  test('prefers the surveyed length, then the drawn length through waypoints', () => {
+    expect(getLineLength({ section_id: 's1' }, A, B, surveyObs)).toBe(20)
+    expect(getLineLength({ waypoints: [[10, 0]] }, A, B)).toBeCloseTo(10 + Math.hypot(10, 20))
+  })
+
+  test('is unknown for lines on a canvas', () => {
+    expect(getLineLength({ context: 'canvas' }, A, B)).toBeNull()
+  })
+})
+
+describe('getLineFlow', () => {
+  test('follows the survey direction', () => {
+    const flow = getLineFlow({ section_id: 's1', section: surveyed }, A, B, surveyObs)
+    expect(flow).toMatchObject({
+      upstreamNode: A,
+      downstreamNode: B,
+      upstreamInvert: 9,
+      length: 20,
+      flowSource: FLOW_SOURCES.SURVEY,
+      flowsWithLine: true,
+      isUphill: false
+    })
+    expect(flow.downstreamInvert).toBeCloseTo(8.6)
+    expect(flow.gradient).toBeCloseTo(0.02)
+  })
+
+  test('applies section depths to the right manholes on a line drawn against the survey', () => {
+    const flow = getLineFlow({ section_id: 's1', section: surveyed }, B, A, surveyObs)
+    expect(flow).toMatchObject({ upstreamNode: A, upstreamInvert: 9, flowsWithLine: false })
+    expect(flow.downstreamInvert).toBeCloseTo(8.6)
+  })
+
+  test('falls back to the invert levels, then the drawn direction', () => {
+    const low = { ...A, cover_level: null, invert_level: 8 }
+    const high = { ...B, cover_level: null, invert_level: 9 }
+    expect(getLineFlow({}, low, high)).toMatchObject({ upstreamNode: high, flowSource: FLOW_SOURCES.LEVELS })
+    expect(getLineFlow({}, node('P', 0, 0), node('Q', 0, 5))).toMatchObject({
+      flowSource: FLOW_SOURCES.ASSUMED,
+      flowsWithLine: true,
+      gradient: null
+    })
+  })
+
+  test('flags a pipe that rises in the surveyed direction of flow', () => {
+    const flow = getLineFlow({ section: { ...surveyed, start_depth: 2, finish_depth: 0.5 } }, A, B)
+    expect(flow.isUphill).toBe(true)
+    expect(flow.gradient).toBeLessThan(0)
+  })
+})
+
+describe('formatGradient', () => {
+  test.each([
+    [1 / 150, '1 in 150 (0.67%)'],
+    [-0.0125, 'Rises 1 in 80 (1.25%)'],
+    [0, 'Level'],
+    [null, 'Unknown']
+  ])('formats %p as %p', (gradient, expected) => {
+    expect(formatGradient(gradient)).toBe(expected)
+  })
+})
+
+describe('buildLongitudinalProfile', () => {
+  test('chains pipes and measures upstream surveys back from the downstream manhole', () => {
+    const upstreamSurvey = { id: 's2', start_ref: 'C', finish_ref: 'B', direction: 'Upstream' }
+    const observations = [
+      ...surveyObs,
+      { section_id: 's1', code: 'CC', distance: 5 },
+      { section_id: 's2', code: 'FINISH', distance: 10 },
+      { section_id: 's2', code: 'RF', distance: 2 }
+    ]
+    const run = [
+      { id: 'l1', start_node_id: 'A', end_node_id: 'B', section_id: 's1' },
+      { id: 'l2', start_node_id: 'B', end_node_id: 'C', section_id: 's2' }
+    ]
+
+    const profile = buildLongitudinalProfile(run, { nodes: [A, B, C], sections: [surveyed, upstreamSurvey], observations })
+
+    expect(profile.totalLength).toBe(30)
+    expect(profile.manholes.map(m => [m.node.id, m.chainage])).toEqual([['A', 0], ['B', 20], ['C', 30]])
+    expect(profile.pipes[0].observations.find(o => o.observation.code === 'CC').chainage).toBe(5)
+    expect(profile.pipes[1].observations.find(o => o.observation.code === 'RF').chainage).toBe(28)
+    expect(profile.hasLevels).toBe(true)
+  })
+
+  test('draws pipes of unknown length at a nominal length', () => {
+    const profile = buildLongitudinalProfile(
+      [{ id: 'l1', context: 'canvas', start_node_id: 'A', end_node_id: 'B' }],
+      { nodes: [A, B] }
+    )
+    expect(profile.pipes[0].lengthKnown).toBe(false)
+    expect(profile.totalLength).toBe(10)
+  })
+})
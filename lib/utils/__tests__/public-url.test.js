@@ -0,0 +1,43 @@
+import { lookup } from 'dns/promises'
+import { checkPublicHttpsUrl } from '../public-url'
+
+jest.mock('dns/promises', () => ({
+  lookup: jest.fn()
+}))
+
+const resolvesTo = (...addresses) => {
+  lookup.mockResolvedValueOnce(addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })))
+}
+
+beforeEach(() => lookup.mockReset())
+
+describe('checkPublicHttpsUrl', () => {
+  test('accepts an https URL that resolves to public addresses', async () => {
+    resolvesTo('93.184.216.34', '2606:2800:220:1::1')
+    expect(await checkPublicHttpsUrl('https://llm.example.com/v1', 'Endpoint URL')).toBeNull()
+  })
+
+  test('rejects plain http and unparseable URLs', async () => {
+    expect(await checkPublicHttpsUrl('http://llm.example.com/v1', 'Endpoint URL')).toBe('Endpoint URL must start with https://')
+    expect(await checkPublicHttpsUrl('not a url', 'Endpoint URL')).toBe('Enter a valid endpoint url')
+    expect(lookup).not.toHaveBeenCalled()
+  })
+
+  test.each([
+    ['127.0.0.1'],
+    ['10.1.2.3'],
+    ['169.254.169.254'],
+    ['192.168.0.10'],
+    ['::1'],
+    ['fd00::1'],
+    ['::ffff:127.0.0.1']
+  ])('rejects a host resolving to %s', async (address) => {
+    resolvesTo('93.184.216.34', address)
+    expect(await checkPublicHttpsUrl('https://llm.example.com/v1', 'Endpoint URL')).toBe('Endpoint URL must point to a public address')
+  })
+
+  test('reports hosts that do not resolve', async () => {
+    lookup.mockRejectedValueOnce(new Error('ENOTFOUND'))
+    expect(await checkPublicHttpsUrl('https://nowhere.invalid', 'Webhook URL')).toBe('Could not resolve nowhere.invalid')
+  })
+})
@@ -0,0 +1,42 @@
+import { runSurveyQA } from '../survey-qa'
+
+const section = { id: 's1', section_number: 1, start_ref: 'MH01', finish_ref: 'MH02' }
+
+const distanceIssues = (observations) => runSurveyQA({
+  sections: [section],
+  observations: observations.map((obs, index) => ({ id: `o${index + 1}`, section_id: 's1', ...obs }))
+}).checks.find(check => check.id === 'monotonic_distances').issues
+
+describe('monotonic_distances', () => {
+  test('flags a distance that drops later in the video', () => {
+    const issues = distanceIssues([
+      { code: 'ST', distance: 0, video_timestamp: 0 },
+      { code: 'CC', distance: 6, video_timestamp: 30 },
+      { code: 'RF', distance: 4, video_timestamp: 45 },
+      { code: 'FINISH', distance: 10, video_timestamp: 90 }
+    ])
+
+    expect(issues).toEqual([
+      expect.objectContaining({ observationId: 'o3', message: 'RF at 4.00m comes after CC at 6.00m' })
+    ])
+  })
+
+  test('leaves out observations without a video timestamp', () => {
+    const issues = distanceIssues([
+      { code: 'ST', distance: 0, video_timestamp: 0, created_at: '2024-01-01T10:00:00Z' },
+      { code: 'CC', distance: 6, video_timestamp: null, created_at: '2024-01-01T09:00:00Z' },
+      { code: 'FINISH', distance: 10, video_timestamp: 90, created_at: '2024-01-01T08:00:00Z' }
+    ])
+
+    expect(issues).toEqual([])
+  })
+
+  test('passes when no observation has a video timestamp', () => {
+    const issues = distanceIssues([
+      { code: 'FINISH', distance: 10, created_at: '2024-01-01T08:00:00Z' },
+      { code: 'ST', distance: 0, created_at: '2024-01-01T10:00:00Z' }
+    ])
+
+    expect(issues).toEqual([])
+  })
+})
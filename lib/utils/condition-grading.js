@@ -0,0 +1,255 @@
+// lib/utils/condition-grading.js
+// MSCC5 / SRM structural and service scoring with internal condition grades (1-5) per section
+
+import { getSurveyedLength, pairContinuousDefects } from './continuous-defects'
+
+/**
+ * Peak score thresholds for internal condition grades.
+ * A peak score at or above the threshold earns that grade.
+ */
+export const GRADE_THRESHOLDS = {
+  structural: [
+    { grade: 5, min: 165 },
+    { grade: 4, min: 80 },
+    { grade: 3, min: 40 },
+    { grade: 2, min: 10 },
+    { grade: 1, min: 0 }
+  ],
+  service: [
+    { grade: 5, min: 10 },
+    { grade: 4, min: 5 },
+    { grade: 3, min: 2 },
+    { grade: 2, min: 1 },
+    { grade: 1, min: 0 }
+  ]
+}
+
+const GRADE_LABELS = {
+  structural: {
+    1: 'Acceptable structural condition',
+    2: 'Minimal collapse risk',
+    3: 'Collapse unlikely in near future',
+    4: 'Collapse likely in foreseeable future',
+    5: 'Collapsed or collapse imminent'
+  },
+  service: {
+    1: 'No service problems',
+    2: 'Minor service problems',
+    3: 'Some service problems',
+    4: 'Serious service problems',
+    5: 'Blocked or blockage imminent'
+  }
+}
+
+// Score for a cross-sectional area loss (deposits, roots, obstructions, intrusions)
+const lossScore = (percentage, fallback) => {
+  const loss = parseFloat(percentage)
+  if (isNaN(loss)) return fallback
+  if (loss > 50) return 20
+  if (loss > 20) return 15
+  if (loss > 10) return 10
+  if (loss > 5) return 5
+  return 2
+}
+
+// Banded values are stored either as a single letter (S/M/L) or a full word
+const bandLetter = (band) => String(band || '').trim().charAt(0).toUpperCase()
+
+/**
+ * Structural scores, keyed by MSCC5 code (code + type letter where the type changes the score)
+ */
+const STRUCTURAL_SCORES = {
+  XP: () => 165,
+  B: (obs) => (obs.is_at_joint ? 60 : 80),
+  BJ: () => 60,
+  H: (obs) => (bandLetter(obs.band) === 'L' ? 165 : 80),
+  D: (obs) => {
+    const loss = parseFloat(obs.loss_percentage)
+    if (isNaN(loss) || loss <= 5) return 20
+    if (loss <= 10) return 80
+    return 165
+  },
+  FC: () => 40,
+  FL: () => 40,
+  FM: () => 80,
+  FS: () => 40,
+  F: () => 40,
+  CC: () => 10,
+  CL: () => 10,
+  CM: () => 40,
+  CS: () => 10,
+  C: () => 10,
+  JDM: () => 1,
+  JDL: () => 2,
+  JD: (obs) => (bandLetter(obs.band) === 'L' ? 2 : 1),
+  OJM: () => 1,
+  OJL: () => 2,
+  OJ: (obs) => (bandLetter(obs.band) === 'L' ? 2 : 1),
+  S: (obs) => ({ S: 5, M: 20, L: 120 }[bandLetter(obs.band)] || 5),
+  LX: () => 10
+}
+
+/**
+ * Service scores, keyed by MSCC5 code
+ */
+const SERVICE_SCORES = {
+  RF: () => 1,
+  RT: () => 2,
+  RM: (obs) => lossScore(obs.loss_percentage, 5),
+  R: (obs) => {
+    const type = bandLetter(obs.type)
+    if (type === 'F') return 1
+    if (type === 'T') return 2
+    return lossScore(obs.loss_percentage, 5)
+  },
+  DEG: (obs) => lossScore(obs.loss_percentage, 2),
+  DER: (obs) => lossScore(obs.loss_percentage, 2),
+  DES: (obs) => lossScore(obs.loss_percentage, 2),
+  DEE: (obs) => lossScore(obs.loss_percentage, 2),
+  DEF: (obs) => lossScore(obs.loss_percentage, 2),
+  DEZ: (obs) => lossScore(obs.loss_percentage, 2),
+  OB: (obs) => lossScore(obs.loss_percentage, 10),
+  SR: (obs) => lossScore(obs.loss_percentage, 2),
+  CXI: (obs) => lossScore(obs.loss_percentage, 5),
+  I: (obs) => ({ S: 1, D: 2, R: 5, G: 10 }[bandLetter(obs.type)] || 1),
+  IS: () => 1,
+  ID: () => 2,
+  IR: () => 5,
+  IG: () => 10
+}
+
+// Look up a score by the stored code, then by code + type letter (e.g. C + L -> CL)
+const lookupScore = (table, obs) => {
+  const code = obs.code?.toUpperCase() || ''
+  const typed = `${code}${bandLetter(obs.type)}`
+  const scorer = table[typed] || table[code]
+  return scorer ? scorer(obs) : 0
+}
+
+/**
+ * Score a single observation
+ * @param {Object} obs - Observation with code, type, band, loss_percentage, is_at_joint
+ * @returns {Object} { structural, service }
+ */
+export function scoreObservation(obs) {
+  return {
+    structural: lookupScore(STRUCTURAL_SCORES, obs),
+    service: lookupScore(SERVICE_SCORES, obs)
+  }
+}
+
+/**
+ * Convert a peak score into an internal condition grade
+ * @param {number} peakScore - Peak score for the section
+ * @param {string} type - 'structural' or 'service'
+ * @returns {number} Grade 1-5
+ */
+export function scoreToGrade(peakScore, type) {
+  const band = GRADE_THRESHOLDS[type].find(threshold => peakScore >= threshold.min)
+  return band ? band.grade : 1
+}
+
+/**
+ * Human-readable description of an internal condition grade
+ * @param {number} grade - Grade 1-5
+ * @param {string} type - 'structural' or 'service'
+ * @returns {string} Label text
+ */
+export function getConditionGradeLabel(grade, type) {
+  return GRADE_LABELS[type]?.[grade] || ''
+}
+
+/**
+ * Colour for an internal condition grade, matching the severity palette
+ * @param {number} grade - Grade 1-5
+ * @returns {string} Hex color code
+ */
+export function getConditionGradeColor(grade) {
+  const colors = {
+    5: '#ef4444', // red-500
+    4: '#f97316', // orange-500
+    3: '#eab308', // yellow-500
+    2: '#3b82f6', // blue-500
+    1: '#10b981'  // green-500
+  }
+  return colors[grade] || '#6b7280'
+}
+
+/**
+ * Calculate peak, mean and total structural and service scores for a section.
+ * Scores are accumulated in 1m lengths: point defects add to the metre they fall in,
+ * continuous defects add their score to every metre they span.
+ * @param {Array} observations - Observations for a single section
+ * @returns {Object} { length, structural: { peak, mean, total, grade }, service: { ... } }
+ */
+export function calculateSectionScores(observations = []) {
+  const length = getSurveyedLength(observations)
+  const { spans } = pairContinuousDefects(observations, length)
+  const spanStartIds = new Set(spans.map(span => span.startObs.id))
+  const spanFinishIds = new Set(spans.filter(span => span.finishObs).map(span => span.finishObs.id))
+
+  const metreCount = Math.max(1, Math.ceil(length))
+  const bins = {
+    structural: new Array(metreCount).fill(0),
+    service: new Array(metreCount).fill(0)
+  }
+  const metreIndex = (distance) => Math.min(metreCount - 1, Math.max(0, Math.floor(Number(distance) || 0)))
+
+  const addScores = (scores, from, to) => {
+    for (let metre = from; metre <= to; metre++) {
+      bins.structural[metre] += scores.structural
+      bins.service[metre] += scores.service
+    }
+  }
+
+  observations.forEach(obs => {
+    // Finishes only close a span; the span itself carries the score
+    if (spanStartIds.has(obs.id) || spanFinishIds.has(obs.id)) return
+    const index = metreIndex(obs.distance)
+    addScores(scoreObservation(obs), index, index)
+  })
+
+  spans.forEach(span => {
+    // A span ending exactly on a metre boundary does not score the next metre
+    const lastMetre = span.finish > span.start ? Math.ceil(span.finish) - 1 : Math.floor(span.start)
+    addScores(scoreObservation(span.startObs), metreIndex(span.start), metreIndex(lastMetre))
+  })
+
+  const summarise = (type) => {
+    const total = bins[type].reduce((sum, value) => sum + value, 0)
+    const peak = Math.max(...bins[type])
+    return {
+      peak,
+      total,
+      mean: length > 0 ? Math.round((total / length) * 100) / 100 : total,
+      grade: scoreToGrade(peak, type)
+    }
+  }
+
+  return {
+    length,
+    structural: summarise('structural'),
+    service: summarise('service')
+  }
+}
+
+/**
+ * Score every section and count how many fall in each grade
+ * @param {Array} sections - Sections
+ * @param {Array} observations - All observations for those sections
+ * @returns {Object} { bySection: { [sectionId]: scores }, structural: { 1..5: count }, service: { 1..5: count } }
+ */
+export function calculateGradeDistribution(sections = [], observations = []) {
+  const bySection = {}
+  const structural = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+  const service = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+
+  sections.forEach(section => {
+    const scores = calculateSectionScores(observations.filter(obs => obs.section_id === section.id))
+    bySection[section.id] = scores
+    structural[scores.structural.grade]++
+    service[scores.service.grade]++
+  })
+
+  return { bySection, structural, service }
+}
@@ -0,0 +1,116 @@
+// lib/utils/continuous-defects.js
+// Pairing and validation of continuous defect start/finish records within a section
+
+/**
+ * Surveyed length of a section: the FINISH (or SA) distance, otherwise the furthest observation
+ * @param {Array} observations - Observations for a single section
+ * @returns {number} Length in metres
+ */
+export function getSurveyedLength(observations) {
+  const end = observations.find(obs => ['FINISH', 'SA'].includes(obs.code?.toUpperCase()))
+  if (end?.distance != null) return Number(end.distance)
+
+  const distances = observations.map(obs => Number(obs.distance)).filter(d => !isNaN(d))
+  return distances.length > 0 ? Math.max(...distances) : 0
+}
+
+/**
+ * Pair continuous defect starts with their finishes.
+ * Each finish closes the earliest open start of the same code; starts left open
+ * run to the end of the survey.
+ * @param {Array} observations - Observations for a single section
+ * @param {number} surveyedLength - Used to close unmatched starts
+ * @returns {Object} { spans: [{ code, start, finish, length, startObs, finishObs, open }], unmatchedFinishes }
+ */
+export function pairContinuousDefects(observations, surveyedLength = getSurveyedLength(observations)) {
+  const sorted = [...observations].sort((a, b) => (a.distance || 0) - (b.distance || 0))
+  const openByCode = {}
+  const spans = []
+  const unmatchedFinishes = []
+
+  sorted.forEach(obs => {
+    const code = obs.code?.toUpperCase() || ''
+    if (obs.continuous_defect_starts) {
+      if (!openByCode[code]) openByCode[code] = []
+      openByCode[code].push(obs)
+    } else if (obs.continuous_defect_ends) {
+      const startObs = openByCode[code]?.shift()
+      if (startObs) {
+        const start = Number(startObs.distance) || 0
+        const finish = Number(obs.distance) || 0
+        spans.push({ code, start, finish, length: finish - start, startObs, finishObs: obs, open: false })
+      } else {
+        unmatchedFinishes.push(obs)
+      }
+    }
+  })
+
+  Object.entries(openByCode).forEach(([code, starts]) => {
+    starts.forEach(startObs => {
+      const start = Number(startObs.distance) || 0
+      const finish = Math.max(surveyedLength, start)
+      spans.push({ code, start, finish, length: finish - start, startObs, finishObs: null, open: true })
+    })
+  })
+
+  return {
+    spans: spans.sort((a, b) => a.start - b.start),
+    unmatchedFinishes
+  }
+}
+
+/**
+ * Check a section's continuous defects for orphaned starts/finishes and overlapping spans of the same code
+ * @param {Array} observations - Observations for a single section
+ * @returns {Object} { spans, issues: [{ type, message, observationIds }], affectedLength }
+ */
+export function validateContinuousDefects(observations = []) {
+  const { spans, unmatchedFinishes } = pairContinuousDefects(observations)
+  const issues = []
+
+  spans.filter(span => span.open).forEach(span => {
+    issues.push({
+      type: 'orphan_start',
+      message: `${span.code} continuous defect starting at ${span.start.toFixed(2)}m has no matching finish`,
+      observationIds: [span.startObs.id]
+    })
+  })
+
+  unmatchedFinishes.forEach(obs => {
+    issues.push({
+      type: 'orphan_finish',
+      message: `${obs.code?.toUpperCase()} continuous defect finishing at ${(Number(obs.distance) || 0).toFixed(2)}m has no matching start`,
+      observationIds: [obs.id]
+    })
+  })
+
+  // The same defect cannot run twice over the same length of pipe
+  spans.forEach((span, index) => {
+    spans.slice(index + 1)
+      .filter(other => other.code === span.code && other.start < span.finish)
+      .forEach(other => {
+        issues.push({
+          type: 'overlap',
+          message: `${span.code} continuous defects overlap between ${other.start.toFixed(2)}m and ${Math.min(span.finish, other.finish).toFixed(2)}m`,
+          observationIds: [span.startObs.id, other.startObs.id]
+        })
+      })
+  })
+
+  // Length of pipe covered by at least one span (overlaps counted once)
+  let affectedLength = 0
+  let coveredTo = -Infinity
+  spans.forEach(span => {
+    const from = Math.max(span.start, coveredTo)
+    if (span.finish > from) {
+      affectedLength += span.finish - from
+      coveredTo = span.finish
+    }
+  })
+
+  return {
+    spans,
+    issues,
+    affectedLength: Math.round(affectedLength * 100) / 100
+  }
+}
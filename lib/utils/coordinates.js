@@ -0,0 +1,337 @@
+// lib/utils/coordinates.js
+// WGS84 latitude/longitude <-> OSGB36 British National Grid easting/northing
+
+// Ellipsoids (semi-major and semi-minor axes in metres)
+const WGS84 = { a: 6378137, b: 6356752.3141 }
+const AIRY_1830 = { a: 6377563.396, b: 6356256.909 }
+
+// National Grid projection constants (Transverse Mercator on Airy 1830)
+const NATIONAL_GRID = {
+  F0: 0.9996012717,
+  lat0: 49 * Math.PI / 180,
+  lon0: -2 * Math.PI / 180,
+  E0: 400000,
+  N0: -100000
+}
+
+// Ordnance Survey 7-parameter Helmert transformation WGS84 -> OSGB36.
+// Good to about 5m across Great Britain - enough to find a manhole on the map, not to survey one
+// (that needs the OSTN15 grid shift).
+const WGS84_TO_OSGB36 = {
+  tx: -446.448,
+  ty: 125.157,
+  tz: -542.060,
+  s: 20.4894, // ppm
+  rx: -0.1502, // arc seconds
+  ry: -0.2470,
+  rz: -0.8421
+}
+
+const toRadians = (degrees) => degrees * Math.PI / 180
+const toDegrees = (radians) => radians * 180 / Math.PI
+const eccentricitySquared = ({ a, b }) => (a * a - b * b) / (a * a)
+
+function toCartesian(lat, lng, ellipsoid) {
+  const e2 = eccentricitySquared(ellipsoid)
+  const sinLat = Math.sin(lat)
+  const nu = ellipsoid.a / Math.sqrt(1 - e2 * sinLat * sinLat)
+  return {
+    x: nu * Math.cos(lat) * Math.cos(lng),
+    y: nu * Math.cos(lat) * Math.sin(lng),
+    z: (1 - e2) * nu * sinLat
+  }
+}
+
+function fromCartesian({ x, y, z }, ellipsoid) {
+  const e2 = eccentricitySquared(ellipsoid)
+  const p = Math.sqrt(x * x + y * y)
+  let lat = Math.atan2(z, p * (1 - e2))
+  let previous
+
+  do {
+    previous = lat
+    const sinLat = Math.sin(lat)
+    const nu = ellipsoid.a / Math.sqrt(1 - e2 * sinLat * sinLat)
+    lat = Math.atan2(z + e2 * nu * sinLat, p)
+  } while (Math.abs(lat - previous) > 1e-12)
+
+  return { lat, lng: Math.atan2(y, x) }
+}
+
+function helmert({ x, y, z }, params, direction = 1) {
+  const tx = params.tx * direction
+  const ty = params.ty * direction
+  const tz = params.tz * direction
+  const s = 1 + params.s * direction / 1e6
+  const rx = toRadians(params.rx * direction / 3600)
+  const ry = toRadians(params.ry * direction / 3600)
+  const rz = toRadians(params.rz * direction / 3600)
+
+  return {
+    x: tx + x * s - y * rz + z * ry,
+    y: ty + x * rz + y * s - z * rx,
+    z: tz - x * ry + y * rx + z * s
+  }
+}
+
+// Meridional arc from the true origin to latitude lat
+function meridionalArc(lat) {
+  const { a, b } = AIRY_1830
+  const { F0, lat0 } = NATIONAL_GRID
+  const n = (a - b) / (a + b)
+  const n2 = n * n
+  const n3 = n2 * n
+  const dLat = lat - lat0
+  const sLat = lat + lat0
+
+  return b * F0 * (
+    (1 + n + (5 / 4) * n2 + (5 / 4) * n3) * dLat -
+    (3 * n + 3 * n2 + (21 / 8) * n3) * Math.sin(dLat) * Math.cos(sLat) +
+    ((15 / 8) * n2 + (15 / 8) * n3) * Math.sin(2 * dLat) * Math.cos(2 * sLat) -
+    (35 / 24) * n3 * Math.sin(3 * dLat) * Math.cos(3 * sLat)
+  )
+}
+
+function radiiOfCurvature(lat) {
+  const { a } = AIRY_1830
+  const { F0 } = NATIONAL_GRID
+  const e2 = eccentricitySquared(AIRY_1830)
+  const sin2 = Math.sin(lat) ** 2
+  const nu = a * F0 / Math.sqrt(1 - e2 * sin2)
+  const rho = a * F0 * (1 - e2) / Math.pow(1 - e2 * sin2, 1.5)
+  return { nu, rho, eta2: nu / rho - 1 }
+}
+
+/**
+ * Project OSGB36 latitude/longitude (radians) onto the National Grid
+ */
+function projectToGrid(lat, lng) {
+  const { E0, N0, lon0 } = NATIONAL_GRID
+  const { nu, rho, eta2 } = radiiOfCurvature(lat)
+  const sinLat = Math.sin(lat)
+  const cosLat = Math.cos(lat)
+  const tan2 = Math.tan(lat) ** 2
+  const tan4 = tan2 * tan2
+  const dLng = lng - lon0
+
+  const I = meridionalArc(lat) + N0
+  const II = (nu / 2) * sinLat * cosLat
+  const III = (nu / 24) * sinLat * cosLat ** 3 * (5 - tan2 + 9 * eta2)
+  const IIIA = (nu / 720) * sinLat * cosLat ** 5 * (61 - 58 * tan2 + tan4)
+  const IV = nu * cosLat
+  const V = (nu / 6) * cosLat ** 3 * (nu / rho - tan2)
+  const VI = (nu / 120) * cosLat ** 5 * (5 - 18 * tan2 + tan4 + 14 * eta2 - 58 * tan2 * eta2)
+
+  return {
+    easting: E0 + IV * dLng + V * dLng ** 3 + VI * dLng ** 5,
+    northing: I + II * dLng ** 2 + III * dLng ** 4 + IIIA * dLng ** 6
+  }
+}
+
+/**
+ * OSGB36 latitude/longitude (radians) for a National Grid position
+ */
+function unprojectFromGrid(easting, northing) {
+  const { a } = AIRY_1830
+  const { F0, lat0, lon0, E0, N0 } = NATIONAL_GRID
+
+  let lat = lat0
+  let arc = 0
+  do {
+    lat += (northing - N0 - arc) / (a * F0)
+    arc = meridionalArc(lat)
+  } while (Math.abs(northing - N0 - arc) >= 0.00001)
+
+  const { nu, rho, eta2 } = radiiOfCurvature(lat)
+  const tan = Math.tan(lat)
+  const tan2 = tan * tan
+  const tan4 = tan2 * tan2
+  const tan6 = tan4 * tan2
+  const sec = 1 / Math.cos(lat)
+  const dE = easting - E0
+
+  const VII = tan / (2 * rho * nu)
+  const VIII = tan / (24 * rho * nu ** 3) * (5 + 3 * tan2 + eta2 - 9 * tan2 * eta2)
+  const IX = tan / (720 * rho * nu ** 5) * (61 + 90 * tan2 + 45 * tan4)
+  const X = sec / nu
+  const XI = sec / (6 * nu ** 3) * (nu / rho + 2 * tan2)
+  const XII = sec / (120 * nu ** 5) * (5 + 28 * tan2 + 24 * tan4)
+  const XIIA = sec / (5040 * nu ** 7) * (61 + 662 * tan2 + 1320 * tan4 + 720 * tan6)
+
+  return {
+    lat: lat - VII * dE ** 2 + VIII * dE ** 4 - IX * dE ** 6,
+    lng: lon0 + X * dE - XI * dE ** 3 + XII * dE ** 5 - XIIA * dE ** 7
+  }
+}
+
+/**
+ * Convert a WGS84 position (as used by the map) to British National Grid
+ * @param {number} lat - WGS84 latitude in degrees
+ * @param {number} lng - WGS84 longitude in degrees
+ * @returns {Object} { easting, northing } in metres
+ */
+export function wgs84ToBng(lat, lng) {
+  const cartesian = helmert(toCartesian(toRadians(lat), toRadians(lng), WGS84), WGS84_TO_OSGB36)
+  const osgb36 = fromCartesian(cartesian, AIRY_1830)
+  return projectToGrid(osgb36.lat, osgb36.lng)
+}
+
+/**
+ * Convert a British National Grid position to WGS84
+ * @param {number} easting - Metres
+ * @param {number} northing - Metres
+ * @returns {Object} { lat, lng } in degrees
+ */
+export function bngToWgs84(easting, northing) {
+  const osgb36 = unprojectFromGrid(easting, northing)
+  const cartesian = helmert(toCartesian(osgb36.lat, osgb36.lng, AIRY_1830), WGS84_TO_OSGB36, -1)
+  const wgs84 = fromCartesian(cartesian, WGS84)
+  return { lat: toDegrees(wgs84.lat), lng: toDegrees(wgs84.lng) }
+}
+
+// =====================================================
+// PARSING AND FORMATTING
+// =====================================================
+
+export const COORDINATE_SYSTEMS = {
+  WGS84: 'wgs84',
+  BNG: 'bng'
+}
+
+// Extent of the National Grid, including the Shetland and Scilly isles
+const GRID_EXTENT = { maxEasting: 700000, maxNorthing: 1300000 }
+
+/**
+ * Whether an easting/northing falls on the National Grid
+ */
+export const isOnNationalGrid = (easting, northing) =>
+  easting >= 0 && easting < GRID_EXTENT.maxEasting && northing >= 0 && northing < GRID_EXTENT.maxNorthing
+
+/**
+ * Easting/northing from an OS grid reference such as "TQ 30269 79640"
+ * @returns {Object|null} { easting, northing } at the south-west corner of the referenced square
+ */
+function gridReferenceToBng(reference) {
+  const match = reference.toUpperCase().replace(/\s+/g, '').match(/^([A-HJ-Z])([A-HJ-Z])(\d*)$/)
+  if (!match || match[3].length % 2 !== 0 || match[3].length > 10) return null
+
+  // Letters skip I, so move those after it back one place
+  let first = match[1].charCodeAt(0) - 65
+  let second = match[2].charCodeAt(0) - 65
+  if (first > 7) first--
+  if (second > 7) second--
+
+  const easting100k = ((first - 2) % 5) * 5 + (second % 5)
+  const northing100k = (19 - Math.floor(first / 5) * 5) - Math.floor(second / 5)
+  if (easting100k < 0 || easting100k > 6 || northing100k < 0 || northing100k > 12) return null
+
+  const half = match[3].length / 2
+  const easting = match[3].slice(0, half).padEnd(5, '0')
+  const northing = match[3].slice(half).padEnd(5, '0')
+
+  return {
+    easting: easting100k * 100000 + Number(easting),
+    northing: northing100k * 100000 + Number(northing)
+  }
+}
+
+/**
+ * OS grid reference for an easting/northing
+ * @param {number} digits - Total digits, 10 gives 1m precision
+ * @returns {string} e.g. "TQ 30269 79640"
+ */
+export function toGridReference(easting, northing, digits = 10) {
+  if (!isOnNationalGrid(easting, northing)) return ''
+
+  const easting100k = Math.floor(easting / 100000)
+  const northing100k = Math.floor(northing / 100000)
+  let first = (19 - northing100k) - (19 - northing100k) % 5 + Math.floor((easting100k + 10) / 5)
+  let second = (19 - northing100k) * 5 % 25 + easting100k % 5
+  if (first > 7) first++
+  if (second > 7) second++
+
+  const half = digits / 2
+  const scale = Math.pow(10, 5 - half)
+  const format = (value) => String(Math.floor((value % 100000) / scale)).padStart(half, '0')
+
+  return `${String.fromCharCode(first + 65)}${String.fromCharCode(second + 65)} ${format(easting)} ${format(northing)}`
+}
+
+const NUMBER = '[-+]?\\d+(?:\\.\\d+)?'
+
+/**
+ * Parse a position typed in either system:
+ *   "51.50072, -0.12462"          WGS84 latitude, longitude
+ *   "530269, 179640"              Easting, northing
+ *   "E 530269 N 179640"           Labelled easting/northing, either order
+ *   "TQ 30269 79640"              OS grid reference
+ * @param {string} text
+ * @returns {Object|null} { system, lat, lng, easting, northing } or { error } - null when blank
+ */
+export function parseCoordinates(text) {
+  const value = String(text || '').trim()
+  if (!value) return null
+
+  let system = null
+  let first
+  let second
+
+  if (/^[a-z]{2}[\s\d]*$/i.test(value)) {
+    const gridReference = gridReferenceToBng(value)
+    if (!gridReference) return { error: 'Not a valid OS grid reference (e.g. TQ 30269 79640)' }
+    system = COORDINATE_SYSTEMS.BNG
+    first = gridReference.easting
+    second = gridReference.northing
+  } else {
+    const labelled = {}
+    const labelPattern = new RegExp(`(?:\\b([EN])\\s*:?\\s*(${NUMBER})|(${NUMBER})\\s*([EN])\\b)`, 'gi')
+    let labelMatch
+    while ((labelMatch = labelPattern.exec(value)) !== null) {
+      const label = (labelMatch[1] || labelMatch[4]).toUpperCase()
+      labelled[label] = Number(labelMatch[2] || labelMatch[3])
+    }
+
+    if (labelled.E !== undefined && labelled.N !== undefined) {
+      system = COORDINATE_SYSTEMS.BNG
+      first = labelled.E
+      second = labelled.N
+    } else {
+      const numbers = value.match(new RegExp(NUMBER, 'g'))
+      if (!numbers || numbers.length !== 2 || /[a-df-mo-z]/i.test(value)) {
+        return { error: 'Enter "lat, lng", "easting, northing" or an OS grid reference' }
+      }
+      first = Number(numbers[0])
+      second = Number(numbers[1])
+      // Anything beyond the range of latitude/longitude has to be grid metres
+      system = Math.abs(first) > 90 || Math.abs(second) > 180 ? COORDINATE_SYSTEMS.BNG : COORDINATE_SYSTEMS.WGS84
+    }
+  }
+
+  if (system === COORDINATE_SYSTEMS.BNG) {
+    if (!isOnNationalGrid(first, second)) {
+      return { error: 'Easting/northing is outside the British National Grid' }
+    }
+    const { lat, lng } = bngToWgs84(first, second)
+    return { system, easting: first, northing: second, lat, lng }
+  }
+
+  if (Math.abs(first) > 90) return { error: 'Latitude must be between -90 and 90' }
+  if (Math.abs(second) > 180) return { error: 'Longitude must be between -180 and 180' }
+
+  const { easting, northing } = wgs84ToBng(first, second)
+  if (!isOnNationalGrid(easting, northing)) {
+    return { error: 'Latitude/longitude is outside Great Britain' }
+  }
+  return { system, lat: first, lng: second, easting, northing }
+}
+
+/**
+ * "51.500720, -0.124620"
+ */
+export const formatLatLng = (lat, lng) => `${Number(lat).toFixed(6)}, ${Number(lng).toFixed(6)}`
+
+/**
+ * "E 530269.9  N 179640.7" - blank when the position is off the National Grid
+ */
+export const formatEastingNorthing = (easting, northing) =>
+  isOnNationalGrid(easting, northing) ? `E ${easting.toFixed(1)}  N ${northing.toFixed(1)}` : ''
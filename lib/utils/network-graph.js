@@ -0,0 +1,333 @@
+// lib/utils/network-graph.js
+// Drainage network graph from map nodes and lines: upstream/downstream tracing and topology checks
+
+import { calculateDistance } from '@/lib/maps'
+import { calculateSectionScores, scoreObservation } from './condition-grading'
+import { getLineFlow } from './pipe-flow'
+
+export const TRACE_DIRECTIONS = {
+  UPSTREAM: 'upstream',
+  DOWNSTREAM: 'downstream'
+}
+
+export const TOPOLOGY_ISSUES = {
+  DISCONNECTED_NODE: 'disconnected_node',
+  DUPLICATE_REF: 'duplicate_ref',
+  UNSNAPPED_END: 'unsnapped_end',
+  LOOP: 'loop'
+}
+
+// Separate nodes closer than this look like a pipe end that missed the manhole
+const SNAP_TOLERANCE = 0.5 // metres
+
+const nodeContext = (item) => item.context || 'map'
+
+/**
+ * Directed graph of the network, each pipe pointing the way it flows
+ * @param {Object} data - { nodes, lines, sections, observations } for one map context
+ * @returns {Object} { nodes, nodesById, edges: [{ line, section, flow, from, to }], edgesByLineId,
+ *   downstreamEdges, upstreamEdges, danglingLines: [{ line, missingStart, missingEnd }] }
+ */
+export function buildNetworkGraph({ nodes = [], lines = [], sections = [], observations = [] }) {
+  const nodesById = new Map(nodes.map(node => [node.id, node]))
+  const edges = []
+  const danglingLines = []
+
+  lines.forEach(line => {
+    const startNode = nodesById.get(line.start_node_id)
+    const endNode = nodesById.get(line.end_node_id)
+    if (!startNode || !endNode) {
+      danglingLines.push({ line, missingStart: !startNode, missingEnd: !endNode })
+      return
+    }
+
+    const section = sections.find(s => s.id === line.section_id) || line.section || null
+    const flow = getLineFlow({ ...line, section }, startNode, endNode, observations)
+    edges.push({ line, section, flow, from: flow.upstreamNode.id, to: flow.downstreamNode.id })
+  })
+
+  const downstreamEdges = new Map()
+  const upstreamEdges = new Map()
+  edges.forEach(edge => {
+    if (!downstreamEdges.has(edge.from)) downstreamEdges.set(edge.from, [])
+    if (!upstreamEdges.has(edge.to)) upstreamEdges.set(edge.to, [])
+    downstreamEdges.get(edge.from).push(edge)
+    upstreamEdges.get(edge.to).push(edge)
+  })
+
+  return {
+    nodes,
+    nodesById,
+    edges,
+    edgesByLineId: new Map(edges.map(edge => [edge.line.id, edge])),
+    downstreamEdges,
+    upstreamEdges,
+    danglingLines
+  }
+}
+
+/**
+ * Everything upstream or downstream of a node or line. Starting from a line
+ * includes the line and carries on from its upstream or downstream end.
+ * @param {Object} graph - From buildNetworkGraph
+ * @param {Object} origin - { nodeId } or { lineId }
+ * @param {string} direction - TRACE_DIRECTIONS value
+ * @returns {Object|null} { direction, origin, startNodeId, edges, lineIds: Set, nodeIds: Set, length }
+ */
+export function traceNetwork(graph, origin, direction) {
+  const downstream = direction === TRACE_DIRECTIONS.DOWNSTREAM
+  const nextEdges = downstream ? graph.downstreamEdges : graph.upstreamEdges
+  const farEnd = (edge) => downstream ? edge.to : edge.from
+
+  const edges = []
+  const lineIds = new Set()
+  const nodeIds = new Set()
+  let startNodeId = origin.nodeId
+
+  if (origin.lineId) {
+    const edge = graph.edgesByLineId.get(origin.lineId)
+    if (!edge) return null
+    edges.push(edge)
+    lineIds.add(edge.line.id)
+    nodeIds.add(edge.from)
+    nodeIds.add(edge.to)
+    startNodeId = farEnd(edge)
+  } else if (!graph.nodesById.has(startNodeId)) {
+    return null
+  }
+
+  // Breadth first, so the list reads outwards from the origin. Visited sets stop loops repeating.
+  nodeIds.add(startNodeId)
+  const queue = [startNodeId]
+  while (queue.length > 0) {
+    const nodeId = queue.shift()
+    for (const edge of nextEdges.get(nodeId) || []) {
+      if (lineIds.has(edge.line.id)) continue
+      edges.push(edge)
+      lineIds.add(edge.line.id)
+      const next = farEnd(edge)
+      if (!nodeIds.has(next)) {
+        nodeIds.add(next)
+        queue.push(next)
+      }
+    }
+  }
+
+  return {
+    direction,
+    origin,
+    startNodeId,
+    edges,
+    lineIds,
+    nodeIds,
+    length: edges.reduce((sum, edge) => sum + (edge.flow.length || 0), 0)
+  }
+}
+
+/**
+ * Longest single run through a trace, ordered upstream to downstream, for a
+ * longitudinal profile. Branching upstream traces follow the longest branch.
+ * @returns {Array} map_lines
+ */
+export function getTraceRun(graph, trace) {
+  if (!trace) return []
+
+  const downstream = trace.direction === TRACE_DIRECTIONS.DOWNSTREAM
+  const nextEdges = downstream ? graph.downstreamEdges : graph.upstreamEdges
+  const farEnd = (edge) => downstream ? edge.to : edge.from
+
+  // Pipes of unknown length still count, so the run with more pipes wins a tie
+  const longestFrom = (nodeId, visited) => {
+    let best = { length: 0, edges: [] }
+    for (const edge of nextEdges.get(nodeId) || []) {
+      const next = farEnd(edge)
+      if (!trace.lineIds.has(edge.line.id) || visited.has(next)) continue
+      visited.add(next)
+      const rest = longestFrom(next, visited)
+      visited.delete(next)
+      const length = (edge.flow.length || 0) + 0.001 + rest.length
+      if (length > best.length) best = { length, edges: [edge, ...rest.edges] }
+    }
+    return best
+  }
+
+  const originEdge = trace.origin.lineId ? graph.edgesByLineId.get(trace.origin.lineId) : null
+  const visited = new Set([trace.startNodeId, ...(originEdge ? [originEdge.from, originEdge.to] : [])])
+  const runEdges = [...(originEdge ? [originEdge] : []), ...longestFrom(trace.startNodeId, visited).edges]
+
+  return (downstream ? runEdges : runEdges.reverse()).map(edge => edge.line)
+}
+
+/**
+ * Sections along a trace with their grades, and the worst defects found on them
+ * @param {Object} trace - From traceNetwork
+ * @param {Array} observations - Project observations
+ * @param {number} limit - Number of worst defects to list
+ * @returns {Object} { sections: [{ section, edge, scores, observationCount }], worstDefects: [{ observation, section, score }] }
+ */
+export function summariseTrace(trace, observations = [], limit = 10) {
+  if (!trace) return { sections: [], worstDefects: [] }
+
+  const seen = new Set()
+  const sections = []
+  trace.edges.forEach(edge => {
+    if (!edge.section || seen.has(edge.section.id)) return
+    seen.add(edge.section.id)
+    const sectionObs = observations.filter(obs => obs.section_id === edge.section.id)
+    sections.push({
+      section: edge.section,
+      edge,
+      scores: sectionObs.length > 0 ? calculateSectionScores(sectionObs) : null,
+      observationCount: sectionObs.length
+    })
+  })
+
+  const sectionsById = new Map(sections.map(entry => [entry.section.id, entry.section]))
+  const worstDefects = observations
+    .filter(obs => sectionsById.has(obs.section_id))
+    .map(obs => {
+      const scores = scoreObservation(obs)
+      return { observation: obs, section: sectionsById.get(obs.section_id), score: Math.max(scores.structural, scores.service) }
+    })
+    .filter(entry => (entry.observation.severity || 0) > 0 || entry.score > 0)
+    .sort((a, b) => (b.observation.severity || 0) - (a.observation.severity || 0) || b.score - a.score)
+    .slice(0, limit)
+
+  return { sections, worstDefects }
+}
+
+// Directed cycles - flow that comes back round to where it started
+function findLoops(graph) {
+  const WHITE = 0
+  const GREY = 1
+  const BLACK = 2
+  const colour = new Map()
+  const stack = []
+  const loops = []
+  const seenLoops = new Set()
+
+  const visit = (nodeId) => {
+    colour.set(nodeId, GREY)
+    for (const edge of graph.downstreamEdges.get(nodeId) || []) {
+      // Pipes from a node back to itself are reported as unsnapped ends
+      if (edge.from === edge.to) continue
+      const state = colour.get(edge.to) || WHITE
+      if (state === GREY) {
+        // The loop is the stretch of the current path from edge.to back round to here
+        const startIndex = stack.findIndex(entry => entry.from === edge.to)
+        const loopEdges = [...stack.slice(startIndex), edge]
+        const key = loopEdges.map(entry => entry.line.id).sort().join('|')
+        if (!seenLoops.has(key)) {
+          seenLoops.add(key)
+          loops.push(loopEdges)
+        }
+      } else if (state === WHITE) {
+        stack.push(edge)
+        visit(edge.to)
+        stack.pop()
+      }
+    }
+    colour.set(nodeId, BLACK)
+  }
+
+  graph.nodes.forEach(node => {
+    if ((colour.get(node.id) || WHITE) === WHITE) visit(node.id)
+  })
+  return loops
+}
+
+/**
+ * Problems that stop the network tracing properly
+ * @param {Object} graph - From buildNetworkGraph
+ * @returns {Array} [{ type, message, nodeIds, lineIds }]
+ */
+export function findTopologyIssues(graph) {
+  const issues = []
+  const nodeRef = (nodeId) => graph.nodesById.get(nodeId)?.node_ref || 'unknown'
+
+  // Manholes with no pipes
+  const connected = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]))
+  graph.danglingLines.forEach(({ line }) => {
+    connected.add(line.start_node_id)
+    connected.add(line.end_node_id)
+  })
+  graph.nodes.filter(node => !connected.has(node.id)).forEach(node => {
+    issues.push({
+      type: TOPOLOGY_ISSUES.DISCONNECTED_NODE,
+      message: `${node.node_ref} has no pipes connected`,
+      nodeIds: [node.id],
+      lineIds: []
+    })
+  })
+
+  // The same reference on more than one node makes section links ambiguous
+  const nodesByRef = new Map()
+  graph.nodes.forEach(node => {
+    if (!node.node_ref) return
+    const key = `${nodeContext(node)}|${node.node_ref.trim().toUpperCase()}`
+    if (!nodesByRef.has(key)) nodesByRef.set(key, [])
+    nodesByRef.get(key).push(node)
+  })
+  nodesByRef.forEach(duplicates => {
+    if (duplicates.length < 2) return
+    issues.push({
+      type: TOPOLOGY_ISSUES.DUPLICATE_REF,
+      message: `${duplicates.length} nodes share the reference ${duplicates[0].node_ref}`,
+      nodeIds: duplicates.map(node => node.id),
+      lineIds: []
+    })
+  })
+
+  // Pipe ends that are not on a node, or on a node sitting next to another one
+  graph.danglingLines.forEach(({ line, missingStart, missingEnd }) => {
+    const ends = [missingStart && 'start', missingEnd && 'end'].filter(Boolean).join(' and ')
+    issues.push({
+      type: TOPOLOGY_ISSUES.UNSNAPPED_END,
+      message: `A pipe's ${ends} is not connected to a node`,
+      nodeIds: [line.start_node_id, line.end_node_id].filter(id => graph.nodesById.has(id)),
+      lineIds: [line.id]
+    })
+  })
+
+  graph.edges.forEach(edge => {
+    if (edge.from === edge.to) {
+      issues.push({
+        type: TOPOLOGY_ISSUES.UNSNAPPED_END,
+        message: `A pipe starts and ends at ${nodeRef(edge.from)}`,
+        nodeIds: [edge.from],
+        lineIds: [edge.line.id]
+      })
+    }
+  })
+
+  const geographicNodes = graph.nodes.filter(node => nodeContext(node) === 'map' && node.lat != null && node.lng != null)
+  geographicNodes.forEach((node, index) => {
+    geographicNodes.slice(index + 1).forEach(other => {
+      const distance = calculateDistance(node.lat, node.lng, other.lat, other.lng)
+      if (distance > SNAP_TOLERANCE) return
+
+      // Only a problem where pipes end on both - otherwise the network is not split
+      const nodeLines = graph.edges.filter(edge => edge.from === node.id || edge.to === node.id)
+      const otherLines = graph.edges.filter(edge => edge.from === other.id || edge.to === other.id)
+      if (nodeLines.length === 0 || otherLines.length === 0) return
+
+      issues.push({
+        type: TOPOLOGY_ISSUES.UNSNAPPED_END,
+        message: `Pipes end at ${node.node_ref} and ${other.node_ref}, ${distance.toFixed(2)}m apart - probably the same manhole`,
+        nodeIds: [node.id, other.id],
+        lineIds: [...nodeLines, ...otherLines].map(edge => edge.line.id)
+      })
+    })
+  })
+
+  findLoops(graph).forEach(loopEdges => {
+    issues.push({
+      type: TOPOLOGY_ISSUES.LOOP,
+      message: `Flow goes round in a loop: ${[...loopEdges.map(edge => nodeRef(edge.from)), nodeRef(loopEdges[0].from)].join(' → ')}`,
+      nodeIds: loopEdges.map(edge => edge.from),
+      lineIds: loopEdges.map(edge => edge.line.id)
+    })
+  })
+
+  return issues
+}
@@ -0,0 +1,210 @@
+// lib/utils/pipe-flow.js
+// Flow direction, invert levels and gradient of the pipes drawn on the project map
+
+import { calculateDistance } from '@/lib/maps'
+import { toDirectionCode } from '@/lib/exchange/mscc5'
+import { getSurveyedLength } from './continuous-defects'
+
+// How the flow direction of a line was worked out
+export const FLOW_SOURCES = {
+  SURVEY: 'survey', // Section surveyed downstream or upstream
+  LEVELS: 'levels', // No survey direction, so from the higher invert to the lower
+  ASSUMED: 'assumed' // Nothing to go on - drawn direction
+}
+
+// Inverts within this of each other are treated as level
+const LEVEL_TOLERANCE = 0.001 // metres
+
+const toLevel = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const number = parseFloat(value)
+  return isNaN(number) ? null : number
+}
+
+/**
+ * Invert level of a pipe end: cover level minus the section's depth at that manhole,
+ * otherwise the invert recorded on the node
+ * @param {Object} node - map_nodes row
+ * @param {number|string} depth - start_depth or finish_depth of the section
+ * @returns {number|null} Level in metres
+ */
+export function getPipeEndInvert(node, depth) {
+  const cover = toLevel(node?.cover_level)
+  const pipeDepth = toLevel(depth)
+  if (cover !== null && pipeDepth !== null) return cover - pipeDepth
+  return toLevel(node?.invert_level)
+}
+
+/**
+ * Length of a line: the surveyed length of its section, otherwise the drawn length
+ * on a geographic map
+ * @returns {number|null} Metres
+ */
+export function getLineLength(line, startNode, endNode, observations = []) {
+  if (line.section_id) {
+    const surveyed = getSurveyedLength(observations.filter(obs => obs.section_id === line.section_id))
+    if (surveyed > 0) return surveyed
+  }
+
+  // Canvas lines are drawn on a plain background, so their positions are not distances
+  if ((line.context || 'map') !== 'map') return null
+
+  const path = [[startNode.lat, startNode.lng], ...(line.waypoints || []), [endNode.lat, endNode.lng]]
+  let length = 0
+  for (let i = 1; i < path.length; i++) {
+    length += calculateDistance(path[i - 1][0], path[i - 1][1], path[i][0], path[i][1])
+  }
+  return length > 0 ? length : null
+}
+
+/**
+ * Upstream/downstream ends, invert levels and gradient of a map line.
+ * Section start_depth/finish_depth apply to the nodes carrying the section's
+ * start/finish refs, whichever way round the line was drawn.
+ * @param {Object} line - map_lines row with its section
+ * @param {Object} startNode - Node at the start of the drawn line
+ * @param {Object} endNode - Node at the end of the drawn line
+ * @param {Array} observations - Project observations, used for the surveyed length
+ * @returns {Object} { upstreamNode, downstreamNode, upstreamInvert, downstreamInvert, length,
+ *   gradient, flowSource, flowsWithLine, isUphill }
+ */
+export function getLineFlow(line, startNode, endNode, observations = []) {
+  const section = line.section || null
+
+  // A line drawn from the section's finish manhole runs against the survey
+  const drawnAgainstSurvey = !!section &&
+    startNode.node_ref === section.finish_ref &&
+    endNode.node_ref === section.start_ref &&
+    section.start_ref !== section.finish_ref
+
+  const startInvert = getPipeEndInvert(startNode, section && (drawnAgainstSurvey ? section.finish_depth : section.start_depth))
+  const endInvert = getPipeEndInvert(endNode, section && (drawnAgainstSurvey ? section.start_depth : section.finish_depth))
+
+  let flowSource = FLOW_SOURCES.ASSUMED
+  let flowsWithLine = true
+
+  const directionCode = toDirectionCode(section?.direction)
+  if (directionCode === 'D' || directionCode === 'U') {
+    // Downstream surveys start at the upstream manhole
+    flowSource = FLOW_SOURCES.SURVEY
+    flowsWithLine = (directionCode === 'D') !== drawnAgainstSurvey
+  } else if (startInvert !== null && endInvert !== null && Math.abs(startInvert - endInvert) > LEVEL_TOLERANCE) {
+    flowSource = FLOW_SOURCES.LEVELS
+    flowsWithLine = startInvert > endInvert
+  }
+
+  const upstreamInvert = flowsWithLine ? startInvert : endInvert
+  const downstreamInvert = flowsWithLine ? endInvert : startInvert
+  const length = getLineLength(line, startNode, endNode, observations)
+
+  // Positive gradients fall in the direction of flow
+  const gradient = upstreamInvert !== null && downstreamInvert !== null && length
+    ? (upstreamInvert - downstreamInvert) / length
+    : null
+
+  return {
+    upstreamNode: flowsWithLine ? startNode : endNode,
+    downstreamNode: flowsWithLine ? endNode : startNode,
+    upstreamInvert,
+    downstreamInvert,
+    length,
+    gradient,
+    flowSource,
+    flowsWithLine,
+    isUphill: gradient !== null && upstreamInvert - downstreamInvert < -LEVEL_TOLERANCE
+  }
+}
+
+/**
+ * Gradient as drainage engineers write it
+ * @param {number} gradient - Fall per metre
+ * @returns {string} e.g. "1 in 150 (0.67%)", "Level" or "Rises 1 in 80 (1.25%)"
+ */
+export function formatGradient(gradient) {
+  if (gradient === null || gradient === undefined) return 'Unknown'
+  if (Math.abs(gradient) < 1e-6) return 'Level'
+
+  const ratio = `1 in ${Math.round(1 / Math.abs(gradient))} (${(Math.abs(gradient) * 100).toFixed(2)}%)`
+  return gradient < 0 ? `Rises ${ratio}` : ratio
+}
+
+// Drawn length for pipes whose length cannot be worked out, so they still show on a profile
+const NOMINAL_PIPE_LENGTH = 10 // metres
+
+/**
+ * Lay out a run of pipes for a longitudinal profile, upstream to downstream.
+ * Observation distances are measured from the section start, so surveys made
+ * against the flow are measured back from the downstream manhole.
+ * @param {Array} run - map_lines in flow order
+ * @param {Object} data - { nodes, sections, observations }
+ * @returns {Object} { manholes: [{ node, chainage, cover, inverts }], pipes: [{ line, section, flow,
+ *   startChainage, endChainage, lengthKnown, diameter, observations: [{ observation, chainage, invert }] }],
+ *   totalLength, hasLevels }
+ */
+export function buildLongitudinalProfile(run, { nodes = [], sections = [], observations = [] } = {}) {
+  const manholes = []
+  const pipes = []
+  let chainage = 0
+
+  const manholeAt = (node, position) => {
+    let manhole = manholes.find(entry => entry.node.id === node.id && Math.abs(entry.chainage - position) < 1e-6)
+    if (!manhole) {
+      manhole = { node, chainage: position, cover: toLevel(node.cover_level), inverts: [] }
+      manholes.push(manhole)
+    }
+    return manhole
+  }
+
+  run.forEach(line => {
+    const startNode = nodes.find(n => n.id === line.start_node_id) || line.start_node
+    const endNode = nodes.find(n => n.id === line.end_node_id) || line.end_node
+    if (!startNode || !endNode) return
+
+    const section = sections.find(s => s.id === line.section_id) || line.section || null
+    const flow = getLineFlow({ ...line, section }, startNode, endNode, observations)
+    const length = flow.length || NOMINAL_PIPE_LENGTH
+    const startChainage = chainage
+    const endChainage = chainage + length
+
+    const interpolateInvert = (offset) =>
+      flow.upstreamInvert !== null && flow.downstreamInvert !== null
+        ? flow.upstreamInvert + (flow.downstreamInvert - flow.upstreamInvert) * (offset / length)
+        : null
+
+    // Surveys that started at the downstream manhole count their distances back up the pipe.
+    // Lines are drawn from the section start unless the refs say otherwise.
+    const sectionStartsAtEnd = !!section && section.start_ref === endNode.node_ref &&
+      section.start_ref !== section.finish_ref
+    const measuredFromDownstream = sectionStartsAtEnd ? flow.flowsWithLine : !flow.flowsWithLine
+
+    const pipeObservations = section
+      ? observations
+          .filter(obs => obs.section_id === section.id && obs.distance !== null && obs.distance !== undefined)
+          .map(obs => {
+            const distance = Math.min(length, Math.max(0, Number(obs.distance) || 0))
+            const offset = measuredFromDownstream ? length - distance : distance
+            return { observation: obs, chainage: startChainage + offset, invert: interpolateInvert(offset) }
+          })
+          .sort((a, b) => a.chainage - b.chainage)
+      : []
+
+    manholeAt(flow.upstreamNode, startChainage).inverts.push(flow.upstreamInvert)
+    manholeAt(flow.downstreamNode, endChainage).inverts.push(flow.downstreamInvert)
+
+    pipes.push({
+      line,
+      section,
+      flow,
+      startChainage,
+      endChainage,
+      lengthKnown: !!flow.length,
+      diameter: toLevel(section?.diameter),
+      observations: pipeObservations
+    })
+    chainage = endChainage
+  })
+
+  const hasLevels = manholes.some(manhole => manhole.cover !== null || manhole.inverts.some(level => level !== null))
+
+  return { manholes, pipes, totalLength: chainage, hasLevels }
+}
@@ -0,0 +1,54 @@
+// lib/utils/public-url.js
+// Checks for URLs the server sends requests to on a company's behalf (webhooks, self-hosted LLMs),
+// so stored settings cannot point requests back into our own network
+
+import { lookup } from 'dns/promises'
+import { BlockList } from 'net'
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]
+const BLOCKED_IPV6_RANGES = [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]
+
+const BLOCKED_ADDRESSES = new BlockList()
+for (const [network, prefix] of BLOCKED_IPV4_RANGES) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4')
+for (const [network, prefix] of BLOCKED_IPV6_RANGES) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6')
+
+/**
+ * Check that a URL is https and that its host only resolves to public addresses.
+ * Run when the URL is saved and again before each request, as DNS can change.
+ * @param {string} url
+ * @param {string} label - What the URL is, for messages, e.g. 'Webhook URL'
+ * @returns {Promise<string|null>} Error message, or null when the URL may be used
+ */
+export async function checkPublicHttpsUrl(url, label = 'URL') {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return `Enter a valid ${label.toLowerCase()}`
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return `${label} must start with https://`
+  }
+
+  let addresses
+  try {
+    addresses = await lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true })
+  } catch {
+    return `Could not resolve ${parsed.hostname}`
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address, family }) =>
+    BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    return `${label} must point to a public address`
+  }
+
+  return null
+}
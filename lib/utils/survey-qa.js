@@ -0,0 +1,180 @@
+// lib/utils/survey-qa.js
+// Pre-finalization quality checks for survey sections and observations
+
+import { validateContinuousDefects } from './continuous-defects'
+
+const START_CODES = ['START', 'ST']
+const FINISH_CODES = ['FINISH', 'FN']
+const ABANDONED_CODE = 'SA'
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === ''
+
+const hasCode = (observations, codes) => observations.some(obs => codes.includes(obs.code?.toUpperCase()))
+
+const formatDistance = (distance) => `${(Number(distance) || 0).toFixed(2)}m`
+
+const hasTimestamp = (obs) => obs.video_timestamp !== null && obs.video_timestamp !== undefined && obs.video_timestamp !== ''
+
+// Observations in the order they appear in the video. Ones without a video
+// timestamp (typed in by hand) cannot be placed, so they are left out.
+const inVideoOrder = (observations) => observations
+  .filter(hasTimestamp)
+  .sort((a, b) => Number(a.video_timestamp) - Number(b.video_timestamp))
+
+/**
+ * QA checks, each run against a single section.
+ * `check` returns a list of issues: { message, observationId? }
+ */
+const QA_CHECKS = [
+  {
+    id: 'start_finish',
+    label: 'Every section has START and FINISH',
+    check: ({ observations }) => {
+      const issues = []
+      if (!hasCode(observations, START_CODES)) {
+        issues.push({ message: 'No START observation' })
+      }
+      // An abandoned survey ends with SA instead of FINISH
+      if (!hasCode(observations, FINISH_CODES) && !hasCode(observations, [ABANDONED_CODE])) {
+        issues.push({ message: 'No FINISH (or SA) observation' })
+      }
+      return issues
+    }
+  },
+  {
+    id: 'finish_length',
+    label: 'FINISH distance matches the surveyed length',
+    check: ({ observations }) => {
+      const finish = observations.find(obs => FINISH_CODES.includes(obs.code?.toUpperCase()))
+      if (!finish) return []
+
+      const finishDistance = Number(finish.distance) || 0
+      if (finishDistance <= 0) {
+        return [{ message: 'FINISH is recorded at 0.00m', observationId: finish.id }]
+      }
+
+      return observations
+        .filter(obs => obs.id !== finish.id && (Number(obs.distance) || 0) > finishDistance)
+        .map(obs => ({
+          message: `${obs.code} at ${formatDistance(obs.distance)} is beyond FINISH at ${formatDistance(finishDistance)}`,
+          observationId: obs.id
+        }))
+    }
+  },
+  {
+    id: 'monotonic_distances',
+    label: 'Distances increase through the video',
+    check: ({ observations }) => {
+      const issues = []
+      let previous = null
+      inVideoOrder(observations).forEach(obs => {
+        const distance = Number(obs.distance) || 0
+        if (previous && distance < Number(previous.distance)) {
+          issues.push({
+            message: `${obs.code} at ${formatDistance(distance)} comes after ${previous.code} at ${formatDistance(previous.distance)}`,
+            observationId: obs.id
+          })
+        }
+        previous = obs
+      })
+      return issues
+    }
+  },
+  {
+    id: 'required_fields',
+    label: 'Required code fields are filled',
+    check: ({ observations, codesByValue }) => {
+      const issues = []
+      observations.forEach(obs => {
+        const codeDetails = codesByValue[obs.code?.toUpperCase()]
+        if (!codeDetails) return
+
+        const missing = []
+        if (codeDetails.requires_joint && (obs.is_at_joint === null || obs.is_at_joint === undefined)) {
+          missing.push('joint')
+        }
+        if (codeDetails.requires_loss_percentage && isEmpty(obs.loss_percentage)) {
+          missing.push('% loss')
+        }
+        if (codeDetails.clock_ref_count >= 1 && isEmpty(obs.clock_ref_1)) {
+          missing.push('clock 1')
+        }
+        if (codeDetails.clock_ref_count >= 2 && isEmpty(obs.clock_ref_2)) {
+          missing.push('clock 2')
+        }
+
+        if (missing.length > 0) {
+          issues.push({
+            message: `${obs.code} at ${formatDistance(obs.distance)} is missing ${missing.join(', ')}`,
+            observationId: obs.id
+          })
+        }
+      })
+      return issues
+    }
+  },
+  {
+    id: 'abandoned_reason',
+    label: 'Abandoned surveys (SA) have a reason',
+    check: ({ observations }) => observations
+      .filter(obs => obs.code?.toUpperCase() === ABANDONED_CODE && isEmpty(obs.remarks))
+      .map(obs => ({
+        message: `SA at ${formatDistance(obs.distance)} has no reason in remarks`,
+        observationId: obs.id
+      }))
+  },
+  {
+    id: 'severe_images',
+    label: 'Severity 4+ observations have an image',
+    check: ({ observations }) => observations
+      .filter(obs => obs.severity >= 4 && isEmpty(obs.image_url))
+      .map(obs => ({
+        message: `${obs.code} at ${formatDistance(obs.distance)} (severity ${obs.severity}) has no image`,
+        observationId: obs.id
+      }))
+  },
+  {
+    id: 'continuous_defects',
+    label: 'Continuous defects are paired',
+    check: ({ observations }) => validateContinuousDefects(observations).issues.map(issue => ({
+      message: issue.message,
+      observationId: issue.observationIds[0]
+    }))
+  }
+]
+
+/**
+ * Run every QA check across the report's sections
+ * @param {Object} data - { sections, observations, observationCodes }
+ * @returns {Object} { passed, issueCount, checks: [{ id, label, passed, issues: [{ message, sectionId, sectionLabel, observationId }] }] }
+ */
+export function runSurveyQA({ sections = [], observations = [], observationCodes = [] }) {
+  const codesByValue = {}
+  observationCodes.forEach(code => { codesByValue[code.code?.toUpperCase()] = code })
+
+  const sortedSections = [...sections].sort((a, b) => (a.section_number || 0) - (b.section_number || 0))
+
+  const checks = QA_CHECKS.map(({ id, label, check }) => {
+    const issues = sortedSections.flatMap(section => {
+      const sectionObs = observations
+        .filter(obs => obs.section_id === section.id)
+        .sort((a, b) => (a.distance || 0) - (b.distance || 0))
+
+      return check({ section, observations: sectionObs, codesByValue }).map(issue => ({
+        ...issue,
+        sectionId: section.id,
+        sectionLabel: `Section ${section.section_number}${section.start_ref || section.finish_ref ? ` (${section.start_ref || '?'} → ${section.finish_ref || '?'})` : ''}`
+      }))
+    })
+
+    return { id, label, passed: issues.length === 0, issues }
+  })
+
+  const issueCount = checks.reduce((sum, check) => sum + check.issues.length, 0)
+
+  return {
+    passed: issueCount === 0,
+    issueCount,
+    checks
+  }
+}
@@ -0,0 +1,84 @@
+import {
+  getSampleTimes,
+  rejectOutliers,
+  findReversals,
+  findGaps,
+  buildDistanceCurve,
+  getDistanceAt,
+  getReversalAt
+} from '../distance-curve'
+
+jest.mock('../video-metadata', () => ({ forEachVideoFrame: jest.fn() }))
+
+const readings = (distances, interval = 2) =>
+  distances.map((distance, index) => ({ time: index * interval, distance }))
+
+describe('getSampleTimes', () => {
+  test('samples the middle of each interval', () => {
+    expect(getSampleTimes(7, 2)).toEqual([1, 3, 5])
+    expect(getSampleTimes(0)).toEqual([])
+  })
+})
+
+describe('rejectOutliers', () => {
+  test('drops a misread that disagrees with its neighbours', () => {
+    const { kept, rejected } = rejectOutliers(readings([0, 0.5, 1, 10, 1.5, 2, 2.5]))
+    expect(rejected).toEqual([{ time: 6, distance: 10 }])
+    expect(kept).toHaveLength(6)
+  })
+})
+
+describe('findReversals', () => {
+  test('flags the counter running back until it regains its peak', () => {
+    const points = [[0, 0], [2, 1], [4, 2], [6, 1.5], [8, 1], [10, 2.2], [12, 3]]
+    expect(findReversals(points)).toEqual([{ start: 4, end: 10, fromDistance: 2, toDistance: 1 }])
+  })
+
+  test('ignores counter jitter below the threshold', () => {
+    expect(findReversals([[0, 1], [2, 0.9], [4, 1.2]])).toEqual([])
+  })
+})
+
+describe('findGaps', () => {
+  test('reports runs of unread frames longer than three intervals', () => {
+    expect(findGaps([[0, 0], [2, 1], [10, 4], [12, 5]], 2)).toEqual([{ start: 2, end: 10 }])
+  })
+})
+
+describe('getDistanceAt', () => {
+  const curve = buildDistanceCurve(readings([0, 1, 2, 3]).concat({ time: 20, distance: 3.5 }))
+
+  test('interpolates between readings', () => {
+    expect(getDistanceAt(curve, 3)).toBe(1.5)
+    expect(getDistanceAt(curve, 4)).toBe(2)
+  })
+
+  test('holds the end readings for one interval, then gives up', () => {
+    expect(getDistanceAt(curve, 21)).toBe(3.5)
+    expect(getDistanceAt(curve, 23)).toBeNull()
+  })
+
+  test('is unknown inside a gap', () => {
+    expect(curve.gaps).toEqual([{ start: 6, end: 20 }])
+    expect(getDistanceAt(curve, 12)).toBeNull()
+  })
+})
+
+describe('buildDistanceCurve', () => {
+  test('drops unreadable and low-confidence readings', () => {
+    const curve = buildDistanceCurve([
+      { time: 2, distance: 1 },
+      { time: 0, distance: 0 },
+      { time: 4, distance: NaN },
+      { time: 6, distance: 2, confidence: 0.2 }
+    ])
+    expect(curve.points).toEqual([[0, 0], [2, 1]])
+    expect(curve.readFrames).toBe(4)
+  })
+
+  test('exposes reversals by timestamp', () => {
+    const curve = buildDistanceCurve(readings([0, 1, 2, 1.5, 1, 1.5, 2.5]))
+    expect(getReversalAt(curve, 6)).toMatchObject({ start: 4, end: 12 })
+    expect(getReversalAt(curve, 2)).toBeNull()
+  })
+})
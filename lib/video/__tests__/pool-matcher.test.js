@@ -0,0 +1,99 @@
+import {
+  normalizeRef,
+  parseVideoFilename,
+  validateFilenamePatterns,
+  matchSectionsFromFilename,
+  matchSectionsFromText,
+  resolveProposals
+} from '../pool-matcher'
+
+const sections = [
+  { id: 's1', section_number: 1, start_ref: 'MH01', finish_ref: 'MH02' },
+  { id: 's2', section_number: 2, start_ref: 'MH02', finish_ref: 'MH03' },
+  { id: 's3', section_number: 3, start_ref: 'MH03', finish_ref: 'MH04' }
+]
+
+describe('normalizeRef', () => {
+  test('ignores case, separators and leading zeros', () => {
+    expect(normalizeRef('mh-01')).toBe('MH1')
+    expect(normalizeRef('MH1')).toBe('MH1')
+    expect(normalizeRef(null)).toBe('')
+  })
+})
+
+describe('parseVideoFilename', () => {
+  test.each([
+    ['2024-03-05_MH01-MH02.mp4', 'Date then start-finish', { start: 'MH01', finish: 'MH02', date: '2024-03-05' }],
+    ['MH01 to MH02 20240305.mov', 'Start-finish then date', { start: 'MH01', finish: 'MH02', date: '20240305' }],
+    ['C:\\surveys\\MH01_MH02.mp4', 'Start-finish then date', { start: 'MH01', finish: 'MH02', date: null }],
+    ['Church Street SEC-12.mp4', 'Section number', { start: null, finish: null, section: '12' }]
+  ])('reads %p', (filename, patternName, expected) => {
+    expect(parseVideoFilename(filename)).toMatchObject({ patternName, ...expected })
+  })
+
+  test('returns null when no pattern matches', () => {
+    expect(parseVideoFilename('inspection footage.mp4')).toBeNull()
+    expect(parseVideoFilename('')).toBeNull()
+  })
+
+  test('uses custom patterns and skips invalid ones', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const patterns = [
+      { name: 'Broken', pattern: '(?<start>' },
+      { name: 'Run', pattern: 'RUN(?<section>\\d+)' }
+    ]
+    expect(parseVideoFilename('job-RUN7.mp4', patterns)).toMatchObject({ patternName: 'Run', section: '7' })
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    console.warn.mockRestore()
+  })
+})
+
+describe('validateFilenamePatterns', () => {
+  test('accepts patterns with a start, finish or section group', () => {
+    expect(validateFilenamePatterns([{ name: 'Run', pattern: 'RUN(?<section>\\d+)' }])).toBeNull()
+  })
+
+  test('rejects empty, invalid and group-less patterns', () => {
+    expect(validateFilenamePatterns([{ name: 'Empty', pattern: ' ' }])).toBe('Empty is empty')
+    expect(validateFilenamePatterns([{ name: 'Bad', pattern: '(' }])).toMatch(/^Bad is not a valid regular expression/)
+    expect(validateFilenamePatterns([{ pattern: 'RUN\\d+' }])).toMatch(/^Pattern 1 needs a named group/)
+  })
+})
+
+describe('matchSectionsFromFilename', () => {
+  test('ranks an exact start-finish match above a reversed one', () => {
+    const { candidates } = matchSectionsFromFilename({ original_filename: 'MH02-MH03.mp4' }, [
+      ...sections,
+      { id: 's4', section_number: 4, start_ref: 'MH03', finish_ref: 'MH02' }
+    ])
+    expect(candidates.slice(0, 2).map(c => [c.sectionId, c.confidence])).toEqual([
+      ['s2', 0.95],
+      ['s4', 0.85]
+    ])
+  })
+
+  test('falls back to a single shared reference', () => {
+    const { candidates } = matchSectionsFromFilename({ original_filename: 'MH04-MH09.mp4' }, sections)
+    expect(candidates).toEqual([expect.objectContaining({ sectionId: 's3', confidence: 0.6 })])
+  })
+})
+
+describe('matchSectionsFromText', () => {
+  test('matches both references shown on screen', () => {
+    const candidates = matchSectionsFromText([{ text: 'START MH01  FINISH MH02' }], sections)
+    expect(candidates[0]).toMatchObject({ sectionId: 's1', confidence: 0.75, source: 'ocr' })
+  })
+})
+
+describe('resolveProposals', () => {
+  test('gives each section to at most one video, best match first', () => {
+    const proposals = resolveProposals([
+      { video: { id: 'v1', original_filename: 'a.mp4' }, candidates: [{ sectionId: 's1', confidence: 0.6 }, { sectionId: 's2', confidence: 0.4 }] },
+      { video: { id: 'v2', original_filename: 'b.mp4' }, candidates: [{ sectionId: 's1', confidence: 0.95 }] }
+    ])
+    expect(proposals.map(p => [p.videoId, p.sectionId])).toEqual([
+      ['v1', 's2'],
+      ['v2', 's1']
+    ])
+  })
+})
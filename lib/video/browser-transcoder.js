@@ -0,0 +1,135 @@
+// lib/video/browser-transcoder.js
+
+/**
+ * In-browser Video Conversion Module
+ * Converts formats browsers cannot play (AVI, MPG, WMV...) to H.264 MP4 with
+ * ffmpeg.wasm before upload, so the original never has to leave the machine.
+ * Larger files are uploaded as-is and converted by the server transcoder.
+ */
+
+import { isWebCompatible, formatFileSize } from './format-detector'
+import { TRANSCODE_MAX_HEIGHT } from './transcoding/transcoder-interface'
+
+// ffmpeg.wasm holds the input and output in browser memory
+export const BROWSER_TRANSCODE_MAX_SIZE = 500 * 1024 * 1024 // 500MB
+
+// Single-threaded core: works without cross-origin isolation headers.
+// Served from our own origin; scripts/copy-ffmpeg-core.js puts it in public/ffmpeg on install.
+const CORE_BASE_URL = process.env.NEXT_PUBLIC_FFMPEG_CORE_URL || '/ffmpeg'
+
+/**
+ * Decide whether a file should be converted before upload
+ * @param {File} file - Selected video file
+ * @param {Object} formatInfo - Result of detectVideoFormat
+ * @returns {Object} { needed, supported, reason } - supported is false when the
+ *   server has to convert the file instead
+ */
+export function getBrowserConversionSupport(file, formatInfo) {
+  const needed = !!formatInfo && (
+    !formatInfo.compatibility?.canPlayInBrowser ||
+    !isWebCompatible(formatInfo.formatKey)
+  )
+
+  if (!needed) {
+    return { needed: false, supported: false, reason: null }
+  }
+
+  if (typeof WebAssembly === 'undefined' || typeof Worker === 'undefined') {
+    return { needed, supported: false, reason: 'This browser cannot convert videos' }
+  }
+
+  if (file.size > BROWSER_TRANSCODE_MAX_SIZE) {
+    return {
+      needed,
+      supported: false,
+      reason: `Files over ${formatFileSize(BROWSER_TRANSCODE_MAX_SIZE)} are converted on the server after upload`
+    }
+  }
+
+  return { needed, supported: true, reason: null }
+}
+
+/**
+ * Convert a video to a web-compatible MP4 (H.264/AAC, 720p max, fast start)
+ * @param {File} file - Video file to convert
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with 0-100
+ * @param {AbortSignal} options.signal - Abort to cancel the conversion
+ * @returns {Promise<File>} Converted MP4 file
+ * @throws {Error} name 'AbortError' when cancelled
+ */
+export async function transcodeInBrowser(file, { onProgress, signal } = {}) {
+  if (signal?.aborted) throw createAbortError()
+
+  const [{ FFmpeg }, { fetchFile, toBlobURL }] = await Promise.all([
+    import('@ffmpeg/ffmpeg'),
+    import('@ffmpeg/util')
+  ])
+
+  const ffmpeg = new FFmpeg()
+  const handleAbort = () => ffmpeg.terminate()
+  signal?.addEventListener('abort', handleAbort)
+
+  const extension = file.name.split('.').pop().toLowerCase()
+  const inputName = `input.${extension || 'video'}`
+  const outputName = 'output.mp4'
+
+  try {
+    onProgress?.(0)
+
+    await ffmpeg.load({
+      coreURL: await toBlobURL(`${CORE_BASE_URL}/ffmpeg-core.js`, 'text/javascript'),
+      wasmURL: await toBlobURL(`${CORE_BASE_URL}/ffmpeg-core.wasm`, 'application/wasm')
+    })
+
+    ffmpeg.on('progress', ({ progress }) => {
+      // progress can briefly fall outside 0-1 for inputs without a duration
+      onProgress?.(Math.max(0, Math.min(99, Math.round(progress * 100))))
+    })
+
+    await ffmpeg.writeFile(inputName, await fetchFile(file))
+
+    const exitCode = await ffmpeg.exec([
+      '-i', inputName,
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      // Never upscale; H.264 needs even dimensions
+      '-vf', `scale=w=-2:h='min(${TRANSCODE_MAX_HEIGHT},trunc(ih/2)*2)'`,
+      '-c:v', 'libx264',
+      '-preset', 'ultrafast',
+      '-crf', '23',
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac',
+      '-b:a', '128k',
+      '-ac', '2',
+      '-movflags', '+faststart',
+      outputName
+    ])
+
+    if (exitCode !== 0) {
+      throw new Error('The video could not be converted in the browser')
+    }
+
+    const data = await ffmpeg.readFile(outputName)
+    const convertedName = file.name.replace(/\.[^/.]+$/, '') + '.mp4'
+
+    onProgress?.(100)
+    return new File([data.buffer], convertedName, { type: 'video/mp4', lastModified: Date.now() })
+  } catch (error) {
+    if (signal?.aborted) throw createAbortError()
+    console.error('Browser conversion failed:', error)
+    throw error
+  } finally {
+    signal?.removeEventListener('abort', handleAbort)
+    if (!signal?.aborted) {
+      // Frees the worker and its memory
+      ffmpeg.terminate()
+    }
+  }
+}
+
+function createAbortError() {
+  const error = new Error('Conversion cancelled')
+  error.name = 'AbortError'
+  return error
+}
@@ -0,0 +1,192 @@
+// lib/video/defect-detection.js
+
+/**
+ * Whole-video Defect Detection Module
+ * Runs the object detection model over frames sampled across a section video,
+ * groups consecutive detections of the same class into events and turns each
+ * event into a draft observation for a surveyor to accept, edit or reject.
+ */
+
+import { forEachVideoFrame } from './video-metadata'
+import { getSampleTimes, getDistanceAt } from './distance-curve'
+
+// Seconds between sampled frames; offered in the detection panel
+export const DETECTION_INTERVALS = [0.5, 1, 2, 5]
+export const DEFAULT_DETECTION_INTERVAL = 1
+
+// Detections below this are ignored
+export const DEFAULT_MIN_CONFIDENCE = 0.5
+
+// An object seen on one frame only needs to be this confident to be proposed
+const SINGLE_FRAME_CONFIDENCE = 0.7
+
+// Frames an object may drop out for and still be the same event
+const MAX_MISSED_FRAMES = 1
+
+/**
+ * Groups detections into events as frames arrive, so only the best frame of
+ * each open event is kept in memory
+ * @param {Object} options
+ * @param {number} options.interval - Seconds between sampled frames
+ * @returns {Object} { add(time, objects, frame), finish() }
+ */
+export function createDetectionClusterer({ interval = DEFAULT_DETECTION_INTERVAL } = {}) {
+  const maxGap = interval * (MAX_MISSED_FRAMES + 1) + 0.001
+  const open = new Map()
+  const events = []
+
+  const close = (objectClass) => {
+    const event = open.get(objectClass)
+    open.delete(objectClass)
+    if (event.count > 1 || event.confidence >= SINGLE_FRAME_CONFIDENCE) {
+      events.push(event)
+    }
+  }
+
+  return {
+    /**
+     * @param {number} time - Frame time in seconds
+     * @param {Array} objects - [{ class, confidence, bbox }] already filtered by confidence
+     * @param {*} frame - Kept on the event when this is its most confident frame
+     */
+    add(time, objects, frame = null) {
+      // Events whose object has not been seen for too long are finished
+      for (const [objectClass, event] of open) {
+        if (time - event.end > maxGap) close(objectClass)
+      }
+
+      // Several boxes of one class on a frame count once, at the best confidence
+      const bestByClass = new Map()
+      objects.forEach(object => {
+        const key = String(object.class).toLowerCase()
+        if (!bestByClass.has(key) || object.confidence > bestByClass.get(key).confidence) {
+          bestByClass.set(key, object)
+        }
+      })
+
+      bestByClass.forEach((object, objectClass) => {
+        const event = open.get(objectClass)
+        if (!event) {
+          open.set(objectClass, {
+            objectClass,
+            start: time,
+            end: time,
+            peakTime: time,
+            confidence: object.confidence,
+            confidenceTotal: object.confidence,
+            count: 1,
+            bbox: object.bbox || null,
+            frame
+          })
+          return
+        }
+
+        event.end = time
+        event.count++
+        event.confidenceTotal += object.confidence
+        if (object.confidence > event.confidence) {
+          event.peakTime = time
+          event.confidence = object.confidence
+          event.bbox = object.bbox || null
+          event.frame = frame
+        }
+      })
+    },
+
+    /**
+     * Close every open event
+     * @returns {Array} [{ objectClass, start, end, peakTime, confidence, meanConfidence, count, bbox, frame }] by peak time
+     */
+    finish() {
+      [...open.keys()].forEach(close)
+      return events
+        .map(({ confidenceTotal, ...event }) => ({
+          ...event,
+          meanConfidence: confidenceTotal / event.count
+        }))
+        .sort((a, b) => a.peakTime - b.peakTime)
+    }
+  }
+}
+
+/**
+ * Group a complete list of detections into events
+ * @param {Array} detections - [{ time, objects }] in time order
+ * @param {number} interval - Seconds between sampled frames
+ * @returns {Array} Events, see createDetectionClusterer().finish()
+ */
+export function clusterDetections(detections, interval = DEFAULT_DETECTION_INTERVAL) {
+  const clusterer = createDetectionClusterer({ interval })
+  detections.forEach(({ time, objects }) => clusterer.add(time, objects))
+  return clusterer.finish()
+}
+
+/**
+ * Sample a whole video and detect objects on each frame
+ * @param {string} videoUrl - URL of the video (the host must allow CORS)
+ * @param {Object} options
+ * @param {Object} options.aiService - Enabled AIService
+ * @param {number} options.duration - Video length in seconds
+ * @param {number} options.interval - Seconds between samples
+ * @param {number} options.minConfidence - Detections below this are ignored
+ * @param {Object} options.distanceCurve - Section's distance curve, preferred over single-frame readings
+ * @param {Function} options.onProgress - Called with { done, total, events }
+ * @param {AbortSignal} options.signal - Abort to stop the pass
+ * @returns {Promise<Object>} { drafts, sampledFrames } - drafts carry the peak frame as `thumbnail` (Blob)
+ * @throws {Error} name 'AbortError' when cancelled
+ */
+export async function detectDefectsInVideo(videoUrl, {
+  aiService,
+  duration,
+  interval = DEFAULT_DETECTION_INTERVAL,
+  minConfidence = DEFAULT_MIN_CONFIDENCE,
+  distanceCurve = null,
+  onProgress,
+  signal
+} = {}) {
+  const times = getSampleTimes(duration, interval)
+  const clusterer = createDetectionClusterer({ interval })
+  let done = 0
+
+  await forEachVideoFrame(videoUrl, times, async (blob, time) => {
+    try {
+      const predictions = await aiService.callRunPodAPI(await aiService.imageToBase64(blob))
+      const objects = predictions.objects.filter(object => object.confidence >= minConfidence)
+      if (objects.length > 0) {
+        const reading = aiService.selectBestDistance(predictions.distances)
+        clusterer.add(time, objects, { blob, distance: reading?.value ?? null })
+      } else {
+        clusterer.add(time, [])
+      }
+    } catch (error) {
+      // One failed frame should not stop the pass
+      console.warn(`Defect detection failed at ${time.toFixed(1)}s:`, error.message)
+    }
+    done++
+    onProgress?.({ done, total: times.length })
+  }, { signal })
+
+  const events = clusterer.finish()
+
+  // Look up each class once
+  const codes = new Map()
+  for (const event of events) {
+    if (!codes.has(event.objectClass)) {
+      codes.set(event.objectClass, await aiService.getObservationCodeFromObject(event.objectClass))
+    }
+  }
+
+  const drafts = events.map(event => ({
+    video_timestamp: Math.round(event.peakTime * 1000) / 1000,
+    start_timestamp: Math.round(event.start * 1000) / 1000,
+    end_timestamp: Math.round(event.end * 1000) / 1000,
+    object_class: event.objectClass,
+    confidence: Math.round(event.confidence * 10000) / 10000,
+    detection_count: event.count,
+    suggested_code: codes.get(event.objectClass) || null,
+    distance: getDistanceAt(distanceCurve, event.peakTime) ?? event.frame?.distance ?? null,
+    thumbnail: event.frame?.blob || null
+  }))
+
+  return { drafts, sampledFrames: times.length }
+}
@@ -0,0 +1,272 @@
+// lib/video/distance-curve.js
+
+/**
+ * Distance Curve Module
+ * Reads the crawler's on-screen distance counter across a whole section video
+ * and turns the readings into a timestamp → distance curve. Misreads are
+ * dropped against a rolling median, and stretches where the counter runs
+ * backwards (the camera was reversed) are flagged so repeated footage is
+ * easy to spot. The curve is stored on the section as sections.distance_curve.
+ */
+
+import { forEachVideoFrame } from './video-metadata'
+
+export const DISTANCE_CURVE_VERSION = 1
+
+// Seconds between sampled frames - crawlers rarely exceed 0.3m/s
+export const DEFAULT_SAMPLE_INTERVAL = 2
+
+// Readings below this are too unreliable to use at all
+const MIN_READING_CONFIDENCE = 0.5
+
+// Neighbours (either side) used for the rolling median
+const MEDIAN_HALF_WINDOW = 2
+
+// Fastest plausible crawler speed, in metres per second
+const MAX_CRAWLER_SPEED = 0.5
+
+// Always tolerate this much disagreement with the median (counter jitter)
+const MIN_OUTLIER_TOLERANCE = 0.5
+
+// The counter must fall this far below its peak before it counts as a reversal
+const REVERSAL_THRESHOLD = 0.3
+
+// A run of unread frames longer than this many intervals is reported as a gap
+const GAP_INTERVALS = 3
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Frame times to sample for a video
+ * @param {number} duration - Video length in seconds
+ * @param {number} interval - Seconds between samples
+ * @returns {Array<number>}
+ */
+export function getSampleTimes(duration, interval = DEFAULT_SAMPLE_INTERVAL) {
+  if (!duration || duration <= 0 || !interval || interval <= 0) return []
+
+  const times = []
+  for (let time = Math.min(interval / 2, duration); time < duration; time += interval) {
+    times.push(round(time, 3))
+  }
+  return times
+}
+
+/**
+ * Drop readings that disagree with their neighbours by more than the crawler
+ * could have travelled - typically a lost decimal point or a misread digit
+ * @param {Array} readings - [{ time, distance }] in time order
+ * @param {number} interval - Seconds between samples
+ * @returns {Object} { kept, rejected }
+ */
+export function rejectOutliers(readings, interval = DEFAULT_SAMPLE_INTERVAL) {
+  const kept = []
+  const rejected = []
+
+  readings.forEach((reading, index) => {
+    const neighbours = readings.slice(
+      Math.max(0, index - MEDIAN_HALF_WINDOW),
+      index + MEDIAN_HALF_WINDOW + 1
+    )
+
+    // Too few readings to judge - keep them
+    if (neighbours.length < 3) {
+      kept.push(reading)
+      return
+    }
+
+    // The median sits at most one sample away from a genuine reading
+    const tolerance = Math.max(MIN_OUTLIER_TOLERANCE, MAX_CRAWLER_SPEED * interval)
+
+    if (Math.abs(reading.distance - median(neighbours.map(n => n.distance))) > tolerance) {
+      rejected.push(reading)
+    } else {
+      kept.push(reading)
+    }
+  })
+
+  return { kept, rejected }
+}
+
+/**
+ * Stretches where the counter runs backwards. Each lasts from the peak before
+ * the drop until the counter gets back to that peak (or the video ends).
+ * @param {Array} points - [[time, distance]] in time order
+ * @returns {Array} [{ start, end, fromDistance, toDistance }]
+ */
+export function findReversals(points) {
+  const reversals = []
+  let peak = null
+  let current = null
+
+  points.forEach(([time, distance]) => {
+    if (!peak || distance >= peak[1]) {
+      if (current) {
+        current.end = time
+        reversals.push(current)
+        current = null
+      }
+      peak = [time, distance]
+      return
+    }
+
+    if (current) {
+      current.toDistance = Math.min(current.toDistance, distance)
+    } else if (distance < peak[1] - REVERSAL_THRESHOLD) {
+      current = { start: peak[0], end: null, fromDistance: peak[1], toDistance: distance }
+    }
+  })
+
+  if (current) {
+    current.end = points[points.length - 1][0]
+    reversals.push(current)
+  }
+
+  return reversals
+}
+
+/**
+ * Stretches of video where the counter could not be read
+ * @param {Array} points - [[time, distance]] in time order
+ * @param {number} interval - Seconds between samples
+ * @returns {Array} [{ start, end }]
+ */
+export function findGaps(points, interval = DEFAULT_SAMPLE_INTERVAL) {
+  const gaps = []
+  for (let i = 1; i < points.length; i++) {
+    if (points[i][0] - points[i - 1][0] > interval * GAP_INTERVALS) {
+      gaps.push({ start: points[i - 1][0], end: points[i][0] })
+    }
+  }
+  return gaps
+}
+
+/**
+ * Build the stored curve from raw counter readings
+ * @param {Array} readings - [{ time, distance, confidence }], unread frames omitted
+ * @param {Object} options
+ * @param {number} options.interval - Seconds between samples
+ * @param {number} options.duration - Video length in seconds
+ * @param {number} options.sampledFrames - Frames sent for reading
+ * @param {string} options.videoUrl - Video the curve was read from
+ * @returns {Object} Curve for sections.distance_curve
+ */
+export function buildDistanceCurve(readings, { interval = DEFAULT_SAMPLE_INTERVAL, duration = null, sampledFrames = 0, videoUrl = null } = {}) {
+  const usable = readings
+    .filter(reading => Number.isFinite(reading.distance) && reading.distance >= 0)
+    .filter(reading => (reading.confidence ?? 1) >= MIN_READING_CONFIDENCE)
+    .sort((a, b) => a.time - b.time)
+
+  const { kept, rejected } = rejectOutliers(usable, interval)
+  const points = kept.map(reading => [round(reading.time, 3), round(reading.distance)])
+
+  return {
+    version: DISTANCE_CURVE_VERSION,
+    interval,
+    duration,
+    points,
+    reversals: findReversals(points),
+    gaps: findGaps(points, interval),
+    sampledFrames,
+    readFrames: readings.length,
+    rejectedFrames: rejected.length,
+    videoUrl,
+    createdAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Distance at a point in the video, interpolated between readings
+ * @param {Object} curve - sections.distance_curve
+ * @param {number} time - Seconds into the video
+ * @returns {number|null} Metres, or null outside the read range or inside a gap
+ */
+export function getDistanceAt(curve, time) {
+  const points = curve?.points
+  if (!points?.length || time === null || time === undefined || !Number.isFinite(Number(time))) return null
+
+  const t = Number(time)
+  const interval = curve.interval || DEFAULT_SAMPLE_INTERVAL
+  const [firstTime, firstDistance] = points[0]
+  const [lastTime, lastDistance] = points[points.length - 1]
+
+  // Allow one sample interval either side of the readings, no further
+  if (t < firstTime) return firstTime - t <= interval ? firstDistance : null
+  if (t >= lastTime) return t - lastTime <= interval ? lastDistance : null
+
+  // Last point at or before t
+  let low = 0
+  let high = points.length - 1
+  while (high - low > 1) {
+    const mid = (low + high) >> 1
+    if (points[mid][0] <= t) low = mid
+    else high = mid
+  }
+
+  const [t0, d0] = points[low]
+  const [t1, d1] = points[high]
+  if (t1 - t0 > interval * GAP_INTERVALS) return null
+  if (t1 === t0) return d0
+
+  return round(d0 + (d1 - d0) * (t - t0) / (t1 - t0))
+}
+
+/**
+ * The reversal a timestamp falls in, if any
+ * @param {Object} curve - sections.distance_curve
+ * @param {number} time - Seconds into the video
+ * @returns {Object|null} { start, end, fromDistance, toDistance }
+ */
+export function getReversalAt(curve, time) {
+  if (time === null || time === undefined) return null
+  return (curve?.reversals || []).find(reversal => time >= reversal.start && time <= reversal.end) || null
+}
+
+/**
+ * Whether a stored curve was read from the video the section has now
+ * @param {Object} curve - sections.distance_curve
+ * @param {string} videoUrl - sections.video_url
+ */
+export function isCurveCurrent(curve, videoUrl) {
+  return !!curve?.points && (!curve.videoUrl || curve.videoUrl === videoUrl)
+}
+
+/**
+ * Sample a whole video and read the distance counter on each frame
+ * @param {string} videoUrl - URL of the video (the host must allow CORS)
+ * @param {Object} options
+ * @param {Object} options.aiService - Enabled AIService
+ * @param {number} options.duration - Video length in seconds
+ * @param {number} options.interval - Seconds between samples
+ * @param {Function} options.onProgress - Called with { done, total, readings }
+ * @param {AbortSignal} options.signal - Abort to stop the pass
+ * @returns {Promise<Object>} Curve for sections.distance_curve
+ * @throws {Error} name 'AbortError' when cancelled
+ */
+export async function readDistanceCurve(videoUrl, { aiService, duration, interval = DEFAULT_SAMPLE_INTERVAL, onProgress, signal } = {}) {
+  const times = getSampleTimes(duration, interval)
+  const readings = []
+  let done = 0
+
+  await forEachVideoFrame(videoUrl, times, async (blob, time) => {
+    try {
+      const best = await aiService.readDistance(blob)
+      if (best) {
+        readings.push({ time, distance: best.value, confidence: best.confidence })
+      }
+    } catch (error) {
+      // One unreadable frame should not stop the pass
+      console.warn(`Distance OCR failed at ${time.toFixed(1)}s:`, error.message)
+    }
+    done++
+    onProgress?.({ done, total: times.length, readings: readings.length })
+  }, { signal })
+
+  return buildDistanceCurve(readings, { interval, duration, sampledFrames: times.length, videoUrl })
+}
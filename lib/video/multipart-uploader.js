@@ -0,0 +1,347 @@
+// lib/video/multipart-uploader.js
+
+/**
+ * Resumable Multipart Upload Module
+ * Sends large videos to S3-compatible storage in parts, several at a time. Each part carries its
+ * SHA-256 (or MD5 on Backblaze B2) so storage rejects corrupted parts, and progress is kept in
+ * IndexedDB so a dropped connection or page refresh only costs the parts in flight.
+ *
+ * The bucket's CORS configuration must expose the ETag header to the browser, and on B2
+ * allow the Content-MD5 request header.
+ */
+
+import SparkMD5 from 'spark-md5'
+import {
+  startMultipartUpload,
+  getMultipartPartUrl,
+  listMultipartParts,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  isMultipartUploadAvailable
+} from '@/lib/actions/multipart-upload'
+import { getAccessToken } from '@/lib/supabase'
+import { getUploadStateId, getUploadState, saveUploadState, deleteUploadState } from './upload-state-store'
+
+// Files at least this big are uploaded in parts; smaller ones use a single PUT
+export const MULTIPART_THRESHOLD = 64 * 1024 * 1024 // 64MB
+
+// Small enough that a failed part on a mobile connection is cheap to resend
+export const DEFAULT_PART_SIZE = 10 * 1024 * 1024 // 10MB
+
+const DEFAULT_CONCURRENCY = 4
+const MAX_PART_ATTEMPTS = 5
+
+const bytesToBase64 = (bytes) => {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i])
+  return btoa(binary)
+}
+
+const base64ToBytes = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0))
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function createAbortError() {
+  const error = new Error('Upload cancelled')
+  error.name = 'AbortError'
+  return error
+}
+
+/**
+ * Base64 SHA-256 of a blob, as S3 expects in x-amz-checksum-sha256
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function sha256Base64(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+  return bytesToBase64(new Uint8Array(digest))
+}
+
+/**
+ * Base64 MD5 of a blob, as Content-MD5 expects
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function md5Base64(blob) {
+  const hex = SparkMD5.ArrayBuffer.hash(await blob.arrayBuffer())
+  return bytesToBase64(Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16)))
+}
+
+// Digest of one part in the algorithm the storage provider checks; uploads saved before
+// providers could differ used SHA-256
+const partChecksum = (blob, algorithm) => (algorithm === 'MD5' ? md5Base64(blob) : sha256Base64(blob))
+
+/**
+ * Checksum S3 reports for a completed multipart object: the SHA-256 of the
+ * concatenated part digests, followed by the number of parts
+ * @param {Array<string>} partChecksums - Base64 part digests in part order
+ * @returns {Promise<string>} "<base64>-<parts>"
+ */
+export async function getCompositeChecksum(partChecksums) {
+  const digests = partChecksums.map(base64ToBytes)
+  const joined = new Uint8Array(digests.reduce((sum, digest) => sum + digest.length, 0))
+  let offset = 0
+  digests.forEach(digest => {
+    joined.set(digest, offset)
+    offset += digest.length
+  })
+
+  const digest = await crypto.subtle.digest('SHA-256', joined)
+  return `${bytesToBase64(new Uint8Array(digest))}-${partChecksums.length}`
+}
+
+/**
+ * PUT one part, reporting bytes sent
+ * @returns {Promise<string>} The part's ETag
+ */
+function putPart(url, headers, blob, onProgress, signal) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    const handleAbort = () => xhr.abort()
+    signal?.addEventListener('abort', handleAbort)
+
+    const finish = (callback) => {
+      signal?.removeEventListener('abort', handleAbort)
+      callback()
+    }
+
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) onProgress(event.loaded)
+    })
+
+    xhr.addEventListener('load', () => finish(() => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject(new Error(`Part upload failed with status ${xhr.status}`))
+        return
+      }
+      const etag = xhr.getResponseHeader('ETag')
+      if (!etag) {
+        reject(new Error('Storage did not return an ETag - the bucket CORS rules must expose it'))
+        return
+      }
+      resolve(etag)
+    }))
+
+    xhr.addEventListener('error', () => finish(() => reject(new Error('Network error during upload'))))
+    xhr.addEventListener('abort', () => finish(() => reject(createAbortError())))
+
+    xhr.open('PUT', url)
+    Object.entries(headers || {}).forEach(([key, value]) => xhr.setRequestHeader(key, value))
+    xhr.send(blob)
+  })
+}
+
+/**
+ * Whether a file should be uploaded in parts: it is large enough and the
+ * configured storage provider takes multipart uploads
+ * @param {File} file
+ * @returns {Promise<boolean>}
+ */
+export async function shouldUploadMultipart(file) {
+  if (file.size < MULTIPART_THRESHOLD) return false
+  try {
+    return await isMultipartUploadAvailable()
+  } catch (error) {
+    console.warn('Could not check multipart upload support:', error)
+    return false
+  }
+}
+
+/**
+ * An interrupted upload of this file that can be continued
+ * @param {File} file
+ * @param {Object} target - { type: 'section', sectionId } or { type: 'pool', projectId }
+ * @returns {Promise<Object|null>} { uploadedBytes, fileSize, updatedAt }
+ */
+export async function findResumableUpload(file, target) {
+  const state = await getUploadState(getUploadStateId(file, target))
+  if (!state) return null
+
+  const uploadedBytes = Object.values(state.parts).reduce((sum, part) => sum + part.size, 0)
+  return { uploadedBytes, fileSize: state.fileSize, updatedAt: state.updatedAt }
+}
+
+/**
+ * Forget an interrupted upload and free the parts already stored
+ */
+export async function discardResumableUpload(file, target) {
+  const id = getUploadStateId(file, target)
+  const state = await getUploadState(id)
+  if (!state) return
+
+  await abortMultipartUpload({ accessToken: await getAccessToken(), key: state.key, uploadId: state.uploadId })
+  await deleteUploadState(id)
+}
+
+/**
+ * Carry on from a saved upload, keeping only the parts S3 confirms it holds
+ */
+async function restoreUpload(id) {
+  const state = await getUploadState(id)
+  if (!state) return null
+
+  const listed = await listMultipartParts({ accessToken: await getAccessToken(), key: state.key, uploadId: state.uploadId })
+  if (!listed.success) {
+    // Expired or already completed - start again
+    await deleteUploadState(id)
+    return null
+  }
+
+  const remote = new Map(listed.parts.map(part => [part.partNumber, part]))
+  state.parts = Object.fromEntries(Object.entries(state.parts).filter(([partNumber, part]) => {
+    const stored = remote.get(Number(partNumber))
+    return stored && stored.checksum === part.checksum && stored.size === part.size
+  }))
+
+  return state
+}
+
+/**
+ * Upload a file in parts, resuming an earlier attempt at the same file
+ * @param {File} file - Video to upload
+ * @param {Object} options
+ * @param {Object} options.target - { type: 'section', sectionId } or { type: 'pool', projectId }
+ * @param {string} options.contentType - MIME type; defaults to the file's
+ * @param {Function} options.onProgress - Called with 0-100
+ * @param {AbortSignal} options.signal - Abort to pause; the upload can be resumed later
+ * @param {number} options.concurrency - Parts in flight at once
+ * @returns {Promise<Object>} { key, publicUrl, checksum, resumedBytes }
+ * @throws {Error} name 'AbortError' when cancelled
+ */
+export async function uploadFileMultipart(file, {
+  target,
+  contentType,
+  onProgress,
+  signal,
+  concurrency = DEFAULT_CONCURRENCY
+} = {}) {
+  const id = getUploadStateId(file, target)
+
+  let state = await restoreUpload(id)
+  if (!state) {
+    const started = await startMultipartUpload({
+      accessToken: await getAccessToken(),
+      fileName: file.name,
+      contentType: contentType || file.type || 'video/mp4',
+      fileSize: file.size,
+      partSize: DEFAULT_PART_SIZE,
+      target
+    })
+    if (!started.success) {
+      throw new Error(started.error || 'Failed to start upload')
+    }
+
+    state = {
+      id,
+      ...started.upload,
+      fileSize: file.size,
+      parts: {},
+      createdAt: Date.now()
+    }
+    await saveUploadState(state)
+  }
+
+  const { partSize } = state
+  const partCount = Math.max(1, Math.ceil(file.size / partSize))
+  const resumedBytes = Object.values(state.parts).reduce((sum, part) => sum + part.size, 0)
+
+  // Bytes confirmed plus bytes of parts in flight
+  let confirmedBytes = resumedBytes
+  const inFlight = new Map()
+  const reportProgress = () => {
+    const sending = [...inFlight.values()].reduce((sum, loaded) => sum + loaded, 0)
+    onProgress?.(Math.min(100, ((confirmedBytes + sending) / file.size) * 100))
+  }
+  reportProgress()
+
+  const queue = []
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (!state.parts[partNumber]) queue.push(partNumber)
+  }
+
+  let failure = null
+
+  const uploadPart = async (partNumber) => {
+    const start = (partNumber - 1) * partSize
+    const blob = file.slice(start, Math.min(start + partSize, file.size))
+    const checksum = await partChecksum(blob, state.checksumAlgorithm)
+
+    for (let attempt = 1; attempt <= MAX_PART_ATTEMPTS; attempt++) {
+      if (signal?.aborted) throw createAbortError()
+      try {
+        // Fetched per part, as a long upload can outlast the session's access token
+        const signed = await getMultipartPartUrl({
+          accessToken: await getAccessToken(),
+          key: state.key,
+          uploadId: state.uploadId,
+          partNumber,
+          checksum,
+          contentLength: blob.size
+        })
+        if (!signed.success) throw new Error(signed.error || 'Failed to sign part')
+
+        const etag = await putPart(signed.url, signed.headers, blob, (loaded) => {
+          inFlight.set(partNumber, loaded)
+          reportProgress()
+        }, signal)
+
+        inFlight.delete(partNumber)
+        confirmedBytes += blob.size
+        state.parts[partNumber] = { checksum, size: blob.size, etag }
+        await saveUploadState(state)
+        reportProgress()
+        return
+      } catch (error) {
+        inFlight.delete(partNumber)
+        reportProgress()
+        if (error.name === 'AbortError' || attempt === MAX_PART_ATTEMPTS) throw error
+        console.warn(`Part ${partNumber} failed (attempt ${attempt}), retrying:`, error.message)
+        await delay(1000 * 2 ** (attempt - 1))
+      }
+    }
+  }
+
+  // Each worker takes the next waiting part until the queue is empty or a part gives up
+  const worker = async () => {
+    while (queue.length > 0 && !failure) {
+      const partNumber = queue.shift()
+      try {
+        await uploadPart(partNumber)
+      } catch (error) {
+        failure = failure || error
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, Math.max(1, queue.length)) }, worker))
+  if (failure) throw failure
+
+  const parts = Array.from({ length: partCount }, (_, index) => ({
+    partNumber: index + 1,
+    ...state.parts[index + 1]
+  }))
+
+  const completed = await completeMultipartUpload({
+    accessToken: await getAccessToken(),
+    key: state.key,
+    uploadId: state.uploadId,
+    parts: parts.map(({ partNumber, etag, checksum, size }) => ({ partNumber, etag, checksum, size })),
+    fileSize: file.size,
+    // Only SHA-256 uploads get a composite checksum from storage
+    checksum: state.checksumAlgorithm === 'MD5' ? null : await getCompositeChecksum(parts.map(part => part.checksum))
+  })
+
+  if (!completed.success) {
+    throw new Error(completed.error || 'Failed to complete upload')
+  }
+
+  await deleteUploadState(id)
+  onProgress?.(100)
+
+  return {
+    key: completed.key,
+    publicUrl: completed.publicUrl,
+    checksum: completed.checksum,
+    resumedBytes
+  }
+}
@@ -0,0 +1,311 @@
+// lib/video/pool-matcher.js
+
+/**
+ * Pool Video Matching Module
+ * Proposes which section each pool video belongs to, from the references in
+ * its filename or, failing that, the text burnt into its opening frames.
+ * Proposals carry a 0-1 confidence and are only applied once approved.
+ */
+
+/**
+ * Default filename patterns, tried in order. Each is a regular expression with
+ * named groups: start, finish (node references), section (section number), date.
+ */
+export const DEFAULT_FILENAME_PATTERNS = [
+  {
+    name: 'Date then start-finish',
+    pattern: '^(?<date>\\d{4}-?\\d{2}-?\\d{2})[ _](?<start>[A-Z]*\\d+[A-Z0-9]*)[ _]*(?:-|_|>|to)[ _]*(?<finish>[A-Z]*\\d+[A-Z0-9]*)'
+  },
+  {
+    name: 'Start-finish then date',
+    pattern: '^(?<start>[A-Z]*\\d+[A-Z0-9]*)[ _]*(?:-|_|>|to)[ _]*(?<finish>[A-Z]*\\d+[A-Z0-9]*)(?:[ _-]+(?<date>\\d{4}-?\\d{2}-?\\d{2}))?'
+  },
+  {
+    name: 'Section number',
+    pattern: '(?:^|[^A-Z])(?:S|SEC|SECTION)[ _-]?(?<section>\\d+)(?!\\d)'
+  }
+]
+
+// Proposals at or above this are pre-selected for approval
+export const AUTO_APPROVE_CONFIDENCE = 0.8
+
+const CONFIDENCE = {
+  filename: {
+    refsAndSection: 0.99,
+    refs: 0.95,
+    refsReversed: 0.85,
+    section: 0.8,
+    singleRefUnique: 0.6,
+    singleRef: 0.4
+  },
+  // On-screen text is noisier than a filename someone typed
+  ocr: {
+    refs: 0.75,
+    singleRefUnique: 0.45,
+    singleRef: 0.3
+  }
+}
+
+/**
+ * Normalise a node reference for comparison: case, separators and leading
+ * zeros are ignored, so "mh-01" matches "MH1"
+ * @param {string} ref
+ * @returns {string}
+ */
+export function normalizeRef(ref) {
+  if (ref === null || ref === undefined) return ''
+  return String(ref)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/\d+/g, digits => String(parseInt(digits, 10)))
+}
+
+/**
+ * Compile the configured patterns, skipping any that are invalid
+ * @param {Array} patterns - [{ name, pattern }]
+ * @returns {Array} [{ name, regex }]
+ */
+function compilePatterns(patterns) {
+  return (patterns || []).flatMap(({ name, pattern }) => {
+    try {
+      return [{ name, regex: new RegExp(pattern, 'i') }]
+    } catch (error) {
+      console.warn(`Skipping invalid filename pattern "${name}":`, error.message)
+      return []
+    }
+  })
+}
+
+/**
+ * Check a list of patterns before it is saved
+ * @param {Array} patterns - [{ name, pattern }]
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateFilenamePatterns(patterns) {
+  if (!Array.isArray(patterns)) return 'Patterns must be a list'
+
+  for (const [index, item] of patterns.entries()) {
+    const label = item?.name?.trim() || `Pattern ${index + 1}`
+    if (!item?.pattern?.trim()) return `${label} is empty`
+
+    let regex
+    try {
+      regex = new RegExp(item.pattern, 'i')
+    } catch (error) {
+      return `${label} is not a valid regular expression: ${error.message}`
+    }
+
+    // An unmatched named group is still listed in the exec result
+    const groups = Object.keys(new RegExp(`${regex.source}|`, 'i').exec('')?.groups || {})
+    if (!groups.some(group => ['start', 'finish', 'section'].includes(group))) {
+      return `${label} needs a named group: (?<start>...), (?<finish>...) or (?<section>...)`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Read section references out of a filename
+ * @param {string} filename - Original filename of the pool video
+ * @param {Array} patterns - [{ name, pattern }], defaults to DEFAULT_FILENAME_PATTERNS
+ * @returns {Object|null} { patternName, start, finish, section, date } or null when nothing matched
+ */
+export function parseVideoFilename(filename, patterns = DEFAULT_FILENAME_PATTERNS) {
+  if (!filename) return null
+  const baseName = filename.replace(/^.*[\\/]/, '').replace(/\.[^/.]+$/, '')
+
+  for (const { name, regex } of compilePatterns(patterns)) {
+    const groups = regex.exec(baseName)?.groups
+    if (!groups) continue
+
+    const parsed = {
+      patternName: name,
+      start: groups.start || null,
+      finish: groups.finish || null,
+      section: groups.section || null,
+      date: groups.date || null
+    }
+    if (parsed.start || parsed.finish || parsed.section) return parsed
+  }
+
+  return null
+}
+
+// How many sections touch each node - a single reference is only useful when one section does
+function countRefs(sections) {
+  const counts = {}
+  sections.forEach(section => {
+    new Set([normalizeRef(section.start_ref), normalizeRef(section.finish_ref)]).forEach(ref => {
+      if (ref) counts[ref] = (counts[ref] || 0) + 1
+    })
+  })
+  return counts
+}
+
+/**
+ * Score every section against the references parsed from one filename
+ * @param {Object} refs - { start, finish, section }
+ * @param {Array} sections - Candidate sections
+ * @returns {Array} [{ sectionId, confidence, reason, source }] best first
+ */
+function scoreFilenameRefs(refs, sections) {
+  const weights = CONFIDENCE.filename
+  const start = normalizeRef(refs.start)
+  const finish = normalizeRef(refs.finish)
+  const sectionNumber = refs.section ? parseInt(refs.section, 10) : null
+
+  const refCounts = countRefs(sections)
+
+  const candidates = []
+
+  sections.forEach(section => {
+    const sectionStart = normalizeRef(section.start_ref)
+    const sectionFinish = normalizeRef(section.finish_ref)
+    const numberMatches = sectionNumber !== null && Number(section.section_number) === sectionNumber
+
+    let confidence = 0
+    let reason = null
+
+    if (start && finish && start === sectionStart && finish === sectionFinish) {
+      confidence = numberMatches ? weights.refsAndSection : weights.refs
+      reason = `${section.start_ref} → ${section.finish_ref}${numberMatches ? ` and section ${section.section_number}` : ''}`
+    } else if (start && finish && start === sectionFinish && finish === sectionStart) {
+      confidence = weights.refsReversed
+      reason = `${section.start_ref} → ${section.finish_ref}, surveyed in reverse`
+    } else if (numberMatches) {
+      confidence = weights.section
+      reason = `Section ${section.section_number}`
+    } else {
+      const shared = [refs.start, refs.finish].filter(ref => {
+        const normalized = normalizeRef(ref)
+        return normalized && (normalized === sectionStart || normalized === sectionFinish)
+      })
+      if (shared.length > 0) {
+        const unique = shared.some(ref => refCounts[normalizeRef(ref)] === 1)
+        confidence = unique ? weights.singleRefUnique : weights.singleRef
+        reason = `Only ${shared[0]} matches (${section.start_ref} → ${section.finish_ref})`
+      }
+    }
+
+    if (confidence > 0) {
+      candidates.push({ sectionId: section.id, confidence, reason, source: 'filename' })
+    }
+  })
+
+  return candidates.sort((a, b) => b.confidence - a.confidence)
+}
+
+/**
+ * Find section references in text read from video frames. Survey overlays
+ * usually show both nodes, e.g. "MH01 > MH02" or "START MH01  FINISH MH02".
+ * @param {Array} textResults - [{ text, confidence }] from the OCR model
+ * @param {Array} sections - Candidate sections
+ * @returns {Array} [{ sectionId, confidence, reason, source }] best first
+ */
+export function matchSectionsFromText(textResults, sections) {
+  const tokens = new Set()
+  for (const { text } of textResults || []) {
+    if (!text) continue
+    tokens.add(normalizeRef(text))
+    String(text).split(/[\s>→\-_/:,]+/).forEach(part => {
+      const token = normalizeRef(part)
+      if (token) tokens.add(token)
+    })
+  }
+
+  if (tokens.size === 0) return []
+
+  const refCounts = countRefs(sections)
+
+  return sections
+    .flatMap(section => {
+      const shown = [section.start_ref, section.finish_ref]
+        .map(normalizeRef)
+        .filter(ref => ref && tokens.has(ref))
+      if (shown.length === 0) return []
+
+      // Overlay layouts vary too much to tell the survey direction from the text
+      if (shown.length === 2 && shown[0] !== shown[1]) {
+        return [{
+          sectionId: section.id,
+          confidence: CONFIDENCE.ocr.refs,
+          reason: `On screen: ${section.start_ref} and ${section.finish_ref}`,
+          source: 'ocr'
+        }]
+      }
+
+      return [{
+        sectionId: section.id,
+        confidence: refCounts[shown[0]] === 1 ? CONFIDENCE.ocr.singleRefUnique : CONFIDENCE.ocr.singleRef,
+        reason: `On screen: ${shown[0] === normalizeRef(section.start_ref) ? section.start_ref : section.finish_ref} only (${section.start_ref} → ${section.finish_ref})`,
+        source: 'ocr'
+      }]
+    })
+    .sort((a, b) => b.confidence - a.confidence)
+}
+
+/**
+ * Candidate sections for a video from its filename
+ * @param {Object} video - Pool video ({ id, original_filename })
+ * @param {Array} sections - Candidate sections
+ * @param {Array} patterns - Filename patterns
+ * @returns {Object} { parsed, candidates }
+ */
+export function matchSectionsFromFilename(video, sections, patterns = DEFAULT_FILENAME_PATTERNS) {
+  const parsed = parseVideoFilename(video.original_filename, patterns)
+  if (!parsed) return { parsed: null, candidates: [] }
+  return { parsed, candidates: scoreFilenameRefs(parsed, sections) }
+}
+
+/**
+ * Combine candidate lists for one video, keeping the best score per section
+ * @param {...Array} lists - Candidate lists
+ * @returns {Array} Candidates best first
+ */
+export function mergeCandidates(...lists) {
+  const best = new Map()
+  lists.flat().forEach(candidate => {
+    const current = best.get(candidate.sectionId)
+    if (!current || candidate.confidence > current.confidence) {
+      best.set(candidate.sectionId, candidate)
+    }
+  })
+  return [...best.values()].sort((a, b) => b.confidence - a.confidence)
+}
+
+/**
+ * Turn per-video candidates into one proposal per video, giving each section
+ * to at most one video. Higher-confidence matches are settled first; a video
+ * that loses its best section falls back to its next candidate.
+ * @param {Array} entries - [{ video, candidates, parsed }]
+ * @returns {Array} [{ videoId, filename, sectionId, confidence, reason, source, parsed, alternatives }]
+ */
+export function resolveProposals(entries) {
+  const queue = entries
+    .flatMap(entry => entry.candidates.map(candidate => ({ entry, candidate })))
+    .sort((a, b) => b.candidate.confidence - a.candidate.confidence)
+
+  const takenSections = new Set()
+  const chosen = new Map()
+
+  queue.forEach(({ entry, candidate }) => {
+    if (chosen.has(entry.video.id) || takenSections.has(candidate.sectionId)) return
+    chosen.set(entry.video.id, candidate)
+    takenSections.add(candidate.sectionId)
+  })
+
+  return entries.map(entry => {
+    const match = chosen.get(entry.video.id)
+    return {
+      videoId: entry.video.id,
+      filename: entry.video.original_filename,
+      sectionId: match?.sectionId || null,
+      confidence: match?.confidence || 0,
+      reason: match?.reason || null,
+      source: match?.source || null,
+      parsed: entry.parsed || null,
+      alternatives: entry.candidates.filter(candidate => candidate.sectionId !== match?.sectionId)
+    }
+  })
+}
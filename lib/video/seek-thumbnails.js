@@ -0,0 +1,128 @@
+// lib/video/seek-thumbnails.js
+
+/**
+ * Seek Thumbnails Module
+ * Reads and writes the WebVTT tracks that map video time ranges to preview
+ * images. Each cue's text is an image URL, optionally with a
+ * "#xywh=x,y,width,height" fragment selecting a tile of a sprite sheet.
+ */
+
+const pad = (value, length = 2) => String(value).padStart(length, '0')
+
+/**
+ * @param {number} seconds
+ * @returns {string} HH:MM:SS.mmm
+ */
+export function formatVttTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000))
+  const hours = Math.floor(totalMs / 3600000)
+  const minutes = Math.floor((totalMs % 3600000) / 60000)
+  const secs = Math.floor((totalMs % 60000) / 1000)
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(totalMs % 1000, 3)}`
+}
+
+function parseVttTime(value) {
+  const parts = value.trim().split(':').map(Number)
+  if (parts.some(Number.isNaN)) return null
+  return parts.reduce((total, part) => total * 60 + part, 0)
+}
+
+/**
+ * Build a thumbnail track
+ * @param {Array<Object>} cues - [{ start, end, url, x, y, width, height }]; x/y/width/height only for sprite tiles
+ * @returns {string} WebVTT text
+ */
+export function buildThumbnailVtt(cues) {
+  const blocks = cues.map(cue => {
+    const tile = cue.width ? `#xywh=${cue.x},${cue.y},${cue.width},${cue.height}` : ''
+    return `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.url}${tile}`
+  })
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`
+}
+
+/**
+ * Cues for one image per interval, e.g. MediaConvert frame captures
+ * @param {Object} params
+ * @param {number} params.duration - Video duration in seconds
+ * @param {number} params.interval - Seconds between thumbnails
+ * @param {Function} params.getImageUrl - (index) => URL, relative to the track or absolute
+ * @returns {Array<Object>}
+ */
+export function getIntervalCues({ duration, interval, getImageUrl }) {
+  const count = Math.ceil(duration / interval)
+  return Array.from({ length: count }, (_, index) => ({
+    start: index * interval,
+    end: Math.min(duration, (index + 1) * interval),
+    url: getImageUrl(index)
+  }))
+}
+
+/**
+ * Parse a thumbnail track, resolving image URLs against the track's URL
+ * @param {string} text - WebVTT text
+ * @param {string} trackUrl - Where the track was loaded from
+ * @returns {Array<Object>} [{ start, end, url, x, y, width, height }] in time order
+ */
+export function parseThumbnailVtt(text, trackUrl) {
+  const cues = []
+
+  for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n').filter(Boolean)
+    const timingIndex = lines.findIndex(line => line.includes('-->'))
+    if (timingIndex === -1 || !lines[timingIndex + 1]) continue
+
+    const [startText, endText] = lines[timingIndex].split('-->')
+    const start = parseVttTime(startText)
+    const end = parseVttTime(endText.trim().split(/\s+/)[0])
+    if (start === null || end === null) continue
+
+    const [path, fragment] = lines[timingIndex + 1].trim().split('#')
+    const cue = { start, end, url: new URL(path, trackUrl).href }
+
+    const tile = fragment?.match(/^xywh=(\d+),(\d+),(\d+),(\d+)$/)
+    if (tile) {
+      const [x, y, width, height] = tile.slice(1).map(Number)
+      Object.assign(cue, { x, y, width, height })
+    }
+    cues.push(cue)
+  }
+
+  return cues.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * The cue showing a time, or null
+ * @param {Array<Object>} cues - From parseThumbnailVtt
+ * @param {number} time - Seconds
+ * @returns {Object|null}
+ */
+export function findThumbnailCue(cues, time) {
+  let low = 0
+  let high = cues.length - 1
+
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (cues[mid].end <= time) low = mid + 1
+    else if (cues[mid].start > time) high = mid - 1
+    else return cues[mid]
+  }
+  return null
+}
+
+/**
+ * Fetch and parse a thumbnail track
+ * @param {string} trackUrl
+ * @returns {Promise<Array<Object>>} Cues; empty if the track cannot be loaded
+ */
+export async function loadThumbnailCues(trackUrl) {
+  try {
+    const response = await fetch(trackUrl)
+    if (!response.ok) {
+      throw new Error(`Thumbnail track request failed with status ${response.status}`)
+    }
+    return parseThumbnailVtt(await response.text(), trackUrl)
+  } catch (error) {
+    console.error('Error loading seek thumbnails:', error)
+    return []
+  }
+}
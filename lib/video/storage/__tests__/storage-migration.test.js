@@ -0,0 +1,83 @@
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { migrateStorageBatch } from '../storage-migration'
+
+jest.mock('@/lib/supabase-server', () => ({
+  supabaseAdmin: { from: jest.fn() }
+}))
+
+const OLD = 'https://old.example.com/media'
+const NEW = 'https://new.example.com/media'
+
+// Providers that map URLs under their base to paths; the target holds nothing yet
+const provider = (base, name) => ({
+  provider: name,
+  getPathFromUrl: url => (typeof url === 'string' && url.startsWith(`${base}/`) ? url.slice(base.length + 1) : null),
+  getPublicUrl: path => `${base}/${path}`,
+  exists: jest.fn(async () => false),
+  download: jest.fn(async () => ({ body: 'bytes', contentType: 'image/jpeg', size: 5 })),
+  upload: jest.fn(async () => {})
+})
+
+// Every table is empty except `reports`, which holds the given row; records update() payloads
+const mockTables = (reportRow, updates) => {
+  supabaseAdmin.from.mockImplementation(table => {
+    const rows = table === 'reports' ? [reportRow] : []
+    const query = {
+      select: () => query,
+      or: () => query,
+      order: () => query,
+      limit: () => query,
+      then: resolve => resolve({ data: rows, error: null }),
+      update: values => {
+        updates.push({ table, values })
+        return { eq: async () => ({ error: null }) }
+      }
+    }
+    return query
+  })
+}
+
+describe('migrateStorageBatch', () => {
+  test('rewrites media URLs nested in report snapshots', async () => {
+    const updates = []
+    mockTables({
+      id: 'report-1',
+      project_snapshot: { name: 'Main St', site_image_url: `${OLD}/images/projects/site.jpg` },
+      sections_snapshot: [{ id: 's1', video_url: `${OLD}/videos/s1.mp4`, video_metadata: { duration: 90 } }],
+      observations_snapshot: [
+        { id: 'o1', image_url: `${OLD}/images/observations/o1.jpg` },
+        { id: 'o2', image_url: null }
+      ],
+      maps_snapshot: null,
+      map_snapshots: [{ id: 'm1', imageUrl: 'data:image/png;base64,AAAA' }]
+    }, updates)
+
+    const source = provider(OLD, 'old')
+    const target = provider(NEW, 'new')
+    const result = await migrateStorageBatch({ source, target, limit: 50 })
+
+    expect(result.done).toBe(true)
+    expect(result.failed).toEqual([])
+    expect(result.moved.map(item => item.column)).toEqual([
+      'project_snapshot.site_image_url',
+      'sections_snapshot[0].video_url',
+      'observations_snapshot[0].image_url'
+    ])
+    expect(target.upload).toHaveBeenCalledTimes(3)
+
+    expect(updates).toHaveLength(1)
+    const { table, values } = updates[0]
+    expect(table).toBe('reports')
+    expect(values.project_snapshot).toEqual({ name: 'Main St', site_image_url: `${NEW}/images/projects/site.jpg` })
+    expect(values.sections_snapshot[0]).toEqual({
+      id: 's1',
+      video_url: `${NEW}/videos/s1.mp4`,
+      video_metadata: { duration: 90, storage_provider: 'new' }
+    })
+    expect(values.observations_snapshot).toEqual([
+      { id: 'o1', image_url: `${NEW}/images/observations/o1.jpg` },
+      { id: 'o2', image_url: null }
+    ])
+    expect(values).not.toHaveProperty('map_snapshots')
+  })
+})
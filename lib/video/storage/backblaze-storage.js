@@ -1,177 +1,143 @@
 // lib/video/storage/backblaze-storage.js
 
-import { StorageProvider, UploadResult, UploadConfig } from './storage-interface'
+import {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand
+} from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+import { StorageProviders } from './storage-interface'
+import { S3Storage } from './s3-storage'
+
+// Part ETags are the hex MD5 of the part; the browser works with base64 digests
+const etagToBase64 = (etag) => {
+  const hex = String(etag || '').replace(/"/g, '')
+  return /^[0-9a-f]{32}$/i.test(hex) ? Buffer.from(hex, 'hex').toString('base64') : null
+}
 
 /**
  * Backblaze B2 Storage Provider
  * Uses S3-compatible API for Backblaze B2
  */
-export class BackblazeB2Storage extends StorageProvider {
-  constructor(config) {
-    super(config)
-    this.bucketName = config.bucketName || process.env.BACKBLAZE_BUCKET_NAME
-    this.endpoint = config.endpoint || process.env.BACKBLAZE_ENDPOINT
-    this.keyId = config.keyId || process.env.BACKBLAZE_KEY_ID
-    this.applicationKey = config.applicationKey || process.env.BACKBLAZE_APPLICATION_KEY
-    this.publicUrl = `https://${this.bucketName}.${this.endpoint}`
+export class BackblazeB2Storage extends S3Storage {
+  constructor(config = {}) {
+    const bucketName = config.bucketName || process.env.BACKBLAZE_BUCKET_NAME
+    const endpoint = config.endpoint || process.env.BACKBLAZE_ENDPOINT
+
+    super({
+      bucketName,
+      // e.g. s3.us-west-002.backblazeb2.com
+      region: config.region || process.env.BACKBLAZE_REGION || endpoint?.split('.')[1],
+      endpoint: endpoint && `https://${endpoint}`,
+      publicUrl: config.publicUrl || `https://${bucketName}.${endpoint}`,
+      accessKeyId: config.keyId || process.env.BACKBLAZE_KEY_ID,
+      secretAccessKey: config.applicationKey || process.env.BACKBLAZE_APPLICATION_KEY,
+      // B2 rejects the x-amz-checksum-* headers the SDK would otherwise add to every request
+      clientOptions: {
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED'
+      }
+    })
+    this.provider = StorageProviders.BACKBLAZE_B2
+  }
+
+  // Without SHA-256 part checksums, parts are checked with Content-MD5, and resumes and
+  // completion compare the MD5 that B2 reports as each part's ETag
+  get partChecksumAlgorithm() {
+    return 'MD5'
   }
 
   async initialize() {
     // Validate configuration
-    if (!this.bucketName || !this.endpoint || !this.keyId || !this.applicationKey) {
+    if (!this.bucketName || !this.endpoint) {
       throw new Error('Backblaze B2 configuration incomplete')
     }
   }
 
-  /**
-   * Get presigned POST data for direct browser upload
-   * This should be called from a server action/API route
-   * @param {Object} params - Upload parameters
-   * @returns {Promise<UploadConfig>} Upload configuration
-   */
-  async getUploadConfig(params) {
-    const { fileName, contentType, contentLength, metadata = {} } = params
-    
-    // Generate a unique key for the file
-    const timestamp = Date.now()
-    const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_')
-    const key = `videos/${timestamp}-${sanitizedFileName}`
-    
-    // This data structure is what you'll need to generate on the server
-    // using AWS SDK v3 with S3 client configured for B2
-    const uploadConfig = {
-      url: `https://${this.endpoint}/${this.bucketName}`,
-      method: 'PUT',
-      headers: {
-        'Content-Type': contentType,
-        'Cache-Control': 'public, max-age=31536000',
-      },
-      // These will be generated by the server-side presigned POST
-      // We'll create the server action next
-      presignedData: null
-    }
-
-    return new UploadConfig({
-      url: uploadConfig.url,
-      method: uploadConfig.method,
-      headers: uploadConfig.headers,
-      fields: { key }, // Store key for reference
-      maxSize: 2 * 1024 * 1024 * 1024, // 2GB
-      publicUrl: `${this.publicUrl}/${key}`
-    })
+  async createMultipartUpload(path, { contentType } = {}) {
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      ContentType: contentType
+    }))
+    return UploadId
   }
 
   /**
-   * Get the public URL for a file
-   * @param {string} path - File path
-   * @returns {string} Public URL
+   * Presigned URL for one part, with the part's MD5 as a signed Content-MD5 header
+   * so B2 rejects the part if the bytes that arrive do not match it
+   * @returns {Promise<Object>} { url, headers }
    */
-  getPublicUrl(path) {
-    return `${this.publicUrl}/${path}`
+  async getPartUploadUrl(path, uploadId, { partNumber, checksum, contentLength, expiresIn }) {
+    const command = new UploadPartCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      ContentLength: contentLength,
+      ContentMD5: checksum
+    })
+
+    const url = await getSignedUrl(this.client, command, { expiresIn })
+    return { url, headers: { 'Content-MD5': checksum } }
   }
 
-  /**
-   * Parse B2 response and create upload result
-   * @param {Object} response - B2 response
-   * @param {Object} uploadConfig - Upload configuration used
-   * @returns {UploadResult} Standardized upload result
-   */
-  parseUploadResponse(response, uploadConfig) {
-    return new UploadResult({
-      url: uploadConfig.publicUrl,
-      path: uploadConfig.fields.key,
-      size: uploadConfig.headers['Content-Length'] || 0,
-      contentType: uploadConfig.headers['Content-Type'],
-      provider: 'backblaze-b2',
-      metadata: {
-        bucket: this.bucketName,
-        endpoint: this.endpoint
+  async listParts(path, uploadId) {
+    const parts = []
+    let marker
+
+    do {
+      const response = await this.client.send(new ListPartsCommand({
+        Bucket: this.bucketName,
+        Key: path,
+        UploadId: uploadId,
+        PartNumberMarker: marker
+      }))
+
+      for (const part of response.Parts || []) {
+        parts.push({
+          partNumber: part.PartNumber,
+          etag: part.ETag,
+          size: part.Size,
+          checksum: etagToBase64(part.ETag)
+        })
       }
-    })
-  }
 
-  // These methods would be implemented for server-side operations
-  // For direct browser uploads, they're not used
-  async upload(file, path, options = {}) {
-    throw new Error('Use getUploadConfig() for direct browser uploads')
-  }
+      marker = response.IsTruncated ? response.NextPartNumberMarker : undefined
+    } while (marker)
 
-  async delete(path) {
-    // This would need server-side implementation
-    throw new Error('Delete operations must be performed server-side')
+    return parts
   }
 
-  async getSignedUrl(path, expiresIn = 3600) {
-    // This would need server-side implementation
-    throw new Error('Signed URL generation must be performed server-side')
-  }
+  /**
+   * B2 reports no composite checksum; callers check the assembled size instead
+   * @returns {Promise<Object>} { checksum: null }
+   */
+  async completeMultipartUpload(path, uploadId, parts) {
+    await this.client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+      }
+    }))
 
-  async exists(path) {
-    // This would need server-side implementation
-    throw new Error('Existence checks must be performed server-side')
+    return { checksum: null }
   }
 
-  async getMetadata(path) {
-    // This would need server-side implementation
-    throw new Error('Metadata retrieval must be performed server-side')
-  }
+  /**
+   * Also accepts the friendly URLs of the native B2 API
+   * (https://f003.backblazeb2.com/file/{bucket}/{path})
+   */
+  getPathFromUrl(url) {
+    const path = super.getPathFromUrl(url)
+    if (path || typeof url !== 'string') return path
 
-  async list(prefix, options = {}) {
-    // This would need server-side implementation
-    throw new Error('Listing must be performed server-side')
+    const marker = `/file/${this.bucketName}/`
+    const index = url.indexOf(marker)
+    if (index === -1 || !/^https:\/\/[^/]+\.backblazeb2\.com$/.test(url.slice(0, index))) return null
+    return decodeURIComponent(url.slice(index + marker.length).split('?')[0])
   }
 }
-
-/**
- * Helper function to upload directly to B2 from browser using PUT
- * @param {File} file - File to upload
- * @param {Object} uploadData - Upload data from server (with presigned URL)
- * @param {Function} onProgress - Progress callback
- * @returns {Promise<Object>} Upload result
- */
-export async function uploadToB2(file, uploadData, onProgress) {
-  // Use XMLHttpRequest for progress tracking
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest()
-    
-    xhr.upload.addEventListener('progress', (e) => {
-      if (e.lengthComputable && onProgress) {
-        const percentComplete = (e.loaded / e.total) * 100
-        onProgress(percentComplete)
-      }
-    })
-    
-    xhr.addEventListener('load', () => {
-      if (xhr.status === 200 || xhr.status === 201 || xhr.status === 204) {
-        resolve({
-          success: true,
-          url: uploadData.publicUrl
-        })
-      } else {
-        console.error('Upload failed with status:', xhr.status, xhr.responseText)
-        reject(new Error(`Upload failed with status ${xhr.status}`))
-      }
-    })
-    
-    xhr.addEventListener('error', () => {
-      console.error('Upload error:', xhr.statusText)
-      reject(new Error('Upload failed'))
-    })
-    
-    // Use PUT method with the presigned URL
-    xhr.open(uploadData.method || 'PUT', uploadData.url)
-    
-    // Set headers if provided
-    if (uploadData.headers) {
-      Object.entries(uploadData.headers).forEach(([key, value]) => {
-        // Skip Content-Length header - browser sets it automatically
-        if (key.toLowerCase() !== 'content-length') {
-          xhr.setRequestHeader(key, value)
-        }
-      })
-    }
-    
-    // Send the file directly (not as FormData for PUT)
-    xhr.send(file)
-  })
-}
\ No newline at end of file
@@ -0,0 +1,129 @@
+// lib/video/storage/browser-upload.js
+
+/**
+ * Browser Upload Helpers
+ * Send files straight to the configured storage provider using the upload
+ * URLs handed out by the server actions, whichever provider is behind them.
+ */
+
+import { supabase } from '@/lib/supabase'
+import { getMediaUploadUrl, deleteMediaAction } from '@/lib/actions/media-upload'
+
+/**
+ * Upload a file to a presigned URL from the server, using PUT
+ * @param {File} file - File to upload
+ * @param {Object} uploadData - Upload data from server ({ url, method, headers, publicUrl })
+ * @param {Function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Abort to cancel the upload
+ * @returns {Promise<Object>} Upload result
+ */
+export async function uploadToStorage(file, uploadData, onProgress, signal) {
+  // Use XMLHttpRequest for progress tracking
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    const handleAbort = () => xhr.abort()
+    signal?.addEventListener('abort', handleAbort)
+
+    const finish = (callback) => {
+      signal?.removeEventListener('abort', handleAbort)
+      callback()
+    }
+
+    xhr.upload.addEventListener('progress', (e) => {
+      if (e.lengthComputable && onProgress) {
+        const percentComplete = (e.loaded / e.total) * 100
+        onProgress(percentComplete)
+      }
+    })
+
+    xhr.addEventListener('load', () => finish(() => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve({
+          success: true,
+          url: uploadData.publicUrl
+        })
+      } else {
+        console.error('Upload failed with status:', xhr.status, xhr.responseText)
+        reject(new Error(`Upload failed with status ${xhr.status}`))
+      }
+    }))
+
+    xhr.addEventListener('error', () => finish(() => {
+      console.error('Upload error:', xhr.statusText)
+      reject(new Error('Upload failed'))
+    }))
+
+    xhr.addEventListener('abort', () => finish(() => {
+      const error = new Error('Upload cancelled')
+      error.name = 'AbortError'
+      reject(error)
+    }))
+
+    xhr.open(uploadData.method || 'PUT', uploadData.url)
+
+    // Set headers if provided
+    if (uploadData.headers) {
+      Object.entries(uploadData.headers).forEach(([key, value]) => {
+        // Skip Content-Length header - browser sets it automatically
+        if (key.toLowerCase() !== 'content-length') {
+          xhr.setRequestHeader(key, value)
+        }
+      })
+    }
+
+    // Send the file directly (not as FormData for PUT)
+    xhr.send(file)
+  })
+}
+
+// The server actions check the session themselves, so they are sent its access token
+async function getAccessToken() {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) throw new Error('User not authenticated')
+  return session.access_token
+}
+
+/**
+ * Upload an image or document
+ * @param {File} file
+ * @param {Object} options
+ * @param {string} options.kind - Media kind, e.g. 'observation-image' or 'company-logo' (see lib/actions/media-upload.js)
+ * @param {string} options.ownerId - What the file belongs to, e.g. the observation or project ID
+ * @param {Function} options.onProgress - Called with 0-100
+ * @returns {Promise<string>} Public URL of the uploaded file
+ */
+export async function uploadMedia(file, { kind, ownerId, onProgress } = {}) {
+  const accessToken = await getAccessToken()
+
+  const result = await getMediaUploadUrl({
+    accessToken,
+    kind,
+    ownerId,
+    fileName: file.name,
+    contentType: file.type || 'application/octet-stream',
+    contentLength: file.size
+  })
+
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to get upload URL')
+  }
+
+  await uploadToStorage(file, result.uploadData, onProgress)
+  return result.uploadData.publicUrl
+}
+
+/**
+ * Delete a file uploaded with uploadMedia (or by the older Supabase uploads)
+ * @param {string} url - Public URL as saved in the database
+ * @returns {Promise<boolean>} Whether a file was deleted
+ */
+export async function deleteMedia(url) {
+  if (!url) return false
+
+  const accessToken = await getAccessToken()
+  const result = await deleteMediaAction({ accessToken, url })
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to delete file')
+  }
+  return result.deleted
+}
@@ -0,0 +1,229 @@
+// lib/video/storage/local-storage.js
+
+import crypto from 'crypto'
+import fs from 'fs'
+import nodePath from 'path'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { StorageProvider, StorageProviders, UploadResult, UploadConfig } from './storage-interface'
+
+// Served by app/api/storage/local/[...path]/route.js
+const DEFAULT_BASE_URL = '/api/storage/local'
+
+const UPLOAD_URL_EXPIRY = 3600
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.vtt': 'text/vtt',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf'
+}
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/')
+
+/**
+ * Local Filesystem Storage Provider
+ * Keeps objects under STORAGE_LOCAL_DIR for development and tests. Uploads are
+ * PUT to the app itself with an HMAC token (signed with STORAGE_LOCAL_SECRET)
+ * standing in for a presigned URL.
+ */
+export class LocalDiskStorage extends StorageProvider {
+  constructor(config = {}) {
+    super(config)
+    this.provider = StorageProviders.LOCAL
+    this.rootDir = nodePath.resolve(config.rootDir || process.env.STORAGE_LOCAL_DIR || '.storage')
+    this.baseUrl = (config.baseUrl || process.env.STORAGE_LOCAL_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '')
+    this.secret = config.secret || process.env.STORAGE_LOCAL_SECRET
+  }
+
+  async initialize() {
+    if (!this.secret) {
+      throw new Error('STORAGE_LOCAL_SECRET must be set to accept local uploads')
+    }
+    await fs.promises.mkdir(this.rootDir, { recursive: true })
+  }
+
+  /**
+   * Absolute file path, refusing anything that would escape the storage directory
+   */
+  resolve(path) {
+    const filePath = nodePath.resolve(this.rootDir, path)
+    if (!path || !filePath.startsWith(this.rootDir + nodePath.sep)) {
+      throw new Error('Invalid storage path')
+    }
+    return filePath
+  }
+
+  getContentType(path) {
+    return CONTENT_TYPES[nodePath.extname(path).toLowerCase()] || 'application/octet-stream'
+  }
+
+  signUpload(path, expires, maxSize) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${path}\n${expires}\n${maxSize || ''}`)
+      .digest('hex')
+  }
+
+  /**
+   * Check the token on an upload request
+   * @param {string} path - Storage path being written
+   * @param {URLSearchParams} params - expires, maxSize and token from the upload URL
+   * @returns {Object|null} { maxSize } when the upload is allowed
+   */
+  verifyUploadToken(path, params) {
+    if (!this.secret) return null
+
+    const expires = Number(params.get('expires'))
+    const maxSize = params.get('maxSize') ? Number(params.get('maxSize')) : null
+    const token = params.get('token') || ''
+    if (!expires || expires < Date.now()) return null
+
+    const expected = Buffer.from(this.signUpload(path, expires, maxSize))
+    const received = Buffer.from(token)
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null
+
+    return { maxSize }
+  }
+
+  async getUploadConfig({ path, contentType, maxSize }) {
+    await this.initialize()
+    this.resolve(path)
+
+    const expires = Date.now() + UPLOAD_URL_EXPIRY * 1000
+    const query = new URLSearchParams({
+      expires: String(expires),
+      ...(maxSize ? { maxSize: String(maxSize) } : {}),
+      token: this.signUpload(path, expires, maxSize)
+    })
+
+    return new UploadConfig({
+      url: `${this.getPublicUrl(path)}?${query}`,
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      maxSize,
+      expires: new Date(expires).toISOString(),
+      path,
+      publicUrl: this.getPublicUrl(path)
+    })
+  }
+
+  /**
+   * @param {Buffer|Readable} file
+   */
+  async upload(file, path, options = {}) {
+    const filePath = this.resolve(path)
+    await fs.promises.mkdir(nodePath.dirname(filePath), { recursive: true })
+
+    // Write beside the target and rename, so readers never see a partial file
+    const partialPath = `${filePath}.${crypto.randomUUID()}.partial`
+    try {
+      await pipeline(Buffer.isBuffer(file) ? Readable.from([file]) : file, fs.createWriteStream(partialPath))
+      await fs.promises.rename(partialPath, filePath)
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true })
+      throw error
+    }
+
+    const { size } = await fs.promises.stat(filePath)
+    return new UploadResult({
+      url: this.getPublicUrl(path),
+      path,
+      size,
+      contentType: options.contentType || this.getContentType(path),
+      provider: this.provider,
+      metadata: { rootDir: this.rootDir }
+    })
+  }
+
+  /**
+   * @param {Object} options - { start, end } byte range, inclusive
+   */
+  async download(path, options = {}) {
+    const filePath = this.resolve(path)
+    const { size } = await fs.promises.stat(filePath)
+
+    return {
+      body: fs.createReadStream(filePath, options),
+      contentType: this.getContentType(path),
+      size
+    }
+  }
+
+  async delete(path) {
+    await fs.promises.rm(this.resolve(path), { force: true })
+    return true
+  }
+
+  // Local files are served publicly by the app
+  async getSignedUrl(path) {
+    return this.getPublicUrl(path)
+  }
+
+  async exists(path) {
+    try {
+      return (await fs.promises.stat(this.resolve(path))).isFile()
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw error
+    }
+  }
+
+  async getMetadata(path) {
+    const stats = await fs.promises.stat(this.resolve(path))
+    return {
+      path,
+      size: stats.size,
+      contentType: this.getContentType(path),
+      lastModified: stats.mtime.toISOString()
+    }
+  }
+
+  async list(prefix, options = {}) {
+    let entries
+    try {
+      entries = await fs.promises.readdir(this.rootDir, { recursive: true, withFileTypes: true })
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const files = []
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.endsWith('.partial')) continue
+
+      const filePath = nodePath.join(entry.parentPath || entry.path, entry.name)
+      const path = nodePath.relative(this.rootDir, filePath).split(nodePath.sep).join('/')
+      if (!path.startsWith(prefix)) continue
+
+      const stats = await fs.promises.stat(filePath)
+      files.push({ path, size: stats.size, lastModified: stats.mtime.toISOString() })
+      if (options.limit && files.length >= options.limit) break
+    }
+    return files
+  }
+
+  getPublicUrl(path) {
+    return `${this.baseUrl}/${encodePath(path)}`
+  }
+
+  getPathFromUrl(url) {
+    if (typeof url !== 'string') return null
+
+    // A relative base URL matches on any host the app is served from
+    const pathname = this.baseUrl.startsWith('/') ? new URL(url, 'http://localhost').pathname : url.split('?')[0]
+    if (!pathname.startsWith(`${this.baseUrl}/`)) return null
+    return decodeURIComponent(pathname.slice(this.baseUrl.length + 1))
+  }
+}
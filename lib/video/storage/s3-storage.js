@@ -0,0 +1,314 @@
+// lib/video/storage/s3-storage.js
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+import { StorageProvider, StorageProviders, UploadResult, UploadConfig } from './storage-interface'
+
+// Direct uploads must start within this many seconds
+const UPLOAD_URL_EXPIRY = 3600
+
+/**
+ * AWS S3 Storage Provider
+ * Also serves any S3-compatible service (MinIO, Backblaze B2) given an endpoint
+ */
+export class S3Storage extends StorageProvider {
+  constructor(config = {}) {
+    super(config)
+    this.provider = StorageProviders.AWS_S3
+    this.bucketName = config.bucketName || process.env.AWS_S3_OUTPUT_BUCKET
+    this.region = config.region || process.env.AWS_REGION || 'eu-west-2'
+    this.endpoint = config.endpoint || process.env.AWS_S3_ENDPOINT
+    // Set AWS_S3_PUBLIC_URL when objects are served through a CDN or a custom endpoint
+    this.publicUrl = (config.publicUrl || process.env.AWS_S3_PUBLIC_URL ||
+      `https://${this.bucketName}.s3.${this.region}.amazonaws.com`).replace(/\/$/, '')
+
+    this.client = new S3Client({
+      region: this.region,
+      ...(this.endpoint ? { endpoint: this.endpoint, forcePathStyle: true } : {}),
+      credentials: {
+        accessKeyId: config.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+      },
+      ...config.clientOptions
+    })
+  }
+
+  get supportsMultipart() {
+    return true
+  }
+
+  async initialize() {
+    if (!this.bucketName) {
+      throw new Error('S3 bucket not configured')
+    }
+  }
+
+  // Canned ACLs are only passed where the service honours them
+  getAclParams(acl) {
+    return acl && !this.endpoint ? { ACL: acl } : {}
+  }
+
+  /**
+   * Presigned PUT for direct browser upload
+   * @returns {Promise<UploadConfig>}
+   */
+  async getUploadConfig({ path, contentType, maxSize, acl }) {
+    const command = new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      ContentType: contentType,
+      ...this.getAclParams(acl)
+    })
+
+    const url = await getSignedUrl(this.client, command, { expiresIn: UPLOAD_URL_EXPIRY })
+
+    return new UploadConfig({
+      url,
+      method: 'PUT',
+      headers: {
+        'Content-Type': contentType,
+        // Don't include Content-Length in headers - browser will set it
+      },
+      maxSize,
+      expires: new Date(Date.now() + UPLOAD_URL_EXPIRY * 1000).toISOString(),
+      path,
+      publicUrl: this.getPublicUrl(path)
+    })
+  }
+
+  /**
+   * @param {Buffer|Readable} file - Streams need options.contentLength
+   */
+  async upload(file, path, options = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      Body: file,
+      ContentType: options.contentType,
+      ContentLength: options.contentLength,
+      ...this.getAclParams(options.acl)
+    }))
+
+    return new UploadResult({
+      url: this.getPublicUrl(path),
+      path,
+      size: options.contentLength ?? file.length,
+      contentType: options.contentType,
+      provider: this.provider,
+      metadata: { bucket: this.bucketName }
+    })
+  }
+
+  async download(path) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: path
+    }))
+
+    return {
+      body: response.Body,
+      contentType: response.ContentType,
+      size: response.ContentLength
+    }
+  }
+
+  async delete(path) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: path
+    }))
+    return true
+  }
+
+  async getSignedUrl(path, expiresIn = 3600) {
+    const command = new GetObjectCommand({ Bucket: this.bucketName, Key: path })
+    return getSignedUrl(this.client, command, { expiresIn })
+  }
+
+  async exists(path) {
+    try {
+      await this.getMetadata(path)
+      return true
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false
+      throw error
+    }
+  }
+
+  async getMetadata(path) {
+    const head = await this.client.send(new HeadObjectCommand({
+      Bucket: this.bucketName,
+      Key: path
+    }))
+
+    return {
+      path,
+      size: head.ContentLength,
+      contentType: head.ContentType,
+      lastModified: head.LastModified?.toISOString() || null,
+      checksum: head.ChecksumSHA256 || null
+    }
+  }
+
+  async list(prefix, options = {}) {
+    const files = []
+    let token
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: token,
+        MaxKeys: options.limit ? Math.min(1000, options.limit - files.length) : undefined
+      }))
+
+      for (const object of response.Contents || []) {
+        files.push({
+          path: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified?.toISOString() || null
+        })
+      }
+
+      token = response.IsTruncated ? response.NextContinuationToken : undefined
+    } while (token && !(options.limit && files.length >= options.limit))
+
+    return files
+  }
+
+  getPublicUrl(path) {
+    return `${this.publicUrl}/${path}`
+  }
+
+  getPathFromUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith(`${this.publicUrl}/`)) return null
+    return decodeURIComponent(url.slice(this.publicUrl.length + 1).split('?')[0])
+  }
+
+  // Multipart uploads - the browser sends each part to a presigned URL
+
+  /**
+   * Digest the browser sends with each part: 'SHA256' (x-amz-checksum-sha256) or 'MD5' (Content-MD5)
+   * @type {string}
+   */
+  get partChecksumAlgorithm() {
+    return 'SHA256'
+  }
+
+  /**
+   * @returns {Promise<string>} Upload ID
+   */
+  async createMultipartUpload(path, { contentType, acl } = {}) {
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      ContentType: contentType,
+      ChecksumAlgorithm: 'SHA256',
+      ...this.getAclParams(acl)
+    }))
+    return UploadId
+  }
+
+  /**
+   * Presigned URL for one part. The part's SHA-256 is signed into the URL, so
+   * the service rejects the part if the bytes that arrive do not match it.
+   * @returns {Promise<Object>} { url, headers }
+   */
+  async getPartUploadUrl(path, uploadId, { partNumber, checksum, contentLength, expiresIn }) {
+    const command = new UploadPartCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      ContentLength: contentLength,
+      ChecksumAlgorithm: 'SHA256',
+      ChecksumSHA256: checksum
+    })
+
+    const url = await getSignedUrl(this.client, command, {
+      expiresIn,
+      // Keep the checksum as a signed header (not a query parameter) so S3 verifies the body against it
+      unhoistableHeaders: new Set(['x-amz-checksum-sha256', 'x-amz-sdk-checksum-algorithm'])
+    })
+
+    return {
+      url,
+      headers: {
+        'x-amz-checksum-sha256': checksum,
+        'x-amz-sdk-checksum-algorithm': 'SHA256'
+      }
+    }
+  }
+
+  /**
+   * Parts already stored; throws an error named NoSuchUpload once the upload is gone
+   * @returns {Promise<Array>} [{ partNumber, etag, size, checksum }]
+   */
+  async listParts(path, uploadId) {
+    const parts = []
+    let marker
+
+    do {
+      const response = await this.client.send(new ListPartsCommand({
+        Bucket: this.bucketName,
+        Key: path,
+        UploadId: uploadId,
+        PartNumberMarker: marker
+      }))
+
+      for (const part of response.Parts || []) {
+        parts.push({
+          partNumber: part.PartNumber,
+          etag: part.ETag,
+          size: part.Size,
+          checksum: part.ChecksumSHA256 || null
+        })
+      }
+
+      marker = response.IsTruncated ? response.NextPartNumberMarker : undefined
+    } while (marker)
+
+    return parts
+  }
+
+  /**
+   * @param {Array} parts - [{ partNumber, etag, checksum }] in part order
+   * @returns {Promise<Object>} { checksum } - composite checksum reported by the service
+   */
+  async completeMultipartUpload(path, uploadId, parts) {
+    const response = await this.client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(part => ({
+          PartNumber: part.partNumber,
+          ETag: part.etag,
+          ChecksumSHA256: part.checksum
+        }))
+      }
+    }))
+
+    return { checksum: response.ChecksumSHA256 || null }
+  }
+
+  async abortMultipartUpload(path, uploadId) {
+    await this.client.send(new AbortMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: path,
+      UploadId: uploadId
+    }))
+  }
+}
@@ -0,0 +1,69 @@
+// lib/video/storage/storage-factory.js
+
+import { StorageProviders } from './storage-interface'
+import { S3Storage } from './s3-storage'
+import { BackblazeB2Storage } from './backblaze-storage'
+import { SupabaseStorage, LEGACY_SUPABASE_BUCKETS } from './supabase-storage'
+import { LocalDiskStorage } from './local-storage'
+
+const PROVIDERS = {
+  [StorageProviders.AWS_S3]: S3Storage,
+  [StorageProviders.BACKBLAZE_B2]: BackblazeB2Storage,
+  [StorageProviders.SUPABASE]: SupabaseStorage,
+  [StorageProviders.LOCAL]: LocalDiskStorage
+}
+
+/**
+ * Storage provider configured for this deployment
+ * STORAGE_PROVIDER=local keeps media on disk (development and test environments)
+ * @returns {string} One of StorageProviders
+ */
+export function getDefaultStorageType() {
+  const type = process.env.STORAGE_PROVIDER || StorageProviders.AWS_S3
+  return PROVIDERS[type] ? type : StorageProviders.AWS_S3
+}
+
+/**
+ * Get a storage provider instance (server-side only - providers hold credentials)
+ * @param {string} type - One of StorageProviders; defaults to the configured provider
+ * @param {Object} config - Provider-specific configuration, e.g. { bucketName }
+ * @returns {StorageProvider}
+ */
+export function getStorage(type = getDefaultStorageType(), config = {}) {
+  const StorageClass = PROVIDERS[type]
+  if (!StorageClass) {
+    throw new Error(`Unknown storage provider: ${type}`)
+  }
+  return new StorageClass(config)
+}
+
+/**
+ * Every place media URLs saved in the database may point, the configured provider first
+ * @returns {Array<StorageProvider>}
+ */
+export function getKnownStorages() {
+  const defaultType = getDefaultStorageType()
+  const storages = [
+    getStorage(defaultType),
+    ...Object.keys(PROVIDERS).filter(type => type !== defaultType).map(type => getStorage(type))
+  ]
+
+  LEGACY_SUPABASE_BUCKETS.forEach(bucketName => {
+    storages.push(getStorage(StorageProviders.SUPABASE, { bucketName }))
+  })
+
+  return storages
+}
+
+/**
+ * Find the provider and path behind a stored media URL
+ * @param {string} url
+ * @returns {Object|null} { storage, path }
+ */
+export function getStorageForUrl(url) {
+  for (const storage of getKnownStorages()) {
+    const path = storage.getPathFromUrl(url)
+    if (path) return { storage, path }
+  }
+  return null
+}
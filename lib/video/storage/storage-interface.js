@@ -18,14 +18,23 @@ export class StorageProvider {
     throw new Error('initialize() must be implemented by storage provider')
   }
 
+  /**
+   * Whether resumable multipart uploads (lib/actions/multipart-upload.js) are supported
+   * @type {boolean}
+   */
+  get supportsMultipart() {
+    return false
+  }
+
   /**
    * Get upload URL and any required headers/data for direct browser upload
    * @param {Object} params - Upload parameters
-   * @param {string} params.fileName - Name of the file
+   * @param {string} params.path - Storage path the file will be written to
    * @param {string} params.contentType - MIME type of the file
    * @param {number} params.contentLength - Size of the file in bytes
-   * @param {Object} params.metadata - Additional metadata
-   * @returns {Promise<Object>} Upload configuration
+   * @param {number} params.maxSize - Largest file the upload may write
+   * @param {string} params.acl - Canned ACL, for providers that support them
+   * @returns {Promise<UploadConfig>} Upload configuration
    */
   async getUploadConfig(params) {
     throw new Error('getUploadConfig() must be implemented by storage provider')
@@ -42,6 +51,15 @@ export class StorageProvider {
     throw new Error('upload() must be implemented by storage provider')
   }
 
+  /**
+   * Read a file (server-side)
+   * @param {string} path - File path
+   * @returns {Promise<Object>} { body: Readable, contentType, size }
+   */
+  async download(path) {
+    throw new Error('download() must be implemented by storage provider')
+  }
+
   /**
    * Delete a file
    * @param {string} path - File path to delete
@@ -88,6 +106,24 @@ export class StorageProvider {
   async list(prefix, options = {}) {
     throw new Error('list() must be implemented by storage provider')
   }
+
+  /**
+   * Public URL for a file
+   * @param {string} path - File path
+   * @returns {string} URL
+   */
+  getPublicUrl(path) {
+    throw new Error('getPublicUrl() must be implemented by storage provider')
+  }
+
+  /**
+   * Storage path for one of this provider's public URLs
+   * @param {string} url - URL as saved in the database
+   * @returns {string|null} Path, or null when the URL belongs elsewhere
+   */
+  getPathFromUrl(url) {
+    throw new Error('getPathFromUrl() must be implemented by storage provider')
+  }
 }
 
 /**
@@ -96,7 +132,8 @@ export class StorageProvider {
 export const StorageProviders = {
   SUPABASE: 'supabase',
   BACKBLAZE_B2: 'backblaze-b2',
-  AWS_S3: 'aws-s3'
+  AWS_S3: 'aws-s3',
+  LOCAL: 'local'
 }
 
 /**
@@ -132,7 +169,9 @@ export class UploadConfig {
     fields = {},
     maxSize,
     expires,
-    conditions = []
+    conditions = [],
+    path,
+    publicUrl
   }) {
     this.url = url
     this.method = method
@@ -141,5 +180,7 @@ export class UploadConfig {
     this.maxSize = maxSize
     this.expires = expires
     this.conditions = conditions
+    this.path = path
+    this.publicUrl = publicUrl
   }
 }
\ No newline at end of file
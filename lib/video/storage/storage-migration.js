@@ -0,0 +1,202 @@
+// lib/video/storage/storage-migration.js
+
+/**
+ * Storage Migration Module
+ * Copies media from one storage provider to another and points the URLs saved
+ * in the database at the copies - including the URLs frozen into report
+ * snapshots, which the report pages, PDFs and share links still load. Objects
+ * keep their paths, so a migration that stops part way can simply be run
+ * again - files already copied are not sent twice. Source objects are left in
+ * place until someone deletes them.
+ *
+ * Transcoder outputs (the transcoded MP4, its HLS ladder and seek thumbnails)
+ * stay where the transcoder wrote them.
+ */
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+
+/**
+ * Every database column holding a media URL
+ * metadataColumn - JSON column recording transcoder outputs for the row's video
+ * jsonColumns - JSON columns holding an object, or an array of objects, with media URLs under `keys`;
+ *   metadataKey names each object's transcoder metadata
+ */
+export const MEDIA_URL_COLUMNS = [
+  { table: 'sections', columns: ['video_url'], metadataColumn: 'video_metadata' },
+  { table: 'video_pool', columns: ['video_url'], metadataColumn: 'metadata' },
+  { table: 'observations', columns: ['image_url'] },
+  { table: 'observation_drafts', columns: ['image_url'] },
+  { table: 'project_maps', columns: ['background_image_url', 'reference_image_url'] },
+  { table: 'projects', columns: ['site_image_url', 'client_image_url'] },
+  { table: 'companies', columns: ['logo_url', 'document_url'] },
+  { table: 'report_branding_profiles', columns: ['logo_url'] },
+  {
+    table: 'reports',
+    columns: [],
+    jsonColumns: [
+      { column: 'project_snapshot', keys: ['site_image_url', 'client_image_url'] },
+      { column: 'sections_snapshot', keys: ['video_url'], metadataKey: 'video_metadata' },
+      { column: 'observations_snapshot', keys: ['image_url'] },
+      { column: 'maps_snapshot', keys: ['background_image_url', 'reference_image_url'] },
+      // Captured map images are usually data: URLs, which no provider claims
+      { column: 'map_snapshots', keys: ['imageUrl'] }
+    ]
+  }
+]
+
+export const DEFAULT_MIGRATION_BATCH_SIZE = 50
+
+const isTranscoderOutput = (url, metadata) => Boolean(metadata?.transcoded_url) && metadata.transcoded_url === url
+
+async function loadRows({ table, columns, metadataColumn, jsonColumns = [] }, afterId, limit) {
+  const urlColumns = [...columns, ...jsonColumns.map(({ column }) => column)]
+
+  let query = supabaseAdmin
+    .from(table)
+    .select(['id', ...urlColumns, ...(metadataColumn ? [metadataColumn] : [])].join(', '))
+    .or(urlColumns.map(column => `${column}.not.is.null`).join(','))
+    .order('id', { ascending: true })
+    .limit(limit)
+
+  if (afterId) {
+    query = query.gt('id', afterId)
+  }
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Copy one object unless the target already holds it
+ * @returns {Promise<number>} Bytes copied
+ */
+async function copyObject(source, target, path) {
+  if (await target.exists(path)) return 0
+
+  const { body, contentType, size } = await source.download(path)
+  await target.upload(body, path, { contentType, contentLength: size })
+  return size || 0
+}
+
+/**
+ * Migrate the next batch of rows
+ * @param {Object} params
+ * @param {StorageProvider} params.source - Provider the media is moving from
+ * @param {StorageProvider} params.target - Provider the media is moving to
+ * @param {Object} params.cursor - From the previous batch; omit to start at the beginning
+ * @param {number} params.limit - Rows to look at in this batch
+ * @param {boolean} params.dryRun - Report what would move without copying or changing anything
+ * @returns {Promise<Object>} { done, cursor, scanned, bytes, moved: [{ table, id, column, path }], failed: [...] }
+ */
+export async function migrateStorageBatch({
+  source,
+  target,
+  cursor,
+  limit = DEFAULT_MIGRATION_BATCH_SIZE,
+  dryRun = false
+}) {
+  const result = { done: false, cursor: null, scanned: 0, bytes: 0, moved: [], failed: [] }
+  let tableIndex = cursor?.tableIndex || 0
+  let afterId = cursor?.afterId || null
+
+  while (tableIndex < MEDIA_URL_COLUMNS.length && result.scanned < limit) {
+    const entry = MEDIA_URL_COLUMNS[tableIndex]
+    const requested = limit - result.scanned
+    const rows = await loadRows(entry, afterId, requested)
+
+    for (const row of rows) {
+      result.scanned++
+      afterId = row.id
+
+      const metadata = entry.metadataColumn ? row[entry.metadataColumn] : null
+      const updates = {}
+      const moved = []
+
+      // Copy one object and return its new URL, or null when it stays where it is
+      const migrateUrl = async (url, urlMetadata, column) => {
+        const path = url && source.getPathFromUrl(url)
+        if (!path || isTranscoderOutput(url, urlMetadata)) return null
+
+        try {
+          if (!dryRun) {
+            result.bytes += await copyObject(source, target, path)
+          }
+          moved.push({ table: entry.table, id: row.id, column, path })
+          return target.getPublicUrl(path)
+        } catch (error) {
+          console.error(`Error copying ${path}:`, error)
+          result.failed.push({ table: entry.table, id: row.id, column, path, error: error.message })
+          return null
+        }
+      }
+
+      for (const column of entry.columns) {
+        const url = await migrateUrl(row[column], metadata, column)
+        if (url) updates[column] = url
+      }
+
+      for (const { column, keys, metadataKey } of entry.jsonColumns || []) {
+        const value = row[column]
+        if (!value || typeof value !== 'object') continue
+
+        const items = Array.isArray(value) ? value : [value]
+        let changed = false
+        const migrated = []
+
+        for (const [index, item] of items.entries()) {
+          if (!item || typeof item !== 'object') {
+            migrated.push(item)
+            continue
+          }
+
+          const copy = { ...item }
+          for (const key of keys) {
+            const label = Array.isArray(value) ? `${column}[${index}].${key}` : `${column}.${key}`
+            const url = await migrateUrl(item[key], metadataKey ? item[metadataKey] : null, label)
+            if (!url) continue
+
+            copy[key] = url
+            if (metadataKey && item[metadataKey]) {
+              copy[metadataKey] = { ...item[metadataKey], storage_provider: target.provider }
+            }
+            changed = true
+          }
+          migrated.push(copy)
+        }
+
+        if (changed) updates[column] = Array.isArray(value) ? migrated : migrated[0]
+      }
+
+      if (moved.length === 0) continue
+
+      if (!dryRun) {
+        if (entry.table === 'sections' && updates.video_url) {
+          updates.video_metadata = { ...metadata, storage_provider: target.provider }
+        }
+
+        const { error } = await supabaseAdmin
+          .from(entry.table)
+          .update(updates)
+          .eq('id', row.id)
+
+        if (error) {
+          console.error(`Error updating ${entry.table} ${row.id}:`, error)
+          moved.forEach(item => result.failed.push({ ...item, error: error.message }))
+          continue
+        }
+      }
+
+      result.moved.push(...moved)
+    }
+
+    if (rows.length < requested) {
+      tableIndex++
+      afterId = null
+    }
+  }
+
+  result.done = tableIndex >= MEDIA_URL_COLUMNS.length
+  result.cursor = result.done ? null : { tableIndex, afterId, table: MEDIA_URL_COLUMNS[tableIndex].table }
+  return result
+}
@@ -0,0 +1,175 @@
+// lib/video/storage/supabase-storage.js
+
+import { Readable } from 'stream'
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { StorageProvider, StorageProviders, UploadResult, UploadConfig } from './storage-interface'
+
+const DEFAULT_BUCKET = 'media'
+
+// Buckets the app wrote to before uploads went through a storage provider
+export const LEGACY_SUPABASE_BUCKETS = ['images', 'videos']
+
+async function toBuffer(file) {
+  if (Buffer.isBuffer(file)) return file
+
+  const chunks = []
+  for await (const chunk of file) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Supabase Storage Provider
+ * Objects live in one public bucket (SUPABASE_STORAGE_BUCKET, "media" by default)
+ */
+export class SupabaseStorage extends StorageProvider {
+  constructor(config = {}) {
+    super(config)
+    this.provider = StorageProviders.SUPABASE
+    this.bucketName = config.bucketName || process.env.SUPABASE_STORAGE_BUCKET || DEFAULT_BUCKET
+    this.publicUrl = `${process.env.NEXT_PUBLIC_SUPABASE_URL}/storage/v1/object/public/${this.bucketName}`
+  }
+
+  get bucket() {
+    return supabaseAdmin.storage.from(this.bucketName)
+  }
+
+  async initialize() {
+    if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error('Supabase storage configuration incomplete')
+    }
+  }
+
+  /**
+   * Signed upload URL; the browser PUTs the file to it
+   * @returns {Promise<UploadConfig>}
+   */
+  async getUploadConfig({ path, contentType, maxSize }) {
+    const { data, error } = await this.bucket.createSignedUploadUrl(path)
+    if (error) throw error
+
+    return new UploadConfig({
+      url: data.signedUrl,
+      method: 'PUT',
+      headers: {
+        'Content-Type': contentType,
+        'x-upsert': 'false'
+      },
+      maxSize,
+      // Supabase signed upload URLs last two hours
+      expires: new Date(Date.now() + 2 * 3600 * 1000).toISOString(),
+      path,
+      publicUrl: this.getPublicUrl(path)
+    })
+  }
+
+  /**
+   * Streams are buffered - standard Supabase uploads are capped at 50MB anyway
+   * @param {Buffer|Readable} file
+   */
+  async upload(file, path, options = {}) {
+    const body = await toBuffer(file)
+    const { error } = await this.bucket.upload(path, body, {
+      contentType: options.contentType,
+      upsert: options.upsert ?? false
+    })
+    if (error) throw error
+
+    return new UploadResult({
+      url: this.getPublicUrl(path),
+      path,
+      size: body.length,
+      contentType: options.contentType,
+      provider: this.provider,
+      metadata: { bucket: this.bucketName }
+    })
+  }
+
+  async download(path) {
+    const { data, error } = await this.bucket.download(path)
+    if (error) throw error
+
+    return {
+      body: Readable.fromWeb(data.stream()),
+      contentType: data.type || undefined,
+      size: data.size
+    }
+  }
+
+  async delete(path) {
+    const { error } = await this.bucket.remove([path])
+    if (error) throw error
+    return true
+  }
+
+  async getSignedUrl(path, expiresIn = 3600) {
+    const { data, error } = await this.bucket.createSignedUrl(path, expiresIn)
+    if (error) throw error
+    return data.signedUrl
+  }
+
+  async exists(path) {
+    return Boolean(await this.findObject(path))
+  }
+
+  async getMetadata(path) {
+    const object = await this.findObject(path)
+    if (!object) throw new Error(`File not found: ${path}`)
+
+    return {
+      path,
+      size: object.metadata?.size,
+      contentType: object.metadata?.mimetype,
+      lastModified: object.updated_at || object.created_at || null
+    }
+  }
+
+  // Supabase has no HEAD for objects, so look the file up in its folder
+  async findObject(path) {
+    const slash = path.lastIndexOf('/')
+    const folder = slash === -1 ? '' : path.slice(0, slash)
+    const name = path.slice(slash + 1)
+
+    const { data, error } = await this.bucket.list(folder, { search: name, limit: 100 })
+    if (error) throw error
+    return data?.find(object => object.name === name) || null
+  }
+
+  /**
+   * Lists folders recursively, since Supabase lists one level at a time
+   */
+  async list(prefix, options = {}) {
+    const files = []
+    const folders = [prefix.replace(/\/$/, '')]
+
+    while (folders.length > 0 && !(options.limit && files.length >= options.limit)) {
+      const folder = folders.shift()
+      const { data, error } = await this.bucket.list(folder, { limit: 1000 })
+      if (error) throw error
+
+      for (const object of data || []) {
+        const path = folder ? `${folder}/${object.name}` : object.name
+        // Folders come back without an id
+        if (!object.id) {
+          folders.push(path)
+        } else {
+          files.push({
+            path,
+            size: object.metadata?.size,
+            lastModified: object.updated_at || null
+          })
+        }
+      }
+    }
+
+    return options.limit ? files.slice(0, options.limit) : files
+  }
+
+  getPublicUrl(path) {
+    return `${this.publicUrl}/${path}`
+  }
+
+  getPathFromUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith(`${this.publicUrl}/`)) return null
+    return decodeURIComponent(url.slice(this.publicUrl.length + 1).split('?')[0])
+  }
+}
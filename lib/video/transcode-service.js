@@ -0,0 +1,119 @@
+// lib/video/transcode-service.js
+'use server'
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { getTranscoder } from './transcoding/transcoder-factory'
+import { getTargetHeight } from './transcoding/transcoder-interface'
+
+/**
+ * Create a transcode job for a section video with the configured transcoder
+ * (AWS MediaConvert or the self-hosted ffmpeg worker)
+ * @param {Object} params - Job parameters
+ * @returns {Promise<Object>} Job creation result, including the transcoder type to pass to checkTranscodeStatus
+ */
+export async function createTranscodeJob(params) {
+  try {
+    const { 
+      inputUrl,
+      outputKey,
+      sectionId,
+      userId,
+      metadata = {}
+    } = params
+    
+    // Verify user has access to section
+    const { data: section, error: sectionError } = await supabaseAdmin
+      .from('sections')
+      .select('id, project_id, projects(user_id)')
+      .eq('id', sectionId)
+      .single()
+    
+    if (sectionError || !section) {
+      throw new Error('Section not found')
+    }
+    
+    const transcoder = getTranscoder()
+    const result = await transcoder.createJob({
+      inputUrl,
+      outputPrefix: `transcoded/${sectionId}/`,
+      outputKey,
+      targetHeight: getTargetHeight(metadata.sourceHeight),
+      metadata: {
+        ...metadata,
+        sectionId,
+        userId
+      }
+    })
+    
+    return {
+      ...result,
+      transcoder: transcoder.type
+    }
+  } catch (error) {
+    console.error('Error creating transcode job:', error)
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Check transcode job status
+ * @param {string} jobId - Job ID from createTranscodeJob
+ * @param {string} transcoderType - Transcoder the job was created with
+ * @returns {Promise<Object>} Job status; outputUrl, thumbnailUrl, hlsUrl and seekThumbnailsUrl are set once ready
+ */
+export async function checkTranscodeStatus(jobId, transcoderType) {
+  try {
+    return await getTranscoder(transcoderType || undefined).getJobStatus(jobId)
+  } catch (error) {
+    console.error('Error checking transcode status:', error)
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Update section with transcoded video URL
+ * @param {Object} params - Update parameters
+ * @returns {Promise<Object>} Update result
+ */
+export async function updateSectionWithTranscodedVideo(params) {
+  try {
+    const { sectionId, transcodedUrl, thumbnailUrl, hlsUrl, seekThumbnailsUrl, originalUrl, transcoder } = params
+    
+    // Update section to include both URLs
+    const { error: updateError } = await supabaseAdmin
+      .from('sections')
+      .update({
+        video_url: transcodedUrl, // Use transcoded as primary
+        video_metadata: {
+          original_url: originalUrl,
+          transcoded_url: transcodedUrl,
+          thumbnail_url: thumbnailUrl || null,
+          // Adaptive stream and scrub bar previews; the player falls back to video_url without them
+          hls_url: hlsUrl || null,
+          seek_thumbnails_url: seekThumbnailsUrl || null,
+          transcoded_at: new Date().toISOString(),
+          format: '720p_mp4_optimized',
+          transcoder
+        }
+      })
+      .eq('id', sectionId)
+    
+    if (updateError) {
+      throw updateError
+    }
+    
+    return { success: true }
+  } catch (error) {
+    console.error('Error updating section with transcoded video:', error)
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
@@ -0,0 +1,89 @@
+// lib/video/transcoding/ffmpeg-transcoder.js
+
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { Transcoder, TranscoderTypes, toJobStatus } from './transcoder-interface'
+
+/**
+ * Self-hosted ffmpeg Transcoder
+ * Queues jobs in the transcode_jobs table; scripts/transcode-worker.js claims them,
+ * runs ffmpeg (MP4, HLS ladder and seek thumbnail sprites) and uploads the
+ * outputs to local disk or S3-compatible storage.
+ * Output URLs are only known once the worker has finished.
+ */
+export class FfmpegTranscoder extends Transcoder {
+  constructor(config = {}) {
+    super(config)
+    this.type = TranscoderTypes.FFMPEG
+  }
+
+  async createJob(params) {
+    try {
+      const { inputUrl, outputPrefix, outputKey, targetHeight, metadata = {} } = params
+
+      const { data: job, error } = await supabaseAdmin
+        .from('transcode_jobs')
+        .insert({
+          input_url: inputUrl,
+          output_prefix: outputPrefix,
+          output_key: outputKey,
+          target_height: targetHeight,
+          metadata
+        })
+        .select('id, status')
+        .single()
+
+      if (error) throw error
+
+      console.log('ffmpeg transcode job queued:', {
+        jobId: job.id,
+        targetHeight,
+        outputKey
+      })
+
+      return {
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        outputUrl: null,
+        thumbnailUrl: null
+      }
+    } catch (error) {
+      console.error('Error queueing ffmpeg transcode job:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  async getJobStatus(jobId) {
+    try {
+      const { data: job, error } = await supabaseAdmin
+        .from('transcode_jobs')
+        .select('status, progress, error_message, output_url, thumbnail_url, hls_url, seek_thumbnails_url')
+        .eq('id', jobId)
+        .maybeSingle()
+
+      if (error) throw error
+      if (!job) {
+        throw new Error('Transcode job not found')
+      }
+
+      return toJobStatus({
+        status: job.status,
+        progress: job.progress,
+        errorMessage: job.error_message,
+        outputUrl: job.output_url,
+        thumbnailUrl: job.thumbnail_url,
+        hlsUrl: job.hls_url,
+        seekThumbnailsUrl: job.seek_thumbnails_url
+      })
+    } catch (error) {
+      console.error('Error checking ffmpeg transcode job status:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+}
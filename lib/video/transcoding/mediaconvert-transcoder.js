@@ -0,0 +1,471 @@
+// lib/video/transcoding/mediaconvert-transcoder.js
+
+import { MediaConvertClient, CreateJobCommand, GetJobCommand, DescribeEndpointsCommand } from '@aws-sdk/client-mediaconvert'
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
+import {
+  Transcoder,
+  TranscoderTypes,
+  TranscodeJobStatus,
+  toJobStatus,
+  getHlsLadder,
+  KEYFRAME_INTERVAL_SECONDS,
+  HLS_SEGMENT_SECONDS,
+  SEEK_THUMBNAIL_INTERVAL,
+  SEEK_THUMBNAIL_HEIGHT
+} from './transcoder-interface'
+import { buildThumbnailVtt, getIntervalCues } from '../seek-thumbnails'
+
+const THUMBNAIL_HEIGHT = 360
+
+// Cache the MediaConvert endpoint
+let cachedEndpoint = null
+
+/**
+ * AWS Elemental MediaConvert Transcoder
+ * Reads the input from S3 and writes the outputs to AWS_S3_OUTPUT_BUCKET
+ */
+export class MediaConvertTranscoder extends Transcoder {
+  constructor(config = {}) {
+    super(config)
+    this.type = TranscoderTypes.MEDIACONVERT
+    this.region = config.region || process.env.AWS_REGION || 'eu-west-2'
+    this.outputBucket = config.outputBucket || process.env.AWS_S3_OUTPUT_BUCKET || 'video-analysis-transcoded'
+    this.outputRegion = config.outputRegion || process.env.AWS_S3_REGION || this.region
+    this.role = config.role || process.env.AWS_MEDIACONVERT_ROLE
+    this.credentials = {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    }
+  }
+
+  /**
+   * Create MediaConvert client with account-specific endpoint
+   * MediaConvert requires account-specific endpoints
+   */
+  async getClient() {
+    if (!cachedEndpoint) {
+      try {
+        const client = new MediaConvertClient({ region: this.region, credentials: this.credentials })
+        const response = await client.send(new DescribeEndpointsCommand({}))
+        cachedEndpoint = response.Endpoints[0].Url
+      } catch (error) {
+        console.error('Error getting MediaConvert endpoint:', error)
+        throw new Error('Failed to get MediaConvert endpoint')
+      }
+    }
+
+    return new MediaConvertClient({
+      endpoint: cachedEndpoint,
+      region: this.region,
+      credentials: this.credentials
+    })
+  }
+
+  getPublicUrl(key) {
+    return `https://${this.outputBucket}.s3.${this.outputRegion}.amazonaws.com/${key}`
+  }
+
+  /**
+   * HLS output group: one rendition per ladder rung, every rendition with a
+   * keyframe on the same fixed interval so segments align across the ladder
+   */
+  getHlsOutputGroup(destination, destinationSettings, targetHeight) {
+    return {
+      Name: 'HLS Ladder',
+      OutputGroupSettings: {
+        Type: 'HLS_GROUP_SETTINGS',
+        HlsGroupSettings: {
+          Destination: destination,
+          DestinationSettings: destinationSettings,
+          SegmentLength: HLS_SEGMENT_SECONDS,
+          MinSegmentLength: 0,
+          SegmentControl: 'SEGMENTED_FILES',
+          DirectoryStructure: 'SINGLE_DIRECTORY',
+          ManifestDurationFormat: 'INTEGER',
+          OutputSelection: 'MANIFESTS_AND_SEGMENTS',
+          CodecSpecification: 'RFC_4281',
+          StreamInfResolution: 'INCLUDE',
+          ProgramDateTime: 'EXCLUDE',
+          ClientCache: 'ENABLED'
+        }
+      },
+      Outputs: getHlsLadder(targetHeight).map(rung => ({
+        NameModifier: `_${rung.height}p`,
+        ContainerSettings: {
+          Container: 'M3U8',
+          M3u8Settings: {}
+        },
+        VideoDescription: {
+          Height: rung.height,
+          ScalingBehavior: 'DEFAULT',
+          TimecodeInsertion: 'DISABLED',
+          AntiAlias: 'ENABLED',
+          CodecSettings: {
+            Codec: 'H_264',
+            H264Settings: {
+              InterlaceMode: 'PROGRESSIVE',
+              CodecProfile: 'MAIN',
+              CodecLevel: 'AUTO',
+              RateControlMode: 'QVBR',
+              QvbrSettings: {
+                QvbrQualityLevel: 7
+              },
+              MaxBitrate: rung.maxBitrate,
+              QualityTuneLevel: 'SINGLE_PASS_HQ',
+              GopSize: KEYFRAME_INTERVAL_SECONDS,
+              GopSizeUnits: 'SECONDS',
+              GopClosedCadence: 1,
+              MinIInterval: 0,
+              // Scene-cut keyframes would break the alignment between renditions
+              SceneChangeDetect: 'DISABLED',
+              NumberBFramesBetweenReferenceFrames: 2,
+              FramerateControl: 'INITIALIZE_FROM_SOURCE',
+              ParControl: 'INITIALIZE_FROM_SOURCE'
+            }
+          }
+        },
+        AudioDescriptions: [
+          {
+            AudioTypeControl: 'FOLLOW_INPUT',
+            CodecSettings: {
+              Codec: 'AAC',
+              AacSettings: {
+                Bitrate: 96000,
+                RateControlMode: 'CBR',
+                CodecProfile: 'LC',
+                CodingMode: 'CODING_MODE_2_0',
+                SampleRate: 48000
+              }
+            },
+            AudioSourceName: 'Audio Selector 1'
+          }
+        ]
+      }))
+    }
+  }
+
+  /**
+   * MediaConvert writes seek thumbnails as numbered frame captures but no
+   * track, so the track is written once the job has finished
+   */
+  async writeSeekThumbnailTrack(job) {
+    const trackUrl = job.UserMetadata?.seekThumbnailsUrl
+    const trackKey = job.UserMetadata?.seekThumbnailsKey
+    const imagePrefix = job.UserMetadata?.seekThumbnailPrefix
+    const durationMs = (job.OutputGroupDetails || [])
+      .flatMap(group => group.OutputDetails || [])
+      .find(detail => detail.DurationInMs > 0)?.DurationInMs
+
+    if (!trackKey || !imagePrefix || !durationMs) return null
+
+    const vtt = buildThumbnailVtt(getIntervalCues({
+      duration: durationMs / 1000,
+      interval: SEEK_THUMBNAIL_INTERVAL,
+      getImageUrl: index => `${imagePrefix}.${String(index).padStart(7, '0')}.jpg`
+    }))
+
+    const s3Client = new S3Client({ region: this.outputRegion, credentials: this.credentials })
+    await s3Client.send(new PutObjectCommand({
+      Bucket: this.outputBucket,
+      Key: trackKey,
+      Body: vtt,
+      ContentType: 'text/vtt',
+      ACL: 'public-read'
+    }))
+
+    return trackUrl
+  }
+
+  async createJob(params) {
+    try {
+      const { inputUrl, outputPrefix, outputKey, targetHeight, metadata = {} } = params
+
+      if (!this.role) {
+        throw new Error('AWS_MEDIACONVERT_ROLE is not set')
+      }
+
+      const client = await this.getClient()
+
+      // Naming the destination file stops MediaConvert using the input filename;
+      // each output then appends its NameModifier (and a frame number for captures)
+      const destination = `s3://${this.outputBucket}/${outputPrefix}${outputKey}`
+      const outputUrl = this.getPublicUrl(`${outputPrefix}${outputKey}-${targetHeight}p.mp4`)
+      const thumbnailUrl = this.getPublicUrl(`${outputPrefix}${outputKey}-thumb.0000000.jpg`)
+      const hlsUrl = this.getPublicUrl(`${outputPrefix}${outputKey}-hls/index.m3u8`)
+      // Frame captures are <outputKey>-tile.0000000.jpg, ... next to the track
+      const seekThumbnailsKey = `${outputPrefix}${outputKey}-seek/thumbnails.vtt`
+      const seekThumbnailsUrl = this.getPublicUrl(seekThumbnailsKey)
+
+      const destinationSettings = {
+        S3Settings: {
+          AccessControl: {
+            CannedAcl: 'PUBLIC_READ'
+          }
+        }
+      }
+
+      // MediaConvert job settings optimized for speed
+      const jobSettings = {
+        Role: this.role,
+        Settings: {
+          OutputGroups: [
+            {
+              Name: `${targetHeight}p MP4 Output`,
+              OutputGroupSettings: {
+                Type: 'FILE_GROUP_SETTINGS',
+                FileGroupSettings: {
+                  Destination: destination,
+                  DestinationSettings: destinationSettings
+                }
+              },
+              Outputs: [
+                {
+                  NameModifier: `-${targetHeight}p`,
+                  ContainerSettings: {
+                    Container: 'MP4',
+                    Mp4Settings: {
+                      CslgAtom: 'INCLUDE',
+                      FreeSpaceBox: 'EXCLUDE',
+                      MoovPlacement: 'PROGRESSIVE_DOWNLOAD'
+                    }
+                  },
+                  VideoDescription: {
+                    Height: targetHeight,
+                    ScalingBehavior: 'DEFAULT',
+                    TimecodeInsertion: 'DISABLED',
+                    AntiAlias: 'ENABLED',
+                    Sharpness: 50,
+                    CodecSettings: {
+                      Codec: 'H_264',
+                      H264Settings: {
+                        InterlaceMode: 'PROGRESSIVE',
+                        NumberReferenceFrames: 3,
+                        Syntax: 'DEFAULT',
+                        Softness: 0,
+                        GopClosedCadence: 1,
+                        GopSize: 60,
+                        Slices: 1,
+                        GopBReference: 'DISABLED',
+                        SlowPal: 'DISABLED',
+                        SpatialAdaptiveQuantization: 'ENABLED',
+                        TemporalAdaptiveQuantization: 'ENABLED',
+                        FlickerAdaptiveQuantization: 'DISABLED',
+                        EntropyEncoding: 'CABAC',
+                        FramerateControl: 'INITIALIZE_FROM_SOURCE',
+                        RateControlMode: 'QVBR',
+                        QualityTuneLevel: 'SINGLE_PASS_HQ',
+                        MaxBitrate: targetHeight >= 720 ? 3000000 : 2000000, // 3Mbps for 720p, 2Mbps for lower
+                        QvbrSettings: {
+                          QvbrQualityLevel: 5
+                        },
+                        CodecProfile: 'MAIN',
+                        Telecine: 'NONE',
+                        MinIInterval: 0,
+                        AdaptiveQuantization: 'HIGH',
+                        CodecLevel: 'AUTO',
+                        FieldEncoding: 'PAFF',
+                        SceneChangeDetect: 'ENABLED',
+                        FramerateConversionAlgorithm: 'DUPLICATE_DROP',
+                        UnregisteredSeiTimecode: 'DISABLED',
+                        GopSizeUnits: 'FRAMES',
+                        ParControl: 'INITIALIZE_FROM_SOURCE',
+                        NumberBFramesBetweenReferenceFrames: 2,
+                        RepeatPps: 'DISABLED',
+                        DynamicSubGop: 'STATIC'
+                      }
+                    }
+                  },
+                  AudioDescriptions: [
+                    {
+                      AudioTypeControl: 'FOLLOW_INPUT',
+                      CodecSettings: {
+                        Codec: 'AAC',
+                        AacSettings: {
+                          AudioDescriptionBroadcasterMix: 'NORMAL',
+                          Bitrate: 128000,
+                          RateControlMode: 'CBR',
+                          CodecProfile: 'LC',
+                          CodingMode: 'CODING_MODE_2_0',
+                          RawFormat: 'NONE',
+                          SampleRate: 48000,
+                          Specification: 'MPEG4'
+                        }
+                      },
+                      AudioSourceName: 'Audio Selector 1'
+                    }
+                  ]
+                }
+              ]
+            },
+            {
+              Name: 'Thumbnail',
+              OutputGroupSettings: {
+                Type: 'FILE_GROUP_SETTINGS',
+                FileGroupSettings: {
+                  Destination: destination,
+                  DestinationSettings: destinationSettings
+                }
+              },
+              Outputs: [
+                {
+                  NameModifier: '-thumb',
+                  ContainerSettings: {
+                    Container: 'RAW'
+                  },
+                  VideoDescription: {
+                    Height: Math.min(THUMBNAIL_HEIGHT, targetHeight),
+                    ScalingBehavior: 'DEFAULT',
+                    CodecSettings: {
+                      Codec: 'FRAME_CAPTURE',
+                      FrameCaptureSettings: {
+                        // A single capture of the opening frame
+                        FramerateNumerator: 1,
+                        FramerateDenominator: 5,
+                        MaxCaptures: 1,
+                        Quality: 80
+                      }
+                    }
+                  }
+                }
+              ]
+            },
+            this.getHlsOutputGroup(
+              `s3://${this.outputBucket}/${outputPrefix}${outputKey}-hls/index`,
+              destinationSettings,
+              targetHeight
+            ),
+            {
+              Name: 'Seek Thumbnails',
+              OutputGroupSettings: {
+                Type: 'FILE_GROUP_SETTINGS',
+                FileGroupSettings: {
+                  Destination: `s3://${this.outputBucket}/${outputPrefix}${outputKey}-seek/${outputKey}`,
+                  DestinationSettings: destinationSettings
+                }
+              },
+              Outputs: [
+                {
+                  NameModifier: '-tile',
+                  ContainerSettings: {
+                    Container: 'RAW'
+                  },
+                  VideoDescription: {
+                    Height: SEEK_THUMBNAIL_HEIGHT,
+                    ScalingBehavior: 'DEFAULT',
+                    CodecSettings: {
+                      Codec: 'FRAME_CAPTURE',
+                      FrameCaptureSettings: {
+                        FramerateNumerator: 1,
+                        FramerateDenominator: SEEK_THUMBNAIL_INTERVAL,
+                        MaxCaptures: 10000000,
+                        Quality: 60
+                      }
+                    }
+                  }
+                }
+              ]
+            }
+          ],
+          Inputs: [
+            {
+              AudioSelectors: {
+                'Audio Selector 1': {
+                  DefaultSelection: 'DEFAULT',
+                  ProgramSelection: 1
+                }
+              },
+              VideoSelector: {
+                ColorSpace: 'FOLLOW',
+                Rotate: 'AUTO'
+              },
+              TimecodeSource: 'ZEROBASED',
+              FileInput: inputUrl
+            }
+          ],
+          AccelerationSettings: {
+            Mode: 'PREFERRED'
+          }
+        },
+        // UserMetadata values must be strings
+        UserMetadata: Object.fromEntries(
+          Object.entries({
+            ...metadata,
+            targetHeight,
+            outputUrl,
+            thumbnailUrl,
+            hlsUrl,
+            seekThumbnailsUrl,
+            seekThumbnailsKey,
+            seekThumbnailPrefix: `${outputKey}-tile`
+          })
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => [key, String(value)])
+        ),
+        Queue: 'Default',
+        StatusUpdateInterval: 'SECONDS_10',
+        Priority: 0
+      }
+
+      const response = await client.send(new CreateJobCommand(jobSettings))
+
+      console.log('MediaConvert Job Created:', {
+        jobId: response.Job.Id,
+        targetHeight,
+        outputUrl,
+        hlsUrl
+      })
+
+      return {
+        success: true,
+        jobId: response.Job.Id,
+        status: response.Job.Status,
+        outputUrl,
+        thumbnailUrl,
+        hlsUrl,
+        seekThumbnailsUrl
+      }
+    } catch (error) {
+      console.error('Error creating MediaConvert job:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
+  async getJobStatus(jobId) {
+    try {
+      const client = await this.getClient()
+      const response = await client.send(new GetJobCommand({ Id: jobId }))
+      const job = response.Job
+
+      let seekThumbnailsUrl = null
+      if (job.Status === TranscodeJobStatus.COMPLETE) {
+        try {
+          seekThumbnailsUrl = await this.writeSeekThumbnailTrack(job)
+        } catch (error) {
+          // The video plays without hover previews
+          console.error('Error writing seek thumbnail track:', error)
+        }
+      }
+
+      return toJobStatus({
+        status: job.Status,
+        progress: job.JobPercentComplete || 0,
+        errorMessage: job.ErrorMessage || null,
+        outputUrl: job.UserMetadata?.outputUrl || null,
+        thumbnailUrl: job.UserMetadata?.thumbnailUrl || null,
+        hlsUrl: job.UserMetadata?.hlsUrl || null,
+        seekThumbnailsUrl
+      })
+    } catch (error) {
+      console.error('Error checking MediaConvert job status:', error)
+      return {
+        success: false,
+        error: error.message,
+        // Callers back off when AWS throttles status checks
+        throttled: error.name === 'TooManyRequestsException'
+      }
+    }
+  }
+}
@@ -0,0 +1,35 @@
+// lib/video/transcoding/transcoder-factory.js
+
+import { TranscoderTypes } from './transcoder-interface'
+import { MediaConvertTranscoder } from './mediaconvert-transcoder'
+import { FfmpegTranscoder } from './ffmpeg-transcoder'
+
+const TRANSCODERS = {
+  [TranscoderTypes.MEDIACONVERT]: MediaConvertTranscoder,
+  [TranscoderTypes.FFMPEG]: FfmpegTranscoder
+}
+
+/**
+ * Transcoder type configured for this deployment
+ * TRANSCODER=ffmpeg runs without AWS (on-prem and test environments)
+ * @returns {string} One of TranscoderTypes
+ */
+export function getDefaultTranscoderType() {
+  const type = process.env.TRANSCODER || TranscoderTypes.MEDIACONVERT
+  return TRANSCODERS[type] ? type : TranscoderTypes.MEDIACONVERT
+}
+
+/**
+ * Get a transcoder instance
+ * @param {string} type - One of TranscoderTypes; defaults to the configured transcoder.
+ *   Pass the type a job was created with when checking its status.
+ * @param {Object} config - Transcoder-specific configuration
+ * @returns {Transcoder}
+ */
+export function getTranscoder(type = getDefaultTranscoderType(), config = {}) {
+  const TranscoderClass = TRANSCODERS[type]
+  if (!TranscoderClass) {
+    throw new Error(`Unknown transcoder: ${type}`)
+  }
+  return new TranscoderClass(config)
+}
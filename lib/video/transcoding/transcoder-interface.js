@@ -0,0 +1,141 @@
+// lib/video/transcoding/transcoder-interface.js
+
+/**
+ * Abstract Transcoder Interface
+ * Defines the contract that all transcoding backends must implement.
+ * Every backend produces a progressive-download H.264/AAC MP4 (720p, or the
+ * source height if lower) and a JPEG thumbnail, plus an HLS ladder for
+ * adaptive playback and seek thumbnails described by a WebVTT track.
+ *
+ * Output layout under <outputPrefix><outputKey>:
+ *   -<height>p.mp4              progressive MP4
+ *   -hls/index.m3u8             HLS master playlist (renditions index_<height>p.m3u8)
+ *   -seek/thumbnails.vtt        seek thumbnail track (images alongside)
+ */
+
+export class Transcoder {
+  constructor(config = {}) {
+    this.config = config
+  }
+
+  /**
+   * Start a transcode job
+   * @param {Object} params - Job parameters
+   * @param {string} params.inputUrl - URL of the source video
+   * @param {string} params.outputPrefix - Storage key prefix for the outputs, e.g. 'transcoded/pool/<projectId>/'
+   * @param {string} params.outputKey - Base filename for the outputs (no extension)
+   * @param {number} params.targetHeight - Output height from getTargetHeight()
+   * @param {Object} params.metadata - Caller context stored with the job
+   * @returns {Promise<Object>} { success, jobId, status, outputUrl, thumbnailUrl, hlsUrl, seekThumbnailsUrl, error }
+   *   output URLs may be null until the job completes
+   */
+  async createJob(params) {
+    throw new Error('createJob() must be implemented by transcoder')
+  }
+
+  /**
+   * Get the status of a job
+   * @param {string} jobId - ID returned by createJob()
+   * @returns {Promise<Object>} { success, status, ready, failed, progress, errorMessage, outputUrl, thumbnailUrl, hlsUrl, seekThumbnailsUrl, error }
+   *   status is one of TranscodeJobStatus; URLs are set once ready
+   */
+  async getJobStatus(jobId) {
+    throw new Error('getJobStatus() must be implemented by transcoder')
+  }
+}
+
+/**
+ * Transcoder types
+ */
+export const TranscoderTypes = {
+  MEDIACONVERT: 'mediaconvert',
+  FFMPEG: 'ffmpeg'
+}
+
+/**
+ * Job statuses shared by all transcoders (AWS MediaConvert's vocabulary)
+ */
+export const TranscodeJobStatus = {
+  SUBMITTED: 'SUBMITTED',
+  PROGRESSING: 'PROGRESSING',
+  COMPLETE: 'COMPLETE',
+  ERROR: 'ERROR',
+  CANCELED: 'CANCELED'
+}
+
+export const TRANSCODE_MAX_HEIGHT = 720
+
+/**
+ * Output height for a source video: 720p, but keep smaller resolutions
+ * @param {number} sourceHeight - Source height in pixels (optional)
+ * @returns {number} Even output height
+ */
+export function getTargetHeight(sourceHeight) {
+  const height = sourceHeight > 0 ? Math.min(sourceHeight, TRANSCODE_MAX_HEIGHT) : TRANSCODE_MAX_HEIGHT
+  // H.264 needs even dimensions
+  return Math.floor(height / 2) * 2
+}
+
+// Every rendition has a keyframe exactly this often (no scene-cut keyframes),
+// so segments line up across the ladder and players can switch at any boundary
+export const KEYFRAME_INTERVAL_SECONDS = 2
+export const HLS_SEGMENT_SECONDS = 4
+
+// Renditions above the target height are dropped
+export const HLS_LADDER = [
+  { height: 360, maxBitrate: 800000 },
+  { height: 540, maxBitrate: 1600000 },
+  { height: 720, maxBitrate: 3000000 }
+]
+
+/**
+ * HLS renditions for a target height. Sources below the smallest rung get a
+ * single rendition at their own height.
+ * @param {number} targetHeight - From getTargetHeight()
+ * @returns {Array<Object>} [{ height, maxBitrate }] smallest first
+ */
+export function getHlsLadder(targetHeight) {
+  const ladder = HLS_LADDER.filter(rung => rung.height <= targetHeight)
+  return ladder.length > 0 ? ladder : [{ height: targetHeight, maxBitrate: HLS_LADDER[0].maxBitrate }]
+}
+
+// One seek thumbnail every few seconds of video
+export const SEEK_THUMBNAIL_INTERVAL = 5
+export const SEEK_THUMBNAIL_WIDTH = 160
+export const SEEK_THUMBNAIL_HEIGHT = 90
+
+/**
+ * Build the status response for a job
+ */
+export function toJobStatus({
+  status,
+  progress = 0,
+  errorMessage = null,
+  outputUrl = null,
+  thumbnailUrl = null,
+  hlsUrl = null,
+  seekThumbnailsUrl = null
+}) {
+  const ready = status === TranscodeJobStatus.COMPLETE
+
+  return {
+    success: true,
+    status,
+    ready,
+    failed: status === TranscodeJobStatus.ERROR || status === TranscodeJobStatus.CANCELED,
+    progress: ready ? 100 : progress,
+    errorMessage,
+    outputUrl: ready ? outputUrl : null,
+    thumbnailUrl: ready ? thumbnailUrl : null,
+    hlsUrl: ready ? hlsUrl : null,
+    seekThumbnailsUrl: ready ? seekThumbnailsUrl : null
+  }
+}
+
+/**
+ * Display names, as in "Videos converting in <label>"
+ */
+export const TranscoderLabels = {
+  [TranscoderTypes.MEDIACONVERT]: 'AWS MediaConvert',
+  [TranscoderTypes.FFMPEG]: 'the ffmpeg worker'
+}
@@ -1,27 +1,24 @@
 // lib/video/upload-manager.js
 
-import { BackblazeB2Storage, uploadToB2 } from './storage/backblaze-storage'
+import { uploadToStorage } from './storage/browser-upload'
 import { 
-  getS3UploadUrl, 
+  getVideoUploadUrl, 
   updateSectionWithVideo
 } from '@/lib/actions/video-upload'
 import {
   createTranscodeJob,
   checkTranscodeStatus,
   updateSectionWithTranscodedVideo
-} from './mediaconvert-service'
+} from './transcode-service'
 import { detectVideoFormat } from './format-detector'
 import { generateVideoThumbnail } from './video-metadata'
+import { shouldUploadMultipart, uploadFileMultipart, findResumableUpload } from './multipart-uploader'
 
 /**
  * Upload Manager
  * Orchestrates the entire video upload and processing flow with smart format detection
  */
 export class VideoUploadManager {
-  constructor() {
-    this.storage = new BackblazeB2Storage({})
-  }
-
   /**
    * Check if video needs transcoding based on format and compatibility
    * @param {Object} formatInfo - Format detection results
@@ -63,8 +60,12 @@ export class VideoUploadManager {
   }
 
   /**
-   * Upload video with progress tracking and optional MediaConvert transcoding
+   * Upload video with progress tracking and optional transcoding.
+   * Files over MULTIPART_THRESHOLD are uploaded in parts (where the storage
+   * provider supports it) and can be resumed by uploading the same file to
+   * the same section again.
    * @param {Object} params - Upload parameters
+   * @param {AbortSignal} params.signal - Pauses a multipart upload so it can be resumed later
    * @returns {Promise<Object>} Upload result
    */
   async uploadVideo({
@@ -72,7 +73,8 @@ export class VideoUploadManager {
     sectionId,
     userId,
     onProgress,
-    onStatusChange
+    onStatusChange,
+    signal
   }) {
     try {
       // Step 1: Detect video format and compatibility
@@ -96,41 +98,59 @@ export class VideoUploadManager {
       // Determine if transcoding is needed
       const needsTranscoding = this.shouldTranscode(formatInfo, videoMetadata)
       
-      // Step 2: Get presigned upload URL from server
-      onStatusChange?.('preparing')
-      const uploadUrlResult = await getS3UploadUrl({
-        fileName: file.name,
-        contentType: file.type,
-        contentLength: file.size,
-        sectionId,
-        userId
-      })
-
-      if (!uploadUrlResult.success) {
-        throw new Error(uploadUrlResult.error || 'Failed to get upload URL')
+      const scaleUploadProgress = (progress) => {
+        if (needsTranscoding) {
+          onProgress?.(progress * 0.7) // 70% for upload if transcoding
+        } else {
+          onProgress?.(progress * 0.95) // 95% for upload if no transcoding
+        }
       }
 
-      const { uploadData } = uploadUrlResult
+      let uploadData
+      let uploadChecksum = null
 
-      // Step 3: Upload to S3
-      onStatusChange?.('uploading')
-      const uploadResult = await uploadToS3(
-        file,
-        uploadData,
-        (progress) => {
-          if (needsTranscoding) {
-            onProgress?.(progress * 0.7) // 70% for upload if transcoding
-          } else {
-            onProgress?.(progress * 0.95) // 95% for upload if no transcoding
-          }
+      if (await shouldUploadMultipart(file)) {
+        // Step 2/3: Large files go up in verified parts and resume after a dropped connection
+        const target = { type: 'section', sectionId }
+        const resumable = await findResumableUpload(file, target)
+        onStatusChange?.(resumable ? 'resuming' : 'uploading')
+
+        const multipartResult = await uploadFileMultipart(file, {
+          target,
+          contentType: file.type,
+          onProgress: scaleUploadProgress,
+          signal
+        })
+
+        uploadData = { key: multipartResult.key, publicUrl: multipartResult.publicUrl }
+        uploadChecksum = multipartResult.checksum
+      } else {
+        // Step 2: Get presigned upload URL from server
+        onStatusChange?.('preparing')
+        const uploadUrlResult = await getVideoUploadUrl({
+          fileName: file.name,
+          contentType: file.type,
+          contentLength: file.size,
+          sectionId,
+          userId
+        })
+
+        if (!uploadUrlResult.success) {
+          throw new Error(uploadUrlResult.error || 'Failed to get upload URL')
         }
-      )
 
-      if (!uploadResult.success) {
-        throw new Error('Upload failed')
+        uploadData = uploadUrlResult.uploadData
+
+        // Step 3: Upload to storage
+        onStatusChange?.('uploading')
+        const uploadResult = await uploadToStorage(file, uploadData, scaleUploadProgress, signal)
+
+        if (!uploadResult.success) {
+          throw new Error('Upload failed')
+        }
       }
 
-      // Step 4: Update section with S3 URL
+      // Step 4: Update section with the stored video URL
       onStatusChange?.('processing')
       if (!needsTranscoding) {
         onProgress?.(98)
@@ -147,6 +167,7 @@ export class VideoUploadManager {
           originalSize: file.size,
           contentType: file.type,
           s3Key: uploadData.key,
+          uploadChecksum,
           format: formatInfo.format,
           width: videoMetadata?.width,
           height: videoMetadata?.height,
@@ -187,26 +208,31 @@ export class VideoUploadManager {
         })
 
         if (transcodeResult.success) {
-          // Poll for MediaConvert job completion
+          // Poll for transcode job completion
           const transcodeStatus = await this.waitForTranscoding(
             transcodeResult.jobId,
+            transcodeResult.transcoder,
             (progress) => onProgress?.(80 + (progress * 0.2)) // Last 20%
           )
           
           if (transcodeStatus.ready) {
-            finalVideoUrl = transcodeResult.outputUrl
+            finalVideoUrl = transcodeStatus.outputUrl
             wasTranscoded = true
             
             // Update section with transcoded URL
             await updateSectionWithTranscodedVideo({
               sectionId,
               transcodedUrl: finalVideoUrl,
+              thumbnailUrl: transcodeStatus.thumbnailUrl,
+              hlsUrl: transcodeStatus.hlsUrl,
+              seekThumbnailsUrl: transcodeStatus.seekThumbnailsUrl,
               originalUrl: uploadData.publicUrl,
+              transcoder: transcodeResult.transcoder,
               userId
             })
           }
         } else {
-          console.log('MediaConvert failed, using original video')
+          console.log('Transcoding failed to start, using original video')
         }
       }
 
@@ -240,17 +266,18 @@ export class VideoUploadManager {
   }
 
   /**
-   * Wait for MediaConvert transcoding to complete
-   * @param {string} jobId - MediaConvert job ID
+   * Wait for transcoding to complete
+   * @param {string} jobId - Transcode job ID
+   * @param {string} transcoderType - Transcoder the job was created with
    * @param {Function} onProgress - Progress callback
    * @returns {Promise<Object>} Final transcode status
    */
-  async waitForTranscoding(jobId, onProgress) {
+  async waitForTranscoding(jobId, transcoderType, onProgress) {
     const maxAttempts = 60 // 5 minutes max
     let attempts = 0
     
     while (attempts < maxAttempts) {
-      const statusResult = await checkTranscodeStatus(jobId)
+      const statusResult = await checkTranscodeStatus(jobId, transcoderType)
       
       if (!statusResult.success) {
         throw new Error('Failed to check transcode status')
@@ -276,45 +303,6 @@ export class VideoUploadManager {
     throw new Error('Transcoding timeout')
   }
 
-  /**
-   * Upload to S3 using XMLHttpRequest
-   */
-  async uploadToS3(file, uploadData, onProgress) {
-    return new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest()
-      
-      xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable) {
-          const percentComplete = (e.loaded / e.total) * 100
-          onProgress?.(percentComplete)
-        }
-      })
-      
-      xhr.addEventListener('load', () => {
-        if (xhr.status >= 200 && xhr.status < 300) {
-          resolve({ success: true })
-        } else {
-          reject(new Error(`Upload failed with status: ${xhr.status}`))
-        }
-      })
-      
-      xhr.addEventListener('error', () => {
-        reject(new Error('Network error during upload'))
-      })
-      
-      xhr.open('PUT', uploadData.url)
-      
-      // Set headers from uploadData (but not Content-Length)
-      Object.entries(uploadData.headers).forEach(([key, value]) => {
-        if (key !== 'Content-Length') {
-          xhr.setRequestHeader(key, value)
-        }
-      })
-      
-      xhr.send(file)
-    })
-  }
-
   /**
    * Format upload status for display
    * @param {string} status - Current status
@@ -324,6 +312,7 @@ export class VideoUploadManager {
     const statusMessages = {
       analyzing: 'Analyzing video format...',
       preparing: 'Preparing upload...',
+      resuming: 'Resuming interrupted upload...',
       uploading: 'Uploading to cloud storage...',
       processing: 'Processing video...',
       transcoding: 'Optimizing video for web playback...',
@@ -339,4 +328,4 @@ export class VideoUploadManager {
 export const uploadManager = new VideoUploadManager()
 
 // Also export the upload function for backward compatibility
-export const uploadToS3 = VideoUploadManager.prototype.uploadToS3
\ No newline at end of file
+export const uploadToS3 = uploadToStorage
\ No newline at end of file
@@ -0,0 +1,99 @@
+// lib/video/upload-state-store.js
+
+/**
+ * Upload State Store
+ * Keeps multipart upload progress in IndexedDB so an upload interrupted by a
+ * dropped connection or a page refresh can carry on from the last part S3
+ * received, once the same file is selected again.
+ */
+
+const DB_NAME = 'video-uploads'
+const DB_VERSION = 1
+const STORE = 'multipart'
+
+// Uploads older than this are forgotten (S3 lifecycle rules usually abort them after a week)
+export const UPLOAD_STATE_MAX_AGE = 7 * 24 * 60 * 60 * 1000
+
+let dbPromise = null
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null)
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        // Private browsing modes can refuse IndexedDB - uploads still work, they just cannot resume
+        console.warn('Upload state storage unavailable:', request.error)
+        resolve(null)
+      }
+    })
+  }
+
+  return dbPromise
+}
+
+async function runRequest(mode, operation) {
+  const db = await openDatabase()
+  if (!db) return null
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = operation(transaction.objectStore(STORE))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Identify a file without reading it: the same file selected again gets the same id
+ * @param {File} file
+ * @param {Object} target - { type: 'section', sectionId } or { type: 'pool', projectId }
+ * @returns {string}
+ */
+export function getUploadStateId(file, target) {
+  const targetId = target?.type === 'section' ? target.sectionId : target?.projectId
+  return [target?.type, targetId, file.name, file.size, file.lastModified].join(':')
+}
+
+/**
+ * @param {string} id - From getUploadStateId
+ * @returns {Promise<Object|null>} { id, uploadId, key, publicUrl, partSize, fileSize, parts, createdAt, updatedAt }
+ */
+export async function getUploadState(id) {
+  try {
+    const state = await runRequest('readonly', store => store.get(id))
+    if (!state) return null
+
+    if (Date.now() - state.createdAt > UPLOAD_STATE_MAX_AGE) {
+      await deleteUploadState(id)
+      return null
+    }
+    return state
+  } catch (error) {
+    console.error('Error reading upload state:', error)
+    return null
+  }
+}
+
+export async function saveUploadState(state) {
+  try {
+    await runRequest('readwrite', store => store.put({ ...state, updatedAt: Date.now() }))
+  } catch (error) {
+    console.error('Error saving upload state:', error)
+  }
+}
+
+export async function deleteUploadState(id) {
+  try {
+    await runRequest('readwrite', store => store.delete(id))
+  } catch (error) {
+    console.error('Error deleting upload state:', error)
+  }
+}
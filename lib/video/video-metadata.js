@@ -22,10 +22,12 @@ export async function extractVideoMetadata(file) {
   try {
     const videoMetadata = await extractVideoProperties(file)
     const thumbnailData = await generateVideoThumbnail(file)
+    const frameRate = await detectFrameRate(file)
     
     return {
       ...basicMetadata,
       ...videoMetadata,
+      frameRate,
       thumbnail: thumbnailData,
       extractedAt: new Date().toISOString()
     }
@@ -109,6 +111,108 @@ export function extractVideoProperties(file) {
   })
 }
 
+// PAL, used by most UK CCTV survey units, when the rate cannot be detected
+export const DEFAULT_FRAME_RATE = 25
+
+const COMMON_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 50, 59.94, 60]
+
+/**
+ * Round a measured frame rate to the nearest standard rate when it is close
+ * @param {number} fps - Measured frames per second
+ * @returns {number|null} Frame rate, or null if not measurable
+ */
+export function snapFrameRate(fps) {
+  if (!fps || !isFinite(fps)) return null
+  const closest = COMMON_FRAME_RATES.reduce((best, rate) =>
+    Math.abs(rate - fps) < Math.abs(best - fps) ? rate : best
+  )
+  return Math.abs(closest - fps) / closest < 0.03 ? closest : Math.round(fps * 100) / 100
+}
+
+/**
+ * Measure the frame rate of a playing video from the media time of consecutive frames
+ * @param {HTMLVideoElement} video - Video element that is playing
+ * @param {number} sampleCount - Frames to sample
+ * @returns {Promise<number|null>} Frame rate, or null if the browser cannot measure it
+ */
+export function measureFrameRate(video, sampleCount = 15) {
+  return new Promise((resolve) => {
+    if (!video?.requestVideoFrameCallback) {
+      resolve(null)
+      return
+    }
+
+    const samples = []
+    let finished = false
+
+    const finish = () => {
+      if (finished) return
+      finished = true
+      clearTimeout(timeoutId)
+
+      // Per-frame duration between samples; dropped frames show as a larger presentedFrames step
+      const frameDurations = samples.slice(1)
+        .map((sample, index) => {
+          const previous = samples[index]
+          const frames = sample.presentedFrames - previous.presentedFrames
+          return frames > 0 ? (sample.mediaTime - previous.mediaTime) / frames : null
+        })
+        .filter(duration => duration > 0)
+        .sort((a, b) => a - b)
+
+      if (frameDurations.length === 0) {
+        resolve(null)
+        return
+      }
+      resolve(snapFrameRate(1 / frameDurations[Math.floor(frameDurations.length / 2)]))
+    }
+
+    const onFrame = (now, frameMetadata) => {
+      if (finished) return
+      samples.push({ mediaTime: frameMetadata.mediaTime, presentedFrames: frameMetadata.presentedFrames })
+      if (samples.length >= sampleCount) {
+        finish()
+      } else {
+        video.requestVideoFrameCallback(onFrame)
+      }
+    }
+
+    const timeoutId = setTimeout(finish, 3000)
+    video.requestVideoFrameCallback(onFrame)
+  })
+}
+
+/**
+ * Detect the frame rate of a video file by briefly playing it muted
+ * @param {File} file - Video file
+ * @returns {Promise<number|null>} Frame rate, or null if it could not be detected
+ */
+export async function detectFrameRate(file) {
+  const video = document.createElement('video')
+  const url = URL.createObjectURL(file)
+
+  try {
+    video.preload = 'auto'
+    video.muted = true
+    video.playsInline = true
+    video.src = url
+    await Promise.race([
+      video.play(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Playback did not start')), 5000))
+    ])
+    return await measureFrameRate(video)
+  } catch (error) {
+    console.log('Frame rate detection failed:', error.message)
+    return null
+  } finally {
+    video.pause()
+    video.src = ''
+    video.load()
+    URL.revokeObjectURL(url)
+    video.remove()
+  }
+}
+
 /**
  * Generate a thumbnail from the video
  * @param {File} file - Video file
@@ -196,6 +300,93 @@ export async function generateVideoThumbnail(file, timestamp = 1) {
   })
 }
 
+/**
+ * Seek through an uploaded video and hand each requested frame to a callback,
+ * one at a time, so long passes over a whole video never hold every frame
+ * @param {string} videoUrl - URL of the video (the host must allow CORS)
+ * @param {Array<number>} timestamps - Times in seconds, clamped to the video length
+ * @param {Function} onFrame - async (blob, timestamp, index, duration) => void; JPEG frames
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Abort to stop between frames
+ * @returns {Promise<number>} Number of frames handed to onFrame
+ * @throws {Error} name 'AbortError' when cancelled, or when the video cannot be read
+ */
+export async function forEachVideoFrame(videoUrl, timestamps, onFrame, { signal } = {}) {
+  const video = document.createElement('video')
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+
+  const waitFor = (eventName) => new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), 15000)
+    video.addEventListener(eventName, () => {
+      clearTimeout(timeout)
+      resolve()
+    }, { once: true })
+    video.addEventListener('error', () => {
+      clearTimeout(timeout)
+      reject(new Error('Video could not be loaded'))
+    }, { once: true })
+  })
+
+  video.preload = 'auto'
+  video.muted = true
+  video.playsInline = true
+  video.crossOrigin = 'anonymous' // Without CORS the canvas cannot be read back
+  video.src = videoUrl
+
+  let count = 0
+  try {
+    await waitFor('loadeddata')
+    canvas.width = video.videoWidth
+    canvas.height = video.videoHeight
+
+    for (const [index, timestamp] of timestamps.entries()) {
+      if (signal?.aborted) throw createAbortError()
+
+      const time = Math.min(timestamp, Math.max(0, video.duration - 0.1))
+      video.currentTime = time
+      await waitFor('seeked')
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9))
+      if (!blob) continue
+
+      await onFrame(blob, time, index, video.duration)
+      count++
+    }
+  } finally {
+    video.src = ''
+    video.load()
+    video.remove()
+    canvas.remove()
+  }
+
+  return count
+}
+
+/**
+ * Capture still frames from an uploaded video, e.g. for reading on-screen text
+ * @param {string} videoUrl - URL of the video (the host must allow CORS)
+ * @param {Array<number>} timestamps - Times in seconds, clamped to the video length
+ * @returns {Promise<Array<Blob>>} JPEG frames; empty if the video cannot be read
+ */
+export async function captureVideoFrames(videoUrl, timestamps = [1, 3, 5]) {
+  const frames = []
+  try {
+    await forEachVideoFrame(videoUrl, timestamps, (blob) => {
+      frames.push(blob)
+    })
+  } catch (error) {
+    console.error('Error capturing video frames:', error)
+  }
+  return frames
+}
+
+function createAbortError() {
+  const error = new Error('Frame sampling cancelled')
+  error.name = 'AbortError'
+  return error
+}
+
 /**
  * Calculate output dimensions for transcoding
  * @param {number} originalWidth - Original video width
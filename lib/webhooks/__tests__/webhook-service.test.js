@@ -0,0 +1,72 @@
+import crypto from 'crypto'
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { signWebhookPayload, deliverNow, MAX_DELIVERY_ATTEMPTS } from '../webhook-service'
+
+jest.mock('dns/promises', () => ({
+  lookup: jest.fn(async () => [{ address: '93.184.216.34', family: 4 }])
+}))
+
+jest.mock('@/lib/supabase-server', () => ({
+  supabaseAdmin: { from: jest.fn() }
+}))
+
+// Query builder whose chain ends in .single() with the given row; records update() payloads
+const queryReturning = (row, updates) => {
+  const query = {
+    update: jest.fn(values => { updates.push(values); return query }),
+    eq: () => query,
+    neq: () => query,
+    select: () => query,
+    single: async () => ({ data: typeof row === 'function' ? row() : row, error: null })
+  }
+  return query
+}
+
+describe('signWebhookPayload', () => {
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ type: 'report.finalized' })
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex')
+    expect(signWebhookPayload('whsec_test', 1700000000, body)).toBe(`sha256=${expected}`)
+  })
+})
+
+describe('deliverNow', () => {
+  const endpoint = { id: 'e1', url: 'https://hooks.example.com/in', secret: 'whsec_test', is_active: true }
+  const delivery = {
+    id: 'd1',
+    event_id: 'ev1',
+    event_type: 'report.finalized',
+    attempt_count: 0,
+    payload: { type: 'report.finalized' },
+    endpoint
+  }
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  test('sends a signed request and schedules a retry when the endpoint fails', async () => {
+    const updates = []
+    supabaseAdmin.from
+      .mockReturnValueOnce(queryReturning(delivery, updates))
+      .mockReturnValueOnce(queryReturning(() => ({ ...delivery, ...updates[1] }), updates))
+    global.fetch = jest.fn(async () => ({ ok: false, status: 500, text: async () => 'oops' }))
+
+    const before = Date.now()
+    const result = await deliverNow('d1')
+
+    const [url, request] = global.fetch.mock.calls[0]
+    const timestamp = request.headers['X-Webhook-Timestamp']
+    expect(url).toBe(endpoint.url)
+    expect(request.redirect).toBe('manual')
+    expect(request.headers['X-Webhook-Signature']).toBe(signWebhookPayload(endpoint.secret, timestamp, request.body))
+
+    expect(result.status).toBe('pending')
+    expect(result.attempt_count).toBe(1)
+    expect(result.error).toBe('HTTP 500')
+    const retryIn = new Date(result.next_attempt_at).getTime() - before
+    expect(retryIn).toBeGreaterThanOrEqual(60 * 1000)
+    expect(retryIn).toBeLessThan(61 * 1000)
+    expect(MAX_DELIVERY_ATTEMPTS).toBeGreaterThan(1)
+  })
+})
@@ -0,0 +1,14 @@
+// lib/webhooks/trigger-dispatch.js
+// Ask the server to send queued webhook deliveries straight away
+
+/**
+ * Fire-and-forget request to the webhook dispatcher. Events are queued by the database,
+ * so a missed call only delays delivery until the next scheduled dispatch.
+ */
+export function triggerWebhookDispatch() {
+  // Only meaningful from the browser; server code calls deliverPendingWebhooks directly
+  if (typeof window === 'undefined') return
+
+  fetch('/api/webhooks/dispatch', { method: 'POST', keepalive: true })
+    .catch(error => console.error('Error triggering webhook dispatch:', error))
+}
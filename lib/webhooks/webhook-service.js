@@ -0,0 +1,228 @@
+// lib/webhooks/webhook-service.js
+// Server-side webhook delivery: HMAC signing, sending and retry scheduling.
+// Events are queued in webhook_deliveries by database triggers (see the webhooks migration);
+// this module drains that queue.
+
+import crypto from 'crypto'
+import { supabaseAdmin } from '@/lib/supabase-server'
+import { checkPublicHttpsUrl } from '@/lib/utils/public-url'
+
+const DELIVERY_TIMEOUT_MS = 10000
+const MAX_RESPONSE_BODY = 500
+
+// Wait before each retry: 1 min, 5 min, 30 min, 2 h, 12 h - then give up
+const RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  12 * 60 * 60 * 1000
+]
+export const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MS.length + 1
+
+/**
+ * Generate a signing secret for a new endpoint
+ * @returns {string} Secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`
+}
+
+/**
+ * Sign a payload. Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * and compare it with the X-Webhook-Signature header.
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix seconds, also sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `sha256=${digest}`
+}
+
+/**
+ * Check that a webhook URL is https and that its host only resolves to public addresses.
+ * Run when an endpoint is saved and again before every delivery, as DNS can change.
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<string|null>} Error message, or null when the URL may be used
+ */
+export async function checkWebhookUrl(url) {
+  return checkPublicHttpsUrl(url, 'Webhook URL')
+}
+
+// POST one delivery to its endpoint
+async function sendDelivery(delivery, endpoint) {
+  const urlError = await checkWebhookUrl(endpoint.url)
+  if (urlError) {
+    return { ok: false, status: null, error: urlError }
+  }
+
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS)
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PipeReport-Webhooks/1.0',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(endpoint.secret, timestamp, body)
+      },
+      body,
+      // A redirect could lead to an address checkWebhookUrl would refuse
+      redirect: 'manual',
+      signal: controller.signal
+    })
+
+    const responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY)
+    return { ok: response.ok, status: response.status, body: responseBody }
+  } catch (error) {
+    const message = error.name === 'AbortError' ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` : error.message
+    return { ok: false, status: null, error: message }
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+// Send a claimed delivery and record the outcome, scheduling a retry on failure
+async function attemptDelivery(delivery, endpoint, { retry = true } = {}) {
+  const attemptCount = delivery.attempt_count + 1
+  const now = new Date()
+
+  let result
+  if (!endpoint || !endpoint.is_active) {
+    result = { ok: false, status: null, error: 'Endpoint is disabled or has been removed' }
+  } else {
+    result = await sendDelivery(delivery, endpoint)
+  }
+
+  const updates = {
+    attempt_count: attemptCount,
+    last_attempt_at: now.toISOString(),
+    response_status: result.status,
+    response_body: result.body ?? null,
+    error: result.ok ? null : (result.error || `HTTP ${result.status}`)
+  }
+
+  if (result.ok) {
+    updates.status = 'delivered'
+    updates.delivered_at = now.toISOString()
+  } else if (retry && endpoint?.is_active && attemptCount < MAX_DELIVERY_ATTEMPTS) {
+    updates.status = 'pending'
+    updates.next_attempt_at = new Date(now.getTime() + RETRY_DELAYS_MS[attemptCount - 1]).toISOString()
+  } else {
+    updates.status = 'failed'
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .update(updates)
+    .eq('id', delivery.id)
+    .select()
+    .single()
+
+  if (error) {
+    console.error('Error recording webhook delivery:', error)
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Claim and send every delivery that is due, including scheduled retries
+ * @param {Object} options - { limit: maximum deliveries to send in this run }
+ * @returns {Promise<Object>} { processed, delivered, failed }
+ */
+export async function deliverPendingWebhooks({ limit = 20 } = {}) {
+  const { data: deliveries, error } = await supabaseAdmin
+    .rpc('claim_webhook_deliveries', { p_limit: limit })
+
+  if (error) {
+    console.error('Error claiming webhook deliveries:', error)
+    throw error
+  }
+
+  if (!deliveries || deliveries.length === 0) {
+    return { processed: 0, delivered: 0, failed: 0 }
+  }
+
+  const endpointIds = [...new Set(deliveries.map(delivery => delivery.endpoint_id))]
+  const { data: endpoints, error: endpointsError } = await supabaseAdmin
+    .from('webhook_endpoints')
+    .select('*')
+    .in('id', endpointIds)
+
+  if (endpointsError) {
+    console.error('Error loading webhook endpoints:', endpointsError)
+    throw endpointsError
+  }
+
+  const endpointsById = Object.fromEntries(endpoints.map(endpoint => [endpoint.id, endpoint]))
+  const summary = { processed: deliveries.length, delivered: 0, failed: 0 }
+
+  for (const delivery of deliveries) {
+    const updated = await attemptDelivery(delivery, endpointsById[delivery.endpoint_id])
+    if (updated.status === 'delivered') summary.delivered++
+    else summary.failed++
+  }
+
+  return summary
+}
+
+/**
+ * Queue an event from server code for every subscribed endpoint of a company.
+ * Most events are queued by database triggers; this is for events raised in code.
+ * @param {string} companyId
+ * @param {string} eventType
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function enqueueWebhookEvent(companyId, eventType, data) {
+  const { data: count, error } = await supabaseAdmin
+    .rpc('enqueue_webhook_event', {
+      p_company_id: companyId,
+      p_event_type: eventType,
+      p_data: data
+    })
+
+  if (error) {
+    console.error('Error queueing webhook event:', error)
+    throw error
+  }
+
+  return count
+}
+
+/**
+ * Send a single delivery immediately, outside the queue (test events, manual redelivery)
+ * @param {string} deliveryId
+ * @param {Object} options - { retry: schedule retries on failure, restart: reset the attempt count first }
+ * @returns {Promise<Object>} Updated delivery row
+ */
+export async function deliverNow(deliveryId, { retry = true, restart = false } = {}) {
+  const claim = { status: 'sending', last_attempt_at: new Date().toISOString() }
+  if (restart) claim.attempt_count = 0
+
+  const { data: delivery, error } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .update(claim)
+    .eq('id', deliveryId)
+    .neq('status', 'sending')
+    .select('*, endpoint:webhook_endpoints(*)')
+    .single()
+
+  if (error) {
+    console.error('Error claiming webhook delivery:', error)
+    throw error
+  }
+
+  return attemptDelivery(delivery, delivery.endpoint, { retry })
+}
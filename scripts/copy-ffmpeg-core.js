@@ -0,0 +1,22 @@
+// scripts/copy-ffmpeg-core.js
+// Copies the ffmpeg.wasm core from node_modules into public/ffmpeg so the browser
+// converter (lib/video/browser-transcoder.js) loads it from our own origin.
+// Runs after npm install; the files are not committed.
+
+const fs = require('fs')
+const path = require('path')
+
+const TARGET_DIR = path.join(__dirname, '..', 'public', 'ffmpeg')
+
+// The package's "require" exports point at the single-threaded UMD build
+const files = [
+  require.resolve('@ffmpeg/core'),
+  require.resolve('@ffmpeg/core/wasm')
+]
+
+fs.mkdirSync(TARGET_DIR, { recursive: true })
+for (const file of files) {
+  fs.copyFileSync(file, path.join(TARGET_DIR, path.basename(file)))
+}
+
+console.log(`Copied ffmpeg core to ${path.relative(process.cwd(), TARGET_DIR)}`)
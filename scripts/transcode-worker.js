@@ -0,0 +1,564 @@
+// scripts/transcode-worker.js
+// Self-hosted transcoding worker for deployments without AWS MediaConvert.
+//
+//   TRANSCODER=ffmpeg                 (in the app's environment, to queue jobs for this worker)
+//   NEXT_PUBLIC_SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... node scripts/transcode-worker.js [--once]
+//
+// Claims jobs from the transcode_jobs table and produces the same outputs as MediaConvert:
+// a 720p (or source height) progressive H.264/AAC MP4, a JPEG thumbnail of the opening frame,
+// an HLS ladder with keyframes aligned across renditions, and seek thumbnails (sprite sheets
+// described by a WebVTT track). The HLS and seek outputs are optional extras: if they fail the
+// job still completes with the MP4.
+// Requires ffmpeg and ffprobe on the PATH (or FFMPEG_PATH / FFPROBE_PATH).
+//
+// Outputs go to S3-compatible storage: AWS_S3_OUTPUT_BUCKET with the usual AWS_* credentials,
+// plus S3_ENDPOINT for MinIO/Backblaze and TRANSCODE_PUBLIC_BASE_URL if objects are served
+// from another host. Set TRANSCODE_OUTPUT_DIR and TRANSCODE_OUTPUT_BASE_URL instead to write
+// to a local directory served by a web server.
+//
+// --once processes the queue until it is empty and exits (for cron or CI).
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawn } = require('child_process')
+const { createClient } = require('@supabase/supabase-js')
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg'
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe'
+const POLL_INTERVAL_MS = parseInt(process.env.TRANSCODE_POLL_INTERVAL_MS, 10) || 5000
+// Must stay well below the stale timeout in claim_transcode_job (10 minutes)
+const HEARTBEAT_INTERVAL_MS = 10000
+const THUMBNAIL_HEIGHT = 360
+
+// Must match lib/video/transcoding/transcoder-interface.js
+const KEYFRAME_INTERVAL_SECONDS = 2
+const HLS_SEGMENT_SECONDS = 4
+const HLS_LADDER = [
+  { height: 360, maxBitrate: 800000 },
+  { height: 540, maxBitrate: 1600000 },
+  { height: 720, maxBitrate: 3000000 }
+]
+const SEEK_THUMBNAIL_INTERVAL = 5
+const SEEK_THUMBNAIL_WIDTH = 160
+const SEEK_THUMBNAIL_HEIGHT = 90
+const SPRITE_COLUMNS = 10
+const SPRITE_ROWS = 10
+const UPLOAD_CONCURRENCY = 8
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.jpg': 'image/jpeg',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.vtt': 'text/vtt'
+}
+const ONCE = process.argv.includes('--once')
+const WORKER_ID = `${os.hostname()}-${process.pid}`
+
+const OUTPUT_DIR = process.env.TRANSCODE_OUTPUT_DIR
+const OUTPUT_BASE_URL = process.env.TRANSCODE_OUTPUT_BASE_URL
+const S3_BUCKET = process.env.AWS_S3_OUTPUT_BUCKET || 'video-analysis-transcoded'
+const S3_ENDPOINT = process.env.S3_ENDPOINT
+const S3_REGION = process.env.AWS_S3_REGION || process.env.AWS_REGION || 'eu-west-2'
+
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+let s3Client = null
+let stopping = false
+let currentJob = null
+let currentProcess = null
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function lastLine(text) {
+  return text.trim().split('\n').pop() || ''
+}
+
+/**
+ * Run ffmpeg, reporting progress (0-100) from its -progress output
+ */
+function runFfmpeg(args, { durationSeconds, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, ['-hide_banner', '-nostdin', '-y', ...args], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    })
+    currentProcess = child
+
+    let stdoutBuffer = ''
+    let stderr = ''
+
+    child.stdout.on('data', chunk => {
+      stdoutBuffer += chunk
+      const lines = stdoutBuffer.split('\n')
+      stdoutBuffer = lines.pop()
+
+      for (const line of lines) {
+        const [key, value] = line.split('=')
+        if (key === 'out_time_us' && durationSeconds > 0 && onProgress) {
+          const seconds = Number(value) / 1000000
+          if (seconds >= 0) {
+            onProgress(Math.min(99, Math.round((seconds / durationSeconds) * 100)))
+          }
+        }
+      }
+    })
+
+    // Keep the tail only - ffmpeg is chatty on long inputs
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-4000)
+    })
+
+    child.on('error', error => {
+      currentProcess = null
+      reject(error)
+    })
+
+    child.on('close', (code, signal) => {
+      currentProcess = null
+      if (code === 0) {
+        resolve()
+      } else {
+        reject(new Error(`ffmpeg ${signal ? `stopped by ${signal}` : `exited with code ${code}`}: ${lastLine(stderr)}`))
+      }
+    })
+  })
+}
+
+/**
+ * Source duration in seconds (null if ffprobe cannot tell) and whether it has an audio track
+ */
+function probeInput(inputUrl) {
+  return new Promise(resolve => {
+    const child = spawn(FFPROBE_PATH, [
+      '-v', 'error',
+      '-show_entries', 'format=duration:stream=codec_type',
+      '-of', 'json',
+      inputUrl
+    ], { stdio: ['ignore', 'pipe', 'ignore'] })
+
+    let output = ''
+    child.stdout.on('data', chunk => { output += chunk })
+    child.on('error', () => resolve({ durationSeconds: null, hasAudio: true }))
+    child.on('close', () => {
+      try {
+        const info = JSON.parse(output)
+        const duration = parseFloat(info.format?.duration)
+        resolve({
+          durationSeconds: duration > 0 ? duration : null,
+          hasAudio: (info.streams || []).some(stream => stream.codec_type === 'audio')
+        })
+      } catch {
+        resolve({ durationSeconds: null, hasAudio: true })
+      }
+    })
+  })
+}
+
+/**
+ * Encode with the same profile as the MediaConvert job: H.264 Main, 2 second GOP,
+ * capped bitrate, 128k stereo AAC at 48kHz and the moov atom up front
+ */
+function encodeArgs(inputUrl, targetHeight, outputPath) {
+  const maxBitrate = targetHeight >= 720 ? '3M' : '2M'
+  const bufferSize = targetHeight >= 720 ? '6M' : '4M'
+
+  return [
+    '-i', inputUrl,
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-vf', `scale=-2:${targetHeight}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-crf', '23',
+    '-maxrate', maxBitrate,
+    '-bufsize', bufferSize,
+    '-g', '60',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-b:a', '128k',
+    '-ar', '48000',
+    '-ac', '2',
+    '-movflags', '+faststart',
+    '-progress', 'pipe:1',
+    '-nostats',
+    outputPath
+  ]
+}
+
+function thumbnailArgs(videoPath, targetHeight, outputPath) {
+  return [
+    '-i', videoPath,
+    '-frames:v', '1',
+    '-vf', `scale=-2:${Math.min(THUMBNAIL_HEIGHT, targetHeight)}`,
+    '-q:v', '3',
+    outputPath
+  ]
+}
+
+function getHlsLadder(targetHeight) {
+  const ladder = HLS_LADDER.filter(rung => rung.height <= targetHeight)
+  return ladder.length > 0 ? ladder : [{ height: targetHeight, maxBitrate: HLS_LADDER[0].maxBitrate }]
+}
+
+/**
+ * One pass producing every rendition. Keyframes are forced on a fixed interval
+ * and scene-cut keyframes disabled, so segment boundaries line up across the
+ * ladder. Writes index.m3u8 with renditions index_<height>p.m3u8.
+ */
+function hlsArgs(inputUrl, ladder, hasAudio, outputDir) {
+  const filters = [
+    `[0:v]split=${ladder.length}${ladder.map((_, i) => `[v${i}]`).join('')}`,
+    ...ladder.map((rung, i) => `[v${i}]scale=-2:${rung.height}[v${i}out]`)
+  ]
+
+  const args = ['-i', inputUrl, '-filter_complex', filters.join(';')]
+  ladder.forEach((rung, i) => {
+    args.push('-map', `[v${i}out]`)
+    if (hasAudio) args.push('-map', '0:a:0')
+    args.push(
+      `-maxrate:v:${i}`, String(rung.maxBitrate),
+      `-bufsize:v:${i}`, String(rung.maxBitrate * 2)
+    )
+  })
+
+  const streamMap = ladder
+    .map((rung, i) => `v:${i}${hasAudio ? `,a:${i}` : ''},name:${rung.height}p`)
+    .join(' ')
+
+  return [
+    ...args,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-crf', '23',
+    '-pix_fmt', 'yuv420p',
+    '-force_key_frames', `expr:gte(t,n_forced*${KEYFRAME_INTERVAL_SECONDS})`,
+    '-sc_threshold', '0',
+    ...(hasAudio ? ['-c:a', 'aac', '-b:a', '96k', '-ar', '48000', '-ac', '2'] : []),
+    '-f', 'hls',
+    '-hls_time', String(HLS_SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_flags', 'independent_segments',
+    '-hls_segment_filename', path.join(outputDir, 'index_%v_%05d.ts'),
+    '-master_pl_name', 'index.m3u8',
+    '-var_stream_map', streamMap,
+    '-progress', 'pipe:1',
+    '-nostats',
+    path.join(outputDir, 'index_%v.m3u8')
+  ]
+}
+
+/**
+ * Seek thumbnails tiled into sprite sheets (sprite-001.jpg, ...), one tile per interval
+ */
+function spriteArgs(videoPath, outputDir) {
+  const size = `${SEEK_THUMBNAIL_WIDTH}:${SEEK_THUMBNAIL_HEIGHT}`
+  return [
+    '-i', videoPath,
+    '-vf', [
+      `fps=1/${SEEK_THUMBNAIL_INTERVAL}`,
+      `scale=${size}:force_original_aspect_ratio=decrease`,
+      `pad=${size}:(ow-iw)/2:(oh-ih)/2`,
+      `tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`
+    ].join(','),
+    '-q:v', '5',
+    path.join(outputDir, 'sprite-%03d.jpg')
+  ]
+}
+
+function formatVttTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000))
+  const pad = (value, length = 2) => String(value).padStart(length, '0')
+  return `${pad(Math.floor(totalMs / 3600000))}:${pad(Math.floor((totalMs % 3600000) / 60000))}:${pad(Math.floor((totalMs % 60000) / 1000))}.${pad(totalMs % 1000, 3)}`
+}
+
+/**
+ * WebVTT track pointing each interval at its tile in the sprite sheets
+ */
+function spriteVtt(durationSeconds) {
+  const perSheet = SPRITE_COLUMNS * SPRITE_ROWS
+  const count = Math.ceil(durationSeconds / SEEK_THUMBNAIL_INTERVAL)
+  const cues = []
+
+  for (let index = 0; index < count; index++) {
+    const tile = index % perSheet
+    const sheet = `sprite-${String(Math.floor(index / perSheet) + 1).padStart(3, '0')}.jpg`
+    const x = (tile % SPRITE_COLUMNS) * SEEK_THUMBNAIL_WIDTH
+    const y = Math.floor(tile / SPRITE_COLUMNS) * SEEK_THUMBNAIL_HEIGHT
+    const start = index * SEEK_THUMBNAIL_INTERVAL
+    const end = Math.min(durationSeconds, start + SEEK_THUMBNAIL_INTERVAL)
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}\n${sheet}#xywh=${x},${y},${SEEK_THUMBNAIL_WIDTH},${SEEK_THUMBNAIL_HEIGHT}`)
+  }
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`
+}
+
+function getS3Client() {
+  if (!s3Client) {
+    const { S3Client } = require('@aws-sdk/client-s3')
+    s3Client = new S3Client({
+      region: S3_REGION,
+      ...(S3_ENDPOINT ? { endpoint: S3_ENDPOINT, forcePathStyle: true } : {})
+    })
+  }
+  return s3Client
+}
+
+function getPublicUrl(key) {
+  if (process.env.TRANSCODE_PUBLIC_BASE_URL) {
+    return `${process.env.TRANSCODE_PUBLIC_BASE_URL.replace(/\/+$/, '')}/${key}`
+  }
+  if (S3_ENDPOINT) {
+    return `${S3_ENDPOINT.replace(/\/+$/, '')}/${S3_BUCKET}/${key}`
+  }
+  return `https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com/${key}`
+}
+
+/**
+ * Store an output file and return its public URL
+ */
+async function storeOutput(filePath, key, contentType = CONTENT_TYPES[path.extname(filePath)]) {
+  if (OUTPUT_DIR) {
+    const destination = path.join(OUTPUT_DIR, key)
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true })
+    await fs.promises.copyFile(filePath, destination)
+    return `${OUTPUT_BASE_URL.replace(/\/+$/, '')}/${key}`
+  }
+
+  const { PutObjectCommand } = require('@aws-sdk/client-s3')
+  const { size } = await fs.promises.stat(filePath)
+
+  await getS3Client().send(new PutObjectCommand({
+    Bucket: S3_BUCKET,
+    Key: key,
+    Body: fs.createReadStream(filePath),
+    ContentLength: size,
+    ContentType: contentType,
+    // Match MediaConvert's PUBLIC_READ; S3-compatible stores set visibility per bucket
+    ...(S3_ENDPOINT ? {} : { ACL: 'public-read' })
+  }))
+
+  return getPublicUrl(key)
+}
+
+/**
+ * Store every file in a directory under a key prefix
+ * @returns {Promise<string>} Public URL of the prefix
+ */
+async function storeDirectory(dir, keyPrefix) {
+  const files = await fs.promises.readdir(dir)
+  for (let i = 0; i < files.length; i += UPLOAD_CONCURRENCY) {
+    if (stopping) throw new Error('Worker stopped')
+    await Promise.all(files.slice(i, i + UPLOAD_CONCURRENCY).map(file =>
+      storeOutput(path.join(dir, file), `${keyPrefix}${file}`)
+    ))
+  }
+  return OUTPUT_DIR
+    ? `${OUTPUT_BASE_URL.replace(/\/+$/, '')}/${keyPrefix}`
+    : getPublicUrl(keyPrefix)
+}
+
+async function claimJob() {
+  const { data, error } = await supabase.rpc('claim_transcode_job', { p_worker_id: WORKER_ID })
+  if (error) throw error
+  return data?.[0] || null
+}
+
+/**
+ * Update the job while this worker still owns it. Returns false when the job
+ * was cancelled or handed to another worker in the meantime.
+ */
+async function updateOwnedJob(jobId, updates) {
+  const { data, error } = await supabase
+    .from('transcode_jobs')
+    .update(updates)
+    .eq('id', jobId)
+    .eq('worker_id', WORKER_ID)
+    .eq('status', 'PROGRESSING')
+    .select('id')
+
+  if (error) {
+    console.error(`Error updating transcode job ${jobId}:`, error.message)
+    return true
+  }
+  return data.length > 0
+}
+
+/**
+ * HLS ladder and seek thumbnails. Encoded from the MP4 just made (local and
+ * already scaled), so the ladder matches what the MP4 shows. A failure here
+ * only costs adaptive playback and previews, so it is logged, not raised.
+ * @returns {Promise<Object>} { hlsUrl, seekThumbnailsUrl }, null where not produced
+ */
+async function produceStreamingOutputs(job, { videoPath, tempDir, durationSeconds, hasAudio, onProgress, isLost }) {
+  const result = { hlsUrl: null, seekThumbnailsUrl: null }
+  const base = `${job.output_prefix}${job.output_key}`
+
+  try {
+    const hlsDir = path.join(tempDir, 'hls')
+    await fs.promises.mkdir(hlsDir)
+    await runFfmpeg(hlsArgs(videoPath, getHlsLadder(job.target_height), hasAudio, hlsDir), {
+      durationSeconds,
+      onProgress: value => onProgress(60 + Math.round(value * 0.35))
+    })
+    result.hlsUrl = `${await storeDirectory(hlsDir, `${base}-hls/`)}index.m3u8`
+  } catch (error) {
+    if (stopping || isLost()) throw error
+    console.error(`⚠️ ${job.id}: HLS ladder failed, continuing with the MP4 only: ${error.message}`)
+  }
+
+  try {
+    if (durationSeconds) {
+      const seekDir = path.join(tempDir, 'seek')
+      await fs.promises.mkdir(seekDir)
+      await runFfmpeg(spriteArgs(videoPath, seekDir))
+      await fs.promises.writeFile(path.join(seekDir, 'thumbnails.vtt'), spriteVtt(durationSeconds))
+      result.seekThumbnailsUrl = `${await storeDirectory(seekDir, `${base}-seek/`)}thumbnails.vtt`
+    }
+  } catch (error) {
+    if (stopping || isLost()) throw error
+    console.error(`⚠️ ${job.id}: seek thumbnails failed: ${error.message}`)
+  }
+
+  onProgress(99)
+  return result
+}
+
+async function processJob(job) {
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcode-'))
+  const videoFilename = `${job.output_key}-${job.target_height}p.mp4`
+  const thumbnailFilename = `${job.output_key}-thumb.jpg`
+  const videoPath = path.join(tempDir, videoFilename)
+  const thumbnailPath = path.join(tempDir, thumbnailFilename)
+
+  let progress = 0
+  let lost = false
+
+  console.log(`🎬 ${job.id}: ${job.input_url} -> ${job.target_height}p (attempt ${job.attempts}/${job.max_attempts})`)
+
+  const heartbeat = setInterval(async () => {
+    const owned = await updateOwnedJob(job.id, { progress, heartbeat_at: new Date().toISOString() })
+    if (!owned && !lost) {
+      lost = true
+      console.log(`⏹️ ${job.id} was cancelled or reassigned, stopping ffmpeg`)
+      currentProcess?.kill('SIGTERM')
+    }
+  }, HEARTBEAT_INTERVAL_MS)
+
+  try {
+    const { durationSeconds, hasAudio } = await probeInput(job.input_url)
+
+    // The MP4 is the deliverable, so it gets most of the progress bar
+    await runFfmpeg(encodeArgs(job.input_url, job.target_height, videoPath), {
+      durationSeconds,
+      onProgress: value => { progress = Math.round(value * 0.6) }
+    })
+    await runFfmpeg(thumbnailArgs(videoPath, job.target_height, thumbnailPath))
+
+    const outputUrl = await storeOutput(videoPath, `${job.output_prefix}${videoFilename}`, 'video/mp4')
+    const thumbnailUrl = await storeOutput(thumbnailPath, `${job.output_prefix}${thumbnailFilename}`, 'image/jpeg')
+
+    const { hlsUrl, seekThumbnailsUrl } = await produceStreamingOutputs(job, {
+      videoPath,
+      tempDir,
+      durationSeconds,
+      hasAudio,
+      onProgress: value => { progress = value },
+      isLost: () => lost
+    })
+
+    clearInterval(heartbeat)
+    await updateOwnedJob(job.id, {
+      status: 'COMPLETE',
+      progress: 100,
+      output_url: outputUrl,
+      thumbnail_url: thumbnailUrl,
+      hls_url: hlsUrl,
+      seek_thumbnails_url: seekThumbnailsUrl,
+      error_message: null,
+      completed_at: new Date().toISOString()
+    })
+    console.log(`✅ ${job.id}: ${outputUrl}`)
+  } catch (error) {
+    clearInterval(heartbeat)
+    if (lost) return
+
+    if (stopping) {
+      // Shutting down: hand the job back without using up an attempt
+      await updateOwnedJob(job.id, {
+        status: 'SUBMITTED',
+        attempts: job.attempts - 1,
+        error_message: 'Worker stopped'
+      })
+      console.log(`↩️ ${job.id} returned to the queue`)
+      return
+    }
+
+    const finalAttempt = job.attempts >= job.max_attempts
+    await updateOwnedJob(job.id, {
+      status: finalAttempt ? 'ERROR' : 'SUBMITTED',
+      error_message: error.message,
+      completed_at: finalAttempt ? new Date().toISOString() : null
+    })
+    console.error(`❌ ${job.id}: ${error.message}${finalAttempt ? '' : ' (will retry)'}`)
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true })
+  }
+}
+
+function shutdown(signal) {
+  if (stopping) return
+  stopping = true
+  console.log(`${signal} received, ${currentJob ? 'stopping current job' : 'exiting'}`)
+  currentProcess?.kill('SIGTERM')
+}
+
+async function main() {
+  if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set')
+  }
+  if (OUTPUT_DIR && !OUTPUT_BASE_URL) {
+    throw new Error('TRANSCODE_OUTPUT_BASE_URL must be set with TRANSCODE_OUTPUT_DIR')
+  }
+
+  process.on('SIGINT', () => shutdown('SIGINT'))
+  process.on('SIGTERM', () => shutdown('SIGTERM'))
+
+  console.log(`Transcode worker ${WORKER_ID} started, writing to ${OUTPUT_DIR || (S3_ENDPOINT ? `${S3_ENDPOINT}/${S3_BUCKET}` : `s3://${S3_BUCKET}`)}`)
+
+  while (!stopping) {
+    let job
+    try {
+      job = await claimJob()
+    } catch (error) {
+      console.error('Error claiming transcode job:', error.message)
+      if (ONCE) throw error
+      await sleep(POLL_INTERVAL_MS)
+      continue
+    }
+
+    if (!job) {
+      if (ONCE) break
+      await sleep(POLL_INTERVAL_MS)
+      continue
+    }
+
+    currentJob = job
+    await processJob(job)
+    currentJob = null
+  }
+
+  console.log('Transcode worker stopped')
+}
+
+main().catch(error => {
+  console.error(error.message)
+  process.exit(1)
+})
@@ -0,0 +1,78 @@
+// scripts/webhook-receiver.js
+// Local stand-in receiver for testing outbound webhooks.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+//
+// Add http://localhost:4000/webhooks as an endpoint in Company Settings, then use
+// "Send test event". Each request is printed with its signature check result.
+// Set FAIL_RATE (0-1) to answer some requests with 500 and exercise the retries.
+
+const http = require('http')
+const crypto = require('crypto')
+
+const PORT = parseInt(process.env.PORT, 10) || 4000
+const SECRET = process.env.WEBHOOK_SECRET
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE) || 0
+// Reject signatures older than this to stop replayed requests
+const TOLERANCE_SECONDS = 5 * 60
+
+function verifySignature(headers, body) {
+  if (!SECRET) return 'skipped (WEBHOOK_SECRET not set)'
+
+  const timestamp = headers['x-webhook-timestamp']
+  const signature = headers['x-webhook-signature'] || ''
+  if (!timestamp || !signature) return 'missing headers'
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+    return 'timestamp outside tolerance'
+  }
+
+  const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')
+  const valid = expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  return valid ? 'valid' : 'INVALID'
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end()
+    return
+  }
+
+  let body = ''
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => {
+    const signatureResult = verifySignature(req.headers, body)
+
+    console.log('\n' + '='.repeat(60))
+    console.log(`${new Date().toISOString()}  ${req.headers['x-webhook-event']}`)
+    console.log(`Delivery:  ${req.headers['x-webhook-delivery']}`)
+    console.log(`Signature: ${signatureResult}`)
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2))
+    } catch {
+      console.log(body)
+    }
+
+    if (signatureResult === 'INVALID' || signatureResult === 'missing headers' || signatureResult === 'timestamp outside tolerance') {
+      res.writeHead(401, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ error: `Signature ${signatureResult}` }))
+      return
+    }
+
+    if (Math.random() < FAIL_RATE) {
+      console.log('-> responding 500 (FAIL_RATE)')
+      res.writeHead(500, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ error: 'Simulated failure' }))
+      return
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ received: true }))
+  })
+})
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/webhooks`)
+  if (!SECRET) console.log('WEBHOOK_SECRET is not set - signatures will not be checked')
+})
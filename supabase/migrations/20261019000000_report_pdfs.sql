@@ -0,0 +1,13 @@
+-- ============================================
+-- SERVER-GENERATED REPORT PDFS
+-- ============================================
+
+-- 1. Stored PDF location on reports (set once a finalized report is rendered)
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS pdf_path TEXT;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS pdf_generated_at TIMESTAMPTZ;
+
+-- 2. Private bucket for rendered PDFs - only the service role reads/writes it,
+-- access is checked by /api/reports/[reportId]/pdf
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('report-pdfs', 'report-pdfs', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,7 @@
+-- ============================================
+-- CONTINUOUS DEFECT ACKNOWLEDGEMENT ON FINALIZE
+-- ============================================
+
+-- Recorded when a report is finalized with unpaired or overlapping continuous defects
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS continuous_defects_acknowledged_at TIMESTAMPTZ;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS continuous_defects_acknowledged_by UUID REFERENCES auth.users(id);
@@ -0,0 +1,10 @@
+-- ============================================
+-- SURVEY QA RESULTS ON FINALIZE
+-- ============================================
+
+-- Snapshot of the QA checklist as it stood when the report was finalized
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS qa_results JSONB;
+
+-- Recorded when a report is finalized with failing QA checks
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS qa_acknowledged_at TIMESTAMPTZ;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS qa_acknowledged_by UUID REFERENCES auth.users(id);
@@ -0,0 +1,46 @@
+-- ============================================
+-- COMPANY API KEYS (PUBLIC REST API)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS company_api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+
+  -- Key details: only a SHA-256 hash of the key is stored, the prefix identifies it in the UI
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+
+  -- Requests allowed per key in any rolling minute
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+
+  -- Lifecycle
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID REFERENCES profiles(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_api_keys_company_id ON company_api_keys(company_id);
+
+-- API usage is recorded in audit_log with action 'api_request'; rate limiting counts recent rows per key
+CREATE INDEX IF NOT EXISTS idx_audit_log_api_requests
+  ON audit_log ((changes->>'api_key_id'), created_at DESC)
+  WHERE action = 'api_request';
+
+ALTER TABLE company_api_keys ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Company admins can view their API keys" ON company_api_keys;
+
+-- Keys are created and revoked through server actions; admins can only read them directly
+CREATE POLICY "Company admins can view their API keys" ON company_api_keys
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.id = auth.uid()
+      AND profiles.company_id = company_api_keys.company_id
+      AND profiles.role IN ('company_admin', 'super_admin')
+    )
+  );
@@ -0,0 +1,297 @@
+-- ============================================
+-- OUTBOUND WEBHOOKS
+-- ============================================
+
+-- Endpoints registered by company admins
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+
+  url TEXT NOT NULL,
+  description TEXT,
+  -- Shared secret used to sign payloads (HMAC-SHA256)
+  secret TEXT NOT NULL,
+  -- Subscribed event types, e.g. {report.finalized,share.viewed}
+  events TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per event per endpoint; doubles as the delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+
+  event_id UUID NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+
+  -- pending -> sending -> delivered | pending (retry) | failed
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'delivered', 'failed')),
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+
+  -- Last attempt outcome
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Balance below which a credits.low event is sent
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS low_credits_threshold DECIMAL DEFAULT 50;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_company_id ON webhook_endpoints(company_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_webhook_endpoints_updated_at ON webhook_endpoints;
+CREATE TRIGGER update_webhook_endpoints_updated_at BEFORE UPDATE ON webhook_endpoints
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Endpoints and deliveries are managed through server actions only (service role)
+
+-- ============================================
+-- EVENT QUEUEING
+-- ============================================
+
+-- Queue an event for every active endpoint of the company subscribed to it
+CREATE OR REPLACE FUNCTION enqueue_webhook_event(
+  p_company_id UUID,
+  p_event_type TEXT,
+  p_data JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_event_id UUID := gen_random_uuid();
+  v_count INTEGER;
+BEGIN
+  IF p_company_id IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  INSERT INTO webhook_deliveries (endpoint_id, company_id, event_id, event_type, payload)
+  SELECT
+    e.id,
+    p_company_id,
+    v_event_id,
+    p_event_type,
+    jsonb_build_object(
+      'id', v_event_id,
+      'type', p_event_type,
+      'created_at', NOW(),
+      'company_id', p_company_id,
+      'data', p_data
+    )
+  FROM webhook_endpoints e
+  WHERE e.company_id = p_company_id
+    AND e.is_active
+    AND p_event_type = ANY(e.events);
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Claim due deliveries for sending; SKIP LOCKED lets several dispatchers run at once.
+-- Deliveries left in 'sending' by a dispatcher that died are picked up again after 10 minutes.
+CREATE OR REPLACE FUNCTION claim_webhook_deliveries(p_limit INTEGER DEFAULT 20)
+RETURNS SETOF webhook_deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE webhook_deliveries d
+  SET status = 'sending',
+      last_attempt_at = NOW()
+  WHERE d.id IN (
+    SELECT id FROM webhook_deliveries
+    WHERE (status = 'pending' AND next_attempt_at <= NOW())
+      OR (status = 'sending' AND last_attempt_at < NOW() - INTERVAL '10 minutes')
+    ORDER BY next_attempt_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING d.*;
+END;
+$$;
+
+-- Company that owns a project (projects belong to users)
+CREATE OR REPLACE FUNCTION get_project_company_id(p_project_id UUID)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT pr.company_id
+  FROM projects p
+  JOIN profiles pr ON pr.id = p.user_id
+  WHERE p.id = p_project_id;
+$$;
+
+-- ============================================
+-- EVENT TRIGGERS
+-- ============================================
+
+-- report.finalized: status moves to 'final' (finalizeReport)
+CREATE OR REPLACE FUNCTION webhook_report_finalized()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF NEW.status = 'final' AND OLD.status IS DISTINCT FROM 'final' THEN
+    PERFORM enqueue_webhook_event(
+      get_project_company_id(NEW.project_id),
+      'report.finalized',
+      jsonb_build_object(
+        'report_id', NEW.id,
+        'report_number', NEW.report_number,
+        'title', NEW.title,
+        'project_id', NEW.project_id,
+        'finalized_at', NEW.finalized_at,
+        'finalized_by', NEW.finalized_by,
+        'qa_passed', (NEW.qa_results->>'passed')::BOOLEAN
+      )
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS webhook_report_finalized ON reports;
+CREATE TRIGGER webhook_report_finalized AFTER UPDATE OF status ON reports
+  FOR EACH ROW EXECUTE FUNCTION webhook_report_finalized();
+
+-- share.viewed: get_public_report counts a view on the share
+CREATE OR REPLACE FUNCTION webhook_share_viewed()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_report RECORD;
+BEGIN
+  IF COALESCE(NEW.view_count, 0) > COALESCE(OLD.view_count, 0) THEN
+    SELECT id, project_id, report_number, title INTO v_report
+    FROM reports WHERE id = NEW.report_id;
+
+    PERFORM enqueue_webhook_event(
+      get_project_company_id(v_report.project_id),
+      'share.viewed',
+      jsonb_build_object(
+        'share_id', NEW.id,
+        'report_id', v_report.id,
+        'report_number', v_report.report_number,
+        'title', v_report.title,
+        'project_id', v_report.project_id,
+        'view_count', NEW.view_count,
+        'max_views', NEW.max_views
+      )
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS webhook_share_viewed ON report_shares;
+CREATE TRIGGER webhook_share_viewed AFTER UPDATE OF view_count ON report_shares
+  FOR EACH ROW EXECUTE FUNCTION webhook_share_viewed();
+
+-- video.transcoded: pool video marked transcoded (updatePoolVideoAfterTranscode)
+CREATE OR REPLACE FUNCTION webhook_video_transcoded()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF NEW.metadata->>'transcoded' = 'true'
+    AND (OLD.metadata->>'transcoded') IS DISTINCT FROM 'true' THEN
+    PERFORM enqueue_webhook_event(
+      get_project_company_id(NEW.project_id),
+      'video.transcoded',
+      jsonb_build_object(
+        'pool_video_id', NEW.id,
+        'project_id', NEW.project_id,
+        'filename', NEW.original_filename,
+        'video_url', NEW.video_url,
+        'transcoded_at', NEW.metadata->>'transcodedAt'
+      )
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS webhook_video_transcoded ON video_pool;
+CREATE TRIGGER webhook_video_transcoded AFTER UPDATE OF metadata ON video_pool
+  FOR EACH ROW EXECUTE FUNCTION webhook_video_transcoded();
+
+-- credits.low: a consumption takes the balance below the company's threshold
+CREATE OR REPLACE FUNCTION webhook_credits_low()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_threshold DECIMAL;
+BEGIN
+  IF NEW.type = 'consumption' THEN
+    SELECT low_credits_threshold INTO v_threshold FROM companies WHERE id = NEW.company_id;
+
+    -- amount is negative for consumption, so the balance before was balance_after - amount
+    IF v_threshold IS NOT NULL
+      AND NEW.balance_after < v_threshold
+      AND NEW.balance_after - NEW.amount >= v_threshold THEN
+      PERFORM enqueue_webhook_event(
+        NEW.company_id,
+        'credits.low',
+        jsonb_build_object(
+          'balance', NEW.balance_after,
+          'threshold', v_threshold,
+          'transaction_id', NEW.id
+        )
+      );
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS webhook_credits_low ON credit_transactions;
+CREATE TRIGGER webhook_credits_low AFTER INSERT ON credit_transactions
+  FOR EACH ROW EXECUTE FUNCTION webhook_credits_low();
+
+-- ============================================
+-- PERMISSIONS
+-- ============================================
+
+-- Functions are executable by PUBLIC by default, which would expose them through /rpc.
+-- Queueing, claiming and company lookups run from the server with the service role only;
+-- trigger functions are only ever run by their triggers.
+REVOKE EXECUTE ON FUNCTION enqueue_webhook_event(UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_webhook_deliveries(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_project_company_id(UUID) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION enqueue_webhook_event(UUID, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION claim_webhook_deliveries(INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION get_project_company_id(UUID) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION webhook_report_finalized() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION webhook_share_viewed() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION webhook_video_transcoded() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION webhook_credits_low() FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,129 @@
+-- ============================================
+-- LLM GENERATION JOB QUEUE
+-- ============================================
+
+-- Executive summary / repair recommendation generation requests.
+-- Persisted so status survives serverless invocations and page reloads.
+CREATE TABLE IF NOT EXISTS llm_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  job_type TEXT NOT NULL CHECK (job_type IN ('executive_summary', 'repair_recommendations')),
+  provider TEXT NOT NULL DEFAULT 'groq',
+
+  prompt TEXT NOT NULL,
+  -- Prompt plus maximum completion tokens; counted against the provider's per-minute token window
+  window_tokens INTEGER NOT NULL DEFAULT 0,
+
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'error')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  result TEXT,
+  error TEXT,
+
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  -- Set once the result has been written into the report, so a reload does not apply it twice
+  applied_at TIMESTAMPTZ
+);
+
+-- Provider-wide back-off after a 429 from the provider
+CREATE TABLE IF NOT EXISTS llm_rate_limits (
+  provider TEXT PRIMARY KEY,
+  blocked_until TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_jobs_report ON llm_jobs(report_id, job_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_jobs_queue ON llm_jobs(provider, created_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_llm_jobs_started ON llm_jobs(provider, started_at DESC);
+
+-- At most one unfinished job per report and type, so a second click reuses the first job
+CREATE UNIQUE INDEX IF NOT EXISTS idx_llm_jobs_one_active
+  ON llm_jobs(report_id, job_type) WHERE status IN ('queued', 'processing');
+
+ALTER TABLE llm_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE llm_rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- Jobs are created and read through server actions (service role) only
+
+-- Claim the next queued job if the provider's rate-limit windows allow it.
+-- The advisory lock serialises claims so two workers cannot both fit into the same window.
+CREATE OR REPLACE FUNCTION claim_llm_job(
+  p_provider TEXT,
+  p_tokens_per_minute INTEGER,
+  p_requests_per_minute INTEGER,
+  p_stale_after_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF llm_jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_job llm_jobs;
+  v_requests INTEGER;
+  v_tokens INTEGER;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('llm_jobs:' || p_provider));
+
+  -- Jobs whose worker died mid-request go back in the queue
+  UPDATE llm_jobs
+  SET status = 'queued'
+  WHERE provider = p_provider
+    AND status = 'processing'
+    AND started_at < NOW() - make_interval(secs => p_stale_after_seconds);
+
+  IF EXISTS (
+    SELECT 1 FROM llm_rate_limits
+    WHERE provider = p_provider AND blocked_until > NOW()
+  ) THEN
+    RETURN;
+  END IF;
+
+  SELECT COUNT(*), COALESCE(SUM(window_tokens), 0)
+  INTO v_requests, v_tokens
+  FROM llm_jobs
+  WHERE provider = p_provider
+    AND started_at > NOW() - INTERVAL '1 minute';
+
+  IF v_requests >= p_requests_per_minute THEN
+    RETURN;
+  END IF;
+
+  SELECT * INTO v_job
+  FROM llm_jobs
+  WHERE provider = p_provider
+    AND status = 'queued'
+    AND next_attempt_at <= NOW()
+  ORDER BY created_at
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  -- A job larger than the whole window still runs once the window is empty
+  IF v_tokens > 0 AND v_tokens + v_job.window_tokens > p_tokens_per_minute THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE llm_jobs
+  SET status = 'processing',
+      attempts = attempts + 1,
+      started_at = NOW(),
+      error = NULL
+  WHERE id = v_job.id
+  RETURNING *;
+END;
+$$;
+
+-- ============================================
+-- PERMISSIONS
+-- ============================================
+
+-- Only the generation worker (service role) claims jobs; claimed rows include the prompt
+REVOKE EXECUTE ON FUNCTION claim_llm_job(TEXT, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_llm_job(TEXT, INTEGER, INTEGER, INTEGER) TO service_role;
@@ -0,0 +1,45 @@
+-- ============================================
+-- PER-COMPANY LLM PROVIDER SETTINGS
+-- ============================================
+
+-- Which model writes a company's AI summaries and recommendations.
+-- Companies without a row use the hosted default (Groq).
+CREATE TABLE IF NOT EXISTS company_llm_settings (
+  company_id UUID PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+
+  -- groq | openai | custom (any OpenAI-compatible endpoint, e.g. self-hosted) | template (no model)
+  provider TEXT NOT NULL DEFAULT 'groq' CHECK (provider IN ('groq', 'openai', 'custom', 'template')),
+  -- Base URL of the OpenAI-compatible API (custom only), e.g. http://llm.internal:8000/v1
+  base_url TEXT,
+  -- Company-supplied key; never returned to the browser
+  api_key TEXT,
+  model TEXT,
+  temperature NUMERIC(3,2) NOT NULL DEFAULT 0.1 CHECK (temperature >= 0 AND temperature <= 2),
+  max_tokens INTEGER NOT NULL DEFAULT 1000 CHECK (max_tokens BETWEEN 100 AND 8000),
+
+  -- Rate windows for custom endpoints (hosted providers use their published limits)
+  requests_per_minute INTEGER CHECK (requests_per_minute > 0),
+  tokens_per_minute INTEGER CHECK (tokens_per_minute > 0),
+
+  -- Write a template-based result when the model is unavailable or keeps failing
+  fallback_to_template BOOLEAN NOT NULL DEFAULT true,
+
+  updated_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE company_llm_settings ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_company_llm_settings_updated_at ON company_llm_settings;
+CREATE TRIGGER update_company_llm_settings_updated_at BEFORE UPDATE ON company_llm_settings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Settings hold API keys, so they are read and written through server actions only (service role)
+
+-- Jobs remember the company (for its settings) and carry a template result to fall back on.
+-- llm_jobs.provider is now the rate-window key: groq, openai or custom:<company_id>.
+ALTER TABLE llm_jobs ADD COLUMN IF NOT EXISTS company_id UUID REFERENCES companies(id) ON DELETE SET NULL;
+ALTER TABLE llm_jobs ADD COLUMN IF NOT EXISTS model TEXT;
+ALTER TABLE llm_jobs ADD COLUMN IF NOT EXISTS fallback_result TEXT;
+ALTER TABLE llm_jobs ADD COLUMN IF NOT EXISTS used_fallback BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,83 @@
+-- ============================================
+-- SELF-HOSTED TRANSCODING QUEUE
+-- ============================================
+
+-- Jobs for the local ffmpeg worker (scripts/transcode-worker.js), used when TRANSCODER=ffmpeg.
+-- Statuses mirror AWS MediaConvert so callers handle both transcoders the same way.
+CREATE TABLE IF NOT EXISTS transcode_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  input_url TEXT NOT NULL,
+  -- Outputs are written to <output_prefix><output_key>-<target_height>p.mp4 and <output_prefix><output_key>-thumb.jpg
+  output_prefix TEXT NOT NULL,
+  output_key TEXT NOT NULL,
+  target_height INTEGER NOT NULL DEFAULT 720,
+  -- Caller context (pool video / section ids, original format...)
+  metadata JSONB DEFAULT '{}',
+
+  status TEXT NOT NULL DEFAULT 'SUBMITTED' CHECK (status IN ('SUBMITTED', 'PROGRESSING', 'COMPLETE', 'ERROR', 'CANCELED')),
+  progress INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  error_message TEXT,
+
+  output_url TEXT,
+  thumbnail_url TEXT,
+
+  worker_id TEXT,
+  heartbeat_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcode_jobs_queue ON transcode_jobs(created_at) WHERE status = 'SUBMITTED';
+
+ALTER TABLE transcode_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Jobs are created by server actions and processed by the worker (service role only)
+
+-- Claim the oldest waiting job for a worker. Jobs whose worker stopped sending
+-- heartbeats are requeued, or failed once they have used all their attempts.
+CREATE OR REPLACE FUNCTION claim_transcode_job(
+  p_worker_id TEXT,
+  p_stale_after_seconds INTEGER DEFAULT 600
+)
+RETURNS SETOF transcode_jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE transcode_jobs
+  SET status = CASE WHEN attempts >= max_attempts THEN 'ERROR' ELSE 'SUBMITTED' END,
+      error_message = 'Worker stopped responding',
+      completed_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END
+  WHERE status = 'PROGRESSING'
+    AND heartbeat_at < NOW() - make_interval(secs => p_stale_after_seconds);
+
+  RETURN QUERY
+  UPDATE transcode_jobs j
+  SET status = 'PROGRESSING',
+      progress = 0,
+      attempts = j.attempts + 1,
+      worker_id = p_worker_id,
+      started_at = NOW(),
+      heartbeat_at = NOW()
+  WHERE j.id = (
+    SELECT id FROM transcode_jobs
+    WHERE status = 'SUBMITTED'
+    ORDER BY created_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$;
+
+-- ============================================
+-- PERMISSIONS
+-- ============================================
+
+-- Only transcode workers (service role) claim jobs
+REVOKE EXECUTE ON FUNCTION claim_transcode_job(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_transcode_job(TEXT, INTEGER) TO service_role;
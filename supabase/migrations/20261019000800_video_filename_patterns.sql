@@ -0,0 +1,8 @@
+-- ============================================
+-- POOL VIDEO FILENAME PATTERNS
+-- ============================================
+
+-- Regular expressions used to auto-assign pool videos to sections, as a list of
+-- { name, pattern } with named groups start, finish, section and date.
+-- NULL uses the built-in defaults (lib/video/pool-matcher.js).
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS video_filename_patterns JSONB;
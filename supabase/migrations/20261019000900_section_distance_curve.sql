@@ -0,0 +1,16 @@
+-- ============================================
+-- SECTION DISTANCE CURVES
+-- ============================================
+
+-- Timestamp → distance curve read from the crawler's on-screen counter across
+-- the whole section video (lib/video/distance-curve.js):
+-- { version, interval, duration, points: [[seconds, metres]], reversals, gaps,
+--   sampledFrames, readFrames, rejectedFrames, videoUrl, createdAt }
+ALTER TABLE sections ADD COLUMN IF NOT EXISTS distance_curve JSONB;
+
+-- Whole-video counter reading is charged per minute of video
+INSERT INTO credit_pricing_rules (operation_type, unit_type, credits_per_unit, min_charge, description)
+SELECT 'distance_ocr', 'per_minute', 2, 2, 'Distance counter OCR - 2 credits per minute of video'
+WHERE NOT EXISTS (
+  SELECT 1 FROM credit_pricing_rules WHERE operation_type = 'distance_ocr'
+);
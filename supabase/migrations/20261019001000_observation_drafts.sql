@@ -0,0 +1,45 @@
+-- ============================================
+-- AUTOMATIC DEFECT DETECTION DRAFTS
+-- ============================================
+
+-- Observations proposed by the whole-video detection pass (lib/video/defect-detection.js).
+-- Each draft is one cluster of consecutive detections of the same object class.
+-- Surveyors accept (creating a real observation), edit then accept, or reject them.
+CREATE TABLE IF NOT EXISTS observation_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  section_id UUID NOT NULL REFERENCES sections(id) ON DELETE CASCADE,
+
+  -- Frame with the most confident detection, and the span the object was seen for
+  video_timestamp DECIMAL(10,3) NOT NULL,
+  start_timestamp DECIMAL(10,3),
+  end_timestamp DECIMAL(10,3),
+
+  object_class TEXT NOT NULL,
+  confidence DECIMAL(5,4),
+  detection_count INTEGER NOT NULL DEFAULT 1,
+  -- From ai_object_mappings; NULL when the class has no active mapping
+  suggested_code TEXT,
+  distance DECIMAL(10,2),
+  image_url TEXT,
+
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+  observation_id UUID REFERENCES observations(id) ON DELETE SET NULL,
+
+  created_by UUID REFERENCES profiles(id),
+  reviewed_by UUID REFERENCES profiles(id),
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_observation_drafts_section ON observation_drafts(section_id, video_timestamp) WHERE status = 'pending';
+
+ALTER TABLE observation_drafts ENABLE ROW LEVEL SECURITY;
+
+-- Drafts are created and reviewed through server actions (service role) only
+
+-- Whole-video detection is charged per minute of video
+INSERT INTO credit_pricing_rules (operation_type, unit_type, credits_per_unit, min_charge, description)
+SELECT 'defect_detection', 'per_minute', 5, 5, 'Automatic defect detection - 5 credits per minute of video'
+WHERE NOT EXISTS (
+  SELECT 1 FROM credit_pricing_rules WHERE operation_type = 'defect_detection'
+);
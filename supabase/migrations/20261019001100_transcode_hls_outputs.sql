@@ -0,0 +1,9 @@
+-- ============================================
+-- ADAPTIVE STREAMING OUTPUTS
+-- ============================================
+
+-- The ffmpeg worker now also writes an HLS ladder (<output_prefix><output_key>-hls/index.m3u8)
+-- and seek thumbnail sprites described by a WebVTT track (<output_prefix><output_key>-seek/thumbnails.vtt).
+-- Either may be null when the worker could not produce it; players fall back to output_url.
+ALTER TABLE transcode_jobs ADD COLUMN IF NOT EXISTS hls_url TEXT;
+ALTER TABLE transcode_jobs ADD COLUMN IF NOT EXISTS seek_thumbnails_url TEXT;
@@ -0,0 +1,10 @@
+-- ============================================
+-- MEDIA STORAGE BUCKET
+-- ============================================
+
+-- Public bucket used when STORAGE_PROVIDER=supabase (SUPABASE_STORAGE_BUCKET overrides the name).
+-- Uploads go through signed upload URLs issued by the server, so no insert policies are needed;
+-- the older "images" and "videos" buckets stay readable until the storage migration has moved their files.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('media', 'media', true)
+ON CONFLICT (id) DO NOTHING;